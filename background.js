@@ -1,8 +1,17 @@
 /**
  * 没入型翻訳 - Service Worker (background.js)
- * Google翻訳APIとの通信、メッセージングハブ
+ * 翻訳APIとの通信、メッセージングハブ
  */
 
+importScripts(
+  'lib/site-pattern.js', 'lib/translation-cache.js', 'lib/glossary.js', 'lib/providers.js',
+  'lib/request-scheduler.js'
+);
+
+// --- 言語設定のデフォルト値 ---
+const DEFAULT_SOURCE_LANG = 'en';
+const DEFAULT_TARGET_LANG = 'ja';
+
 // --- 翻訳キャッシュ & API ---
 
 /**
@@ -15,217 +24,379 @@ async function getHash(text) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+// 翻訳中のテキスト（`${スコープ}|${ハッシュ}` → 結果を待つ Promise と依頼元）
+// 複数のタブ・フレームから同じテキストが同時に依頼された場合、APIリクエストを1回にまとめる
+const inflightTranslations = new Map();
+
 /**
  * テキスト配列を翻訳（キャッシュ優先）
+ * @param {Object} engine - resolveEngine() の戻り値
+ * @param {Object} [options]
+ * @param {Object[]} [options.glossary] - 適用する用語集エントリ
+ * @param {(index: number, translated: string, cached: boolean) => void} [options.onItem]
+ *   翻訳が確定した項目から順に呼ばれる（cached: キャッシュから返した項目）
+ * @param {'high'|'normal'|'low'} [options.priority] - リクエストスケジューラでの優先度
+ * @param {Object} [options.owner] - 依頼元（cancelScheduledRequests で取り消す）
+ * @returns {Promise<{translated: (string|null)[], errors: (string|null)[]}>}
+ *   リトライしても翻訳できなかった項目は translated が null、errors にその理由が入る
  */
-async function translateTexts(texts, sourceLang = 'en', targetLang = 'ja') {
-  const { translationEngine } = await chrome.storage.sync.get(['translationEngine']);
-  const engine = translationEngine || 'google';
+async function translateTexts(texts, sourceLang, targetLang, engine, options = {}) {
+  const { glossary = [], onItem, priority = 'normal', owner = {} } = options;
+
+  // キャッシュのスコープにエンジン名・モデル名を含める
+  // 用語集がある場合はその内容のハッシュも含め、用語集の変更後に古い翻訳を返さないようにする
+  let scope = `${engine.label}|${sourceLang}|${targetLang}`;
+  if (glossary.length > 0) {
+    const glossaryHash = await getHash(JSON.stringify(
+      glossary.map(entry => [entry.term, entry.translation || '']).sort()
+    ));
+    scope += `|${glossaryHash.slice(0, 8)}`;
+  }
+  const hashes = await Promise.all(texts.map(getHash));
+
+  let results;
+  try {
+    results = await getCachedTranslations(scope, hashes);
+  } catch (error) {
+    // キャッシュが使えなくても翻訳は続行
+    console.error('キャッシュ読み込みエラー:', error);
+    results = new Array(texts.length).fill(null);
+  }
+
+  if (onItem) {
+    results.forEach((cached, i) => {
+      if (cached !== null) onItem(i, cached, true);
+    });
+  }
 
-  // キャッシュキーにエンジン名を含める
-  const cacheKey = `tr_cache_${engine}_${sourceLang}_${targetLang}`;
-  const cacheResult = await chrome.storage.local.get([cacheKey]);
-  const cache = cacheResult[cacheKey] || {};
+  const errors = new Array(texts.length).fill(null);
 
-  const results = new Array(texts.length).fill(null);
+  // このリクエストを必要としている依頼元（相乗りした依頼元も加わる）
+  const owners = new Set([owner]);
   const uncachedIndices = [];
   const uncachedTexts = [];
+  const ownInflight = [];
+  const joined = [];
+  results.forEach((cached, i) => {
+    if (cached !== null) return;
+
+    const key = `${scope}|${hashes[i]}`;
+    const inflight = inflightTranslations.get(key);
+    if (inflight) {
+      // 他の依頼で翻訳中のテキストは、その結果を待つ
+      inflight.owners.add(owner);
+      joined.push(inflight.promise.then(translated => {
+        results[i] = translated;
+        onItem?.(i, translated, false);
+      }, error => {
+        if (error.cancelled) throw error;
+        errors[i] = error.message;
+      }));
+      return;
+    }
 
-  // キャッシュ確認
-  for (let i = 0; i < texts.length; i++) {
-    const text = texts[i];
-    const hash = await getHash(text);
+    const entry = createInflightTranslation(owners);
+    inflightTranslations.set(key, entry);
+    ownInflight.push({ key, entry });
+    uncachedIndices.push(i);
+    uncachedTexts.push(texts[i]);
+  });
 
-    if (cache[hash]) {
-      results[i] = cache[hash];
-    } else {
-      uncachedIndices.push(i);
-      uncachedTexts.push(text);
-    }
+  // 全てキャッシュにある場合
+  if (uncachedTexts.length === 0 && joined.length === 0) {
+    return { translated: results, errors };
   }
 
-  // 全てキャッシュにある場合
-  if (uncachedTexts.length === 0) {
-    return results;
+  // 未キャッシュ分をAPIリクエストし、届いた項目から結果に統合
+  const newEntries = [];
+  const handleItem = (i, translated) => {
+    const originalIndex = uncachedIndices[i];
+    results[originalIndex] = translated;
+    newEntries.push({ hash: hashes[originalIndex], translation: translated });
+    settleInflightTranslation(ownInflight[i], entry => entry.resolve(translated));
+    onItem?.(originalIndex, translated, false);
+  };
+
+  const requests = [...joined];
+  if (uncachedTexts.length > 0) {
+    requests.push(fetchTranslations(engine, uncachedTexts, sourceLang, targetLang, {
+      glossary, onItem: handleItem, priority, owners
+    }).then(fetchErrors => {
+      fetchErrors.forEach((message, i) => {
+        if (!message) return;
+        errors[uncachedIndices[i]] = message;
+        settleInflightTranslation(ownInflight[i], entry => entry.reject(new Error(message)));
+      });
+    }));
   }
 
-  // 未キャッシュ分をAPIリクエスト
+  let failure = null;
   try {
-    // 統合された fetchTranslations を呼び出し
-    const apiResults = await fetchTranslations(uncachedTexts, sourceLang, targetLang);
-
-    // 結果を統合 & キャッシュ更新
-    const newCache = {};
-    for (let i = 0; i < uncachedTexts.length; i++) {
-      const originalIndex = uncachedIndices[i];
-      const translated = apiResults[i];
-      const text = uncachedTexts[i];
-      const hash = await getHash(text);
-
-      results[originalIndex] = translated;
-      newCache[hash] = translated;
+    await settleAll(requests);
+  } catch (error) {
+    failure = error;
+  }
+
+  // キャッシュ保存（非同期）
+  // ストリーミングが途中で失敗しても、届いた分は保存する
+  if (newEntries.length > 0) {
+    putCachedTranslations(scope, newEntries)
+      .catch(error => console.error('キャッシュ保存エラー:', error));
+  }
+
+  if (failure) {
+    // 結果が届かなかったテキストに相乗りしている依頼にも失敗を伝える
+    ownInflight.forEach(inflight => settleInflightTranslation(inflight, entry => entry.reject(failure)));
+    if (!failure.cancelled) {
+      console.error('翻訳APIエラー:', failure);
+    }
+    throw failure;
+  }
+
+  return { translated: results, errors };
+}
+
+/**
+ * エンジンを順に試して翻訳（失敗した項目だけを次のエンジンで翻訳する）
+ * @param {Object[]} engines - resolveEngineChain() の戻り値
+ * @param {Object} [options] - translateTexts() と同じ（onItem には翻訳したエンジンも渡す）
+ * @returns {Promise<{translated: (string|null)[], sources: (string|null)[], errors: (string|null)[]}>}
+ *   sources: 各項目を実際に翻訳したエンジン（engine.label）
+ */
+async function translateWithFallback(texts, sourceLang, targetLang, engines, options = {}) {
+  const { onItem, ...translateOptions } = options;
+  const translated = new Array(texts.length).fill(null);
+  const sources = new Array(texts.length).fill(null);
+  const errors = new Array(texts.length).fill(null);
+  let pending = texts.map((_, i) => i);
+
+  for (const engine of engines) {
+    const indices = pending;
+    let result;
+    try {
+      result = await translateTexts(indices.map(i => texts[i]), sourceLang, targetLang, engine, {
+        ...translateOptions,
+        onItem: (j, text, cached) => onItem?.(indices[j], text, engine.label, cached)
+      });
+    } catch (error) {
+      if (error.cancelled) throw error;
+      // 言語に未対応などエンジン全体の失敗は、全項目を次のエンジンで試す
+      result = { translated: [], errors: indices.map(() => error.message) };
     }
 
-    // キャッシュ保存（非同期）
-    chrome.storage.local.set({
-      [cacheKey]: { ...cache, ...newCache }
+    pending = [];
+    indices.forEach((index, j) => {
+      if (result.errors[j]) {
+        errors[index] = `${engine.provider.name}: ${result.errors[j]}`;
+        pending.push(index);
+      } else {
+        translated[index] = result.translated[j];
+        sources[index] = engine.label;
+        errors[index] = null;
+      }
     });
+    if (pending.length === 0) break;
 
-  } catch (error) {
-    console.error('翻訳APIエラー:', error);
-    // エラー時はキャッシュ値のみ返す（未翻訳分はnull）
-    throw error;
+    if (engines.indexOf(engine) < engines.length - 1) {
+      console.warn(`${engine.provider.name} で翻訳できなかった ${pending.length} 件を次のエンジンで翻訳します`);
+    }
   }
 
-  return results;
+  return { translated, sources, errors };
 }
 
-
 /**
- * 翻訳エンジンの分岐処理
+ * 全ての完了を待ち、失敗があれば最初のエラーを投げる
+ * 途中で失敗しても、他の処理で届いた結果をキャッシュに保存できるようにする
  */
-async function fetchTranslations(texts, sourceLang, targetLang) {
-  const { translationEngine, geminiApiKey } = await chrome.storage.sync.get(['translationEngine', 'geminiApiKey']);
-
-  if (translationEngine === 'gemini' && geminiApiKey) {
-    return await fetchTranslationsFromGemini(texts, sourceLang, targetLang, geminiApiKey);
-  } else {
-    return await fetchTranslationsFromGoogle(texts, sourceLang, targetLang);
+async function settleAll(promises) {
+  const failure = (await Promise.allSettled(promises)).find(result => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
   }
 }
 
+function createInflightTranslation(owners) {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  // 相乗りする依頼がない場合に未処理の reject とならないようにする
+  promise.catch(() => { });
+  return { promise, resolve, reject, owners };
+}
+
 /**
- * Gemini APIを実行
+ * 翻訳中のテキストを一覧から外して結果を伝える（既に外れている場合は何もしない）
  */
-async function fetchTranslationsFromGemini(texts, sourceLang, targetLang, apiKey) {
-  // Gemini 2.5 Flash Lite (User Requested)
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent?key=${apiKey}`;
-
-  // プロンプト構築
-  const prompt = `You are a professional translator. Translate the following texts from ${sourceLang} to ${targetLang}. 
-    Return the output as a strict JSON array of strings. Maintain the original formatting and placeholders (e.g., __MATH_0__, __CODE_1__) exactly.
-    Do not add any explanations or markdown code blocks (like \`\`\`json). Just the raw JSON array.
-    
-    Texts to translate:
-    ${JSON.stringify(texts)}`;
-
-  const body = {
-    contents: [{
-      parts: [{ text: prompt }]
-    }]
-  };
+function settleInflightTranslation({ key, entry }, settle) {
+  if (inflightTranslations.get(key) !== entry) return;
+  inflightTranslations.delete(key);
+  settle(entry);
+}
 
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
+/**
+ * プロバイダのバッチ上限に合わせて分割し、リクエストスケジューラ経由で翻訳
+ * 用語集はプロバイダに応じてプロンプト注入またはプレースホルダー置換で適用
+ * 翻訳が確定した項目は onItem に1回ずつ渡す（ストリーミング非対応のプロバイダはバッチ単位）
+ *
+ * 応答の形式が崩れた場合（JSONの不正・件数の不一致・ブロック・空の項目）は、
+ * 受信できなかった項目だけを再リクエストし、複数項目ならバッチを半分ずつに分けて問題のある項目を絞り込む
+ * @param {Object} [options]
+ * @param {Object[]} [options.glossary]
+ * @param {(index: number, translated: string) => void} [options.onItem]
+ * @param {'high'|'normal'|'low'} [options.priority]
+ * @param {Set<Object>} [options.owners] - 依頼元（全員が取り消すと待機中のバッチは破棄される）
+ * @returns {Promise<(string|null)[]>} 項目ごとのエラー（翻訳できた項目は null）
+ */
+async function fetchTranslations(engine, texts, sourceLang, targetLang, options = {}) {
+  const { glossary = [], onItem, priority = 'normal', owners = null } = options;
+  const { provider } = engine;
+
+  const isSupported = lang => lang === 'auto' || !provider.supportedLanguages || provider.supportedLanguages.includes(lang);
+  if (!isSupported(targetLang)) {
+    throw new Error(`${provider.name} は言語 ${targetLang} に対応していません`);
+  }
+  // ページ内で検出した翻訳元言語に対応していない場合は、エンジンの自動検出に任せる
+  if (!isSupported(sourceLang)) {
+    sourceLang = 'auto';
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API Error ${response.status}: ${errorText}`);
+  const errors = new Array(texts.length).fill(null);
+  const received = new Array(texts.length).fill(false);
+  // 空の訳は受信していないものとして扱い、再リクエストする
+  const emit = (index, translated) => {
+    if (received[index] || typeof translated !== 'string' || !translated.trim()) return;
+    received[index] = true;
+    onItem?.(index, translated);
+  };
+  const getPending = indices => indices.filter(index => !received[index]);
+
+  const requestItems = async (indices) => {
+    if (indices.length === 0) return;
+    const batchResults = await translateBatchWithGlossary(
+      engine, indices.map(index => texts[index]), sourceLang, targetLang, glossary,
+      (j, translated) => emit(indices[j], translated)
+    );
+    batchResults.forEach((translated, j) => emit(indices[j], translated));
+
+    const invalid = getPending(indices);
+    if (invalid.length > 0) {
+      throw createInvalidResponseError(`${provider.name} returned ${invalid.length} empty or invalid item(s)`);
     }
+  };
 
-    const data = await response.json();
-    const candidate = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  // 同時実行数・レート制限はスケジューラがエンジン（モデル）ごとに全タブ共通で管理する
+  const translateItems = async (indices) => {
+    try {
+      await withRetry(
+        () => scheduleRequest(engine.label, provider, () => requestItems(getPending(indices)), { priority, owners }),
+        provider.name,
+        // ブロックはリトライしても変わらず、複数項目の形式の崩れは分割で対処する
+        error => isRetryableError(error) && !error.blocked &&
+          !(error.invalidResponse && getPending(indices).length > 1)
+      );
+    } catch (error) {
+      if (error.cancelled) throw error;
 
-    if (!candidate) {
-      throw new Error('No response from Gemini');
+      const pending = getPending(indices);
+      if (error.invalidResponse && pending.length > 1) {
+        const middle = Math.ceil(pending.length / 2);
+        await settleAll([translateItems(pending.slice(0, middle)), translateItems(pending.slice(middle))]);
+        return;
+      }
+      pending.forEach(index => {
+        errors[index] = error.message;
+      });
     }
+  };
 
-    // JSONパース（Markdownコードブロック除去を含む）
-    const cleanedJson = candidate.replace(/```json\n|```/g, '').trim();
-    const translatedTexts = JSON.parse(cleanedJson);
+  let offset = 0;
+  const batches = splitIntoBatches(texts, provider.maxBatchSize, provider.maxBatchChars).map(batch => {
+    const indices = batch.map((_, j) => offset + j);
+    offset += batch.length;
+    return indices;
+  });
 
-    if (!Array.isArray(translatedTexts) || translatedTexts.length !== texts.length) {
-      throw new Error('Gemini returned invalid response format or length mismatch');
-    }
+  // 全バッチの完了を待ってから取り消しを伝える（届いた分をキャッシュに保存するため）
+  await settleAll(batches.map(translateItems));
 
-    return translatedTexts;
+  return errors;
+}
 
-  } catch (error) {
-    console.error('Gemini Translation Failed:', error);
-    // フォールバックするかエラーを投げるか。今回はGoogle翻訳へフォールバックせずエラーを表示
-    throw error;
+/**
+ * 1バッチを翻訳（用語集を適用）
+ * ストリーミング対応のプロバイダでは、届いた項目から順に onItem に渡す
+ */
+async function translateBatchWithGlossary(engine, texts, sourceLang, targetLang, glossary, onItem) {
+  const { provider, config } = engine;
+  const relevant = findRelevantGlossary(texts, glossary);
+
+  const translate = (batchTexts, batchGlossary, emit) => (provider.translateStream && emit
+    ? provider.translateStream(batchTexts, sourceLang, targetLang, config, batchGlossary, emit)
+    : provider.translate(batchTexts, sourceLang, targetLang, config, batchGlossary));
+
+  if (relevant.length === 0) {
+    return translate(texts, [], onItem);
   }
+
+  if (provider.glossaryMode === 'prompt') {
+    return translate(texts, relevant, onItem);
+  }
+
+  // 用語をプレースホルダーに置換して翻訳し、固定訳・原文に戻す
+  const protectedTexts = texts.map(text => protectGlossaryTerms(text, relevant));
+  const restore = (text, i) => text && restoreGlossaryTerms(text, protectedTexts[i].replacements);
+  const translated = await translate(
+    protectedTexts.map(p => p.text), [], onItem && ((i, text) => onItem(i, restore(text, i)))
+  );
+  return translated.map(restore);
 }
 
 /**
- * Google翻訳APIを実行（バッチ処理・リトライ付き）
+ * テキスト数・文字数の上限でバッチに分割
+ * 上限を超える単一テキストはそれだけで1バッチとする
  */
-async function fetchTranslationsFromGoogle(texts, sourceLang, targetLang) {
-  const results = [];
-  const batchSize = 10; // 1リクエストあたりの最大テキスト数
-
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    const batchResults = await translateBatchGoogle(batch, sourceLang, targetLang);
-    // 単一の文字列が返された場合（batchサイズ1の時など）の対応
-    if (Array.isArray(batchResults)) {
-      results.push(...batchResults);
-    } else {
-      results.push(batchResults);
-    }
-
-    // レート制限対策: バッチ間にディレイ
-    if (i + batchSize < texts.length) {
-      await delay(200);
+function splitIntoBatches(texts, maxBatchSize, maxBatchChars) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const text of texts) {
+    if (current.length > 0 &&
+      (current.length >= maxBatchSize || currentChars + text.length > maxBatchChars)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
     }
+    current.push(text);
+    currentChars += text.length;
   }
+  if (current.length > 0) batches.push(current);
 
-  return results;
+  return batches;
 }
 
 /**
- * バッチ単位でGoogle翻訳APIにリクエスト
+ * リトライ付きで実行（最大3回、指数バックオフ または Retry-After）
+ * 認証エラーなどリトライしても結果が変わらない4xxは即座に失敗
+ * @param {(error: Error) => boolean} [shouldRetry] - リトライするエラーの判定
  */
-async function translateBatchGoogle(texts, sourceLang, targetLang) {
-  const url = new URL('https://translate.googleapis.com/translate_a/t');
-  url.searchParams.set('client', 'gtx');
-  url.searchParams.set('sl', sourceLang);
-  url.searchParams.set('tl', targetLang);
-  url.searchParams.set('dt', 't');
-
-  // 複数テキストをクエリパラメータとして追加
-  const params = new URLSearchParams();
-  params.set('client', 'gtx');
-  params.set('sl', sourceLang);
-  params.set('tl', targetLang);
-  params.set('dt', 't');
-  texts.forEach(text => params.append('q', text));
-
+async function withRetry(fn, label, shouldRetry = isRetryableError) {
   const maxRetries = 3;
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      const response = await fetch(
-        `https://translate.googleapis.com/translate_a/t?${params.toString()}`
-      );
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-
-      // レスポンス形式の正規化
-      // 単一テキストの場合: [翻訳文] or 翻訳文
-      // 複数テキストの場合: [[翻訳文1], [翻訳文2], ...]
-      if (texts.length === 1) {
-        if (Array.isArray(data)) {
-          return [Array.isArray(data[0]) ? data[0][0] : data[0]];
-        }
-        return [String(data)];
-      }
-
-      return data.map(item => {
-        if (Array.isArray(item)) return item[0];
-        return String(item);
-      });
+      return await fn();
     } catch (error) {
-      console.error(`Google翻訳リクエスト失敗 (試行 ${attempt + 1}/${maxRetries}):`, error);
-      if (attempt < maxRetries - 1) {
-        await delay(Math.pow(2, attempt) * 500); // 指数バックオフ
+      // 取り消されたリクエストはリトライしない
+      if (error.cancelled) throw error;
+
+      console.error(`${label} リクエスト失敗 (試行 ${attempt + 1}/${maxRetries}):`, error);
+      if (shouldRetry(error) && attempt < maxRetries - 1) {
+        // Retry-After があればそれに従い、なければ指数バックオフ
+        await delay(error.retryAfterMs ?? Math.pow(2, attempt) * 500);
       } else {
         throw error;
       }
@@ -233,6 +404,10 @@ async function translateBatchGoogle(texts, sourceLang, targetLang) {
   }
 }
 
+function isRetryableError(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -247,46 +422,455 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // 非同期レスポンス
   }
 
-  if (message.type === 'GET_STATE') {
-    chrome.storage.local.get(['isTranslating'], (result) => {
-      sendResponse({ isTranslating: result.isTranslating || false });
-    });
+  if (message.type === 'GET_PROVIDERS') {
+    sendResponse({ providers: getProviderMetadata() });
+    return false;
+  }
+
+  if (message.type === 'LOOKUP_WORD') {
+    lookupWord(message, sender)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
     return true;
   }
+
+  if (message.type === 'GET_CONFIGURED_PROVIDERS') {
+    Promise.all([getConfiguredProviders(), getSiteEngine(getRequestPageUrl(message, sender)).then(resolveEngine)])
+      .then(([providers, engine]) => sendResponse({ providers, currentEngine: engine.id }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_CACHE_STATS') {
+    getCacheStats()
+      .then(stats => sendResponse({ stats }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'CLEAR_CACHE') {
+    clearCache(message.scope)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'EXPORT_CACHE') {
+    exportCache()
+      .then(data => sendResponse({ data }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'IMPORT_CACHE') {
+    importCache(message.data)
+      .then(imported => sendResponse({ imported }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'TRANSLATION_PROGRESS') {
+    if (sender.tab?.id !== undefined) {
+      setFrameProgress(sender.tab.id, sender.frameId, message.progress);
+    }
+    return false;
+  }
+
+  if (message.type === 'GET_TAB_PROGRESS') {
+    sendResponse({ progress: getTabProgress(message.tabId) });
+    return false;
+  }
+
+  if (message.type === 'GET_TAB_TRANSLATED') {
+    isTabTranslated(sender.tab?.id)
+      .then(isTranslated => sendResponse({ isTranslated }))
+      .catch(() => sendResponse({ isTranslated: false }));
+    return true;
+  }
+
+  if (message.type === 'RETRY_FAILED_IN_TAB') {
+    retryFailedInTab(message.tabId)
+      .then(count => sendResponse({ count }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// --- 翻訳の進捗 ---
+
+const PROGRESS_BADGE_COLOR = '#4285f4';
+const FAILED_BADGE_COLOR = '#d93025';
+const PROGRESS_COUNT_KEYS = ['total', 'pending', 'loading', 'done', 'failed', 'cached'];
+
+// タブID → フレームID → そのフレームの進捗（Service Worker の再起動で失われ、次の通知で復元される）
+const frameProgress = new Map();
+
+/**
+ * フレームの進捗を記録し、タブ全体の進捗をバッジと Popup に反映
+ * @param {number} tabId
+ * @param {number} frameId
+ * @param {Object|null} progress - null はページを離れたフレーム
+ */
+function setFrameProgress(tabId, frameId, progress) {
+  let frames = frameProgress.get(tabId);
+  if (!frames) {
+    frames = new Map();
+    frameProgress.set(tabId, frames);
+  }
+  if (progress) {
+    frames.set(frameId, progress);
+  } else {
+    frames.delete(frameId);
+  }
+  if (frames.size === 0) frameProgress.delete(tabId);
+
+  const tabProgress = getTabProgress(tabId);
+  updateProgressBadge(tabId, tabProgress);
+  // Popup が開いていなければ受信先がなく失敗する
+  chrome.runtime.sendMessage({ type: 'TAB_TRANSLATION_PROGRESS', tabId, progress: tabProgress }).catch(() => {});
+}
+
+/**
+ * タブ内の全フレームの進捗を合算
+ * @returns {Object|null} 進捗を送ったフレームがなければ null
+ */
+function getTabProgress(tabId) {
+  const frames = frameProgress.get(tabId);
+  if (!frames) return null;
+
+  const sum = { isTranslated: false, error: '' };
+  PROGRESS_COUNT_KEYS.forEach(key => { sum[key] = 0; });
+  for (const progress of frames.values()) {
+    sum.isTranslated ||= progress.isTranslated;
+    sum.error ||= progress.error;
+    PROGRESS_COUNT_KEYS.forEach(key => { sum[key] += progress[key] || 0; });
+  }
+  return sum;
+}
+
+/**
+ * タブ内のいずれかのフレームが翻訳中か
+ * 進捗の記録がなければ（Service Worker の再起動後など）トップフレームに問い合わせる
+ */
+async function isTabTranslated(tabId) {
+  if (tabId === undefined) return false;
+  const progress = getTabProgress(tabId);
+  if (progress) return progress.isTranslated;
+  try {
+    const status = await chrome.tabs.sendMessage(tabId, { type: 'GET_STATUS' }, { frameId: 0 });
+    return !!status?.isTranslated;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * タブ内の全フレームで翻訳に失敗した要素を再翻訳
+ * 進捗を送ったフレームに個別に送り、再試行した件数を合算する
+ * 進捗の記録がなければ（Service Worker の再起動後など）トップフレームだけに送る
+ * @returns {Promise<number>} 再試行した要素の数
+ */
+async function retryFailedInTab(tabId) {
+  const frameIds = [...(frameProgress.get(tabId)?.keys() || [0])];
+  const counts = await Promise.all(frameIds.map(frameId =>
+    chrome.tabs.sendMessage(tabId, { type: 'RETRY_FAILED' }, { frameId })
+      .then(response => response?.count || 0)
+      // ページを離れたフレームなどは数えない
+      .catch(() => 0)
+  ));
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  frameProgress.delete(tabId);
 });
 
+/**
+ * タブごとのアイコンのバッジに翻訳の進捗を表示
+ * 翻訳中は完了した割合、完了後に失敗した要素があればその件数を表示する
+ * @param {number} tabId
+ * @param {{isTranslated: boolean, total: number, pending: number, loading: number, done: number, failed: number}} progress
+ */
+function updateProgressBadge(tabId, progress) {
+  let text = '';
+  let color = PROGRESS_BADGE_COLOR;
+  if (progress?.isTranslated && progress.total > 0) {
+    if (progress.pending + progress.loading > 0) {
+      text = `${Math.floor((progress.done + progress.failed) / progress.total * 100)}%`;
+    } else if (progress.failed > 0) {
+      text = String(progress.failed);
+      color = FAILED_BADGE_COLOR;
+    }
+  }
+  // タブを閉じた直後などは失敗するので無視する
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  if (text) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  }
+}
+
+/**
+ * 保存されている言語設定を取得
+ * @returns {Promise<{sourceLang: string, targetLang: string}>}
+ */
+async function getLanguageSettings() {
+  const { sourceLang, targetLang } = await chrome.storage.sync.get(['sourceLang', 'targetLang']);
+  return {
+    sourceLang: sourceLang || DEFAULT_SOURCE_LANG,
+    targetLang: targetLang || DEFAULT_TARGET_LANG
+  };
+}
+
+/**
+ * サイト別に指定された翻訳エンジン
+ * @param {string} [url] - ページのURL
+ * @returns {Promise<string|undefined>}
+ */
+async function getSiteEngine(url) {
+  if (!url) return undefined;
+  const { siteEngines = {} } = await chrome.storage.sync.get(['siteEngines']);
+  try {
+    return siteEngines[new URL(url).origin];
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * リクエスト元のページURL
+ * iframe 内の Content Script はタブではなくフレームのURL（サイト別ルール・外観・「このサイトで使う」と同じオリジン）
+ * PDFビューアなど拡張機能のページは、表示中の文書のURLを pageUrl で渡す
+ */
+function getRequestPageUrl(message, sender) {
+  return message.pageUrl || sender?.url || sender?.tab?.url;
+}
+
 /**
  * Content Scriptからの翻訳リクエストを処理
+ * 言語が指定されていない場合は保存済みの言語設定を使用
+ * エンジンは message.engine → サイト別の指定 → 共通の設定 の順に決める
+ * message.engine の指定がなければ、失敗した項目は代替エンジン（設定 fallbackEngines）で翻訳する
+ * 優先度は message.priority（'high' | 'normal' | 'low'、省略時は 'normal'）
+ * @param {Object} [options]
+ * @param {(index: number, translated: string, source: string, cached: boolean) => void} [options.onItem]
+ *   ストリーミング時に項目ごとに呼ばれる
+ * @param {Object} [options.owner] - 依頼元（取り消し用）
  */
-async function handleTranslateRequest(message) {
-  const { texts, sourceLang, targetLang } = message;
+async function handleTranslateRequest(message, sender, { onItem, owner } = {}) {
+  const { texts } = message;
 
   try {
-    const translated = await translateTexts(texts, sourceLang, targetLang);
-    return { translated };
+    const settings = await getLanguageSettings();
+    const sourceLang = message.sourceLang || settings.sourceLang;
+    const targetLang = message.targetLang || settings.targetLang;
+    const pageUrl = getRequestPageUrl(message, sender);
+    const [engines, glossary] = await Promise.all([
+      message.engine
+        ? resolveEngine(message.engine).then(engine => [engine])
+        : getSiteEngine(pageUrl).then(resolveEngineChain),
+      getApplicableGlossary(pageUrl)
+    ]);
+    const { translated, sources, errors } = await translateWithFallback(texts, sourceLang, targetLang, engines, {
+      glossary,
+      onItem,
+      priority: message.priority,
+      owner
+    });
+
+    // 全て失敗した場合はエラーとして返す
+    if (texts.length > 0 && errors.every(Boolean)) {
+      return { error: errors[0] };
+    }
+    // source: 最初に試したエンジン / sources: 各項目を実際に翻訳したエンジン
+    // errors: 翻訳できなかった項目の理由（翻訳できた項目は null）
+    return { translated, source: engines[0].label, sources, errors };
   } catch (error) {
     return { error: error.message };
   }
 }
 
+/**
+ * 単語・短いフレーズを辞書として引く（選択テキスト翻訳の辞書モード）
+ * サイトで使用中のエンジンが辞書に対応していなければ Google翻訳で引く
+ * @returns {Promise<DictionaryEntry & {source: string}>} source: 辞書を引いたエンジン
+ */
+async function lookupWord(message, sender) {
+  const settings = await getLanguageSettings();
+  const sourceLang = message.sourceLang || 'auto';
+  const targetLang = message.targetLang || settings.targetLang;
+
+  let engine = await getSiteEngine(getRequestPageUrl(message, sender)).then(resolveEngine);
+  if (!engine.provider.lookup) {
+    engine = await resolveEngine(DEFAULT_PROVIDER_ID);
+  }
+  const { provider, config } = engine;
+  const entry = await withRetry(
+    () => scheduleRequest(engine.label, provider,
+      () => provider.lookup(message.text, sourceLang, targetLang, config), { priority: 'high' }),
+    provider.name,
+    error => isRetryableError(error) && !error.blocked
+  );
+  return { ...entry, source: engine.label };
+}
+
+// --- ストリーミング翻訳 ---
+
+// ページ翻訳では Port で接続し、翻訳が確定した項目から順に返す
+// Content Script → { type: 'TRANSLATE', ... }（TRANSLATE メッセージと同じ）
+// Service Worker → { type: 'ITEM', index, translated, source, cached } を項目ごとに送り、
+//                   最後に { type: 'DONE', translated, source } または { type: 'ERROR', error }
+const TRANSLATE_STREAM_PORT = 'translate-stream';
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== TRANSLATE_STREAM_PORT) return;
+
+  // 翻訳の中止・ページの移動・タブを閉じた場合に切断される
+  // 切断後は送信せず、待機中のリクエストを取り消す（受信済みの項目はキャッシュに残る）
+  const owner = {};
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    cancelScheduledRequests(owner);
+  });
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type !== 'TRANSLATE') return;
+    const response = await handleTranslateRequest(message, port.sender, {
+      owner,
+      onItem: (index, translated, source, cached) => post({ type: 'ITEM', index, translated, source, cached })
+    });
+    post(response.error
+      ? { type: 'ERROR', error: response.error }
+      : { type: 'DONE', ...response });
+  });
+});
+
 // --- ショートカットキー ---
 
+// コマンド名 → トップフレームの Content Script へ送るメッセージ
+const COMMAND_MESSAGES = {
+  'cycle-display-mode': 'CYCLE_DISPLAY_MODE',
+  'start-element-picker': 'START_ELEMENT_PICKER',
+  'toggle-read-aloud': 'TOGGLE_READ_ALOUD',
+};
+
 chrome.commands.onCommand.addListener(async (command) => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+
+  // 翻訳のON/OFFはタブ内の全フレームをまとめて切り替える
   if (command === 'toggle-translate') {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab?.id) {
-      chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_TRANSLATE' });
+    const type = await isTabTranslated(tab.id) ? 'STOP_TRANSLATE' : 'START_TRANSLATE';
+    chrome.tabs.sendMessage(tab.id, { type });
+    return;
+  }
+
+  const type = COMMAND_MESSAGES[command];
+  if (type) {
+    chrome.tabs.sendMessage(tab.id, { type }, { frameId: 0 });
+  }
+});
+
+// --- 右クリックメニュー ---
+
+// PDFとみなすURL（Chrome のPDFビューアでは Content Script が動かないため、拡張機能のビューアで開く）
+const PDF_URL_PATTERNS = ['*://*/*.pdf', '*://*/*.pdf?*', '*://arxiv.org/pdf/*', 'file:///*.pdf'];
+
+// メニュー項目 → Content Script へのメッセージ
+// allFrames: タブ内の全フレームに送る / topFrame: トップフレームに送る（どちらもなければ右クリックしたフレーム）
+// openPdf: メッセージを送らず、リンク先・表示中のPDFをPDFビューアで開く
+const CONTEXT_MENU_ITEMS = [
+  { id: 'open-pdf-page', title: 'DuoReadのPDFビューアで開く', contexts: ['page'], documentUrlPatterns: PDF_URL_PATTERNS, openPdf: true },
+  { id: 'open-pdf-link', title: 'リンク先のPDFをDuoReadで開く', contexts: ['link'], targetUrlPatterns: PDF_URL_PATTERNS, openPdf: true },
+  { id: 'translate-page', title: 'このページを翻訳', contexts: ['page'], type: 'START_TRANSLATE', allFrames: true },
+  { id: 'translate-selection', title: '選択テキストを翻訳', contexts: ['selection'], type: 'TRANSLATE_SELECTION' },
+  { id: 'translate-block', title: 'このブロックだけ翻訳', contexts: ['page', 'link', 'image'], type: 'TRANSLATE_BLOCK' },
+  { id: 'translate-link-text', title: 'リンクテキスト・画像の代替テキストを翻訳', contexts: ['link', 'image'], type: 'TRANSLATE_LINK_TEXT' },
+  { id: 'never-translate-site', title: 'このサイトは翻訳しない', contexts: ['page'], type: 'NEVER_TRANSLATE_SITE', topFrame: true },
+];
+
+function getPdfViewerUrl(pdfUrl) {
+  return chrome.runtime.getURL(`pdf/viewer.html?file=${encodeURIComponent(pdfUrl)}`);
+}
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const { id, title, contexts, documentUrlPatterns, targetUrlPatterns } of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({ id, title, contexts, documentUrlPatterns, targetUrlPatterns });
     }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find(({ id }) => id === info.menuItemId);
+  if (!item || !tab?.id) return;
+
+  if (item.openPdf) {
+    const viewerUrl = getPdfViewerUrl(info.linkUrl || info.pageUrl);
+    if (info.linkUrl) {
+      chrome.tabs.create({ url: viewerUrl, index: tab.index + 1 });
+    } else {
+      chrome.tabs.update(tab.id, { url: viewerUrl });
+    }
+    return;
+  }
+
+  const message = { type: item.type, text: info.selectionText };
+  if (item.allFrames) {
+    chrome.tabs.sendMessage(tab.id, message);
+  } else {
+    chrome.tabs.sendMessage(tab.id, message, { frameId: item.topFrame ? 0 : info.frameId || 0 });
   }
 });
 
 // --- インストール時の初期化 ---
 
-chrome.runtime.onInstalled.addListener((details) => {
+/**
+ * 旧形式の geminiApiKey を providerSettings.gemini.apiKey に移行
+ */
+async function migrateLegacyProviderSettings() {
+  const { geminiApiKey, providerSettings = {} } = await chrome.storage.sync.get(['geminiApiKey', 'providerSettings']);
+  if (!geminiApiKey) return;
+
+  if (!providerSettings.gemini?.apiKey) {
+    providerSettings.gemini = { ...providerSettings.gemini, apiKey: geminiApiKey };
+    await chrome.storage.sync.set({ providerSettings });
+  }
+  await chrome.storage.sync.remove('geminiApiKey');
+}
+
+/**
+ * 旧形式のキャッシュを、translateTexts と同じスコープ（resolveEngine のラベル）で移行
+ * 旧バージョンの Gemini は gemini-2.5-flash-lite 固定で、モデル設定の既定値と同じ
+ */
+async function migrateLegacyTranslationCache() {
+  const { providerSettings = {} } = await chrome.storage.sync.get(['providerSettings']);
+  await migrateLegacyCache((engine) => {
+    const provider = TRANSLATION_PROVIDERS[engine];
+    if (!provider) return null;
+    return getEngineLabel(engine, resolveProviderConfig(provider, providerSettings[engine]));
+  });
+}
+
+chrome.runtime.onInstalled.addListener(async (details) => {
+  // メニューは登録内容が保持されるため、インストール・更新時のみ作成
+  createContextMenus();
+
+  if (details.reason === 'update') {
+    // 旧バージョンの chrome.storage.local 上のキャッシュを IndexedDB へ移行
+    migrateLegacyTranslationCache().catch(error => console.error('キャッシュ移行エラー:', error));
+    migrateLegacyProviderSettings().catch(error => console.error('設定移行エラー:', error));
+  }
+
   if (details.reason === 'install') {
-    chrome.storage.local.set({
-      sourceLang: 'en',
-      targetLang: 'ja',
+    // 既存の同期設定がある場合は上書きしない
+    const { sourceLang, targetLang } = await chrome.storage.sync.get(['sourceLang', 'targetLang']);
+    chrome.storage.sync.set({
+      sourceLang: sourceLang || DEFAULT_SOURCE_LANG,
+      targetLang: targetLang || DEFAULT_TARGET_LANG,
     });
   }
 });
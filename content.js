@@ -10,8 +10,25 @@
     const TRANSLATE_CLASS = 'immersive-translate-result';
     const TRANSLATE_WRAPPER_CLASS = 'immersive-translate-wrapper';
     const TRANSLATING_CLASS = 'immersive-translate-loading';
+    const TRANSLATE_FAILED_CLASS = 'immersive-translate-failed';
     const TRANSLATED_ATTR = 'data-immersive-translated';
     const SOURCE_ATTR = 'data-source';
+    const SOURCE_LANG_ATTR = 'data-source-lang';
+    // Shadow DOM 内に読み込む content.css
+    const SHADOW_STYLE_CLASS = 'immersive-translate-style';
+    // 読み上げモード（読み上げる内容）
+    const READ_ALOUD_MODES = {
+        alternate: '原文 → 訳文',
+        original: '原文のみ',
+        translation: '訳文のみ'
+    };
+    const DEFAULT_READ_ALOUD_MODE = 'alternate';
+    // 読み上げ中のブロック・訳文 / 今読んでいる方
+    const READING_CLASS = 'immersive-translate-reading';
+    const SPEAKING_CLASS = 'immersive-translate-speaking';
+    const READER_CLASS = 'immersive-translate-reader';
+    // iframe 内では、ページ全体に対する操作（Popup・ショートカットキー）への応答はトップフレームが返す
+    const IS_TOP_FRAME = window === window.top;
 
     // 翻訳対象のブロック要素セレクタ
     const TARGET_SELECTORS = [
@@ -24,26 +41,537 @@
     const EXCLUDE_SELECTORS = [
         'code', 'pre', 'script', 'style', 'noscript',
         'input', 'textarea', 'select', 'button',
-        'nav', 'footer', 'header',
         '.immersive-translate-result',
         '.immersive-translate-wrapper',
         '[contenteditable="true"]',
         '[translate="no"]',
-        '.MathJax', '.jax', '.math', '.katex', '.mjx-chtml', // 数式除外
-        'table' // 表を除外
+        '.MathJax', '.jax', '.math', '.katex', '.mjx-chtml' // 数式除外
     ].join(',');
 
+    // ページレイアウト要素の除外（サイト別ルールで解除可能）
+    const LAYOUT_EXCLUDE_SELECTORS = [
+        'nav', 'footer', 'header'
+    ].join(',');
+
+    // 表の翻訳モード
+    //   stacked  : セル内の原文の下に翻訳文を表示
+    //   parallel : 表の直後に翻訳した表のコピー（対訳表）を表示
+    //   off      : 表を翻訳しない
+    const DEFAULT_TABLE_MODE = 'stacked';
+    const TABLE_CELL_SELECTOR = 'td, th';
+    const TABLE_COPY_CLASS = 'immersive-translate-table-copy';
+    const TABLE_COLLAPSED_CLASS = 'immersive-translate-table-collapsed';
+    // 対訳表を持つ原文の表（翻訳のみモードで隠す）
+    const TABLE_SOURCE_CLASS = 'immersive-translate-table-source';
+
+    // サイト別ルールのデフォルト値
+    const DEFAULT_SITE_RULE = {
+        autoTranslate: false,
+        neverTranslate: false,
+        includeSelectors: [],
+        excludeSelectors: [],
+        translateLayoutElements: false
+    };
+
+    // 言語設定のデフォルト値（background.js と同じ）
+    const DEFAULT_SOURCE_LANG = 'en';
+    const DEFAULT_TARGET_LANG = 'ja';
+
+    // 文字種で判定できる言語のパターン
+    // ※ラテン文字系の言語（en, de, fr 等）は文字種だけでは区別できないため判定しない
+    // ※漢字は日本語と中国語で共通のため、仮名を含むかどうかで区別する（KANA_PATTERN）
+    const LANGUAGE_SCRIPT_PATTERNS = {
+        ja: /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FFF]/g,
+        zh: /[\u4E00-\u9FFF]/g,
+        ko: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/g,
+        ru: /[\u0400-\u04FF]/g,
+        uk: /[\u0400-\u04FF]/g,
+        ar: /[\u0600-\u06FF]/g,
+        th: /[\u0E00-\u0E7F]/g,
+        hi: /[\u0900-\u097F]/g
+    };
+    const KANA_PATTERN = /[\u3040-\u309F\u30A0-\u30FF]/;
+
+    // 翻訳文でも書式を保持するインライン要素（対のプレースホルダー __TAG_n__ ... __END_n__ で囲んで翻訳する）
+    const INLINE_FORMAT_TAGS = [
+        'a', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark',
+        'small', 'sub', 'sup', 'abbr', 'kbd', 'cite', 'q', 'dfn'
+    ].join(',');
+    // 翻訳文のリンクに引き継ぐプロトコル（javascript: 等は除外）
+    const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    // 拡張機能自身が挿入する要素（DOM監視で無視する）
+    const OWN_NODE_SELECTORS = [
+        `.${TRANSLATE_CLASS}`,
+        `.${TRANSLATING_CLASS}`,
+        `.${TRANSLATE_FAILED_CLASS}`,
+        '.immersive-translate-popup-btn',
+        '.immersive-translate-popup-card',
+        '.immersive-translate-toast',
+        '.immersive-translate-picker-highlight',
+        `.${READER_CLASS}`,
+        `.${SHADOW_STYLE_CLASS}`
+    ].join(',');
+
+    // 単語帳に保存した単語のハイライト
+    const VOCABULARY_HIGHLIGHT_CLASS = 'immersive-translate-vocabulary-highlight';
+    // ハイライトしない要素（入力欄・コード・拡張機能自身の要素など）
+    const VOCABULARY_SKIP_SELECTORS = [
+        'script', 'style', 'noscript', 'textarea', 'input', 'select', 'code', 'pre',
+        '[contenteditable]', `.${VOCABULARY_HIGHLIGHT_CLASS}`, OWN_NODE_SELECTORS
+    ].join(',');
+
+    // 書き出し（翻訳済みブロック以外で残す要素・たどらない要素）
+    const EXPORT_BLOCK_SELECTORS = 'pre, img, math, .MathJax, .katex, mjx-container, script[type^="math/"]';
+    const EXPORT_SKIP_SELECTORS = [
+        'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas',
+        'nav', 'footer', 'aside', 'form', 'button', 'input', 'select', 'textarea', '[hidden]'
+    ].join(',');
+
+    // 動的コンテンツ検知後、翻訳を開始するまでの待機時間(ms)
+    const MUTATION_DEBOUNCE_MS = 500;
+
+    // 表示モード（html要素に付与するクラスで切り替える）
+    const DISPLAY_MODES = {
+        bilingual: '原文と翻訳',
+        translation: '翻訳のみ',
+        original: '原文のみ（ホバーで翻訳）',
+        learning: '学習モード（クリックで翻訳）'
+    };
+    const DEFAULT_DISPLAY_MODE = 'bilingual';
+    const DISPLAY_MODE_CLASS_PREFIX = 'immersive-translate-mode-';
+    const REVEALED_CLASS = 'immersive-translate-revealed';
+
     let isTranslated = false;
     let isTranslating = false;
 
+    // 翻訳済み要素 → 翻訳時の原文テキスト（原文の変更検知用）
+    const sourceTexts = new WeakMap();
+    // 翻訳文要素 → 原文要素（原文削除時の後始末用）
+    const translationOrigins = new WeakMap();
+    // 原文の表 → 対訳表 / 原文の表内の要素 → 対訳表内の対応する要素
+    const tableCopies = new WeakMap();
+    const tableCopyElements = new WeakMap();
+    let settings = {
+        sourceLang: DEFAULT_SOURCE_LANG,
+        targetLang: DEFAULT_TARGET_LANG,
+        translateOffscreen: true,
+        displayMode: DEFAULT_DISPLAY_MODE,
+        hasSiteDisplayMode: false,
+        tableMode: DEFAULT_TABLE_MODE,
+        highlightVocabulary: false,
+        readAloudMode: DEFAULT_READ_ALOUD_MODE,
+        readAloudVoices: {},
+        appearance: normalizeAppearance(),
+        siteRule: DEFAULT_SITE_RULE,
+        targetSelector: TARGET_SELECTORS,
+        excludeSelector: `${EXCLUDE_SELECTORS},${LAYOUT_EXCLUDE_SELECTORS}`
+    };
+
+    // --- 設定 ---
+
+    /**
+     * 保存されている設定を読み込む
+     */
+    async function loadSettings() {
+        const {
+            sourceLang, targetLang, translateOffscreen, displayMode, siteDisplayModes, siteRules, tableMode,
+            highlightVocabulary, readAloudMode, readAloudVoices, appearance, siteAppearances
+        } = await chrome.storage.sync.get([
+            'sourceLang', 'targetLang', 'translateOffscreen', 'displayMode', 'siteDisplayModes', 'siteRules', 'tableMode',
+            'highlightVocabulary', 'readAloudMode', 'readAloudVoices', 'appearance', 'siteAppearances'
+        ]);
+        // 表示モードはサイト別設定を優先
+        const siteDisplayMode = siteDisplayModes?.[location.origin];
+        const siteRule = resolveSiteRule(siteRules, location.href);
+
+        settings = {
+            sourceLang: sourceLang || DEFAULT_SOURCE_LANG,
+            targetLang: targetLang || DEFAULT_TARGET_LANG,
+            translateOffscreen: translateOffscreen !== false,
+            displayMode: siteDisplayMode || displayMode || DEFAULT_DISPLAY_MODE,
+            hasSiteDisplayMode: !!siteDisplayMode,
+            tableMode: tableMode || DEFAULT_TABLE_MODE,
+            highlightVocabulary: !!highlightVocabulary,
+            readAloudMode: READ_ALOUD_MODES[readAloudMode] ? readAloudMode : DEFAULT_READ_ALOUD_MODE,
+            readAloudVoices: readAloudVoices || {},
+            // 外観はサイト別設定を優先
+            appearance: resolveAppearance(appearance, siteAppearances, location.href),
+            siteRule,
+            targetSelector: [TARGET_SELECTORS, ...siteRule.includeSelectors].join(','),
+            excludeSelector: [
+                EXCLUDE_SELECTORS,
+                ...(siteRule.translateLayoutElements ? [] : [LAYOUT_EXCLUDE_SELECTORS]),
+                ...(tableMode === 'off' ? ['table'] : []),
+                ...siteRule.excludeSelectors
+            ].join(',')
+        };
+        return settings;
+    }
+
+    loadSettings().then(async () => {
+        applyDisplayMode();
+        watchPageColorScheme();
+        highlightVocabulary();
+        if (settings.siteRule.neverTranslate) return;
+        // 自動翻訳ルールが設定されたサイト、翻訳中のタブに後から読み込まれた iframe では読み込み時に翻訳
+        if (settings.siteRule.autoTranslate || (!IS_TOP_FRAME && await isTabTranslated())) {
+            translatePage();
+        }
+    });
+
+    /**
+     * タブ内のいずれかのフレームが翻訳中か（Service Worker に問い合わせる）
+     */
+    async function isTabTranslated() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_TAB_TRANSLATED' });
+            return !!response?.isTranslated;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Popupで設定が変更されたら反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.vocabulary) {
+            highlightVocabulary();
+            return;
+        }
+        if (areaName !== 'sync') return;
+        const highlightChanged = !!changes.highlightVocabulary;
+        loadSettings().then(() => {
+            applyDisplayMode();
+            updateAppearance();
+            if (highlightChanged) highlightVocabulary();
+        });
+    });
+
+    // --- サイト別ルール ---
+
+    /**
+     * CSSセレクタとして有効か
+     */
+    function isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 現在のURLに一致するサイトルールを統合して返す
+     * より長い（具体的な）パターンのルールを優先し、セレクタは結合する
+     * @param {Object<string, Object>} siteRules - パターン → ルール
+     * @param {string} url
+     */
+    function resolveSiteRule(siteRules = {}, url) {
+        const matched = Object.entries(siteRules)
+            .filter(([pattern]) => matchesSitePattern(pattern, url))
+            .sort(([a], [b]) => a.length - b.length)
+            .map(([, rule]) => rule);
+
+        return matched.reduce((merged, rule) => ({
+            ...merged,
+            ...rule,
+            includeSelectors: [...merged.includeSelectors, ...(rule.includeSelectors || []).filter(isValidSelector)],
+            excludeSelectors: [...merged.excludeSelectors, ...(rule.excludeSelectors || []).filter(isValidSelector)]
+        }), DEFAULT_SITE_RULE);
+    }
+
+    /**
+     * ページから変更するサイトルールのキー
+     * 現在のURLに一致する最も具体的なルール（Popupの編集対象と同じ）、なければオリジン
+     */
+    function getSiteRuleKey(siteRules) {
+        return Object.keys(siteRules)
+            .filter(pattern => matchesSitePattern(pattern, location.href))
+            .sort((a, b) => b.length - a.length)[0] || location.origin;
+    }
+
+    /**
+     * 現在のサイトのルールにセレクタを追加して保存
+     * @param {'includeSelectors'|'excludeSelectors'} listName
+     * @param {string} selector
+     */
+    async function addSiteRuleSelector(listName, selector) {
+        const { siteRules = {} } = await chrome.storage.sync.get(['siteRules']);
+        const key = getSiteRuleKey(siteRules);
+        const rule = siteRules[key] || {};
+        const selectors = rule[listName] || [];
+        if (selectors.includes(selector)) return;
+
+        siteRules[key] = { ...rule, [listName]: [...selectors, selector] };
+        await chrome.storage.sync.set({ siteRules });
+    }
+
+    /**
+     * 現在のサイトを「翻訳しない」に設定し、表示中の翻訳を解除
+     */
+    async function neverTranslateSite() {
+        const { siteRules = {} } = await chrome.storage.sync.get(['siteRules']);
+        const key = getSiteRuleKey(siteRules);
+        siteRules[key] = { ...siteRules[key], autoTranslate: false, neverTranslate: true };
+        await chrome.storage.sync.set({ siteRules });
+
+        removeAllTranslations();
+        showToast('このサイトは翻訳しない設定にしました');
+    }
+
+    /**
+     * 要素を特定するCSSセレクタを生成
+     * 固定の id を持つ最も近い祖先（なければ body）から :nth-of-type でたどる
+     * セレクタは Shadow DOM の境界を越えて一致しないため、Shadow DOM 内の要素は null
+     * @returns {string|null}
+     */
+    function getStableSelector(element) {
+        const parts = [];
+        let el = element;
+        while (el && el !== document.body && el !== document.documentElement) {
+            if (el.parentNode instanceof ShadowRoot) return null;
+            if (isStableId(el.id)) {
+                parts.unshift(`#${CSS.escape(el.id)}`);
+                return parts.join(' > ');
+            }
+            const tagName = el.localName;
+            const sameTagSiblings = [...el.parentElement.children].filter(sibling => sibling.localName === tagName);
+            parts.unshift(sameTagSiblings.length > 1
+                ? `${tagName}:nth-of-type(${sameTagSiblings.indexOf(el) + 1})`
+                : tagName);
+            el = el.parentElement;
+        }
+        parts.unshift('body');
+        return parts.join(' > ');
+    }
+
+    /**
+     * 再訪問時も変わらないと考えられる id か
+     * フレームワークが自動生成する連番・ハッシュ風の id（ember123, r-1a2b3c 等）は使わない
+     */
+    function isStableId(id) {
+        return !!id && /^[A-Za-z][\w-]*$/.test(id) && !/\d{3,}|[a-z]\d[a-z]\d/i.test(id);
+    }
+
+    // --- 表示モード ---
+
+    /**
+     * 現在の表示モードをページに反映（翻訳の再リクエストは不要）
+     */
+    function applyDisplayMode() {
+        const root = document.documentElement;
+        for (const mode of Object.keys(DISPLAY_MODES)) {
+            root.classList.toggle(DISPLAY_MODE_CLASS_PREFIX + mode, mode === settings.displayMode);
+        }
+        // 学習モードを抜けたら表示済みの状態をリセット
+        if (settings.displayMode !== 'learning') {
+            queryTranslatedElements(`.${REVEALED_CLASS}`).forEach(el => el.classList.remove(REVEALED_CLASS));
+        }
+    }
+
+    /**
+     * 表示モードを次のモードに切り替えて保存
+     * サイト別の設定がある場合はそちらを更新する
+     */
+    async function cycleDisplayMode() {
+        const modes = Object.keys(DISPLAY_MODES);
+        const next = modes[(modes.indexOf(settings.displayMode) + 1) % modes.length];
+
+        if (settings.hasSiteDisplayMode) {
+            const { siteDisplayModes = {} } = await chrome.storage.sync.get(['siteDisplayModes']);
+            siteDisplayModes[location.origin] = next;
+            await chrome.storage.sync.set({ siteDisplayModes });
+        } else {
+            await chrome.storage.sync.set({ displayMode: next });
+        }
+        showToast(`表示モード: ${DISPLAY_MODES[next]}`);
+    }
+
+    // --- 訳文の外観 ---
+    // テーマ・フォント・文字色（オプションページで設定）を訳文の要素ごとにクラスと CSS 変数で適用する
+    // ページの背景が暗い場合は暗い背景向けの配色にし、ページ側のダークモード切り替えにも追従する
+
+    let pageIsDark = false;
+    let colorSchemeTimer = null;
+
+    /**
+     * 挿入済みの訳文すべてに現在の外観を適用
+     */
+    function updateAppearance() {
+        queryTranslatedElements(`.${TRANSLATE_CLASS}`)
+            .forEach(el => applyAppearance(el, settings.appearance, pageIsDark));
+    }
+
+    /**
+     * ページの背景が暗いか
+     * body・html の背景色で判断し、どちらも透明なら（子要素で背景を塗るサイトなど）本文の文字色の明るさで判断する
+     */
+    function detectDarkPage() {
+        for (const el of [document.body, document.documentElement]) {
+            if (!el) continue;
+            const background = parseRgbColor(getComputedStyle(el).backgroundColor);
+            if (background && background.alpha > 0.5) return getRelativeLuminance(background) < 0.4;
+        }
+        const text = parseRgbColor(getComputedStyle(document.body || document.documentElement).color);
+        return !!text && getRelativeLuminance(text) > 0.6;
+    }
+
+    /**
+     * getComputedStyle の色（rgb() / rgba()）を解析
+     * @returns {{r: number, g: number, b: number, alpha: number}|null}
+     */
+    function parseRgbColor(value) {
+        const match = value.match(/^rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)$/);
+        if (!match) return null;
+        const [, r, g, b, alpha = '1'] = match;
+        return { r: Number(r), g: Number(g), b: Number(b), alpha: Number(alpha) };
+    }
+
+    /**
+     * 色の明るさ（0: 黒 〜 1: 白）
+     */
+    function getRelativeLuminance({ r, g, b }) {
+        return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+    }
+
+    /**
+     * ページの配色の変更を監視する（OS のダークモード、html・body のクラスや属性によるテーマ切り替え）
+     */
+    function watchPageColorScheme() {
+        pageIsDark = detectDarkPage();
+        const refresh = () => {
+            clearTimeout(colorSchemeTimer);
+            // 背景色のトランジションが終わってから判断する
+            colorSchemeTimer = setTimeout(() => {
+                const isDark = detectDarkPage();
+                if (isDark === pageIsDark) return;
+                pageIsDark = isDark;
+                updateAppearance();
+            }, 300);
+        };
+        matchMedia('(prefers-color-scheme: dark)').addEventListener('change', refresh);
+        const observer = new MutationObserver(refresh);
+        for (const el of [document.documentElement, document.body]) {
+            if (!el) continue;
+            observer.observe(el, { attributes: true, attributeFilter: ['class', 'style', 'data-theme', 'data-color-mode'] });
+        }
+    }
+
+    // 学習モード: ぼかした翻訳文をクリックで表示
+    document.addEventListener('click', (e) => {
+        if (settings.displayMode !== 'learning') return;
+        // Shadow DOM 内のクリックは e.target がホスト要素になるため、実際にクリックされた要素から探す
+        const translationEl = e.composedPath()[0].closest?.(`.${TRANSLATE_CLASS}`);
+        if (!translationEl || translationEl.classList.contains(REVEALED_CLASS)) return;
+        // 表示前のクリックでリンクが開かないようにする
+        e.preventDefault();
+        e.stopPropagation();
+        translationEl.classList.add(REVEALED_CLASS);
+    }, true);
+
+    let toastEl = null;
+    let toastTimer = null;
+
+    /**
+     * 画面下部に短いメッセージを表示
+     */
+    function showToast(message) {
+        if (!toastEl) {
+            toastEl = document.createElement('div');
+            toastEl.className = 'immersive-translate-toast';
+            document.body.appendChild(toastEl);
+        }
+        toastEl.textContent = message;
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => {
+            toastEl.remove();
+            toastEl = null;
+        }, 2000);
+    }
+
+    // --- Shadow DOM ---
+    // Webコンポーネント内のテキストも翻訳するため、open な shadow root の中も探索する
+    // （closed な shadow root はページ側からも参照できないため対象外）
+
+    // 見つけた shadow root（DOM変更の監視対象に加える）
+    const knownShadowRoots = new Set();
+
+    /**
+     * root 以下の open な shadow root を入れ子も含めて取得
+     * @param {Document|Element|ShadowRoot} root
+     * @returns {ShadowRoot[]}
+     */
+    function getOpenShadowRoots(root) {
+        const shadowRoots = [];
+        const walk = (node) => {
+            const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+            for (let el = walker.currentNode; el; el = walker.nextNode()) {
+                if (!el.shadowRoot) continue;
+                shadowRoots.push(el.shadowRoot);
+                walk(el.shadowRoot);
+            }
+        };
+        walk(root);
+        return shadowRoots;
+    }
+
+    /**
+     * querySelectorAll を open な shadow root の中まで広げたもの
+     * @param {string} selector
+     * @param {Document|Element|ShadowRoot} [root]
+     * @returns {Element[]}
+     */
+    function querySelectorAllDeep(selector, root = document) {
+        const elements = [...root.querySelectorAll(selector)];
+        for (const shadowRoot of getOpenShadowRoots(root)) {
+            elements.push(...shadowRoot.querySelectorAll(selector));
+        }
+        return elements;
+    }
+
+    /**
+     * ページと翻訳対象を含む shadow root から要素を取得（翻訳文・翻訳状態の一括操作用）
+     * @param {string} selector
+     * @returns {Element[]}
+     */
+    function queryTranslatedElements(selector) {
+        const elements = [...document.querySelectorAll(selector)];
+        for (const shadowRoot of knownShadowRoots) {
+            elements.push(...shadowRoot.querySelectorAll(selector));
+        }
+        return elements;
+    }
+
+    /**
+     * 翻訳対象を含む shadow root に content.css を読み込み、DOM変更の監視対象に加える
+     * （ページのスタイルシートは shadow root の中に適用されないため）
+     */
+    function prepareShadowRoot(shadowRoot) {
+        if (knownShadowRoots.has(shadowRoot)) return;
+        knownShadowRoots.add(shadowRoot);
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = chrome.runtime.getURL('content.css');
+        link.className = SHADOW_STYLE_CLASS;
+        shadowRoot.prepend(link);
+        mutationObserver?.observe(shadowRoot, MUTATION_OBSERVER_OPTIONS);
+    }
+
     // --- 翻訳対象要素の収集 ---
 
     /**
-     * ページから翻訳対象のブロック要素を収集
+     * ページから翻訳対象のブロック要素を収集（open な shadow root の中を含む）
+     * @param {Document|Element} root - 探索の起点（省略時はページ全体）
      * @returns {Element[]}
      */
-    function collectTargetElements() {
-        const allElements = document.querySelectorAll(TARGET_SELECTORS);
+    function collectTargetElements(root = document) {
+        const { targetSelector, excludeSelector } = settings;
+        const allElements = querySelectorAllDeep(targetSelector, root);
+        if (root !== document && root.matches(targetSelector)) {
+            allElements.unshift(root);
+        }
         const targets = [];
 
         for (const el of allElements) {
@@ -51,24 +579,46 @@
             if (el.hasAttribute(TRANSLATED_ATTR)) continue;
 
             // 除外要素の中にある場合はスキップ
-            if (el.closest(EXCLUDE_SELECTORS)) continue;
+            if (el.closest(excludeSelector)) continue;
+
+            // サイト別ルールで追加した要素は、標準の翻訳対象を含む場合そちらに任せる（二重翻訳防止）
+            if (!el.matches(TARGET_SELECTORS) && el.querySelector(TARGET_SELECTORS)) continue;
+
+            // 段落やリストを含むセルは、中の要素をそれぞれ翻訳する
+            const isCell = isTableCell(el);
+            if (isCell && el.querySelector(TARGET_SELECTORS)) continue;
 
             // テキストが空または短すぎる場合はスキップ
             const { text } = getTranslatableText(el);
             if (!text || text.length < 2) continue;
 
-            // 日本語が大半のテキストはスキップ（既に日本語）
-            if (isMainlyJapanese(text)) continue;
+            // 数値・記号やコードだけのセルはスキップ
+            if (isCell && !hasWords(text)) continue;
 
+            // 翻訳先の言語で書かれた要素は、翻訳時に言語を検出してスキップする
             targets.push(el);
+
+            const elRoot = el.getRootNode();
+            if (elRoot instanceof ShadowRoot) prepareShadowRoot(elRoot);
         }
 
         return targets;
     }
 
+    function isTableCell(element) {
+        return element.matches(TABLE_CELL_SELECTOR);
+    }
+
+    /**
+     * プレースホルダーを除いたテキストに文字（数字・記号以外）が含まれるか
+     */
+    function hasWords(text) {
+        return /\p{L}/u.test(text.replace(/__(MATH|CODE|TAG|END)_\d+__/g, ''));
+    }
+
     /**
      * 翻訳対象テキストとプレースホルダーマップを取得
-     * @returns {{text: string, placeholderMap: Object}}
+     * @returns {{text: string, placeholderMap: Object, inlineTags: Object}}
      */
     function getTranslatableText(element) {
         // クローンを作成して処理（元のDOMを破壊しないため）
@@ -76,6 +626,10 @@
         const placeholderMap = {};
         let placeholderIndex = 0;
 
+        // 入れ子の要素に挿入済みの翻訳文・ローディング表示・エラー表示は原文に含めない
+        clone.querySelectorAll(`.${TRANSLATE_CLASS}, .${TRANSLATING_CLASS}, .${TRANSLATE_FAILED_CLASS}`)
+            .forEach(el => el.remove());
+
         // 数式要素を特定してプレースホルダーに置換
         const mathSelectors = [
             '.MathJax', '.jax', '.math', '.katex', '.mjx-chtml',
@@ -98,55 +652,126 @@
             el.textContent = ` ${id} `;
         });
 
+        // リンク・強調などのインライン要素は、中身を残して前後を対のプレースホルダーに置換
+        const inlineTags = {};
+        clone.querySelectorAll(INLINE_FORMAT_TAGS).forEach(el => {
+            if (!el.textContent.trim()) return;
+            const index = placeholderIndex++;
+            inlineTags[index] = { tagName: el.localName, attrs: getSafeInlineAttrs(el) };
+            el.replaceWith(`__TAG_${index}__`, ...el.childNodes, `__END_${index}__`);
+        });
+
         // 改行を空白に置換して1行にする
         const text = (clone.innerText || clone.textContent || '')
             .replace(/\s+/g, ' ')
             .trim();
 
-        return { text, placeholderMap };
+        return { text, placeholderMap, inlineTags };
     }
 
     /**
-     * プレースホルダーを含む翻訳文をHTMLに復元
+     * インライン要素から翻訳文に引き継ぐ属性（title と安全なリンク先のみ）
+     * 相対URLは翻訳文の挿入位置に依存しないよう絶対URLにする
      */
-    function restorePlaceholders(translatedText, placeholderMap) {
-        if (!translatedText) return '';
-        let html = escapeHtml(translatedText);
+    function getSafeInlineAttrs(element) {
+        const attrs = {};
+        const title = element.getAttribute('title');
+        if (title) attrs.title = title;
+
+        const href = element.localName === 'a' && element.getAttribute('href');
+        if (href) {
+            try {
+                const url = new URL(href, document.baseURI);
+                if (SAFE_LINK_PROTOCOLS.includes(url.protocol)) attrs.href = url.href;
+            } catch (e) {
+                // 不正なURLは引き継がない
+            }
+        }
+        return attrs;
+    }
 
-        // プレースホルダーを置換
-        for (const [id, originalHtml] of Object.entries(placeholderMap)) {
-            // 翻訳過程でスペースが入ったり全角になったりする場合に対応
-            // __MATH_0__ -> __MATH_ 0 __, ＿MATH_0＿ 等の揺らぎを吸収
-            const escapedId = id.replace(/_/g, '[_＿]');
-            const pattern = new RegExp(escapedId.split('').join('\\s*'), 'gi');
+    // --- 言語検出 ---
 
-            // 復元（HTMLとして挿入するため安全性を確認済みとする）
-            // ※originalHtmlはDOMから取得したものなので基本的には安全だが
-            // 念のため信頼済みソースとして扱う
-            html = html.replace(pattern, `<span class="immersive-translate-placeholder">${originalHtml}</span>`);
+    // 言語検出の前に取り除くプレースホルダー（__MATH_0__ / __TAG_0__ など）
+    const PLACEHOLDER_TOKEN_PATTERN = /__(?:MATH|CODE|TAG|END)_\d+__/g;
+    const languageNames = new Intl.DisplayNames(['ja'], { type: 'language' });
+
+    /**
+     * テキストの言語を検出（chrome.i18n.detectLanguage）
+     * @param {string} text
+     * @returns {Promise<string|null>} 言語コード（例: 'en', 'zh-CN'）。信頼できる結果が得られなければ null
+     */
+    async function detectLanguage(text) {
+        try {
+            const { isReliable, languages } = await chrome.i18n.detectLanguage(
+                text.replace(PLACEHOLDER_TOKEN_PATTERN, ' ')
+            );
+            if (!isReliable || languages.length === 0) return null;
+            const { language } = languages.reduce((a, b) => (b.percentage > a.percentage ? b : a));
+            return normalizeLanguageCode(language);
+        } catch (e) {
+            // 拡張機能の更新直後などは検出できない
+            return null;
         }
+    }
+
+    /**
+     * 検出結果の言語コードを翻訳APIに渡す形式にする
+     * 'und'（不明）やローマ字表記（'ja-Latn' など）は判定できなかったものとして扱う
+     */
+    function normalizeLanguageCode(code) {
+        if (!code || code === 'und' || code.endsWith('-Latn')) return null;
+        return code === 'zh' ? 'zh-CN' : code;
+    }
+
+    /**
+     * 2つの言語コードが同じ言語か（地域の指定がない場合は言語部分だけで比較）
+     * 例: 'en' と 'en-US' は同じ、'zh-CN' と 'zh-TW' は別
+     */
+    function isSameLanguage(a, b) {
+        const [langA, regionA] = a.toLowerCase().split('-');
+        const [langB, regionB] = b.toLowerCase().split('-');
+        if (langA !== langB) return false;
+        return !regionA || !regionB || regionA === regionB;
+    }
 
-        return html;
+    /**
+     * テキストが翻訳先の言語で書かれているか（翻訳不要か）
+     * 言語を検出できなかった場合は文字種で判定する
+     * @param {string} text
+     * @param {string|null} detectedLang - detectLanguage() の結果
+     */
+    function isInTargetLanguage(text, detectedLang) {
+        return detectedLang
+            ? isSameLanguage(detectedLang, settings.targetLang)
+            : isMainlyInLanguage(text, settings.targetLang);
     }
 
     /**
-     * HTMLエスケープ処理
+     * 言語コードの表示名（例: 'ko' → '韓国語'）
      */
-    function escapeHtml(text) {
-        return text
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+    function getLanguageName(code) {
+        try {
+            return languageNames.of(code) || code;
+        } catch (e) {
+            return code;
+        }
     }
 
     /**
-     * テキストが主に日本語かどうかを判定
+     * テキストが主に指定言語で書かれているかを判定（文字種による簡易判定）
+     * 文字種で判定できない言語の場合は常に false を返す
+     * @param {string} text
+     * @param {string} lang - 言語コード（例: 'ja', 'zh-CN'）
      */
-    function isMainlyJapanese(text) {
-        const japanesePattern = /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FFF]/g;
-        const matches = text.match(japanesePattern);
+    function isMainlyInLanguage(text, lang) {
+        const baseLang = lang.split('-')[0];
+        const pattern = LANGUAGE_SCRIPT_PATTERNS[baseLang];
+        if (!pattern) return false;
+        // 仮名のない漢字だけのテキストは中国語、仮名を含むテキストは日本語とみなす
+        const hasKana = KANA_PATTERN.test(text);
+        if ((baseLang === 'ja' && !hasKana) || (baseLang === 'zh' && hasKana)) return false;
+        const matches = text.match(pattern);
         if (!matches) return false;
         return matches.length / text.length > 0.3;
     }
@@ -155,188 +780,1420 @@
 
     /**
      * ページ全体の翻訳を実行
+     * 画面内の要素の翻訳が終わった時点で resolve する（残りは遅延翻訳）
      */
     async function translatePage() {
         if (isTranslating) return;
         isTranslating = true;
 
         try {
+            await loadSettings();
+            if (settings.siteRule.neverTranslate) {
+                showToast('このサイトは翻訳しない設定になっています');
+                return;
+            }
+
             const targets = collectTargetElements();
-            if (targets.length === 0) {
-                isTranslating = false;
+            if (targets.length === 0) return;
+
+            isTranslated = true;
+            startObservingMutations();
+
+            const visibleDone = waitForVisibleTranslations();
+            enqueueElements(targets);
+            await visibleDone;
+        } finally {
+            isTranslating = false;
+        }
+    }
+
+    // --- 遅延翻訳スケジューラ ---
+    // 翻訳対象要素は TRANSLATED_ATTR の状態で管理する
+    //   'pending' : キュー待ち / 'loading' : リクエスト中 / 'done' : 翻訳済み / 'failed' : 翻訳できなかった
+    //   'skipped' : 翻訳先の言語で書かれていたため翻訳しない
+    // 優先順位: 画面内 → スクロール方向の近傍 → （設定により）アイドル時に残り全て
+    // バッチは同じ優先度の候補を言語ごとにまとめてから作る（複数言語が混在してもリクエストを細切れにしない）
+
+    const BATCH_SIZE = 20;
+    // 言語でまとめる際に言語を検出する候補の数（優先度順の先頭から）
+    const LANGUAGE_GROUP_WINDOW = BATCH_SIZE * 5;
+    const TRANSLATE_STREAM_PORT = 'translate-stream';
+    // 「近傍」とみなす範囲（ビューポートの上下に画面1枚分）
+    const NEARBY_ROOT_MARGIN = '100% 0px';
+
+    // キュー待ちの要素（挿入順 = 概ね文書順）
+    const pendingElements = new Set();
+    // 要素ごとの原文の言語の検出結果（Promise<string|null>。キューに追加し直すと検出し直す）
+    const elementLanguages = new WeakMap();
+    const visibleElements = new Set();
+    const nearbyElements = new Set();
+    let visibilityObserver = null;
+    let nearbyObserver = null;
+    // 翻訳セッションの世代（解除時に進め、古いリクエストの結果を破棄する）
+    let translationGeneration = 0;
+    // 翻訳中のストリーミング接続の中止関数（翻訳の中止時に切断する）
+    const translationStreams = new Set();
+    let pumpingGeneration = null;
+    let visibleWaiters = [];
+    let scrollDirection = 1; // 1: 下方向, -1: 上方向
+    let lastScrollY = window.scrollY;
+
+    window.addEventListener('scroll', () => {
+        if (window.scrollY !== lastScrollY) {
+            scrollDirection = window.scrollY > lastScrollY ? 1 : -1;
+            lastScrollY = window.scrollY;
+        }
+    }, { passive: true });
+
+    /**
+     * 要素を翻訳キューに追加し、表示状態の監視を開始
+     * 実際の翻訳は IntersectionObserver の通知を受けて開始される
+     * @param {Element[]} targets - collectTargetElements() で収集した要素
+     */
+    function enqueueElements(targets) {
+        if (!visibilityObserver) {
+            visibilityObserver = new IntersectionObserver(
+                entries => handleIntersections(entries, visibleElements)
+            );
+            nearbyObserver = new IntersectionObserver(
+                entries => handleIntersections(entries, nearbyElements),
+                { rootMargin: NEARBY_ROOT_MARGIN }
+            );
+        }
+
+        for (const el of targets) {
+            el.setAttribute(TRANSLATED_ATTR, 'pending');
+            elementLanguages.delete(el);
+            pendingElements.add(el);
+            visibilityObserver.observe(el);
+            nearbyObserver.observe(el);
+        }
+        reportProgress();
+    }
+
+    function handleIntersections(entries, targetSet) {
+        for (const entry of entries) {
+            if (entry.isIntersecting) {
+                targetSet.add(entry.target);
+            } else {
+                targetSet.delete(entry.target);
+            }
+        }
+        pumpQueue();
+    }
+
+    /**
+     * 画面内の要素の翻訳完了を待つ Promise を返す
+     */
+    function waitForVisibleTranslations() {
+        return new Promise(resolve => visibleWaiters.push(resolve));
+    }
+
+    function resolveVisibleWaiters() {
+        visibleWaiters.forEach(resolve => resolve());
+        visibleWaiters = [];
+    }
+
+    /**
+     * 要素をキューから外し、監視を解除
+     */
+    function dequeueElement(el) {
+        pendingElements.delete(el);
+        visibleElements.delete(el);
+        nearbyElements.delete(el);
+        if (visibilityObserver) {
+            visibilityObserver.unobserve(el);
+            nearbyObserver.unobserve(el);
+        }
+    }
+
+    /**
+     * 優先度の高い要素（画面内 → 近傍）を次のバッチの候補として優先度順に返す
+     * @returns {Element[]} 該当なしの場合は空配列
+     */
+    function selectPriorityCandidates() {
+        // ページから削除された要素は破棄
+        for (const el of pendingElements) {
+            if (!el.isConnected) {
+                dequeueElement(el);
+                el.removeAttribute(TRANSLATED_ATTR);
+            }
+        }
+
+        const visible = [...pendingElements].filter(el => visibleElements.has(el));
+        if (visible.length > 0) {
+            return visible;
+        }
+
+        const nearby = [...pendingElements].filter(el => nearbyElements.has(el));
+        if (nearby.length === 0) return [];
+
+        // スクロール方向の先にある要素を、画面に近い順に優先
+        const viewportHeight = window.innerHeight;
+        const distanceAhead = el => {
+            const rect = el.getBoundingClientRect();
+            return scrollDirection > 0 ? rect.top - viewportHeight : -rect.bottom;
+        };
+        return nearby
+            .map(el => ({ el, distance: distanceAhead(el) }))
+            .sort((a, b) => {
+                const aAhead = a.distance >= 0;
+                const bAhead = b.distance >= 0;
+                if (aAhead !== bAhead) return aAhead ? -1 : 1;
+                return Math.abs(a.distance) - Math.abs(b.distance);
+            })
+            .map(({ el }) => el);
+    }
+
+    /**
+     * 候補のうち先頭の要素と同じ言語の要素を、優先度順に最大 BATCH_SIZE 件選ぶ
+     * @param {Element[]} candidates - 優先度順の候補
+     * @returns {Promise<Element[]>}
+     */
+    async function selectLanguageBatch(candidates) {
+        const scope = candidates.slice(0, LANGUAGE_GROUP_WINDOW);
+        const langs = await Promise.all(scope.map(getElementLanguage));
+        return scope.filter((el, i) => langs[i] === langs[0]).slice(0, BATCH_SIZE);
+    }
+
+    /**
+     * 要素の原文の言語を検出（結果は要素ごとに保持する）
+     * @returns {Promise<string|null>} detectLanguage() の結果
+     */
+    function getElementLanguage(el) {
+        if (!elementLanguages.has(el)) {
+            elementLanguages.set(el, detectLanguage(getTranslatableText(el).text));
+        }
+        return elementLanguages.get(el);
+    }
+
+    function waitForIdle() {
+        return new Promise(resolve => requestIdleCallback(resolve, { timeout: 2000 }));
+    }
+
+    /**
+     * キューが空になるまで優先度順にバッチを翻訳
+     * 同一世代で同時に実行されるのは1つだけ
+     */
+    async function pumpQueue() {
+        const generation = translationGeneration;
+        if (pumpingGeneration === generation) return;
+        pumpingGeneration = generation;
+
+        try {
+            while (generation === translationGeneration && pendingElements.size > 0) {
+                let candidates = selectPriorityCandidates();
+
+                if (candidates.length === 0) {
+                    resolveVisibleWaiters();
+                    if (!settings.translateOffscreen) break;
+
+                    // 画面外の要素はブラウザがアイドルの時に文書順で翻訳
+                    await waitForIdle();
+                    if (generation !== translationGeneration) break;
+                    candidates = selectPriorityCandidates();
+                    if (candidates.length === 0) {
+                        candidates = [...pendingElements];
+                    }
+                }
+
+                const batch = await selectLanguageBatch(candidates);
+                if (generation !== translationGeneration) break;
+                await translateBatch(batch, generation);
+            }
+        } finally {
+            if (pumpingGeneration === generation) {
+                pumpingGeneration = null;
+            }
+            if (generation === translationGeneration && pendingElements.size === 0) {
+                resolveVisibleWaiters();
+            }
+        }
+    }
+
+    /**
+     * 1バッチ分の要素を翻訳して結果を挿入
+     * 翻訳先の言語の要素はスキップ、残りは言語ごとにまとめてリクエストする
+     * （selectLanguageBatch() で同じ言語の要素を選ぶため、通常は1つのリクエストになる）
+     * 言語を検出できなかった要素は設定の翻訳元言語で翻訳する
+     * @param {Element[]} batch
+     * @param {number} generation - リクエスト時の翻訳セッション世代
+     */
+    async function translateBatch(batch, generation) {
+        const priority = getBatchPriority(batch);
+        batch.forEach(dequeueElement);
+
+        // 各要素のテキストとプレースホルダーマップを取得
+        const batchData = batch.map(el => getTranslatableText(el));
+        const detectedLangs = await Promise.all(batch.map(getElementLanguage));
+        if (generation !== translationGeneration) return;
+
+        const groups = new Map();
+        batch.forEach((el, i) => {
+            // 検出中に翻訳対象から外された要素
+            if (el.getAttribute(TRANSLATED_ATTR) !== 'pending') return;
+            const { text } = batchData[i];
+            if (isInTargetLanguage(text, detectedLangs[i])) {
+                el.setAttribute(TRANSLATED_ATTR, 'skipped');
+                sourceTexts.set(el, text);
                 return;
             }
+            const lang = detectedLangs[i] || '';
+            if (!groups.has(lang)) groups.set(lang, { elements: [], data: [] });
+            groups.get(lang).elements.push(el);
+            groups.get(lang).data.push(batchData[i]);
+        });
 
-            // バッチに分割して翻訳
-            const batchSize = 20;
-            for (let i = 0; i < targets.length; i += batchSize) {
-                const batch = targets.slice(i, i + batchSize);
-                // 各要素のテキストとプレースホルダーマップを取得
-                const batchData = batch.map(el => getTranslatableText(el));
-                const texts = batchData.map(d => d.text);
-
-                // ローディング表示
-                batch.forEach(el => {
-                    el.setAttribute(TRANSLATED_ATTR, 'loading');
-                    showLoadingIndicator(el);
-                });
+        await Promise.all([...groups].map(([lang, group]) =>
+            translateLanguageGroup(group.elements, group.data, lang || null, priority, generation)
+        ));
+        reportProgress();
+    }
+
+    /**
+     * 同じ言語の要素をまとめて翻訳して結果を挿入
+     * @param {Element[]} batch
+     * @param {{text: string, placeholderMap: Object, inlineTags: Object}[]} batchData - getTranslatableText() の結果
+     * @param {string|null} detectedLang - 検出した言語（null は設定の翻訳元言語で翻訳）
+     * @param {'high'|'normal'|'low'} priority
+     * @param {number} generation
+     */
+    async function translateLanguageGroup(batch, batchData, detectedLang, priority, generation) {
+        const sourceLang = detectedLang || settings.sourceLang;
+        const { targetLang } = settings;
+        const texts = batchData.map(d => d.text);
+
+        // ローディング表示
+        batch.forEach(el => {
+            el.setAttribute(TRANSLATED_ATTR, 'loading');
+            showLoadingIndicator(el);
+        });
+
+        // 翻訳結果を挿入（ストリーミングで届いた項目から順に）
+        // cached: Service Worker の翻訳キャッシュから返された項目
+        const applyTranslation = (index, translated, source, cached = false) => {
+            // 待機中に翻訳が解除された場合は結果を破棄
+            if (generation !== translationGeneration) return;
+            const el = batch[index];
+            // 挿入済みの要素、待機中に翻訳対象から外された要素（表の除外など）
+            if (!translated || el.getAttribute(TRANSLATED_ATTR) !== 'loading') return;
+            removeLoadingIndicator(el);
+            // プレースホルダーを復元して挿入
+            const translatedHtml = restorePlaceholders(
+                translated,
+                batchData[index].placeholderMap,
+                batchData[index].inlineTags
+            );
+            insertTranslation(el, translatedHtml, true, source, detectedLang); // HTMLとして挿入
+            el.setAttribute(TRANSLATED_ATTR, 'done');
+            sourceTexts.set(el, texts[index]);
+            if (cached) cachedCount++;
+            reportProgress();
+        };
+
+        let response = null;
+        let batchError = '';
+
+        try {
+            // Service Worker に翻訳リクエスト
+            response = await requestStreamingTranslation({
+                type: 'TRANSLATE',
+                texts: texts,
+                sourceLang,
+                targetLang,
+                priority
+            }, applyTranslation);
+            // sources: 代替エンジンで翻訳された項目はそのエンジン
+            response.translated.forEach((translated, index) => {
+                applyTranslation(index, translated, response.sources?.[index] || response.source);
+            });
+        } catch (error) {
+            console.error('翻訳バッチエラー:', error);
+            batchError = error.message;
+        }
+
+        if (generation !== translationGeneration) return;
+        // 翻訳されなかった要素にはエラーと再試行ボタンを表示
+        batch.forEach((el, index) => {
+            removeLoadingIndicator(el);
+            if (el.getAttribute(TRANSLATED_ATTR) === 'loading') {
+                markTranslationFailed(el, response?.errors?.[index] || batchError || '翻訳結果がありません');
+            }
+        });
+    }
+
+    /**
+     * Service Worker のリクエストスケジューラでの優先度（画面内 → 近傍 → 画面外）
+     * 他のタブの翻訳より、読んでいる箇所を先に翻訳させる
+     */
+    function getBatchPriority(batch) {
+        if (batch.some(el => visibleElements.has(el))) return 'high';
+        if (batch.some(el => nearbyElements.has(el))) return 'normal';
+        return 'low';
+    }
+
+    /**
+     * Service Worker と Port で接続して翻訳を依頼し、確定した項目から順に onItem に渡す
+     * 翻訳の中止時は切断し、以降の結果を受け取らない
+     * @param {Object} message - TRANSLATE メッセージ
+     * @param {(index: number, translated: string, source: string, cached: boolean) => void} onItem
+     * @returns {Promise<{translated: string[], source: string, sources: string[], errors: string[]}>}
+     */
+    function requestStreamingTranslation(message, onItem) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: TRANSLATE_STREAM_PORT });
+            const finish = (callback) => {
+                translationStreams.delete(cancel);
+                port.disconnect();
+                callback();
+            };
+            // 自分から切断しても onDisconnect は呼ばれないため、ここで終了させる
+            const cancel = () => finish(() => reject(new Error('翻訳が中止されました')));
+
+            translationStreams.add(cancel);
+            port.onMessage.addListener((response) => {
+                if (response.type === 'ITEM') {
+                    onItem(response.index, response.translated, response.source, response.cached);
+                } else if (response.type === 'DONE') {
+                    finish(() => resolve(response));
+                } else if (response.type === 'ERROR') {
+                    finish(() => reject(new Error(response.error)));
+                }
+            });
+            // Service Worker の停止などで切断された場合
+            port.onDisconnect.addListener(() => {
+                translationStreams.delete(cancel);
+                reject(new Error(chrome.runtime.lastError?.message || '翻訳の接続が切断されました'));
+            });
+            port.postMessage(message);
+        });
+    }
+
+    /**
+     * 遅延翻訳を中止し、キュー待ち・リクエスト中の処理を破棄
+     */
+    function cancelPendingTranslations() {
+        translationGeneration++;
+        if (visibilityObserver) {
+            visibilityObserver.disconnect();
+            nearbyObserver.disconnect();
+            visibilityObserver = null;
+            nearbyObserver = null;
+        }
+        pendingElements.clear();
+        visibleElements.clear();
+        nearbyElements.clear();
+        resolveVisibleWaiters();
+        translationStreams.forEach(cancel => cancel());
+    }
+
+    // --- 翻訳の進捗・失敗した要素 ---
+    // 進捗は Service Worker がタブ内の全フレーム分を合算し、アクションのバッジと Popup に表示する
+
+    const PROGRESS_REPORT_INTERVAL_MS = 250;
+    // キャッシュから翻訳した要素の数・最後に発生したエラー（翻訳の解除でリセット）
+    let cachedCount = 0;
+    let lastTranslationError = '';
+    let progressTimer = null;
+    // 進捗を送信したことがあるか（ページを離れる時に取り消す）
+    let progressSent = false;
+
+    /**
+     * 翻訳の進捗（要素の状態ごとの数）
+     * @returns {{isTranslated: boolean, total: number, pending: number, loading: number,
+     *   done: number, failed: number, cached: number, error: string}}
+     */
+    function getTranslationProgress() {
+        const counts = { pending: 0, loading: 0, done: 0, failed: 0 };
+        queryTranslatedElements(`[${TRANSLATED_ATTR}]`).forEach(el => {
+            const state = el.getAttribute(TRANSLATED_ATTR);
+            if (state in counts) counts[state]++;
+        });
+        return {
+            isTranslated,
+            total: counts.pending + counts.loading + counts.done + counts.failed,
+            ...counts,
+            cached: cachedCount,
+            error: lastTranslationError
+        };
+    }
+
+    /**
+     * 進捗を送信（連続した更新はまとめる）
+     * @param {boolean} [immediate] - すぐに送信する（翻訳の解除時など）
+     */
+    function reportProgress(immediate = false) {
+        if (immediate) {
+            clearTimeout(progressTimer);
+            progressTimer = null;
+            sendProgress();
+            return;
+        }
+        if (progressTimer) return;
+        progressTimer = setTimeout(() => {
+            progressTimer = null;
+            sendProgress();
+        }, PROGRESS_REPORT_INTERVAL_MS);
+    }
+
+    function sendProgress(progress = getTranslationProgress()) {
+        progressSent = progress !== null;
+        chrome.runtime.sendMessage({ type: 'TRANSLATION_PROGRESS', progress })
+            .catch(() => { }); // 拡張機能の更新直後などは送信できない
+    }
+
+    // ページを離れたらこのフレームの進捗を取り消し、戻る・進むで復元されたら送り直す
+    window.addEventListener('pagehide', () => {
+        if (progressSent) sendProgress(null);
+    });
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted && isTranslated) sendProgress();
+    });
+
+    /**
+     * 翻訳できなかった要素にエラーと再試行ボタンを表示
+     * 対訳表の要素は原文のまま表示し、Popupの「失敗した要素を再試行」で再試行する
+     */
+    function markTranslationFailed(element, message) {
+        element.setAttribute(TRANSLATED_ATTR, 'failed');
+        lastTranslationError = message;
+        removeFailureMarker(element);
+        if (getTableCopyCounterpart(element)) return;
+
+        const marker = document.createElement('div');
+        marker.className = TRANSLATE_FAILED_CLASS;
+        marker.title = message;
+
+        const label = document.createElement('span');
+        label.textContent = '翻訳できませんでした';
+
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.textContent = '再試行';
+        retryBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            retryFailedTranslations([element]);
+        });
+
+        marker.append(label, retryBtn);
+        translationOrigins.set(marker, element);
+        attachElement(element, marker);
+    }
+
+    function removeFailureMarker(element) {
+        getAttachedElement(element, TRANSLATE_FAILED_CLASS)?.remove();
+    }
+
+    /**
+     * 翻訳できなかった要素を再びキューに入れる
+     * @param {Element[]} [elements] - 省略時はページ内の全ての失敗した要素
+     * @returns {number} 再試行する要素の数
+     */
+    function retryFailedTranslations(elements = queryTranslatedElements(`[${TRANSLATED_ATTR}="failed"]`)) {
+        const targets = [...elements].filter(el => el.isConnected && el.getAttribute(TRANSLATED_ATTR) === 'failed');
+        if (targets.length === 0) return 0;
+
+        targets.forEach(removeFailureMarker);
+        lastTranslationError = '';
+        isTranslated = true;
+        startObservingMutations();
+        enqueueElements(targets);
+        return targets.length;
+    }
+
+    /**
+     * 翻訳文を元の要素の直下に挿入
+     * 表のセルではセル内の末尾に、対訳表モードでは対訳表の対応する要素に挿入する
+     * @param {HTMLElement} originalElement - 原文要素
+     * @param {string} content - 翻訳文（テキストまたはHTML）
+     * @param {boolean} isHtml - contentがHTMLかどうか
+     * @param {string} source - 翻訳したエンジン（例: 'google', 'gemini:gemini-2.5-flash-lite'）
+     * @param {string|null} [sourceLang] - 検出した原文の言語（ホバー時に表示）
+     */
+    function insertTranslation(originalElement, content, isHtml = false, source = 'google', sourceLang = null) {
+        const counterpart = getTableCopyCounterpart(originalElement);
+        if (counterpart) {
+            counterpart.setAttribute(SOURCE_ATTR, source);
+            setSourceLanguage(counterpart, sourceLang);
+            if (isHtml) {
+                counterpart.innerHTML = content;
+            } else {
+                counterpart.textContent = content;
+            }
+            return;
+        }
+
+        // 既存の翻訳要素を削除
+        getAttachedElement(originalElement, TRANSLATE_CLASS)?.remove();
+
+        // 翻訳文の要素を作成（セル内ではブロック要素）
+        const translationEl = document.createElement(isTableCell(originalElement) ? 'div' : originalElement.tagName);
+        translationEl.className = TRANSLATE_CLASS;
+        applyAppearance(translationEl, settings.appearance, pageIsDark);
+        translationEl.setAttribute(SOURCE_ATTR, source);
+        setSourceLanguage(translationEl, sourceLang);
+        translationOrigins.set(translationEl, originalElement);
+
+        if (isHtml) {
+            translationEl.innerHTML = content;
+        } else {
+            translationEl.textContent = content;
+        }
+
+        attachElement(originalElement, translationEl);
+        // 後から読み込まれた原文にも単語帳のハイライトを付ける
+        scheduleVocabularyHighlight(originalElement);
+    }
+
+    /**
+     * 翻訳文に原文の言語を記録し、ホバー時に表示する
+     */
+    function setSourceLanguage(translationEl, sourceLang) {
+        if (sourceLang) {
+            translationEl.setAttribute(SOURCE_LANG_ATTR, sourceLang);
+            translationEl.title = `原文の言語: ${getLanguageName(sourceLang)}`;
+        } else {
+            translationEl.removeAttribute(SOURCE_LANG_ATTR);
+            translationEl.removeAttribute('title');
+        }
+    }
+
+    /**
+     * 要素に付随する翻訳文・ローディング表示を取得
+     * 表のセルではセル内の末尾、それ以外は直後の兄弟要素
+     */
+    function getAttachedElement(element, className) {
+        const candidate = isTableCell(element) ? element.lastElementChild : element.nextElementSibling;
+        return candidate && candidate.classList.contains(className) ? candidate : null;
+    }
+
+    /**
+     * 翻訳文・ローディング表示を要素に付随させる（セルの外に要素を追加すると表が崩れるため）
+     */
+    function attachElement(element, node) {
+        if (isTableCell(element)) {
+            element.appendChild(node);
+        } else {
+            element.after(node);
+        }
+    }
+
+    /**
+     * ローディングインジケータを表示
+     * 対訳表では翻訳が届くまで原文を表示しておく
+     */
+    function showLoadingIndicator(element) {
+        if (getTableCopyCounterpart(element)) return;
+        if (getAttachedElement(element, TRANSLATING_CLASS)) return;
+
+        const loader = document.createElement('div');
+        loader.className = TRANSLATING_CLASS;
+        loader.textContent = '翻訳中...';
+        attachElement(element, loader);
+    }
+
+    /**
+     * ローディングインジケータを削除
+     */
+    function removeLoadingIndicator(element) {
+        getAttachedElement(element, TRANSLATING_CLASS)?.remove();
+    }
+
+    /**
+     * 指定要素の翻訳文・ローディング表示を削除し、未翻訳状態に戻す
+     */
+    function removeTranslation(element) {
+        removeLoadingIndicator(element);
+        removeFailureMarker(element);
+        getAttachedElement(element, TRANSLATE_CLASS)?.remove();
+
+        // 対訳表の対応する要素は原文に戻す
+        const counterpart = tableCopyElements.get(element);
+        if (counterpart) {
+            counterpart.replaceChildren(...element.cloneNode(true).childNodes);
+            counterpart.removeAttribute(SOURCE_ATTR);
+            setSourceLanguage(counterpart, null);
+        }
+
+        element.removeAttribute(TRANSLATED_ATTR);
+        sourceTexts.delete(element);
+    }
+
+    // --- 表の翻訳 ---
+
+    /**
+     * 対訳表モードで、表内の要素に対応する対訳表内の要素を取得（対訳表がなければ作成）
+     * 対訳表モード以外、表の外の要素、対訳表の作成後に追加された要素では null
+     */
+    function getTableCopyCounterpart(element) {
+        if (settings.tableMode !== 'parallel') return null;
+        const table = element.closest('table');
+        if (!table) return null;
+
+        const copy = tableCopies.get(table);
+        if (!copy || !copy.isConnected) {
+            createTableCopy(table);
+        }
+        return tableCopyElements.get(element) || null;
+    }
+
+    /**
+     * 表の直後に対訳表（表のコピー）を作成
+     * 原文の表には手を加えないため、列幅やレイアウトはそのまま保たれる
+     */
+    function createTableCopy(table) {
+        const tableClone = table.cloneNode(true);
+        const originals = table.querySelectorAll('*');
+        const clones = tableClone.querySelectorAll('*');
+        originals.forEach((el, i) => tableCopyElements.set(el, clones[i]));
+
+        // 状態属性・重複する id・挿入済みの翻訳文はコピーに持ち込まない
+        [tableClone, ...clones].forEach(el => {
+            el.removeAttribute(TRANSLATED_ATTR);
+            el.removeAttribute('id');
+        });
+        tableClone.querySelectorAll(OWN_NODE_SELECTORS).forEach(el => el.remove());
+
+        const copy = document.createElement('div');
+        copy.className = `${TRANSLATE_CLASS} ${TABLE_COPY_CLASS}`;
+        translationOrigins.set(copy, table);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'immersive-translate-table-toolbar';
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.type = 'button';
+        toggleBtn.textContent = '対訳表を隠す';
+        toggleBtn.addEventListener('click', () => {
+            const collapsed = copy.classList.toggle(TABLE_COLLAPSED_CLASS);
+            toggleBtn.textContent = collapsed ? '対訳表を表示' : '対訳表を隠す';
+        });
+
+        toolbar.append(toggleBtn);
+        // Shadow DOM 内の表はサイト別ルールのセレクタで指定できないため除外ボタンを出さない
+        if (getStableSelector(table)) {
+            const excludeBtn = document.createElement('button');
+            excludeBtn.type = 'button';
+            excludeBtn.textContent = 'この表を翻訳しない';
+            excludeBtn.addEventListener('click', () => excludeTable(table));
+            toolbar.append(excludeBtn);
+        }
+        copy.append(toolbar, tableClone);
+
+        tableCopies.get(table)?.remove();
+        tableCopies.set(table, copy);
+        table.classList.add(TABLE_SOURCE_CLASS);
+        table.after(copy);
+    }
+
+    /**
+     * 表をサイト別ルールの「翻訳しない要素」に追加し、表の翻訳を取り消す
+     */
+    async function excludeTable(table) {
+        await addSiteRuleSelector('excludeSelectors', getStableSelector(table));
+        removeTranslationsWithin(table);
+        showToast('この表を翻訳しない要素に追加しました');
+    }
+
+    /**
+     * 要素とその内部の翻訳（キュー待ち・対訳表を含む）を取り消す
+     */
+    function removeTranslationsWithin(root) {
+        const translated = [...root.querySelectorAll(`[${TRANSLATED_ATTR}]`)];
+        if (root.hasAttribute(TRANSLATED_ATTR)) translated.unshift(root);
+        translated.forEach(el => {
+            dequeueElement(el);
+            removeTranslation(el);
+        });
+
+        const tables = [...root.querySelectorAll('table')];
+        if (root.matches('table')) tables.unshift(root);
+        tables.forEach(table => {
+            tableCopies.get(table)?.remove();
+            tableCopies.delete(table);
+            table.classList.remove(TABLE_SOURCE_CLASS);
+        });
+    }
+
+    // --- 動的コンテンツの自動翻訳 ---
+
+    const MUTATION_OBSERVER_OPTIONS = { childList: true, subtree: true, characterData: true };
+    let mutationObserver = null;
+    let mutationTimer = null;
+    // 新たに追加された要素（翻訳対象の探索起点）
+    const pendingRoots = new Set();
+    // 原文が変更された可能性のある翻訳済み要素
+    const staleCandidates = new Set();
+
+    /**
+     * 拡張機能自身が挿入したノード（またはその内部）かどうか
+     */
+    function isOwnNode(node) {
+        const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return !!el && !!el.closest(OWN_NODE_SELECTORS);
+    }
+
+    /**
+     * 翻訳モード中のDOM変更の監視を開始
+     */
+    function startObservingMutations() {
+        if (mutationObserver || !document.body) return;
+        mutationObserver = new MutationObserver(handleMutations);
+        mutationObserver.observe(document.body, MUTATION_OBSERVER_OPTIONS);
+        // shadow root の中の変更は document.body の監視では通知されない
+        for (const shadowRoot of knownShadowRoots) {
+            if (shadowRoot.host.isConnected) mutationObserver.observe(shadowRoot, MUTATION_OBSERVER_OPTIONS);
+        }
+    }
+
+    /**
+     * DOM変更の監視を停止し、保留中の処理を破棄
+     */
+    function stopObservingMutations() {
+        if (mutationObserver) {
+            mutationObserver.disconnect();
+            mutationObserver = null;
+        }
+        clearTimeout(mutationTimer);
+        mutationTimer = null;
+        pendingRoots.clear();
+        staleCandidates.clear();
+    }
+
+    /**
+     * MutationObserver のコールバック
+     * 追加・変更されたブロックを記録し、まとめて翻訳するようデバウンスする
+     */
+    function handleMutations(mutations) {
+        let hasRelevantChange = false;
+
+        for (const mutation of mutations) {
+            if (isOwnNode(mutation.target)) continue;
+
+            // 翻訳文やローディング表示の挿入・削除のみの変更は無視（ループ防止）
+            if (mutation.type === 'childList') {
+                const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+                if (changedNodes.every(isOwnNode)) continue;
+            }
+
+            hasRelevantChange = true;
+            // shadow root 直下の変更ではホスト要素を起点にする
+            const targetEl = mutation.target.nodeType === Node.ELEMENT_NODE
+                ? mutation.target
+                : mutation.target.parentElement || mutation.target.host;
+            if (!targetEl) continue;
+
+            // 翻訳済み・スキップしたブロック内の変更は原文の更新として扱う
+            const translatedBlock = targetEl.closest(`[${TRANSLATED_ATTR}="done"], [${TRANSLATED_ATTR}="skipped"]`);
+            if (translatedBlock) {
+                staleCandidates.add(translatedBlock);
+                continue;
+            }
+
+            for (const node of mutation.addedNodes) {
+                if (isOwnNode(node)) continue;
+                const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+                if (!el) continue;
+                pendingRoots.add(el.closest(settings.targetSelector) || el);
+            }
+
+            if (mutation.type === 'characterData') {
+                pendingRoots.add(targetEl.closest(settings.targetSelector) || targetEl);
+            }
+        }
+
+        if (!hasRelevantChange) return;
+
+        clearTimeout(mutationTimer);
+        mutationTimer = setTimeout(flushPendingMutations, MUTATION_DEBOUNCE_MS);
+    }
+
+    /**
+     * 保留中のDOM変更を処理して翻訳
+     */
+    function flushPendingMutations() {
+        mutationTimer = null;
+        if (!isTranslated) return;
+
+        // 原文が変わった翻訳済みブロックは翻訳をやり直す
+        for (const el of staleCandidates) {
+            if (!el.isConnected) continue;
+            if (getTranslatableText(el).text !== sourceTexts.get(el)) {
+                removeTranslation(el);
+                pendingRoots.add(el);
+            }
+        }
+        staleCandidates.clear();
+
+        removeOrphanedTranslations();
+
+        const targets = new Set();
+        for (const root of pendingRoots) {
+            if (!root.isConnected) continue;
+            collectTargetElements(root).forEach(el => targets.add(el));
+            scheduleVocabularyHighlight(root);
+        }
+        pendingRoots.clear();
+
+        if (targets.size > 0) {
+            enqueueElements([...targets]);
+        }
+    }
+
+    /**
+     * 原文要素がページから削除された翻訳文・エラー表示を削除
+     */
+    function removeOrphanedTranslations() {
+        queryTranslatedElements(`.${TRANSLATE_CLASS}, .${TRANSLATE_FAILED_CLASS}`).forEach(el => {
+            const original = translationOrigins.get(el);
+            if (!original || !original.isConnected) {
+                el.remove();
+            }
+        });
+    }
+
+    // --- 翻訳解除 ---
+
+    /**
+     * すべての翻訳文を削除
+     */
+    function removeAllTranslations() {
+        stopReadAloud();
+        stopObservingMutations();
+        cancelPendingTranslations();
+        // 翻訳文要素を削除
+        queryTranslatedElements(`.${TRANSLATE_CLASS}`).forEach(el => el.remove());
+        // ローディング要素・エラー表示を削除
+        queryTranslatedElements(`.${TRANSLATING_CLASS}, .${TRANSLATE_FAILED_CLASS}`).forEach(el => el.remove());
+        // 翻訳済み属性を解除
+        queryTranslatedElements(`[${TRANSLATED_ATTR}]`).forEach(el => {
+            el.removeAttribute(TRANSLATED_ATTR);
+        });
+        queryTranslatedElements(`.${TABLE_SOURCE_CLASS}`).forEach(el => {
+            el.classList.remove(TABLE_SOURCE_CLASS);
+        });
+        isTranslated = false;
+        cachedCount = 0;
+        lastTranslationError = '';
+        reportProgress(true);
+    }
+
+    /**
+     * 指定要素（を含むブロック）だけを翻訳
+     * ページ全体の翻訳状態は変えない（続けてページ全体を翻訳することもできる）
+     */
+    function translateBlock(element) {
+        const block = element.closest(settings.targetSelector) || element;
+        const targets = collectTargetElements(block);
+        if (targets.length === 0) {
+            showToast('翻訳できるテキストがありません');
+            return;
+        }
+        enqueueElements(targets);
+    }
+
+    // --- 要素ピッカー ---
+    // カーソル下のブロックを強調表示し、クリックで翻訳対象に、Shift+クリックで除外対象に追加する
+
+    let pickerHighlight = null;
+    let pickedElement = null;
+
+    /**
+     * 要素ピッカーを開始
+     */
+    function startElementPicker() {
+        if (pickerHighlight) return;
+        pickerHighlight = document.createElement('div');
+        pickerHighlight.className = 'immersive-translate-picker-highlight';
+        document.body.appendChild(pickerHighlight);
+
+        document.addEventListener('mouseover', handlePickerHover, true);
+        document.addEventListener('click', handlePickerClick, true);
+        document.addEventListener('keydown', handlePickerKeydown, true);
+        window.addEventListener('scroll', updatePickerHighlight, true);
+        showToast('クリックで翻訳 / Shift+クリックで翻訳しない要素に追加 / Escで終了');
+    }
+
+    /**
+     * 要素ピッカーを終了
+     */
+    function stopElementPicker() {
+        if (!pickerHighlight) return;
+        pickerHighlight.remove();
+        pickerHighlight = null;
+        pickedElement = null;
+
+        document.removeEventListener('mouseover', handlePickerHover, true);
+        document.removeEventListener('click', handlePickerClick, true);
+        document.removeEventListener('keydown', handlePickerKeydown, true);
+        window.removeEventListener('scroll', updatePickerHighlight, true);
+    }
+
+    function handlePickerHover(e) {
+        const el = e.target;
+        // 拡張機能が挿入した要素・ページ全体は選択できない
+        if (!(el instanceof Element) || isOwnNode(el) || el === document.body || el === document.documentElement) return;
+        pickedElement = el;
+        updatePickerHighlight();
+    }
+
+    function updatePickerHighlight() {
+        if (!pickerHighlight || !pickedElement) return;
+        const rect = pickedElement.getBoundingClientRect();
+        Object.assign(pickerHighlight.style, {
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        pickerHighlight.dataset.label = pickedElement.localName;
+    }
+
+    async function handlePickerClick(e) {
+        if (!pickedElement) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const element = pickedElement;
+        const exclude = e.shiftKey;
+        stopElementPicker();
+
+        // ピッカーはページ側（document）で選ぶため Shadow DOM 内の要素は選ばれない
+        const selector = getStableSelector(element);
+        if (exclude) {
+            await addSiteRuleSelector('excludeSelectors', selector);
+            removeTranslationsWithin(element);
+            showToast('翻訳しない要素に追加しました');
+            return;
+        }
+
+        await addSiteRuleSelector('includeSelectors', selector);
+        // 追加したセレクタを反映してから翻訳対象を収集
+        await loadSettings();
+        translateBlock(element);
+    }
+
+    function handlePickerKeydown(e) {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        stopElementPicker();
+    }
+
+    // --- 読み上げ ---
+    // 翻訳済みのブロックを文書の順に Web Speech API で読み上げる（読み上げモードに応じて原文・訳文）
+    // 読み上げ中のブロックと訳文をハイライトし、画面外ならその位置までスクロールする
+    // 一時停止は speechSynthesis.pause() が長い発話で不安定なため、中断して再開時に文の先頭から読み直す
+
+    // { blocks, index, chunks, chunkIndex, paused, utterance, player }
+    let reader = null;
+
+    /**
+     * 読み上げを開始（読み上げ中なら終了）
+     */
+    function toggleReadAloud() {
+        if (reader) {
+            stopReadAloud();
+            return;
+        }
+        const blocks = queryTranslatedElements(`[${TRANSLATED_ATTR}="done"]`);
+        if (blocks.length === 0) {
+            showToast('翻訳済みのテキストがありません');
+            return;
+        }
+
+        // 画面内の最初のブロックから読み始める
+        const first = blocks.findIndex(el => el.getBoundingClientRect().bottom > 0);
+        reader = { blocks, index: -1, chunks: [], chunkIndex: 0, paused: false, utterance: null, player: createReaderPlayer() };
+        moveToReadingBlock(Math.max(first, 0));
+    }
+
+    /**
+     * 読み上げを終了してハイライトとプレーヤーを消す
+     * @param {string} [message] - 終了時に表示するメッセージ
+     */
+    function stopReadAloud(message) {
+        if (!reader) return;
+        const { player } = reader;
+        reader = null;
+        speechSynthesis.cancel();
+        clearReadingHighlight();
+        player.remove();
+        if (message) showToast(message);
+    }
 
-                try {
-                    // Service Worker に翻訳リクエスト
-                    const response = await chrome.runtime.sendMessage({
-                        type: 'TRANSLATE',
-                        texts: texts,
-                        sourceLang: 'en',
-                        targetLang: 'ja'
-                    });
-
-                    if (response.error) {
-                        console.error('翻訳エラー:', response.error);
-                        batch.forEach(el => {
-                            removeLoadingIndicator(el);
-                            el.removeAttribute(TRANSLATED_ATTR);
-                        });
-                        continue;
-                    }
+    /**
+     * 指定したブロックに移動して読み上げる（一時停止中は移動のみ）
+     */
+    function moveToReadingBlock(index) {
+        const state = reader;
+        state.utterance = null;
+        speechSynthesis.cancel();
+        clearReadingHighlight();
+
+        // 読み上げ中に翻訳が解除・削除されたブロックは飛ばす
+        let next = Math.max(index, 0);
+        let chunks = [];
+        for (; next < state.blocks.length; next++) {
+            chunks = getReadingChunks(state.blocks[next]);
+            if (chunks.length > 0) break;
+        }
+        if (next >= state.blocks.length) {
+            stopReadAloud('読み上げが終わりました');
+            return;
+        }
 
-                    // 翻訳結果を挿入
-                    batch.forEach((el, index) => {
-                        removeLoadingIndicator(el);
-                        if (response.translated[index]) {
-                            // プレースホルダーを復元して挿入
-                            const translatedHtml = restorePlaceholders(
-                                response.translated[index],
-                                batchData[index].placeholderMap
-                            );
-                            insertTranslation(el, translatedHtml, true); // HTMLとして挿入
-                            el.setAttribute(TRANSLATED_ATTR, 'done');
-                        }
-                    });
-                } catch (error) {
-                    console.error('翻訳バッチエラー:', error);
-                    batch.forEach(el => {
-                        removeLoadingIndicator(el);
-                        el.removeAttribute(TRANSLATED_ATTR);
-                    });
-                }
-            }
+        state.index = next;
+        state.chunks = chunks;
+        state.chunkIndex = 0;
+        const block = state.blocks[next];
+        block.classList.add(READING_CLASS);
+        getAttachedElement(block, TRANSLATE_CLASS)?.classList.add(READING_CLASS);
+        scrollToReadingBlock(block);
+        updateReaderPlayer();
+        if (!state.paused) speakReadingChunk();
+    }
 
-            isTranslated = true;
-        } finally {
-            isTranslating = false;
+    /**
+     * 読み上げる文の一覧（読み上げモードに応じて原文・訳文の順）
+     * 長い発話が途中で止まらないよう、文ごとに分けて読み上げる
+     * @returns {{element: Element, text: string, lang: string}[]}
+     */
+    function getReadingChunks(block) {
+        if (!block.isConnected || block.getAttribute(TRANSLATED_ATTR) !== 'done') return [];
+        const translationEl = getAttachedElement(block, TRANSLATE_CLASS);
+        const mode = settings.readAloudMode;
+
+        const parts = [];
+        if (mode !== 'translation') {
+            // 原文の言語は翻訳時に検出した言語（検出できなかった場合は設定の翻訳元言語）
+            const lang = translationEl?.getAttribute(SOURCE_LANG_ATTR) || settings.sourceLang;
+            parts.push({ element: block, text: getReadableText(block), lang });
+        }
+        if (mode !== 'original' && translationEl) {
+            parts.push({ element: translationEl, text: getReadableText(translationEl), lang: settings.targetLang });
         }
+
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+        return parts.flatMap(part => [...segmenter.segment(part.text)]
+            .map(({ segment }) => segment.trim())
+            .filter(Boolean)
+            .map(text => ({ ...part, text })));
     }
 
     /**
-     * 翻訳文を元の要素の直下に挿入
-     * @param {HTMLElement} originalElement - 原文要素
-     * @param {string} content - 翻訳文（テキストまたはHTML）
-     * @param {boolean} isHtml - contentがHTMLかどうか
+     * 要素の読み上げるテキスト（入れ子の翻訳文やローディング表示などを除く）
      */
-    function insertTranslation(originalElement, content, isHtml = false) {
-        // 既存の翻訳要素を削除
-        const existing = originalElement.nextElementSibling;
-        if (existing && existing.classList.contains(TRANSLATE_CLASS)) {
-            existing.remove();
+    function getReadableText(element) {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll(OWN_NODE_SELECTORS).forEach(el => el.remove());
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    function speakReadingChunk() {
+        const state = reader;
+        const chunk = state.chunks[state.chunkIndex];
+        if (!chunk) {
+            moveToReadingBlock(state.index + 1);
+            return;
         }
 
-        // 翻訳文の要素を作成
-        const translationEl = document.createElement(originalElement.tagName);
-        translationEl.className = TRANSLATE_CLASS;
-        translationEl.setAttribute(SOURCE_ATTR, 'google');
+        state.blocks[state.index].classList.toggle(SPEAKING_CLASS, chunk.element === state.blocks[state.index]);
+        getAttachedElement(state.blocks[state.index], TRANSLATE_CLASS)
+            ?.classList.toggle(SPEAKING_CLASS, chunk.element !== state.blocks[state.index]);
+
+        const utterance = new SpeechSynthesisUtterance(chunk.text);
+        applyVoiceSettings(utterance, chunk.lang);
+        const next = () => {
+            // 一時停止・移動・終了で中断された発話
+            if (reader !== state || state.utterance !== utterance) return;
+            state.chunkIndex++;
+            speakReadingChunk();
+        };
+        utterance.addEventListener('end', next);
+        utterance.addEventListener('error', (e) => {
+            if (e.error !== 'interrupted' && e.error !== 'canceled') console.warn('読み上げエラー:', e.error);
+            next();
+        });
+        state.utterance = utterance;
+        speechSynthesis.speak(utterance);
+    }
 
-        if (isHtml) {
-            translationEl.innerHTML = content;
+    function pauseOrResumeReading() {
+        const state = reader;
+        state.paused = !state.paused;
+        if (state.paused) {
+            state.utterance = null;
+            speechSynthesis.cancel();
         } else {
-            translationEl.textContent = content;
+            speakReadingChunk();
         }
+        updateReaderPlayer();
+    }
 
-        // 原文要素の直後に挿入
-        originalElement.after(translationEl);
+    function clearReadingHighlight() {
+        queryTranslatedElements(`.${READING_CLASS}`).forEach(el => el.classList.remove(READING_CLASS, SPEAKING_CLASS));
     }
 
     /**
-     * ローディングインジケータを表示
+     * 読み上げ中のブロックが画面外なら画面の中央までスクロール
      */
-    function showLoadingIndicator(element) {
-        const existing = element.nextElementSibling;
-        if (existing && existing.classList.contains(TRANSLATING_CLASS)) return;
-
-        const loader = document.createElement('div');
-        loader.className = TRANSLATING_CLASS;
-        loader.textContent = '翻訳中...';
-        element.after(loader);
+    function scrollToReadingBlock(block) {
+        const translationEl = getAttachedElement(block, TRANSLATE_CLASS);
+        const rect = block.getBoundingClientRect();
+        const bottom = translationEl ? translationEl.getBoundingClientRect().bottom : rect.bottom;
+        if (rect.top >= 0 && bottom <= window.innerHeight) return;
+        block.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
 
     /**
-     * ローディングインジケータを削除
+     * 言語ごとの音声・速度の設定を発話に適用（設定 readAloudVoices）
+     * @param {SpeechSynthesisUtterance} utterance
+     * @param {string} [lang] - 'auto' や省略時はブラウザの既定の音声
      */
-    function removeLoadingIndicator(element) {
-        const next = element.nextElementSibling;
-        if (next && next.classList.contains(TRANSLATING_CLASS)) {
-            next.remove();
-        }
+    function applyVoiceSettings(utterance, lang) {
+        if (!lang || lang === 'auto') return;
+        utterance.lang = lang;
+
+        // 'en' と 'en-US' のように地域だけが異なる設定も使う
+        const voices = settings.readAloudVoices;
+        const key = lang in voices ? lang : Object.keys(voices).find(code => isSameLanguage(code, lang));
+        const voiceSetting = key && voices[key];
+        if (!voiceSetting) return;
+
+        if (voiceSetting.rate) utterance.rate = voiceSetting.rate;
+        const voice = voiceSetting.voiceURI &&
+            speechSynthesis.getVoices().find(v => v.voiceURI === voiceSetting.voiceURI);
+        if (voice) utterance.voice = voice;
     }
 
-    // --- 翻訳解除 ---
-
     /**
-     * すべての翻訳文を削除
+     * 画面の隅に表示する読み上げのプレーヤー（前へ・一時停止/再開・次へ・終了）
      */
-    function removeAllTranslations() {
-        // 翻訳文要素を削除
-        document.querySelectorAll(`.${TRANSLATE_CLASS}`).forEach(el => el.remove());
-        // ローディング要素を削除
-        document.querySelectorAll(`.${TRANSLATING_CLASS}`).forEach(el => el.remove());
-        // 翻訳済み属性を解除
-        document.querySelectorAll(`[${TRANSLATED_ATTR}]`).forEach(el => {
-            el.removeAttribute(TRANSLATED_ATTR);
+    function createReaderPlayer() {
+        const player = document.createElement('div');
+        player.className = READER_CLASS;
+        player.innerHTML = `
+        <button type="button" data-action="previous" title="前のブロック">⏮</button>
+        <button type="button" data-action="toggle" title="一時停止">⏸</button>
+        <button type="button" data-action="next" title="次のブロック">⏭</button>
+        <span class="immersive-translate-reader-position"></span>
+        <button type="button" data-action="stop" title="読み上げを終了">×</button>
+      `;
+        player.addEventListener('click', (e) => {
+            const action = e.target.closest('button')?.dataset.action;
+            if (!action || !reader) return;
+            if (action === 'previous') moveToReadingBlock(reader.index - 1);
+            if (action === 'next') moveToReadingBlock(reader.index + 1);
+            if (action === 'toggle') pauseOrResumeReading();
+            if (action === 'stop') stopReadAloud();
         });
-        isTranslated = false;
+        document.body.appendChild(player);
+        return player;
     }
 
-    // --- トグル ---
-
-    /**
-     * 翻訳のON/OFFをトグル
-     */
-    async function toggleTranslate() {
-        if (isTranslated) {
-            removeAllTranslations();
-        } else {
-            await translatePage();
-        }
+    function updateReaderPlayer() {
+        const { player, paused, index, blocks } = reader;
+        const toggleBtn = player.querySelector('[data-action="toggle"]');
+        toggleBtn.textContent = paused ? '▶' : '⏸';
+        toggleBtn.title = paused ? '再開' : '一時停止';
+        player.querySelector('[data-action="previous"]').disabled = index === 0;
+        player.querySelector('.immersive-translate-reader-position').textContent =
+            `${index + 1} / ${blocks.length}（${READ_ALOUD_MODES[settings.readAloudMode]}）`;
     }
 
     // --- メッセージリスナー ---
 
+    // 翻訳の開始・解除・再試行はタブ内の全フレームに送られる
+    // iframe 内では処理だけ行い、応答はトップフレームが返す（最初の応答が Popup に届くため）
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.type === 'TOGGLE_TRANSLATE') {
-            toggleTranslate().then(() => {
-                sendResponse({ isTranslated });
-            });
-            return true;
-        }
-
         if (message.type === 'START_TRANSLATE') {
+            if (!IS_TOP_FRAME) {
+                translatePage();
+                return false;
+            }
             translatePage().then(() => {
-                sendResponse({ isTranslated: true });
+                sendResponse({
+                    isTranslated,
+                    neverTranslate: settings.siteRule.neverTranslate,
+                    progress: getTranslationProgress()
+                });
             });
             return true;
         }
 
         if (message.type === 'STOP_TRANSLATE') {
             removeAllTranslations();
-            sendResponse({ isTranslated: false });
+            if (IS_TOP_FRAME) sendResponse({ isTranslated: false });
+            return false;
+        }
+
+        if (message.type === 'CYCLE_DISPLAY_MODE') {
+            cycleDisplayMode().then(() => {
+                sendResponse({ displayMode: settings.displayMode });
+            });
+            return true;
+        }
+
+        if (message.type === 'TRANSLATE_SELECTION') {
+            translateSelection(message.text, contextMenuPosition.x, contextMenuPosition.y);
+            return false;
+        }
+
+        if (message.type === 'TRANSLATE_BLOCK') {
+            if (contextMenuTarget?.isConnected) translateBlock(contextMenuTarget);
+            return false;
+        }
+
+        if (message.type === 'TRANSLATE_LINK_TEXT') {
+            const text = contextMenuTarget && getLinkOrImageText(contextMenuTarget);
+            if (text) {
+                translateSelection(text, contextMenuPosition.x, contextMenuPosition.y);
+            } else {
+                showToast('翻訳できるテキストがありません');
+            }
+            return false;
+        }
+
+        if (message.type === 'START_ELEMENT_PICKER') {
+            startElementPicker();
+            sendResponse({ picking: true });
+            return false;
+        }
+
+        if (message.type === 'NEVER_TRANSLATE_SITE') {
+            neverTranslateSite();
             return false;
         }
 
+        if (message.type === 'EXPORT_PAGE') {
+            exportTranslatedPage(message.format)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        }
+
         if (message.type === 'GET_STATUS') {
-            sendResponse({ isTranslated, isTranslating });
+            sendResponse({ isTranslated, isTranslating, progress: getTranslationProgress() });
+            return false;
+        }
+
+        if (message.type === 'TOGGLE_READ_ALOUD') {
+            toggleReadAloud();
+            sendResponse({ reading: !!reader });
+            return false;
+        }
+
+        if (message.type === 'RETRY_FAILED') {
+            // Service Worker がフレームごとに送り、件数を合算する
+            sendResponse({ count: retryFailedTranslations() });
             return false;
         }
     });
 
+    // --- 書き出し ---
+
+    /**
+     * 翻訳したページを対訳の文書として書き出す（lib/page-export.js）
+     * @param {string} format - 'html' | 'markdown' | 'markdown-table' | 'epub'
+     * @returns {Promise<{filename: string, missingImages: number}>}
+     */
+    async function exportTranslatedPage(format) {
+        const blocks = collectExportBlocks(getExportRoot());
+        if (!blocks.some(block => block.type === 'pair')) {
+            throw new Error('翻訳済みのテキストがありません');
+        }
+
+        const { blob, filename, missingImages } = await buildPageExport(blocks, format, {
+            title: document.title || location.hostname,
+            url: location.href,
+            sourceLang: settings.sourceLang,
+            targetLang: settings.targetLang
+        });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return { filename, missingImages };
+    }
+
+    /**
+     * 書き出す範囲（本文の要素に翻訳済みのブロックがあればそこだけ）
+     */
+    function getExportRoot() {
+        const main = document.querySelector('main, [role="main"], article');
+        return main?.querySelector(`[${TRANSLATED_ATTR}="done"]`) ? main : document.body;
+    }
+
+    /**
+     * 翻訳済みのブロックと、その間にあるコード・数式・画像・表を文書の順に集める
+     */
+    function collectExportBlocks(root) {
+        const blocks = [];
+
+        const visit = (parent) => {
+            for (const el of parent.children) {
+                // 翻訳文は原文と組にして扱う（対訳表は表と一緒に扱う）
+                if (el.matches(OWN_NODE_SELECTORS)) continue;
+
+                if (el.getAttribute(TRANSLATED_ATTR) === 'done' && !isTableCell(el)) {
+                    const translation = getAttachedElement(el, TRANSLATE_CLASS);
+                    if (translation) {
+                        const list = el.parentElement.matches('ul, ol, dl') ? el.parentElement : null;
+                        blocks.push({
+                            type: 'pair', tag: el.localName, list, original: el, translation,
+                            sourceLang: translation.getAttribute(SOURCE_LANG_ATTR)
+                        });
+                        continue;
+                    }
+                }
+
+                // 表はセル内の翻訳文ごと（対訳表モードでは対訳表も）残す
+                if (el.matches('table')) {
+                    blocks.push({ type: 'block', element: el });
+                    const copy = tableCopies.get(el);
+                    if (copy?.isConnected) {
+                        blocks.push({ type: 'block', element: copy.querySelector('table') });
+                    }
+                    continue;
+                }
+
+                if (el.matches(EXPORT_BLOCK_SELECTORS)) {
+                    blocks.push({ type: 'block', element: el });
+                    continue;
+                }
+
+                if (!el.matches(EXPORT_SKIP_SELECTORS)) visit(el);
+            }
+        };
+
+        visit(root);
+        return blocks;
+    }
+
+    // --- 右クリックメニュー ---
+    // メニューの操作対象は background.js からは分からないため、右クリックした要素と位置を記録しておく
+
+    let contextMenuTarget = null;
+    let contextMenuPosition = { x: 0, y: 0 };
+
+    document.addEventListener('contextmenu', (e) => {
+        contextMenuTarget = e.target;
+        contextMenuPosition = { x: e.clientX, y: e.pageY };
+    }, true);
+
+    /**
+     * 画像の代替テキスト、またはリンクのテキストを取得
+     */
+    function getLinkOrImageText(element) {
+        const image = element.closest('img');
+        if (image) return (image.alt || image.title || '').trim();
+        const link = element.closest('a');
+        return link ? (link.innerText || link.textContent || '').replace(/\s+/g, ' ').trim() : '';
+    }
+
     // --- 選択テキスト翻訳 ---
 
     let popupBtn = null;
@@ -358,19 +2215,26 @@
         // 既存のポップアップがあれば処理しない（閉じる処理はmousedownで行う）
         if (popupCard && popupCard.contains(e.target)) return;
 
-        setTimeout(() => {
+        setTimeout(async () => {
             const selection = window.getSelection();
             const text = selection.toString().trim();
 
-            if (!text || text.length < 2 || isMainlyJapanese(text)) {
+            if (!text || text.length < 2) {
                 removePopupBtn();
                 return;
             }
 
-            // 選択範囲の座標を取得
+            // 選択範囲の座標を取得（言語の検出中に選択が変わる場合があるため先に取得）
             const range = selection.getRangeAt(0);
             const rect = range.getBoundingClientRect();
 
+            // 翻訳先の言語で書かれたテキストは翻訳しない
+            if (isInTargetLanguage(text, await detectLanguage(text))) {
+                removePopupBtn();
+                return;
+            }
+            if (window.getSelection().toString().trim() !== text) return;
+
             // アイコンを表示
             showPopupBtn(rect.right, rect.bottom + window.scrollY, text);
         }, 10);
@@ -414,7 +2278,10 @@
     }
 
     async function translateSelection(text, x, y) {
+        // 単語帳に保存する文脈は、選択が解除される前に取得しておく
+        const selected = { text, context: getSelectionContext(text) };
         removePopupBtn();
+        removePopup();
 
         // カードをローディング状態で表示
         popupCard = document.createElement('div');
@@ -436,35 +2303,459 @@
       </div>
       <div class="immersive-translate-card-content">
         <div class="immersive-translate-original-text">${escapedText}</div>
-        <div class="immersive-translate-translated-text immersive-translate-loading-text">
-          <span>翻訳中...</span>
-        </div>
+        <div class="immersive-translate-card-actions"></div>
+        <div class="immersive-translate-engine-results"></div>
       </div>
     `;
 
         popupCard.querySelector('.immersive-translate-close-btn').addEventListener('click', removePopup);
         document.body.appendChild(popupCard);
 
+        const card = popupCard;
+        const actionsEl = card.querySelector('.immersive-translate-card-actions');
+        const resultsEl = card.querySelector('.immersive-translate-engine-results');
+
+        // 単語・短いフレーズは辞書として引き、品詞・訳語・例文と発音ボタンを表示
+        if (isDictionaryCandidate(text)) {
+            showDictionary(card, actionsEl, text);
+        }
+        // 選択範囲を含む文全体を翻訳して文脈を確認できるようにする
+        if (selected.context && selected.context !== text) {
+            const contextBtn = createCardButton('文全体を翻訳', () => translateContext(card, actionsEl, selected.context, contextBtn));
+            contextBtn.title = selected.context;
+            actionsEl.appendChild(contextBtn);
+        }
+
+        // 使用できるエンジンをすべて並べて比較（取得できなければ現在のエンジンのみ）
+        let providers = [{ id: null, name: '' }];
+        let currentEngine = null;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_CONFIGURED_PROVIDERS' });
+            if (response?.providers?.length) {
+                providers = response.providers;
+                currentEngine = response.currentEngine;
+            }
+        } catch (error) {
+            console.error('エンジン一覧の取得エラー:', error);
+        }
+        // 取得中にカードが閉じられた
+        if (card !== popupCard) return;
+
+        // 現在のエンジンを先頭に表示し、各エンジンの結果は届いた順に表示
+        providers.sort((a, b) => (b.id === currentEngine) - (a.id === currentEngine));
+        for (const provider of providers) {
+            translateWithEngine(resultsEl, selected, provider, provider.id === currentEngine);
+        }
+    }
+
+    /**
+     * 選択テキスト翻訳カードのボタン
+     */
+    function createCardButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'immersive-translate-card-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // --- 辞書モード ---
+
+    // 辞書として引く選択テキストの上限（単語数・文字数）
+    const DICTIONARY_MAX_WORDS = 3;
+    const DICTIONARY_MAX_LENGTH = 40;
+
+    /**
+     * 辞書として引く選択テキストか（1語または短いフレーズ）
+     * 空白で区切らない言語（日本語・中国語など）も Intl.Segmenter の単語数で判定する
+     */
+    function isDictionaryCandidate(text) {
+        if (text.length > DICTIONARY_MAX_LENGTH || text.includes('\n')) return false;
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+        const words = [...segmenter.segment(text)].filter(segment => segment.isWordLike);
+        return words.length > 0 && words.length <= DICTIONARY_MAX_WORDS;
+    }
+
+    /**
+     * 選択テキストを辞書として引き、カードに品詞・訳語・例文を表示
+     * 辞書を引けなかった場合は表示せず、各エンジンの翻訳結果だけを残す
+     */
+    async function showDictionary(card, actionsEl, text) {
+        // 読み上げの言語（辞書の結果で検出した言語に更新する）
+        let speechLang = settings.sourceLang;
+        actionsEl.prepend(createCardButton('🔊 発音', () => speakText(text, speechLang)));
+
+        const dictionaryEl = document.createElement('div');
+        dictionaryEl.className = 'immersive-translate-dictionary immersive-translate-loading-text';
+        dictionaryEl.textContent = '辞書を検索中...';
+        actionsEl.after(dictionaryEl);
+
+        let entry;
+        try {
+            entry = await chrome.runtime.sendMessage({
+                type: 'LOOKUP_WORD',
+                text,
+                targetLang: settings.targetLang
+            });
+            if (!entry || entry.error) throw new Error(entry?.error || '辞書を引けませんでした');
+        } catch (error) {
+            console.warn('辞書の検索エラー:', error);
+            dictionaryEl.remove();
+            return;
+        }
+        // 検索中にカードが閉じられた
+        if (card !== popupCard) return;
+
+        speechLang = entry.sourceLang;
+        dictionaryEl.classList.remove('immersive-translate-loading-text');
+        dictionaryEl.title = entry.source;
+        dictionaryEl.replaceChildren();
+
+        if (entry.phonetic) {
+            const phoneticEl = document.createElement('div');
+            phoneticEl.className = 'immersive-translate-dictionary-phonetic';
+            phoneticEl.textContent = entry.phonetic;
+            dictionaryEl.appendChild(phoneticEl);
+        }
+
+        // 品詞ごとの訳語（なければ代表的な訳だけ）
+        const meanings = entry.meanings.length > 0
+            ? entry.meanings
+            : [{ partOfSpeech: '', translations: [entry.translation] }];
+        for (const { partOfSpeech, translations } of meanings) {
+            const meaningEl = document.createElement('div');
+            meaningEl.className = 'immersive-translate-dictionary-meaning';
+            if (partOfSpeech) {
+                const posEl = document.createElement('span');
+                posEl.className = 'immersive-translate-dictionary-pos';
+                posEl.textContent = partOfSpeech;
+                meaningEl.appendChild(posEl);
+            }
+            meaningEl.append(translations.join('、'));
+            dictionaryEl.appendChild(meaningEl);
+        }
+
+        if (entry.examples.length > 0) {
+            const examplesEl = document.createElement('ul');
+            examplesEl.className = 'immersive-translate-dictionary-examples';
+            for (const example of entry.examples) {
+                const exampleEl = document.createElement('li');
+                exampleEl.textContent = example.text;
+                if (example.translation) {
+                    const translationEl = document.createElement('div');
+                    translationEl.className = 'immersive-translate-dictionary-example-translation';
+                    translationEl.textContent = example.translation;
+                    exampleEl.appendChild(translationEl);
+                }
+                examplesEl.appendChild(exampleEl);
+            }
+            dictionaryEl.appendChild(examplesEl);
+        }
+    }
+
+    /**
+     * テキストを読み上げる（speechSynthesis）
+     * @param {string} text
+     * @param {string} [lang] - 読み上げの言語（'auto' や省略時はブラウザの既定の音声）
+     *   言語ごとの音声・速度の設定を使い、ページの読み上げ中なら終了する
+     */
+    function speakText(text, lang) {
+        stopReadAloud();
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        applyVoiceSettings(utterance, lang);
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * 選択範囲を含む文全体を翻訳してカードに表示（現在のエンジン）
+     */
+    async function translateContext(card, actionsEl, context, button) {
+        button.disabled = true;
+
+        const contextEl = document.createElement('div');
+        contextEl.className = 'immersive-translate-context-result';
+        contextEl.innerHTML = `
+        <div class="immersive-translate-original-text"></div>
+        <div class="immersive-translate-translated-text immersive-translate-loading-text">
+          <span>翻訳中...</span>
+        </div>
+      `;
+        contextEl.querySelector('.immersive-translate-original-text').textContent = context;
+        const resultEl = contextEl.querySelector('.immersive-translate-translated-text');
+        actionsEl.after(contextEl);
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'TRANSLATE',
+                texts: [context],
+                sourceLang: 'auto', // 自動判定
+                targetLang: settings.targetLang,
+                priority: 'high'
+            });
+            if (!response?.translated?.[0]) throw new Error(response?.error || '翻訳失敗');
+            if (card !== popupCard) return;
+            resultEl.textContent = response.translated[0];
+        } catch (error) {
+            resultEl.textContent = '翻訳エラーが発生しました';
+            resultEl.title = error.message;
+            resultEl.style.color = 'red';
+        }
+        resultEl.classList.remove('immersive-translate-loading-text');
+    }
+
+    /**
+     * 選択範囲を含む文（単語帳の文脈用）
+     * 選択範囲がテキストと一致しない場合（リンクテキストの翻訳など）は空文字
+     */
+    function getSelectionContext(text) {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.toString().trim() !== text) return '';
+
+        const range = selection.getRangeAt(0);
+        const container = range.commonAncestorContainer;
+        const el = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+        const block = el?.closest(settings.targetSelector) || el;
+        if (!block || isOwnNode(block)) return '';
+
+        // ブロック先頭から選択範囲までの文字数で、選択範囲を含む文を特定
+        const before = document.createRange();
+        before.selectNodeContents(block);
+        before.setEnd(range.startContainer, range.startOffset);
+        const start = before.toString().length;
+        const end = start + range.toString().length;
+
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+        return [...segmenter.segment(block.textContent)]
+            .filter(({ index, segment }) => index < end && index + segment.length > start)
+            .map(({ segment }) => segment)
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 選択テキスト翻訳カードにエンジン1つ分の結果を追加して翻訳
+     * @param {HTMLElement} container - 結果の一覧
+     * @param {{text: string, context: string}} selected - 選択テキストとそれを含む文
+     * @param {{id: string|null, name: string}} provider - id が null の場合は現在のエンジン
+     * @param {boolean} isCurrent - このサイトで使用中のエンジンか
+     */
+    async function translateWithEngine(container, selected, provider, isCurrent) {
+        const { text } = selected;
+        const row = document.createElement('div');
+        row.className = 'immersive-translate-engine-result';
+        row.innerHTML = `
+        <div class="immersive-translate-engine-header">
+          <span class="immersive-translate-engine-name"></span>
+          <button type="button" class="immersive-translate-card-btn immersive-translate-copy-btn" disabled>コピー</button>
+          <button type="button" class="immersive-translate-card-btn immersive-translate-save-btn" disabled>保存</button>
+          <button type="button" class="immersive-translate-card-btn immersive-translate-use-engine-btn">このサイトで使う</button>
+        </div>
+        <div class="immersive-translate-translated-text immersive-translate-loading-text">
+          <span>翻訳中...</span>
+        </div>
+      `;
+
+        const nameEl = row.querySelector('.immersive-translate-engine-name');
+        const copyBtn = row.querySelector('.immersive-translate-copy-btn');
+        const saveBtn = row.querySelector('.immersive-translate-save-btn');
+        const useEngineBtn = row.querySelector('.immersive-translate-use-engine-btn');
+        const resultEl = row.querySelector('.immersive-translate-translated-text');
+
+        nameEl.textContent = provider.name;
+        if (!provider.id) {
+            useEngineBtn.remove();
+        } else if (isCurrent) {
+            markEngineInUse(container, useEngineBtn);
+        }
+        useEngineBtn.addEventListener('click', async () => {
+            await useEngineForSite(provider);
+            markEngineInUse(container, useEngineBtn);
+        });
+        container.appendChild(row);
+
         try {
             const response = await chrome.runtime.sendMessage({
                 type: 'TRANSLATE',
                 texts: [text],
                 sourceLang: 'auto', // 自動判定
-                targetLang: 'ja'
+                targetLang: settings.targetLang,
+                engine: provider.id,
+                priority: 'high'
             });
 
             if (response && response.translated && response.translated[0]) {
-                const resultEl = popupCard.querySelector('.immersive-translate-translated-text');
-                resultEl.textContent = response.translated[0];
+                const translated = response.translated[0];
+                resultEl.textContent = translated;
                 resultEl.classList.remove('immersive-translate-loading-text');
+                // 実際に翻訳したエンジン（モデル名を含む）
+                nameEl.textContent = provider.name || response.source;
+                nameEl.title = response.source;
+
+                copyBtn.disabled = false;
+                copyBtn.addEventListener('click', async () => {
+                    await navigator.clipboard.writeText(translated);
+                    copyBtn.textContent = 'コピーしました';
+                    setTimeout(() => {
+                        copyBtn.textContent = 'コピー';
+                    }, 1500);
+                });
+
+                saveBtn.disabled = false;
+                saveBtn.title = '単語帳に保存';
+                saveBtn.addEventListener('click', () => saveToVocabulary(selected, translated, saveBtn));
             } else {
-                throw new Error('翻訳失敗');
+                throw new Error(response?.error || '翻訳失敗');
             }
         } catch (error) {
-            const resultEl = popupCard.querySelector('.immersive-translate-translated-text');
             resultEl.textContent = '翻訳エラーが発生しました';
+            resultEl.title = error.message;
             resultEl.style.color = 'red';
             resultEl.classList.remove('immersive-translate-loading-text');
         }
     }
+
+    /**
+     * 選択テキストと訳・文脈・ページを単語帳に保存
+     */
+    async function saveToVocabulary(selected, translation, saveBtn) {
+        try {
+            const { updated } = await addVocabularyEntry({
+                text: selected.text,
+                translation,
+                context: selected.context,
+                url: location.href,
+                title: document.title
+            });
+            saveBtn.disabled = true;
+            saveBtn.textContent = '保存済み';
+            showToast(updated ? '単語帳の訳を更新しました' : '単語帳に保存しました');
+        } catch (error) {
+            console.error('単語帳の保存エラー:', error);
+            showToast('単語帳に保存できませんでした');
+        }
+    }
+
+    /**
+     * カード内で「使用中」のエンジンの表示を切り替える
+     */
+    function markEngineInUse(container, useEngineBtn) {
+        container.querySelectorAll('.immersive-translate-use-engine-btn').forEach(btn => {
+            btn.disabled = false;
+            btn.textContent = 'このサイトで使う';
+        });
+        useEngineBtn.disabled = true;
+        useEngineBtn.textContent = '使用中';
+    }
+
+    /**
+     * 現在のサイト（オリジン）で使う翻訳エンジンを保存
+     */
+    async function useEngineForSite(provider) {
+        const { siteEngines = {} } = await chrome.storage.sync.get(['siteEngines']);
+        siteEngines[location.origin] = provider.id;
+        await chrome.storage.sync.set({ siteEngines });
+        showToast(`このサイトでは ${provider.name} を使います`);
+    }
+
+    // --- 単語帳のハイライト ---
+
+    // 後から追加・翻訳された部分のハイライト待ち（ページ全体の再走査を避ける）
+    const pendingHighlightRoots = new Set();
+    let highlightTimer = null;
+
+    /**
+     * 単語帳に保存した単語をページ内でハイライト（ホバーで訳を表示）
+     * 設定がオフの場合は既存のハイライトを外すだけ
+     */
+    async function highlightVocabulary() {
+        clearTimeout(highlightTimer);
+        highlightTimer = null;
+        pendingHighlightRoots.clear();
+        removeVocabularyHighlights();
+        if (!settings.highlightVocabulary || !document.body) return;
+        await highlightVocabularyIn([document.body]);
+    }
+
+    /**
+     * 後から追加・翻訳された要素のハイライトを予約（まとめて処理するようデバウンスする）
+     */
+    function scheduleVocabularyHighlight(root) {
+        if (!settings.highlightVocabulary || !root) return;
+        pendingHighlightRoots.add(root);
+        clearTimeout(highlightTimer);
+        highlightTimer = setTimeout(() => {
+            highlightTimer = null;
+            // 祖先が含まれている要素は祖先の走査で処理される
+            const roots = [...pendingHighlightRoots].filter(el => el.isConnected &&
+                ![...pendingHighlightRoots].some(other => other !== el && other.contains(el)));
+            pendingHighlightRoots.clear();
+            if (roots.length > 0) highlightVocabularyIn(roots);
+        }, MUTATION_DEBOUNCE_MS);
+    }
+
+    /**
+     * 指定した要素の内部で単語帳の単語をハイライト
+     * 既存のハイライトの内部はたどらないため、同じ範囲を繰り返し処理しても二重にならない
+     */
+    async function highlightVocabularyIn(roots) {
+        const vocabulary = await loadVocabulary();
+        const pattern = getVocabularyPattern(vocabulary.map(entry => entry.text));
+        if (!pattern || !settings.highlightVocabulary) return;
+        const translations = new Map(vocabulary.map(entry => [
+            entry.text.trim().replace(/\s+/g, ' ').toLowerCase(), entry.translation
+        ]));
+
+        // 先に対象のテキストノードを集めてから置き換える（走査中にDOMを変更しない）
+        const textNodes = [];
+        for (const root of roots) {
+            if (!root.isConnected || root.closest(VOCABULARY_SKIP_SELECTORS)) continue;
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode(node) {
+                    if (!node.nodeValue.trim() || node.parentElement?.closest(VOCABULARY_SKIP_SELECTORS)) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    return NodeFilter.FILTER_ACCEPT;
+                }
+            });
+            while (walker.nextNode()) {
+                pattern.lastIndex = 0;
+                if (pattern.test(walker.currentNode.nodeValue)) textNodes.push(walker.currentNode);
+            }
+        }
+
+        for (const node of textNodes) {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            for (const match of text.matchAll(pattern)) {
+                fragment.append(text.slice(lastIndex, match.index));
+                const mark = document.createElement('span');
+                mark.className = VOCABULARY_HIGHLIGHT_CLASS;
+                mark.textContent = match[0];
+                mark.title = translations.get(match[0].replace(/\s+/g, ' ').toLowerCase()) || '';
+                fragment.append(mark);
+                lastIndex = match.index + match[0].length;
+            }
+            fragment.append(text.slice(lastIndex));
+            node.replaceWith(fragment);
+        }
+
+        // ハイライトによるDOM変更は原文の変更として扱わない
+        mutationObserver?.takeRecords();
+    }
+
+    function removeVocabularyHighlights() {
+        const highlights = document.querySelectorAll(`.${VOCABULARY_HIGHLIGHT_CLASS}`);
+        const parents = new Set();
+        highlights.forEach(mark => {
+            parents.add(mark.parentNode);
+            mark.replaceWith(mark.textContent);
+        });
+        // 分割されたテキストノードを元に戻す
+        parents.forEach(parent => parent?.normalize());
+        mutationObserver?.takeRecords();
+    }
 })();
@@ -0,0 +1,273 @@
+/**
+ * 没入型翻訳 - 用語集ページ (glossary.js)
+ * 用語集エントリの追加・編集・削除とCSVインポート/エクスポート
+ *
+ * chrome.storage.local の glossary に { term, translation, site } の配列として保存
+ */
+
+const CSV_HEADER = ['term', 'translation', 'site'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const entryForm = document.getElementById('entry-form');
+    const termInput = document.getElementById('term-input');
+    const translationInput = document.getElementById('translation-input');
+    const siteInput = document.getElementById('site-input');
+    const submitBtn = document.getElementById('submit-btn');
+    const cancelEditBtn = document.getElementById('cancel-edit-btn');
+    const formStatus = document.getElementById('form-status');
+    const searchInput = document.getElementById('search-input');
+    const exportBtn = document.getElementById('export-btn');
+    const importBtn = document.getElementById('import-btn');
+    const importFile = document.getElementById('import-file');
+    const glossaryBody = document.getElementById('glossary-body');
+    const emptyMessage = document.getElementById('empty-message');
+
+    let glossary = await loadGlossary();
+    // 編集中のエントリのインデックス（null は新規追加）
+    let editingIndex = null;
+
+    render();
+
+    // 他のタブ・ページでの変更を反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.glossary) {
+            glossary = changes.glossary.newValue || [];
+            render();
+        }
+    });
+
+    // --- 追加・編集 ---
+
+    entryForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const entry = {
+            term: termInput.value.trim(),
+            translation: translationInput.value.trim(),
+            site: siteInput.value.trim()
+        };
+
+        if (!entry.term) {
+            showStatus('用語を入力してください', 'red');
+            return;
+        }
+        if (entry.site && !isValidSite(entry.site)) {
+            showStatus('サイトはオリジン（https://example.com）またはURLパターンで指定してください', 'red');
+            return;
+        }
+
+        // 同じ用語・サイトの既存エントリは置き換える
+        const duplicateIndex = findEntryIndex(entry);
+        if (duplicateIndex !== -1 && duplicateIndex !== editingIndex) {
+            glossary.splice(duplicateIndex, 1, entry);
+            if (editingIndex !== null) {
+                glossary.splice(editingIndex, 1);
+            }
+        } else if (editingIndex !== null) {
+            glossary[editingIndex] = entry;
+        } else {
+            glossary.push(entry);
+        }
+
+        await saveGlossary();
+        showStatus(editingIndex !== null ? '更新しました' : '追加しました', 'green');
+        resetForm();
+    });
+
+    cancelEditBtn.addEventListener('click', resetForm);
+
+    function startEdit(index) {
+        const entry = glossary[index];
+        editingIndex = index;
+        termInput.value = entry.term;
+        translationInput.value = entry.translation || '';
+        siteInput.value = entry.site || '';
+        submitBtn.textContent = '更新';
+        cancelEditBtn.hidden = false;
+        termInput.focus();
+    }
+
+    function resetForm() {
+        editingIndex = null;
+        entryForm.reset();
+        submitBtn.textContent = '追加';
+        cancelEditBtn.hidden = true;
+    }
+
+    async function deleteEntry(index) {
+        glossary.splice(index, 1);
+        if (editingIndex !== null) resetForm();
+        await saveGlossary();
+    }
+
+    // --- 一覧 ---
+
+    searchInput.addEventListener('input', render);
+
+    /**
+     * 用語集の一覧を描画
+     */
+    function render() {
+        const query = searchInput.value.trim().toLowerCase();
+        glossaryBody.textContent = '';
+
+        glossary.forEach((entry, index) => {
+            const haystack = `${entry.term} ${entry.translation || ''} ${entry.site || ''}`.toLowerCase();
+            if (query && !haystack.includes(query)) return;
+
+            const row = document.createElement('tr');
+            row.append(
+                createCell(entry.term),
+                entry.translation ? createCell(entry.translation) : createCell('翻訳しない', 'keep-label'),
+                entry.site ? createCell(entry.site) : createCell('全サイト', 'global-label')
+            );
+
+            const actionCell = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.title = '削除';
+            deleteBtn.textContent = '×';
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteEntry(index);
+            });
+            actionCell.appendChild(deleteBtn);
+            row.appendChild(actionCell);
+
+            row.addEventListener('click', () => startEdit(index));
+            glossaryBody.appendChild(row);
+        });
+
+        emptyMessage.hidden = glossary.length > 0;
+    }
+
+    function createCell(text, className) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        return cell;
+    }
+
+    // --- CSV ---
+
+    exportBtn.addEventListener('click', () => {
+        const rows = [CSV_HEADER, ...glossary.map(entry => [entry.term, entry.translation || '', entry.site || ''])];
+        const blob = new Blob([toCsv(rows)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `duoread-glossary-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+
+    importBtn.addEventListener('click', () => importFile.click());
+
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (!file) return;
+
+        const rows = parseCsv(await file.text());
+        // ヘッダー行があれば読み飛ばす
+        if (rows.length > 0 && rows[0][0]?.trim().toLowerCase() === CSV_HEADER[0]) {
+            rows.shift();
+        }
+
+        let imported = 0;
+        for (const [term = '', translation = '', site = ''] of rows) {
+            const entry = { term: term.trim(), translation: translation.trim(), site: site.trim() };
+            if (!entry.term || (entry.site && !isValidSite(entry.site))) continue;
+
+            const index = findEntryIndex(entry);
+            if (index !== -1) {
+                glossary[index] = entry;
+            } else {
+                glossary.push(entry);
+            }
+            imported++;
+        }
+
+        await saveGlossary();
+        showStatus(`${imported}件をインポートしました`, 'green');
+    });
+
+    // --- 共通 ---
+
+    function findEntryIndex(entry) {
+        return glossary.findIndex(existing =>
+            existing.term.toLowerCase() === entry.term.toLowerCase() && (existing.site || '') === entry.site
+        );
+    }
+
+    async function saveGlossary() {
+        await chrome.storage.local.set({ glossary });
+        render();
+    }
+
+    function showStatus(msg, color) {
+        formStatus.textContent = msg;
+        formStatus.style.color = color;
+    }
+});
+
+async function loadGlossary() {
+    const { glossary = [] } = await chrome.storage.local.get(['glossary']);
+    return glossary;
+}
+
+/**
+ * 2次元配列をCSV文字列に変換
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',')).join('\r\n');
+}
+
+/**
+ * CSV文字列を2次元配列に変換（ダブルクォート・改行を含むフィールドに対応）
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // BOM・空行を除去
+    if (rows[0]?.[0]) rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+    return rows.filter(r => r.some(value => value.trim()));
+}
@@ -0,0 +1,100 @@
+/**
+ * 没入型翻訳 - 訳文の外観 (lib/appearance.js)
+ * 訳文のテーマ・フォント・文字色の設定と、訳文の要素への適用
+ * Content Script とオプションページ（プレビュー）の両方で読み込む
+ *
+ * chrome.storage.sync に保存
+ *   appearance: 全サイト共通の外観
+ *   siteAppearances: サイトパターン（オリジンまたは * を含むURLパターン）→ 外観
+ * 外観: { theme, fontFamily, fontScale, color, darkColor }
+ *   fontFamily・color・darkColor は空文字でページの設定を引き継ぐ。fontScale は % 単位
+ */
+
+// 訳文のテーマ（content.css の .immersive-translate-theme-*）
+const APPEARANCE_THEMES = {
+  card: 'カード（既定）',
+  underline: '点線の下線',
+  border: '左の罫線',
+  faded: '薄い文字',
+  highlighter: 'マーカー',
+  columns: '原文と左右に並べる'
+};
+
+const DEFAULT_APPEARANCE = {
+  theme: 'card',
+  fontFamily: '',
+  fontScale: 100,
+  color: '',
+  darkColor: ''
+};
+
+const APPEARANCE_MIN_FONT_SCALE = 70;
+const APPEARANCE_MAX_FONT_SCALE = 150;
+
+const THEME_CLASS_PREFIX = 'immersive-translate-theme-';
+// 暗い背景のページに挿入した訳文
+const ON_DARK_CLASS = 'immersive-translate-on-dark';
+
+/**
+ * 保存された外観を既定値で補い、不正な値を直す
+ * @param {Object} [appearance]
+ * @returns {{theme: string, fontFamily: string, fontScale: number, color: string, darkColor: string}}
+ */
+function normalizeAppearance(appearance) {
+  const merged = { ...DEFAULT_APPEARANCE, ...appearance };
+  const fontScale = Number(merged.fontScale);
+  return {
+    theme: APPEARANCE_THEMES[merged.theme] ? merged.theme : DEFAULT_APPEARANCE.theme,
+    fontFamily: String(merged.fontFamily).trim(),
+    fontScale: fontScale >= APPEARANCE_MIN_FONT_SCALE && fontScale <= APPEARANCE_MAX_FONT_SCALE
+      ? fontScale
+      : DEFAULT_APPEARANCE.fontScale,
+    color: isHexColor(merged.color) ? merged.color : '',
+    darkColor: isHexColor(merged.darkColor) ? merged.darkColor : ''
+  };
+}
+
+function isHexColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * URLに適用する外観（サイト別の外観はより長い＝具体的なパターンを優先）
+ * @param {Object} [appearance] - 全サイト共通の外観
+ * @param {Object<string, Object>} [siteAppearances] - パターン → 外観
+ * @param {string} url
+ */
+function resolveAppearance(appearance, siteAppearances = {}, url) {
+  const pattern = Object.keys(siteAppearances)
+    .filter(pattern => matchesSitePattern(pattern, url))
+    .sort((a, b) => b.length - a.length)[0];
+  return normalizeAppearance(pattern ? siteAppearances[pattern] : appearance);
+}
+
+/**
+ * 訳文の要素に外観を適用する（テーマのクラスとCSS変数）
+ * @param {HTMLElement} element - .immersive-translate-result
+ * @param {Object} appearance - normalizeAppearance 済みの外観
+ * @param {boolean} isDark - ページの背景が暗いか
+ */
+function applyAppearance(element, appearance, isDark) {
+  for (const theme of Object.keys(APPEARANCE_THEMES)) {
+    element.classList.toggle(THEME_CLASS_PREFIX + theme, theme === appearance.theme);
+  }
+  element.classList.toggle(ON_DARK_CLASS, isDark);
+
+  // 未設定の変数は content.css 側でページの値を引き継ぐ
+  const variables = {
+    '--immersive-translate-font-family': appearance.fontFamily,
+    '--immersive-translate-font-scale': appearance.fontScale === 100 ? '' : String(appearance.fontScale / 100),
+    '--immersive-translate-color': isDark ? appearance.darkColor : appearance.color
+  };
+  for (const [name, value] of Object.entries(variables)) {
+    if (value) {
+      element.style.setProperty(name, value);
+    } else {
+      element.style.removeProperty(name);
+    }
+  }
+  if (!element.getAttribute('style')) element.removeAttribute('style');
+}
@@ -0,0 +1,107 @@
+/**
+ * 没入型翻訳 - 用語集 (lib/glossary.js)
+ * 用語の固定訳・翻訳しない語を、LLMにはプロンプトで、それ以外のエンジンにはプレースホルダーで適用する
+ *
+ * エントリ: { term, translation, site }
+ *   translation が空の場合は「翻訳しない語」（原文のまま残す）
+ *   site が空の場合は全サイト共通、それ以外はオリジンまたはURLパターン
+ */
+
+/**
+ * 指定URLに適用される用語集エントリを取得
+ * @param {string} [url] - リクエスト元のページURL
+ */
+async function getApplicableGlossary(url) {
+  const { glossary = [] } = await chrome.storage.local.get(['glossary']);
+  return glossary.filter(entry => {
+    if (!entry.term) return false;
+    if (!entry.site) return true;
+    try {
+      return !!url && matchesSitePattern(entry.site, url);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 用語にマッチする正規表現（大文字小文字は区別しない）
+ * 英数字で始まる・終わる用語は単語の途中（"pod" in "tripod"）やプレースホルダー内にマッチしない
+ */
+function getTermPattern(term) {
+  const wordChar = /^[\p{Script=Latin}\p{N}]$/u;
+  const prefix = wordChar.test(term[0]) ? '(?<![\\p{L}\\p{N}_])' : '';
+  const suffix = wordChar.test(term[term.length - 1]) ? '(?![\\p{L}\\p{N}_])' : '';
+  return new RegExp(`${prefix}${escapeRegExp(term)}${suffix}`, 'giu');
+}
+
+/**
+ * テキスト群に実際に出現する用語だけに絞り込む
+ */
+function findRelevantGlossary(texts, glossary) {
+  return glossary.filter(entry => {
+    const pattern = getTermPattern(entry.term);
+    return texts.some(text => text.search(pattern) !== -1);
+  });
+}
+
+/**
+ * LLMプロンプトに追加する用語集の指示
+ */
+function buildGlossaryPrompt(glossary) {
+  const fixed = glossary.filter(entry => entry.translation)
+    .map(entry => `- ${JSON.stringify(entry.term)} -> ${JSON.stringify(entry.translation)}`);
+  const keep = glossary.filter(entry => !entry.translation)
+    .map(entry => `- ${JSON.stringify(entry.term)}`);
+
+  let prompt = '';
+  if (fixed.length > 0) {
+    prompt += `\n    Always translate these terms exactly as specified:\n    ${fixed.join('\n    ')}\n`;
+  }
+  if (keep.length > 0) {
+    prompt += `\n    Keep these terms untranslated, exactly as written:\n    ${keep.join('\n    ')}\n`;
+  }
+  return prompt;
+}
+
+/**
+ * 用語をプレースホルダー（__TERM_n__）に置換
+ * 長い用語を優先する（"Rust Foundation" を "Rust" より先に）
+ * @returns {{text: string, replacements: {id: string, value: string}[]}}
+ */
+function protectGlossaryTerms(text, glossary) {
+  const replacements = [];
+  const sorted = [...glossary].sort((a, b) => b.term.length - a.term.length);
+
+  let protectedText = text;
+  for (const entry of sorted) {
+    protectedText = protectedText.replace(getTermPattern(entry.term), (match) => {
+      const id = `__TERM_${replacements.length}__`;
+      // 翻訳しない語は原文の表記（大文字小文字）のまま戻す
+      replacements.push({ id, value: entry.translation || match });
+      return id;
+    });
+  }
+
+  return { text: protectedText, replacements };
+}
+
+/**
+ * プレースホルダーを固定訳・原文に戻す
+ * 翻訳過程でスペースや全角文字が混入しても復元できるようにする
+ */
+function restoreGlossaryTerms(text, replacements) {
+  let restored = text;
+  for (const { id, value } of replacements) {
+    const pattern = new RegExp(
+      id.split('').map(c => (c === '_' ? '[_＿]' : escapeRegExp(c))).join('\\s*'),
+      'gi'
+    );
+    restored = restored.replace(pattern, () => value);
+  }
+  return restored;
+}
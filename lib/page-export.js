@@ -0,0 +1,691 @@
+/**
+ * 没入型翻訳 - 翻訳したページの書き出し (lib/page-export.js)
+ * Content Script が集めた原文・翻訳文のブロックを、対訳の HTML / Markdown / EPUB にする
+ *
+ * ブロック:
+ *   { type: 'pair', tag, list, original, translation, sourceLang }
+ *     - 翻訳済みのブロック（list はリスト項目の親要素、sourceLang は判定した原文の言語。不明なら null）
+ *   { type: 'block', element }                          - 翻訳しないコード・数式・画像・表など
+ * 要素はページ内のものを受け取り、ここで複製・整形する（ページのDOMは変更しない）
+ */
+
+const EXPORT_FORMATS = {
+  html: { extension: 'html', mimeType: 'text/html' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  'markdown-table': { extension: 'md', mimeType: 'text/markdown' },
+  epub: { extension: 'epub', mimeType: 'application/epub+zip' }
+};
+
+// 書き出しに残す要素と属性（それ以外の要素は中身だけ残す）
+const EXPORT_ALLOWED_TAGS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'blockquote', 'pre', 'hr', 'br',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'img',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'a', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'small', 'sub', 'sup',
+  'abbr', 'kbd', 'cite', 'q', 'dfn', 'code', 'var', 'samp'
+]);
+const EXPORT_ALLOWED_ATTRS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan'],
+  ol: ['start'],
+  abbr: ['title'],
+  code: ['class']
+};
+// 中身ごと取り除く要素
+const EXPORT_REMOVED_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+  'button', 'input', 'select', 'textarea',
+  '.immersive-translate-loading', '.immersive-translate-table-toolbar'
+].join(',');
+// 数式（MathML があればそれを、なければ TeX のソースを残す）
+const EXPORT_MATH_SELECTORS = [
+  'math', '.MathJax', '.jax', '.math', '.katex', '.mjx-chtml', 'mjx-container', 'script[type^="math/"]'
+].join(',');
+const EXPORT_SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const EXPORT_IMAGE_TIMEOUT_MS = 15 * 1000;
+
+const EXPORT_CSS = `
+body { max-width: 760px; margin: 0 auto; padding: 24px; font-family: sans-serif; line-height: 1.7; color: #222; }
+.duoread-source { font-size: 0.85em; color: #777; border-bottom: 1px solid #ddd; padding-bottom: 8px; }
+.duoread-translation { color: #4b5563; }
+li > .duoread-translation, td > .duoread-translation, th > .duoread-translation { margin-top: 2px; }
+pre { padding: 12px; background: #f5f5f5; overflow-x: auto; white-space: pre-wrap; }
+code { font-family: Consolas, Monaco, "Courier New", monospace; font-size: 0.9em; }
+table { border-collapse: collapse; margin: 12px 0; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; vertical-align: top; }
+img { max-width: 100%; height: auto; }
+blockquote { margin-left: 0; padding-left: 12px; border-left: 3px solid #ddd; }
+`.trim();
+
+/**
+ * ブロックを指定の形式で書き出す
+ * @param {Object[]} blocks
+ * @param {string} format - EXPORT_FORMATS のキー
+ * @param {{title: string, url: string, sourceLang: string, targetLang: string}} meta
+ *   sourceLang は設定の原文の言語（'auto' は自動判定）。HTML / EPUB では原文のブロックの lang 属性にする
+ * @returns {Promise<{blob: Blob, filename: string, missingImages: number}>}
+ */
+async function buildPageExport(blocks, format, meta) {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || EXPORT_FORMATS.html;
+  const filename = `${getExportBaseName(meta.title)}.${meta.targetLang}.${extension}`;
+
+  if (format === 'markdown' || format === 'markdown-table') {
+    const markdown = buildMarkdown(blocks, format === 'markdown-table', meta);
+    return { blob: new Blob([markdown], { type: mimeType }), filename, missingImages: 0 };
+  }
+
+  const container = buildExportBody(blocks, meta);
+
+  if (format === 'epub') {
+    const { files, missingImages } = await collectEpubImages(container);
+    const epub = buildEpub(container, files, meta);
+    return { blob: new Blob([epub], { type: mimeType }), filename, missingImages };
+  }
+
+  const missingImages = await inlineImages(container);
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(meta.targetLang)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<style>${EXPORT_CSS}</style>`,
+    '</head>',
+    `<body>${container.innerHTML}</body>`,
+    '</html>'
+  ].join('\n');
+  return { blob: new Blob([html], { type: mimeType }), filename, missingImages };
+}
+
+function getExportBaseName(title) {
+  return (title || 'page').replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80) || 'page';
+}
+
+// --- 整形 ---
+
+/**
+ * 要素を書き出し用に複製（許可した要素・属性だけを残す）
+ * @returns {Node|null}
+ */
+function sanitizeForExport(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return document.createTextNode(node.nodeValue);
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+  // 数式の script 要素は取り除かずに TeX のソースとして残す
+  if (node.matches(EXPORT_MATH_SELECTORS)) {
+    return sanitizeMath(node);
+  }
+  if (node.matches(EXPORT_REMOVED_SELECTORS)) return null;
+
+  const tag = node.localName;
+  // 表のセル内の翻訳文
+  const isTranslation = node.classList.contains('immersive-translate-result');
+  if (!EXPORT_ALLOWED_TAGS.has(tag) && !isTranslation) {
+    const fragment = document.createDocumentFragment();
+    appendSanitizedChildren(fragment, node);
+    return fragment;
+  }
+
+  const el = document.createElement(isTranslation ? 'div' : tag);
+  if (isTranslation) el.className = 'duoread-translation';
+  for (const name of EXPORT_ALLOWED_ATTRS[tag] || []) {
+    const value = getExportAttribute(node, name);
+    if (value) el.setAttribute(name, value);
+  }
+  appendSanitizedChildren(el, node);
+  return el;
+}
+
+function appendSanitizedChildren(parent, node) {
+  for (const child of node.childNodes) {
+    const sanitized = sanitizeForExport(child);
+    if (sanitized) parent.appendChild(sanitized);
+  }
+}
+
+/**
+ * 書き出しに残す属性値（リンク・画像は絶対URLにし、安全でないリンクは除く）
+ */
+function getExportAttribute(node, name) {
+  if (name === 'href') {
+    try {
+      return EXPORT_SAFE_PROTOCOLS.includes(new URL(node.href).protocol) ? node.href : '';
+    } catch (e) {
+      return '';
+    }
+  }
+  if (name === 'src') return node.currentSrc || node.src;
+  if (name === 'class') {
+    // コードの言語指定（Markdown のコードブロックで使う）のみ
+    return node.className.split(/\s+/).filter(cls => /^(language|lang)-/.test(cls)).join(' ');
+  }
+  return node.getAttribute(name);
+}
+
+/**
+ * 数式を MathML（なければ TeX のソースを <code>）として複製
+ * MathJax 2 は描画結果の直後に TeX のソース（script 要素）を置くため、どちらか一方だけを残す
+ */
+function sanitizeMath(node) {
+  const math = node.localName === 'math' ? node : node.querySelector('math');
+  if (math) {
+    return document.importNode(math, true);
+  }
+
+  let tex;
+  if (node.localName === 'script') {
+    if (node.previousElementSibling?.querySelector('math')) return null;
+    tex = node.textContent.trim();
+  } else {
+    if (node.nextElementSibling?.matches('script[type^="math/"]')) return null;
+    tex = (node.textContent || '').trim();
+  }
+  if (!tex) return null;
+  const code = document.createElement('code');
+  code.textContent = tex;
+  return code;
+}
+
+/**
+ * ブロックから書き出す文書の本文（HTML / EPUB 共通）を作成
+ */
+function buildExportBody(blocks, meta) {
+  const container = document.createElement('div');
+
+  const source = document.createElement('p');
+  source.className = 'duoread-source';
+  const link = document.createElement('a');
+  link.href = meta.url;
+  link.textContent = meta.url;
+  source.append(`${meta.title} — `, link);
+  container.appendChild(source);
+
+  // 同じリストの項目は1つのリストにまとめる
+  let currentList = null;
+  let currentListEl = null;
+
+  for (const block of blocks) {
+    if (block.type !== 'pair' || !block.list) {
+      currentList = null;
+    }
+
+    if (block.type === 'block') {
+      const sanitized = sanitizeForExport(block.element);
+      if (sanitized) container.appendChild(sanitized);
+      continue;
+    }
+
+    const original = sanitizeChildren(block.original);
+    const translation = sanitizeChildren(block.translation);
+    const sourceLang = getBlockSourceLang(block, meta);
+
+    if (block.list) {
+      if (block.list !== currentList) {
+        currentList = block.list;
+        currentListEl = document.createElement(block.list.localName);
+        container.appendChild(currentListEl);
+      }
+      if (block.tag === 'li') {
+        const item = document.createElement('li');
+        if (sourceLang) item.lang = sourceLang;
+        const translationEl = document.createElement('div');
+        translationEl.className = 'duoread-translation';
+        translationEl.lang = meta.targetLang;
+        translationEl.appendChild(translation);
+        item.append(original, translationEl);
+        currentListEl.appendChild(item);
+      } else {
+        // dt / dd
+        currentListEl.append(
+          createPairElement(block.tag, original, sourceLang),
+          createPairElement(block.tag, translation, null, true)
+        );
+      }
+      continue;
+    }
+
+    const tag = /^(h[1-6]|blockquote)$/.test(block.tag) ? block.tag : 'p';
+    container.append(createPairElement(tag, original, sourceLang), createPairElement(tag, translation, null, true));
+  }
+
+  return container;
+}
+
+function sanitizeChildren(element) {
+  const fragment = document.createDocumentFragment();
+  appendSanitizedChildren(fragment, element);
+  return fragment;
+}
+
+/**
+ * 原文のブロックの言語（ブロックごとに判定した言語、なければ設定の原文の言語）
+ * @returns {string|null} 自動判定で言語が分からない場合は null
+ */
+function getBlockSourceLang(block, meta) {
+  if (block.sourceLang) return block.sourceLang;
+  return meta.sourceLang && meta.sourceLang !== 'auto' ? meta.sourceLang : null;
+}
+
+function createPairElement(tag, content, lang = null, isTranslation = false) {
+  const el = document.createElement(tag);
+  if (lang) el.lang = lang;
+  if (isTranslation) el.className = 'duoread-translation';
+  el.appendChild(content);
+  return el;
+}
+
+// --- 画像 ---
+
+/**
+ * 画像を取得（ページから読み込めないものは null）
+ */
+async function fetchExportImage(src) {
+  try {
+    const response = await fetch(src, { signal: AbortSignal.timeout(EXPORT_IMAGE_TIMEOUT_MS) });
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return blob.type.startsWith('image/') ? blob : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * 画像を data URL にして埋め込む（取得できない画像は元のURLのまま）
+ * @returns {Promise<number>} 埋め込めなかった画像の数
+ */
+async function inlineImages(container) {
+  let missing = 0;
+  for (const img of container.querySelectorAll('img[src]')) {
+    if (img.src.startsWith('data:')) continue;
+    const blob = await fetchExportImage(img.src);
+    if (blob) {
+      img.src = await blobToDataUrl(blob);
+    } else {
+      missing++;
+    }
+  }
+  return missing;
+}
+
+// --- Markdown ---
+
+/**
+ * Markdown を作成
+ * @param {boolean} asTable - 原文と翻訳文を2列の表にする（false は段落を交互に並べる）
+ */
+function buildMarkdown(blocks, asTable, meta) {
+  const parts = [`# ${escapeMarkdown(meta.title)}`, `<${meta.url}>`];
+  let tableRows = [];
+  let listIndex = 0;
+  let currentList = null;
+  // 直前に書いたリスト項目の親要素（同じリストの項目は空行を挟まずに続ける）
+  let lastItemList = null;
+
+  const flushTable = () => {
+    if (tableRows.length === 0) return;
+    parts.push(['| 原文 | 翻訳 |', '| --- | --- |', ...tableRows].join('\n'));
+    tableRows = [];
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'block') {
+      flushTable();
+      currentList = null;
+      lastItemList = null;
+      const sanitized = sanitizeForExport(block.element);
+      const markdown = sanitized && blockToMarkdown(sanitized).trim();
+      if (markdown) parts.push(markdown);
+      continue;
+    }
+
+    const original = inlineToMarkdown(sanitizeChildren(block.original)).trim();
+    const translation = inlineToMarkdown(sanitizeChildren(block.translation)).trim();
+    const heading = block.tag.match(/^h([1-6])$/);
+
+    if (asTable) {
+      const toCell = (text) => {
+        const cell = text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, '<br>');
+        if (heading) return `**${cell}**`;
+        return block.tag === 'li' ? `• ${cell}` : cell;
+      };
+      tableRows.push(`| ${toCell(original)} | ${toCell(translation)} |`);
+      continue;
+    }
+
+    if (block.list !== currentList) {
+      currentList = block.list;
+      listIndex = Number(block.list?.getAttribute('start')) || 1;
+    }
+
+    if (heading) {
+      const marker = '#'.repeat(Number(heading[1]));
+      parts.push(`${marker} ${original}\n\n${marker} ${translation}`);
+    } else if (block.tag === 'li') {
+      const bullet = block.list?.localName === 'ol' ? `${listIndex++}.` : '-';
+      const indent = ' '.repeat(bullet.length + 1);
+      const item = `${bullet} ${original}  \n${indent}${translation.replace(/\n/g, `\n${indent}`)}`;
+      if (block.list && lastItemList === block.list) {
+        parts[parts.length - 1] += `\n${item}`;
+      } else {
+        parts.push(item);
+      }
+    } else if (block.tag === 'blockquote') {
+      parts.push(`${quoteMarkdown(original)}\n>\n${quoteMarkdown(translation)}`);
+    } else {
+      parts.push(`${original}\n\n${translation}`);
+    }
+    lastItemList = block.tag === 'li' ? block.list : null;
+  }
+  flushTable();
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+function quoteMarkdown(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * 翻訳しないブロック（コード・数式・画像・表）を Markdown に変換
+ */
+function blockToMarkdown(node) {
+  if (node.nodeType === Node.ELEMENT_NODE && node.localName === 'pre') {
+    const language = (node.querySelector('code')?.className.match(/(?:language|lang)-(\S+)/) || [])[1] || '';
+    const code = node.textContent.replace(/\n$/, '');
+    const fence = code.includes('```') ? '~~~~' : '```';
+    return `${fence}${language}\n${code}\n${fence}`;
+  }
+  if (node.nodeType === Node.ELEMENT_NODE && node.localName === 'math') {
+    const tex = getMathTex(node);
+    return tex ? `$$\n${tex}\n$$` : node.outerHTML;
+  }
+  // 表は Markdown の表では結合セル等を表現できないため HTML のまま残す
+  if (node.nodeType === Node.ELEMENT_NODE && node.localName === 'table') {
+    return node.outerHTML;
+  }
+  return inlineToMarkdown(node);
+}
+
+/**
+ * インライン要素を Markdown に変換
+ */
+function inlineToMarkdown(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.nodeValue.replace(/\s+/g, ' '));
+  }
+
+  const children = () => [...node.childNodes].map(inlineToMarkdown).join('');
+  if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) return children();
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  switch (node.localName) {
+    case 'strong':
+    case 'b':
+      return `**${children()}**`;
+    case 'em':
+    case 'i':
+      return `*${children()}*`;
+    case 's':
+    case 'del':
+      return `~~${children()}~~`;
+    case 'code':
+      return `\`${node.textContent.replace(/`/g, '\\`')}\``;
+    case 'a':
+      return node.getAttribute('href') ? `[${children()}](${node.getAttribute('href')})` : children();
+    case 'img':
+      return `![${escapeMarkdown(node.getAttribute('alt') || '')}](${node.getAttribute('src')})`;
+    case 'br':
+      return '  \n';
+    case 'math': {
+      const tex = getMathTex(node);
+      return tex ? `$${tex}$` : node.outerHTML;
+    }
+    case 'pre':
+    case 'table':
+      return `\n\n${blockToMarkdown(node)}\n\n`;
+    case 'sub':
+    case 'sup':
+    case 'kbd':
+    case 'mark':
+      return `<${node.localName}>${children()}</${node.localName}>`;
+    case 'p':
+    case 'div':
+    case 'li':
+    case 'figure':
+    case 'figcaption':
+      return `\n\n${children().trim()}\n\n`;
+    default:
+      return children();
+  }
+}
+
+/**
+ * MathML に含まれる TeX のソース（MathJax・KaTeX が付与する annotation）
+ */
+function getMathTex(math) {
+  const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+  return annotation ? annotation.textContent.trim() : '';
+}
+
+// --- EPUB ---
+
+/**
+ * EPUB に同梱する画像を取得し、本文の参照を書き換える（取得できない画像は代替テキストに置き換える）
+ * @returns {Promise<{files: {name: string, mediaType: string, data: Uint8Array}[], missingImages: number}>}
+ */
+async function collectEpubImages(container) {
+  const files = [];
+  let missingImages = 0;
+
+  for (const img of container.querySelectorAll('img')) {
+    const blob = img.getAttribute('src') && await fetchExportImage(img.getAttribute('src'));
+    if (!blob) {
+      missingImages++;
+      img.replaceWith(img.getAttribute('alt') || '');
+      continue;
+    }
+    const extension = (blob.type.split('/')[1] || 'img').replace(/\+.*$/, '');
+    const name = `images/image${files.length + 1}.${extension}`;
+    files.push({ name, mediaType: blob.type, data: new Uint8Array(await blob.arrayBuffer()) });
+    img.setAttribute('src', name);
+    if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+  }
+
+  return { files, missingImages };
+}
+
+/**
+ * EPUB 3 のファイル一式を作成
+ * @returns {Uint8Array} ZIP（EPUB）のバイト列
+ */
+function buildEpub(container, images, meta) {
+  const id = `urn:uuid:${createUuid()}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const lang = escapeHtml(meta.targetLang);
+  const title = escapeHtml(meta.title);
+  // 原文の言語も併記する（先頭の dc:language が本文の主な言語）
+  const sourceLang = meta.sourceLang && meta.sourceLang !== 'auto' && meta.sourceLang !== meta.targetLang
+    ? escapeHtml(meta.sourceLang)
+    : null;
+  const serializer = new XMLSerializer();
+
+  // 見出しから目次を作成
+  const tocItems = [];
+  container.querySelectorAll('h1, h2, h3').forEach((heading, i) => {
+    if (heading.classList.contains('duoread-translation')) return;
+    heading.id = `heading-${i + 1}`;
+    tocItems.push(`<li><a href="text.xhtml#${heading.id}">${escapeHtml(heading.textContent.trim())}</a></li>`);
+  });
+  if (tocItems.length === 0) {
+    tocItems.push(`<li><a href="text.xhtml">${title}</a></li>`);
+  }
+
+  const body = [...container.childNodes].map(node => serializer.serializeToString(node)).join('\n');
+  const xhtml = (pageTitle, content, extra = '') => [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">`,
+    `<head><meta charset="utf-8"/><title>${pageTitle}</title>${extra}</head>`,
+    `<body>${content}</body>`,
+    '</html>'
+  ].join('\n');
+
+  const imageItems = images.map((file, i) =>
+    `<item id="image${i + 1}" href="${file.name}" media-type="${file.mediaType}"/>`
+  );
+  const hasMath = !!container.querySelector('math');
+
+  const opf = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">',
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:identifier id="book-id">${id}</dc:identifier>`,
+    `<dc:title>${title}</dc:title>`,
+    `<dc:language>${lang}</dc:language>`,
+    ...(sourceLang ? [`<dc:language>${sourceLang}</dc:language>`] : []),
+    `<dc:source>${escapeHtml(meta.url)}</dc:source>`,
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    '</metadata>',
+    '<manifest>',
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    `<item id="text" href="text.xhtml" media-type="application/xhtml+xml"${hasMath ? ' properties="mathml"' : ''}/>`,
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...imageItems,
+    '</manifest>',
+    '<spine>',
+    '<itemref idref="text"/>',
+    '</spine>',
+    '</package>'
+  ].join('\n');
+
+  const containerXml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '<rootfiles>',
+    '<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+    '</rootfiles>',
+    '</container>'
+  ].join('\n');
+
+  const encoder = new TextEncoder();
+  const stylesheet = '<link rel="stylesheet" type="text/css" href="style.css"/>';
+  return createZip([
+    // mimetype は先頭に無圧縮で置く（EPUB の仕様）
+    { name: 'mimetype', data: encoder.encode('application/epub+zip') },
+    { name: 'META-INF/container.xml', data: encoder.encode(containerXml) },
+    { name: 'OEBPS/content.opf', data: encoder.encode(opf) },
+    {
+      name: 'OEBPS/nav.xhtml',
+      data: encoder.encode(xhtml(title, `<nav epub:type="toc"><h1>${title}</h1><ol>${tocItems.join('')}</ol></nav>`))
+    },
+    { name: 'OEBPS/text.xhtml', data: encoder.encode(xhtml(title, body, stylesheet)) },
+    { name: 'OEBPS/style.css', data: encoder.encode(EXPORT_CSS) },
+    ...images.map(file => ({ name: `OEBPS/${file.name}`, data: file.data }))
+  ]);
+}
+
+// --- ZIP ---
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 無圧縮の ZIP を作成
+ * @param {{name: string, data: Uint8Array}[]} files - name は ASCII のみ
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const encoder = new TextEncoder();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // 展開に必要なバージョン
+    local.setUint16(8, 0, true); // 無圧縮
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
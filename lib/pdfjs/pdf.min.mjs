@@ -0,0 +1,29 @@
+/**
+ * @licstart The following is the entire license notice for the
+ * JavaScript code in this page
+ *
+ * Copyright 2024 Mozilla Foundation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @licend The above is the entire license notice for the
+ * JavaScript code in this page
+ */
+/**
+ * pdfjsVersion = 6.3.289
+ * pdfjsBuild = 1c8020a7d
+ */
+const t=!("object"!=typeof process||process+""!="[object process]"||process.versions.nw||process.versions.electron&&process.type&&"browser"!==process.type),e=[1/0,1/0,-1/0,-1/0],i=new Float32Array(e),n=[.001,0,0,.001,0,0],s="http://www.w3.org/2000/svg",r=1,a=2,o=4,l=16,h=32,c=64,d=128,u=256,p={DISABLE:0,ENABLE:1,ENABLE_FORMS:2,ENABLE_STORAGE:3},g="pdfjs_internal_id_",m="pdfjs_internal_editor_",f={DISABLE:-1,NONE:0,FREETEXT:3,HIGHLIGHT:9,STAMP:13,INK:15,POPUP:16,SIGNATURE:101,COMMENT:102},b={RESIZE:1,CREATE:2,FREETEXT_SIZE:11,FREETEXT_COLOR:12,FREETEXT_OPACITY:13,INK_COLOR:21,INK_THICKNESS:22,INK_OPACITY:23,INK_COLOR_AND_OPACITY:24,HIGHLIGHT_COLOR:31,HIGHLIGHT_THICKNESS:32,HIGHLIGHT_FREE:33,HIGHLIGHT_SHOW_ALL:34,DRAW_STEP:41},y={PRINT:4,MODIFY_CONTENTS:8,COPY:16,MODIFY_ANNOTATIONS:32,FILL_INTERACTIVE_FORMS:256,COPY_FOR_ACCESSIBILITY:512,ASSEMBLE:1024,PRINT_HIGH_QUALITY:2048},v=0,w=1,A=2,x=3,C=3,E=4,S={GRAYSCALE_1BPP:1,RGB_24BPP:2,RGBA_32BPP:3},T={TEXT:1,LINK:2,FREETEXT:3,LINE:4,SQUARE:5,CIRCLE:6,POLYGON:7,POLYLINE:8,HIGHLIGHT:9,UNDERLINE:10,SQUIGGLY:11,STRIKEOUT:12,STAMP:13,CARET:14,INK:15,POPUP:16,FILEATTACHMENT:17,SOUND:18,MOVIE:19,WIDGET:20,SCREEN:21,PRINTERMARK:22,TRAPNET:23,WATERMARK:24,THREED:25,REDACT:26,RICHMEDIA:27},_=1,k=2,D=3,P=4,M=5,I={ERRORS:0,WARNINGS:1,INFOS:5},F={dependency:1,setLineWidth:2,setLineCap:3,setLineJoin:4,setMiterLimit:5,setDash:6,setRenderingIntent:7,setFlatness:8,setGState:9,save:10,restore:11,transform:12,moveTo:13,lineTo:14,curveTo:15,curveTo2:16,curveTo3:17,closePath:18,rectangle:19,stroke:20,closeStroke:21,fill:22,eoFill:23,fillStroke:24,eoFillStroke:25,closeFillStroke:26,closeEOFillStroke:27,endPath:28,clip:29,eoClip:30,beginText:31,endText:32,setCharSpacing:33,setWordSpacing:34,setHScale:35,setLeading:36,setFont:37,setTextRenderingMode:38,setTextRise:39,moveText:40,setLeadingMoveText:41,setTextMatrix:42,nextLine:43,showText:44,showSpacedText:45,nextLineShowText:46,nextLineSetSpacingShowText:47,setCharWidth:48,setCharWidthAndBounds:49,setStrokeColorSpace:50,setFillColorSpace:51,setStrokeColor:52,setStrokeColorN:53,setFillColor:54,setFillColorN:55,setStrokeGray:56,setFillGray:57,setStrokeRGBColor:58,setFillRGBColor:59,setStrokeCMYKColor:60,setFillCMYKColor:61,shadingFill:62,beginInlineImage:63,beginImageData:64,endInlineImage:65,paintXObject:66,markPoint:67,markPointProps:68,beginMarkedContent:69,beginMarkedContentProps:70,endMarkedContent:71,beginCompat:72,endCompat:73,paintFormXObjectBegin:74,paintFormXObjectEnd:75,beginGroup:76,endGroup:77,beginAnnotation:80,endAnnotation:81,paintImageMaskXObject:83,paintImageMaskXObjectGroup:84,paintImageXObject:85,paintInlineImageXObject:86,paintInlineImageXObjectGroup:87,paintImageXObjectRepeat:88,paintImageMaskXObjectRepeat:89,paintSolidColorImageMask:90,constructPath:91,setStrokeTransparent:92,setFillTransparent:93,rawFillPath:94},O=0,B=1,R=2,L=3,N=4,U={NEED_PASSWORD:1,INCORRECT_PASSWORD:2};let H=I.WARNINGS;function setVerbosityLevel(t){Number.isInteger(t)&&(H=t)}function getVerbosityLevel(){return H}function info(t){H>=I.INFOS&&console.info(`Info: ${t}`)}function warn(t){H>=I.WARNINGS&&console.warn(`Warning: ${t}`)}function unreachable(t){throw new Error(t)}function assert(t,e){t||unreachable(e)}function createValidAbsoluteUrl(t,e=null,i=null){if(!t)return null;if(i&&"string"==typeof t){if(i.addDefaultProtocol&&t.startsWith("www.")){const e=t.match(/\./g);e?.length>=2&&(t=`http://${t}`)}if(i.tryConvertEncoding)try{t=function stringToUTF8String(t){return decodeURIComponent(escape(t))}(t)}catch{}}const n=e?URL.parse(t,e):URL.parse(t);return function _isValidProtocol(t){switch(t?.protocol){case"http:":case"https:":case"ftp:":case"mailto:":case"tel:":return!0;default:return!1}}(n)?n:null}function updateUrlHash(t,e,i=!1){const n=URL.parse(t);if(n){n.hash=e;return n.href}return i&&createValidAbsoluteUrl(t,"http://example.com")?t.split("#",1)[0]+""+(e?`#${e}`:""):""}function stripPath(t){return t.substring(t.lastIndexOf("/")+1)}function shadow(t,e,i,n=!1){Object.defineProperty(t,e,{value:i,enumerable:!n,configurable:!0,writable:!1});return i}const G=function BaseExceptionClosure(){function BaseException(t,e){this.message=t;this.name=e}BaseException.prototype=new Error;BaseException.constructor=BaseException;return BaseException}();class PasswordException extends G{constructor(t,e){super(t,"PasswordException");this.code=e}}class UnknownErrorException extends G{constructor(t,e){super(t,"UnknownErrorException");this.details=e}}class InvalidPDFException extends G{constructor(t){super(t,"InvalidPDFException")}}class ResponseException extends G{constructor(t,e,i){super(t,"ResponseException");this.status=e;this.missing=i}}class FormatError extends G{constructor(t){super(t,"FormatError")}}class AbortException extends G{constructor(t){super(t,"AbortException")}}function stringToBytes(t){"string"!=typeof t&&unreachable("Invalid argument for stringToBytes");const e=t.length,i=new Uint8Array(e);for(let n=0;n<e;++n)i[n]=255&t.charCodeAt(n);return i}class FeatureTest{static get isLittleEndian(){const t=new Uint8Array(4);t[0]=1;return shadow(this,"isLittleEndian",1===new Uint32Array(t.buffer,0,1)[0])}static get isOffscreenCanvasSupported(){return shadow(this,"isOffscreenCanvasSupported","undefined"!=typeof OffscreenCanvas)}static get isImageDecoderSupported(){return shadow(this,"isImageDecoderSupported","undefined"!=typeof ImageDecoder)}static get isFloat16ArraySupported(){return shadow(this,"isFloat16ArraySupported","undefined"!=typeof Float16Array)}static get isSanitizerSupported(){return shadow(this,"isSanitizerSupported","undefined"!=typeof Sanitizer)}static get platform(){const{platform:t,userAgent:e}=navigator;return shadow(this,"platform",{isAndroid:e.includes("Android"),isLinux:t.includes("Linux"),isMac:t.includes("Mac"),isWindows:t.includes("Win"),isFirefox:e.includes("Firefox")})}static get isCanvasFilterSupported(){let t;this.isOffscreenCanvasSupported?t=new OffscreenCanvas(1,1).getContext("2d"):"undefined"!=typeof document&&(t=document.createElement("canvas").getContext("2d"));return shadow(this,"isCanvasFilterSupported",void 0!==t?.filter)}static get isAlphaColorInputSupported(){if("undefined"==typeof document)return shadow(this,"isAlphaColorInputSupported",!1);const t=document.createElement("input");t.type="color";t.setAttribute("alpha","");t.value="#ff000080";return shadow(this,"isAlphaColorInputSupported","#ff0000"!==t.value)}static get isBackdropFilterSupported(){return shadow(this,"isBackdropFilterSupported","undefined"!=typeof CSS&&CSS.supports("backdrop-filter","blur(1px)"))}}class Util{static get hexNums(){return shadow(this,"hexNums",Array.from({length:256},(t,e)=>e.toString(16).padStart(2,"0")))}static makeHexColor(t,e,i){return`#${this.hexNums[t]}${this.hexNums[e]}${this.hexNums[i]}`}static transform(t,e){return[t[0]*e[0]+t[2]*e[1],t[1]*e[0]+t[3]*e[1],t[0]*e[2]+t[2]*e[3],t[1]*e[2]+t[3]*e[3],t[0]*e[4]+t[2]*e[5]+t[4],t[1]*e[4]+t[3]*e[5]+t[5]]}static multiplyByDOMMatrix(t,e){return[t[0]*e.a+t[2]*e.b,t[1]*e.a+t[3]*e.b,t[0]*e.c+t[2]*e.d,t[1]*e.c+t[3]*e.d,t[0]*e.e+t[2]*e.f+t[4],t[1]*e.e+t[3]*e.f+t[5]]}static applyTransform(t,e,i=0){const n=t[i],s=t[i+1];t[i]=n*e[0]+s*e[2]+e[4];t[i+1]=n*e[1]+s*e[3]+e[5]}static applyTransformToBezier(t,e,i=0){const n=e[0],s=e[1],r=e[2],a=e[3],o=e[4],l=e[5];for(let e=0;e<6;e+=2){const h=t[i+e],c=t[i+e+1];t[i+e]=h*n+c*r+o;t[i+e+1]=h*s+c*a+l}}static applyInverseTransform(t,e){const i=t[0],n=t[1],s=e[0]*e[3]-e[1]*e[2];t[0]=(i*e[3]-n*e[2]+e[2]*e[5]-e[4]*e[3])/s;t[1]=(-i*e[1]+n*e[0]+e[4]*e[1]-e[5]*e[0])/s}static axialAlignedBoundingBox(t,e,i){const n=e[0],s=e[1],r=e[2],a=e[3],o=e[4],l=e[5],h=t[0],c=t[1],d=t[2],u=t[3];let p=n*h+o,g=p,m=n*d+o,f=m,b=a*c+l,y=b,v=a*u+l,w=v;if(0!==s||0!==r){const t=s*h,e=s*d,i=r*c,n=r*u;p+=i;f+=i;m+=n;g+=n;b+=t;w+=t;v+=e;y+=e}i[0]=Math.min(i[0],p,m,g,f);i[1]=Math.min(i[1],b,v,y,w);i[2]=Math.max(i[2],p,m,g,f);i[3]=Math.max(i[3],b,v,y,w)}static inverseTransform(t){const e=t[0]*t[3]-t[1]*t[2];return[t[3]/e,-t[1]/e,-t[2]/e,t[0]/e,(t[2]*t[5]-t[4]*t[3])/e,(t[4]*t[1]-t[5]*t[0])/e]}static singularValueDecompose2dScale(t,e){const i=t[0],n=t[1],s=t[2],r=t[3],a=i**2+n**2,o=i*s+n*r,l=s**2+r**2,h=(a+l)/2,c=Math.sqrt(h**2-(a*l-o**2));e[0]=Math.sqrt(h+c||1);e[1]=Math.sqrt(h-c||1)}static normalizeRect(t){const e=t.slice(0);if(t[0]>t[2]){e[0]=t[2];e[2]=t[0]}if(t[1]>t[3]){e[1]=t[3];e[3]=t[1]}return e}static intersect(t,e){const i=Math.max(Math.min(t[0],t[2]),Math.min(e[0],e[2])),n=Math.min(Math.max(t[0],t[2]),Math.max(e[0],e[2]));if(i>n)return null;const s=Math.max(Math.min(t[1],t[3]),Math.min(e[1],e[3])),r=Math.min(Math.max(t[1],t[3]),Math.max(e[1],e[3]));return s>r?null:[i,s,n,r]}static pointBoundingBox(t,e,i){i[0]=Math.min(i[0],t);i[1]=Math.min(i[1],e);i[2]=Math.max(i[2],t);i[3]=Math.max(i[3],e)}static rectBoundingBox(t,e,i,n,s){s[0]=Math.min(s[0],t,i);s[1]=Math.min(s[1],e,n);s[2]=Math.max(s[2],t,i);s[3]=Math.max(s[3],e,n)}static#t(t,e,i,n,s,r,a,o,l,h){if(l<=0||l>=1)return;const c=1-l,d=l*l,u=d*l,p=c*(c*(c*t+3*l*e)+3*d*i)+u*n,g=c*(c*(c*s+3*l*r)+3*d*a)+u*o;h[0]=Math.min(h[0],p);h[1]=Math.min(h[1],g);h[2]=Math.max(h[2],p);h[3]=Math.max(h[3],g)}static#e(t,e,i,n,s,r,a,o,l,h,c,d){if(Math.abs(l)<1e-12){Math.abs(h)>=1e-12&&this.#t(t,e,i,n,s,r,a,o,-c/h,d);return}const u=h**2-4*c*l;if(u<0)return;const p=Math.sqrt(u),g=2*l;this.#t(t,e,i,n,s,r,a,o,(-h+p)/g,d);this.#t(t,e,i,n,s,r,a,o,(-h-p)/g,d)}static bezierBoundingBox(t,e,i,n,s,r,a,o,l){l[0]=Math.min(l[0],t,a);l[1]=Math.min(l[1],e,o);l[2]=Math.max(l[2],t,a);l[3]=Math.max(l[3],e,o);this.#e(t,i,s,a,e,n,r,o,3*(3*(i-s)-t+a),6*(t-2*i+s),3*(i-t),l);this.#e(t,i,s,a,e,n,r,o,3*(3*(n-r)-e+o),6*(e-2*n+r),3*(n-e),l)}}let z=null,W=null;function normalizeUnicode(t){if(!z){z=/([\u00a0\u00b5\u037e\u0eb3\u2000-\u200a\u202f\u2126\ufb00-\ufb04\ufb06\ufb20-\ufb36\ufb38-\ufb3c\ufb3e\ufb40\ufb41\ufb43\ufb44\ufb46-\ufba1\ufba4-\ufba9\ufbae-\ufbb1\ufbd3-\ufbdc\ufbde-\ufbe7\ufbea-\ufbf8\ufbfc\ufbfd\ufc00-\ufc5d\ufc64-\ufcf1\ufcf5-\ufd3d\ufd88\ufdf4\ufdfa\ufdfb\ufe71\ufe77\ufe79\ufe7b\ufe7d]+)|(\ufb05+)/gu;W=new Map([["ﬅ","ſt"]])}return t.replaceAll(z,(t,e,i)=>e?e.normalize("NFKC"):W.get(i))}function getUuid(){if("function"==typeof crypto.randomUUID)return crypto.randomUUID();const t=new Uint8Array(32);crypto.getRandomValues(t);return function bytesToString(t){"object"==typeof t&&void 0!==t?.length||unreachable("Invalid argument for bytesToString");const e=t.length,i=8192;if(e<i)return String.fromCharCode.apply(null,t);const n=[];for(let s=0;s<e;s+=i){const r=Math.min(s+i,e),a=t.subarray(s,r);n.push(String.fromCharCode.apply(null,a))}return n.join("")}(t)}const makeArr=()=>[],makeMap=()=>new Map,makeObj=()=>Object.create(null),makeSet=()=>new Set;"function"!=typeof Iterator.prototype.join&&(Iterator.prototype.join=function(t){return[...this].join(t)});function MathClamp(t,e,i){return Math.min(Math.max(t,e),i)}class PageViewport{constructor({viewBox:t,userUnit:e,scale:i,rotation:n,offsetX:s=0,offsetY:r=0,dontFlip:a=!1}){this.viewBox=t;this.userUnit=e;this.scale=i;this.rotation=n;this.offsetX=s;this.offsetY=r;i*=e;const o=(t[2]+t[0])/2,l=(t[3]+t[1])/2;let h,c,d,u,p,g,m,f;(n%=360)<0&&(n+=360);switch(n){case 180:h=-1;c=0;d=0;u=1;break;case 90:h=0;c=1;d=1;u=0;break;case 270:h=0;c=-1;d=-1;u=0;break;case 0:h=1;c=0;d=0;u=-1;break;default:throw new Error("PageViewport: Invalid rotation, must be a multiple of 90 degrees.")}if(a){d=-d;u=-u}if(0===h){p=Math.abs(l-t[1])*i+s;g=Math.abs(o-t[0])*i+r;m=(t[3]-t[1])*i;f=(t[2]-t[0])*i}else{p=Math.abs(o-t[0])*i+s;g=Math.abs(l-t[1])*i+r;m=(t[2]-t[0])*i;f=(t[3]-t[1])*i}this.transform=[h*i,c*i,d*i,u*i,p-h*i*o-d*i*l,g-c*i*o-u*i*l];this.width=m;this.height=f}get rawDims(){const t=this.viewBox;return shadow(this,"rawDims",{pageWidth:t[2]-t[0],pageHeight:t[3]-t[1],pageX:t[0],pageY:t[1]})}clone({scale:t=this.scale,rotation:e=this.rotation,offsetX:i=this.offsetX,offsetY:n=this.offsetY,dontFlip:s=!1}={}){return new PageViewport({viewBox:this.viewBox.slice(),userUnit:this.userUnit,scale:t,rotation:e,offsetX:i,offsetY:n,dontFlip:s})}convertToViewportPoint(t,e){const i=[t,e];Util.applyTransform(i,this.transform);return i}convertToPdfPoint(t,e){const i=[t,e];Util.applyInverseTransform(i,this.transform);return i}}class XfaText{static textContent(t){const e=[],i={items:e,styles:Object.create(null)};!function walk(t){if(!t)return;let i=null;const n=t.name;if("#text"===n)i=t.value;else{if(!XfaText.shouldBuildText(n))return;t?.attributes?.textContent?i=t.attributes.textContent:t.value&&(i=t.value)}null!==i&&e.push({str:i});if(t.children)for(const e of t.children)walk(e)}(t);return i}static shouldBuildText(t){return!("textarea"===t||"input"===t||"option"===t||"select"===t)}}const V=/url\(|image-set\(/i,$=/^on/i;class XfaLayer{static get _allowedHtmlElements(){return shadow(this,"_allowedHtmlElements",new Set(["a","b","br","button","div","i","img","input","label","li","ol","option","p","select","span","sub","sup","textarea","ul"]))}static get _allowedSvgElements(){return shadow(this,"_allowedSvgElements",new Set(["ellipse","line","path","rect","svg"]))}static get _allowedRichTextElements(){return shadow(this,"_allowedRichTextElements",new Set(["a","b","br","div","i","li","ol","p","span","sub","sup","ul"]))}static get _allowedRichTextAttributes(){return shadow(this,"_allowedRichTextAttributes",new Set(["class","dir","style"]))}static get _allowedRichTextStyles(){return shadow(this,"_allowedRichTextStyles",new Set(["color","font","fontFamily","fontSize","fontStretch","fontStyle","fontWeight","kerningMode","letterSpacing","lineHeight","margin","marginBottom","marginLeft","marginRight","marginTop","orphans","paddingLeft","paddingRight","breakAfter","breakBefore","breakInside","tabInterval","tabStop","textAlign","textDecoration","textIndent","transform","verticalAlign","widows"]))}static setupStorage(t,e,i,n,s){const r=n.getValue(e,{value:null});switch(i.name){case"textarea":null!==r.value&&(t.textContent=r.value);if("print"===s)break;t.addEventListener("input",t=>{n.setValue(e,{value:t.target.value})});break;case"input":if("radio"===i.attributes.type||"checkbox"===i.attributes.type){r.value===i.attributes.xfaOn?t.setAttribute("checked",!0):r.value===i.attributes.xfaOff&&t.removeAttribute("checked");if("print"===s)break;t.addEventListener("change",t=>{n.setValue(e,{value:t.target.checked?t.target.getAttribute("xfaOn"):t.target.getAttribute("xfaOff")})})}else{null!==r.value&&t.setAttribute("value",r.value);if("print"===s)break;t.addEventListener("input",t=>{n.setValue(e,{value:t.target.value})})}break;case"select":if(null!==r.value){t.setAttribute("value",r.value);for(const t of i.children)t.attributes.value===r.value?t.attributes.selected=!0:Object.hasOwn(t.attributes,"selected")&&delete t.attributes.selected}t.addEventListener("input",t=>{const i=t.target.options,s=-1===i.selectedIndex?"":i[i.selectedIndex].value;n.setValue(e,{value:s})})}}static setAttributes({html:t,element:e,storage:i=null,intent:n,linkService:s}){const{attributes:r}=e,a=t instanceof HTMLAnchorElement;"radio"===r.type&&(r.name=`${r.name}-${n}`);for(const[e,i]of Object.entries(r))if(null!=i&&!$.test(e)&&("richText"!==n||this._allowedRichTextAttributes.has(e)))switch(e){case"class":i.length&&t.setAttribute(e,i.join(" "));break;case"dataId":break;case"id":t.setAttribute("data-element-id",i);break;case"style":if("richText"===n){const e=this._allowedRichTextStyles;for(const[n,s]of Object.entries(i))e.has(n)&&!V.test(s)&&(t.style[n]=s)}else Object.assign(t.style,i);break;case"textContent":t.textContent=i;break;default:(!a||"href"!==e&&"newWindow"!==e)&&t.setAttribute(e,i)}a&&s?.addLinkAttributes(t,r.href,r.newWindow);i&&r.dataId&&this.setupStorage(t,r.dataId,e,i)}static#i(t,e,i){return"richText"===i?!e&&this._allowedRichTextElements.has(t)?document.createElement(t):null:e?e===s&&this._allowedSvgElements.has(t)?document.createElementNS(s,t):null:this._allowedHtmlElements.has(t)?document.createElement(t):null}static render(t){const e=t.annotationStorage,i=t.linkService,n=t.xfaHtml,s=t.intent||"display",r=this.#i(n.name,n.attributes?.xmlns,s)??document.createElement("div");n.attributes&&this.setAttributes({html:r,element:n,intent:s,linkService:i});const a="richText"!==s,o=t.div;o.append(r);if(t.viewport){const e=`matrix(${t.viewport.transform.join(",")})`;o.style.transform=e}a&&o.setAttribute("class","xfaLayer xfaFont");const l=[];if(0===n.children.length){if(n.value){const t=document.createTextNode(n.value);r.append(t);a&&XfaText.shouldBuildText(n.name)&&l.push(t)}return{textDivs:l}}const h=[[n,-1,r]];for(;h.length>0;){const[t,n,r]=h.at(-1);if(n+1===t.children.length){h.pop();continue}const o=t.children[++h.at(-1)[1]];if(null===o)continue;const{name:c}=o;if("#text"===c){const t=document.createTextNode(o.value);l.push(t);r.append(t);continue}const d=this.#i(c,o.attributes?.xmlns,s);if(d){r.append(d);o.attributes&&this.setAttributes({html:d,element:o,storage:e,intent:s,linkService:i});if(o.children?.length>0)h.push([o,-1,d]);else if(o.value){const t=document.createTextNode(o.value);a&&XfaText.shouldBuildText(c)&&l.push(t);d.append(t)}}}for(const t of o.querySelectorAll(".xfaNonInteractive input, .xfaNonInteractive textarea"))t.setAttribute("readOnly",!0);return{textDivs:l}}static update(t){const e=`matrix(${t.viewport.transform.join(",")})`;t.div.style.transform=e;t.div.hidden=!1}static getPageViewport(t,{scale:e=1,rotation:i=0}){const{width:n,height:s}=t.attributes.style;return new PageViewport({viewBox:[0,0,parseInt(n,10),parseInt(s,10)],userUnit:1,scale:e,rotation:i})}}class PixelsPerInch{static CSS=96;static PDF=72;static PDF_TO_CSS_UNITS=this.CSS/this.PDF}async function fetchData(t,e="text"){if(isValidFetchUrl(t,document.baseURI)){const i=await fetch(t);if(!i.ok)throw new Error(i.statusText);switch(e){case"blob":return i.blob();case"bytes":return i.bytes();case"json":return i.json()}return i.text()}return new Promise((i,n)=>{const s=new XMLHttpRequest;s.open("GET",t,!0);s.responseType="bytes"===e?"arraybuffer":e;s.onreadystatechange=()=>{if(s.readyState===XMLHttpRequest.DONE)if(200!==s.status&&0!==s.status)n(new Error(s.statusText));else{switch(e){case"bytes":i(new Uint8Array(s.response));return;case"blob":case"json":i(s.response);return}i(s.responseText)}};s.send(null)})}class RenderingCancelledException extends G{constructor(t,e=0){super(t,"RenderingCancelledException");this.extraDelay=e}}function isDataScheme(t){const e=t.length;let i=0;for(;i<e&&""===t[i].trim();)i++;return"data:"===t.substring(i,i+5).toLowerCase()}function isPdfFile(t){return"string"==typeof t&&/\.pdf$/i.test(t)}function getFilenameFromUrl(t){[t]=t.split(/[#?]/,1);return stripPath(t)}function getPdfFilenameFromUrl(t,e="document.pdf"){if("string"!=typeof t)return e;if(isDataScheme(t)){warn('getPdfFilenameFromUrl: ignore "data:"-URL for performance reasons.');return e}const i=(t=>{try{return new URL(t)}catch{}try{return new URL(decodeURIComponent(t))}catch{}try{return new URL(t,"https://foo.bar")}catch{}try{return new URL(decodeURIComponent(t),"https://foo.bar")}catch{}return null})(t);if(!i)return e;const decode=t=>{try{let e=decodeURIComponent(t);if(e.includes("/")){e=stripPath(e);if(4===e.length&&n.test(e))return t}return e}catch{return t}},n=/\.pdf$/i,s=stripPath(i.pathname);if(n.test(s))return decode(s);if(i.searchParams.size>0){const getLast=t=>[...t].findLast(t=>n.test(t)),t=getLast(i.searchParams.values())??getLast(i.searchParams.keys());if(t)return decode(t)}if(i.hash){const{hash:t}=i;let e=-1;for(const{index:i}of t.matchAll(/\.pdf\b/gi))e=i;if(e>0){let i=e;for(;i>0&&!"/?#=".includes(t[i-1]);)i--;if(i<e)return decode(t.slice(i,e+4))}}return e}class StatTimer{#n=new Map;times=[];time(t){this.#n.has(t)&&warn(`Timer is already running for ${t}`);this.#n.set(t,Date.now())}timeEnd(t){this.#n.has(t)||warn(`Timer has not been started for ${t}`);this.times.push({name:t,start:this.#n.get(t),end:Date.now()});this.#n.delete(t)}toString(){const t=Math.max(...this.times.map(t=>t.name.length));return this.times.map(e=>`${e.name.padEnd(t)} ${e.end-e.start}ms\n`).join("")}}function isValidFetchUrl(t,e){const i=e?URL.parse(t,e):URL.parse(t);return/https?:/.test(i?.protocol??"")}function noContextMenu(t){t.preventDefault()}function stopEvent(t){t.preventDefault();t.stopPropagation()}class PDFDateString{static#s;static toDateObject(t){if(t instanceof Date)return t;if(!t||"string"!=typeof t)return null;this.#s||=new RegExp("^D:(\\d{4})(\\d{2})?(\\d{2})?(\\d{2})?(\\d{2})?(\\d{2})?([Z|+\\-])?(\\d{2})?'?(\\d{2})?'?");const e=this.#s.exec(t);if(!e)return null;const i=parseInt(e[1],10);let n=parseInt(e[2],10);n=n>=1&&n<=12?n-1:0;let s=parseInt(e[3],10);s=s>=1&&s<=31?s:1;let r=parseInt(e[4],10);r=r>=0&&r<=23?r:0;let a=parseInt(e[5],10);a=a>=0&&a<=59?a:0;let o=parseInt(e[6],10);o=o>=0&&o<=59?o:0;const l=e[7]||"Z";let h=parseInt(e[8],10);h=h>=0&&h<=23?h:0;let c=parseInt(e[9],10)||0;c=c>=0&&c<=59?c:0;if("-"===l){r+=h;a+=c}else if("+"===l){r-=h;a-=c}return new Date(Date.UTC(i,n,s,r,a,o))}}function getRGBA(t){if(t.startsWith("#")){const e=t.slice(1);return[parseInt(e.slice(0,2),16),parseInt(e.slice(2,4),16),parseInt(e.slice(4,6),16),e.length>=8?parseInt(e.slice(6,8),16)/255:1]}if(t.startsWith("rgb(")){const[e,i,n]=t.slice(4,-1).split(",").map(t=>parseInt(t,10));return[e,i,n,1]}if(t.startsWith("rgba(")){const e=t.slice(5,-1).split(",");return[parseInt(e[0],10),parseInt(e[1],10),parseInt(e[2],10),parseFloat(e[3])]}const e=t.match(/^color\(srgb\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s*\/\s*([\d.]+|none))?\)$/);return e?[Math.round(255*parseFloat(e[1])),Math.round(255*parseFloat(e[2])),Math.round(255*parseFloat(e[3])),void 0!==e[4]&&"none"!==e[4]?parseFloat(e[4]):1]:null}function getRGB(t){const e=getRGBA(t);if(!e){warn(`Not a valid color format: "${t}"`);return[0,0,0]}return e.slice(0,3)}function getCurrentTransform(t){const{a:e,b:i,c:n,d:s,e:r,f:a}=t.getTransform();return[e,i,n,s,r,a]}function getCurrentTransformInverse(t){const{a:e,b:i,c:n,d:s,e:r,f:a}=t.getTransform().invertSelf();return[e,i,n,s,r,a]}function setLayerDimensions(t,e,i=!1,n=!0){if(e instanceof PageViewport){const{pageWidth:n,pageHeight:s}=e.rawDims,{style:r}=t,a=`round(down, var(--total-scale-factor) * ${n}px, var(--scale-round-x))`,o=`round(down, var(--total-scale-factor) * ${s}px, var(--scale-round-y))`;if(i&&e.rotation%180!=0){r.width=o;r.height=a}else{r.width=a;r.height=o}}n&&t.setAttribute("data-main-rotation",e.rotation)}class OutputScale{constructor(){const{pixelRatio:t}=OutputScale;this.sx=t;this.sy=t}get scaled(){return 1!==this.sx||1!==this.sy}get symmetric(){return this.sx===this.sy}limitCanvas(t,e,i,n,s=-1){let r=1/0,a=1/0,o=1/0;(i=OutputScale.capPixels(i,s))>0&&(r=Math.sqrt(i/(t*e)));if(-1!==n){a=n/t;o=n/e}const l=Math.min(r,a,o);if(this.sx>l||this.sy>l){this.sx=l;this.sy=l;return!0}return!1}static get pixelRatio(){return globalThis.devicePixelRatio||1}static capPixels(t,e){if(e>=0){const i=Math.ceil(window.screen.availWidth*window.screen.availHeight*this.pixelRatio**2*(1+e/100));return t>0?Math.min(t,i):i}return t}}const j=["image/apng","image/avif","image/bmp","image/gif","image/jpeg","image/png","image/svg+xml","image/webp","image/x-icon"];class ColorScheme{static get isDarkMode(){return shadow(this,"isDarkMode",!!window?.matchMedia?.("(prefers-color-scheme: dark)").matches)}}class CSSConstants{static get commentForegroundColor(){const t=document.createElement("span");t.classList.add("comment","sidebar");const{style:e}=t;e.width=e.height="0";e.display="none";e.color="var(--comment-fg-color)";document.body.append(t);const{color:i}=window.getComputedStyle(t);t.remove();return shadow(this,"commentForegroundColor",getRGB(i))}}function applyOpacity(t,e){const i=255*(1-(e=MathClamp(e??1,0,1)));return t.map(t=>Math.round(t*e+i))}function RGBToHSL(t,e){const i=t[0]/255,n=t[1]/255,s=t[2]/255,r=Math.max(i,n,s),a=Math.min(i,n,s),o=(r+a)/2;if(r===a)e[0]=e[1]=0;else{const t=r-a;e[1]=o<.5?t/(r+a):t/(2-r-a);switch(r){case i:e[0]=60*((n-s)/t+(n<s?6:0));break;case n:e[0]=60*((s-i)/t+2);break;case s:e[0]=60*((i-n)/t+4)}}e[2]=o}function HSLToRGB(t,e){const i=t[0],n=t[1],s=t[2],r=(1-Math.abs(2*s-1))*n,a=r*(1-Math.abs(i/60%2-1)),o=s-r/2;switch(Math.floor(i/60)){case 0:e[0]=r+o;e[1]=a+o;e[2]=o;break;case 1:e[0]=a+o;e[1]=r+o;e[2]=o;break;case 2:e[0]=o;e[1]=r+o;e[2]=a+o;break;case 3:e[0]=o;e[1]=a+o;e[2]=r+o;break;case 4:e[0]=a+o;e[1]=o;e[2]=r+o;break;case 5:case 6:e[0]=r+o;e[1]=o;e[2]=a+o}}function computeLuminance(t){return t<=.03928?t/12.92:((t+.055)/1.055)**2.4}function contrastRatio(t,e,i){HSLToRGB(t,i);i.map(computeLuminance);const n=.2126*i[0]+.7152*i[1]+.0722*i[2];HSLToRGB(e,i);i.map(computeLuminance);const s=.2126*i[0]+.7152*i[1]+.0722*i[2];return n>s?(n+.05)/(s+.05):(s+.05)/(n+.05)}const X=new Map;function findContrastColor(t,e){const i=t[0]+256*t[1]+65536*t[2]+16777216*e[0]+4294967296*e[1]+1099511627776*e[2];let n=X.get(i);if(n)return n;const s=new Float32Array(9),r=s.subarray(0,3),a=s.subarray(3,6);RGBToHSL(t,a);const o=s.subarray(6,9);RGBToHSL(e,o);const l=o[2]<.5,h=l?12:4.5;a[2]=l?Math.sqrt(a[2]):1-Math.sqrt(1-a[2]);if(contrastRatio(a,o,r)<h){let t,e;if(l){t=a[2];e=1}else{t=0;e=a[2]}const i=.005;for(;e-t>i;){const i=a[2]=(t+e)/2;l===contrastRatio(a,o,r)<h?t=i:e=i}a[2]=l?e:t}HSLToRGB(a,r);n=Util.makeHexColor(Math.round(255*r[0]),Math.round(255*r[1]),Math.round(255*r[2]));X.set(i,n);return n}function renderRichText({html:t,dir:e,className:i},n){const s=document.createDocumentFragment();if("string"==typeof t){const i=document.createElement("p");i.dir=e||"auto";const n=t.split(/\r\n?|\n/);for(let t=0,e=n.length;t<e;++t){const s=n[t];i.append(document.createTextNode(s));t<e-1&&i.append(document.createElement("br"))}s.append(i)}else XfaLayer.render({xfaHtml:t,div:s,intent:"richText"});s.firstElementChild.classList.add("richText",i);n.append(s)}function makePathFromDrawOPS(t){const e=new Path2D;if(!t)return e;for(let i=0,n=t.length;i<n;)switch(t[i++]){case O:e.moveTo(t[i++],t[i++]);break;case B:e.lineTo(t[i++],t[i++]);break;case R:e.bezierCurveTo(t[i++],t[i++],t[i++],t[i++],t[i++],t[i++]);break;case L:e.quadraticCurveTo(t[i++],t[i++],t[i++],t[i++]);break;case N:e.closePath();break;default:warn(`Unrecognized drawing path operator: ${t[i-1]}`)}return e}class EditorToolbar{#r=null;#a=null;#o;#l=null;#h=null;#c=null;#d=null;#u=null;static#p=null;constructor(t){this.#o=t;EditorToolbar.#p||=Object.freeze({freetext:"pdfjs-editor-remove-freetext-button",highlight:"pdfjs-editor-remove-highlight-button",ink:"pdfjs-editor-remove-ink-button",stamp:"pdfjs-editor-remove-stamp-button",signature:"pdfjs-editor-remove-signature-button"})}render(){const t=this.#r=document.createElement("div");t.classList.add("editToolbar","hidden");t.setAttribute("role","toolbar");const e=this.#o._uiManager._signal;if(e instanceof AbortSignal&&!e.aborted){t.addEventListener("contextmenu",noContextMenu,{signal:e});t.addEventListener("pointerdown",EditorToolbar.#g,{signal:e})}const i=this.#l=document.createElement("div");i.className="buttons";t.append(i);const n=this.#o.toolbarPosition;if(n){const{style:e}=t,i="ltr"===this.#o._uiManager.direction?1-n[0]:n[0];e.insetInlineEnd=100*i+"%";e.top=`calc(${100*n[1]}% + var(--editor-toolbar-vert-offset))`}return t}get div(){return this.#r}static#g(t){t.stopPropagation()}#m(t){this.#o._focusEventsAllowed=!1;stopEvent(t)}#f(t){this.#o._focusEventsAllowed=!0;stopEvent(t)}#b(t){const e=this.#o._uiManager._signal;if(!(e instanceof AbortSignal)||e.aborted)return!1;t.addEventListener("focusin",this.#m.bind(this),{capture:!0,signal:e});t.addEventListener("focusout",this.#f.bind(this),{capture:!0,signal:e});t.addEventListener("contextmenu",noContextMenu,{signal:e});return!0}hide(){this.#r.classList.add("hidden");this.#a?.hideDropdown()}show(){this.#r.classList.remove("hidden");this.#h?.shown();this.#c?.shown()}addDeleteButton(){const{editorType:t,_uiManager:e}=this.#o,i=document.createElement("button");i.classList.add("basic","deleteButton");i.tabIndex=0;i.setAttribute("data-l10n-id",EditorToolbar.#p[t]);this.#b(i)&&i.addEventListener("click",t=>{e.delete()},{signal:e._signal});this.#l.append(i)}get#y(){const t=document.createElement("div");t.className="divider";return t}async addAltText(t){const e=await t.render();this.#b(e);this.#l.append(e,this.#y);this.#h=t}addComment(t,e=null){if(this.#c)return;const i=t.renderForToolbar();if(!i)return;this.#b(i);const n=this.#d=this.#y;if(e){this.#l.insertBefore(i,e);this.#l.insertBefore(n,e)}else this.#l.append(i,n);this.#c=t;t.toolbar=this}addColorPicker(t){if(this.#a)return;this.#a=t;const e=t.renderButton();this.#b(e);this.#l.append(e,this.#y)}async addEditSignatureButton(t){const e=this.#u=await t.renderEditButton(this.#o);this.#b(e);this.#l.append(e,this.#y)}removeButton(t){if("comment"===t){this.#c?.removeToolbarCommentButton();this.#c=null;this.#d?.remove();this.#d=null}}async addButton(t,e){switch(t){case"colorPicker":e&&this.addColorPicker(e);break;case"altText":e&&await this.addAltText(e);break;case"editSignature":e&&await this.addEditSignatureButton(e);break;case"delete":this.addDeleteButton();break;case"comment":e&&this.addComment(e)}}async addButtonBefore(t,e,i){if(!e&&"comment"===t)return;const n=this.#l.querySelector(i);n&&"comment"===t&&this.addComment(e,n)}updateEditSignatureButton(t){this.#u&&(this.#u.title=t)}remove(){this.#r.remove();this.#a?.destroy();this.#a=null}}class FloatingToolbar{#l=null;#r=null;#v;constructor(t){this.#v=t}#w(){const t=this.#r=document.createElement("div");t.className="editToolbar";t.setAttribute("role","toolbar");t.dir=this.#v.direction;const e=this.#v._signal;e instanceof AbortSignal&&!e.aborted&&t.addEventListener("contextmenu",noContextMenu,{signal:e});const i=this.#l=document.createElement("div");i.className="buttons";t.append(i);this.#v.hasCommentManager()&&this.#A("commentButton","pdfjs-comment-floating-button","pdfjs-comment-floating-button-label",()=>{this.#v.commentSelection("floating_button")});this.#A("highlightButton","pdfjs-highlight-floating-button1","pdfjs-highlight-floating-button-label",()=>{this.#v.highlightSelection("floating_button")});return t}#x(t,e){let i=0,n=0;for(const s of t){const t=s.y+s.height;if(t<i)continue;const r=s.x+(e?s.width:0);if(t>i){n=r;i=t}else e?r>n&&(n=r):r<n&&(n=r)}return[e?1-n:n,i]}show(t,e,i){const[n,s]=this.#x(e,i),{style:r}=this.#r||=this.#w();t.append(this.#r);r.insetInlineEnd=100*n+"%";r.top=`calc(${100*s}% + var(--editor-toolbar-vert-offset))`}hide(){this.#r.remove()}#A(t,e,i,n){const s=document.createElement("button");s.classList.add("basic",t);s.tabIndex=0;s.setAttribute("data-l10n-id",e);const r=document.createElement("span");s.append(r);r.className="visuallyHidden";r.setAttribute("data-l10n-id",i);const a=this.#v._signal;if(a instanceof AbortSignal&&!a.aborted){s.addEventListener("contextmenu",noContextMenu,{signal:a});s.addEventListener("click",n,{signal:a})}this.#l.append(s)}}const K=Object.freeze({internal:"59968104-cc61-4cf9-b570-014b35b3709c"});function bindEvents(t,e,i){for(const n of i)e.addEventListener(n,t[n].bind(t))}class CurrentPointers{static#C=NaN;static#E=null;static#S=NaN;static#T=null;static initializeAndAddPointerId(t){(CurrentPointers.#E||=new Set).add(t)}static setPointer(t,e){CurrentPointers.#C||=e;CurrentPointers.#T??=t}static setTimeStamp(t){CurrentPointers.#S=t}static isSamePointerId(t){return CurrentPointers.#C===t}static isSamePointerIdOrRemove(t){if(CurrentPointers.#C===t)return!0;CurrentPointers.#E?.delete(t);return!1}static isSamePointerType(t){return CurrentPointers.#T===t}static isInitializedAndDifferentPointerType(t){return null!==CurrentPointers.#T&&!CurrentPointers.isSamePointerType(t)}static isSameTimeStamp(t){return CurrentPointers.#S===t}static isUsingMultiplePointers(){return CurrentPointers.#E?.size>=1}static clearPointerType(){CurrentPointers.#T=null}static clearPointerIds(){CurrentPointers.#C=NaN;CurrentPointers.#E=null}static clearTimeStamp(){CurrentPointers.#S=NaN}}class IdManager{#_=0;get id(){return`${m}${this.#_++}`}}class ImageManager{#k=getUuid();#_=0;#D=null;static get _isSVGFittingCanvas(){const t=`data:image/svg+xml;charset=UTF-8,<svg viewBox="0 0 1 1" width="1" height="1" xmlns="${s}"><rect width="1" height="1" style="fill:red;"/></svg>`,e=new OffscreenCanvas(1,3).getContext("2d",{willReadFrequently:!0}),i=new Image;i.src=t;return shadow(this,"_isSVGFittingCanvas",i.decode().then(()=>{e.drawImage(i,0,0,1,1,0,0,1,3);return 0===new Uint32Array(e.getImageData(0,0,1,1).data.buffer)[0]}))}async#P(t,e){this.#D||=new Map;let i=this.#D.get(t);if(null===i)return null;if(i?.bitmap){i.refCounter+=1;return i}try{i||={bitmap:null,id:`image_${this.#k}_${this.#_++}`,refCounter:0,isSvg:!1};let t;if("string"==typeof e){i.url=e;t=await fetchData(e,"blob")}else e instanceof File?t=i.file=e:e instanceof Blob&&(t=e);if("image/svg+xml"===t.type){const e=ImageManager._isSVGFittingCanvas,n=new FileReader,s=new Image,r=new Promise((t,r)=>{s.onload=()=>{i.bitmap=s;i.isSvg=!0;t()};n.onload=async()=>{const t=i.svgUrl=n.result;s.src=await e?`${t}#svgView(preserveAspectRatio(none))`:t};s.onerror=n.onerror=r});n.readAsDataURL(t);await r}else i.bitmap=await createImageBitmap(t);i.refCounter=1}catch(t){warn(t);i=null}this.#D.set(t,i);i&&this.#D.set(i.id,i);return i}async getFromFile(t){const{lastModified:e,name:i,size:n,type:s}=t;return this.#P(`${e}_${i}_${n}_${s}`,t)}async getFromUrl(t){return this.#P(t,t)}async getFromBlob(t,e){const i=await e;return this.#P(t,i)}async getFromId(t){this.#D||=new Map;const e=this.#D.get(t);if(!e)return null;if(e.bitmap){e.refCounter+=1;return e}if(e.file)return this.getFromFile(e.file);if(e.blobPromise){const{blobPromise:t}=e;delete e.blobPromise;return this.getFromBlob(e.id,t)}return this.getFromUrl(e.url)}getFromCanvas(t,e){this.#D||=new Map;let i=this.#D.get(t);if(i?.bitmap){i.refCounter+=1;return i}const n=new OffscreenCanvas(e.width,e.height);n.getContext("2d").drawImage(e,0,0);i={bitmap:n.transferToImageBitmap(),id:`image_${this.#k}_${this.#_++}`,refCounter:1,isSvg:!1};this.#D.set(t,i);this.#D.set(i.id,i);return i}getSvgUrl(t){const e=this.#D.get(t);return e?.isSvg?e.svgUrl:null}deleteId(t){this.#D||=new Map;const e=this.#D.get(t);if(!e)return;e.refCounter-=1;if(0!==e.refCounter)return;const{bitmap:i}=e;if(!e.url&&!e.file){const t=new OffscreenCanvas(i.width,i.height);t.getContext("bitmaprenderer").transferFromImageBitmap(i);e.blobPromise=t.convertToBlob()}i.close?.();e.bitmap=null}isValidId(t){return t.startsWith(`image_${this.#k}_`)}}class CommandManager{#M=[];#I=!1;#F;#O=-1;constructor(t=128){this.#F=t}add({cmd:t,undo:e,post:i,mustExec:n,type:s=NaN,overwriteIfSameType:r=!1,keepUndo:a=!1}){n&&t();if(this.#I)return;const o={cmd:t,undo:e,post:i,type:s};if(-1===this.#O){this.#M.length>0&&(this.#M.length=0);this.#O=0;this.#M.push(o);return}if(r&&this.#M[this.#O].type===s){a&&(o.undo=this.#M[this.#O].undo);this.#M[this.#O]=o;return}const l=this.#O+1;if(l===this.#F)this.#M.splice(0,1);else{this.#O=l;l<this.#M.length&&this.#M.splice(l)}this.#M.push(o)}undo(){if(-1===this.#O)return;this.#I=!0;const{undo:t,post:e}=this.#M[this.#O];t();e?.();this.#I=!1;this.#O-=1}redo(){if(this.#O<this.#M.length-1){this.#O+=1;this.#I=!0;const{cmd:t,post:e}=this.#M[this.#O];t();e?.();this.#I=!1}}hasSomethingToUndo(){return-1!==this.#O}hasSomethingToRedo(){return this.#O<this.#M.length-1}cleanType(t){if(-1!==this.#O){for(let e=this.#O;e>=0;e--)if(this.#M[e].type!==t){this.#M.splice(e+1,this.#O-e);this.#O=e;return}this.#M.length=0;this.#O=-1}}destroy(){this.#M=null}}class KeyboardManager{static ALT=1;static CTRL=2;static META=4;static SHIFT=8;constructor(t){this.callbacks=new Map;const{isMac:e}=FeatureTest.platform;for(const[i,n,s={}]of t){const t=i.some(t=>t.startsWith("mac+"));for(const r of i){let i=r;if(t){const t=r.startsWith("mac+");if(e!==t)continue;t&&(i=r.slice(4))}const[a,o]=KeyboardManager.#B(i);null!==a&&this.callbacks.getOrInsertComputed(a,makeArr).push({callback:n,options:s,modifiers:o})}}}static#B(t){let e=null,i=0;for(let n of t.split("+")){n=n.trim();if(!n)continue;const s=n.toUpperCase(),r=KeyboardManager[s];if(r)i|=r;else{if(null!==e){warn(`KeyboardManager: multiple keys in shortcut "${t}"`);break}e="SPACE"===s?" ":n}}null===e&&warn(`KeyboardManager: no key found in shortcut "${t}"`);return[e,i]}static#R(t){const e=/^(?:Key([A-Z])|(?:Digit|Numpad)(\d))$/.exec(t);return e?e[1]?.toLowerCase()??e[2]:null}exec(t,e){let i=this.callbacks.get(e.key);if(!i){if(/^[a-z]$/i.test(e.key))return;const t=KeyboardManager.#R(e.code);if(null===t||t===e.key)return;i=this.callbacks.get(t);if(!i)return}const n=(e.altKey?KeyboardManager.ALT:0)|(e.ctrlKey?KeyboardManager.CTRL:0)|(e.metaKey?KeyboardManager.META:0)|(e.shiftKey?KeyboardManager.SHIFT:0),s=i.find(t=>t.modifiers===n);if(!s)return;const{callback:r,options:{bubbles:a=!1,args:o=[],checker:l=null}}=s;if(!l||l(t,e)){r.bind(t,...o,e)();a||stopEvent(e)}}}class ColorManager{static _colorsMapping=new Map([["CanvasText",[0,0,0]],["Canvas",[255,255,255]]]);get _colors(){const t=new Map([["CanvasText",null],["Canvas",null]]);!function getColorValues(t){const e=document.createElement("span");e.style.visibility="hidden";e.style.colorScheme="only light";document.body.append(e);for(const i of t.keys()){e.style.color=i;const n=window.getComputedStyle(e).color;t.set(i,getRGB(n))}e.remove()}(t);return shadow(this,"_colors",t)}convert(t){const e=getRGB(t);if(!window.matchMedia("(forced-colors: active)").matches)return e;for(const[t,i]of this._colors)if(i.every((t,i)=>t===e[i]))return ColorManager._colorsMapping.get(t);return e}getHexCode(t){const e=this._colors.get(t);return e?Util.makeHexColor(...e):t}}class AnnotationEditorUIManager{#L=new AbortController;#N=null;#U=null;#H=new Map;#G=new Map;#z=null;#W=null;#V=null;#$=null;#j=null;#X=new CommandManager;#K=null;#Y=null;#q=null;#Q=0;#J=new Set;#Z=null;#tt=null;#et=new Set;_editorUndoBar=null;#it=!1;#nt=!1;#st=!1;#rt=null;#at=null;#ot=null;#lt=null;#ht=!1;#ct=null;#dt=new IdManager;#ut=!1;#pt=!1;#gt=!1;#mt=null;#ft=null;#bt=null;#yt=null;#vt=null;#wt=f.NONE;#At=new Set;#xt=null;#Ct=null;#Et=null;#St=null;#Tt=null;#_t={isEditing:!1,isEmpty:!0,hasSomethingToUndo:!1,hasSomethingToRedo:!1,hasSelectedEditor:!1,hasSelectedText:!1};#kt=[0,0];#Dt=null;#Pt=null;#Mt=null;#It=null;#Ft=null;static TRANSLATE_SMALL=1;static TRANSLATE_BIG=10;static get _keyboardManager(){const t=AnnotationEditorUIManager.prototype,arrowChecker=t=>t.#Pt.contains(document.activeElement)&&"BUTTON"!==document.activeElement.tagName&&t.hasSomethingToControl(),textInputChecker=(t,{target:e})=>{if(e instanceof HTMLInputElement){const{type:t}=e;return"text"!==t&&"number"!==t}return!0},e=this.TRANSLATE_SMALL,i=this.TRANSLATE_BIG;return shadow(this,"_keyboardManager",new KeyboardManager([[["ctrl+a","mac+meta+a"],t.selectAll,{checker:textInputChecker}],[["ctrl+z","mac+meta+z"],t.undo,{checker:textInputChecker}],[["ctrl+y","ctrl+shift+z","mac+meta+shift+z","ctrl+shift+Z","mac+meta+shift+Z"],t.redo,{checker:textInputChecker}],[["Backspace","alt+Backspace","ctrl+Backspace","shift+Backspace","mac+Backspace","mac+alt+Backspace","mac+ctrl+Backspace","Delete","ctrl+Delete","shift+Delete","mac+Delete"],t.delete,{checker:textInputChecker}],[["Enter"],t.addNewEditorFromKeyboard,{checker:(t,{target:e})=>!(e instanceof HTMLButtonElement)&&t.#Pt.contains(e)&&!t.isEnterHandled}],[["Space"],t.addNewEditorFromKeyboard,{checker:(t,{target:e})=>!(e instanceof HTMLButtonElement)&&t.#Pt.contains(document.activeElement)}],[["Escape"],t.unselectAll],[["ArrowLeft"],t.translateSelectedEditors,{args:[-e,0],checker:arrowChecker}],[["ctrl+ArrowLeft","mac+shift+ArrowLeft"],t.translateSelectedEditors,{args:[-i,0],checker:arrowChecker}],[["ArrowRight"],t.translateSelectedEditors,{args:[e,0],checker:arrowChecker}],[["ctrl+ArrowRight","mac+shift+ArrowRight"],t.translateSelectedEditors,{args:[i,0],checker:arrowChecker}],[["ArrowUp"],t.translateSelectedEditors,{args:[0,-e],checker:arrowChecker}],[["ctrl+ArrowUp","mac+shift+ArrowUp"],t.translateSelectedEditors,{args:[0,-i],checker:arrowChecker}],[["ArrowDown"],t.translateSelectedEditors,{args:[0,e],checker:arrowChecker}],[["ctrl+ArrowDown","mac+shift+ArrowDown"],t.translateSelectedEditors,{args:[0,i],checker:arrowChecker}]]))}constructor(t,e,i,n,s,r,a,o,l,h,c,d,u,p,g,m){const f=this._signal=this.#L.signal;this.#Pt=t;this.#Mt=e;this.#It=i;this.#V=n;this.#K=s;this.#Ct=r;this.#Tt=o;this._eventBus=a;const b={signal:f,...K};a.on("editingaction",this.onEditingAction.bind(this),b);a.on("pagechanging",this.onPageChanging.bind(this),b);a.on("scalechanging",this.onScaleChanging.bind(this),b);a.on("rotationchanging",this.onRotationChanging.bind(this),b);a.on("setpreference",this.onSetPreference.bind(this),b);a.on("switchannotationeditorparams",t=>this.updateParams(t.type,t.value),b);window.addEventListener("pointerdown",()=>{this.#pt=!0},{capture:!0,signal:f});window.addEventListener("pointerup",()=>{this.#pt=!1},{capture:!0,signal:f});window.addEventListener("beforeunload",this.endCurrentEditing.bind(this),{capture:!0,signal:f});this.#Ot();this.#Bt();this.#Rt();this.#$=o.annotationStorage;this.#rt=o.filterFactory;this.#Et=l;this.#lt=h||null;this.#it=c;this.#nt=d;this.#st=u;this.#vt=p||null;this.viewParameters={realScale:PixelsPerInch.PDF_TO_CSS_UNITS,rotation:0};this.isShiftKeyDown=!1;this._editorUndoBar=g||null;this._supportsPinchToZoom=!1!==m;s?.setSidebarUiManager(this)}destroy(){this.#Ft?.resolve();this.#Ft=null;this.#L?.abort();this.#L=null;this._signal=null;for(const t of this.#G.values())t.destroy();this.#G.clear();this.#H.clear();this.#et.clear();this.#yt?.clear();this.#N=null;this.#At.clear();this.#X.destroy();this.#V?.destroy();this.#K?.destroy();this.#Ct?.destroy();this.#ct?.hide();this.#ct=null;this.#bt?.destroy();this.#bt=null;this.#U=null;if(this.#at){clearTimeout(this.#at);this.#at=null}if(this.#Dt){clearTimeout(this.#Dt);this.#Dt=null}this._editorUndoBar?.destroy();this.#Tt=null}combinedSignal(t){return AbortSignal.any([this._signal,t.signal])}get mlManager(){return this.#vt}get useNewAltTextFlow(){return this.#nt}get useNewAltTextWhenAddingImage(){return this.#st}get hcmFilter(){return shadow(this,"hcmFilter",this.#Et?this.#rt.addHCMFilter(this.#Et.foreground,this.#Et.background):"none")}get direction(){return shadow(this,"direction",getComputedStyle(this.#Pt).direction)}get _highlightColors(){return shadow(this,"_highlightColors",this.#lt?new Map(this.#lt.split(",").map(t=>{(t=t.split("=").map(t=>t.trim()))[1]=t[1].toUpperCase();return t})):null)}get highlightColors(){const{_highlightColors:t}=this;if(!t)return shadow(this,"highlightColors",null);const e=new Map,i=!!this.#Et;for(const[n,s]of t){const t=n.endsWith("_HCM");i&&t?e.set(n.replace("_HCM",""),s):i||t||e.set(n,s)}return shadow(this,"highlightColors",e)}get highlightColorNames(){return shadow(this,"highlightColorNames",this.highlightColors?new Map(Array.from(this.highlightColors,t=>t.reverse())):null)}getNonHCMColor(t){if(!this._highlightColors)return t;const e=this.highlightColorNames.get(t);return this._highlightColors.get(e)||t}getNonHCMColorName(t){return this.highlightColorNames.get(t)||t}setCurrentDrawingSession(t){if(t){this.unselectAll();this.disableUserSelect(!0)}else this.disableUserSelect(!1);this.#q=t}setMainHighlightColorPicker(t){this.#bt=t}editAltText(t,e=!1){this.#V?.editAltText(this,t,e)}hasCommentManager(){return!!this.#K}editComment(t,e,i,n){this.#K?.showDialog(this,t,e,i,n)}selectComment(t,e){const i=this.#G.get(t),n=i?.getEditorByUID(e);n?.toggleComment(!0,!0)}updateComment(t){this.#K?.updateComment(t.getData())}updatePopupColor(t){this.#K?.updatePopupColor(t)}removeComment(t){this.#K?.removeComments([t.uid])}deleteComment(t,e){const undo=()=>{t.comment=e};this.addCommands({cmd:()=>{this._editorUndoBar?.show(undo,"comment");this.toggleComment(null);t.comment=null},undo,mustExec:!0})}toggleComment(t,e,i=void 0){this.#K?.toggleCommentPopup(t,e,i)}makeCommentColor(t,e){return t&&this.#K?.makeCommentColor(t,e)||null}getCommentDialogElement(){return this.#K?.dialogElement||null}async waitForEditorsRendered(t){if(this.#G.has(t-1))return;const{resolve:e,promise:i}=Promise.withResolvers(),onEditorsRendered=i=>{if(i.pageNumber===t){this._eventBus.off("editorsrendered",onEditorsRendered);e()}};this._eventBus.on("editorsrendered",onEditorsRendered,K);await i}getSignature(t){this.#Ct?.getSignature({uiManager:this,editor:t})}get signatureManager(){return this.#Ct}switchToMode(t,e){this._eventBus.on("annotationeditormodechanged",e,{once:!0,signal:this._signal,...K});this._eventBus.dispatch("showannotationeditorui",{source:this,mode:t})}setPreference(t,e){this._eventBus.dispatch("setpreference",{source:this,name:t,value:e})}onSetPreference({name:t,value:e}){if("enableNewAltTextWhenAddingImage"===t)this.#st=e}onPageChanging({pageNumber:t}){this.#Q=t-1}deletePage(t){for(const e of this.getEditors(t))e.remove();this.#G.delete(t);this.#Q===t&&(this.#Q=0)}focusMainContainer(){this.#Pt.focus()}findParent(t,e){for(const i of this.#G.values()){const{x:n,y:s,width:r,height:a}=i.div.getBoundingClientRect();if(t>=n&&t<=n+r&&e>=s&&e<=s+a)return i}return null}disableUserSelect(t=!1){this.#Mt.classList.toggle("noUserSelect",t)}addShouldRescale(t){this.#et.add(t)}removeShouldRescale(t){this.#et.delete(t)}onScaleChanging({scale:t}){this.commitOrRemove();this.viewParameters.realScale=t*PixelsPerInch.PDF_TO_CSS_UNITS;for(const t of this.#et)t.onScaleChanging();this.#q?.onScaleChanging()}onRotationChanging({pagesRotation:t}){this.commitOrRemove();this.viewParameters.rotation=t}#Lt({anchorNode:t}){return t.nodeType===Node.TEXT_NODE?t.parentElement:t}#Nt(t){const{currentLayer:e}=this;if(e.hasTextLayer(t))return e;for(const e of this.#G.values())if(e.hasTextLayer(t))return e;return null}highlightSelection(t="",e=!1){const i=document.getSelection();if(!i||i.isCollapsed)return;const{anchorNode:n,anchorOffset:s,focusNode:r,focusOffset:a}=i,o=i.toString(),l=this.#Lt(i).closest(".textLayer"),h=this.getSelectionBoxes(l);if(!h)return;i.empty();const c=this.#Nt(l),d=this.#wt===f.NONE,callback=()=>{const i=c?.createAndAddNewEditor({x:0,y:0},!1,{methodOfCreation:t,boxes:h,anchorNode:n,anchorOffset:s,focusNode:r,focusOffset:a,text:o});d&&this.showAllEditors("highlight",!0,!0);e&&i?.editComment()};d?this.switchToMode(f.HIGHLIGHT,callback):callback()}commentSelection(t=""){this.highlightSelection(t,!0)}endCurrentEditing(){this.commitOrRemove();this.currentLayer?.endDrawingSession(!1)}#Ut(){const t=document.getSelection();if(!t||t.isCollapsed)return;const e=this.#Lt(t).closest(".textLayer"),i=this.getSelectionBoxes(e);if(i){this.#ct||=new FloatingToolbar(this);this.#ct.show(e,i,"ltr"===this.direction)}}getAndRemoveDataFromAnnotationStorage(t){if(!this.#$)return null;const e=`${m}${t}`,i=this.#$.getRawValue(e);i&&this.#$.remove(e);return i}addToAnnotationStorage(t){t.isEmpty()||!this.#$||this.#$.has(t.id)||this.#$.setValue(t.id,t)}a11yAlert(t,e=null){const i=this.#It;if(i){i.setAttribute("data-l10n-id",t);e?i.setAttribute("data-l10n-args",JSON.stringify(e)):i.removeAttribute("data-l10n-args")}}#Ht(){const t=document.getSelection();if(!t||t.isCollapsed){if(this.#xt){this.#ct?.hide();this.#xt=null;this.#Gt({hasSelectedText:!1})}return}const{anchorNode:e}=t;if(e===this.#xt)return;const i=this.#Lt(t).closest(".textLayer");if(i){this.#ct?.hide();this.#xt=e;this.#Gt({hasSelectedText:!0});if(this.#wt===f.HIGHLIGHT||this.#wt===f.NONE){this.#wt===f.HIGHLIGHT&&this.showAllEditors("highlight",!0,!0);this.#ht=this.isShiftKeyDown;if(!this.isShiftKeyDown){const t=this.#wt===f.HIGHLIGHT?this.#Nt(i):null;t?.toggleDrawing();if(this.#pt){const e=new AbortController,i=this.combinedSignal(e),pointerup=i=>{if("pointerup"!==i.type||0===i.button){e.abort();t?.toggleDrawing(!0);"pointerup"===i.type&&this.#zt("main_toolbar")}};window.addEventListener("pointerup",pointerup,{signal:i});window.addEventListener("blur",pointerup,{signal:i})}else{t?.toggleDrawing(!0);this.#zt("main_toolbar")}}}}else if(this.#xt){this.#ct?.hide();this.#xt=null;this.#Gt({hasSelectedText:!1})}}#zt(t=""){this.#wt===f.HIGHLIGHT?this.highlightSelection(t):this.#it&&this.#Ut()}#Ot(){document.addEventListener("selectionchange",this.#Ht.bind(this),{signal:this._signal})}#Wt(){if(this.#ot)return;this.#ot=new AbortController;const t=this.combinedSignal(this.#ot);window.addEventListener("focus",this.focus.bind(this),{signal:t});window.addEventListener("blur",this.blur.bind(this),{signal:t})}#Vt(){this.#ot?.abort();this.#ot=null}blur(){this.isShiftKeyDown=!1;if(this.#ht){this.#ht=!1;this.#zt("main_toolbar")}if(!this.hasSelection)return;const{activeElement:t}=document;for(const e of this.#At)if(e.div.contains(t)){this.#ft=[e,t];e._focusEventsAllowed=!1;break}}focus(){if(!this.#ft)return;const[t,e]=this.#ft;this.#ft=null;e.addEventListener("focusin",()=>{t._focusEventsAllowed=!0},{once:!0,signal:this._signal});e.focus()}#Rt(){if(this.#mt)return;this.#mt=new AbortController;const t=this.combinedSignal(this.#mt);window.addEventListener("keydown",this.keydown.bind(this),{signal:t});window.addEventListener("keyup",this.keyup.bind(this),{signal:t})}#$t(){this.#mt?.abort();this.#mt=null}#jt(){if(this.#Y)return;this.#Y=new AbortController;const t=this.combinedSignal(this.#Y);document.addEventListener("copy",this.copy.bind(this),{signal:t});document.addEventListener("cut",this.cut.bind(this),{signal:t});document.addEventListener("paste",this.paste.bind(this),{signal:t})}#Xt(){this.#Y?.abort();this.#Y=null}#Bt(){const t=this._signal;document.addEventListener("dragover",this.dragOver.bind(this),{signal:t});document.addEventListener("drop",this.drop.bind(this),{signal:t})}addEditListeners(){this.#Rt();this.setEditingState(!0)}removeEditListeners(){this.#$t();this.setEditingState(!1)}dragOver(t){for(const{type:e}of t.dataTransfer.items)for(const i of this.#tt)if(i.isHandlingMimeForPasting(e)){t.dataTransfer.dropEffect="copy";t.preventDefault();return}}drop(t){for(const e of t.dataTransfer.items)for(const i of this.#tt)if(i.isHandlingMimeForPasting(e.type)){i.paste(e,this.currentLayer);t.preventDefault();return}}copy(t){t.preventDefault();this.#N?.commitOrRemove();if(!this.hasSelection)return;const e=[];for(const t of this.#At){const i=t.serialize(!0);i&&e.push(i)}0!==e.length&&t.clipboardData.setData("application/pdfjs",JSON.stringify(e))}cut(t){this.copy(t);this.delete()}async paste(t){t.preventDefault();const{clipboardData:e}=t;for(const t of e.items)for(const e of this.#tt)if(e.isHandlingMimeForPasting(t.type)){e.paste(t,this.currentLayer);return}let i=e.getData("application/pdfjs");if(!i)return;try{i=JSON.parse(i)}catch(t){warn(`paste: "${t.message}".`);return}if(!Array.isArray(i))return;this.unselectAll();const n=this.currentLayer;try{const t=[];for(const e of i){const i=await n.deserialize(e);if(!i)return;t.push(i)}const cmd=()=>{for(const e of t)this.#Kt(e);this.#Yt(t)},undo=()=>{for(const e of t)e.remove()};this.addCommands({cmd,undo,mustExec:!0})}catch(t){warn(`paste: "${t.message}".`)}}keydown(t){this.isShiftKeyDown||"Shift"!==t.key||(this.isShiftKeyDown=!0);this.#wt===f.NONE||this.isEditorHandlingKeyboard||AnnotationEditorUIManager._keyboardManager.exec(this,t)}keyup(t){if(this.isShiftKeyDown&&"Shift"===t.key){this.isShiftKeyDown=!1;if(this.#ht){this.#ht=!1;this.#zt("main_toolbar")}}}onEditingAction({name:t}){switch(t){case"undo":case"redo":case"delete":case"selectAll":this[t]();break;case"highlightSelection":this.highlightSelection("context_menu");break;case"commentSelection":this.commentSelection("context_menu")}}updatePageIndex(t,e){for(const i of this.#W.get(t)||[])i.pageIndex=e;const i=this.#z.get(t);if(i){i.pageIndex=e;this.#G.set(e,i);this.#ut?i.enable():i.disable()}}startUpdatePages(){this.#z=new Map(this.#G);this.#G.clear();const t=this.#W=new Map,saveEditor=e=>{t.getOrInsertComputed(e.pageIndex,makeArr).push(e)};for(const t of this.#H.values())saveEditor(t);for(const[t,e]of this.#$)t.startsWith(m)&&!this.#H.has(t)&&Number.isInteger(e?.pageIndex)&&saveEditor(e)}endUpdatePages(){this.#z=null;this.#W=null}clonePage(t,e){for(const i of this.getEditors(t)){const t=i.serialize(i.mode!==f.HIGHLIGHT);if(t){t.pageIndex=e;t.id=this.getId();t.isClone=!0;delete t.popupRef;this.#$.setValue(t.id,t)}}}findClonesForPage(t){const e=[],{pageIndex:i}=t;for(const[n,s]of this.#$)if(s.pageIndex===i&&s.isClone){this.#$.remove(n);e.push(t.deserialize(s).then(e=>{if(e){e.isClone=!0;t.addOrRebuild(e)}}))}return Promise.all(e)}#Gt(t){if(Object.entries(t).some(([t,e])=>this.#_t[t]!==e)){this._eventBus.dispatch("editingstateschanged",{source:this,details:Object.assign(this.#_t,t)});this.#wt===f.HIGHLIGHT&&!1===t.hasSelectedEditor&&this.#qt([[b.HIGHLIGHT_FREE,!0]])}}#qt(t){this._eventBus.dispatch("annotationeditorparamschanged",{source:this,details:t})}setEditingState(t){if(t){this.#Wt();this.#jt();this.#Gt({isEditing:this.#wt!==f.NONE,isEmpty:this.#Qt(),hasSomethingToUndo:this.#X.hasSomethingToUndo(),hasSomethingToRedo:this.#X.hasSomethingToRedo(),hasSelectedEditor:!1})}else{this.#Vt();this.#Xt();this.#Gt({isEditing:!1});this.disableUserSelect(!1)}}registerEditorTypes(t){if(!this.#tt){this.#tt=t;for(const t of this.#tt)this.#qt(t.defaultPropertiesToUpdate)}}getId(){return this.#dt.id}get currentLayer(){return this.#G.get(this.#Q)}getLayer(t){return this.#G.get(t)}get currentPageIndex(){return this.#Q}addLayer(t){this.#G.set(t.pageIndex,t);this.#ut?t.enable():t.disable()}removeLayer(t){this.#G.delete(t.pageIndex)}async updateMode(t,e=null,i=!1,n=!1,s=!1,r=!1){if(this.#wt!==t){if(this.#Ft){await this.#Ft.promise;if(!this.#Ft)return}this.#Ft=Promise.withResolvers();this.#q?.commitOrRemove();this.#wt===f.POPUP&&this.#K?.hideSidebar();this.#K?.destroyPopup();this.#wt=t;if(t!==f.NONE){for(const t of this.#H.values())t.addStandaloneCommentButton();t===f.SIGNATURE&&await(this.#Ct?.loadSignatures());i&&CurrentPointers.clearPointerType();this.setEditingState(!0);await this.#Jt();this.unselectAll();for(const e of this.#G.values())e.updateMode(t);if(t===f.POPUP){this.#U||=await this.#Tt.getAnnotationsByType(new Set(this.#tt.map(t=>t._editorType)));const t=new Set,e=[];for(const i of this.#H.values()){const{annotationElementId:n,hasComment:s,deleted:r}=i;n&&t.add(n);s&&!r&&e.push(i.getData())}for(const i of this.#U){const{id:n,popupRef:s,contentsObj:r}=i;s&&r?.str&&!t.has(n)&&!this.#J.has(n)&&e.push(i)}this.#K?.showSidebar(e)}if(e){for(const t of this.#H.values())if(t.uid===e){this.setSelected(t);r?t.editComment():s?t.enterInEditMode():t.focus()}else t.unselect();this.#Ft.resolve()}else{n&&this.addNewEditorFromKeyboard();this.#Ft.resolve()}}else{this.setEditingState(!1);this.#Zt();for(const t of this.#H.values())t.hideStandaloneCommentButton();this._editorUndoBar?.hide();this.toggleComment(null);this.#Ft.resolve()}}}addNewEditorFromKeyboard(){this.currentLayer.canCreateNewEmptyEditor()&&this.currentLayer.addNewEditor()}updateToolbar(t){t.mode!==this.#wt&&this._eventBus.dispatch("switchannotationeditormode",{source:this,...t})}updateParams(t,e){if(this.#tt){switch(t){case b.CREATE:this.currentLayer.addNewEditor(e);return;case b.HIGHLIGHT_SHOW_ALL:this._eventBus.dispatch("reporttelemetry",{source:this,details:{type:"editing",data:{type:"highlight",action:"toggle_visibility"}}});(this.#St||=new Map).set(t,e);this.showAllEditors("highlight",e)}if(this.hasSelection)for(const i of this.#At)i.updateParams(t,e);else for(const i of this.#tt)i.updateDefaultParams(t,e)}}showAllEditors(t,e,i=!1){for(const i of this.#H.values())i.editorType===t&&i.show(e);(this.#St?.get(b.HIGHLIGHT_SHOW_ALL)??!0)!==e&&this.#qt([[b.HIGHLIGHT_SHOW_ALL,e]])}enableWaiting(t=!1){if(this.#gt!==t){this.#gt=t;for(const e of this.#G.values()){t?e.disableClick():e.enableClick();e.div.classList.toggle("waiting",t)}}}async#Jt(){if(!this.#ut){this.#ut=!0;const t=[];for(const e of this.#G.values())t.push(e.enable());await Promise.all(t);for(const t of this.#H.values())t.enable()}}#Zt(){this.unselectAll();if(this.#ut){this.#ut=!1;for(const t of this.#G.values())t.disable();for(const t of this.#H.values())t.disable()}}*getEditors(t){for(const e of this.#H.values())e.pageIndex===t&&(yield e)}getEditor(t){return this.#H.get(t)}addEditor(t){this.#H.set(t.id,t)}removeEditor(t){if(t.div.contains(document.activeElement)){this.#at&&clearTimeout(this.#at);this.#at=setTimeout(()=>{this.focusMainContainer();this.#at=null},0)}this.#H.delete(t.id);t.annotationElementId&&this.#yt?.delete(t.annotationElementId);this.unselect(t);t.annotationElementId&&this.#J.has(t.annotationElementId)||this.#$?.remove(t.id)}addDeletedAnnotationElement(t){this.#J.add(t.annotationElementId);this.addChangedExistingAnnotation(t);t.deleted=!0}isDeletedAnnotationElement(t){return this.#J.has(t)}removeDeletedAnnotationElement(t){this.#J.delete(t.annotationElementId);this.removeChangedExistingAnnotation(t);t.deleted=!1}#Kt(t){const e=this.#G.get(t.pageIndex);if(e)e.addOrRebuild(t);else{this.addEditor(t);this.addToAnnotationStorage(t)}}setActiveEditor(t){if(this.#N!==t){this.#N=t;t&&this.#qt(t.propertiesToUpdate)}}get#te(){let t=null;for(t of this.#At);return t}updateUI(t){this.#te===t&&this.#qt(t.propertiesToUpdate)}updateUIForDefaultProperties(t){this.#qt(t.defaultPropertiesToUpdate)}toggleSelected(t){if(this.#At.has(t)){this.#At.delete(t);t.unselect();this.#Gt({hasSelectedEditor:this.hasSelection})}else{this.#At.add(t);t.select();this.#qt(t.propertiesToUpdate);this.#Gt({hasSelectedEditor:!0})}}setSelected(t){this.updateToolbar({mode:t.mode,editId:t.uid});this.#q?.commitOrRemove();for(const e of this.#At)e!==t&&e.unselect();this.#K?.destroyPopup();this.#At.clear();this.#At.add(t);t.select();this.#qt(t.propertiesToUpdate);this.#Gt({hasSelectedEditor:!0})}get firstSelectedEditor(){return this.#At.values().next().value}unselect(t){t.unselect();this.#At.delete(t);this.#Gt({hasSelectedEditor:this.hasSelection})}get hasSelection(){return 0!==this.#At.size}get isEnterHandled(){return 1===this.#At.size&&this.firstSelectedEditor.isEnterHandled}undo(){this.#X.undo();this.#Gt({hasSomethingToUndo:this.#X.hasSomethingToUndo(),hasSomethingToRedo:!0,isEmpty:this.#Qt()});this._editorUndoBar?.hide()}redo(){this.#X.redo();this.#Gt({hasSomethingToUndo:!0,hasSomethingToRedo:this.#X.hasSomethingToRedo(),isEmpty:this.#Qt()})}addCommands(t){this.#X.add(t);this.#Gt({hasSomethingToUndo:!0,hasSomethingToRedo:!1,isEmpty:this.#Qt()})}cleanUndoStack(t){this.#X.cleanType(t)}#Qt(){if(0===this.#H.size)return!0;if(1===this.#H.size)for(const t of this.#H.values())return t.isEmpty();return!1}delete(){this.commitOrRemove();const t=this.currentLayer?.endDrawingSession(!0);if(!this.hasSelection&&!t)return;const e=t?[t]:[...this.#At],undo=()=>{for(const t of e)this.#Kt(t)};this.addCommands({cmd:()=>{this._editorUndoBar?.show(undo,1===e.length?e[0].editorType:e.length);for(const t of e)t.remove()},undo,mustExec:!0})}commitOrRemove(){this.#N?.commitOrRemove()}hasSomethingToControl(){return this.#N||this.hasSelection}#Yt(t){for(const t of this.#At)t.unselect();this.#At.clear();for(const e of t)if(!e.isEmpty()){this.#At.add(e);e.select()}this.#Gt({hasSelectedEditor:this.hasSelection})}selectAll(){for(const t of this.#At)t.commit();this.#Yt(this.#H.values())}unselectAll(){if(this.#N){this.#N.commitOrRemove();if(this.#wt!==f.NONE)return}if(!this.#q?.commitOrRemove()){this.#K?.destroyPopup();if(this.hasSelection){for(const t of this.#At)t.unselect();this.#At.clear();this.#Gt({hasSelectedEditor:!1})}}}translateSelectedEditors(t,e,i=!1){i||this.commitOrRemove();if(!this.hasSelection)return;this.#kt[0]+=t;this.#kt[1]+=e;const[n,s]=this.#kt,r=[...this.#At];this.#Dt&&clearTimeout(this.#Dt);this.#Dt=setTimeout(()=>{this.#Dt=null;this.#kt[0]=this.#kt[1]=0;this.addCommands({cmd:()=>{for(const t of r)if(this.#H.has(t.id)){t.translateInPage(n,s);t.translationDone()}},undo:()=>{for(const t of r)if(this.#H.has(t.id)){t.translateInPage(-n,-s);t.translationDone()}},mustExec:!1})},1e3);for(const i of r){i.translateInPage(t,e);i.translationDone()}}setUpDragSession(){if(this.hasSelection){this.disableUserSelect(!0);this.#Z=new Map;for(const t of this.#At)this.#Z.set(t,{savedX:t.x,savedY:t.y,savedPageIndex:t.pageIndex,newX:0,newY:0,newPageIndex:-1})}}endDragSession(){if(!this.#Z)return!1;this.disableUserSelect(!1);const t=this.#Z;this.#Z=null;let e=!1;for(const[{x:i,y:n,pageIndex:s},r]of t){r.newX=i;r.newY=n;r.newPageIndex=s;e||=i!==r.savedX||n!==r.savedY||s!==r.savedPageIndex}if(!e)return!1;const move=(t,e,i,n)=>{if(this.#H.has(t.id)){const s=this.#G.get(n);if(s)t._setParentAndPosition(s,e,i);else{t.pageIndex=n;t.x=e;t.y=i}}};this.addCommands({cmd:()=>{for(const[e,{newX:i,newY:n,newPageIndex:s}]of t)move(e,i,n,s)},undo:()=>{for(const[e,{savedX:i,savedY:n,savedPageIndex:s}]of t)move(e,i,n,s)},mustExec:!0});return!0}dragSelectedEditors(t,e){if(this.#Z)for(const i of this.#Z.keys())i.drag(t,e)}rebuild(t){if(null===t.parent){const e=this.getLayer(t.pageIndex);if(e){e.changeParent(t);e.addOrRebuild(t)}else{this.addEditor(t);this.addToAnnotationStorage(t);t.rebuild()}}else t.parent.addOrRebuild(t)}get isEditorHandlingKeyboard(){return this.getActive()?.shouldGetKeyboardEvents()||1===this.#At.size&&this.firstSelectedEditor.shouldGetKeyboardEvents()}isActive(t){return this.#N===t}getActive(){return this.#N}getMode(){return this.#wt}isEditingMode(){return this.#wt!==f.NONE}get imageManager(){return shadow(this,"imageManager",new ImageManager)}getSelectionBoxes(t){if(!t)return null;const e=document.getSelection();for(let i=0,n=e.rangeCount;i<n;i++)if(!t.contains(e.getRangeAt(i).commonAncestorContainer))return null;const{x:i,y:n,width:s,height:r}=t.getBoundingClientRect();let a;switch(t.getAttribute("data-main-rotation")){case"90":a=(t,e,a,o)=>({x:(e-n)/r,y:1-(t+a-i)/s,width:o/r,height:a/s});break;case"180":a=(t,e,a,o)=>({x:1-(t+a-i)/s,y:1-(e+o-n)/r,width:a/s,height:o/r});break;case"270":a=(t,e,a,o)=>({x:1-(e+o-n)/r,y:(t-i)/s,width:o/r,height:a/s});break;default:a=(t,e,a,o)=>({x:(t-i)/s,y:(e-n)/r,width:a/s,height:o/r})}const o=[];for(let t=0,i=e.rangeCount;t<i;t++){const i=e.getRangeAt(t);if(!i.collapsed)for(const{x:t,y:e,width:n,height:s}of i.getClientRects())0!==n&&0!==s&&o.push(a(t,e,n,s))}return 0===o.length?null:o}addChangedExistingAnnotation({annotationElementId:t,id:e}){(this.#j||=new Map).set(t,e)}removeChangedExistingAnnotation({annotationElementId:t}){this.#j?.delete(t)}renderAnnotationElement(t){const e=this.#j?.get(t.data.id);if(!e)return;const i=this.#$.getRawValue(e);i&&(this.#wt!==f.NONE||i.hasBeenModified)&&i.renderAnnotationElement(t)}setMissingCanvas(t,e,i){const n=this.#yt?.get(t);if(n){n.setCanvas(e,i);this.#yt.delete(t)}}addMissingCanvas(t,e){(this.#yt||=new Map).set(t,e)}}class AltText{#h=null;#ee=!1;#ie=null;#ne=null;#se=null;#re=null;#ae=!1;#oe=null;#o=null;#le=null;#he=null;#ce=!1;static#de=null;static _l10n=null;constructor(t){this.#o=t;this.#ce=t._uiManager.useNewAltTextFlow;AltText.#de||=Object.freeze({added:"pdfjs-editor-new-alt-text-added-button","added-label":"pdfjs-editor-new-alt-text-added-button-label",missing:"pdfjs-editor-new-alt-text-missing-button","missing-label":"pdfjs-editor-new-alt-text-missing-button-label",review:"pdfjs-editor-new-alt-text-to-review-button","review-label":"pdfjs-editor-new-alt-text-to-review-button-label"})}static initialize(t){AltText._l10n??=t}async render(){const t=this.#ie=document.createElement("button");t.className="altText";t.tabIndex="0";const e=this.#ne=document.createElement("span");t.append(e);if(this.#ce){t.classList.add("new");t.setAttribute("data-l10n-id",AltText.#de.missing);e.setAttribute("data-l10n-id",AltText.#de["missing-label"])}else{t.setAttribute("data-l10n-id","pdfjs-editor-alt-text-button");e.setAttribute("data-l10n-id","pdfjs-editor-alt-text-button-label")}const i=this.#o._uiManager._signal;t.addEventListener("contextmenu",noContextMenu,{signal:i});t.addEventListener("pointerdown",t=>t.stopPropagation(),{signal:i});const onClick=t=>{t.preventDefault();this.#o._uiManager.editAltText(this.#o);this.#ce&&this.#o._reportTelemetry({action:"pdfjs.image.alt_text.image_status_label_clicked",data:{label:this.#ue}})};t.addEventListener("click",onClick,{capture:!0,signal:i});t.addEventListener("keydown",e=>{if(e.target===t&&"Enter"===e.key){this.#ae=!0;onClick(e)}},{signal:i});await this.#pe();return t}get#ue(){return(this.#h?"added":null===this.#h&&this.guessedText&&"review")||"missing"}finish(){if(this.#ie){this.#ie.focus({focusVisible:this.#ae});this.#ae=!1}}isEmpty(){return this.#ce?null===this.#h:!this.#h&&!this.#ee}hasData(){return this.#ce?null!==this.#h||!!this.#le:this.isEmpty()}get guessedText(){return this.#le}async setGuessedText(t){if(null===this.#h){this.#le=t;this.#he=await AltText._l10n.get("pdfjs-editor-new-alt-text-generated-alt-text-with-disclaimer",{generatedAltText:t});this.#pe()}}toggleAltTextBadge(t=!1){if(this.#ce&&!this.#h){if(!this.#oe){const t=this.#oe=document.createElement("div");t.className="noAltTextBadge";this.#o.div.append(t)}this.#oe.classList.toggle("hidden",!t)}else{this.#oe?.remove();this.#oe=null}}serialize(t){let e=this.#h;t||this.#le!==e||(e=this.#he);return{altText:e,decorative:this.#ee,guessedText:this.#le,textWithDisclaimer:this.#he}}get data(){return{altText:this.#h,decorative:this.#ee}}set data({altText:t,decorative:e,guessedText:i,textWithDisclaimer:n,cancel:s=!1}){if(i){this.#le=i;this.#he=n}if(this.#h!==t||this.#ee!==e){if(!s){this.#h=t;this.#ee=e}this.#pe()}}toggle(t=!1){if(this.#ie){if(!t&&this.#re){clearTimeout(this.#re);this.#re=null}this.#ie.disabled=!t}}shown(){this.#o._reportTelemetry({action:"pdfjs.image.alt_text.image_status_label_displayed",data:{label:this.#ue}})}destroy(){this.#ie?.remove();this.#ie=null;this.#ne=null;this.#se=null;this.#oe?.remove();this.#oe=null}async#pe(){const t=this.#ie;if(!t)return;if(this.#ce){t.classList.toggle("done",!!this.#h);t.setAttribute("data-l10n-id",AltText.#de[this.#ue]);this.#ne?.setAttribute("data-l10n-id",AltText.#de[`${this.#ue}-label`]);if(!this.#h){this.#se?.remove();return}}else{if(!this.#h&&!this.#ee){t.classList.remove("done");this.#se?.remove();return}t.classList.add("done");t.setAttribute("data-l10n-id","pdfjs-editor-alt-text-edit-button")}let e=this.#se;if(!e){this.#se=e=document.createElement("span");e.className="tooltip";e.setAttribute("role","tooltip");e.id=`alt-text-tooltip-${this.#o.id}`;const i=100,n=this.#o._uiManager._signal;n.addEventListener("abort",()=>{clearTimeout(this.#re);this.#re=null},{once:!0});t.addEventListener("mouseenter",()=>{this.#re=setTimeout(()=>{this.#re=null;this.#se.classList.add("show");this.#o._reportTelemetry({action:"alt_text_tooltip"})},i)},{signal:n});t.addEventListener("mouseleave",()=>{if(this.#re){clearTimeout(this.#re);this.#re=null}this.#se?.classList.remove("show")},{signal:n})}if(this.#ee)e.setAttribute("data-l10n-id","pdfjs-editor-alt-text-decorative-tooltip");else{e.removeAttribute("data-l10n-id");e.textContent=this.#h}e.parentNode||t.append(e);const i=this.#o.getElementForAltText();i?.setAttribute("aria-describedby",e.id)}}class Comment{#ge=null;#me=null;#fe=!1;#o=null;#be=null;#ye=null;#ve=null;#we=null;#Ae=!1;#xe=null;constructor(t){this.#o=t}renderForToolbar(){const t=this.#me=document.createElement("button");t.className="comment";return this.#w(t,!1)}renderForStandalone(){const t=this.#ge=document.createElement("button");t.className="annotationCommentButton";const e=this.#o.commentButtonPosition;if(e){const{style:i}=t;i.insetInlineEnd=`calc(${100*("ltr"===this.#o._uiManager.direction?1-e[0]:e[0])}% - var(--comment-button-dim))`;i.top=`calc(${100*e[1]}% - var(--comment-button-dim))`;const n=this.#o.commentButtonColor;n&&(i.backgroundColor=n)}return this.#w(t,!0)}focusButton(){setTimeout(()=>{(this.#ge??this.#me)?.focus()},0)}onUpdatedColor(){if(!this.#ge)return;const t=this.#o.commentButtonColor;t&&(this.#ge.style.backgroundColor=t);this.#o._uiManager.updatePopupColor(this.#o)}get commentButtonWidth(){return(this.#ge?.getBoundingClientRect().width??0)/this.#o.parent.boundingClientRect.width}get commentPopupPositionInLayer(){if(this.#xe)return this.#xe;if(!this.#ge)return null;const{x:t,y:e,height:i}=this.#ge.getBoundingClientRect(),{x:n,y:s,width:r,height:a}=this.#o.parent.boundingClientRect;return[(t-n)/r,(e+i-s)/a]}set commentPopupPositionInLayer(t){this.#xe=t}hasDefaultPopupPosition(){return null===this.#xe}removeStandaloneCommentButton(){this.#ge?.remove();this.#ge=null}removeToolbarCommentButton(){this.#me?.remove();this.#me=null}setCommentButtonStates({selected:t,hasPopup:e}){if(this.#ge){this.#ge.classList.toggle("selected",t);this.#ge.ariaExpanded=e}}#w(t,e){if(!this.#o._uiManager.hasCommentManager())return null;t.tabIndex="0";t.ariaHasPopup="dialog";if(e){t.ariaControls="commentPopup";t.setAttribute("data-l10n-id","pdfjs-show-comment-button")}else{t.ariaControlsElements=[this.#o._uiManager.getCommentDialogElement()];t.setAttribute("data-l10n-id","pdfjs-editor-add-comment-button")}const i=this.#o._uiManager._signal;if(!(i instanceof AbortSignal)||i.aborted)return t;t.addEventListener("contextmenu",noContextMenu,{signal:i});if(e){t.addEventListener("focusin",t=>{this.#o._focusEventsAllowed=!1;stopEvent(t)},{capture:!0,signal:i});t.addEventListener("focusout",t=>{this.#o._focusEventsAllowed=!0;stopEvent(t)},{capture:!0,signal:i})}t.addEventListener("pointerdown",t=>t.stopPropagation(),{signal:i});const onClick=e=>{e.preventDefault();t===this.#me?this.edit():this.#o.toggleComment(!0)};t.addEventListener("click",onClick,{capture:!0,signal:i});t.addEventListener("keydown",e=>{if(e.target===t&&"Enter"===e.key){this.#fe=!0;onClick(e)}},{signal:i});t.addEventListener("pointerenter",()=>{this.#o.toggleComment(!1,!0)},{signal:i});t.addEventListener("pointerleave",()=>{this.#o.toggleComment(!1,!1)},{signal:i});return t}edit(t){const e=this.commentPopupPositionInLayer;let i,n;if(e)[i,n]=e;else{[i,n]=this.#o.commentButtonPosition;const{width:t,height:e,x:s,y:r}=this.#o;i=s+i*t;n=r+n*e}const s=this.#o.parent.boundingClientRect,{x:r,y:a,width:o,height:l}=s;this.#o._uiManager.editComment(this.#o,r+i*o,a+n*l,{...t,parentDimensions:s})}finish(){if(this.#me){this.#me.focus({focusVisible:this.#fe});this.#fe=!1}}isDeleted(){return this.#Ae||""===this.#ve}isEmpty(){return null===this.#ve}hasBeenEdited(){return this.isDeleted()||this.#ve!==this.#be}serialize(){return this.data}get data(){return{text:this.#ve,richText:this.#ye,date:this.#we,deleted:this.isDeleted()}}set data(t){t!==this.#ve&&(this.#ye=null);if(null!==t){this.#ve=t;this.#we=new Date;this.#Ae=!1}else{this.#ve="";this.#Ae=!0}}restoreData({text:t,richText:e,date:i}){this.#ve=t;this.#ye=e;this.#we=i;this.#Ae=!1}setInitialText(t,e=null){this.#be=t;this.data=t;this.#we=null;this.#ye=e}shown(){}destroy(){this.#me?.remove();this.#me=null;this.#ge?.remove();this.#ge=null;this.#ve="";this.#ye=null;this.#we=null;this.#o=null;this.#fe=!1;this.#Ae=!1}}function preventDefault(t){t.preventDefault()}const Y=1e-4;function stopTouchEvent(t){if(t.cancelable){stopEvent(t);return!0}t.stopPropagation();return!1}class TouchManager{#Pt;#Ce=!1;#Ee=null;#Se;#Te;#_e;#ke;#De;#Pe=!1;#Me=null;#Ie;#Fe=new Set;#Oe=null;#Be;#Re=null;#Le=0;constructor({container:t,isPinchingDisabled:e=null,isPinchingStopped:i=null,onPinchStart:n=null,onPinching:s=null,onPinchEnd:r=null,onPanning:a=null,signal:o}){this.#Pt=t;this.#Ee=i;this.#Se=e;this.#Te=n;this.#_e=s;this.#ke=r;this.#De=a;this.#Be=new AbortController;this.#Ie=AbortSignal.any([o,this.#Be.signal]);t.addEventListener("touchstart",this.#Ne.bind(this),{passive:!1,signal:this.#Ie})}get MIN_TOUCH_DISTANCE_TO_PINCH(){return 35/OutputScale.pixelRatio}get MIN_TOUCH_DISTANCE_TO_SCALE(){return 4/OutputScale.pixelRatio}#Ne(t){if(this.#Se?.())return;this.#Ue(t);const e=this.#Fe;for(const{identifier:i}of t.changedTouches)e.add(i);if(1!==e.size){if(!this.#Re){this.#Re=new AbortController;const t=AbortSignal.any([this.#Ie,this.#Re.signal]),e=this.#Pt,i={signal:t,capture:!1,passive:!1};e.addEventListener("touchmove",this.#He.bind(this),i);const n=this.#Ge.bind(this);e.addEventListener("touchend",n,i);e.addEventListener("touchcancel",n,i);i.capture=!0;e.addEventListener("pointerdown",stopEvent,i);e.addEventListener("pointermove",stopEvent,i);e.addEventListener("pointercancel",preventDefault,i);e.addEventListener("pointerup",preventDefault,i);this.#Te?.()}this.#Pe=stopTouchEvent(t);this.#ze(t)}else this.#We()}#We(){if(this.#Me)return;const t=this.#Me=new AbortController,e=AbortSignal.any([this.#Ie,t.signal]),i=this.#Pt,n={capture:!0,signal:e,passive:!1},cancelPointerDown=t=>{if("touch"===t.pointerType){this.#Me?.abort();this.#Me=null}};i.addEventListener("pointerdown",t=>{if("touch"===t.pointerType){stopEvent(t);cancelPointerDown(t)}},n);i.addEventListener("pointerup",cancelPointerDown,n);i.addEventListener("pointercancel",cancelPointerDown,n)}#Ue(t){const e=this.#Fe;if(0===e.size)return;const i=this.#Fe=new Set;for(const{identifier:n}of t.touches)e.has(n)&&i.add(n)}#Ve(t){const e=this.#Fe,i=[];for(const n of t.touches)e.has(n.identifier)&&i.push(n);return i}#ze(t){const e=this.#Ve(t);if(2!==e.length||this.#Ee?.()){this.#Oe=null;return}const[i,n]=e;this.#Oe={touch0X:i.screenX,touch0Y:i.screenY,touch1X:n.screenX,touch1Y:n.screenY,panX:(i.clientX+n.clientX)/2,panY:(i.clientY+n.clientY)/2,screenPanX:(i.screenX+n.screenX)/2,screenPanY:(i.screenY+n.screenY)/2}}#He(t){if(!this.#Oe)return;const e=this.#Ve(t);if(2!==e.length)return;const i=this.#Pe;this.#Pe=stopTouchEvent(t);if(!this.#Pe)return;if(!i){this.#ze(t);return}const[n,s]=e,{screenX:r,screenY:a}=n,{screenX:o,screenY:l}=s,h=this.#Oe,{touch0X:c,touch0Y:d,touch1X:u,touch1Y:p,panX:g,panY:m}=h,f=u-c,b=p-d,y=o-r,v=l-a,w=(n.clientX+s.clientX)/2,A=(n.clientY+s.clientY)/2;h.panX=w;h.panY=A;const x=w-g,C=A-m,E=(r+o)/2,S=(a+l)/2,T=Math.hypot(E-h.screenPanX,S-h.screenPanY);h.screenPanX=E;h.screenPanY=S;const _=Math.hypot(y,v),k=Math.hypot(f,b),D=this.#Ce?this.MIN_TOUCH_DISTANCE_TO_SCALE:this.MIN_TOUCH_DISTANCE_TO_PINCH+2*T;if(_<Y||k<Y||Math.abs(k-_)<=D){(x||C)&&this.#De?.(x,C);return}h.touch0X=r;h.touch0Y=a;h.touch1X=o;h.touch1Y=l;const P=Math.sign(_-k);if(this.#Ce){if(this.#Le){const t=this.#Le;this.#Le=0;if(P!==t&&Math.abs(_-k)<=2*T){this.#Ce=!1;(x||C)&&this.#De?.(x,C);return}}this.#_e?.([g,m],k,_,x,C)}else{this.#Ce=!0;this.#Le=P;(x||C)&&this.#De?.(x,C)}}#Ge(t){this.#Ue(t);if(this.#Fe.size>=2){this.#ze(t);return}const e=!!this.#Oe;this.#$e();1===this.#Fe.size&&this.#We();e&&stopTouchEvent(t)}#$e(){this.#Oe=null;this.#Ce=!1;this.#Le=0;this.#Pe=!1;if(this.#Re){this.#Re.abort();this.#Re=null;this.#ke?.()}}destroy(){this.#$e();this.#Fe.clear();this.#Be?.abort();this.#Be=null;this.#Me?.abort();this.#Me=null}}class AnnotationEditor{#je=null;#Xe=null;#h=null;#c=null;#ge=null;#Ke=!1;#Ye=null;#qe="";#Qe=null;#Je=null;#Ze=null;#ti=null;#ei=null;#ii="";#ni=!1;#si=null;#ri=!1;#ai=!1;#oi=!1;#li=null;#hi=0;#ci=0;#di=null;#ui=null;isSelected=!1;_isCopy=!1;_editToolbar=null;_initialOptions=Object.create(null);_initialData=null;_isVisible=!0;_uiManager=null;_focusEventsAllowed=!0;static _l10n=null;static _l10nAlert=null;static _l10nResizer=null;#pi=!1;#gi=AnnotationEditor._zIndex++;static _borderLineWidth=-1;static _colorManager=new ColorManager;static _zIndex=1;static _telemetryTimeout=1e3;static get _resizerKeyboardManager(){const t=AnnotationEditor.prototype._resizeWithKeyboard,e=AnnotationEditorUIManager.TRANSLATE_SMALL,i=AnnotationEditorUIManager.TRANSLATE_BIG;return shadow(this,"_resizerKeyboardManager",new KeyboardManager([[["ArrowLeft"],t,{args:[-e,0]}],[["ctrl+ArrowLeft","mac+shift+ArrowLeft"],t,{args:[-i,0]}],[["ArrowRight"],t,{args:[e,0]}],[["ctrl+ArrowRight","mac+shift+ArrowRight"],t,{args:[i,0]}],[["ArrowUp"],t,{args:[0,-e]}],[["ctrl+ArrowUp","mac+shift+ArrowUp"],t,{args:[0,-i]}],[["ArrowDown"],t,{args:[0,e]}],[["ctrl+ArrowDown","mac+shift+ArrowDown"],t,{args:[0,i]}],[["Escape"],AnnotationEditor.prototype._stopResizingWithKeyboard]]))}constructor(t){this.parent=t.parent;this.id=t.id;this.width=this.height=null;this.pageIndex=t.parent.pageIndex;this.name=t.name;this.div=null;this._uiManager=t.uiManager;this.annotationElementId=null;this._willKeepAspectRatio=!1;this._initialOptions.isCentered=t.isCentered;this._structTreeParentId=null;this.annotationElementId=t.annotationElementId||null;this.creationDate=t.creationDate||new Date;this.modificationDate=t.modificationDate||null;this.canAddComment=!0;const{rotation:e,rawDims:{pageWidth:i,pageHeight:n,pageX:s,pageY:r}}=this.parent.viewport;this.rotation=e;this.pageRotation=(360+e-this._uiManager.viewParameters.rotation)%360;this.pageDimensions=[i,n];this.pageTranslation=[s,r];const[a,o]=this.parentDimensions;this.x=t.x/a;this.y=t.y/o;this.isAttachedToDOM=!1;this.deleted=!1}updatePageIndex(t){this.pageIndex=t}get editorType(){return Object.getPrototypeOf(this).constructor._type}get mode(){return Object.getPrototypeOf(this).constructor._editorType}static get isDrawer(){return!1}static get _defaultLineColor(){return shadow(this,"_defaultLineColor",this._colorManager.getHexCode("CanvasText"))}static deleteAnnotationElement(t){const e=new FakeEditor({id:t._uiManager.getId(),parent:t.parent,uiManager:t._uiManager});e.annotationElementId=t.annotationElementId;e.deleted=!0;e._uiManager.addToAnnotationStorage(e)}static initialize(t,e){AnnotationEditor._l10n??=t;AnnotationEditor._l10nAlert??=Object.freeze({highlight:"pdfjs-editor-highlight-added-alert",freetext:"pdfjs-editor-freetext-added-alert",ink:"pdfjs-editor-ink-added-alert",stamp:"pdfjs-editor-stamp-added-alert",signature:"pdfjs-editor-signature-added-alert"});AnnotationEditor._l10nResizer??=Object.freeze({topLeft:"pdfjs-editor-resizer-top-left",topMiddle:"pdfjs-editor-resizer-top-middle",topRight:"pdfjs-editor-resizer-top-right",middleRight:"pdfjs-editor-resizer-middle-right",bottomRight:"pdfjs-editor-resizer-bottom-right",bottomMiddle:"pdfjs-editor-resizer-bottom-middle",bottomLeft:"pdfjs-editor-resizer-bottom-left",middleLeft:"pdfjs-editor-resizer-middle-left"});if(-1!==AnnotationEditor._borderLineWidth)return;const i=getComputedStyle(document.documentElement);AnnotationEditor._borderLineWidth=parseFloat(i.getPropertyValue("--outline-width"))||0}static updateDefaultParams(t,e){}static get defaultPropertiesToUpdate(){return[]}static isHandlingMimeForPasting(t){return!1}static paste(t,e){unreachable("Not implemented")}get propertiesToUpdate(){return[]}get _isDraggable(){return this.#pi}set _isDraggable(t){this.#pi=t;this.div?.classList.toggle("draggable",t)}get uid(){return this.annotationElementId||this.id}get isEnterHandled(){return!0}center(){const[t,e]=this.pageDimensions;switch(this.parentRotation){case 90:this.x-=this.height*e/(2*t);this.y+=this.width*t/(2*e);break;case 180:this.x+=this.width/2;this.y+=this.height/2;break;case 270:this.x+=this.height*e/(2*t);this.y-=this.width*t/(2*e);break;default:this.x-=this.width/2;this.y-=this.height/2}this.fixAndSetPosition()}addCommands(t){this._uiManager.addCommands(t)}get currentLayer(){return this._uiManager.currentLayer}setInBackground(){this.div.style.zIndex=0}setInForeground(){this.div.style.zIndex=this.#gi}setParent(t){if(null!==t){this.pageIndex=t.pageIndex;this.pageDimensions=t.pageDimensions}else{this.#mi();this.#ti?.remove();this.#ti=null}this.parent=t}focusin(t){this._focusEventsAllowed&&(this.#ni?this.#ni=!1:this.parent.setSelected(this))}focusout(t){if(!this._focusEventsAllowed)return;if(!this.isAttachedToDOM)return;const e=t.relatedTarget;if(!e?.closest(`#${this.id}`)){t.preventDefault();this.parent?.isMultipleSelection||this.commitOrRemove()}}commitOrRemove(){this.isEmpty()?this.remove():this.commit()}commit(){this.isInEditMode()&&this.addToAnnotationStorage()}addToAnnotationStorage(){this._uiManager.addToAnnotationStorage(this)}setAt(t,e,i,n){const[s,r]=this.parentDimensions;[i,n]=this.screenToPageTranslation(i,n);this.x=(t+i)/s;this.y=(e+n)/r;this.fixAndSetPosition()}_moveAfterPaste(t,e){if(this.isClone){delete this.isClone;return}const[i,n]=this.parentDimensions;this.setAt(t*i,e*n,this.width*i,this.height*n);this._onTranslated()}#fi([t,e],i,n){[i,n]=this.screenToPageTranslation(i,n);this.x+=i/t;this.y+=n/e;this._onTranslating(this.x,this.y);this.fixAndSetPosition()}translate(t,e){this.#fi(this.parentDimensions,t,e)}translateInPage(t,e){this.#si||=[this.x,this.y,this.width,this.height];this.#fi(this.pageDimensions,t,e);this.div.scrollIntoView({block:"nearest"})}translationDone(){this._onTranslated(this.x,this.y)}drag(t,e){this.#si||=[this.x,this.y,this.width,this.height];const{div:i,parentDimensions:[n,s]}=this;this.x+=t/n;this.y+=e/s;if(this.parent&&(this.x<0||this.x>1||this.y<0||this.y>1)){const{x:t,y:e}=this.div.getBoundingClientRect();if(this.parent.findNewParent(this,t,e)){this.x-=Math.floor(this.x);this.y-=Math.floor(this.y)}}let{x:r,y:a}=this;const[o,l]=this.getBaseTranslation();r+=o;a+=l;const{style:h}=i;h.left=`${(100*r).toFixed(2)}%`;h.top=`${(100*a).toFixed(2)}%`;this._onTranslating(r,a)}_onTranslating(t,e){}_onTranslated(t,e){}get _hasBeenMoved(){return!!this.#si&&(this.#si[0]!==this.x||this.#si[1]!==this.y)}get _hasBeenResized(){return!!this.#si&&(this.#si[2]!==this.width||this.#si[3]!==this.height)}getBaseTranslation(){const[t,e]=this.parentDimensions,{_borderLineWidth:i}=AnnotationEditor,n=i/t,s=i/e;switch(this.rotation){case 90:return[-n,s];case 180:return[n,s];case 270:return[n,-s];default:return[-n,-s]}}get _mustFixPosition(){return!0}fixAndSetPosition(t=this.rotation){const{div:{style:e},pageDimensions:[i,n]}=this;let{x:s,y:r,width:a,height:o}=this;a*=i;o*=n;s*=i;r*=n;if(this._mustFixPosition)switch(t){case 0:s=MathClamp(s,0,i-a);r=MathClamp(r,0,n-o);break;case 90:s=MathClamp(s,0,i-o);r=MathClamp(r,a,n);break;case 180:s=MathClamp(s,a,i);r=MathClamp(r,o,n);break;case 270:s=MathClamp(s,o,i);r=MathClamp(r,0,n-a)}this.x=s/=i;this.y=r/=n;const[l,h]=this.getBaseTranslation();s+=l;r+=h;e.left=`${(100*s).toFixed(2)}%`;e.top=`${(100*r).toFixed(2)}%`;this.moveInDOM()}static#bi(t,e,i){switch(i){case 90:return[e,-t];case 180:return[-t,-e];case 270:return[-e,t];default:return[t,e]}}screenToPageTranslation(t,e){return AnnotationEditor.#bi(t,e,this.parentRotation)}pageTranslationToScreen(t,e){return AnnotationEditor.#bi(t,e,360-this.parentRotation)}#yi(t){switch(t){case 90:{const[t,e]=this.pageDimensions;return[0,-t/e,e/t,0]}case 180:return[-1,0,0,-1];case 270:{const[t,e]=this.pageDimensions;return[0,t/e,-e/t,0]}default:return[1,0,0,1]}}get parentScale(){return this._uiManager.viewParameters.realScale}get parentRotation(){return(this._uiManager.viewParameters.rotation+this.pageRotation)%360}get parentDimensions(){const{parentScale:t,pageDimensions:[e,i]}=this;return[e*t,i*t]}setDims(){const{div:{style:t},width:e,height:i}=this;t.width=`${(100*e).toFixed(2)}%`;t.height=`${(100*i).toFixed(2)}%`}getInitialTranslation(){return[0,0]}#vi(){if(this.#Qe)return;this.#Qe=document.createElement("div");this.#Qe.classList.add("resizers");const t=this._willKeepAspectRatio?["topLeft","topRight","bottomRight","bottomLeft"]:["topLeft","topMiddle","topRight","middleRight","bottomRight","bottomMiddle","bottomLeft","middleLeft"],e=this._uiManager._signal;for(const i of t){const t=document.createElement("div");this.#Qe.append(t);t.classList.add("resizer",i);t.setAttribute("data-resizer-name",i);t.addEventListener("pointerdown",this.#wi.bind(this,i),{signal:e});t.addEventListener("contextmenu",noContextMenu,{signal:e});t.tabIndex=-1}this.div.prepend(this.#Qe)}#wi(t,e){e.preventDefault();const{isMac:i}=FeatureTest.platform;if(0!==e.button||e.ctrlKey&&i)return;this.#h?.toggle(!1);const n=this._isDraggable;this._isDraggable=!1;this.#Je=[e.screenX,e.screenY];const s=new AbortController,r=this._uiManager.combinedSignal(s);this.parent.togglePointerEvents(!1);window.addEventListener("pointermove",this.#Ai.bind(this,t),{passive:!0,capture:!0,signal:r});window.addEventListener("touchmove",stopEvent,{passive:!1,signal:r});window.addEventListener("contextmenu",noContextMenu,{signal:r});this.#Ze={savedX:this.x,savedY:this.y,savedWidth:this.width,savedHeight:this.height};const a=this.parent.div.style.cursor,o=this.div.style.cursor;this.div.style.cursor=this.parent.div.style.cursor=window.getComputedStyle(e.target).cursor;const pointerUpCallback=()=>{s.abort();this.parent.togglePointerEvents(!0);this.#h?.toggle(!0);this._isDraggable=n;this.parent.div.style.cursor=a;this.div.style.cursor=o;this.#xi()};window.addEventListener("pointerup",pointerUpCallback,{signal:r});window.addEventListener("blur",pointerUpCallback,{signal:r})}#Ci(t,e,i,n){this.width=i;this.height=n;this.x=t;this.y=e;this.setDims();this.fixAndSetPosition();this._onResized()}_onResized(){}#xi(){if(!this.#Ze)return;const{savedX:t,savedY:e,savedWidth:i,savedHeight:n}=this.#Ze;this.#Ze=null;const s=this.x,r=this.y,a=this.width,o=this.height;s===t&&r===e&&a===i&&o===n||this.addCommands({cmd:this.#Ci.bind(this,s,r,a,o),undo:this.#Ci.bind(this,t,e,i,n),mustExec:!0})}static _round(t){return Math.round(1e4*t)/1e4}#Ai(t,e){const[i,n]=this.parentDimensions,s=this.x,r=this.y,a=this.width,o=this.height,l=AnnotationEditor.MIN_SIZE/i,h=AnnotationEditor.MIN_SIZE/n,c=this.#yi(this.rotation),transf=(t,e)=>[c[0]*t+c[2]*e,c[1]*t+c[3]*e],d=this.#yi(360-this.rotation);let u,p,g=!1,m=!1;switch(t){case"topLeft":g=!0;u=(t,e)=>[0,0];p=(t,e)=>[t,e];break;case"topMiddle":u=(t,e)=>[t/2,0];p=(t,e)=>[t/2,e];break;case"topRight":g=!0;u=(t,e)=>[t,0];p=(t,e)=>[0,e];break;case"middleRight":m=!0;u=(t,e)=>[t,e/2];p=(t,e)=>[0,e/2];break;case"bottomRight":g=!0;u=(t,e)=>[t,e];p=(t,e)=>[0,0];break;case"bottomMiddle":u=(t,e)=>[t/2,e];p=(t,e)=>[t/2,0];break;case"bottomLeft":g=!0;u=(t,e)=>[0,e];p=(t,e)=>[t,0];break;case"middleLeft":m=!0;u=(t,e)=>[0,e/2];p=(t,e)=>[t,e/2]}const f=u(a,o),b=p(a,o);let y=transf(...b);const v=AnnotationEditor._round(s+y[0]),w=AnnotationEditor._round(r+y[1]);let A,x,C=1,E=1;if(e.fromKeyboard)({deltaX:A,deltaY:x}=e);else{const{screenX:t,screenY:i}=e,[n,s]=this.#Je;[A,x]=this.screenToPageTranslation(t-n,i-s);this.#Je[0]=t;this.#Je[1]=i}[A,x]=(S=A/i,T=x/n,[d[0]*S+d[2]*T,d[1]*S+d[3]*T]);var S,T;if(g){const t=Math.hypot(a,o);C=E=Math.max(Math.min(Math.hypot(b[0]-f[0]-A,b[1]-f[1]-x)/t,1/a,1/o),l/a,h/o)}else m?C=MathClamp(Math.abs(b[0]-f[0]-A),l,1)/a:E=MathClamp(Math.abs(b[1]-f[1]-x),h,1)/o;const _=AnnotationEditor._round(a*C),k=AnnotationEditor._round(o*E);y=transf(...p(_,k));const D=v-y[0],P=w-y[1];this.#si||=[this.x,this.y,this.width,this.height];this.width=_;this.height=k;this.x=D;this.y=P;this.setDims();this.fixAndSetPosition();this._onResizing()}_onResizing(){}altTextFinish(){this.#h?.finish()}get toolbarButtons(){return null}async addEditToolbar(){if(this._editToolbar||this.#ai)return this._editToolbar;this._editToolbar=new EditorToolbar(this);this.div.append(this._editToolbar.render());const{toolbarButtons:t}=this;if(t)for(const[e,i]of t)await this._editToolbar.addButton(e,i);this.hasComment||this._editToolbar.addButton("comment",this.addCommentButton());this._editToolbar.addButton("delete");return this._editToolbar}addCommentButtonInToolbar(){this._editToolbar?.addButtonBefore("comment",this.addCommentButton(),".deleteButton")}removeCommentButtonFromToolbar(){this._editToolbar?.removeButton("comment")}removeEditToolbar(){this._editToolbar?.remove();this._editToolbar=null;this.#h?.destroy()}addContainer(t){const e=this._editToolbar?.div;e?e.before(t):this.div.append(t)}getClientDimensions(){return this.div.getBoundingClientRect()}createAltText(){if(!this.#h){AltText.initialize(AnnotationEditor._l10n);this.#h=new AltText(this);if(this.#je){this.#h.data=this.#je;this.#je=null}}return this.#h}get altTextData(){return this.#h?.data}set altTextData(t){this.#h&&(this.#h.data=t)}get guessedAltText(){return this.#h?.guessedText}async setGuessedAltText(t){await(this.#h?.setGuessedText(t))}serializeAltText(t){return this.#h?.serialize(t)}hasAltText(){return!!this.#h&&!this.#h.isEmpty()}hasAltTextData(){return this.#h?.hasData()??!1}focusCommentButton(){this.#c?.focusButton()}addCommentButton(){return this.canAddComment?this.#c||=new Comment(this):null}addStandaloneCommentButton(){if(this._uiManager.hasCommentManager())if(this.#ge)this._uiManager.isEditingMode()&&this.#ge.classList.remove("hidden");else if(this.hasComment){this.#ge=this.#c.renderForStandalone();this.div.append(this.#ge)}}removeStandaloneCommentButton(){this.#c.removeStandaloneCommentButton();this.#ge=null}hideStandaloneCommentButton(){this.#ge?.classList.add("hidden")}get comment(){if(!this.#c)return null;const{data:{richText:t,text:e,date:i,deleted:n}}=this.#c;return{text:e,richText:t,date:i,deleted:n,color:this.getNonHCMColor(),opacity:this.opacity??1}}set comment(t){this.#c||=new Comment(this);"object"==typeof t&&null!==t?this.#c.restoreData(t):this.#c.data=t;if(this.hasComment){this.removeCommentButtonFromToolbar();this.addStandaloneCommentButton();this._uiManager.updateComment(this)}else{this.addCommentButtonInToolbar();this.removeStandaloneCommentButton();this._uiManager.removeComment(this)}}setCommentData({comment:t,popupRef:e,richText:i}){if(!e)return;this.#c||=new Comment(this);this.#c.setInitialText(t,i);if(!this.annotationElementId)return;const n=this._uiManager.getAndRemoveDataFromAnnotationStorage(this.annotationElementId);n&&this.updateFromAnnotationLayer(n)}get hasEditedComment(){return this.#c?.hasBeenEdited()}get hasDeletedComment(){return this.#c?.isDeleted()}get hasComment(){return!!this.#c&&!this.#c.isEmpty()&&!this.#c.isDeleted()}async editComment(t){this.#c||=new Comment(this);this.#c.edit(t)}toggleComment(t,e=void 0){this.hasComment&&this._uiManager.toggleComment(this,t,e)}setSelectedCommentButton(t){this.#c.setSelectedButton(t)}addComment(t){if(this.hasEditedComment){const e=180,i=100,[,,,n]=t.rect,[s]=this.pageDimensions,[r]=this.pageTranslation,a=r+s+1,o=n-i,l=a+e;t.popup={contents:this.comment.text,deleted:this.comment.deleted,rect:[a,o,l,n]}}}updateFromAnnotationLayer({popup:{contents:t,deleted:e}}){this.#c.data=e?null:t}get parentBoundingClientRect(){return this.parent.boundingClientRect}render(){const t=this.div=document.createElement("div");t.setAttribute("data-editor-rotation",(360-this.rotation)%360);t.className=this.name;t.setAttribute("id",this.id);t.tabIndex=this.#Ke?-1:0;t.setAttribute("role","application");this.defaultL10nId&&t.setAttribute("data-l10n-id",this.defaultL10nId);this._isVisible||t.classList.add("hidden");this.setInForeground();this.#Ei();const[e,i]=this.parentDimensions;if(this.parentRotation%180!=0){t.style.maxWidth=`${(100*i/e).toFixed(2)}%`;t.style.maxHeight=`${(100*e/i).toFixed(2)}%`}const[n,s]=this.getInitialTranslation();this.translate(n,s);bindEvents(this,t,["keydown","pointerdown","dblclick"]);this.#Si();this.addStandaloneCommentButton();this._uiManager._editorUndoBar?.hide();return t}#Ti(){this.#Ze={savedX:this.x,savedY:this.y,savedWidth:this.width,savedHeight:this.height};this.#h?.toggle(!1);this.parent.togglePointerEvents(!1)}#_i(t,e,i){let n=i/e*.7+1-.7;if(1===n)return;const s=this.#yi(this.rotation),transf=(t,e)=>[s[0]*t+s[2]*e,s[1]*t+s[3]*e],[r,a]=this.parentDimensions,o=this.x,l=this.y,h=this.width,c=this.height,d=AnnotationEditor.MIN_SIZE/r,u=AnnotationEditor.MIN_SIZE/a;n=Math.max(Math.min(n,1/h,1/c),d/h,u/c);const p=AnnotationEditor._round(h*n),g=AnnotationEditor._round(c*n);if(p===h&&g===c)return;this.#si||=[o,l,h,c];const m=transf(h/2,c/2),f=AnnotationEditor._round(o+m[0]),b=AnnotationEditor._round(l+m[1]),y=transf(p/2,g/2);this.x=f-y[0];this.y=b-y[1];this.width=p;this.height=g;this.setDims();this.fixAndSetPosition();this._onResizing()}#ki(){this.#h?.toggle(!0);this.parent.togglePointerEvents(!0);this.#xi()}pointerdown(t){const{isMac:e}=FeatureTest.platform;if(0!==t.button||t.ctrlKey&&e)t.preventDefault();else{this.#ni=!0;this._isDraggable?this.#Di(t):this.#Pi(t)}}#Pi(t){const{isMac:e}=FeatureTest.platform;t.ctrlKey&&!e||t.shiftKey||t.metaKey&&e?this.parent.toggleSelected(this):this.parent.setSelected(this)}#Di(t){const{isSelected:e}=this;this._uiManager.setUpDragSession();let i=!1;const n=new AbortController,s=this._uiManager.combinedSignal(n),r={capture:!0,passive:!1,signal:s},cancelDrag=t=>{n.abort();this.#Ye=null;this.#ni=!1;this._uiManager.endDragSession()||this.#Pi(t);i&&this._onStopDragging()};if(e){this.#hi=t.clientX;this.#ci=t.clientY;this.#Ye=t.pointerId;this.#qe=t.pointerType;window.addEventListener("pointermove",t=>{if(!i){i=!0;this._uiManager.toggleComment(this,!0,!1);this._onStartDragging()}const{clientX:e,clientY:n,pointerId:s}=t;if(s!==this.#Ye){stopEvent(t);return}const[r,a]=this.screenToPageTranslation(e-this.#hi,n-this.#ci);this.#hi=e;this.#ci=n;this._uiManager.dragSelectedEditors(r,a);this.div.scrollIntoView({block:"nearest"})},r);window.addEventListener("touchmove",stopEvent,r);window.addEventListener("pointerdown",t=>{t.pointerType===this.#qe&&(this.#ui||t.isPrimary)&&cancelDrag(t);stopEvent(t)},r)}const pointerUpCallback=t=>{this.#Ye&&this.#Ye!==t.pointerId?stopEvent(t):cancelDrag(t)};window.addEventListener("pointerup",pointerUpCallback,{signal:s});window.addEventListener("blur",pointerUpCallback,{signal:s})}_onStartDragging(){}_onStopDragging(){}moveInDOM(){this.#li&&clearTimeout(this.#li);this.#li=setTimeout(()=>{this.#li=null;this.parent?.moveEditorInDOM(this)},0)}_setParentAndPosition(t,e,i){t.changeParent(this);this.x=e;this.y=i;this.fixAndSetPosition();this._onTranslated()}getRect(t,e,i=this.rotation){const n=this.parentScale,[s,r]=this.pageDimensions,[a,o]=this.pageTranslation,l=t/n,h=e/n,c=this.x*s,d=this.y*r,u=this.width*s,p=this.height*r;switch(i){case 0:return[c+l+a,r-d-h-p+o,c+l+u+a,r-d-h+o];case 90:return[c+h+a,r-d+l+o,c+h+p+a,r-d+l+u+o];case 180:return[c-l-u+a,r-d+h+o,c-l+a,r-d+h+p+o];case 270:return[c-h-p+a,r-d-l-u+o,c-h+a,r-d-l+o];default:throw new Error("Invalid rotation")}}getRectInCurrentCoords(t,e){const[i,n,s,r]=t,a=s-i,o=r-n;switch(this.rotation){case 0:return[i,e-r,a,o];case 90:return[i,e-n,o,a];case 180:return[s,e-n,a,o];case 270:return[s,e-r,o,a];default:throw new Error("Invalid rotation")}}getPDFRect(){return this.getRect(0,0)}getNonHCMColor(){return this.color&&AnnotationEditor._colorManager.convert(this._uiManager.getNonHCMColor(this.color))}onUpdatedColor(){this.#c?.onUpdatedColor()}getData(){const{comment:{text:t,color:e,date:i,opacity:n,deleted:s,richText:r},uid:a,pageIndex:o,creationDate:l,modificationDate:h}=this;return{id:a,pageIndex:o,rect:this.getPDFRect(),richText:r,contentsObj:{str:t},creationDate:l,modificationDate:i||h,popupRef:!s,color:e,opacity:n}}onceAdded(t){}isEmpty(){return!1}enableEditMode(){if(this.isInEditMode())return!1;this.parent.setEditingState(!1);this.#ai=!0;return!0}disableEditMode(){if(!this.isInEditMode())return!1;this.parent.setEditingState(!0);this.#ai=!1;return!0}isInEditMode(){return this.#ai}shouldGetKeyboardEvents(){return this.#oi}needsToBeRebuilt(){return this.div&&!this.isAttachedToDOM}get isOnScreen(){const{top:t,left:e,bottom:i,right:n}=this.getClientDimensions(),{innerHeight:s,innerWidth:r}=window;return e<r&&n>0&&t<s&&i>0}#Ei(){if(this.#ei||!this.div)return;this.#ei=new AbortController;const t=this._uiManager.combinedSignal(this.#ei);this.div.addEventListener("focusin",this.focusin.bind(this),{signal:t});this.div.addEventListener("focusout",this.focusout.bind(this),{signal:t})}#Si(){!this.#ui&&this.div&&this.isResizable&&this._uiManager._supportsPinchToZoom&&(this.#ui=new TouchManager({container:this.div,isPinchingDisabled:()=>!this.isSelected,onPinchStart:this.#Ti.bind(this),onPinching:this.#_i.bind(this),onPinchEnd:this.#ki.bind(this),signal:this._uiManager._signal}))}rebuild(){this.#Ei();this.#Si()}rotate(t){}resize(){}serializeDeleted(){return{id:this.annotationElementId,deleted:!0,pageIndex:this.pageIndex,popupRef:this._initialData?.popupRef||""}}serialize(t=!1,e=null){return{annotationType:this.mode,pageIndex:this.pageIndex,rect:this.getPDFRect(),rotation:this.rotation,structTreeParentId:this._structTreeParentId,popupRef:this._initialData?.popupRef||""}}static async deserialize(t,e,i){const n=new this.prototype.constructor({parent:e,id:i.getId(),uiManager:i,annotationElementId:t.annotationElementId,creationDate:t.creationDate,modificationDate:t.modificationDate});n.rotation=t.rotation;n.#je=t.accessibilityData;n._isCopy=t.isCopy||!1;const[s,r]=n.pageDimensions,[a,o,l,h]=n.getRectInCurrentCoords(t.rect,r);n.x=a/s;n.y=o/r;n.width=l/s;n.height=h/r;return n}get hasBeenModified(){return!!this.annotationElementId&&(this.deleted||null!==this.serialize())}remove(){this.#ei?.abort();this.#ei=null;this.isEmpty()||this.commit();this.#ui?.destroy();this.#ui=null;this.parent?this.parent.remove(this):this._uiManager.removeEditor(this);this.hideCommentPopup();if(this.#li){clearTimeout(this.#li);this.#li=null}this.#mi();this.removeEditToolbar();if(this.#di){for(const t of this.#di.values())clearTimeout(t);this.#di=null}this.parent=null;this.#ti?.remove();this.#ti=null}get isResizable(){return!1}makeResizable(){if(this.isResizable){this.#vi();this.#Qe.classList.remove("hidden")}}get toolbarPosition(){return null}get commentButtonPosition(){return"ltr"===this._uiManager.direction?[1,0]:[0,0]}get commentButtonPositionInPage(){const{commentButtonPosition:[t,e]}=this,[i,n,s,r]=this.getPDFRect();return[AnnotationEditor._round(i+(s-i)*t),AnnotationEditor._round(n+(r-n)*(1-e))]}get commentButtonColor(){return this._uiManager.makeCommentColor(this.getNonHCMColor(),this.opacity)}get commentPopupPosition(){return this.#c.commentPopupPositionInLayer}set commentPopupPosition(t){this.#c.commentPopupPositionInLayer=t}hasDefaultPopupPosition(){return this.#c.hasDefaultPopupPosition()}get commentButtonWidth(){return this.#c.commentButtonWidth}get elementBeforePopup(){return this.div}setCommentButtonStates(t){this.#c?.setCommentButtonStates(t)}keydown(t){if(!this.isResizable||t.target!==this.div||"Enter"!==t.key)return;this._uiManager.setSelected(this);this.#Ze={savedX:this.x,savedY:this.y,savedWidth:this.width,savedHeight:this.height};const e=this.#Qe.children;if(!this.#Xe){this.#Xe=Array.from(e);const t=this.#Mi.bind(this),i=this.#Ii.bind(this),n=this._uiManager._signal;for(const e of this.#Xe){const s=e.getAttribute("data-resizer-name");e.setAttribute("role","spinbutton");e.addEventListener("keydown",t,{signal:n});e.addEventListener("blur",i,{signal:n});e.addEventListener("focus",this.#Fi.bind(this,s),{signal:n});e.setAttribute("data-l10n-id",AnnotationEditor._l10nResizer[s])}}const i=this.#Xe[0];let n=0;for(const t of e){if(t===i)break;n++}const s=(360-this.rotation+this.parentRotation)%360/90*(this.#Xe.length/4);if(s!==n){if(s<n)for(let t=0;t<n-s;t++)this.#Qe.append(this.#Qe.firstElementChild);else if(s>n)for(let t=0;t<s-n;t++)this.#Qe.firstElementChild.before(this.#Qe.lastElementChild);let t=0;for(const i of e){const e=this.#Xe[t++].getAttribute("data-resizer-name");i.setAttribute("data-l10n-id",AnnotationEditor._l10nResizer[e])}}this.#Oi(0);this.#oi=!0;this.#Qe.firstElementChild.focus({focusVisible:!0});t.preventDefault();t.stopImmediatePropagation()}#Mi(t){AnnotationEditor._resizerKeyboardManager.exec(this,t)}#Ii(t){this.#oi&&t.relatedTarget?.parentNode!==this.#Qe&&this.#mi()}#Fi(t){this.#ii=this.#oi?t:""}#Oi(t){if(this.#Xe)for(const e of this.#Xe)e.tabIndex=t}_resizeWithKeyboard(t,e){this.#oi&&this.#Ai(this.#ii,{deltaX:t,deltaY:e,fromKeyboard:!0})}#mi(){this.#oi=!1;this.#Oi(-1);this.#xi()}_stopResizingWithKeyboard(){this.#mi();this.div.focus()}select(){if(this.isSelected&&this._editToolbar)this._editToolbar.show();else{this.isSelected=!0;this.makeResizable();this.div?.classList.add("selectedEditor");if(this._editToolbar){this._editToolbar?.show();this.#h?.toggleAltTextBadge(!1)}else this.addEditToolbar().then(()=>{this.div?.classList.contains("selectedEditor")&&this._editToolbar?.show()})}}focus(){this.div&&!this.div.contains(document.activeElement)&&setTimeout(()=>this.div?.focus({preventScroll:!0}),0)}unselect(){if(this.isSelected){this.isSelected=!1;this.#Qe?.classList.add("hidden");this.div?.classList.remove("selectedEditor");this.div?.contains(document.activeElement)&&this._uiManager.currentLayer.div.focus({preventScroll:!0});this._editToolbar?.hide();this.#h?.toggleAltTextBadge(!0);this.hideCommentPopup()}}hideCommentPopup(){this.hasComment&&this._uiManager.toggleComment(null)}updateParams(t,e){}disableEditing(){}enableEditing(){}get canChangeContent(){return!1}enterInEditMode(){if(this.canChangeContent){this.enableEditMode();this.div.focus()}}dblclick(t){if("BUTTON"!==t.target.nodeName){this.enterInEditMode();this.parent.updateToolbar({mode:this.constructor._editorType,editId:this.uid})}}getElementForAltText(){return this.div}get contentDiv(){return this.div}get isEditing(){return this.#ri}set isEditing(t){this.#ri=t;if(this.parent)if(t){this.parent.setSelected(this);this.parent.setActiveEditor(this)}else this.parent.setActiveEditor(null)}static get MIN_SIZE(){return 16}static canCreateNewEmptyEditor(){return!0}get telemetryInitialData(){return{action:"added"}}get telemetryFinalData(){return null}_reportTelemetry(t,e=!1){if(e){this.#di||=new Map;const{action:e}=t;let i=this.#di.get(e);i&&clearTimeout(i);i=setTimeout(()=>{this._reportTelemetry(t);this.#di.delete(e);0===this.#di.size&&(this.#di=null)},AnnotationEditor._telemetryTimeout);this.#di.set(e,i);return}t.type||=this.editorType;this._uiManager._eventBus.dispatch("reporttelemetry",{source:this,details:{type:"editing",data:t}})}show(t=this._isVisible){this.div.classList.toggle("hidden",!t);this._isVisible=t}enable(){this.div&&(this.div.tabIndex=0);this.#Ke=!1}disable(){this.div&&(this.div.tabIndex=-1);this.#Ke=!0}updateFakeAnnotationElement(t){if(this.#ti||this.deleted)if(this.deleted){this.#ti.remove();this.#ti=null}else(this.hasEditedComment||this._hasBeenMoved||this._hasBeenResized)&&this.#ti.updateEdited({rect:this.getPDFRect(),popup:this.comment});else this.#ti=t.addFakeAnnotation(this)}renderAnnotationElement(t){if(this.deleted){t.hide();return null}let e=t.container.querySelector(".annotationContent");if(e){if("CANVAS"===e.nodeName){const t=e;e=document.createElement("div");e.classList.add("annotationContent",this.editorType);t.before(e)}}else{e=document.createElement("div");e.classList.add("annotationContent",this.editorType);t.container.prepend(e)}return e}resetAnnotationElement(t){const{firstElementChild:e}=t.container;"DIV"===e?.nodeName&&e.classList.contains("annotationContent")&&e.remove()}}class FakeEditor extends AnnotationEditor{constructor(t){super(t);this.annotationElementId=t.annotationElementId;this.deleted=!0}serialize(){return this.serializeDeleted()}}const q=3285377520,Q=4294901760,J=65535;class MurmurHash3_64{constructor(t){this.h1=t?4294967295&t:q;this.h2=t?4294967295&t:q}update(t){let e,i;if("string"==typeof t){e=new Uint8Array(2*t.length);i=0;for(let n=0,s=t.length;n<s;n++){const s=t.charCodeAt(n);if(s<=255)e[i++]=s;else{e[i++]=s>>>8;e[i++]=255&s}}}else{if(!ArrayBuffer.isView(t))throw new Error("Invalid data format, must be a string or TypedArray.");e=t.slice();i=e.byteLength}const n=i>>2,s=i-4*n,r=new Uint32Array(e.buffer,0,n);let a=0,o=0,l=this.h1,h=this.h2;const c=3432918353,d=461845907,u=11601,p=13715;for(let t=0;t<n;t++)if(1&t){a=r[t];a=a*c&Q|a*u&J;a=a<<15|a>>>17;a=a*d&Q|a*p&J;l^=a;l=l<<13|l>>>19;l=5*l+3864292196}else{o=r[t];o=o*c&Q|o*u&J;o=o<<15|o>>>17;o=o*d&Q|o*p&J;h^=o;h=h<<13|h>>>19;h=5*h+3864292196}a=0;switch(s){case 3:a^=e[4*n+2]<<16;case 2:a^=e[4*n+1]<<8;case 1:a^=e[4*n];a=a*c&Q|a*u&J;a=a<<15|a>>>17;a=a*d&Q|a*p&J;1&n?l^=a:h^=a}this.h1=l;this.h2=h}hexdigest(){let t=this.h1,e=this.h2;t^=e>>>1;t=3981806797*t&Q|36045*t&J;e=4283543511*e&Q|(2950163797*(e<<16|t>>>16)&Q)>>>16;t^=e>>>1;t=444984403*t&Q|60499*t&J;e=3301882366*e&Q|(3120437893*(e<<16|t>>>16)&Q)>>>16;t^=e>>>1;return(t>>>0).toString(16).padStart(8,"0")+(e>>>0).toString(16).padStart(8,"0")}}const Z=Object.freeze({map:null,hash:"",transfer:void 0});class AnnotationStorage{#Bi=!1;#Ri=null;#Li=null;#Ni=new Map;onSetModified=null;onResetModified=null;onAnnotationEditor=null;getValue(t,e){const i=this.#Ni.get(t);return void 0===i?e:Object.assign(e,i)}getRawValue(t){return this.#Ni.get(t)}remove(t){const e=this.#Ni.get(t);if(void 0!==e){e instanceof AnnotationEditor&&this.#Li.delete(e.annotationElementId);this.#Ni.delete(t);0===this.#Ni.size&&this.resetModified();this.#Ni.values().some(t=>t instanceof AnnotationEditor)||this.onAnnotationEditor?.(null)}}setValue(t,e){const i=this.#Ni.get(t);let n=!1;if(void 0!==i){for(const[t,s]of Object.entries(e))if(i[t]!==s){n=!0;i[t]=s}}else{n=!0;this.#Ni.set(t,e)}n&&this.#Ui();if(e instanceof AnnotationEditor){(this.#Li||=new Map).set(e.annotationElementId,e);this.onAnnotationEditor?.(e.constructor._type)}}has(t){return this.#Ni.has(t)}get size(){return this.#Ni.size}#Ui(){if(!this.#Bi){this.#Bi=!0;this.onSetModified?.()}}resetModified(){if(this.#Bi){this.#Bi=!1;this.onResetModified?.()}}get print(){return new PrintAnnotationStorage(this)}get serializable(){if(0===this.#Ni.size)return Z;const t=new Map,e=new MurmurHash3_64,i=[],n=Object.create(null);let s=!1;for(const[i,r]of this.#Ni){const a=r instanceof AnnotationEditor?r.serialize(!1,n):r;if(r.page){r.pageIndex=r.page._pageIndex;delete r.page}if(a){t.set(i,a);e.update(`${i}:${JSON.stringify(a)}`);s||=!!a.bitmap}}if(s)for(const e of t.values())e.bitmap&&i.push(e.bitmap);return t.size>0?{map:t,hash:e.hexdigest(),transfer:i}:Z}get editorStats(){let t=null;const e=new Map;let i=0,n=0;for(const s of this.#Ni.values()){if(!(s instanceof AnnotationEditor)){s.popup&&(s.popup.deleted?n+=1:i+=1);continue}s.isCommentDeleted?n+=1:s.hasEditedComment&&(i+=1);const r=s.telemetryFinalData;if(!r)continue;const{type:a}=r;e.getOrInsertComputed(a,()=>Object.getPrototypeOf(s).constructor);t||=Object.create(null);const o=t[a]||=new Map;for(const[t,e]of Object.entries(r)){if("type"===t)continue;const i=o.getOrInsertComputed(t,makeMap);i.set(e,(i.get(e)??0)+1)}}if(n>0||i>0){t||=Object.create(null);t.comments={deleted:n,edited:i}}if(!t)return null;for(const[i,n]of e)t[i]=n.computeTelemetryFinalData(t[i]);return t}resetModifiedIds(){this.#Ri=null}updateEditor(t,e){const i=this.#Li?.get(t);if(i){i.updateFromAnnotationLayer(e);return!0}return!1}getEditor(t){return this.#Li?.get(t)||null}get modifiedIds(){if(this.#Ri)return this.#Ri;const t=[];if(this.#Li)for(const e of this.#Li.values())e.serialize()&&t.push(e.annotationElementId);let e="";if(t.length){const i=new MurmurHash3_64;i.update(t.join(","));e=i.hexdigest()}return this.#Ri={ids:new Set(t),hash:e}}[Symbol.iterator](){return this.#Ni.entries()}}class PrintAnnotationStorage extends AnnotationStorage{#Hi=Z;constructor(t){super();const{serializable:e}=t;if(e===Z)return;const{map:i,hash:n,transfer:s}=e,r=structuredClone(i,s?{transfer:s}:null);this.#Hi={map:r,hash:n,transfer:[]}}get print(){unreachable("Should not call PrintAnnotationStorage.print")}get serializable(){return this.#Hi}get modifiedIds(){return shadow(this,"modifiedIds",{ids:new Set,hash:""})}}const tt="__forcedDependency",{floor:et,ceil:it}=Math;function expandBBox(t,e,i,n,s,r){t[4*e+0]=Math.min(t[4*e+0],i);t[4*e+1]=Math.min(t[4*e+1],n);t[4*e+2]=Math.max(t[4*e+2],s);t[4*e+3]=Math.max(t[4*e+3],r)}const nt=new Uint32Array(new Uint8Array([255,255,0,0]).buffer)[0];class BBoxReader{#Gi;#zi;constructor(t,e){this.#Gi=t;this.#zi=e}get length(){return this.#Gi.length}isEmpty(t){return this.#Gi[t]===nt}minX(t){return this.#zi[4*t+0]/256}minY(t){return this.#zi[4*t+1]/256}maxX(t){return(this.#zi[4*t+2]+1)/256}maxY(t){return(this.#zi[4*t+3]+1)/256}}const ensureDebugMetadata=(t,e)=>t?.getOrInsertComputed(e,()=>({dependencies:new Set,isRenderingOperation:!1}));class CanvasBBoxTracker{#Wi=[[1,0,0,1,0,0]];#Vi=[-1/0,-1/0,1/0,1/0];#$i=new Float64Array(e);_pendingBBoxIdx=-1;#ji;#Xi;#Ki;#Gi;_savesStack=[];_markedContentStack=[];constructor(t,e){this.#ji=t.width;this.#Xi=t.height;this.#Yi(e)}growOperationsCount(t){t>=this.#Gi.length&&this.#Yi(t,this.#Gi)}#Yi(t,e){const i=new ArrayBuffer(4*t);this.#Ki=new Uint8ClampedArray(i);this.#Gi=new Uint32Array(i);if(e&&e.length>0){this.#Gi.set(e);this.#Gi.fill(nt,e.length)}else this.#Gi.fill(nt)}get clipBox(){return this.#Vi}save(t){this.#Vi={__proto__:this.#Vi};this._savesStack.push(t);return this}restore(t,e){const i=Object.getPrototypeOf(this.#Vi);if(null===i)return this;this.#Vi=i;const n=this._savesStack.pop();if(void 0!==n){e?.(n,t);this.#Gi[t]=this.#Gi[n]}return this}recordOpenMarker(t){this._savesStack.push(t);return this}getOpenMarker(){return 0===this._savesStack.length?null:this._savesStack.at(-1)}recordCloseMarker(t,e){const i=this._savesStack.pop();if(void 0!==i){e?.(i,t);this.#Gi[t]=this.#Gi[i]}return this}beginMarkedContent(t){this._markedContentStack.push(t);return this}endMarkedContent(t,e){const i=this._markedContentStack.pop();if(void 0!==i){e?.(i,t);this.#Gi[t]=this.#Gi[i]}return this}pushBaseTransform(t){this.#Wi.push(Util.multiplyByDOMMatrix(this.#Wi.at(-1),t.getTransform()));return this}popBaseTransform(){this.#Wi.length>1&&this.#Wi.pop();return this}resetBBox(t){if(this._pendingBBoxIdx!==t){this._pendingBBoxIdx=t;this.#$i.set(e,0)}return this}recordClipBox(t,i,n,s,r,a){const o=Util.multiplyByDOMMatrix(this.#Wi.at(-1),i.getTransform()),l=e.slice();Util.axialAlignedBoundingBox([n,r,s,a],o,l);const h=Util.intersect(this.#Vi,l);if(h){this.#Vi[0]=h[0];this.#Vi[1]=h[1];this.#Vi[2]=h[2];this.#Vi[3]=h[3]}else{this.#Vi[0]=this.#Vi[1]=1/0;this.#Vi[2]=this.#Vi[3]=-1/0}return this}recordBBox(t,i,n,s,r,a){const o=this.#Vi;if(o[0]===1/0)return this;const l=Util.multiplyByDOMMatrix(this.#Wi.at(-1),i.getTransform());if(o[0]===-1/0){Util.axialAlignedBoundingBox([n,r,s,a],l,this.#$i);return this}const h=e.slice();Util.axialAlignedBoundingBox([n,r,s,a],l,h);this.#$i[0]=MathClamp(h[0],o[0],this.#$i[0]);this.#$i[1]=MathClamp(h[1],o[1],this.#$i[1]);this.#$i[2]=MathClamp(h[2],this.#$i[2],o[2]);this.#$i[3]=MathClamp(h[3],this.#$i[3],o[3]);return this}recordFullPageBBox(t){this.#$i[0]=Math.max(0,this.#Vi[0]);this.#$i[1]=Math.max(0,this.#Vi[1]);this.#$i[2]=Math.min(this.#ji,this.#Vi[2]);this.#$i[3]=Math.min(this.#Xi,this.#Vi[3]);return this}recordOperation(t,e=!1,i){if(this._pendingBBoxIdx!==t)return this;const n=et(256*this.#$i[0]/this.#ji),s=et(256*this.#$i[1]/this.#Xi),r=it(256*this.#$i[2]/this.#ji),a=it(256*this.#$i[3]/this.#Xi);expandBBox(this.#Ki,t,n,s,r,a);if(i)for(const e of i)for(const i of e)i!==t&&expandBBox(this.#Ki,i,n,s,r,a);e||(this._pendingBBoxIdx=-1);return this}bboxToClipBoxDropOperation(t){if(this._pendingBBoxIdx===t){this._pendingBBoxIdx=-1;this.#Vi[0]=Math.max(this.#Vi[0],this.#$i[0]);this.#Vi[1]=Math.max(this.#Vi[1],this.#$i[1]);this.#Vi[2]=Math.min(this.#Vi[2],this.#$i[2]);this.#Vi[3]=Math.min(this.#Vi[3],this.#$i[3])}return this}take(){return new BBoxReader(this.#Gi,this.#Ki)}takeDebugMetadata(){throw new Error("Unreachable")}recordSimpleData(t,e){return this}recordIncrementalData(t,e){return this}resetIncrementalData(t,e){return this}recordNamedData(t,e){return this}recordSimpleDataFromNamed(t,e,i){return this}recordFutureForcedDependency(t,e){return this}inheritSimpleDataAsFutureForcedDependencies(t){return this}inheritPendingDependenciesAsFutureForcedDependencies(){return this}recordCharacterBBox(t,e,i,n=1,s=0,r=0,a){return this}getSimpleIndex(t){}recordDependencies(t,e){return this}recordNamedDependency(t,e){return this}recordShowTextOperation(t,e=!1){return this}}class CanvasDependencyTracker{#qi={__proto__:null};#Qi={__proto__:null,transform:[],moveText:[],sameLineText:[],[tt]:[]};#Ji=new Map;#Zi=new Set;#tn=new Map;#en;#in;#nn;constructor(t,e=!1){this.#nn=t;if(e){this.#en=new Map;this.#in=(t,e)=>{ensureDebugMetadata(this.#en,e).dependencies.add(t)}}}get clipBox(){return this.#nn.clipBox}growOperationsCount(t){this.#nn.growOperationsCount(t)}save(t){this.#qi={__proto__:this.#qi};this.#Qi={__proto__:this.#Qi,transform:{__proto__:this.#Qi.transform},moveText:{__proto__:this.#Qi.moveText},sameLineText:{__proto__:this.#Qi.sameLineText},[tt]:{__proto__:this.#Qi[tt]}};this.#nn.save(t);return this}restore(t){this.#nn.restore(t,this.#in);const e=Object.getPrototypeOf(this.#qi);if(null===e)return this;this.#qi=e;this.#Qi=Object.getPrototypeOf(this.#Qi);return this}recordOpenMarker(t){this.#nn.recordOpenMarker(t,this.#in);return this}getOpenMarker(){return this.#nn.getOpenMarker()}recordCloseMarker(t){this.#nn.recordCloseMarker(t,this.#in);return this}beginMarkedContent(t){this.#nn.beginMarkedContent(t);return this}endMarkedContent(t){this.#nn.endMarkedContent(t,this.#in);return this}pushBaseTransform(t){this.#nn.pushBaseTransform(t);return this}popBaseTransform(){this.#nn.popBaseTransform();return this}recordSimpleData(t,e){this.#qi[t]=e;return this}recordIncrementalData(t,e){this.#Qi[t].push(e);return this}resetIncrementalData(t,e){this.#Qi[t].length=0;return this}recordNamedData(t,e){this.#Ji.set(t,e);return this}recordSimpleDataFromNamed(t,e,i){this.#qi[t]=this.#Ji.get(e)??i}recordFutureForcedDependency(t,e){this.recordIncrementalData(tt,e);return this}inheritSimpleDataAsFutureForcedDependencies(t){for(const e of t)e in this.#qi&&this.recordFutureForcedDependency(e,this.#qi[e]);return this}inheritPendingDependenciesAsFutureForcedDependencies(){for(const t of this.#Zi)this.recordFutureForcedDependency(tt,t);return this}resetBBox(t){this.#nn.resetBBox(t);return this}recordClipBox(t,e,i,n,s,r){this.#nn.recordClipBox(t,e,i,n,s,r);return this}recordBBox(t,e,i,n,s,r){this.#nn.recordBBox(t,e,i,n,s,r);return this}recordCharacterBBox(t,e,i,n=1,s=0,r=0,a){const o=i.bbox;let l,h;if(o){l=o[2]!==o[0]&&o[3]!==o[1]&&this.#tn.get(i);if(!1!==l){h=[0,0,0,0];Util.axialAlignedBoundingBox(o,i.fontMatrix,h);1===n&&0===s&&0===r||function scaleCharBBox(t,e,i,n,s){let r;if(t){if(t<0){r=s[0];s[0]=s[2];s[2]=r}s[0]*=t;s[2]*=t;if(e<0){r=s[1];s[1]=s[3];s[3]=r}s[1]*=e;s[3]*=e}else s.fill(0);s[0]+=i;s[1]+=n;s[2]+=i;s[3]+=n}(n,-n,s,r,h);if(l)return this.recordBBox(t,e,h[0],h[2],h[1],h[3])}}if(!a)return this.recordFullPageBBox(t);const c=a();if(o&&h&&void 0===l){l=h[0]<=s-c.actualBoundingBoxLeft&&h[2]>=s+c.actualBoundingBoxRight&&h[1]<=r-c.actualBoundingBoxAscent&&h[3]>=r+c.actualBoundingBoxDescent;this.#tn.set(i,l);if(l)return this.recordBBox(t,e,h[0],h[2],h[1],h[3])}return this.recordBBox(t,e,s-c.actualBoundingBoxLeft,s+c.actualBoundingBoxRight,r-c.actualBoundingBoxAscent,r+c.actualBoundingBoxDescent)}recordFullPageBBox(t){this.#nn.recordFullPageBBox(t);return this}getSimpleIndex(t){return this.#qi[t]}recordDependencies(t,e){const i=this.#Zi,n=this.#qi,s=this.#Qi;for(const t of e)t in this.#qi?i.add(n[t]):t in s&&s[t].forEach(i.add,i);return this}recordNamedDependency(t,e){this.#Ji.has(e)&&this.#Zi.add(this.#Ji.get(e));return this}recordOperation(t,e=!1){this.recordDependencies(t,[tt]);if(this.#en){const e=ensureDebugMetadata(this.#en,t),{dependencies:i}=e;this.#Zi.forEach(i.add,i);this.#nn._savesStack.forEach(i.add,i);this.#nn._markedContentStack.forEach(i.add,i);i.delete(t);e.isRenderingOperation=!0}const i=!e&&t===this.#nn._pendingBBoxIdx;this.#nn.recordOperation(t,e,[this.#Zi,this.#nn._savesStack,this.#nn._markedContentStack]);i&&this.#Zi.clear();return this}recordShowTextOperation(t,e=!1){const i=Array.from(this.#Zi);this.recordOperation(t,e);this.recordIncrementalData("sameLineText",t);for(const t of i)this.recordIncrementalData("sameLineText",t);return this}bboxToClipBoxDropOperation(t,e=!1){const i=!e&&t===this.#nn._pendingBBoxIdx;this.#nn.bboxToClipBoxDropOperation(t);i&&this.#Zi.clear();return this}take(){this.#tn.clear();return this.#nn.take()}takeDebugMetadata(){return this.#en}}class CanvasNestedDependencyTracker{#sn;#rn;#an;#on=0;#ln=0;constructor(t,e,i){if(t instanceof CanvasNestedDependencyTracker&&t.#an===!!i)return t;this.#sn=t;this.#rn=e;this.#an=!!i}get clipBox(){return this.#sn.clipBox}growOperationsCount(){throw new Error("Unreachable")}save(t){this.#ln++;this.#sn.save(this.#rn);return this}restore(t){if(this.#ln>0){this.#sn.restore(this.#rn);this.#ln--}return this}recordOpenMarker(t){this.#on++;return this}getOpenMarker(){return this.#on>0?this.#rn:this.#sn.getOpenMarker()}recordCloseMarker(t){this.#on--;return this}beginMarkedContent(t){return this}endMarkedContent(t){return this}pushBaseTransform(t){this.#sn.pushBaseTransform(t);return this}popBaseTransform(){this.#sn.popBaseTransform();return this}recordSimpleData(t,e){this.#sn.recordSimpleData(t,this.#rn);return this}recordIncrementalData(t,e){this.#sn.recordIncrementalData(t,this.#rn);return this}resetIncrementalData(t,e){this.#sn.resetIncrementalData(t,this.#rn);return this}recordNamedData(t,e){return this}recordSimpleDataFromNamed(t,e,i){this.#sn.recordSimpleDataFromNamed(t,e,this.#rn);return this}recordFutureForcedDependency(t,e){this.#sn.recordFutureForcedDependency(t,this.#rn);return this}inheritSimpleDataAsFutureForcedDependencies(t){this.#sn.inheritSimpleDataAsFutureForcedDependencies(t);return this}inheritPendingDependenciesAsFutureForcedDependencies(){this.#sn.inheritPendingDependenciesAsFutureForcedDependencies();return this}resetBBox(t){this.#an||this.#sn.resetBBox(this.#rn);return this}recordClipBox(t,e,i,n,s,r){this.#an||this.#sn.recordClipBox(this.#rn,e,i,n,s,r);return this}recordBBox(t,e,i,n,s,r){this.#an||this.#sn.recordBBox(this.#rn,e,i,n,s,r);return this}recordCharacterBBox(t,e,i,n,s,r,a){this.#an||this.#sn.recordCharacterBBox(this.#rn,e,i,n,s,r,a);return this}recordFullPageBBox(t){this.#an||this.#sn.recordFullPageBBox(this.#rn);return this}getSimpleIndex(t){return this.#sn.getSimpleIndex(t)}recordDependencies(t,e){this.#sn.recordDependencies(this.#rn,e);return this}recordNamedDependency(t,e){this.#sn.recordNamedDependency(this.#rn,e);return this}recordOperation(t){this.#sn.recordOperation(this.#rn,!0);return this}recordShowTextOperation(t){this.#sn.recordShowTextOperation(this.#rn,!0);return this}bboxToClipBoxDropOperation(t){this.#an||this.#sn.bboxToClipBoxDropOperation(this.#rn,!0);return this}take(){throw new Error("Unreachable")}takeDebugMetadata(){throw new Error("Unreachable")}}const st=["path","transform","filter","strokeColor","strokeAlpha","lineWidth","lineCap","lineJoin","miterLimit","dash"],rt=["path","transform","filter","fillColor","fillAlpha","globalCompositeOperation","SMask"],at=["transform","SMask","filter","fillAlpha","strokeAlpha","globalCompositeOperation"],ot=["filter","fillColor","fillAlpha"],lt=["transform","leading","charSpacing","wordSpacing","hScale","textRise","moveText","textMatrix","font","fontObj","filter","fillColor","textRenderingMode","SMask","fillAlpha","strokeAlpha","globalCompositeOperation","sameLineText"],ht=["transform"],ct=["transform","fillColor"];class CanvasImagesTracker{#ji;#Xi;#hn=4;#cn=0;#zi=new CanvasImagesTracker.#dn(6*this.#hn);static#dn=FeatureTest.isFloat16ArraySupported?Float16Array:Float32Array;constructor(t){this.#ji=t.width;this.#Xi=t.height}record(t,i,n,s){if(this.#cn===this.#hn){this.#hn*=2;const t=new CanvasImagesTracker.#dn(6*this.#hn);t.set(this.#zi);this.#zi=t}const r=getCurrentTransform(t);let a;if(s[0]!==1/0){const t=e.slice();Util.axialAlignedBoundingBox([0,-n,i,0],r,t);const o=Util.intersect(s,t);if(!o)return;const[l,h,c,d]=o;if(l!==t[0]||h!==t[1]||c!==t[2]||d!==t[3]){const t=Math.atan2(r[1],r[0]),e=Math.abs(Math.sin(t)),i=Math.abs(Math.cos(t));if(e<1e-6||i<1e-6||Math.abs(e-i)<1e-6)a=[l,h,l,d,c,h];else{const t=c-l,n=d-h,s=e*e,r=i*i,o=i*e,u=r-s,p=(n*r-t*o)/u;a=[l+(n*o-t*s)/u,h,l,h+p,c,d-p]}}}if(!a){a=[0,-n,0,0,i,-n];Util.applyTransform(a,r,0);Util.applyTransform(a,r,2);Util.applyTransform(a,r,4)}a[0]/=this.#ji;a[1]/=this.#Xi;a[2]/=this.#ji;a[3]/=this.#Xi;a[4]/=this.#ji;a[5]/=this.#Xi;this.#zi.set(a,6*this.#cn);this.#cn++}take(){return this.#zi.subarray(0,6*this.#cn)}}const dt=/\p{Cc}/u;function serializeFontFamily(t){if(function isCSSString(t){const e=t[0];if(t.length<2||'"'!==e&&"'"!==e||t.at(-1)!==e)return!1;const i=t.length-1;for(let n=1;n<i;n++){const s=t[n];if(s===e||dt.test(s))return!1;if("\\"===s&&(++n>=i||dt.test(t[n])))return!1}return!0}(t))return t;return`"${t.replaceAll(/["\\\p{Cc}]/gu,t=>'"'===t||"\\"===t?`\\${t}`:`\\${t.codePointAt(0).toString(16)} `)}"`}class FontLoader{#un=new Set;#pn=null;constructor({ownerDocument:t=globalThis.document,styleElement:e=null}){this._document=t;this.nativeFontFaces=new Set;this.styleElement=null;this.loadingRequests=[];this.loadTestFontId=0}addNativeFontFace(t){this.nativeFontFaces.add(t);this._document.fonts.add(t)}removeNativeFontFace(t){this.nativeFontFaces.delete(t);this._document.fonts.delete(t)}insertRule(t){const e=this.#gn();e.insertRule(t,e.cssRules.length)}#gn(){if(this.#pn)return this.#pn;const t=this._document.defaultView?.CSSStyleSheet||globalThis.CSSStyleSheet;if(!this.styleElement&&t){const{adoptedStyleSheets:e}=this._document;if(e){const i=new t;e.push(i);return this.#pn=i}}if(!this.styleElement){this.styleElement=this._document.createElement("style");this._document.documentElement.getElementsByTagName("head")[0].append(this.styleElement)}return this.#pn=this.styleElement.sheet}clear(){for(const t of this.nativeFontFaces)this._document.fonts.delete(t);this.nativeFontFaces.clear();this.#un.clear();if(this.#pn){const{adoptedStyleSheets:t}=this._document;t?.includes(this.#pn)&&(this._document.adoptedStyleSheets=t.filter(t=>t!==this.#pn));this.#pn=null}if(this.styleElement){this.styleElement.remove();this.styleElement=null}}async loadSystemFont({systemFontInfo:t,disableFontFace:e,_inspectFont:i}){if(t&&!this.#un.has(t.loadedName)){assert(!e,"loadSystemFont shouldn't be called when `disableFontFace` is set.");if(this.isFontLoadingAPISupported){const{loadedName:e,src:n,style:s}=t,r=new FontFace(e,n,s);this.addNativeFontFace(r);try{await r.load();this.#un.add(e);i?.(t)}catch{warn(`Cannot load system font: ${t.baseFontName}, installing it could help to improve PDF rendering.`);this.removeNativeFontFace(r)}return}unreachable("Not implemented: loadSystemFont without the Font Loading API.")}}async bind(t){if(t.attached||t.missingFile&&!t.systemFontInfo)return;t.attached=!0;if(t.systemFontInfo){await this.loadSystemFont(t);return}if(this.isFontLoadingAPISupported){const e=t.createNativeFontFace();if(e){this.addNativeFontFace(e);try{await e.loaded}catch(i){warn(`Failed to load font '${e.family}': '${i}'.`);t.disableFontFace=!0;throw i}}return}const e=t.createFontFaceRule();if(e){this.insertRule(e);if(this.isSyncFontLoadingSupported)return;await new Promise(e=>{const i=this._queueLoadingCallback(e);this._prepareFontLoadEvent(t,i)})}}get isFontLoadingAPISupported(){return shadow(this,"isFontLoadingAPISupported",!!this._document?.fonts)}get isSyncFontLoadingSupported(){return shadow(this,"isSyncFontLoadingSupported",t||FeatureTest.platform.isFirefox)}_queueLoadingCallback(t){const{loadingRequests:e}=this,i={done:!1,complete:function completeRequest(){assert(!i.done,"completeRequest() cannot be called twice.");i.done=!0;for(;e.length>0&&e[0].done;){const t=e.shift();setTimeout(t.callback,0)}},callback:t};e.push(i);return i}get _loadTestFont(){return shadow(this,"_loadTestFont",atob("T1RUTwALAIAAAwAwQ0ZGIDHtZg4AAAOYAAAAgUZGVE1lkzZwAAAEHAAAABxHREVGABQAFQAABDgAAAAeT1MvMlYNYwkAAAEgAAAAYGNtYXABDQLUAAACNAAAAUJoZWFk/xVFDQAAALwAAAA2aGhlYQdkA+oAAAD0AAAAJGhtdHgD6AAAAAAEWAAAAAZtYXhwAAJQAAAAARgAAAAGbmFtZVjmdH4AAAGAAAAAsXBvc3T/hgAzAAADeAAAACAAAQAAAAEAALZRFsRfDzz1AAsD6AAAAADOBOTLAAAAAM4KHDwAAAAAA+gDIQAAAAgAAgAAAAAAAAABAAADIQAAAFoD6AAAAAAD6AABAAAAAAAAAAAAAAAAAAAAAQAAUAAAAgAAAAQD6AH0AAUAAAKKArwAAACMAooCvAAAAeAAMQECAAACAAYJAAAAAAAAAAAAAQAAAAAAAAAAAAAAAFBmRWQAwAAuAC4DIP84AFoDIQAAAAAAAQAAAAAAAAAAACAAIAABAAAADgCuAAEAAAAAAAAAAQAAAAEAAAAAAAEAAQAAAAEAAAAAAAIAAQAAAAEAAAAAAAMAAQAAAAEAAAAAAAQAAQAAAAEAAAAAAAUAAQAAAAEAAAAAAAYAAQAAAAMAAQQJAAAAAgABAAMAAQQJAAEAAgABAAMAAQQJAAIAAgABAAMAAQQJAAMAAgABAAMAAQQJAAQAAgABAAMAAQQJAAUAAgABAAMAAQQJAAYAAgABWABYAAAAAAAAAwAAAAMAAAAcAAEAAAAAADwAAwABAAAAHAAEACAAAAAEAAQAAQAAAC7//wAAAC7////TAAEAAAAAAAABBgAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAAAAAAD/gwAyAAAAAQAAAAAAAAAAAAAAAAAAAAABAAQEAAEBAQJYAAEBASH4DwD4GwHEAvgcA/gXBIwMAYuL+nz5tQXkD5j3CBLnEQACAQEBIVhYWFhYWFhYWFhYWFhYWFhYWFhYWFhYWFhYWFhYWFhYAAABAQAADwACAQEEE/t3Dov6fAH6fAT+fPp8+nwHDosMCvm1Cvm1DAz6fBQAAAAAAAABAAAAAMmJbzEAAAAAzgTjFQAAAADOBOQpAAEAAAAAAAAADAAUAAQAAAABAAAAAgABAAAAAAAAAAAD6AAAAAAAAA=="))}_prepareFontLoadEvent(t,e){function int32(t,e){return t.charCodeAt(e)<<24|t.charCodeAt(e+1)<<16|t.charCodeAt(e+2)<<8|255&t.charCodeAt(e+3)}function spliceString(t,e,i,n){return t.substring(0,e)+n+t.substring(e+i)}let i,n;const s=this._document.createElement("canvas");s.width=1;s.height=1;const r=s.getContext("2d");let a=0;const o=`lt${Date.now()}${this.loadTestFontId++}`;let l=this._loadTestFont;l=spliceString(l,976,o.length,o);const h=1482184792;let c=int32(l,16);for(i=0,n=o.length-3;i<n;i+=4)c=c-h+int32(o,i)|0;i<o.length&&(c=c-h+int32(o+"XXX",i)|0);l=spliceString(l,16,4,function string32(t){return String.fromCharCode(t>>24&255,t>>16&255,t>>8&255,255&t)}(c));const d=`@font-face {font-family:"${o}";src:${`url(data:font/opentype;base64,${btoa(l)});`}}`;this.insertRule(d);const u=this._document.createElement("div");u.style.visibility="hidden";u.style.width=u.style.height="10px";u.style.position="absolute";u.style.top=u.style.left="0px";for(const e of[t.loadedName,o]){const t=this._document.createElement("span");t.textContent="Hi";t.style.fontFamily=e;u.append(t)}this._document.body.append(u);!function isFontReady(t,e){if(++a>30){warn("Load test font never loaded.");e();return}r.font="30px "+t;r.fillText(".",0,20);r.getImageData(0,0,1,1).data[3]>0?e():setTimeout(isFontReady.bind(null,t,e))}(o,()=>{u.remove();e.complete()})}}class FontFaceObject{compiledGlyphs=Object.create(null);#mn;constructor(t,e=null,i,n){this.#mn=t;this._inspectFont=e;i&&(this.charProcOperatorList=i);n&&Object.assign(this,n)}createNativeFontFace(){if(!this.data||this.disableFontFace)return null;let t;if(this.cssFontInfo){const e={weight:this.cssFontInfo.fontWeight};this.cssFontInfo.italicAngle&&(e.style=`oblique ${this.cssFontInfo.italicAngle}deg`);t=new FontFace(serializeFontFamily(this.cssFontInfo.fontFamily),this.data,e)}else t=new FontFace(this.loadedName,this.data,{});this._inspectFont?.(this);return t}createFontFaceRule(){if(!this.data||this.disableFontFace)return null;const t=`url(data:${this.mimetype};base64,${this.data.toBase64()});`;let e;if(this.cssFontInfo){let i=`font-weight: ${this.cssFontInfo.fontWeight};`;this.cssFontInfo.italicAngle&&(i+=`font-style: oblique ${this.cssFontInfo.italicAngle}deg;`);e=`@font-face {font-family:${serializeFontFamily(this.cssFontInfo.fontFamily)};${i}src:${t}}`}else e=`@font-face {font-family:"${this.loadedName}";src:${t}}`;this._inspectFont?.(this,t);return e}getPathGenerator(t,e){if(void 0!==this.compiledGlyphs[e])return this.compiledGlyphs[e];const i=this.loadedName+"_path_"+e;let n;try{n=t.get(i)}catch(t){warn(`getPathGenerator - ignoring character: "${t}".`)}const s=makePathFromDrawOPS(n?.path);this.fontExtraProperties||t.delete(i);return this.compiledGlyphs[e]=s}get black(){return this.#mn.black}get bold(){return this.#mn.bold}get disableFontFace(){return this.#mn.disableFontFace}set disableFontFace(t){shadow(this,"disableFontFace",!!t)}get fontExtraProperties(){return this.#mn.fontExtraProperties}get isInvalidPDFjsFont(){return this.#mn.isInvalidPDFjsFont}get isType3Font(){return this.#mn.isType3Font}get italic(){return this.#mn.italic}get missingFile(){return this.#mn.missingFile}get remeasure(){return this.#mn.remeasure}get vertical(){return this.#mn.vertical}get ascent(){return this.#mn.ascent}get defaultWidth(){return this.#mn.defaultWidth}get descent(){return this.#mn.descent}get bbox(){return this.#mn.bbox}get fontMatrix(){return this.#mn.fontMatrix}get fallbackName(){return this.#mn.fallbackName}get loadedName(){return this.#mn.loadedName}get mimetype(){return this.#mn.mimetype}get name(){return this.#mn.name}get data(){return this.#mn.data}clearData(){this.#mn.clearData()}get cssFontInfo(){return this.#mn.cssFontInfo}get systemFontInfo(){return this.#mn.systemFontInfo}get defaultVMetrics(){return this.#mn.defaultVMetrics}}class CSS_FONT_INFO{static strings=["fontFamily","fontWeight","italicAngle"]}class SYSTEM_FONT_INFO{static strings=["css","loadedName","baseFontName","src"]}class FONT_INFO{static bools=["black","bold","disableFontFace","fontExtraProperties","isInvalidPDFjsFont","isType3Font","italic","missingFile","remeasure","vertical"];static numbers=["ascent","defaultWidth","descent"];static strings=["fallbackName","loadedName","mimetype","name"];static OFFSET_NUMBERS=Math.ceil(2*this.bools.length/8);static OFFSET_BBOX=this.OFFSET_NUMBERS+8*this.numbers.length;static OFFSET_FONT_MATRIX=this.OFFSET_BBOX+1+8;static OFFSET_DEFAULT_VMETRICS=this.OFFSET_FONT_MATRIX+1+48;static OFFSET_STRINGS=this.OFFSET_DEFAULT_VMETRICS+1+6}class PATTERN_INFO{static KIND=0;static HAS_BBOX=1;static HAS_BACKGROUND=2;static SHADING_TYPE=3;static N_COORD=4;static N_COLOR=8;static N_STOP=12;static N_FIGURES=16}class InfoUtils{static get decoder(){return shadow(this,"decoder",new TextDecoder)}static get encoder(){return shadow(this,"encoder",new TextEncoder)}}class CssFontInfo{#fn;#bn;constructor(t){this.#fn=t;this.#bn=new DataView(t)}#yn(t){assert(t<CSS_FONT_INFO.strings.length,"Invalid string index");const{decoder:e}=InfoUtils;let i=0;for(let e=0;e<t;e++)i+=this.#bn.getUint32(i)+4;const n=this.#bn.getUint32(i);return e.decode(new Uint8Array(this.#fn,i+4,n))}get fontFamily(){return this.#yn(0)}get fontWeight(){return this.#yn(1)}get italicAngle(){return this.#yn(2)}}class SystemFontInfo{#fn;#bn;constructor(t){this.#fn=t;this.#bn=new DataView(t)}get guessFallback(){return 0!==this.#bn.getUint8(0)}#yn(t){assert(t<SYSTEM_FONT_INFO.strings.length,"Invalid string index");const{decoder:e}=InfoUtils;let i=5;for(let e=0;e<t;e++)i+=this.#bn.getUint32(i)+4;const n=this.#bn.getUint32(i);return e.decode(new Uint8Array(this.#fn,i+4,n))}get css(){return this.#yn(0)}get loadedName(){return this.#yn(1)}get baseFontName(){return this.#yn(2)}get src(){return this.#yn(3)}get style(){const{decoder:t}=InfoUtils;let e=1;e+=4+this.#bn.getUint32(e);const i=this.#bn.getUint32(e),n=t.decode(new Uint8Array(this.#fn,e+4,i));e+=4+i;const s=this.#bn.getUint32(e);return{style:n,weight:t.decode(new Uint8Array(this.#fn,e+4,s))}}}class FontInfo{#fn;#bn;constructor({buffer:t,extra:e}){this.#fn=t;this.#bn=new DataView(t);e&&Object.assign(this,e)}#vn(t){assert(t<FONT_INFO.bools.length,"Invalid boolean index");const e=Math.floor(t/4),i=2*t%8,n=this.#bn.getUint8(e)>>i&3;return 0===n?void 0:2===n}get black(){return this.#vn(0)}get bold(){return this.#vn(1)}get disableFontFace(){return this.#vn(2)}get fontExtraProperties(){return this.#vn(3)}get isInvalidPDFjsFont(){return this.#vn(4)}get isType3Font(){return this.#vn(5)}get italic(){return this.#vn(6)}get missingFile(){return this.#vn(7)}get remeasure(){return this.#vn(8)}get vertical(){return this.#vn(9)}#wn(t){assert(t<FONT_INFO.numbers.length,"Invalid number index");return this.#bn.getFloat64(FONT_INFO.OFFSET_NUMBERS+8*t)}get ascent(){return this.#wn(0)}get defaultWidth(){return this.#wn(1)}get descent(){return this.#wn(2)}#An(t,e,i,n){const s=this.#bn.getUint8(t);if(0===s)return;assert(s===e,"Invalid array length.");t+=1;const r=new Array(s);for(let e=0;e<s;e++){r[e]=this.#bn[i](t,!0);t+=n}return r}get bbox(){return this.#An(FONT_INFO.OFFSET_BBOX,4,"getInt16",2)}get fontMatrix(){return this.#An(FONT_INFO.OFFSET_FONT_MATRIX,6,"getFloat64",8)}get defaultVMetrics(){return this.#An(FONT_INFO.OFFSET_DEFAULT_VMETRICS,3,"getInt16",2)}#yn(t){assert(t<FONT_INFO.strings.length,"Invalid string index");const{decoder:e}=InfoUtils;let i=FONT_INFO.OFFSET_STRINGS+4;for(let e=0;e<t;e++)i+=this.#bn.getUint32(i)+4;const n=this.#bn.getUint32(i);return e.decode(new Uint8Array(this.#fn,i+4,n))}get fallbackName(){return this.#yn(0)}get loadedName(){return this.#yn(1)}get mimetype(){return this.#yn(2)}get name(){return this.#yn(3)}#xn(){let t=FONT_INFO.OFFSET_STRINGS;t+=4+this.#bn.getUint32(t);t+=4+this.#bn.getUint32(t);t+=4+this.#bn.getUint32(t);return{offset:t,length:this.#bn.getUint32(t)}}get data(){const{offset:t,length:e}=this.#xn();return 0===e?void 0:new Uint8Array(this.#fn,t+4,e)}clearData(){const{offset:t,length:e}=this.#xn();if(0!==e){this.#bn.setUint32(t,0);this.#fn=new Uint8Array(this.#fn,0,t+4).slice().buffer;this.#bn=new DataView(this.#fn)}}get cssFontInfo(){let t=FONT_INFO.OFFSET_STRINGS;t+=4+this.#bn.getUint32(t);t+=4+this.#bn.getUint32(t);const e=this.#bn.getUint32(t);if(0===e)return null;const i=new Uint8Array(e);i.set(new Uint8Array(this.#fn,t+4,e));return new CssFontInfo(i.buffer)}get systemFontInfo(){let t=FONT_INFO.OFFSET_STRINGS;t+=4+this.#bn.getUint32(t);const e=this.#bn.getUint32(t);if(0===e)return null;const i=new Uint8Array(e);i.set(new Uint8Array(this.#fn,t+4,e));return new SystemFontInfo(i.buffer)}}class PatternInfo{constructor(t){this.buffer=t;this.view=new DataView(t);this.data=new Uint8Array(t)}getIR(){const t=this.view,i=this.data[PATTERN_INFO.KIND],n=!!this.data[PATTERN_INFO.HAS_BBOX],s=!!this.data[PATTERN_INFO.HAS_BACKGROUND],r=t.getUint32(PATTERN_INFO.N_COORD,!0),a=t.getUint32(PATTERN_INFO.N_COLOR,!0),o=t.getUint32(PATTERN_INFO.N_STOP,!0);let l=20;const h=new Float32Array(this.buffer,l,2*r);l+=8*r;const c=new Uint8Array(this.buffer,l,4*a);l+=4*a;const d=[];for(let e=0;e<o;++e){const e=t.getFloat32(l,!0);l+=4;const i=t.getUint32(l,!0);l+=4;d.push([e,`#${i.toString(16).padStart(6,"0")}`])}let u=null;if(n){u=[];for(let e=0;e<4;++e){u.push(t.getFloat32(l,!0));l+=4}}let p=null;if(s){p=new Uint8Array(this.buffer,l,3);l+=3}if(1===i)return["RadialAxial","axial",u,d,Array.from(h.slice(0,2)),Array.from(h.slice(2,4)),null,null];if(2===i)return["RadialAxial","radial",u,d,[h[0],h[1]],[h[3],h[4]],h[2],h[5]];if(3===i){const t=this.data[PATTERN_INFO.SHADING_TYPE];let i=null;if(h.length>0){i=e.slice();for(let t=0,e=h.length;t<e;t+=2)Util.pointBoundingBox(h[t],h[t+1],i)}return["Mesh",t,h,c,r,i,u,p]}throw new Error(`Unsupported pattern kind: ${i}`)}}class FontPathInfo{#fn;constructor(t){this.#fn=t}get path(){return FeatureTest.isFloat16ArraySupported?new Float16Array(this.#fn):new Float32Array(this.#fn)}}function getFactoryUrlProp(t){if("string"!=typeof t)return null;if(t.endsWith("/"))return t;throw new Error(`Invalid factory url: "${t}" must include trailing slash.`)}const isRefProxy=t=>"object"==typeof t&&Number.isInteger(t?.num)&&t.num>=0&&Number.isInteger(t?.gen)&&t.gen>=0,ut=function _isValidExplicitDest(t,e,i){if(!Array.isArray(i)||i.length<2)return!1;const[n,s,...r]=i;if(!t(n)&&!Number.isInteger(n))return!1;if(!e(s))return!1;const a=r.length;let o=!0;switch(s.name){case"XYZ":if(a<2||a>3)return!1;break;case"Fit":case"FitB":return 0===a;case"FitH":case"FitBH":case"FitV":case"FitBV":if(a>1)return!1;break;case"FitR":if(4!==a)return!1;o=!1;break;default:return!1}for(const t of r)if(!("number"==typeof t||o&&null===t))return!1;return!0}.bind(null,isRefProxy,t=>"object"==typeof t&&"string"==typeof t?.name);class LoopbackPort{#Cn=new Map;#En=Promise.resolve();postMessage(t,e){const i={data:structuredClone(t,e?{transfer:e}:null)};this.#En.then(()=>{for(const[t]of this.#Cn)t.call(this,i)})}addEventListener(t,e,i=null){let n=null;if(i?.signal instanceof AbortSignal){const{signal:s}=i;if(s.aborted){warn("LoopbackPort - cannot use an `aborted` signal.");return}const onAbort=()=>this.removeEventListener(t,e);n=()=>s.removeEventListener("abort",onAbort);s.addEventListener("abort",onAbort)}this.#Cn.set(e,n)}removeEventListener(t,e){const i=this.#Cn.get(e);i?.();this.#Cn.delete(e)}terminate(){for(const[,t]of this.#Cn)t?.();this.#Cn.clear()}}const pt=1,gt=2,mt=1,ft=2,bt=3,yt=4,vt=5,wt=6,At=7,xt=8;function onFn(){}function wrapReason(t){if(t instanceof AbortException||t instanceof InvalidPDFException||t instanceof PasswordException||t instanceof ResponseException||t instanceof UnknownErrorException)return t;t instanceof Error||"object"==typeof t&&null!==t||unreachable('wrapReason: Expected "reason" to be a (possibly cloned) Error.');switch(t.name){case"AbortException":return new AbortException(t.message);case"InvalidPDFException":return new InvalidPDFException(t.message);case"PasswordException":return new PasswordException(t.message,t.code);case"ResponseException":return new ResponseException(t.message,t.status,t.missing);case"UnknownErrorException":return new UnknownErrorException(t.message,t.details)}return new UnknownErrorException(t.message,t.toString())}class MessageHandler{#Sn=new AbortController;constructor(t,e,i){this.sourceName=t;this.targetName=e;this.comObj=i;this.callbackId=1;this.streamId=1;this.streamSinks=Object.create(null);this.streamControllers=Object.create(null);this.callbackCapabilities=Object.create(null);this.actionHandler=Object.create(null);i.addEventListener("message",this.#Tn.bind(this),{signal:this.#Sn.signal})}#Tn({data:t}){if(t.targetName!==this.sourceName)return;if(t.stream){this.#_n(t);return}if(t.callback){const e=t.callbackId,i=this.callbackCapabilities[e];if(!i)throw new Error(`Cannot resolve callback ${e}`);delete this.callbackCapabilities[e];if(t.callback===pt)i.resolve(t.data);else{if(t.callback!==gt)throw new Error("Unexpected callback case");i.reject(wrapReason(t.reason))}return}const e=this.actionHandler[t.action];if(!e)throw new Error(`Unknown action from worker: ${t.action}`);if(t.callbackId){const i=this.sourceName,n=t.sourceName,s=this.comObj;Promise.try(e,t.data).then(function(e){s.postMessage({sourceName:i,targetName:n,callback:pt,callbackId:t.callbackId,data:e})},function(e){s.postMessage({sourceName:i,targetName:n,callback:gt,callbackId:t.callbackId,reason:wrapReason(e)})});return}t.streamId?this.#kn(t):e(t.data)}on(t,e){const i=this.actionHandler;if(i[t])throw new Error(`There is already an actionName called "${t}"`);i[t]=e}send(t,e,i){this.comObj.postMessage({sourceName:this.sourceName,targetName:this.targetName,action:t,data:e},i)}sendWithPromise(t,e,i){const n=this.callbackId++,s=Promise.withResolvers();this.callbackCapabilities[n]=s;try{this.comObj.postMessage({sourceName:this.sourceName,targetName:this.targetName,action:t,callbackId:n,data:e},i)}catch(t){s.reject(t)}return s.promise}sendWithStream(t,e,i,n){const s=this.streamId++,r=this.sourceName,a=this.targetName,o=this.comObj;return new ReadableStream({start:i=>{const l=Promise.withResolvers();this.streamControllers[s]={controller:i,startCall:l,pullCall:null,cancelCall:null,isClosed:!1};o.postMessage({sourceName:r,targetName:a,action:t,streamId:s,data:e,desiredSize:i.desiredSize},n);return l.promise},pull:t=>{const e=Promise.withResolvers();this.streamControllers[s].pullCall=e;o.postMessage({sourceName:r,targetName:a,stream:wt,streamId:s,desiredSize:t.desiredSize});return e.promise},cancel:t=>{assert(t instanceof Error,"cancel must have a valid reason");const e=Promise.withResolvers();this.streamControllers[s].cancelCall=e;this.streamControllers[s].isClosed=!0;o.postMessage({sourceName:r,targetName:a,stream:mt,streamId:s,reason:wrapReason(t)});return e.promise}},i)}#kn(t){const e=t.streamId,i=this.sourceName,n=t.sourceName,s=this.comObj,r=this,a=this.actionHandler[t.action],o={enqueue(t,r=1,a){if(this.isCancelled)return;const o=this.desiredSize;this.desiredSize-=r;if(o>0&&this.desiredSize<=0){this.sinkCapability=Promise.withResolvers();this.ready=this.sinkCapability.promise}s.postMessage({sourceName:i,targetName:n,stream:yt,streamId:e,chunk:t},a)},close(){if(!this.isCancelled){this.isCancelled=!0;s.postMessage({sourceName:i,targetName:n,stream:bt,streamId:e});delete r.streamSinks[e]}},error(t){assert(t instanceof Error,"error must have a valid reason");if(!this.isCancelled){this.isCancelled=!0;s.postMessage({sourceName:i,targetName:n,stream:vt,streamId:e,reason:wrapReason(t)})}},sinkCapability:Promise.withResolvers(),onPull:null,onCancel:null,isCancelled:!1,desiredSize:t.desiredSize,ready:null};o.sinkCapability.resolve();o.ready=o.sinkCapability.promise;this.streamSinks[e]=o;Promise.try(a,t.data,o).then(function(){s.postMessage({sourceName:i,targetName:n,stream:xt,streamId:e,success:!0})},function(t){s.postMessage({sourceName:i,targetName:n,stream:xt,streamId:e,reason:wrapReason(t)})})}#_n(t){const e=t.streamId,i=this.sourceName,n=t.sourceName,s=this.comObj,r=this.streamControllers[e],a=this.streamSinks[e];switch(t.stream){case xt:t.success?r.startCall.resolve():r.startCall.reject(wrapReason(t.reason));break;case At:t.success?r.pullCall.resolve():r.pullCall.reject(wrapReason(t.reason));break;case wt:if(!a){s.postMessage({sourceName:i,targetName:n,stream:At,streamId:e,success:!0});break}a.desiredSize<=0&&t.desiredSize>0&&a.sinkCapability.resolve();a.desiredSize=t.desiredSize;Promise.try(a.onPull||onFn).then(function(){s.postMessage({sourceName:i,targetName:n,stream:At,streamId:e,success:!0})},function(t){s.postMessage({sourceName:i,targetName:n,stream:At,streamId:e,reason:wrapReason(t)})});break;case yt:assert(r,"enqueue should have stream controller");if(r.isClosed)break;r.controller.enqueue(t.chunk);break;case bt:assert(r,"close should have stream controller");if(r.isClosed)break;r.isClosed=!0;r.controller.close();this.#Dn(r,e);break;case vt:assert(r,"error should have stream controller");r.controller.error(wrapReason(t.reason));this.#Dn(r,e);break;case ft:t.success?r.cancelCall.resolve():r.cancelCall.reject(wrapReason(t.reason));this.#Dn(r,e);break;case mt:if(!a)break;const o=wrapReason(t.reason);Promise.try(a.onCancel||onFn,o).then(function(){s.postMessage({sourceName:i,targetName:n,stream:ft,streamId:e,success:!0})},function(t){s.postMessage({sourceName:i,targetName:n,stream:ft,streamId:e,reason:wrapReason(t)})});a.sinkCapability.reject(o);a.isCancelled=!0;delete this.streamSinks[e];break;default:throw new Error("Unexpected stream case")}}async#Dn(t,e){await Promise.allSettled([t.startCall?.promise,t.pullCall?.promise,t.cancelCall?.promise]);delete this.streamControllers[e]}destroy(){this.#Sn?.abort();this.#Sn=null}}class BaseBinaryDataFactory{#Pn=Object.freeze({cMapUrl:"CMap",standardFontDataUrl:"font",wasmUrl:"wasm"});constructor({cMapUrl:t=null,standardFontDataUrl:e=null,wasmUrl:i=null}){this.cMapUrl=t;this.standardFontDataUrl=e;this.wasmUrl=i}async fetch({kind:t,filename:e}){switch(t){case"cMapUrl":case"standardFontDataUrl":case"wasmUrl":break;default:unreachable(`Not implemented: ${t}`)}const i=this[t];if(!i)throw new Error(`Ensure that the \`${t}\` API parameter is provided.`);const n=`${i}${e}`;return this._fetch(n,t).catch(e=>{throw new Error(`Unable to load ${this.#Pn[t]} data at: ${n}`)})}async _fetch(t,e){unreachable("Abstract method `_fetch` called.")}}class DOMBinaryDataFactory extends BaseBinaryDataFactory{async _fetch(t,e){const i="cMapUrl"!==e||t.endsWith(".bcmap")?"bytes":"text",n=await fetchData(t,i);return n instanceof Uint8Array?n:stringToBytes(n)}}class BaseCanvasFactory{#Mn=!1;constructor({enableHWA:t=!1}){this.#Mn=t}create(t,e){if(t<=0||e<=0)throw new Error("Invalid canvas size");const i=this._createCanvas(t,e);return{canvas:i,context:i.getContext("2d",{willReadFrequently:!this.#Mn})}}reset({canvas:t},e,i){if(!t)throw new Error("Canvas is not specified");if(e<=0||i<=0)throw new Error("Invalid canvas size");t.width=e;t.height=i}destroy(t){const{canvas:e}=t;if(!e)throw new Error("Canvas is not specified");e.width=e.height=0;t.canvas=null;t.context=null}_createCanvas(t,e){unreachable("Abstract method `_createCanvas` called.")}}class DOMCanvasFactory extends BaseCanvasFactory{constructor({ownerDocument:t=globalThis.document,enableHWA:e=!1}){super({enableHWA:e});this._document=t}_createCanvas(t,e){const i=this._document.createElement("canvas");i.width=t;i.height=e;return i}}class BaseFilterFactory{addFilter(t){return"none"}addHCMFilter(t,e){return"none"}addAlphaFilter(t){return"none"}addLuminosityFilter(t){return"none"}addKnockoutFilter(t=0){return"none"}addHighlightHCMFilter(t,e,i,n,s){return"none"}addSelectionHCMFilter(t,e){return"none"}addSelectionFilter(){return"none"}createSelectionStyle(t=null){return null}destroy(t=!1){}}class DOMFilterFactory extends BaseFilterFactory{#In;#Fn;#On;#Bn;#Rn;#Ln;#_=0;constructor({docId:t,ownerDocument:e=globalThis.document}){super();this.#Bn=t;this.#Rn=e}get#D(){return this.#Fn||=new Map}get#Nn(){return this.#Ln||=new Map}get#Un(){if(!this.#On){const t=this.#Rn.createElement("div"),{style:e}=t;e.colorScheme="only light";e.visibility="hidden";e.contain="strict";e.width=e.height=0;e.position="absolute";e.top=e.left=0;e.zIndex=-1;const i=this.#Rn.createElementNS(s,"svg");i.setAttribute("width",0);i.setAttribute("height",0);this.#On=this.#Rn.createElementNS(s,"defs");t.append(i);i.append(this.#On);this.#Rn.body.append(t)}return this.#On}#Hn(t){if(1===t.length){const e=t[0],i=new Array(256);for(let t=0;t<256;t++)i[t]=e[t]/255;const n=i.join(",");return[n,n,n]}const[e,i,n]=t,s=new Array(256),r=new Array(256),a=new Array(256);for(let t=0;t<256;t++){s[t]=e[t]/255;r[t]=i[t]/255;a[t]=n[t]/255}return[s.join(","),r.join(","),a.join(",")]}#Gn(t){if(void 0===this.#In){this.#In="";const t=this.#Rn.URL;t!==this.#Rn.baseURI&&(isDataScheme(t)?warn('#createUrl: ignore "data:"-URL for performance reasons.'):this.#In=updateUrlHash(t,""))}return`url(${this.#In}#${t})`}addFilter(t){if(!t)return"none";let e=this.#D.get(t);if(e)return e;const[i,n,s]=this.#Hn(t),r=1===t.length?i:`${i}${n}${s}`;e=this.#D.get(r);if(e){this.#D.set(t,e);return e}const a=`g_${this.#Bn}_transfer_map_${this.#_++}`,o=this.#Gn(a);this.#D.set(t,o);this.#D.set(r,o);const l=this.#zn(a);this.#Wn(i,n,s,l);return o}addHCMFilter(t,e){const i=`${t}-${e}`,n="base";let s=this.#Nn.get(n);if(s?.key===i)return s.url;if(s){s.filter?.remove();s.key=i;s.url="none";s.filter=null}else{s={key:i,url:"none",filter:null};this.#Nn.set(n,s)}if(!t||!e)return s.url;const r=this.#Vn(t);t=Util.makeHexColor(...r);const a=this.#Vn(e);e=Util.makeHexColor(...a);this.#$n();if("#000000"===t&&"#ffffff"===e||t===e)return s.url;const o=Array.from({length:256},(t,e)=>computeLuminance(e/255)).join(","),l=`g_${this.#Bn}_hcm_filter`,h=s.filter=this.#zn(l);this.#Wn(o,o,o,h);this.#jn(h);const getSteps=(t,e)=>{const i=r[t]/255,n=a[t]/255,s=new Array(e+1);for(let t=0;t<=e;t++)s[t]=i+t/e*(n-i);return s.join(",")};this.#Wn(getSteps(0,5),getSteps(1,5),getSteps(2,5),h);s.url=this.#Gn(l);return s.url}addSelectionHCMFilter(t,e){return this.addHighlightHCMFilter("selection",t,e,"HighlightText","Highlight")}addSelectionFilter(){return this.addHighlightHCMFilter("selection_default","black","white","HighlightText","Highlight")}createSelectionStyle(t=null){const e=t?this.addSelectionHCMFilter(t.foreground,t.background):this.addSelectionFilter();return"none"!==e&&FeatureTest.platform.isFirefox?{"backdrop-filter":e,"background-color":"transparent"}:null}addAlphaFilter(t){let e=this.#D.get(t);if(e)return e;const[i]=this.#Hn([t]),n=`alpha_${i}`;e=this.#D.get(n);if(e){this.#D.set(t,e);return e}const s=`g_${this.#Bn}_alpha_map_${this.#_++}`,r=this.#Gn(s);this.#D.set(t,r);this.#D.set(n,r);const a=this.#zn(s);this.#Xn(i,a);return r}addLuminosityFilter(t){let e,i,n=this.#D.get(t||"luminosity");if(n)return n;if(t){[e]=this.#Hn([t]);i=`luminosity_${e}`}else i="luminosity";n=this.#D.get(i);if(n){this.#D.set(t,n);return n}const s=`g_${this.#Bn}_luminosity_map_${this.#_++}`,r=this.#Gn(s);this.#D.set(t,r);this.#D.set(i,r);const a=this.#zn(s);this.#Kn(a);t&&this.#Xn(e,a);return r}addKnockoutFilter(t=0){const e=t>0?Math.min(1/t,1e6):1e6,i=`knockout_${e}`,n=this.#D.get(i);if(n)return n;const r=`g_${this.#Bn}_knockout_filter_${this.#_++}`,a=this.#Gn(r);this.#D.set(i,a);const o=this.#zn(r),l=this.#Rn.createElementNS(s,"feComponentTransfer");o.append(l);const h=this.#Rn.createElementNS(s,"feFuncA");h.setAttribute("type","linear");h.setAttribute("slope",`${e}`);h.setAttribute("intercept","0");l.append(h);return a}addHighlightHCMFilter(t,e,i,n,s){const r=`${e}-${i}-${n}-${s}`;let a=this.#Nn.get(t);if(a?.key===r)return a.url;if(a){a.filter?.remove();a.key=r;a.url="none";a.filter=null}else{a={key:r,url:"none",filter:null};this.#Nn.set(t,a)}if(!e||!i)return a.url;const[o,l]=[e,i].map(this.#Vn.bind(this));let h=Math.round(.2126*o[0]+.7152*o[1]+.0722*o[2]),c=Math.round(.2126*l[0]+.7152*l[1]+.0722*l[2]),[d,u]=[n,s].map(this.#Yn.bind(this));c<h&&([h,c,d,u]=[c,h,u,d]);this.#$n();const getSteps=(t,e,i)=>{const n=new Array(256),s=(c-h)/i,r=t/255,a=(e-t)/(255*i);let o=0;for(let t=0;t<=i;t++){const e=Math.round(h+t*s),i=r+t*a;for(let t=o;t<=e;t++)n[t]=i;o=e+1}for(let t=o;t<256;t++)n[t]=n[o-1];return n.join(",")},p=`g_${this.#Bn}_hcm_${t}_filter`,g=a.filter=this.#zn(p);this.#jn(g);this.#Wn(getSteps(d[0],u[0],5),getSteps(d[1],u[1],5),getSteps(d[2],u[2],5),g);a.url=this.#Gn(p);return a.url}destroy(t=!1){if(!t||!this.#Ln?.size){this.#On?.parentNode.parentNode.remove();this.#On=null;this.#Fn?.clear();this.#Fn=null;this.#Ln?.clear();this.#Ln=null;this.#_=0}}#Kn(t){const e=this.#Rn.createElementNS(s,"feColorMatrix");e.setAttribute("type","matrix");e.setAttribute("values","0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0.3 0.59 0.11 0 0");t.append(e)}#jn(t){const e=this.#Rn.createElementNS(s,"feColorMatrix");e.setAttribute("type","matrix");e.setAttribute("values","0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0 0 0 1 0");t.append(e)}#zn(t){const e=this.#Rn.createElementNS(s,"filter");e.setAttribute("color-interpolation-filters","sRGB");e.setAttribute("id",t);this.#Un.append(e);return e}#qn(t,e,i){const n=this.#Rn.createElementNS(s,e);n.setAttribute("type","discrete");n.setAttribute("tableValues",i);t.append(n)}#Wn(t,e,i,n){const r=this.#Rn.createElementNS(s,"feComponentTransfer");n.append(r);this.#qn(r,"feFuncR",t);this.#qn(r,"feFuncG",e);this.#qn(r,"feFuncB",i)}#Xn(t,e){const i=this.#Rn.createElementNS(s,"feComponentTransfer");e.append(i);this.#qn(i,"feFuncA",t)}#Vn(t){this.#Un.style.color="CanvasText";this.#Un.style.backgroundColor=t;return getRGB(getComputedStyle(this.#Un).getPropertyValue("background-color"))}#Qn(t){this.#Un.style.color="CanvasText";this.#Un.style.backgroundColor=t;return getRGBA(getComputedStyle(this.#Un).getPropertyValue("background-color"))}#$n(){this.#Un.style.color="";this.#Un.style.backgroundColor=""}#Yn(t){const[e,i,n,s]=this.#Qn(t);if(1===s)return[e,i,n];const[r,a,o]=this.#Vn("Canvas");return[blend(e,r,s),blend(i,a,s),blend(n,o,s)]}}function blend(t,e,i){return Math.round(i*t+(1-i)*e)}t&&warn("Please use the `legacy` build in Node.js environments.");class NodeFilterFactory extends BaseFilterFactory{}class NodeCanvasFactory extends BaseCanvasFactory{_createCanvas(t,e){return process.getBuiltinModule("module").createRequire(import.meta.url)("@napi-rs/canvas").createCanvas(t,e)}}class NodeBinaryDataFactory extends BaseBinaryDataFactory{async _fetch(t,e){return async function node_utils_fetchData(t){const e=process.getBuiltinModule("fs/promises"),i=await e.readFile(t);return new Uint8Array(i)}(t)}}function convertBlackAndWhiteToRGBA({src:t,srcPos:e=0,dest:i,width:n,height:s,nonBlackColor:r=4294967295,inverseDecode:a=!1}){const o=FeatureTest.isLittleEndian?4278190080:255,[l,h]=a?[r,o]:[o,r],c=n>>3,d=7&n,u=l^h,p=t.length;i=new Uint32Array(i.buffer);let g=0;for(let n=0;n<s;++n){for(const n=e+c;e<n;++e,g+=8){const n=t[e];i[g]=l^-(n>>7&1)&u;i[g+1]=l^-(n>>6&1)&u;i[g+2]=l^-(n>>5&1)&u;i[g+3]=l^-(n>>4&1)&u;i[g+4]=l^-(n>>3&1)&u;i[g+5]=l^-(n>>2&1)&u;i[g+6]=l^-(n>>1&1)&u;i[g+7]=l^-(1&n)&u}if(0===d)continue;const n=e<p?t[e++]:255;for(let t=0;t<d;++t,++g)i[g]=l^-(n>>7-t&1)&u}return{srcPos:e,destPos:g}}function convertRGBToRGBA({src:t,srcPos:e=0,dest:i,destPos:n=0,width:s,height:r}){let a=0;const o=s*r*3,l=o>>2,h=new Uint32Array(t.buffer,e,l),c=FeatureTest.isLittleEndian?4278190080:255;if(FeatureTest.isLittleEndian){for(;a<l-2;a+=3,n+=4){const t=h[a],e=h[a+1],s=h[a+2];i[n]=t|c;i[n+1]=t>>>24|e<<8|c;i[n+2]=e>>>16|s<<16|c;i[n+3]=s>>>8|c}for(let s=4*a,r=e+o;s<r;s+=3)i[n++]=t[s]|t[s+1]<<8|t[s+2]<<16|c}else{for(;a<l-2;a+=3,n+=4){const t=h[a],e=h[a+1],s=h[a+2];i[n]=t|c;i[n+1]=t<<24|e>>>8|c;i[n+2]=e<<16|s>>>16|c;i[n+3]=s<<8|c}for(let s=4*a,r=e+o;s<r;s+=3)i[n++]=t[s]<<24|t[s+1]<<16|t[s+2]<<8|c}return{srcPos:e+o,destPos:n}}const Ct=new class WebGPU{#Jn=null;#Zn=null;#ts=null;#es=null;async#is(){if(!globalThis.navigator?.gpu)return!1;try{const t=await navigator.gpu.requestAdapter();if(!t)return!1;this.#es=navigator.gpu.getPreferredCanvasFormat();this.#Zn=await t.requestDevice();return!0}catch{return!1}}init(){return this.#Jn||=this.#is()}get isReady(){return null!==this.#Zn}loadMeshShader(){if(!this.#Zn||this.#ts)return;const t=this.#Zn.createShaderModule({code:"\nstruct Uniforms {\n  offsetX      : f32,\n  offsetY      : f32,\n  scaleX       : f32,\n  scaleY       : f32,\n  paddedWidth  : f32,\n  paddedHeight : f32,\n  borderSize   : f32,\n  _pad         : f32,\n};\n\n@group(0) @binding(0) var<uniform> u : Uniforms;\n\nstruct VertexInput {\n  @location(0) position : vec2<f32>,\n  @location(1) color    : vec4<f32>,\n};\n\nstruct VertexOutput {\n  @builtin(position) position : vec4<f32>,\n  @location(0)       color    : vec3<f32>,\n};\n\n@vertex\nfn vs_main(in : VertexInput) -> VertexOutput {\n  var out : VertexOutput;\n  let cx = (in.position.x + u.offsetX) * u.scaleX;\n  let cy = (in.position.y + u.offsetY) * u.scaleY;\n  out.position = vec4<f32>(\n    ((cx + u.borderSize) / u.paddedWidth) * 2.0 - 1.0,\n    1.0 - ((cy + u.borderSize) / u.paddedHeight) * 2.0,\n    0.0,\n    1.0\n  );\n  out.color = in.color.rgb;\n  return out;\n}\n\n@fragment\nfn fs_main(in : VertexOutput) -> @location(0) vec4<f32> {\n  return vec4<f32>(in.color, 1.0);\n}\n"});this.#ts=this.#Zn.createRenderPipeline({layout:"auto",vertex:{module:t,entryPoint:"vs_main",buffers:[{arrayStride:8,attributes:[{shaderLocation:0,offset:0,format:"float32x2"}]},{arrayStride:4,attributes:[{shaderLocation:1,offset:0,format:"unorm8x4"}]}]},fragment:{module:t,entryPoint:"fs_main",targets:[{format:this.#es}]},primitive:{topology:"triangle-list"}})}draw(t,e,i,n,s,r,a,o){this.loadMeshShader();const l=this.#Zn,{offsetX:h,offsetY:c,scaleX:d,scaleY:u}=n,p=l.createBuffer({size:Math.max(t.byteLength,4),usage:GPUBufferUsage.VERTEX|GPUBufferUsage.COPY_DST});t.byteLength>0&&l.queue.writeBuffer(p,0,t);const g=l.createBuffer({size:Math.max(e.byteLength,4),usage:GPUBufferUsage.VERTEX|GPUBufferUsage.COPY_DST});e.byteLength>0&&l.queue.writeBuffer(g,0,e);const m=l.createBuffer({size:32,usage:GPUBufferUsage.UNIFORM|GPUBufferUsage.COPY_DST});l.queue.writeBuffer(m,0,new Float32Array([h,c,d,u,r,a,o,0]));const f=l.createBindGroup({layout:this.#ts.getBindGroupLayout(0),entries:[{binding:0,resource:{buffer:m}}]}),b=new OffscreenCanvas(r,a),y=b.getContext("webgpu");y.configure({device:l,format:this.#es,alphaMode:s?"opaque":"premultiplied"});const v=s?{r:s[0]/255,g:s[1]/255,b:s[2]/255,a:1}:{r:0,g:0,b:0,a:0},w=l.createCommandEncoder(),A=w.beginRenderPass({colorAttachments:[{view:y.getCurrentTexture().createView(),clearValue:v,loadOp:"clear",storeOp:"store"}]});if(i>0){A.setPipeline(this.#ts);A.setBindGroup(0,f);A.setVertexBuffer(0,p);A.setVertexBuffer(1,g);A.draw(i)}A.end();l.queue.submit([w.finish()]);p.destroy();g.destroy();m.destroy();return b.transferToImageBitmap()}};const Et="Fill",St="Stroke",Tt="Shading";function applyBoundingBox(t,e){if(!e)return;const i=e[2]-e[0],n=e[3]-e[1],s=new Path2D;s.rect(e[0],e[1],i,n);t.clip(s)}class BaseShadingPattern{matrix=null;isModifyingCurrentTransform(){return!1}getPattern(){unreachable("Abstract method `getPattern` called.")}}class RadialAxialShadingPattern extends BaseShadingPattern{constructor(t){super();this._type=t[1];this._bbox=t[2];this._colorStops=t[3];this._p0=t[4];this._p1=t[5];this._r0=t[6];this._r1=t[7]}isOriginBased(){return 0===this._p0[0]&&0===this._p0[1]&&(!this.isRadial()||0===this._p1[0]&&0===this._p1[1])}isRadial(){return"radial"===this._type}areConic(){if(!this.isRadial())return!1;const t=Math.hypot(this._p0[0]-this._p1[0],this._p0[1]-this._p1[1]);return t+this._r1>this._r0&&t+this._r0>this._r1}_createGradient(t,e=null){let i,n=this._p0,s=this._p1;if(e){n=n.slice();s=s.slice();Util.applyTransform(n,e);Util.applyTransform(s,e)}if("axial"===this._type)i=t.createLinearGradient(n[0],n[1],s[0],s[1]);else if("radial"===this._type){let r=this._r0,a=this._r1;if(e){const t=new Float32Array(2);Util.singularValueDecompose2dScale(e,t);r*=t[0];a*=t[0]}i=t.createRadialGradient(n[0],n[1],r,s[0],s[1],a)}for(const t of this._colorStops)i.addColorStop(t[0],t[1]);return i}_createReversedGradient(t,e=null){let i=this._p1,n=this._p0;if(e){i=i.slice();n=n.slice();Util.applyTransform(i,e);Util.applyTransform(n,e)}let s=this._r1,r=this._r0;if(e){const t=new Float32Array(2);Util.singularValueDecompose2dScale(e,t);s*=t[0];r*=t[0]}const a=t.createRadialGradient(i[0],i[1],s,n[0],n[1],r),o=this._colorStops.map(([t,e])=>[1-t,e]).reverse();for(const[t,e]of o)a.addColorStop(t,e);return a}getPattern(t,e,i,n){let s;if(n===St||n===Et){if(this.isOriginBased()){let n=Util.transform(i,e.baseTransform);this.matrix&&(n=Util.transform(n,this.matrix));const s=.001,r=Math.hypot(n[0],n[1]),a=Math.hypot(n[2],n[3]),o=(n[0]*n[2]+n[1]*n[3])/(r*a);if(Math.abs(o)<s){if(!this.isRadial())return this._createGradient(t,n);if(Math.abs(r-a)<s)return this._createGradient(t,n)}}const r=e.current.getClippedPathBoundingBox(n,getCurrentTransform(t))||[0,0,0,0],a=Math.ceil(r[2]-r[0])||1,o=Math.ceil(r[3]-r[1])||1,l=e.canvasFactory.create(a,o),h=l.context;h.clearRect(0,0,h.canvas.width,h.canvas.height);h.beginPath();h.rect(0,0,h.canvas.width,h.canvas.height);h.translate(-r[0],-r[1]);i=Util.transform(i,[1,0,0,1,r[0],r[1]]);h.transform(...e.baseTransform);this.matrix&&h.transform(...this.matrix);applyBoundingBox(h,this._bbox);if(this.areConic()){h.fillStyle=this._createReversedGradient(h);h.fill()}h.fillStyle=this._createGradient(h);h.fill();s=t.createPattern(l.canvas,"no-repeat");e.canvasFactory.destroy(l);const c=new DOMMatrix(i);s.setTransform(c)}else{if(this.areConic()){t.save();applyBoundingBox(t,this._bbox);t.fillStyle=this._createReversedGradient(t);t.fillRect(-1e10,-1e10,2e10,2e10);t.restore()}applyBoundingBox(t,this._bbox);s=this._createGradient(t)}return s}}function drawTriangle(t,e,i,n,s,r,a,o){const l=e.coords,h=e.colors,c=t.data,d=4*t.width;let u;if(l[2*i+1]>l[2*n+1]){u=i;i=n;n=u;u=r;r=a;a=u}if(l[2*n+1]>l[2*s+1]){u=n;n=s;s=u;u=a;a=o;o=u}if(l[2*i+1]>l[2*n+1]){u=i;i=n;n=u;u=r;r=a;a=u}const p=(l[2*i]+e.offsetX)*e.scaleX,g=(l[2*i+1]+e.offsetY)*e.scaleY,m=(l[2*n]+e.offsetX)*e.scaleX,f=(l[2*n+1]+e.offsetY)*e.scaleY,b=(l[2*s]+e.offsetX)*e.scaleX,y=(l[2*s+1]+e.offsetY)*e.scaleY;if(g>=y)return;const v=h[4*r],w=h[4*r+1],A=h[4*r+2],x=h[4*a],C=h[4*a+1],E=h[4*a+2],S=h[4*o],T=h[4*o+1],_=h[4*o+2],k=Math.round(g),D=Math.round(y);let P,M,I,F,O,B,R,L;for(let t=k;t<=D;t++){if(t<f){const e=t<g?0:(g-t)/(g-f);P=p-(p-m)*e;M=v-(v-x)*e;I=w-(w-C)*e;F=A-(A-E)*e}else{let e;e=t>y?1:f===y?0:(f-t)/(f-y);P=m-(m-b)*e;M=x-(x-S)*e;I=C-(C-T)*e;F=E-(E-_)*e}let e;e=t<g?0:t>y?1:(g-t)/(g-y);O=p-(p-b)*e;B=v-(v-S)*e;R=w-(w-T)*e;L=A-(A-_)*e;const i=Math.round(Math.min(P,O)),n=Math.round(Math.max(P,O));let s=d*t+4*i;for(let t=i;t<=n;t++){e=(P-t)/(P-O);e<0?e=0:e>1&&(e=1);c[s++]=M-(M-B)*e|0;c[s++]=I-(I-R)*e|0;c[s++]=F-(F-L)*e|0;c[s++]=255}}}class MeshShadingPattern extends BaseShadingPattern{constructor(t){super();this._posData=t[2];this._colData=t[3];this._vertexCount=t[4];this._bounds=t[5];this._bbox=t[6];this._background=t[7];!function loadMeshShader(){Ct.loadMeshShader()}()}_createMeshCanvas(t,e,i){const n=Math.floor(this._bounds[0]),s=Math.floor(this._bounds[1]),r=Math.ceil(this._bounds[2])-n,a=Math.ceil(this._bounds[3])-s,o=Math.min(Math.ceil(Math.abs(r*t[0]*1.1)),3e3)||1,l=Math.min(Math.ceil(Math.abs(a*t[1]*1.1)),3e3)||1,h=r?r/o:1,c=a?a/l:1,d={coords:this._posData,colors:this._colData,offsetX:-n,offsetY:-s,scaleX:1/h,scaleY:1/c},u=o+4,p=l+4,g=i.create(u,p);if(function isGPUReady(){return Ct.isReady}()&&this._vertexCount>48)g.context.drawImage(function drawMeshWithGPU(t,e,i,n,s,r,a,o){return Ct.draw(t,e,i,n,s,r,a,o)}(this._posData,this._colData,this._vertexCount,d,e,u,p,2),0,0);else{const t=g.context.createImageData(o,l);if(e){const i=t.data;for(let t=0,n=i.length;t<n;t+=4){i[t]=e[0];i[t+1]=e[1];i[t+2]=e[2];i[t+3]=255}}for(let e=0,i=this._vertexCount;e<i;e+=3)drawTriangle(t,d,e,e+1,e+2,e,e+1,e+2);g.context.putImageData(t,2,2)}return{canvas:g.canvas,offsetX:n-2*h,offsetY:s-2*c,scaleX:h,scaleY:c}}isModifyingCurrentTransform(){return!0}getPattern(t,e,i,n){applyBoundingBox(t,this._bbox);const s=new Float32Array(2);if(n===Tt)Util.singularValueDecompose2dScale(getCurrentTransform(t),s);else if(this.matrix){Util.singularValueDecompose2dScale(this.matrix,s);const[t,i]=s;Util.singularValueDecompose2dScale(e.baseTransform,s);s[0]*=t;s[1]*=i}else Util.singularValueDecompose2dScale(e.baseTransform,s);const r=this._createMeshCanvas(s,n===Tt?null:this._background,e.canvasFactory);if(n!==Tt){t.setTransform(...e.baseTransform);this.matrix&&t.transform(...this.matrix)}t.translate(r.offsetX,r.offsetY);t.scale(r.scaleX,r.scaleY);const a=t.createPattern(r.canvas,"no-repeat");e.canvasFactory.destroy(r);return a}}class DummyShadingPattern extends BaseShadingPattern{getPattern(){return"hotpink"}}const _t=1,kt=2;class TilingPattern{static MAX_PATTERN_SIZE=3e3;constructor(t,e,i,n){this.color=t[1];this.operatorList=t[2];this.matrix=t[3];this.bbox=t[4];this.xstep=t[5];this.ystep=t[6];this.paintType=t[7];this.tilingType=t[8];this.needsIsolation=t[9]??!0;this.ctx=e;this.canvasGraphicsFactory=i;this.baseTransform=n;this.patternBaseMatrix=this.matrix?Util.transform(n,this.matrix):n}canSkipPatternCanvas([t,e,i,n]){const[s,r,a,o]=this.bbox,l=Math.abs(this.xstep),h=Math.abs(this.ystep);if(t>l+1e-6||e>h+1e-6)return null;const c=Math.floor((i-a)/l)+1,d=Math.ceil((i+t-s)/l)-1,u=Math.floor((n-o)/h)+1,p=Math.ceil((n+e-r)/h)-1;return d<=c&&p<=u?[c,u]:null}updatePatternDims(t,e){const i=Util.inverseTransform(this.patternBaseMatrix),n=[t[0],t[1]],s=[t[2],t[3]];Util.applyTransform(n,i);Util.applyTransform(s,i);e[0]=Math.abs(s[0]-n[0]);e[1]=Math.abs(s[1]-n[1]);e[2]=Math.min(n[0],s[0]);e[3]=Math.min(n[1],s[1])}_renderTileCanvas(t,e,i,n){const[s,r,a,o]=this.bbox,l=t.canvasFactory.create(i.size,n.size),h=l.context,c=this.canvasGraphicsFactory.createCanvasGraphics(h,e);c.groupLevel=t.groupLevel;this.setFillAndStrokeStyleToContext(c,this.paintType,this.color);h.translate(-i.scale*s,-n.scale*r);c.transform(0,i.scale,0,0,n.scale,0,0);h.save();c.dependencyTracker?.save();this.clipBbox(c,s,r,a,o);c.baseTransform=getCurrentTransform(c.ctx);c.executeOperatorList(this.operatorList);c.endDrawing();c.dependencyTracker?.restore();h.restore();return l}_getCombinedScales(){const t=new Float32Array(2);Util.singularValueDecompose2dScale(this.matrix,t);const[e,i]=t;Util.singularValueDecompose2dScale(this.baseTransform,t);return[e*t[0],i*t[1]]}drawPattern(t,e,i=!1,[n,s],r){const[a,o,l,h]=this.bbox,c=t.dependencyTracker;c&&(t.dependencyTracker=new CanvasNestedDependencyTracker(c,r));t.save();i?t.ctx.clip(e,"evenodd"):t.ctx.clip(e);t.ctx.setTransform(...this.patternBaseMatrix);t.ctx.translate(n*this.xstep,s*this.ystep);if(this.needsIsolation||1!==t.ctx.globalAlpha||"source-over"!==t.ctx.globalCompositeOperation||t.inSMaskMode){const e=l-a,i=h-o,[n,s]=this._getCombinedScales(),c=this.getSizeAndScale(e,this.ctx.canvas.width,n),d=this.getSizeAndScale(i,this.ctx.canvas.height,s),u=this._renderTileCanvas(t,r,c,d);t.ctx.drawImage(u.canvas,a,o,e,i);t.canvasFactory.destroy(u)}else{this.setFillAndStrokeStyleToContext(t,this.paintType,this.color);this.clipBbox(t,a,o,l,h);t.baseTransformStack.push(t.baseTransform);t.baseTransform=getCurrentTransform(t.ctx);t.executeOperatorList(this.operatorList);t.baseTransform=t.baseTransformStack.pop()}t.restore();c&&(t.dependencyTracker=c)}createPatternCanvas(t,e){const[i,n,s,r]=this.bbox,a=s-i,o=r-n;let{xstep:l,ystep:h}=this;l=Math.abs(l);h=Math.abs(h);info("TilingType: "+this.tilingType);const[c,d]=this._getCombinedScales();let u=a,p=o,g=!1,m=!1;Math.ceil(l*c)>=Math.ceil(a*c)?u=l:g=!0;Math.ceil(h*d)>=Math.ceil(o*d)?p=h:m=!0;const f=this.getSizeAndScale(u,this.ctx.canvas.width,c),b=this.getSizeAndScale(p,this.ctx.canvas.height,d),y=this._renderTileCanvas(t,e,f,b);if(g||m){const e=y.canvas;g&&(u=l);m&&(p=h);const s=this.getSizeAndScale(u,this.ctx.canvas.width,c),r=this.getSizeAndScale(p,this.ctx.canvas.height,d),f=s.size,b=r.size,v=t.canvasFactory.create(f,b),w=v.context,A=g?Math.floor(a/l):0,x=m?Math.floor(o/h):0;for(let t=0;t<=A;t++)for(let i=0;i<=x;i++)w.drawImage(e,f*t,b*i,f,b,0,0,f,b);t.canvasFactory.destroy(y);return{canvas:v.canvas,canvasEntry:v,scaleX:s.scale,scaleY:r.scale,offsetX:i,offsetY:n}}return{canvas:y.canvas,canvasEntry:y,scaleX:f.scale,scaleY:b.scale,offsetX:i,offsetY:n}}getSizeAndScale(t,e,i){const n=Math.max(TilingPattern.MAX_PATTERN_SIZE,e);let s=Math.ceil(t*i);s>=n?s=n:i=s/t;return{scale:i,size:s}}clipBbox(t,e,i,n,s){const r=n-e,a=s-i,o=new Path2D;o.rect(e,i,r,a);Util.axialAlignedBoundingBox([e,i,n,s],getCurrentTransform(t.ctx),t.current.minMax);t.ctx.clip(o);t.current.updateClipFromPath()}setFillAndStrokeStyleToContext(t,e,i){const n=t.ctx,s=t.current;s.patternFill=s.patternStroke=!1;switch(e){case _t:const{fillStyle:t,strokeStyle:r}=this.ctx;n.fillStyle=s.fillColor=t;n.strokeStyle=s.strokeColor=r;break;case kt:n.fillStyle=n.strokeStyle=i;s.fillColor=s.strokeColor=i;break;default:throw new FormatError(`Unsupported paint type: ${e}`)}}isModifyingCurrentTransform(){return!1}getPattern(t,e,i,n,s){const r=n!==Tt?Util.transform(i,this.patternBaseMatrix):i,a=this.createPatternCanvas(e,s);let o=new DOMMatrix(r);o=o.translate(a.offsetX,a.offsetY);o=o.scale(1/a.scaleX,1/a.scaleY);const l=t.createPattern(a.canvas,"repeat");e.canvasFactory.destroy(a.canvasEntry);l.setTransform(o);return l}}const Dt=16,Pt=new Float32Array(2);function mirrorContextOperations(t,e){if(t._removeMirroring)throw new Error("Context is already forwarding operations.");const i=new Map;for(const n of["save","restore","rotate","scale","translate","transform","setTransform","resetTransform","clip","moveTo","lineTo","bezierCurveTo","quadraticCurveTo","arc","arcTo","ellipse","rect","roundRect","closePath","beginPath"]){const s=t[n];if("function"==typeof s&&"function"==typeof e[n]){i.set(n,s);t[n]=function(...t){e[n](...t);return s.apply(this,t)}}}t._removeMirroring=()=>{for(const[e,n]of i)t[e]=n;delete t._removeMirroring}}function drawImageAtIntegerCoords(t,e,i,n,s,r,a,o,l,h){const[c,d,u,p,g,m]=getCurrentTransform(t);if(0===d&&0===u){const f=a*c+g,b=Math.round(f),y=o*p+m,v=Math.round(y),w=(a+l)*c+g,A=Math.abs(Math.round(w)-b)||1,x=(o+h)*p+m,C=Math.abs(Math.round(x)-v)||1;t.setTransform(Math.sign(c),0,0,Math.sign(p),b,v);t.drawImage(e,i,n,s,r,0,0,A,C);t.setTransform(c,d,u,p,g,m);return[A,C]}if(0===c&&0===p){const f=o*u+g,b=Math.round(f),y=a*d+m,v=Math.round(y),w=(o+h)*u+g,A=Math.abs(Math.round(w)-b)||1,x=(a+l)*d+m,C=Math.abs(Math.round(x)-v)||1;t.setTransform(0,Math.sign(d),Math.sign(u),0,b,v);t.drawImage(e,i,n,s,r,0,0,C,A);t.setTransform(c,d,u,p,g,m);return[C,A]}t.drawImage(e,i,n,s,r,a,o,l,h);return[Math.hypot(c,d)*l,Math.hypot(u,p)*h]}class CanvasExtraState{alphaIsShape=!1;fontSize=0;fontSizeScale=1;textMatrix=null;textMatrixScale=1;fontMatrix=n;leading=0;x=0;y=0;lineX=0;lineY=0;charSpacing=0;wordSpacing=0;textHScale=1;textRenderingMode=v;textRise=0;fillColor="#000000";strokeColor="#000000";tilingPatternDims=null;patternFill=!1;patternStroke=!1;fillAlpha=1;strokeAlpha=1;lineWidth=1;activeSMask=null;transferMaps="none";minMax=i.slice();constructor(t,e){this.clipBox=new Float32Array([0,0,t,e])}clone(){const t=Object.create(this);t.clipBox=this.clipBox.slice();t.minMax=this.minMax.slice();t.tilingPatternDims=this.tilingPatternDims?.slice();return t}getPathBoundingBox(t=Et,e=null){const i=this.minMax.slice();if(t===St){e||unreachable("Stroke bounding box must include transform.");Util.singularValueDecompose2dScale(e,Pt);const t=Pt[0]*this.lineWidth/2,n=Pt[1]*this.lineWidth/2;i[0]-=t;i[1]-=n;i[2]+=t;i[3]+=n}return i}updateClipFromPath(){const t=Util.intersect(this.clipBox,this.getPathBoundingBox());this.startNewPathAndClipBox(t||[0,0,0,0])}isEmptyClip(){return this.minMax[0]===1/0}startNewPathAndClipBox(t){this.clipBox.set(t,0);this.minMax.set(i,0)}getClippedPathBoundingBox(t=Et,e=null){return Util.intersect(this.clipBox,this.getPathBoundingBox(t,e))}}function putBinaryImageData(t,e){const{width:i,height:n,kind:s}=e,r=n%Dt,a=(n-r)/Dt,o=0===r?a:a+1,l=t.createImageData(i,Dt);let h=0;const c=e.data,d=l.data;let u;if(s===S.GRAYSCALE_1BPP)for(u=0;u<o;u++){({srcPos:h}=convertBlackAndWhiteToRGBA({src:c,srcPos:h,dest:d,width:i,height:u<a?Dt:r}));t.putImageData(l,0,u*Dt)}else if(s===S.RGBA_32BPP){let e=0,n=i*Dt*4;for(u=0;u<a;u++){d.set(c.subarray(h,h+n));h+=n;t.putImageData(l,0,e);e+=Dt}if(u<o){n=i*r*4;d.set(c.subarray(h,h+n));t.putImageData(l,0,e)}}else{if(s!==S.RGB_24BPP)throw new Error(`bad image kind: ${s}`);for(u=0;u<o;u++){({srcPos:h}=convertRGBToRGBA({src:c,srcPos:h,dest:new Uint32Array(d.buffer),width:i,height:u<a?Dt:r}));t.putImageData(l,0,u*Dt)}}}function putBinaryImageMask(t,e){if(e.bitmap){t.drawImage(e.bitmap,0,0);return}const{width:i,height:n}=e,s=n%Dt,r=(n-s)/Dt,a=0===s?r:r+1,o=t.createImageData(i,Dt);let l=0;const h=e.data,c=o.data;for(let e=0;e<a;e++){({srcPos:l}=convertBlackAndWhiteToRGBA({src:h,srcPos:l,dest:c,width:i,height:e<r?Dt:s,nonBlackColor:0}));t.putImageData(o,0,e*Dt)}}function copyCtxState(t,e){const i=["strokeStyle","fillStyle","fillRule","globalAlpha","lineWidth","lineCap","lineJoin","miterLimit","globalCompositeOperation","font","filter"];for(const n of i)void 0!==t[n]&&(e[n]=t[n]);if(void 0!==t.setLineDash){e.setLineDash(t.getLineDash());e.lineDashOffset=t.lineDashOffset}}function resetCtxToDefault(t){t.strokeStyle=t.fillStyle="#000000";t.fillRule="nonzero";t.globalAlpha=1;t.lineWidth=1;t.lineCap="butt";t.lineJoin="miter";t.miterLimit=10;t.globalCompositeOperation="source-over";t.font="10px sans-serif";if(void 0!==t.setLineDash){t.setLineDash([]);t.lineDashOffset=0}const{filter:e}=t;"none"!==e&&""!==e&&(t.filter="none")}function getImageSmoothingEnabled(t,e){if(e)return!0;Util.singularValueDecompose2dScale(t,Pt);const i=Math.fround(OutputScale.pixelRatio*PixelsPerInch.PDF_TO_CSS_UNITS);return Pt[0]<=i&&Pt[1]<=i}const Mt=["butt","round","square"],It=["miter","round","bevel"],Ft={},Ot={};class CanvasGraphics{static#ns=null;#ss=0;#rs=0;#as=null;#os=null;#ls=null;#hs=null;#cs=1;#ds;#us=null;#ps=[];constructor(t,e,i,n,s,{optionalContentConfig:r,markedContentStack:a=null},o,l,h,c){this.ctx=t;this.current=new CanvasExtraState(this.ctx.canvas.width,this.ctx.canvas.height);this.stateStack=[];this.pendingClip=null;this.pendingEOFill=!1;this.commonObjs=e;this.objs=i;this.canvasFactory=n;this.filterFactory=s;this.groupStack=[];this.baseTransform=null;this.baseTransformStack=[];this.groupLevel=0;this.smaskStack=[];this.tempSMask=null;this.smaskGroupCanvases=[];this.smaskPreparedEntry=null;this.smaskPreparedFor=null;this.smaskPreparedOffsetX=0;this.smaskPreparedOffsetY=0;this.smaskPreparedOOBAlpha=null;this.suspendedCtx=null;this.contentVisible=!0;this.markedContentStack=a||[];this.optionalContentConfig=r;this.cachedPatterns=new Map;this.annotationCanvasMap=o;this.viewportScale=1;this.outputScaleX=1;this.outputScaleY=1;this.pageColors=l;this._cachedScaleForStroking=[-1,0];this._cachedGetSinglePixelWidth=null;this._cachedBitmapsMap=new Map;this.dependencyTracker=h??null;this.imagesTracker=c??null}getObject(t,e,i=null){if("string"==typeof e){this.dependencyTracker?.recordNamedDependency(t,e);return e.startsWith("g_")?this.commonObjs.get(e):this.objs.get(e)}return i}beginDrawing({transform:t,viewport:e,transparency:i=!1,background:n=null}){const s=this.ctx.canvas.width,r=this.ctx.canvas.height,a=this.ctx.fillStyle;this.ctx.fillStyle=n||"#ffffff";this.ctx.fillRect(0,0,s,r);this.ctx.fillStyle=a;if(i){const t=this.transparentCanvasEntry=this.canvasFactory.create(s,r);this.compositeCtx=this.ctx;({canvas:this.transparentCanvas,context:this.ctx}=t);this.ctx.save();this.ctx.transform(...getCurrentTransform(this.compositeCtx))}this.ctx.save();resetCtxToDefault(this.ctx);if(t){this.ctx.transform(...t);this.outputScaleX=t[0];this.outputScaleY=t[3]}this.ctx.transform(...e.transform);this.viewportScale=e.scale;this.baseTransform=getCurrentTransform(this.ctx)}executeOperatorList(t,e,i,n,s){const r=t.argsArray,a=t.fnArray;let o=e||0;const l=r.length;if(l===o)return o;const h=l-o>10&&"function"==typeof i,c=h?Date.now()+15:0;let d=0;const u=this.commonObjs,p=this.objs;let g,m;for(;;){if(void 0!==n){if(o===n.nextBreakPoint){n.breakIt(o,i);return o}if(n.shouldSkip(o)){if(++o===l)return o;continue}}if(!s||s(o)){g=a[o];m=r[o]??null;if(g!==F.dependency)null===m?this[g](o):this[g](o,...m);else for(const t of m){this.dependencyTracker?.recordNamedData(t,o);const e=t.startsWith("g_")?u:p;if(!e.has(t)){e.get(t,i);return o}}}o++;if(o===l)return o;if(h&&++d>10){if(Date.now()>c){i();return o}d=0}}}#gs(){for(;this.stateStack.length||this.inSMaskMode;)this.restore();this.current.activeSMask=null;this.ctx.restore();if(this.transparentCanvas){this.ctx=this.compositeCtx;this.ctx.save();this.ctx.setTransform(1,0,0,1,0,0);this.ctx.drawImage(this.transparentCanvas,0,0);this.ctx.restore();this.canvasFactory.destroy(this.transparentCanvasEntry);this.transparentCanvas=null;this.transparentCanvasEntry=null}}endDrawing(){this.#gs();for(const t of this.smaskGroupCanvases)this.canvasFactory.destroy(t);this.smaskGroupCanvases.length=0;this._clearPreparedSMask();this.tempSMask=null;this.smaskStack.length=0;for(const t of this.#ps)this.#ms(t);this.#ps.length=0;this.#as=null;this.#os=null;this.#ls=null;this.#hs=null;this.#cs=1;this.#us=null;this.#rs=0;this.#ss=0;this.cachedPatterns.clear();for(const t of this._cachedBitmapsMap.values()){for(const e of t.values())"undefined"!=typeof HTMLCanvasElement&&e instanceof HTMLCanvasElement&&(e.width=e.height=0);t.clear()}this._cachedBitmapsMap.clear();this.#fs()}#fs(){if(this.pageColors){const t=this.filterFactory.addHCMFilter(this.pageColors.foreground,this.pageColors.background);if("none"!==t){const e=this.ctx.filter;this.ctx.filter=t;this.ctx.drawImage(this.ctx.canvas,0,0);this.ctx.filter=e}}}_scaleImage(t,e){const i=t.width??t.displayWidth,n=t.height??t.displayHeight,s=[];let r=Math.max(Math.hypot(e[0],e[1]),1),a=Math.max(Math.hypot(e[2],e[3]),1),o=i,l=n;for(;r>2&&o>1||a>2&&l>1;){let t=o,e=l;if(r>2&&o>1){t=Math.ceil(o/2);r/=o/t}if(a>2&&l>1){e=Math.ceil(l/2);a/=l/e}s.push({newWidth:t,newHeight:e});o=t;l=e}if(0===s.length)return{img:t,paintWidth:i,paintHeight:n,tmpCanvas:null};if(1===s.length){const{newWidth:e,newHeight:r}=s[0],a=this.canvasFactory.create(e,r);a.context.drawImage(t,0,0,i,n,0,0,e,r);return{img:a.canvas,paintWidth:e,paintHeight:r,tmpCanvas:a}}let h=this.canvasFactory.create(1,1),c=this.canvasFactory.create(1,1),d=i,u=n,p=t;for(const{newWidth:t,newHeight:e}of s){this.canvasFactory.reset(c,t,e);c.context.drawImage(p,0,0,d,u,0,0,t,e);[h,c]=[c,h];p=h.canvas;d=t;u=e}this.canvasFactory.destroy(c);return{img:h.canvas,paintWidth:d,paintHeight:u,tmpCanvas:h}}_createMaskCanvas(t,e){const n=this.ctx,{width:s,height:r}=e,a=this.current.fillColor,o=this.current.patternFill,l=getCurrentTransform(n);let h,c,d,u;if((e.bitmap||e.data)&&e.count>1){const i=e.bitmap||e.data.buffer;c=JSON.stringify(o?l:[l.slice(0,4),a]);h=this._cachedBitmapsMap.getOrInsertComputed(i,makeMap);const n=h.get(c);if(n&&!o){const e=Math.round(Math.min(l[0],l[2])+l[4]),i=Math.round(Math.min(l[1],l[3])+l[5]);this.dependencyTracker?.recordDependencies(t,ct);return{canvas:n,offsetX:e,offsetY:i}}d=n}if(!d){u=this.canvasFactory.create(s,r);putBinaryImageMask(u.context,e)}let p=Util.transform(l,[1/s,0,0,-1/r,0,0]);p=Util.transform(p,[1,0,0,1,0,-r]);const g=i.slice();Util.axialAlignedBoundingBox([0,0,s,r],p,g);const[m,f,b,y]=g,v=Math.round(b-m)||1,w=Math.round(y-f)||1,A=this.canvasFactory.create(v,w),x=A.context,C=m,E=f;x.translate(-C,-E);x.transform(...p);let S=null;if(!d){const t=this._scaleImage(u.canvas,getCurrentTransformInverse(x));d=t.img;S=t.tmpCanvas;if(d!==u.canvas){this.canvasFactory.destroy(u);u=null}if(h&&o){h.set(c,d);S=null;u=null}}x.imageSmoothingEnabled=getImageSmoothingEnabled(getCurrentTransform(x),e.interpolate);drawImageAtIntegerCoords(x,d,0,0,d.width,d.height,0,0,s,r);S&&this.canvasFactory.destroy(S);u&&this.canvasFactory.destroy(u);x.globalCompositeOperation="source-in";const T=Util.transform(getCurrentTransformInverse(x),[1,0,0,1,-C,-E]);x.fillStyle=o?a.getPattern(n,this,T,Et,t):a;x.fillRect(0,0,s,r);h&&!o&&h.set(c,A.canvas);this.dependencyTracker?.recordDependencies(t,ct);return{canvas:A.canvas,canvasEntry:h&&!o?null:A,offsetX:Math.round(C),offsetY:Math.round(E)}}setLineWidth(t,e){this.dependencyTracker?.recordSimpleData("lineWidth",t);e!==this.current.lineWidth&&(this._cachedScaleForStroking[0]=-1);this.current.lineWidth=e;this.ctx.lineWidth=e}setLineCap(t,e){this.dependencyTracker?.recordSimpleData("lineCap",t);this.ctx.lineCap=Mt[e]}setLineJoin(t,e){this.dependencyTracker?.recordSimpleData("lineJoin",t);this.ctx.lineJoin=It[e]}setMiterLimit(t,e){this.dependencyTracker?.recordSimpleData("miterLimit",t);this.ctx.miterLimit=e}setDash(t,e,i){this.dependencyTracker?.recordSimpleData("dash",t);const n=this.ctx;if(void 0!==n.setLineDash){n.setLineDash(e);n.lineDashOffset=i}}setRenderingIntent(t,e){}setFlatness(t,e){}setGState(t,e){for(const[i,n]of e)switch(i){case"LW":this.setLineWidth(t,n);break;case"LC":this.setLineCap(t,n);break;case"LJ":this.setLineJoin(t,n);break;case"ML":this.setMiterLimit(t,n);break;case"D":this.setDash(t,n[0],n[1]);break;case"RI":this.setRenderingIntent(t,n);break;case"FL":this.setFlatness(t,n);break;case"Font":this.setFont(t,n[0],n[1]);break;case"CA":this.dependencyTracker?.recordSimpleData("strokeAlpha",t);this.current.strokeAlpha=n;break;case"ca":this.dependencyTracker?.recordSimpleData("fillAlpha",t);this.ctx.globalAlpha=this.current.fillAlpha=n;break;case"BM":this.dependencyTracker?.recordSimpleData("globalCompositeOperation",t);this.ctx.globalCompositeOperation=n;break;case"SMask":this.dependencyTracker?.recordSimpleData("SMask",t);this.current.activeSMask=n?this.tempSMask:null;this.current.activeSMask&&(this.current.activeSMask.blendMode=this.ctx.globalCompositeOperation);this.tempSMask=null;this.checkSMaskState(t);break;case"TR":this.dependencyTracker?.recordSimpleData("filter",t);this.ctx.filter=this.current.transferMaps=this.filterFactory.addFilter(n)}}get inSMaskMode(){return!!this.suspendedCtx}_clearPreparedSMask(){if(this.smaskPreparedEntry){this.canvasFactory.destroy(this.smaskPreparedEntry);this.smaskPreparedEntry=null}this.smaskPreparedFor=null;this.smaskPreparedOffsetX=0;this.smaskPreparedOffsetY=0;this.smaskPreparedOOBAlpha=null}_ensurePreparedSMask(t){if(t!==this.smaskPreparedFor){this._clearPreparedSMask();this._prepareSMaskCanvas(t)}}checkSMaskState(t){const e=this.inSMaskMode;this.current.activeSMask&&!e?this.beginSMaskMode(t):!this.current.activeSMask&&e?this.endSMaskMode():this.current.activeSMask&&e&&this._ensurePreparedSMask(this.current.activeSMask)}_prepareSMaskCanvas(t){const{canvas:e,subtype:i,backdrop:n,transferMap:s}=t,r="Luminosity"===i||"Alpha"===i&&s;if(!(r||"Luminosity"===i&&n)){this.smaskPreparedFor=t;return}let a;if("Luminosity"===i&&n){const[t,e,i]=getRGBA(n),r=Math.round(.3*t+.59*e+.11*i);a=s?.[r]??r}else a=s?.[0]??0;const{width:o,height:l}=this.ctx.canvas,h=o*l<4*(e.width*e.height),c=r?{url:"Alpha"===i?this.filterFactory.addAlphaFilter(s):this.filterFactory.addLuminosityFilter(s),subtype:i,transferMap:s}:null,d="Luminosity"===i?n:null;let u,p,g;if(h){u=this._bakeSMaskCanvas(e,t.offsetX,t.offsetY,o,l,d,c);p=0;g=0}else{u=this._bakeSMaskCanvas(e,0,0,e.width,e.height,d,c);p=t.offsetX;g=t.offsetY}this.smaskPreparedEntry=u;this.smaskPreparedFor=t;this.smaskPreparedOffsetX=p;this.smaskPreparedOffsetY=g;this.smaskPreparedOOBAlpha=h||0===a?null:a}_bakeSMaskCanvas(t,e,i,n,s,r,a){r||a||unreachable("_bakeSMaskCanvas with neither backdrop nor filter");const o=this.canvasFactory.create(n,s),l=o.context;l.drawImage(t,e,i);if(r){l.globalCompositeOperation="destination-atop";l.fillStyle=r;l.fillRect(0,0,n,s)}if(!a)return o;const h=this.canvasFactory.create(n,s),c=h.context;c.filter=a.url;const d=FeatureTest.isCanvasFilterSupported&&"none"!==c.filter&&""!==c.filter;c.drawImage(o.canvas,0,0);FeatureTest.isCanvasFilterSupported&&(c.filter="none");if(!d){const t=c.getImageData(0,0,n,s),{data:e}=t,{transferMap:i}=a;if("Luminosity"===a.subtype)for(let t=0,n=e.length;t<n;t+=4){const n=.3*e[t]+.59*e[t+1]+.11*e[t+2]+.5|0;e[t]=e[t+1]=e[t+2]=0;e[t+3]=i?.[n]??n}else for(let t=3,n=e.length;t<n;t+=4)e[t]=i[e[t]];c.putImageData(t,0,0)}this.canvasFactory.destroy(o);return h}beginSMaskMode(t){if(this.inSMaskMode)throw new Error("beginSMaskMode called while already in smask mode");const{width:e,height:i}=this.ctx.canvas,n=this.canvasFactory.create(e,i);this.smaskScratchCanvas=n;this.suspendedCtx=this.ctx;const s=this.ctx=n.context;s.setTransform(this.suspendedCtx.getTransform());copyCtxState(this.suspendedCtx,s);mirrorContextOperations(s,this.suspendedCtx);this._ensurePreparedSMask(this.current.activeSMask);this.setGState(t,[["BM","source-over"]])}endSMaskMode(){if(!this.inSMaskMode)throw new Error("endSMaskMode called while not in smask mode");this.ctx._removeMirroring();copyCtxState(this.ctx,this.suspendedCtx);this.ctx=this.suspendedCtx;this.suspendedCtx=null;this.canvasFactory.destroy(this.smaskScratchCanvas);this.smaskScratchCanvas=null;this._clearPreparedSMask()}#bs(t,e=null,i=1){const{width:n,height:s}=t,r=e??this.canvasFactory.create(n,s),a=r.context,o=(i=Math.round(255*i)/255)<1;o&&void 0===this.#ds&&(this.#ds=FeatureTest.isCanvasFilterSupported?new Map:"none");let l="none";o&&this.#ds instanceof Map&&(l=this.#ds.getOrInsertComputed(i,()=>this.filterFactory.addKnockoutFilter(i)));if(!o||"none"!==l){if(e){a.save();a.setTransform(1,0,0,1,0,0);a.clearRect(0,0,n,s);a.restore()}a.filter=l;a.drawImage(t,0,0);a.filter="none";return r}const h=t.getContext("2d",{willReadFrequently:!0}).getImageData(0,0,n,s),c=a.createImageData(n,s),d=h.data,u=c.data,p=i>0?1/i:1e6;for(let t=3,e=d.length;t<e;t+=4)u[t]=Math.min(Math.round(d[t]*p),255);a.putImageData(c,0,0);return r}#ys(t,e,i,n){let s=t?.[e]??null;if(s&&(s.canvas.width!==i||s.canvas.height!==n)){this.canvasFactory.destroy(s);s=null}if(!s){s=this.canvasFactory.create(i,n);t&&(t[e]=s);return s}const r=s.context;r.save();r.setTransform(1,0,0,1,0,0);r.clearRect(0,0,i,n);r.restore();return s}#vs(t,e,i={}){const{backdropCanvas:n=null,destTransform:s=[1,0,0,1,0,0],backdropOffset:r=[0,0],reuseMaskEntry:a=null,poolMeta:o=null,sourceAlpha:l=1,sourceFilter:h="none",knockoutAlpha:c=1}=i,{width:d,height:u}=e,p=this.#bs(e,a,c),g=t.globalCompositeOperation;t.save();t.setTransform(...s);t.globalAlpha=1;FeatureTest.isCanvasFilterSupported&&(t.filter="none");t.globalCompositeOperation="destination-out";t.drawImage(p.canvas,0,0);if(n){const[e,i]=r,s=this.#ys(o,"knockoutBackdropEntry",d,u),a=s.context;a.drawImage(n,e,i,d,u,0,0,d,u);a.globalCompositeOperation="destination-in";a.drawImage(p.canvas,0,0);a.globalCompositeOperation="source-over";t.globalCompositeOperation="destination-over";t.drawImage(s.canvas,0,0);o||this.canvasFactory.destroy(s)}t.globalCompositeOperation=g;t.globalAlpha=l;FeatureTest.isCanvasFilterSupported&&(t.filter=h??"none");t.drawImage(e,0,0);t.restore();a||this.canvasFactory.destroy(p)}#ws(t=1){if(0===this.#ss||this.#rs>0||!this.contentVisible)return!1;this.#rs++;this.#cs=t;const e=this.#ps.at(-1),{canvas:i}=this.ctx,n=this.#ys(e,"knockoutTempEntry",i.width,i.height);this.#as=n;const s=n.context;s.save();s.setTransform(this.ctx.getTransform());copyCtxState(this.ctx,s);this.#hs=s.globalCompositeOperation;s.globalCompositeOperation="source-over";mirrorContextOperations(s,this.ctx);this.#us=e;this.#os=this.ctx;this.#ls=this.suspendedCtx;this.ctx=s;this.inSMaskMode&&(this.suspendedCtx=s);return!0}#As(t){if(!t)return;const e=this.#as,i=this.#os,n=this.#ls,s=e.context;this.#as=null;this.#os=null;this.#ls=null;this.inSMaskMode&&this.suspendedCtx===s&&this.ctx!==s&&this.endSMaskMode();this.inSMaskMode&&(this.suspendedCtx=n);this.ctx._removeMirroring();this.ctx.globalCompositeOperation=this.#hs;this.#hs=null;copyCtxState(this.ctx,i);this.ctx=i;const r=this.#us;this.#us=null;const a=this.#cs;this.#cs=1;try{this.#vs(n??i,e.canvas,{backdropCanvas:r?.backdropCtx?.canvas??null,backdropOffset:r?.backdropCtx?[r.offsetX,r.offsetY]:[0,0],reuseMaskEntry:r?.knockoutMaskEntry??null,poolMeta:r,knockoutAlpha:a})}finally{s.restore();this.#rs--;r||this.canvasFactory.destroy(e)}}compose(t){if(!this.current.activeSMask)return;t=t?[Math.floor(t[0]),Math.floor(t[1]),Math.ceil(t[2]),Math.ceil(t[3])]:[0,0,this.ctx.canvas.width,this.ctx.canvas.height];const e=this.current.activeSMask,i=this.suspendedCtx,n=this.#rs>0&&i===this.ctx;this.composeSMask(n?null:i,e,this.ctx,t);if(!n){this.ctx.save();this.ctx.setTransform(1,0,0,1,0,0);this.ctx.clearRect(0,0,this.ctx.canvas.width,this.ctx.canvas.height);this.ctx.restore()}}composeSMask(t,e,i,n){const s=n[0],r=n[1],a=n[2]-s,o=n[3]-r;if(0===a||0===o)return;const l=this.smaskPreparedEntry;if(l){let t=s,n=r,h=a,c=o;const d=this.smaskPreparedOOBAlpha,u=null!==d;if(u){t=Math.max(s,e.offsetX);n=Math.max(r,e.offsetY);h=Math.min(s+a,e.offsetX+e.canvas.width)-t;c=Math.min(r+o,e.offsetY+e.canvas.height)-n}if(h>0&&c>0){const e=t-this.smaskPreparedOffsetX,s=n-this.smaskPreparedOffsetY;i.save();i.globalAlpha=1;i.setTransform(1,0,0,1,0,0);const r=new Path2D;r.rect(t,n,h,c);i.clip(r);i.globalCompositeOperation="destination-in";i.drawImage(l.canvas,e,s,h,c,t,n,h,c);i.restore()}u&&d<255&&this._applySMaskOOBAlpha(i,s,r,a,o,t,n,t+h,n+c,d)}else this.genericComposeSMask(e,i,a,o,s,r);if(t){t.save();t.globalAlpha=1;t.globalCompositeOperation=e.blendMode||"source-over";t.setTransform(1,0,0,1,0,0);t.drawImage(i.canvas,s,r,a,o,s,r,a,o);t.restore()}}_applySMaskOOBAlpha(t,e,i,n,s,r,a,o,l,h){const c=r<o&&a<l;if(c&&r===e&&a===i&&o===e+n&&l===i+s)return;const d=new Path2D;d.rect(e,i,n,s);c&&d.rect(r,a,o-r,l-a);t.save();t.globalAlpha=h/255;t.setTransform(1,0,0,1,0,0);t.clip(d,"evenodd");t.globalCompositeOperation="destination-in";t.fillStyle="#000000";t.fillRect(e,i,n,s);t.restore()}genericComposeSMask(t,e,i,n,s,r){const{context:a,offsetX:o,offsetY:l}=t;e.save();e.globalAlpha=1;e.setTransform(1,0,0,1,0,0);const h=new Path2D;h.rect(s,r,i,n);e.clip(h);e.globalCompositeOperation="destination-in";e.drawImage(a.canvas,s-o,r-l,i,n,s,r,i,n);e.restore()}save(t){this.inSMaskMode&&copyCtxState(this.ctx,this.suspendedCtx);this.ctx.save();const e=this.current;this.stateStack.push(e);this.current=e.clone();this.dependencyTracker?.save(t)}restore(t){this.dependencyTracker?.restore(t);if(0!==this.stateStack.length){this.current=this.stateStack.pop();this.ctx.restore();if(this.inSMaskMode){copyCtxState(this.suspendedCtx,this.ctx);this.ctx.setTransform(this.suspendedCtx.getTransform())}this.checkSMaskState(t);this.pendingClip=null;this._cachedScaleForStroking[0]=-1;this._cachedGetSinglePixelWidth=null}else this.inSMaskMode&&this.endSMaskMode()}transform(t,e,i,n,s,r,a){this.dependencyTracker?.recordIncrementalData("transform",t);this.ctx.transform(e,i,n,s,r,a);this._cachedScaleForStroking[0]=-1;this._cachedGetSinglePixelWidth=null}constructPath(t,e,i,n){let[s]=i;if(!n){s||=i[0]=new Path2D;e!==F.stroke&&e!==F.closeStroke&&(this.current.tilingPatternDims=null);this[e](t,s);return}if(null!==this.dependencyTracker){const i=e===F.stroke?this.current.lineWidth/2:0;this.dependencyTracker.resetBBox(t).recordBBox(t,this.ctx,n[0]-i,n[2]+i,n[1]-i,n[3]+i).recordDependencies(t,["transform"])}s instanceof Path2D||(s=i[0]=makePathFromDrawOPS(s));Util.axialAlignedBoundingBox(n,getCurrentTransform(this.ctx),this.current.minMax);const r=this.current.tilingPatternDims;if(r&&e!==F.stroke&&e!==F.closeStroke&&this.current.fillColor instanceof TilingPattern){const t=Util.intersect(this.current.clipBox,this.current.minMax);t?this.current.fillColor.updatePatternDims(t,r):this.current.tilingPatternDims=null}this[e](t,s);this._pathStartIdx=t}closePath(t){this.ctx.closePath()}stroke(t,e,i=!0){const n=i&&this.#ws(this.current.strokeAlpha),s=this.ctx,r=this.current.strokeColor;s.globalAlpha=this.current.strokeAlpha;if(this.contentVisible)if("object"==typeof r&&r?.getPattern){const i=r.isModifyingCurrentTransform()?s.getTransform():null;s.save();s.strokeStyle=r.getPattern(s,this,getCurrentTransformInverse(s),St,t);if(i){const t=new Path2D;t.addPath(e,s.getTransform().invertSelf().multiplySelf(i));e=t}this.rescaleAndStroke(e,!1);s.restore()}else this.rescaleAndStroke(e,!0);this.dependencyTracker?.recordDependencies(t,st);i&&this.consumePath(t,e,this.current.getClippedPathBoundingBox(St,getCurrentTransform(this.ctx)));s.globalAlpha=this.current.fillAlpha;this.#As(n)}closeStroke(t,e){this.stroke(t,e)}fill(t,e,i=!0){const n=i&&this.#ws(this.current.fillAlpha),s=this.ctx,r=this.current.fillColor,a=this.current.patternFill;let o=!1;const l=this.current.getClippedPathBoundingBox();this.dependencyTracker?.recordDependencies(t,rt);if(a){const a=this.current.tilingPatternDims,h=a&&r.canSkipPatternCanvas(a);if(h){r.drawPattern(this,e,this.pendingEOFill,h,t);this.pendingEOFill=!1;i&&this.consumePath(t,e,l);this.current.tilingPatternDims=null;this.#As(n);return}const c=r.isModifyingCurrentTransform()?s.getTransform():null;this.dependencyTracker?.save(t);s.save();s.fillStyle=r.getPattern(s,this,getCurrentTransformInverse(s),Et,t);if(c){const t=new Path2D;t.addPath(e,s.getTransform().invertSelf().multiplySelf(c));e=t}o=!0}if(this.contentVisible&&null!==l)if(this.pendingEOFill){s.fill(e,"evenodd");this.pendingEOFill=!1}else s.fill(e);if(o){s.restore();this.dependencyTracker?.restore(t)}i&&this.consumePath(t,e,l);this.#As(n)}eoFill(t,e){this.pendingEOFill=!0;this.fill(t,e)}fillStroke(t,e){const i=this.#ws(Math.min(this.current.fillAlpha,this.current.strokeAlpha));this.fill(t,e,!1);this.stroke(t,e,!1);this.consumePath(t,e);this.#As(i)}eoFillStroke(t,e){this.pendingEOFill=!0;this.fillStroke(t,e)}closeFillStroke(t,e){this.fillStroke(t,e)}closeEOFillStroke(t,e){this.pendingEOFill=!0;this.fillStroke(t,e)}endPath(t,e){this.consumePath(t,e)}rawFillPath(t,e){const i=this.#ws(this.current.fillAlpha);this.ctx.fill(e);this.dependencyTracker?.recordDependencies(t,ot).recordOperation(t);this.#As(i)}clip(t){this.dependencyTracker?.recordFutureForcedDependency("clipMode",t);this.pendingClip=Ft}eoClip(t){this.dependencyTracker?.recordFutureForcedDependency("clipMode",t);this.pendingClip=Ot}beginText(t){this.current.textMatrix=null;this.current.textMatrixScale=1;this.current.x=this.current.lineX=0;this.current.y=this.current.lineY=0;this.dependencyTracker?.recordOpenMarker(t).resetIncrementalData("sameLineText").resetIncrementalData("moveText",t)}endText(t){const e=this.pendingTextPaths,i=this.ctx;if(this.dependencyTracker){const{dependencyTracker:i}=this;void 0!==e&&i.recordFutureForcedDependency("textClip",i.getOpenMarker()).recordFutureForcedDependency("textClip",t);i.recordCloseMarker(t)}if(void 0!==e){const t=new Path2D,n=i.getTransform().invertSelf();for(const{transform:i,x:s,y:r,fontSize:a,path:o}of e)o&&t.addPath(o,new DOMMatrix(i).preMultiplySelf(n).translate(s,r).scale(a,-a));i.clip(t)}delete this.pendingTextPaths}setCharSpacing(t,e){this.dependencyTracker?.recordSimpleData("charSpacing",t);this.current.charSpacing=e}setWordSpacing(t,e){this.dependencyTracker?.recordSimpleData("wordSpacing",t);this.current.wordSpacing=e}setHScale(t,e){this.dependencyTracker?.recordSimpleData("hScale",t);this.current.textHScale=e/100}setLeading(t,e){this.dependencyTracker?.recordSimpleData("leading",t);this.current.leading=-e}setFont(t,e,i){this.dependencyTracker?.recordSimpleData("font",t).recordSimpleDataFromNamed("fontObj",e,t);const s=this.commonObjs.get(e),r=this.current;if(!s)throw new Error(`Can't find font for ${e}`);r.fontMatrix=s.fontMatrix||n;0!==r.fontMatrix[0]&&0!==r.fontMatrix[3]||warn("Invalid font matrix for font "+e);if(i<0){i=-i;r.fontDirection=-1}else r.fontDirection=1;this.current.font=s;this.current.fontSize=i;if(s.isType3Font)return;const a=s.loadedName||"sans-serif",o=s.systemFontInfo?.css||`"${a}", ${s.fallbackName}`;let l="normal";s.black?l="900":s.bold&&(l="bold");const h=s.italic?"italic":"normal",c=MathClamp(i,16,100);this.current.fontSizeScale=i/c;this.ctx.font=`${h} ${l} ${c}px ${o}`}setTextRenderingMode(t,e){this.dependencyTracker?.recordSimpleData("textRenderingMode",t);this.current.textRenderingMode=e}setTextRise(t,e){this.dependencyTracker?.recordSimpleData("textRise",t);this.current.textRise=e}moveText(t,e,i){this.dependencyTracker?.resetIncrementalData("sameLineText").recordIncrementalData("moveText",t);this.current.x=this.current.lineX+=e;this.current.y=this.current.lineY+=i}setLeadingMoveText(t,e,i){this.setLeading(t,-i);this.moveText(t,e,i)}setTextMatrix(t,e){this.dependencyTracker?.resetIncrementalData("sameLineText").recordSimpleData("textMatrix",t);const{current:i}=this;i.textMatrix=e;i.textMatrixScale=Math.hypot(e[0],e[1]);i.x=i.lineX=0;i.y=i.lineY=0}nextLine(t){this.moveText(t,0,this.current.leading);this.dependencyTracker?.recordIncrementalData("moveText",this.dependencyTracker.getSimpleIndex("leading")??t)}#xs(t,e,i){const n=new Path2D;n.addPath(t,new DOMMatrix(i).invertSelf().multiplySelf(e));return n}paintChar(t,e,i,n,s,r){const a=this.ctx,o=this.current,l=o.font,h=o.textRenderingMode,c=o.fontSize/o.fontSizeScale,d=h&C,u=!!(h&E),p=o.patternFill&&!l.missingFile,g=o.patternStroke&&!l.missingFile;let m;(l.disableFontFace||u||p||g)&&!l.missingFile&&(m=l.getPathGenerator(this.commonObjs,e));if(m&&(l.disableFontFace||p||g)){a.save();a.translate(i,n);a.scale(c,-c);this.dependencyTracker?.recordCharacterBBox(t,a,l);let e;if(d===v||d===A)if(s){e=a.getTransform();a.setTransform(...s);const t=this.#xs(m,e,s);a.fill(t)}else a.fill(m);if(d===w||d===A)if(r){e||=a.getTransform();a.setTransform(...r);const{a:t,b:i,c:n,d:s}=e,o=Util.inverseTransform(r),l=Util.transform([t,i,n,s,0,0],o);Util.singularValueDecompose2dScale(l,Pt);a.lineWidth*=Math.max(Pt[0],Pt[1])/c;a.stroke(this.#xs(m,e,r))}else{a.lineWidth/=c;a.stroke(m)}a.restore()}else{if(d===v||d===A){a.fillText(e,i,n);this.dependencyTracker?.recordCharacterBBox(t,a,l,c,i,n,()=>a.measureText(e))}if(d===w||d===A){this.dependencyTracker&&this.dependencyTracker?.recordCharacterBBox(t,a,l,c,i,n,()=>a.measureText(e)).recordDependencies(t,st);a.strokeText(e,i,n)}}if(u){(this.pendingTextPaths||=[]).push({transform:getCurrentTransform(a),x:i,y:n,fontSize:c,path:m});this.dependencyTracker?.recordCharacterBBox(t,a,l,c,i,n)}}get isFontSubpixelAAEnabled(){const t=this.canvasFactory.create(10,10),e=t.context;e.scale(1.5,1);e.fillText("I",0,10);const i=e.getImageData(0,0,10,10).data;this.canvasFactory.destroy(t);let n=!1;for(let t=3;t<i.length;t+=4)if(i[t]>0&&i[t]<255){n=!0;break}return shadow(this,"isFontSubpixelAAEnabled",n)}showText(t,e){if(this.dependencyTracker){this.dependencyTracker.recordDependencies(t,lt).resetBBox(t);this.current.textRenderingMode&E&&this.dependencyTracker.recordFutureForcedDependency("textClip",t).inheritPendingDependenciesAsFutureForcedDependencies()}const i=this.current,n=i.font;if(n.isType3Font){const n=this.#ws(i.fillAlpha);this.showType3Text(t,e);this.dependencyTracker?.recordShowTextOperation(t);this.#As(n);return}const s=i.fontSize;if(0===s){this.dependencyTracker?.recordOperation(t);return}const r=this.#ws(i.fillAlpha),a=this.ctx,o=i.fontSizeScale,l=i.charSpacing,h=i.wordSpacing,c=i.fontDirection,d=i.textHScale*c,u=e.length,p=n.vertical,g=p?1:-1,m=n.defaultVMetrics,f=s*i.fontMatrix[0],b=i.textRenderingMode===v&&!n.disableFontFace&&!i.patternFill;a.save();i.textMatrix&&a.transform(...i.textMatrix);a.translate(i.x,i.y+i.textRise);c>0?a.scale(d,-1):a.scale(d,1);let y,x;const S=i.textRenderingMode&C,T=S===v||S===A,_=S===w||S===A;let k=i.lineWidth;const D=i.textMatrixScale;0===D||0===k?_&&(k=this.getSinglePixelWidth()):k/=D;if(1!==o){a.scale(o,o);k/=o}a.lineWidth=k;if(T&&i.patternFill){a.save();const e=i.fillColor.getPattern(a,this,getCurrentTransformInverse(a),Et,t);y=getCurrentTransform(a);a.restore();a.fillStyle=e}if(_&&i.patternStroke){a.save();const e=i.strokeColor.getPattern(a,this,getCurrentTransformInverse(a),St,t);x=getCurrentTransform(a);a.restore();a.strokeStyle=e}if(n.isInvalidPDFjsFont){const n=[];let s=0;for(const t of e){n.push(t.unicode);s+=t.width}const o=n.join("");a.fillText(o,0,0);if(null!==this.dependencyTracker){const e=a.measureText(o);this.dependencyTracker.recordBBox(t,this.ctx,-e.actualBoundingBoxLeft,e.actualBoundingBoxRight,-e.actualBoundingBoxAscent,e.actualBoundingBoxDescent).recordShowTextOperation(t)}i.x+=s*f*d;a.restore();this.compose();this.#As(r);return}let P,M=0;for(P=0;P<u;++P){const i=e[P];if("number"==typeof i){M+=g*i*s/1e3;continue}let r=!1;const d=(i.isSpace?h:0)+l,u=i.fontChar,v=i.accent;let w,A,C,E=i.width;if(p){const t=i.vmetric||m,e=-(i.vmetric?t[1]:.5*E)*f,n=t[2]*f;E=t?-t[0]:E;w=e/o;A=(M+n)/o}else{w=M/o;A=0}if(n.remeasure&&E>0){C=a.measureText(u);const t=1e3*C.width/s*o;if(E<t&&this.isFontSubpixelAAEnabled){const e=E/t;r=!0;a.save();a.scale(e,1);w/=e}else E!==t&&(w+=(E-t)/2e3*s/o)}if(this.contentVisible&&(i.isInFont||n.missingFile))if(b&&!v){a.fillText(u,w,A);this.dependencyTracker?.recordCharacterBBox(t,a,C?{bbox:null}:n,s/o,w,A,()=>C??a.measureText(u))}else{this.paintChar(t,u,w,A,y,x);if(v){const e=w+s*v.offset.x/o,i=A-s*v.offset.y/o;this.paintChar(t,v.fontChar,e,i,y,x)}}M+=p?E*f-d*c:E*f+d*c;r&&a.restore()}p?i.y-=M:i.x+=M*d;a.restore();this.compose();this.dependencyTracker?.recordShowTextOperation(t);this.#As(r)}showType3Text(t,e){const i=this.ctx,s=this.current,r=s.font,a=s.fontSize,o=s.fontDirection,l=r.vertical?1:-1,h=s.charSpacing,c=s.wordSpacing,d=s.textHScale*o,u=s.fontMatrix||n,p=e.length;let g,m,f,b;if(s.textRenderingMode===x||0===a)return;this._cachedScaleForStroking[0]=-1;this._cachedGetSinglePixelWidth=null;i.save();s.textMatrix&&i.transform(...s.textMatrix);i.translate(s.x,s.y+s.textRise);i.scale(d,o);const y=this.dependencyTracker;this.dependencyTracker=y?new CanvasNestedDependencyTracker(y,t):null;for(g=0;g<p;++g){m=e[g];if("number"==typeof m){b=l*m*a/1e3;this.ctx.translate(b,0);s.x+=b*d;continue}const t=(m.isSpace?c:0)+h,n=r.charProcOperatorList.get(m.operatorListId);if(n){if(this.contentVisible){this.save();if(n.fnArray[0]===F.setCharWidth){s.fillAlpha=s.strokeAlpha=1;i.globalAlpha=1}i.scale(a,a);i.transform(...u);this.executeOperatorList(n);this.restore()}}else warn(`Type3 character "${m.operatorListId}" is not available.`);const o=[m.width,0];Util.applyTransform(o,u);f=o[0]*a+t;i.translate(f,0);s.x+=f*d}i.restore();y&&(this.dependencyTracker=y)}setCharWidth(t,e,i){}setCharWidthAndBounds(t,e,i,n,s,r,a){const o=new Path2D;o.rect(n,s,r-n,a-s);this.ctx.clip(o);this.dependencyTracker?.recordBBox(t,this.ctx,n,r,s,a).recordClipBox(t,this.ctx,n,r,s,a);this.endPath(t)}getColorN_Pattern(t,e){let i;if("TilingPattern"===e[0]){const t=this.baseTransform||getCurrentTransform(this.ctx),n={createCanvasGraphics:(t,e)=>new CanvasGraphics(t,this.commonObjs,this.objs,this.canvasFactory,this.filterFactory,{optionalContentConfig:this.optionalContentConfig,markedContentStack:this.markedContentStack},void 0,void 0,this.dependencyTracker?new CanvasNestedDependencyTracker(this.dependencyTracker,e,!0):null)};i=new TilingPattern(e,this.ctx,n,t)}else i=this._getPattern(t,e[1],e[2]);return i}setStrokeColorN(t,...e){this.dependencyTracker?.recordSimpleData("strokeColor",t);this.current.strokeColor=this.getColorN_Pattern(t,e);this.current.patternStroke=!0}setFillColorN(t,...e){this.dependencyTracker?.recordSimpleData("fillColor",t);const i=this.current.fillColor=this.getColorN_Pattern(t,e);this.current.patternFill=!0;this.current.tilingPatternDims=i instanceof TilingPattern?[0,0,0,0]:null}setStrokeRGBColor(t,e){this.dependencyTracker?.recordSimpleData("strokeColor",t);this.ctx.strokeStyle=this.current.strokeColor=e;this.current.patternStroke=!1}setStrokeTransparent(t){this.dependencyTracker?.recordSimpleData("strokeColor",t);this.ctx.strokeStyle=this.current.strokeColor="transparent";this.current.patternStroke=!1}setFillRGBColor(t,e){this.dependencyTracker?.recordSimpleData("fillColor",t);this.ctx.fillStyle=this.current.fillColor=e;this.current.patternFill=!1;this.current.tilingPatternDims=null}setFillTransparent(t){this.dependencyTracker?.recordSimpleData("fillColor",t);this.ctx.fillStyle=this.current.fillColor="transparent";this.current.patternFill=!1;this.current.tilingPatternDims=null}_getPattern(t,e,i=null){const n=this.cachedPatterns.getOrInsertComputed(e,()=>function getShadingPattern(t){switch(t[0]){case"RadialAxial":return new RadialAxialShadingPattern(t);case"Mesh":return new MeshShadingPattern(t);case"Dummy":return new DummyShadingPattern}throw new Error(`Unknown IR type: ${t[0]}`)}(this.getObject(t,e)));i&&(n.matrix=i);return n}shadingFill(t,e){if(!this.contentVisible)return;const n=this.#ws(this.current.fillAlpha),s=this.ctx;this.save(t);const r=this._getPattern(t,e);s.fillStyle=r.getPattern(s,this,getCurrentTransformInverse(s),Tt,t);const a=getCurrentTransformInverse(s);if(a){const{width:t,height:e}=s.canvas,n=i.slice();Util.axialAlignedBoundingBox([0,0,t,e],a,n);const[r,o,l,h]=n;this.ctx.fillRect(r,o,l-r,h-o)}else this.ctx.fillRect(-1e10,-1e10,2e10,2e10);this.dependencyTracker?.resetBBox(t).recordFullPageBBox(t).recordDependencies(t,ht).recordDependencies(t,rt).recordOperation(t);this.compose(this.current.getClippedPathBoundingBox());this.restore(t);this.#As(n)}beginInlineImage(){unreachable("Should not call beginInlineImage")}beginImageData(){unreachable("Should not call beginImageData")}paintFormXObjectBegin(t,e,i){if(this.contentVisible){this.save(t);this.baseTransformStack.push(this.baseTransform);e&&this.transform(t,...e);this.baseTransform=getCurrentTransform(this.ctx);if(i){Util.axialAlignedBoundingBox(i,this.baseTransform,this.current.minMax);const[e,n,s,r]=i,a=new Path2D;a.rect(e,n,s-e,r-n);this.ctx.clip(a);this.dependencyTracker?.recordClipBox(t,this.ctx,e,s,n,r);this.endPath(t)}}}paintFormXObjectEnd(t){if(this.contentVisible){this.restore(t);this.baseTransform=this.baseTransformStack.pop()}}beginGroup(t,e){if(!this.contentVisible)return;this.save(t);const{inSMaskMode:n}=this;if(n){this.endSMaskMode();this.current.activeSMask=null}const s=this.ctx;if(!(e.needsIsolation&&(e.isolated||e.hasSoftMask)||e.knockout||e.isGray||0!==this.#ss||1!==s.globalAlpha||"source-over"!==s.globalCompositeOperation||n)){if(e.bbox){let t=new Path2D;const[i,n,r,a]=e.bbox;t.rect(i,n,r-i,a-n);if(e.matrix){const i=new Path2D;i.addPath(t,new DOMMatrix(e.matrix));t=i}s.clip(t)}this.groupStack.push(null);this.#ps.push(null);this.groupLevel++;return}e.isolated||e.knockout||0!==this.#ss||info("TODO: Fully support non-isolated non-knockout groups.");const r=getCurrentTransform(s);e.matrix&&s.transform(...e.matrix);const a=[0,0,s.canvas.width,s.canvas.height];let o;if(e.bbox){o=i.slice();Util.axialAlignedBoundingBox(e.bbox,getCurrentTransform(s),o);o=Util.intersect(o,a)||[0,0,0,0]}else o=a;const l=Math.floor(o[0]),h=Math.floor(o[1]),c=Math.max(Math.ceil(o[2])-l,1),d=Math.max(Math.ceil(o[3])-h,1);this.current.startNewPathAndClipBox([0,0,c,d]);const u=this.canvasFactory.create(c,d);e.smask&&this.smaskGroupCanvases.push(u);const p=u.context,g=e.knockout&&!e.isolated?s:null,m=!e.isolated&&!e.knockout&&!e.smask&&e.needsIsolation&&this.#ss>0,f=e.knockout?this.canvasFactory.create(c,d):null,b=this.#ss;e.knockout?this.#ss++:this.#ss=0;p.translate(-l,-h);p.transform(...r);const y=!e.isolated&&!e.smask&&e.needsIsolation,v=y&&!n&&0===b&&!e.knockout&&!e.isGray&&e.hasSoftMask&&1===s.globalAlpha&&"source-over"===s.globalCompositeOperation&&"none"===this.current.transferMaps;if(y&&(n||v)){p.save();p.setTransform(1,0,0,1,0,0);p.drawImage(s.canvas,-l,-h);p.restore()}if(e.bbox){let t=new Path2D;const[i,n,s,r]=e.bbox;t.rect(i,n,s-i,r-n);if(e.matrix){const i=new Path2D;i.addPath(t,new DOMMatrix(e.matrix));t=i}p.clip(t)}e.smask&&this.smaskStack.push({canvas:u.canvas,context:p,offsetX:l,offsetY:h,subtype:e.smask.subtype,backdrop:e.smask.backdrop,transferMap:e.smask.transferMap||null});if(!e.smask||this.dependencyTracker){s.setTransform(1,0,0,1,0,0);s.translate(l,h);s.save()}copyCtxState(s,p);this.ctx=p;this.dependencyTracker?.inheritSimpleDataAsFutureForcedDependencies(["fillAlpha","strokeAlpha","globalCompositeOperation"]).pushBaseTransform(s);this.setGState(t,[["BM","source-over"],["ca",1],["CA",1],["TR",null]]);this.groupStack.push(s);this.#ps.push({backdropCtx:g,savedKnockoutLevel:b,offsetX:l,offsetY:h,hasInnerBackdrop:m,replaceBackdrop:v,knockoutMaskEntry:f,knockoutTempEntry:null,knockoutBackdropEntry:null});this.groupLevel++}endGroup(t,e){if(!this.contentVisible)return;this.groupLevel--;const n=this.ctx,s=this.groupStack.pop(),r=this.#ps.pop();r&&(this.#ss=r.savedKnockoutLevel);if(null!==s){e.isGray&&this.#Cs(n);this.ctx=s;this.ctx.imageSmoothingEnabled=!1;this.dependencyTracker?.popBaseTransform();if(e.smask){this.tempSMask=this.smaskStack.pop();this.restore(t);if(this.dependencyTracker){this.ctx.restore();this.inSMaskMode&&this.ctx.setTransform(this.suspendedCtx.getTransform())}this.#ms(r)}else{this.ctx.restore();const e=getCurrentTransform(this.ctx);this.restore(t);this.ctx.save();this.ctx.setTransform(...e);const a=i.slice();Util.axialAlignedBoundingBox([0,0,n.canvas.width,n.canvas.height],e,a);const o=this.#ps.at(-1);if(this.#ss>0)if(r.hasInnerBackdrop){const{width:t,height:i}=n.canvas,a=this.canvasFactory.create(t,i),o=a.context;o.drawImage(s.canvas,r.offsetX,r.offsetY,t,i,0,0,t,i);o.globalCompositeOperation="source-over";o.drawImage(n.canvas,0,0);const l=this.#bs(n.canvas);o.globalCompositeOperation="destination-in";o.drawImage(l.canvas,0,0);const h=this.ctx.globalCompositeOperation,c=this.ctx.globalAlpha,d=this.ctx.filter;this.ctx.save();this.ctx.setTransform(...e);this.ctx.globalAlpha=1;FeatureTest.isCanvasFilterSupported&&(this.ctx.filter="none");this.ctx.globalCompositeOperation="destination-out";this.ctx.drawImage(l.canvas,0,0);this.ctx.globalCompositeOperation=h;this.ctx.globalAlpha=c;FeatureTest.isCanvasFilterSupported&&(this.ctx.filter=d??"none");this.ctx.drawImage(a.canvas,0,0);this.ctx.restore();this.canvasFactory.destroy(l);this.canvasFactory.destroy(a)}else{const t=o?.backdropCtx??null;this.#vs(this.ctx,n.canvas,{backdropCanvas:t?.canvas??null,destTransform:e,backdropOffset:t?[o.offsetX+r.offsetX,o.offsetY+r.offsetY]:[0,0],sourceAlpha:this.ctx.globalAlpha,sourceFilter:this.ctx.filter})}else{if(r.replaceBackdrop){const t=new Path2D;t.rect(0,0,n.canvas.width,n.canvas.height);this.ctx.clip(t);this.ctx.globalCompositeOperation="copy"}this.ctx.drawImage(n.canvas,0,0)}this.ctx.restore();this.canvasFactory.destroy({canvas:n.canvas,context:n});this.#ms(r);this.compose(a)}}else this.restore(t)}#Cs(t){const{canvas:e}=t,{width:i,height:n}=e;if(FeatureTest.isCanvasFilterSupported){t.save();t.setTransform(1,0,0,1,0,0);t.filter="grayscale(1)";t.globalAlpha=1;t.globalCompositeOperation="copy";t.drawImage(e,0,0);t.restore();return}const s=t.getImageData(0,0,i,n),{data:r}=s;for(let t=0,e=r.length;t<e;t+=4){const e=.2126*r[t]+.7152*r[t+1]+.0722*r[t+2]+.5|0;r[t]=r[t+1]=r[t+2]=e}t.putImageData(s,0,0)}#ms(t){if(t){if(t.knockoutMaskEntry){this.canvasFactory.destroy(t.knockoutMaskEntry);t.knockoutMaskEntry=null}if(t.knockoutTempEntry){this.canvasFactory.destroy(t.knockoutTempEntry);t.knockoutTempEntry=null}if(t.knockoutBackdropEntry){this.canvasFactory.destroy(t.knockoutBackdropEntry);t.knockoutBackdropEntry=null}}}beginAnnotation(t,e,i,n,s,r,a){this.#gs();resetCtxToDefault(this.ctx);this.ctx.save();this.save(t);this.baseTransform&&this.ctx.setTransform(...this.baseTransform);if(i){const s=i[2]-i[0],o=i[3]-i[1];if(r&&this.annotationCanvasMap){(n=n.slice())[4]-=i[0];n[5]-=i[1];Util.singularValueDecompose2dScale(getCurrentTransform(this.ctx),Pt);const{viewportScale:t}=this,r=Math.ceil(s*this.outputScaleX*t),l=Math.ceil(o*this.outputScaleY*t);this.annotationCanvas=this.canvasFactory.create(r,l);const{canvas:h,context:c}=this.annotationCanvas;if(a){const t=this.annotationCanvasMap.getOrInsertComputed(e,makeArr);h.setAttribute("data-canvas-name",a);const i=t.findIndex(t=>t.getAttribute("data-canvas-name")===a);-1===i?t.push(h):t[i]=h}else this.annotationCanvasMap.set(e,h);this.annotationCanvas.savedCtx=this.ctx;this.ctx=c;this.ctx.save();this.ctx.setTransform(Pt[0],0,0,-Pt[1],0,o*Pt[1]);resetCtxToDefault(this.ctx)}else{resetCtxToDefault(this.ctx);this.endPath(t);const e=new Path2D;e.rect(i[0],i[1],s,o);this.ctx.clip(e)}}this.current=new CanvasExtraState(this.ctx.canvas.width,this.ctx.canvas.height);this.baseTransformStack.push(this.baseTransform);this.transform(t,...n);this.transform(t,...s);this.baseTransform=getCurrentTransform(this.ctx)}endAnnotation(t){if(this.annotationCanvas){this.ctx.restore();this.#fs();this.ctx=this.annotationCanvas.savedCtx;delete this.annotationCanvas.savedCtx;delete this.annotationCanvas}this.baseTransform=this.baseTransformStack.pop()}paintImageMaskXObject(t,e){if(!this.contentVisible)return;const i=e.count;(e=this.getObject(t,e.data,e)).count=i;const n=this.#ws(this.current.fillAlpha),s=this.ctx,r=this._createMaskCanvas(t,e),a=r.canvas;s.save();s.setTransform(1,0,0,1,0,0);s.drawImage(a,r.offsetX,r.offsetY);this.dependencyTracker?.resetBBox(t).recordBBox(t,this.ctx,r.offsetX,r.offsetX+a.width,r.offsetY,r.offsetY+a.height).recordOperation(t);s.restore();r.canvasEntry&&this.canvasFactory.destroy(r.canvasEntry);this.compose();this.#As(n)}paintImageMaskXObjectRepeat(t,e,i,n=0,s=0,r,a){if(!this.contentVisible)return;e=this.getObject(t,e.data,e);const o=this.#ws(this.current.fillAlpha),l=this.ctx;l.save();const h=getCurrentTransform(l);l.transform(i,n,s,r,0,0);const c=this._createMaskCanvas(t,e);l.setTransform(1,0,0,1,c.offsetX-h[4],c.offsetY-h[5]);this.dependencyTracker?.resetBBox(t);for(let e=0,o=a.length;e<o;e+=2){const o=Util.transform(h,[i,n,s,r,a[e],a[e+1]]);l.drawImage(c.canvas,o[4],o[5]);this.dependencyTracker?.recordBBox(t,this.ctx,o[4],o[4]+c.canvas.width,o[5],o[5]+c.canvas.height)}l.restore();c.canvasEntry&&this.canvasFactory.destroy(c.canvasEntry);this.compose();this.dependencyTracker?.recordOperation(t);this.#As(o)}paintImageMaskXObjectGroup(t,e){if(!this.contentVisible)return;const i=this.#ws(this.current.fillAlpha),n=this.ctx,s=this.current.fillColor,r=this.current.patternFill;this.dependencyTracker?.resetBBox(t).recordDependencies(t,ct);for(const i of e){const{data:e,width:a,height:o,transform:l}=i,h=this.canvasFactory.create(a,o),c=h.context;c.save();putBinaryImageMask(c,this.getObject(t,e,i));c.globalCompositeOperation="source-in";c.fillStyle=r?s.getPattern(c,this,getCurrentTransformInverse(n),Et,t):s;c.fillRect(0,0,a,o);c.restore();n.save();n.transform(...l);n.scale(1,-1);drawImageAtIntegerCoords(n,h.canvas,0,0,a,o,0,-1,1,1);this.canvasFactory.destroy(h);this.dependencyTracker?.recordBBox(t,n,0,a,0,o);n.restore()}this.compose();this.dependencyTracker?.recordOperation(t);this.#As(i)}paintImageXObject(t,e){if(!this.contentVisible)return;const i=this.getObject(t,e);i?this.paintInlineImageXObject(t,i):warn("Dependent image isn't ready yet")}paintImageXObjectRepeat(t,e,i,n,s){if(!this.contentVisible)return;const r=this.getObject(t,e);if(!r){warn("Dependent image isn't ready yet");return}const a=r.width,o=r.height,l=[];for(let t=0,e=s.length;t<e;t+=2)l.push({transform:[i,0,0,n,s[t],s[t+1]],x:0,y:0,w:a,h:o});this.paintInlineImageXObjectGroup(t,r,l)}applyTransferMapsToCanvas(t){if("none"!==this.current.transferMaps){t.filter=this.current.transferMaps;t.drawImage(t.canvas,0,0);t.filter="none"}return t.canvas}applyTransferMapsToBitmap(t){if("none"===this.current.transferMaps)return{img:t.bitmap,canvasEntry:null};const{bitmap:e,width:i,height:n}=t,s=this.canvasFactory.create(i,n),r=s.context;r.filter=this.current.transferMaps;r.drawImage(e,0,0);r.filter="none";return{img:s.canvas,canvasEntry:s}}paintInlineImageXObject(t,e){if(!this.contentVisible)return;const i=e.width,n=e.height,s=this.#ws(this.current.fillAlpha),r=this.ctx;this.save(t);const{filter:a}=r;"none"!==a&&""!==a&&(r.filter="none");r.scale(1/i,-1/n);let o,l=null;if(e.bitmap){const t=this.applyTransferMapsToBitmap(e);o=t.img;l=t.canvasEntry}else{const t=this.canvasFactory.create(i,n);putBinaryImageData(t.context,e);o=this.applyTransferMapsToCanvas(t.context);l=t}const h=this._scaleImage(o,getCurrentTransformInverse(r));r.imageSmoothingEnabled=getImageSmoothingEnabled(getCurrentTransform(r),e.interpolate);if(this.dependencyTracker){this.dependencyTracker.resetBBox(t).recordBBox(t,r,0,i,-n,0).recordDependencies(t,at).recordOperation(t);this.imagesTracker?.record(r,i,n,this.dependencyTracker.clipBox)}drawImageAtIntegerCoords(r,h.img,0,0,h.paintWidth,h.paintHeight,0,-n,i,n);h.tmpCanvas&&this.canvasFactory.destroy(h.tmpCanvas);l&&this.canvasFactory.destroy(l);this.compose();this.restore(t);this.#As(s)}paintInlineImageXObjectGroup(t,e,i){if(!this.contentVisible)return;const n=this.#ws(this.current.fillAlpha),s=this.ctx;let r,a=null;if(e.bitmap)r=e.bitmap;else{const t=e.width,i=e.height,n=this.canvasFactory.create(t,i);putBinaryImageData(n.context,e);r=this.applyTransferMapsToCanvas(n.context);a=n}this.dependencyTracker?.resetBBox(t);for(const e of i){s.save();s.transform(...e.transform);s.scale(1,-1);drawImageAtIntegerCoords(s,r,e.x,e.y,e.w,e.h,0,-1,1,1);this.dependencyTracker?.recordBBox(t,s,0,1,-1,0);s.restore()}a&&this.canvasFactory.destroy(a);this.dependencyTracker?.recordOperation(t);this.compose();this.#As(n)}paintSolidColorImageMask(t){if(!this.contentVisible)return;const e=this.#ws(this.current.fillAlpha);this.dependencyTracker?.resetBBox(t).recordBBox(t,this.ctx,0,1,0,1).recordDependencies(t,rt).recordOperation(t);this.ctx.fillRect(0,0,1,1);this.compose();this.#As(e)}markPoint(t,e){}markPointProps(t,e,i){}beginMarkedContent(t,e){this.dependencyTracker?.beginMarkedContent(t);this.markedContentStack.push({visible:!0})}beginMarkedContentProps(t,e,i){this.dependencyTracker?.beginMarkedContent(t);"OC"===e?this.markedContentStack.push({visible:this.optionalContentConfig.isVisible(i)}):this.markedContentStack.push({visible:!0});this.contentVisible=this.isContentVisible()}endMarkedContent(t){this.dependencyTracker?.endMarkedContent(t);this.markedContentStack.pop();this.contentVisible=this.isContentVisible()}beginCompat(t){}endCompat(t){}consumePath(t,e,i){const n=this.current.isEmptyClip();this.pendingClip&&this.current.updateClipFromPath();this.pendingClip||this.compose(i);const s=this.ctx;if(this.pendingClip){n||(this.pendingClip===Ot?s.clip(e,"evenodd"):s.clip(e));this.pendingClip=null;this.dependencyTracker?.bboxToClipBoxDropOperation(t).recordFutureForcedDependency("clipPath",t)}else this.dependencyTracker?.recordOperation(t);this.current.startNewPathAndClipBox(this.current.clipBox)}getSinglePixelWidth(){if(!this._cachedGetSinglePixelWidth){const t=getCurrentTransform(this.ctx);if(0===t[1]&&0===t[2])this._cachedGetSinglePixelWidth=1/Math.min(Math.abs(t[0]),Math.abs(t[3]));else{const e=Math.abs(t[0]*t[3]-t[2]*t[1]),i=Math.hypot(t[0],t[2]),n=Math.hypot(t[1],t[3]);this._cachedGetSinglePixelWidth=Math.max(i,n)/e}}return this._cachedGetSinglePixelWidth}getScaleForStroking(){if(-1===this._cachedScaleForStroking[0]){const{lineWidth:t}=this.current,{a:e,b:i,c:n,d:s}=this.ctx.getTransform();let r,a;if(0===i&&0===n){const i=Math.abs(e),n=Math.abs(s);if(i===n)if(0===t)r=a=1/i;else{const e=i*t;r=a=e<1?1/e:1}else if(0===t){r=1/i;a=1/n}else{const e=i*t,s=n*t;r=e<1?1/e:1;a=s<1?1/s:1}}else{const o=Math.abs(e*s-i*n),l=Math.hypot(e,i),h=Math.hypot(n,s);if(0===t){r=h/o;a=l/o}else{const e=t*o;r=h>e?h/e:1;a=l>e?l/e:1}}this._cachedScaleForStroking[0]=r;this._cachedScaleForStroking[1]=a}return this._cachedScaleForStroking}rescaleAndStroke(t,e){const{ctx:i,current:{lineWidth:n}}=this,[s,r]=this.getScaleForStroking();if(s===r){i.lineWidth=(n||1)*s;i.stroke(t);return}const a=CanvasGraphics.#ns??=new DOMMatrix,o=i.getLineDash();e&&i.save();i.scale(s,r);a.a=1/s;a.d=1/r;const l=new Path2D;l.addPath(t,a);if(o.length>0){const t=Math.max(s,r);i.setLineDash(o.map(e=>e/t));i.lineDashOffset/=t}i.lineWidth=n||1;i.stroke(l);e&&i.restore()}isContentVisible(){for(let t=this.markedContentStack.length-1;t>=0;t--)if(!this.markedContentStack[t].visible)return!1;return!0}}for(const t in F)void 0!==CanvasGraphics.prototype[t]&&(CanvasGraphics.prototype[F[t]]=CanvasGraphics.prototype[t]);class BasePDFStream{#Es=null;#Ss=null;_fullReader=null;_rangeReaders=new Set;_source=null;constructor(t,e,i){this._source=t;this.#Es=e;this.#Ss=i}get _progressiveDataLength(){return this._fullReader?._loaded??0}getFullReader(){assert(!this._fullReader,"BasePDFStream.getFullReader can only be called once.");return this._fullReader=new this.#Es(this)}getRangeReader(t,e){if(e<=this._progressiveDataLength)return null;const i=new this.#Ss(this,t,e);this._rangeReaders.add(i);return i}cancelAllRequests(t){this._fullReader?.cancel(t);for(const e of new Set(this._rangeReaders))e.cancel(t)}}class BasePDFStreamReader{onProgress=null;_contentLength=0;_filename=null;_headersCapability=Promise.withResolvers();_isRangeSupported=!1;_isStreamingSupported=!1;_loaded=0;_stream=null;constructor(t){this._stream=t}_callOnProgress(){this.onProgress?.({loaded:this._loaded,total:this._contentLength})}get headersReady(){return this._headersCapability.promise}get filename(){return this._filename}get contentLength(){return this._contentLength}get isRangeSupported(){return this._isRangeSupported}get isStreamingSupported(){return this._isStreamingSupported}async read(){unreachable("Abstract method `read` called")}cancel(t){unreachable("Abstract method `cancel` called")}}class BasePDFStreamRangeReader{_stream=null;constructor(t,e,i){this._stream=t}async read(){unreachable("Abstract method `read` called")}cancel(t){unreachable("Abstract method `cancel` called")}}function createHeaders(t,e){const i=new Headers;if(!t||!e||"object"!=typeof e)return i;for(const t in e){const n=e[t];void 0!==n&&i.append(t,n)}return i}function getResponseOrigin(t){return URL.parse(t)?.origin??null}function validateRangeRequestCapabilities({responseHeaders:t,isHttp:e,rangeChunkSize:i,disableRange:n}){const s={contentLength:0,isRangeSupported:!1},r=parseInt(t.get("Content-Length"),10);if(!Number.isInteger(r))return s;s.contentLength=r;if(r<=2*i)return s;if(n||!e)return s;if("bytes"!==t.get("Accept-Ranges"))return s;"identity"===(t.get("Content-Encoding")||"identity")&&(s.isRangeSupported=!0);return s}function extractFilenameFromHeader(t){const e=t.get("Content-Disposition");if(e){let t=function getFilenameFromContentDispositionHeader(t){let e=!0,i=toParamRegExp("filename\\*","i").exec(t);if(i){i=i[1];let t=rfc2616unquote(i);t=unescape(t);t=rfc5987decode(t);t=rfc2047decode(t);return fixupEncoding(t)}i=function rfc2231getparam(t){const e=[];let i;const n=toParamRegExp("filename\\*((?!0\\d)\\d+)(\\*?)","ig");for(;null!==(i=n.exec(t));){let[,t,n,s]=i;t=parseInt(t,10);if(t in e){if(0===t)break}else e[t]=[n,s]}const s=[];for(let t=0;t<e.length&&t in e;++t){let[i,n]=e[t];n=rfc2616unquote(n);if(i){n=unescape(n);0===t&&(n=rfc5987decode(n))}s.push(n)}return s.join("")}(t);if(i)return fixupEncoding(rfc2047decode(i));i=toParamRegExp("filename","i").exec(t);if(i){i=i[1];let t=rfc2616unquote(i);t=rfc2047decode(t);return fixupEncoding(t)}function toParamRegExp(t,e){return new RegExp("(?:^|;)\\s*"+t+'\\s*=\\s*([^";\\s][^;\\s]*|"(?:[^"\\\\]|\\\\"?)+"?)',e)}function textdecode(t,i){if(t){if(!/^[\x00-\xFF]+$/.test(i))return i;try{const n=new TextDecoder(t,{fatal:!0}),s=stringToBytes(i);i=n.decode(s);e=!1}catch{}}return i}function fixupEncoding(t){if(e&&/[\x80-\xff]/.test(t)){t=textdecode("utf-8",t);e&&(t=textdecode("iso-8859-1",t))}return t}function rfc2616unquote(t){if(t.startsWith('"')){const e=t.slice(1).split('\\"');for(let t=0;t<e.length;++t){const i=e[t].indexOf('"');if(-1!==i){e[t]=e[t].slice(0,i);e.length=t+1}e[t]=e[t].replaceAll(/\\(.)/g,"$1")}t=e.join('"')}return t}function rfc5987decode(t){const e=t.indexOf("'");return-1===e?t:textdecode(t.slice(0,e),t.slice(e+1).replace(/^[^']*'/,""))}function rfc2047decode(t){return!t.startsWith("=?")||/[\x00-\x19\x80-\xff]/.test(t)?t:t.replaceAll(/=\?([\w-]*)\?([QB])\?((?:[^?]|\?(?!=))*)\?=/gi,function(t,e,i,n){if("q"===i||"Q"===i)return textdecode(e,n=(n=n.replaceAll("_"," ")).replaceAll(/=([0-9a-f]{2})/gi,function(t,e){return String.fromCharCode(parseInt(e,16))}));try{n=atob(n)}catch{}return textdecode(e,n)})}return""}(e);if(t.includes("%"))try{t=decodeURIComponent(t)}catch{}if(isPdfFile(t))return t}return null}function createResponseError(t,e){return new ResponseException(`Unexpected server response (${t}) while retrieving PDF "${e.href}".`,t,404===t||0===t&&"file:"===e.protocol)}function ensureResponseOrigin(t,e){if(t!==e)throw new Error(`Expected range response-origin "${t}" to match "${e}".`)}function fetchUrl(t,e,i,n){return fetch(t,{method:"GET",headers:e,signal:n.signal,mode:"cors",credentials:i?"include":"same-origin",redirect:"follow"})}function ensureResponseStatus(t,e){if(200!==t&&206!==t)throw createResponseError(t,e)}function getArrayBuffer(t){if(t instanceof Uint8Array)return t.buffer;if(t instanceof ArrayBuffer)return t;throw new Error(`getArrayBuffer - unexpected data: ${t}`)}class PDFFetchStream extends BasePDFStream{_responseOrigin=null;constructor(t){super(t,PDFFetchStreamReader,PDFFetchStreamRangeReader);const{httpHeaders:e,url:i}=t;assert(/https?:/.test(i.protocol),"PDFFetchStream only supports http(s):// URLs.");this.headers=createHeaders(!0,e)}}class PDFFetchStreamReader extends BasePDFStreamReader{_abortController=new AbortController;_reader=null;constructor(t){super(t);const{disableRange:e,disableStream:i,rangeChunkSize:n,url:s,withCredentials:r}=t._source;this._isStreamingSupported=!i;const a=new Headers(t.headers);fetchUrl(s,a,r,this._abortController).then(i=>{t._responseOrigin=getResponseOrigin(i.url);ensureResponseStatus(i.status,s);this._reader=i.body.getReader();const r=i.headers,{contentLength:a,isRangeSupported:o}=validateRangeRequestCapabilities({responseHeaders:r,isHttp:!0,rangeChunkSize:n,disableRange:e});this._contentLength=a;this._isRangeSupported=o;this._filename=extractFilenameFromHeader(r);!this._isStreamingSupported&&this._isRangeSupported&&this.cancel(new AbortException("Streaming is disabled."));this._headersCapability.resolve()}).catch(this._headersCapability.reject)}async read(){await this._headersCapability.promise;const{value:t,done:e}=await this._reader.read();if(e)return{value:t,done:e};this._loaded+=t.byteLength;this._callOnProgress();return{value:getArrayBuffer(t),done:!1}}cancel(t){this._reader?.cancel(t);this._abortController.abort()}}class PDFFetchStreamRangeReader extends BasePDFStreamRangeReader{_abortController=new AbortController;_readCapability=Promise.withResolvers();_reader=null;constructor(t,e,i){super(t,e,i);const{url:n,withCredentials:s}=t._source,r=new Headers(t.headers);r.append("Range",`bytes=${e}-${i-1}`);fetchUrl(n,r,s,this._abortController).then(e=>{ensureResponseOrigin(getResponseOrigin(e.url),t._responseOrigin);ensureResponseStatus(e.status,n);this._reader=e.body.getReader();this._readCapability.resolve()}).catch(this._readCapability.reject)}async read(){await this._readCapability.promise;const{value:t,done:e}=await this._reader.read();return e?{value:t,done:e}:{value:getArrayBuffer(t),done:!1}}cancel(t){this._reader?.cancel(t);this._abortController.abort()}}function transport_stream_getArrayBuffer(t){return t instanceof Uint8Array&&t.byteLength===t.buffer.byteLength?t.buffer:new Uint8Array(t).buffer}function endRequests(){for(const t of this._requests)t.resolve({value:void 0,done:!0});this._requests.length=0}class PDFDataTransportStream extends BasePDFStream{_progressiveDone=!1;_queuedChunks=[];constructor(t){super(t,PDFDataTransportStreamReader,PDFDataTransportStreamRangeReader);const{pdfDataRangeTransport:e}=t,{initialData:i,progressiveDone:n}=e;if(i?.length>0){const t=transport_stream_getArrayBuffer(i);this._queuedChunks.push(t)}this._progressiveDone=n;e.transportReady(t=>{switch(t.type){case"range":case"progressiveRead":this.#Ts(t.begin,t.chunk);break;case"progressiveDone":this._fullReader?.progressiveDone();this._progressiveDone=!0}})}#Ts(t,e){const i=transport_stream_getArrayBuffer(e);if(void 0===t)this._fullReader?this._fullReader._enqueue(i):this._queuedChunks.push(i);else{const e=this._rangeReaders.keys().find(e=>e._begin===t);assert(e,"#onReceiveData - no `PDFDataTransportStreamRangeReader` instance found.");e._enqueue(i)}}getFullReader(){const t=super.getFullReader();this._queuedChunks=null;return t}getRangeReader(t,e){const i=super.getRangeReader(t,e);if(i){i.onDone=()=>this._rangeReaders.delete(i);this._source.pdfDataRangeTransport.requestDataRange(t,e)}return i}cancelAllRequests(t){super.cancelAllRequests(t);this._source.pdfDataRangeTransport.abort()}}class PDFDataTransportStreamReader extends BasePDFStreamReader{#_s=endRequests.bind(this);_done=!1;_queuedChunks=null;_requests=[];constructor(t){super(t);const{pdfDataRangeTransport:e,disableRange:i,disableStream:n}=t._source,{length:s,contentDispositionFilename:r}=e;this._queuedChunks=t._queuedChunks||[];for(const t of this._queuedChunks)this._loaded+=t.byteLength;this._done=t._progressiveDone;this._contentLength=s;this._isStreamingSupported=!n;this._isRangeSupported=!i;isPdfFile(r)&&(this._filename=r);this._headersCapability.resolve();const a=this._loaded;Promise.resolve().then(()=>{a>0&&this._loaded===a&&this._callOnProgress()})}_enqueue(t){if(!this._done){if(this._requests.length>0){this._requests.shift().resolve({value:t,done:!1})}else this._queuedChunks.push(t);this._loaded+=t.byteLength;this._callOnProgress()}}async read(){if(this._queuedChunks.length>0){return{value:this._queuedChunks.shift(),done:!1}}if(this._done)return{value:void 0,done:!0};const t=Promise.withResolvers();this._requests.push(t);return t.promise}cancel(t){this._done=!0;this.#_s()}progressiveDone(){this._done||=!0;0===this._queuedChunks.length&&this.#_s()}}class PDFDataTransportStreamRangeReader extends BasePDFStreamRangeReader{#_s=endRequests.bind(this);onDone=null;_begin=-1;_done=!1;_queuedChunk=null;_requests=[];constructor(t,e,i){super(t,e,i);this._begin=e}_enqueue(t){if(!this._done){if(0===this._requests.length)this._queuedChunk=t;else{this._requests.shift().resolve({value:t,done:!1});this.#_s()}this._done=!0;this.onDone?.()}}async read(){if(this._queuedChunk){const t=this._queuedChunk;this._queuedChunk=null;return{value:t,done:!1}}if(this._done)return{value:void 0,done:!0};const t=Promise.withResolvers();this._requests.push(t);return t.promise}cancel(t){this._done=!0;this.#_s();this.onDone?.()}}class PDFNetworkStream extends BasePDFStream{#ks=new WeakMap;_responseOrigin=null;constructor(t){super(t,PDFNetworkStreamReader,PDFNetworkStreamRangeReader);const{httpHeaders:e,url:i}=t;this.url=i;this.isHttp=/https?:/.test(i.protocol);this.headers=createHeaders(this.isHttp,e)}_request(t){const e=new XMLHttpRequest,i={validateStatus:null,onHeadersReceived:t.onHeadersReceived,onDone:t.onDone,onError:t.onError,onProgress:t.onProgress};this.#ks.set(e,i);e.open("GET",this.url);e.withCredentials=this._source.withCredentials;for(const[t,i]of this.headers)e.setRequestHeader(t,i);if(this.isHttp&&"begin"in t&&"end"in t){e.setRequestHeader("Range",`bytes=${t.begin}-${t.end-1}`);i.validateStatus=t=>206===t||200===t}else i.validateStatus=t=>200===t;e.responseType="arraybuffer";assert(t.onError,"Expected `onError` callback to be provided.");e.onerror=()=>t.onError(e.status);e.onreadystatechange=this.#Ds.bind(this,e);e.onprogress=this.#Ps.bind(this,e);e.send(null);return e}#Ps(t,e){const i=this.#ks.get(t);i?.onProgress?.(e)}#Ds(t,e){const i=this.#ks.get(t);if(!i)return;if(t.readyState>=2&&i.onHeadersReceived){i.onHeadersReceived();delete i.onHeadersReceived}if(4!==t.readyState)return;if(!this.#ks.has(t))return;this.#ks.delete(t);if(0===t.status&&this.isHttp){i.onError(t.status);return}const n=t.status||200;if(!i.validateStatus(n)){i.onError(t.status);return}const s=function network_getArrayBuffer(t){return"string"!=typeof t?t:stringToBytes(t).buffer}(t.response);if(206===n){const e=t.getResponseHeader("Content-Range");if(/bytes \d+-\d+\/\d+/.test(e))i.onDone(s);else{warn('Missing or invalid "Content-Range" header.');i.onError(0)}}else s?i.onDone(s):i.onError(t.status)}_abortRequest(t){if(this.#ks.has(t)){this.#ks.delete(t);t.abort()}}getRangeReader(t,e){const i=super.getRangeReader(t,e);i&&(i.onClosed=()=>this._rangeReaders.delete(i));return i}}class PDFNetworkStreamReader extends BasePDFStreamReader{#_s=endRequests.bind(this);_cachedChunks=[];_done=!1;_requests=[];_storedError=null;constructor(t){super(t);this._fullRequestXhr=t._request({onHeadersReceived:this.#Ms.bind(this),onDone:this.#Is.bind(this),onError:this.#Fs.bind(this),onProgress:this.#Ps.bind(this)})}#Ms(){const t=this._stream,{disableRange:e,rangeChunkSize:i}=t._source,n=this._fullRequestXhr;t._responseOrigin=getResponseOrigin(n.responseURL);const s=n.getAllResponseHeaders(),r=new Headers(s?function trimHeadersEnd(t){let e=t.length;for(;e>0&&" "!==t[e-1]&&/\s/.test(t[e-1]);)e--;return t.slice(0,e)}(s.trimStart()).split(/[\r\n]+/).map(t=>{const[e,...i]=t.split(": ");return[e,i.join(": ")]}):[]),{contentLength:a,isRangeSupported:o}=validateRangeRequestCapabilities({responseHeaders:r,isHttp:t.isHttp,rangeChunkSize:i,disableRange:e});this._contentLength=a;this._isRangeSupported=o;this._filename=extractFilenameFromHeader(r);this._isRangeSupported&&t._abortRequest(n);this._headersCapability.resolve()}#Is(t){if(this._requests.length>0){this._requests.shift().resolve({value:t,done:!1})}else this._cachedChunks.push(t);this._done=!0;0===this._cachedChunks.length&&this.#_s()}#Fs(t){this._storedError=createResponseError(t,this._stream.url);this._headersCapability.reject(this._storedError);for(const t of this._requests)t.reject(this._storedError);this._requests.length=0;this._cachedChunks.length=0}#Ps(t){this.onProgress?.({loaded:t.loaded,total:t.lengthComputable?t.total:this._contentLength})}async read(){await this._headersCapability.promise;if(this._storedError)throw this._storedError;if(this._cachedChunks.length>0){return{value:this._cachedChunks.shift(),done:!1}}if(this._done)return{value:void 0,done:!0};const t=Promise.withResolvers();this._requests.push(t);return t.promise}cancel(t){this._done=!0;this._headersCapability.reject(t);this.#_s();this._stream._abortRequest(this._fullRequestXhr);this._fullRequestXhr=null}}class PDFNetworkStreamRangeReader extends BasePDFStreamRangeReader{#_s=endRequests.bind(this);onClosed=null;_done=!1;_queuedChunk=null;_requests=[];_storedError=null;constructor(t,e,i){super(t,e,i);this._requestXhr=t._request({begin:e,end:i,onHeadersReceived:this.#Ms.bind(this),onDone:this.#Is.bind(this),onError:this.#Fs.bind(this),onProgress:null})}#Ms(){const t=getResponseOrigin(this._requestXhr?.responseURL);try{ensureResponseOrigin(t,this._stream._responseOrigin)}catch(t){this._storedError=t;this.#Fs(0)}}#Is(t){if(this._requests.length>0){this._requests.shift().resolve({value:t,done:!1})}else this._queuedChunk=t;this._done=!0;this.#_s();this.onClosed?.()}#Fs(t){this._storedError??=createResponseError(t,this._stream.url);for(const t of this._requests)t.reject(this._storedError);this._requests.length=0;this._queuedChunk=null}async read(){if(this._storedError)throw this._storedError;if(null!==this._queuedChunk){const t=this._queuedChunk;this._queuedChunk=null;return{value:t,done:!1}}if(this._done)return{value:void 0,done:!0};const t=Promise.withResolvers();this._requests.push(t);return t.promise}cancel(t){this._done=!0;this.#_s();this._stream._abortRequest(this._requestXhr);this.onClosed?.()}}function getReadableStream(t,e=null){const i=process.getBuiltinModule("fs"),{Readable:n}=process.getBuiltinModule("stream"),s=i.createReadStream(t,e);return n.toWeb(s)}class PDFNodeStream extends BasePDFStream{constructor(t){super(t,PDFNodeStreamReader,PDFNodeStreamRangeReader);const{url:e}=t;assert("file:"===e.protocol,"PDFNodeStream only supports file:// URLs.")}}class PDFNodeStreamReader extends BasePDFStreamReader{_reader=null;constructor(t){super(t);const{disableRange:e,disableStream:i,rangeChunkSize:n,url:s}=t._source;this._isStreamingSupported=!i;process.getBuiltinModule("fs/promises").lstat(s).then(t=>{const i=getReadableStream(s);this._reader=i.getReader();const{size:r}=t;this._contentLength=r;this._isRangeSupported=!e&&r>2*n;!this._isStreamingSupported&&this._isRangeSupported&&this.cancel(new AbortException("Streaming is disabled."));this._headersCapability.resolve()}).catch(t=>{"ENOENT"===t.code&&(t=createResponseError(0,s));this._headersCapability.reject(t)})}async read(){await this._headersCapability.promise;const{value:t,done:e}=await this._reader.read();if(e)return{value:t,done:e};this._loaded+=t.byteLength;this._callOnProgress();return{value:getArrayBuffer(t),done:!1}}cancel(t){this._reader?.cancel(t)}}class PDFNodeStreamRangeReader extends BasePDFStreamRangeReader{_readCapability=Promise.withResolvers();_reader=null;constructor(t,e,i){super(t,e,i);const{url:n}=t._source;try{const t=getReadableStream(n,{start:e,end:i-1});this._reader=t.getReader();this._readCapability.resolve()}catch(t){this._readCapability.reject(t)}}async read(){await this._readCapability.promise;const{value:t,done:e}=await this._reader.read();return e?{value:t,done:e}:{value:getArrayBuffer(t),done:!1}}cancel(t){this._reader?.cancel(t)}}class GlobalWorkerOptions{static#Os=null;static#Bs="";static get workerPort(){return this.#Os}static set workerPort(t){if(!("undefined"!=typeof Worker&&t instanceof Worker)&&null!==t)throw new Error("Invalid `workerPort` type.");this.#Os=t}static get workerSrc(){return this.#Bs}static set workerSrc(t){if("string"!=typeof t)throw new Error("Invalid `workerSrc` type.");this.#Bs=t}}class Metadata{#Rs;#Ls;constructor({parsedData:t,rawData:e}){this.#Rs=t;this.#Ls=e}getRaw(){return this.#Ls}get(t){return this.#Rs.get(t)??null}[Symbol.iterator](){return this.#Rs.entries()}}const Bt=Symbol("INTERNAL");class OptionalContentGroup{#Ns=!1;#Us=!1;#Hs=!1;#Gs=!0;constructor(t,{name:e,intent:i,usage:n,rbGroups:s}){this.#Ns=!!(t&a);this.#Us=!!(t&o);this.name=e;this.intent=i;this.usage=n;this.rbGroups=s}get visible(){if(this.#Hs)return this.#Gs;if(!this.#Gs)return!1;const{print:t,view:e}=this.usage;return this.#Ns?"OFF"!==e?.viewState:!this.#Us||"OFF"!==t?.printState}_setVisible(t,e,i=!1){t!==Bt&&unreachable("Internal method `_setVisible` called.");this.#Hs=i;this.#Gs=e}get serializable(){return{userSet:this.#Hs,visible:this.#Gs}}}class OptionalContentConfig{#zs=null;#Ws=new Map;#Vs=null;#$s=null;#js;creator=null;name=null;constructor(t,e=a,i=null){this.#js=t;this.renderingIntent=e;if(null!==t){this.name=t.name;this.creator=t.creator;this.#$s=t.order;for(const i of t.groups)this.#Ws.set(i.id,new OptionalContentGroup(e,i));if(i){i.size!==this.#Ws.size&&unreachable("Incorrect serialized groupState.");for(const[t,e]of i)this.#Ws.get(t)._setVisible(Bt,e.visible,e.userSet)}else{if("OFF"===t.baseState)for(const t of this.#Ws.values())t._setVisible(Bt,!1);for(const e of t.on)this.#Ws.get(e)._setVisible(Bt,!0);for(const e of t.off)this.#Ws.get(e)._setVisible(Bt,!1)}this.#Vs=this.getHash()}}#Xs(t){const e=t.length;if(e<2)return!0;const i=t[0];for(let n=1;n<e;n++){const e=t[n];let s;if(Array.isArray(e))s=this.#Xs(e);else{if(!this.#Ws.has(e)){warn(`Optional content group not found: ${e}`);return!0}s=this.#Ws.get(e).visible}switch(i){case"And":if(!s)return!1;break;case"Or":if(s)return!0;break;case"Not":return!s;default:return!0}}return"And"===i}isVisible(t){if(0===this.#Ws.size)return!0;if(!t){info("Optional content group not defined.");return!0}if("OCG"===t.type){if(!this.#Ws.has(t.id)){warn(`Optional content group not found: ${t.id}`);return!0}return this.#Ws.get(t.id).visible}if("OCMD"===t.type){if(t.expression)return this.#Xs(t.expression);if(!t.policy||"AnyOn"===t.policy){for(const e of t.ids){if(!this.#Ws.has(e)){warn(`Optional content group not found: ${e}`);return!0}if(this.#Ws.get(e).visible)return!0}return!1}if("AllOn"===t.policy){for(const e of t.ids){if(!this.#Ws.has(e)){warn(`Optional content group not found: ${e}`);return!0}if(!this.#Ws.get(e).visible)return!1}return!0}if("AnyOff"===t.policy){for(const e of t.ids){if(!this.#Ws.has(e)){warn(`Optional content group not found: ${e}`);return!0}if(!this.#Ws.get(e).visible)return!0}return!1}if("AllOff"===t.policy){for(const e of t.ids){if(!this.#Ws.has(e)){warn(`Optional content group not found: ${e}`);return!0}if(this.#Ws.get(e).visible)return!1}return!0}warn(`Unknown optional content policy ${t.policy}.`);return!0}warn(`Unknown group type ${t.type}.`);return!0}setVisibility(t,e=!0,i=!0){const n=this.#Ws.get(t);if(n){if(i&&e&&n.rbGroups.length)for(const e of n.rbGroups)for(const i of e)i!==t&&this.#Ws.get(i)?._setVisible(Bt,!1,!0);n._setVisible(Bt,!!e,!0);this.#zs=null}else warn(`Optional content group not found: ${t}`)}setOCGState({state:t,preserveRB:e}){let i;for(const n of t){switch(n){case"ON":case"OFF":case"Toggle":i=n;continue}const t=this.#Ws.get(n);if(t)switch(i){case"ON":this.setVisibility(n,!0,e);break;case"OFF":this.setVisibility(n,!1,e);break;case"Toggle":this.setVisibility(n,!t.visible,e)}}this.#zs=null}get hasInitialVisibility(){return null===this.#Vs||this.getHash()===this.#Vs}getOrder(){return this.#Ws.size?this.#$s?this.#$s.slice():[...this.#Ws.keys()]:null}getGroup(t){return this.#Ws.get(t)||null}getHash(){if(null!==this.#zs)return this.#zs;const t=new MurmurHash3_64;for(const[e,i]of this.#Ws)t.update(`${e}:${i.visible}`);return this.#zs=t.hexdigest()}[Symbol.iterator](){return this.#Ws.entries()}get serializable(){const t=new Map;for(const[e,i]of this.#Ws)t.set(e,i.serializable);return{data:this.#js,renderingIntent:this.renderingIntent,groupState:t}}static fromSerializable({data:t,renderingIntent:e,groupState:i}){return new OptionalContentConfig(t,e,i)}}class PagesMapper{#Ks=null;#Ys=null;#qs=0;#Qs=null;#Js=null;get pagesNumber(){return this.#qs}set pagesNumber(t){if(this.#qs!==t){this.#qs=t;this.#Ks=null;this.#Ys=null}}#Zs(){if(this.#Ks)return;const t=this.#qs,e=this.#Ks=new Uint32Array(t);for(let i=0;i<t;i++)e[i]=i+1;this.#Ys=new Int32Array(e)}#tr(){const t=new Map,e=this.#Ks;for(let i=0,n=this.#qs;i<n;i++){const n=e[i],s=t.get(n);s?s.push(i+1):t.set(n,[i+1])}return t}movePages(t,e,i){this.#Zs();const n=this.#Ks,s=e.length,r=new Uint32Array(s);let a=0;for(let t=0;t<s;t++){const s=e[t]-1;r[t]=n[s];s<i&&a++}const o=this.#qs,l=o-s,h=new Int32Array(o),c=MathClamp(i-a,0,l);for(let e=0,i=0;e<o;e++)if(!t.has(e+1)){n[i]=n[e];h[i++]=e+1}n.copyWithin(c+s,c,l);n.set(r,c);h.copyWithin(c+s,c,l);h.set(e,c);this.#Ys=h;n.every((t,e)=>t===e+1)&&(this.#Ks=null)}deletePages(t){this.#Zs();const e=this.#Ks,i=this.#tr();this.#Js={pageNumberToId:e.slice(),pagesNumber:this.#qs,prevPageNumbers:this.#Ys.slice()};const n=this.#qs-t.length;this.#qs=n;const s=this.#Ks=new Uint32Array(n);this.#Ys=new Int32Array(n);let r=0,a=0;for(const i of t){const t=i-1;if(t!==r){s.set(e.subarray(r,t),a);a+=t-r}r=t+1}r<e.length&&s.set(e.subarray(r),a);this.#er(i,new Set(t))}cancelDelete(){if(this.#Js){this.#Ks=this.#Js.pageNumberToId;this.#qs=this.#Js.pagesNumber;this.#Ys=this.#Js.prevPageNumbers;this.#Js=null}}cleanSavedData(){this.#Js=null}copyPages(t){this.#Zs();this.#Qs={pageNumbers:t,pageIds:t.map(t=>this.#Ks[t-1])}}cancelCopy(){this.#Qs=null}pastePages(t){this.#Zs();const e=this.#Ks,i=this.#tr(),{pageNumbers:n,pageIds:s}=this.#Qs,r=this.#qs+n.length;this.#qs=r;const a=this.#Ks=new Uint32Array(r);this.#Ys=new Int32Array(r);a.set(e.subarray(0,t),0);a.set(s,t);a.set(e.subarray(t),t+n.length);this.#er(i,null,t,n);this.#Qs=null}#er(t,e=null,i=-1,n=null){const s=this.#Ys,r=this.#Ks,a=i+(n?.length??0),o=new Map;for(let l=0,h=this.#qs;l<h;l++){if(l>=i&&l<a){s[l]=-n[l-i];continue}const h=r[l],c=t.get(h);let d=o.get(h)||0;if(e&&c)for(;d<c.length&&e.has(c[d]);)d++;s[l]=c?.[d];o.set(h,d+1)}}hasBeenAltered(){return null!==this.#Ks}#ir(t=null){if(!this.#Ks)return null;const e=new Int32Array(this.#qs).fill(-1),i=new Map;if(t)for(const n of t){const t=this.getPageId(n),s=i.get(t)??0;i.set(t,s+1);e[n-1]=s}else for(let t=0,n=this.#qs;t<n;t++){const n=this.#Ks[t],s=i.get(n)??0;i.set(n,s+1);e[t]=s}return e}getPageMappingForSaving(t=null,e=this.#ir()){t??=this.#tr();let i=0;for(const e of t.values())i=Math.max(i,e.length);const n=new Array(i);for(let t=0;t<i;t++)n[t]={document:null,pageIndices:[],includePages:[]};for(const[e,i]of t)for(let t=0,s=i.length;t<s;t++)n[t].includePages.push([e-1,i[t]-1]);for(const{includePages:t,pageIndices:e}of n){t.sort((t,e)=>t[0]-e[0]);for(let i=0,n=t.length;i<n;i++){e.push(t[i][1]);t[i]=t[i][0]}}return{pageInfos:n,copyLevels:e}}extractPages(t){t=Array.from(t).sort((t,e)=>t-e);const e=new Map;for(let i=0,n=t.length;i<n;i++){const n=this.getPageId(t[i]);e.getOrInsertComputed(n,makeArr).push(i+1)}return this.getPageMappingForSaving(e,this.#ir(t))}getPrevPageNumber(t){return this.#Ys?.[t-1]??0}getPageNumber(t){if(!this.#Ks)return t;const e=this.#Ks;for(let i=0,n=this.#qs;i<n;i++)if(e[i]===t)return i+1;return 0}getPageId(t){return this.#Ks?.[t-1]??t}getMapping(){return this.#Ks?.subarray(0,this.pagesNumber)}}const Rt=Symbol("INITIAL_DATA"),dataObj=()=>({...Promise.withResolvers(),data:Rt});class PDFObjects{#nr=new Map;get(t,e=null){if(e){const i=this.#nr.getOrInsertComputed(t,dataObj);i.promise.then(()=>e(i.data));return null}const i=this.#nr.get(t);if(!i||i.data===Rt)throw new Error(`Requesting object that isn't resolved yet ${t}.`);return i.data}has(t){const e=this.#nr.get(t);return!!e&&e.data!==Rt}delete(t){const e=this.#nr.get(t);if(!e||e.data===Rt)return!1;this.#nr.delete(t);return!0}resolve(t,e=null){const i=this.#nr.getOrInsertComputed(t,dataObj);if(i.data!==Rt)throw new Error(`Object already resolved ${t}.`);i.data=e;i.resolve()}clear(){for(const{data:t}of this.#nr.values())t?.bitmap?.close();this.#nr.clear()}*[Symbol.iterator](){for(const[t,{data:e}]of this.#nr)e!==Rt&&(yield[t,e])}}class TextLayer{#sr=Promise.withResolvers();#Pt=null;#rr=!1;#ar=!!globalThis.FontInspector?.enabled;#or=null;#lr=null;#hr=null;#cr=0;#dr=0;#ur=null;#pr=null;#gr=0;#mr=0;#fr=Object.create(null);#br=[];#yr=null;#vr=[];#wr=new WeakMap;#Ar=null;static#xr=new Map;static#Cr=new Map;static#Er=new WeakMap;static#Sr=null;static#Tr=new Set;constructor({textContentSource:t,images:e,container:i,viewport:n}){if(t instanceof ReadableStream)this.#yr=t;else{if("object"!=typeof t)throw new Error('No "textContentSource" parameter specified.');this.#yr=new ReadableStream({start(e){e.enqueue(t);e.close()}})}this.#Pt=this.#pr=i;this.#or=e;this.#mr=n.scale*OutputScale.pixelRatio;this.#gr=n.rotation;this.#hr={div:null,properties:null,ctx:null};const{pageWidth:s,pageHeight:r,pageX:a,pageY:o}=n.rawDims;this.#Ar=[1,0,0,-1,-a,o+r];this.#dr=s;this.#cr=r;TextLayer.#_r();i.style.setProperty("--min-font-size",TextLayer.#Sr);setLayerDimensions(i,n);this.#sr.promise.finally(()=>{TextLayer.#Tr.delete(this);this.#hr=null;this.#fr=null}).catch(()=>{})}static get fontFamilyMap(){const{isWindows:t,isFirefox:e}=FeatureTest.platform;return shadow(this,"fontFamilyMap",new Map([["sans-serif",(t&&e?"Calibri, ":"")+"sans-serif"],["monospace",(t&&e?"Lucida Console, ":"")+"monospace"]]))}render(){this.#or&&this.#Pt.append(this.#or.render());const pump=()=>{this.#ur.read().then(({value:t,done:e})=>{if(e)this.#sr.resolve();else{this.#lr??=t.lang;Object.assign(this.#fr,t.styles);this.#kr(t.items);pump()}},this.#sr.reject)};this.#ur=this.#yr.getReader();TextLayer.#Tr.add(this);pump();return this.#sr.promise}update({viewport:t,onBefore:e=null}){const i=t.scale*OutputScale.pixelRatio,n=t.rotation;if(n!==this.#gr){e?.();this.#gr=n;setLayerDimensions(this.#pr,{rotation:n})}if(i!==this.#mr){e?.();this.#mr=i;const t={div:null,properties:null,ctx:TextLayer.#Dr(this.#lr)};for(const e of this.#vr){t.properties=this.#wr.get(e);t.div=e;this.#Pr(t)}}}cancel(){const t=new AbortException("TextLayer task cancelled.");this.#ur?.cancel(t).catch(()=>{});this.#ur=null;this.#sr.reject(t)}get textDivs(){return this.#vr}get textContentItemsStr(){return this.#br}#kr(t){if(this.#rr)return;this.#hr.ctx??=TextLayer.#Dr(this.#lr);const e=this.#vr,i=this.#br;for(const n of t){if(e.length>1e5){warn("Ignoring additional textDivs for performance reasons.");this.#rr=!0;return}if(void 0!==n.str){i.push(n.str);this.#Mr(n)}else if("beginMarkedContentProps"===n.type||"beginMarkedContent"===n.type){const t=this.#Pt;this.#Pt=document.createElement("span");this.#Pt.classList.add("markedContent");n.id&&this.#Pt.setAttribute("id",n.id);"Artifact"===n.tag&&(this.#Pt.ariaHidden=!0);t.append(this.#Pt)}else"endMarkedContent"===n.type&&(this.#Pt=this.#Pt.parentNode)}}#Mr(t){const e=document.createElement("span"),i={angle:0,canvasWidth:0,hasText:""!==t.str,hasEOL:t.hasEOL,fontSize:0};this.#vr.push(e);const n=Util.transform(this.#Ar,t.transform);let s=Math.atan2(n[1],n[0]);const r=this.#fr[t.fontName];r.vertical&&(s+=Math.PI/2);let a=this.#ar&&r.fontSubstitution||r.fontFamily;a=TextLayer.fontFamilyMap.get(a)||a;const o=Math.hypot(n[2],n[3]),l=o*TextLayer.#Ir(a,r,this.#lr);let h,c;if(0===s){h=n[4];c=n[5]-l}else{h=n[4]+l*Math.sin(s);c=n[5]-l*Math.cos(s)}const d=e.style;d.left=`${(100*h/this.#dr).toFixed(2)}%`;d.top=`${(100*c/this.#cr).toFixed(2)}%`;d.setProperty("--font-height",`${o.toFixed(2)}px`);d.fontFamily=a;i.fontSize=o;e.setAttribute("role","presentation");e.textContent=t.str;e.dir=t.dir;this.#ar&&(e.dataset.fontName=r.fontSubstitutionLoadedName||t.fontName);0!==s&&(i.angle=s*(180/Math.PI));let u=!1;if(t.str.length>1)u=!0;else if(" "!==t.str&&t.transform[0]!==t.transform[3]){const e=Math.abs(t.transform[0]),i=Math.abs(t.transform[3]);e!==i&&Math.max(e,i)/Math.min(e,i)>1.5&&(u=!0)}u&&(i.canvasWidth=r.vertical?t.height:t.width);this.#wr.set(e,i);this.#hr.div=e;this.#hr.properties=i;this.#Pr(this.#hr);i.hasText&&this.#Pt.append(e);if(i.hasEOL){const t=document.createElement("br");t.setAttribute("role","presentation");this.#Pt.append(t)}}#Pr(t){const{div:e,properties:i,ctx:n}=t,{style:s}=e;if(0!==i.canvasWidth&&i.hasText){const{fontFamily:t}=s,{canvasWidth:r,fontSize:a}=i;TextLayer.#Fr(n,a*this.#mr,t);const{width:o}=n.measureText(e.textContent);o>0&&s.setProperty("--scale-x",r*this.#mr/o)}0!==i.angle&&s.setProperty("--rotate",`${i.angle}deg`)}static cleanup(){if(!(this.#Tr.size>0)){this.#xr.clear();for(const{canvas:t}of this.#Cr.values())t.remove();this.#Cr.clear()}}static#Dr(t=null){let e=this.#Cr.get(t||="");if(!e){const i=document.createElement("canvas");i.style.cssText="position:absolute;top:0;left:0;width:0;height:0;display:none;letter-spacing:normal;word-spacing:normal";i.lang=t;document.body.append(i);e=i.getContext("2d",{alpha:!1,willReadFrequently:!0});this.#Cr.set(t,e);this.#Er.set(e,{size:0,family:""})}return e}static#Fr(t,e,i){const n=this.#Er.get(t);if(e!==n.size||i!==n.family){t.font=`${e}px ${i}`;n.size=e;n.family=i}}static#_r(){if(null!==this.#Sr)return;const t=document.createElement("div");t.style.opacity=0;t.style.lineHeight=1;t.style.fontSize="1px";t.style.position="absolute";t.textContent="X";document.body.append(t);this.#Sr=t.getBoundingClientRect().height;t.remove()}static#Ir(t,e,i){const n=this.#xr.get(t);if(n)return n;const s=this.#Dr(i);s.canvas.width=s.canvas.height=30;this.#Fr(s,30,t);const r=s.measureText(""),a=r.fontBoundingBoxAscent,o=Math.abs(r.fontBoundingBoxDescent);s.canvas.width=s.canvas.height=0;let l=.8;if(a)l=a/(a+o);else{FeatureTest.platform.isFirefox&&warn("Enable the `dom.textMetrics.fontBoundingBox.enabled` preference in `about:config` to improve TextLayer rendering.");e.ascent?l=e.ascent:e.descent&&(l=1+e.descent)}this.#xr.set(t,l);return l}}function getDocument(e={}){const i=new PDFDocumentLoadingTask,{docId:n}=i,s=e.url?function getUrlProp(e){if(e instanceof URL)return e;if("string"==typeof e){if(t){if(/^[a-z][a-z0-9\-+.]+:/i.test(e))return new URL(e);const t=process.getBuiltinModule("url");return new URL(t.pathToFileURL(e))}const i=URL.parse(e,window.location);if(i)return i}throw new Error("Invalid PDF url data: either string or URL-object is expected in the url property.")}(e.url):null,r=e.data?function getDataProp(e){if(t&&"undefined"!=typeof Buffer&&e instanceof Buffer)throw new Error("Please provide binary data as `Uint8Array`, rather than `Buffer`.");if(e instanceof Uint8Array&&e.byteLength===e.buffer.byteLength)return e;if("string"==typeof e)return stringToBytes(e);if(e instanceof ArrayBuffer||ArrayBuffer.isView(e)||"object"==typeof e&&!isNaN(e?.length))return new Uint8Array(e);throw new Error("Invalid PDF binary data: either TypedArray, string, or array-like object is expected in the data property.")}(e.data):null,a=e.httpHeaders||null,o=!0===e.withCredentials,l=e.password??null,h=e.range instanceof PDFDataRangeTransport?e.range:null,c=Number.isInteger(e.rangeChunkSize)&&e.rangeChunkSize>0?e.rangeChunkSize:65536;let d=e.worker instanceof PDFWorker?e.worker:null;const u=e.verbosity,p="string"!=typeof e.docBaseUrl||isDataScheme(e.docBaseUrl)?null:e.docBaseUrl,g=getFactoryUrlProp(e.cMapUrl),m=!1!==e.cMapPacked,f=getFactoryUrlProp(e.iccUrl),b=getFactoryUrlProp(e.standardFontDataUrl),y=getFactoryUrlProp(e.wasmUrl),v=!0!==e.stopAtErrors,w=Number.isInteger(e.maxImageSize)&&e.maxImageSize>-1?e.maxImageSize:-1,A="boolean"==typeof e.isOffscreenCanvasSupported?e.isOffscreenCanvasSupported:!t,x="boolean"==typeof e.isImageDecoderSupported?e.isImageDecoderSupported:!t,C=Number.isInteger(e.canvasMaxAreaInBytes)?e.canvasMaxAreaInBytes:-1,E="boolean"==typeof e.disableFontFace?e.disableFontFace:t,S=!0===e.fontExtraProperties,T=!0===e.enableXfa,_=e.ownerDocument||globalThis.document,k=!0===e.disableRange,D=!0===e.disableStream,P=!0===e.disableAutoFetch,M=!0===e.pdfBug,I=e.CanvasFactory||(t?NodeCanvasFactory:DOMCanvasFactory),F=e.FilterFactory||(t?NodeFilterFactory:DOMFilterFactory),O=e.BinaryDataFactory||(t?NodeBinaryDataFactory:DOMBinaryDataFactory),B=!0===e.enableHWA,R=!0===e.enableWebGPU?function initGPU(){return Ct.init()}():Promise.resolve(!1),L=!1!==e.useWasm,N=e.pagesMapper||new PagesMapper,U="boolean"==typeof e.useSystemFonts?e.useSystemFonts:!t&&!E,H="boolean"==typeof e.useWorkerFetch?e.useWorkerFetch:!!(O===DOMBinaryDataFactory&&g&&m&&b&&y&&isValidFetchUrl(g,document.baseURI)&&isValidFetchUrl(b,document.baseURI)&&isValidFetchUrl(y,document.baseURI));setVerbosityLevel(u);const G={canvasFactory:new I({ownerDocument:_,enableHWA:B}),filterFactory:new F({docId:n,ownerDocument:_}),binaryDataFactory:H?null:new O({cMapUrl:g,standardFontDataUrl:b,wasmUrl:y})};if(!d){d=PDFWorker.create({verbosity:u,port:GlobalWorkerOptions.workerPort});i._worker=d}const z={docId:n,apiVersion:"6.3.289",data:r,password:l,disableAutoFetch:P,rangeChunkSize:c,docBaseUrl:p,enableXfa:T,evaluatorOptions:{maxImageSize:w,disableFontFace:E,ignoreErrors:v,isOffscreenCanvasSupported:A,isImageDecoderSupported:x,canvasMaxAreaInBytes:C,fontExtraProperties:S,useSystemFonts:U,useWasm:L,useWorkerFetch:H,cMapUrl:g,cMapPacked:m,iccUrl:f,standardFontDataUrl:b,wasmUrl:y,hasGPU:!1}},W={ownerDocument:_,pdfBug:M,styleElement:null,enableHWA:B,loadingParams:{disableAutoFetch:P,enableXfa:T}};Promise.all([d.promise,R]).then(function([,e]){if(d.destroyed)throw new Error("Worker was destroyed");z.evaluatorOptions.hasGPU=e;const l=d.messageHandler.sendWithPromise("GetDocRequest",z,r?[r.buffer]:null);let u;if(r);else if(h)u=new PDFDataTransportStream({pdfDataRangeTransport:h,disableRange:k,disableStream:D});else{if(!s)throw new Error("getDocument - expected either `data`, `range`, or `url` parameter.");{const e=function getNetworkStream(e){return isValidFetchUrl(e)?PDFFetchStream:t?PDFNodeStream:PDFNetworkStream}(s);u=new e({url:s,httpHeaders:a,withCredentials:o,rangeChunkSize:c,disableRange:k,disableStream:D})}}return l.then(t=>{if(d.destroyed)throw new Error("Worker was destroyed");const e=new MessageHandler(n,t,d.port),s=new WorkerTransport(e,i,u,W,G,N);i._transport=s;if(i.destroyed)throw new Error("Loading aborted");e.send("Ready",null)})}).catch(i._capability.reject).finally(i._setupCapability.resolve);return i}class PDFDocumentLoadingTask{static#Bn=0;_capability=Promise.withResolvers();_setupCapability=Promise.withResolvers();_transport=null;_worker=null;docId="d"+PDFDocumentLoadingTask.#Bn++;destroyed=!1;onPassword=null;onProgress=null;get promise(){return this._capability.promise}async destroy(){this.destroyed=!0;this._capability.promise.catch(()=>{});try{this._worker?.port&&(this._worker._pendingDestroy=!0);await this._setupCapability.promise;await(this._transport?.destroy())}catch(t){this._worker?.port&&delete this._worker._pendingDestroy;throw t}this._transport=null;this._worker?.destroy();this._worker=null}async getData(){return this._transport.getData()}}class PDFDataRangeTransport{#sr=Promise.withResolvers();#Or=null;constructor(t,e,i=!1,n=null){this.length=t;this.initialData=e;this.progressiveDone=i;this.contentDispositionFilename=n}onDataRange(t,e){this.#Or({type:"range",begin:t,chunk:e})}onDataProgressiveRead(t){this.#sr.promise.then(()=>{this.#Or({type:"progressiveRead",chunk:t})})}onDataProgressiveDone(){this.#sr.promise.then(()=>{this.#Or({type:"progressiveDone"})})}transportReady(t){this.#Or=t;this.#sr.resolve()}requestDataRange(t,e){unreachable("Abstract method PDFDataRangeTransport.requestDataRange")}abort(){}}class PDFDocumentProxy{constructor(t,e){this._pdfInfo=t;this._transport=e}get pagesMapper(){return this._transport.pagesMapper}get annotationStorage(){return this._transport.annotationStorage}get canvasFactory(){return this._transport.canvasFactory}get filterFactory(){return this._transport.filterFactory}get numPages(){return this._pdfInfo.numPages}get fingerprints(){return this._pdfInfo.fingerprints}get isPureXfa(){return shadow(this,"isPureXfa",!!this._transport._htmlForXfa)}get allXfaHtml(){return this._transport._htmlForXfa}getPage(t){return this._transport.getPage(t)}getPageIndex(t){return this._transport.getPageIndex(t)}getDestinations(){return this._transport.getDestinations()}getDestination(t){return this._transport.getDestination(t)}getPageLabels(){return this._transport.getPageLabels()}getPageLayout(){return this._transport.getPageLayout()}getPageMode(){return this._transport.getPageMode()}getViewerPreferences(){return this._transport.getViewerPreferences()}getOpenAction(){return this._transport.getOpenAction()}getAttachments(){return this._transport.getAttachments()}getAttachmentContent(t){return this._transport.getAttachmentContent(t)}getAnnotationsByType(t,e){return this._transport.getAnnotationsByType(t,e)}getJSActions(){return this._transport.getDocJSActions()}getOutline(){return this._transport.getOutline()}getOptionalContentConfig({intent:t="display"}={}){const{renderingIntent:e}=this._transport.getRenderingIntent(t);return this._transport.getOptionalContentConfig(e)}getPermissions(){return this._transport.getPermissions()}getMetadata(){return this._transport.getMetadata()}getMarkInfo(){return this._transport.getMarkInfo()}getData(){return this._transport.getData()}saveDocument(){return this._transport.saveDocument()}extractPages(t,e=null){return this._transport.extractPages(t,e)}getDownloadInfo(){return this._transport.downloadInfoCapability.promise}cleanup(t=!1){return this._transport.startCleanup(t||this.isPureXfa)}cachedPageNumber(t){return this._transport.cachedPageNumber(t)}get loadingParams(){return this._transport.loadingParams}get loadingTask(){return this._transport.loadingTask}getFieldObjects(){return this._transport.getFieldObjects()}getSignatures(){return this._transport.getSignatures()}getSignatureData(t){return this._transport.getSignatureData(t)}hasJSActions(){return this._transport.hasJSActions()}getCalculationOrderIds(){return this._transport.getCalculationOrderIds()}}class PDFPageProxy{#Br=!1;#Rr=null;constructor(t,e,i,n,s=!1){this._pageIndex=t;this._pageInfo=e;this._transport=i;this._stats=s?new StatTimer:null;this._pdfBug=s;this.commonObjs=i.commonObjs;this.objs=new PDFObjects;this._intentStates=new Map;this.destroyed=!1;this.recordedBBoxes=null;this.#Rr=n;this.imageCoordinates=null}clone(t){const e=new PDFPageProxy(t,this._pageInfo,this._transport,this.#Rr,this._pdfBug);e.clonedFromIndex=this.clonedFromIndex??this._pageIndex;this._transport.updatePage(e);return e}get pageNumber(){return this._pageIndex+1}set pageNumber(t){this._pageIndex=t-1;this._transport.updatePage(this)}get rotate(){return this._pageInfo.rotate}get ref(){return this._pageInfo.ref}get userUnit(){return this._pageInfo.userUnit}get view(){return this._pageInfo.view}getViewport({scale:t,rotation:e=this.rotate,offsetX:i=0,offsetY:n=0,dontFlip:s=!1}={}){return new PageViewport({viewBox:this.view,userUnit:this.userUnit,scale:t,rotation:e,offsetX:i,offsetY:n,dontFlip:s})}getAnnotations({intent:t="display"}={}){const{renderingIntent:e}=this._transport.getRenderingIntent(t);return this._transport.getAnnotations(this._pageIndex,e)}getJSActions(){return this._transport.getPageJSActions(this._pageIndex)}get filterFactory(){return this._transport.filterFactory}get isPureXfa(){return shadow(this,"isPureXfa",!!this._transport._htmlForXfa)}async getXfa(){return this._transport._htmlForXfa?.children[this._pageIndex]||null}render({canvasContext:t,canvas:e=t.canvas,viewport:i,intent:n="display",annotationMode:s=p.ENABLE,transform:r=null,background:a=null,optionalContentConfigPromise:l=null,annotationCanvasMap:h=null,pageColors:c=null,printAnnotationStorage:d=null,isEditing:u=!1,recordImages:g=!1,recordOperations:m=!1,operationsFilter:f=null}){this._stats?.time("Overall");const b=this._transport.getRenderingIntent(n,s,d,u),{renderingIntent:y,cacheKey:v}=b;this.#Br=!1;l||=this._transport.getOptionalContentConfig(y);const w=this._intentStates.getOrInsertComputed(v,makeObj);if(w.streamReaderCancelTimeout){clearTimeout(w.streamReaderCancelTimeout);w.streamReaderCancelTimeout=null}const A=!!(y&o);if(!w.displayReadyCapability){w.displayReadyCapability=Promise.withResolvers();w.operatorList={fnArray:[],argsArray:[],lastChunk:!1,separateAnnots:null};this._stats?.time("Page Request");this._pumpOperatorList(b)}const x=!(!this._pdfBug||!globalThis.StepperManager?.enabled),C=!!e&&!this.recordedBBoxes&&(m||x),E=!!e&&!this.imageCoordinates&&g,complete=t=>{w.renderTasks.delete(_);if(C){const t=_.gfx?.dependencyTracker.take();if(t){_.stepper?.setOperatorBBoxes(t,_.gfx.dependencyTracker.takeDebugMetadata());m&&(this.recordedBBoxes=t)}}E&&!t&&(this.imageCoordinates=_.gfx?.imagesTracker.take());A&&(this.#Br=!0);this.#Lr();if(t){_.capability.reject(t);this._abortOperatorList({intentState:w,reason:t instanceof Error?t:new Error(t)})}else _.capability.resolve();if(this._stats){this._stats.timeEnd("Rendering");this._stats.timeEnd("Overall");globalThis.Stats?.enabled&&globalThis.Stats.add(this.pageNumber,this._stats)}};let S=null,T=null;(C||E)&&(T=new CanvasBBoxTracker(e,w.operatorList.length));C&&(S=new CanvasDependencyTracker(T,x));const _=new InternalRenderTask({callback:complete,params:{canvas:e,canvasContext:t,dependencyTracker:S??T,imagesTracker:E?new CanvasImagesTracker(e):null,viewport:i,transform:r,background:a},objs:this.objs,commonObjs:this.commonObjs,annotationCanvasMap:h,operatorList:w.operatorList,pageIndex:this._pageIndex,canvasFactory:this._transport.canvasFactory,filterFactory:this._transport.filterFactory,useRequestAnimationFrame:!A,pdfBug:this._pdfBug,pageColors:c,enableHWA:this._transport.enableHWA,operationsFilter:f});(w.renderTasks||=new Set).add(_);const k=_.task;Promise.all([w.displayReadyCapability.promise,l]).then(([t,e])=>{if(this.destroyed)complete();else{this._stats?.time("Rendering");if(!(e.renderingIntent&y))throw new Error("Must use the same `intent`-argument when calling the `PDFPageProxy.render` and `PDFDocumentProxy.getOptionalContentConfig` methods.");_.initializeGraphics({transparency:t,optionalContentConfig:e});_.operatorListChanged()}}).catch(complete);return k}getOperatorList({intent:t="display",annotationMode:e=p.ENABLE,printAnnotationStorage:i=null,isEditing:n=!1}={}){const s=this._transport.getRenderingIntent(t,e,i,n,!0),r=this._intentStates.getOrInsertComputed(s.cacheKey,makeObj);let a;if(!r.opListReadCapability){a=Object.create(null);a.operatorListChanged=function operatorListChanged(){if(r.operatorList.lastChunk){r.opListReadCapability.resolve(r.operatorList);r.renderTasks.delete(a)}};r.opListReadCapability=Promise.withResolvers();(r.renderTasks||=new Set).add(a);r.operatorList={fnArray:[],argsArray:[],lastChunk:!1,separateAnnots:null};this._stats?.time("Page Request");this._pumpOperatorList(s)}return r.opListReadCapability.promise}streamTextContent({includeMarkedContent:t=!1,disableNormalization:e=!1}={}){return this._transport.messageHandler.sendWithStream("GetTextContent",{pageId:this.#Rr.getPageId(this._pageIndex+1)-1,pageIndex:this._pageIndex,includeMarkedContent:!0===t,disableNormalization:!0===e},{highWaterMark:100,size:t=>t.items.length})}async getTextContent(t={}){if(this._transport._htmlForXfa)return this.getXfa().then(t=>XfaText.textContent(t));const e=this.streamTextContent(t),i={items:[],styles:Object.create(null),lang:null};for await(const t of e){i.lang??=t.lang;Object.assign(i.styles,t.styles);i.items.push(...t.items)}return i}getStructTree(){return this._transport.getStructTree(this._pageIndex)}_destroy(){this.destroyed=!0;const t=[];for(const e of this._intentStates.values()){this._abortOperatorList({intentState:e,reason:new Error("Page was destroyed."),force:!0});if(!e.opListReadCapability)for(const i of e.renderTasks){t.push(i.completed);i.cancel()}}this.objs.clear();this.#Br=!1;return Promise.all(t)}cleanup(t=!1){this.#Br=!0;const e=this.#Lr();t&&e&&(this._stats&&=new StatTimer);return e}#Lr(){if(!this.#Br||this.destroyed)return!1;for(const{renderTasks:t,operatorList:e}of this._intentStates.values())if(t.size>0||!e.lastChunk)return!1;this._intentStates.clear();this.objs.clear();this.#Br=!1;return!0}_startRenderPage(t,e){const i=this._intentStates.get(e);if(i){this._stats?.timeEnd("Page Request");i.displayReadyCapability?.resolve(t)}}_renderPageChunk(t,e){for(let i=0,n=t.length;i<n;i++){e.operatorList.fnArray.push(t.fnArray[i]);e.operatorList.argsArray.push(t.argsArray[i])}e.operatorList.lastChunk=t.lastChunk;e.operatorList.separateAnnots=t.separateAnnots;for(const t of e.renderTasks)t.operatorListChanged();t.lastChunk&&this.#Lr()}_pumpOperatorList({renderingIntent:t,cacheKey:e,annotationStorageSerializable:i,modifiedIds:n}){const{map:s,transfer:r}=i,a=this._transport.messageHandler.sendWithStream("GetOperatorList",{pageId:this.#Rr.getPageId(this._pageIndex+1)-1,pageIndex:this._pageIndex,intent:t,cacheKey:e,annotationStorage:s,modifiedIds:n},void 0,r).getReader(),o=this._intentStates.get(e);o.streamReader=a;const pump=()=>{a.read().then(({value:t,done:e})=>{if(e)o.streamReader=null;else if(!this._transport.destroyed){this._renderPageChunk(t,o);pump()}},t=>{o.streamReader=null;if(!this._transport.destroyed){if(o.operatorList){o.operatorList.lastChunk=!0;for(const t of o.renderTasks)t.operatorListChanged();this.#Lr()}if(o.displayReadyCapability)o.displayReadyCapability.reject(t);else{if(!o.opListReadCapability)throw t;o.opListReadCapability.reject(t)}}})};pump()}_abortOperatorList({intentState:t,reason:e,force:i=!1}){if(t.streamReader){if(t.streamReaderCancelTimeout){clearTimeout(t.streamReaderCancelTimeout);t.streamReaderCancelTimeout=null}if(!i){if(t.renderTasks.size>0)return;if(e instanceof RenderingCancelledException){let i=100;e.extraDelay>0&&e.extraDelay<1e3&&(i+=e.extraDelay);t.streamReaderCancelTimeout=setTimeout(()=>{t.streamReaderCancelTimeout=null;this._abortOperatorList({intentState:t,reason:e,force:!0})},i);return}}t.streamReader.cancel(new AbortException(e.message)).catch(()=>{});t.streamReader=null;if(!this._transport.destroyed){for(const[e,i]of this._intentStates)if(i===t){this._intentStates.delete(e);break}this.cleanup()}}}get stats(){return this._stats}}class PDFWorker{#sr=Promise.withResolvers();#Nr=null;#Os=null;#Ur=null;static#Hr=0;static#Gr=!1;static#zr=new WeakMap;static{if(t){this.#Gr=!0;GlobalWorkerOptions.workerSrc||="./pdf.worker.mjs"}this._isSameOrigin=(t,e)=>{const i=URL.parse(t);if(!i?.origin||"null"===i.origin)return!1;const n=new URL(e,i);return i.origin===n.origin};this._createCDNWrapper=t=>{const e=`await import("${t}");`;return URL.createObjectURL(new Blob([e],{type:"text/javascript"}))}}constructor({name:t=null,port:e=null,verbosity:i=getVerbosityLevel()}={}){this.name=t;this.destroyed=!1;this.verbosity=i;if(e){if(PDFWorker.#zr.has(e))throw new Error("Cannot use more than one PDFWorker per port.");PDFWorker.#zr.set(e,this);this.#Wr(e)}else this.#Vr()}get promise(){return this.#sr.promise}#$r(){this.#sr.resolve();this.#Nr.send("configure",{verbosity:this.verbosity})}get port(){return this.#Os}get messageHandler(){return this.#Nr}#Wr(t){this.#Os=t;this.#Nr=new MessageHandler("main","worker",t);this.#Nr.on("ready",()=>{});this.#$r()}#Vr(){if(PDFWorker.#Gr||PDFWorker.#jr){this.#Xr();return}let{workerSrc:t}=PDFWorker;try{PDFWorker._isSameOrigin(window.location,t)||(t=PDFWorker._createCDNWrapper(new URL(t,window.location).href));const e=new Worker(t,{type:"module"}),i=new MessageHandler("main","worker",e),terminateEarly=()=>{n.abort();i.destroy();e.terminate();this.destroyed?this.#sr.reject(new Error("Worker was destroyed")):this.#Xr()},n=new AbortController;e.addEventListener("error",()=>{this.#Ur||terminateEarly()},{signal:n.signal});i.on("test",t=>{n.abort();if(!this.destroyed&&t){this.#Nr=i;this.#Os=e;this.#Ur=e;this.#$r()}else terminateEarly()});i.on("ready",t=>{n.abort();if(this.destroyed)terminateEarly();else try{sendTest()}catch{this.#Xr()}});const sendTest=()=>{const t=new Uint8Array;i.send("test",t,[t.buffer])};sendTest();return}catch{info("The worker has been disabled.")}this.#Xr()}#Xr(){if(!PDFWorker.#Gr){warn("Setting up fake worker.");PDFWorker.#Gr=!0}PDFWorker._setupFakeWorkerGlobal.then(t=>{if(this.destroyed){this.#sr.reject(new Error("Worker was destroyed"));return}const e=new LoopbackPort;this.#Os=e;const i="fake"+PDFWorker.#Hr++,n=new MessageHandler(i+"_worker",i,e);t.setup(n,e);this.#Nr=new MessageHandler(i,i+"_worker",e);this.#$r()}).catch(t=>{this.#sr.reject(new Error(`Setting up fake worker failed: "${t.message}".`))})}destroy(){this.destroyed=!0;this.#Ur?.terminate();this.#Ur=null;PDFWorker.#zr.delete(this.#Os);this.#Os=null;this.#Nr?.destroy();this.#Nr=null}static create(t){const e=this.#zr.get(t?.port);if(e){if(e._pendingDestroy)throw new Error("PDFWorker.create - the worker is being destroyed.\nPlease remember to await `PDFDocumentLoadingTask.destroy()`-calls.");return e}return new PDFWorker(t)}static get workerSrc(){if(GlobalWorkerOptions.workerSrc)return GlobalWorkerOptions.workerSrc;throw new Error('No "GlobalWorkerOptions.workerSrc" specified.')}static get#jr(){try{return globalThis.pdfjsWorker?.WorkerMessageHandler||null}catch{return null}}static get _setupFakeWorkerGlobal(){return shadow(this,"_setupFakeWorkerGlobal",(async()=>{if(this.#jr)return this.#jr;return(await import(
+/*webpackIgnore: true*/
+/*@vite-ignore*/
+this.workerSrc)).WorkerMessageHandler})())}}class WorkerTransport{downloadInfoCapability=Promise.withResolvers();#Kr=null;#Yr=new Map;#qr=null;#Qr=new Map;#Jr=new Map;#Zr=new Map;#ta=null;constructor(t,e,i,n,s,r){this.messageHandler=t;this.loadingTask=e;this.#qr=i;this.commonObjs=new PDFObjects;this.fontLoader=new FontLoader({ownerDocument:n.ownerDocument,styleElement:n.styleElement});this.enableHWA=n.enableHWA;this.loadingParams=n.loadingParams;this._params=n;this.canvasFactory=s.canvasFactory;this.filterFactory=s.filterFactory;this.binaryDataFactory=s.binaryDataFactory;this.pagesMapper=r;this.destroyed=!1;this.destroyCapability=null;this.setupMessageHandler()}updatePage(t){const{_pageIndex:e}=t;this.#Qr.set(e,t);this.#Jr.set(e,Promise.resolve(t))}#ea(t,e=null){return this.#Yr.getOrInsertComputed(t,()=>this.messageHandler.sendWithPromise(t,e))}#Ps({loaded:t,total:e}){this.loadingTask.onProgress?.({loaded:t,total:e,percent:e?MathClamp(Math.round(t/e*100),0,100):NaN})}get annotationStorage(){return shadow(this,"annotationStorage",new AnnotationStorage)}getRenderingIntent(t,e=p.ENABLE,i=null,n=!1,s=!1){let g=a,m=Z;switch(t){case"any":g=r;break;case"display":break;case"print":g=o;break;default:warn(`getRenderingIntent - invalid intent: ${t}`)}const f=g&o&&i instanceof PrintAnnotationStorage?i:this.annotationStorage;switch(e){case p.DISABLE:g+=c;break;case p.ENABLE:break;case p.ENABLE_FORMS:g+=l;break;case p.ENABLE_STORAGE:g+=h;m=f.serializable;break;default:warn(`getRenderingIntent - invalid annotationMode: ${e}`)}n&&(g+=d);s&&(g+=u);const{ids:b,hash:y}=f.modifiedIds;return{renderingIntent:g,cacheKey:[g,m.hash,y].join("_"),annotationStorageSerializable:m,modifiedIds:b}}destroy(){if(this.destroyCapability)return this.destroyCapability.promise;this.destroyed=!0;this.destroyCapability=Promise.withResolvers();this.#ta?.reject(new Error("Worker was destroyed during onPassword callback"));const t=[];for(const e of this.#Qr.values())t.push(e._destroy());this.#Qr.clear();this.#Jr.clear();this.#Zr.clear();Object.hasOwn(this,"annotationStorage")&&this.annotationStorage.resetModified();const e=this.messageHandler.sendWithPromise("Terminate",null);t.push(e);Promise.all(t).then(()=>{this.commonObjs.clear();this.fontLoader.clear();this.#Yr.clear();this.filterFactory.destroy();TextLayer.cleanup();this.#qr?.cancelAllRequests(new AbortException("Worker was terminated."));this.messageHandler?.destroy();this.messageHandler=null;this.destroyCapability.resolve()},this.destroyCapability.reject);return this.destroyCapability.promise}setupMessageHandler(){const{messageHandler:t,loadingTask:e}=this;t.on("GetReader",(t,e)=>{assert(this.#qr,"GetReader - no `BasePDFStream` instance available.");this.#Kr=this.#qr.getFullReader();this.#Kr.onProgress=t=>this.#Ps(t);e.onPull=()=>{this.#Kr.read().then(function({value:t,done:i}){if(i)e.close();else{assert(t instanceof ArrayBuffer,"GetReader - expected an ArrayBuffer.");e.enqueue(new Uint8Array(t),1,[t])}}).catch(t=>{e.error(t)})};e.onCancel=t=>{this.#Kr.cancel(t);e.ready.catch(t=>{if(!this.destroyed)throw t})}});t.on("ReaderHeadersReady",async t=>{await this.#Kr.headersReady;const{isStreamingSupported:e,isRangeSupported:i,contentLength:n}=this.#Kr;e&&i&&(this.#Kr.onProgress=null);return{isStreamingSupported:e,isRangeSupported:i,contentLength:n}});t.on("GetRangeReader",(t,e)=>{assert(this.#qr,"GetRangeReader - no `BasePDFStream` instance available.");const i=this.#qr.getRangeReader(t.begin,t.end);if(i){e.onPull=()=>{i.read().then(function({value:t,done:i}){if(i)e.close();else{assert(t instanceof ArrayBuffer,"GetRangeReader - expected an ArrayBuffer.");e.enqueue(new Uint8Array(t),1,[t])}}).catch(t=>{e.error(t)})};e.onCancel=t=>{i.cancel(t);e.ready.catch(t=>{if(!this.destroyed)throw t})}}else e.close()});t.on("GetDoc",({pdfInfo:t})=>{this.pagesMapper.pagesNumber=t.numPages;this._numPages=t.numPages;this._htmlForXfa=t.htmlForXfa;delete t.htmlForXfa;e._capability.resolve(new PDFDocumentProxy(t,this))});t.on("DocException",t=>{e._capability.reject(wrapReason(t))});t.on("PasswordRequest",t=>{this.#ta=Promise.withResolvers();try{if(!e.onPassword)throw wrapReason(t);const updatePassword=t=>{t instanceof Error?this.#ta.reject(t):this.#ta.resolve({password:t})};e.onPassword(updatePassword,t.code)}catch(t){this.#ta.reject(t)}return this.#ta.promise});t.on("DataLoaded",t=>{this.#Ps({loaded:t.length,total:t.length});this.downloadInfoCapability.resolve(t)});t.on("StartRenderPage",t=>{if(this.destroyed)return;this.#Qr.get(t.pageIndex)._startRenderPage(t.transparency,t.cacheKey)});t.on("commonobj",([e,i,n])=>{if(this.destroyed)return null;if(this.commonObjs.has(e))return null;switch(i){case"Font":if("error"in n){const t=n.error;warn(`Error during font loading: ${t}`);this.commonObjs.resolve(e,t);break}const s=new FontInfo(n),r=this._params.pdfBug&&globalThis.FontInspector?.enabled?(t,e)=>globalThis.FontInspector.fontAdded(t,e):null,a=new FontFaceObject(s,r,n.charProcOperatorList,n.extra);this.fontLoader.bind(a).catch(()=>t.sendWithPromise("FontFallback",{id:e})).finally(()=>{a.fontExtraProperties||a.clearData();this.commonObjs.resolve(e,a)});break;case"CopyLocalImage":const{imageRef:o}=n;assert(o,"The imageRef must be defined.");for(const t of this.#Qr.values())for(const[,i]of t.objs){if(i?.ref!==o)continue;if(!i.dataLen)return null;const t=structuredClone(i);this.commonObjs.resolve(e,t);return i.dataLen}break;case"FontPath":this.commonObjs.resolve(e,new FontPathInfo(n));break;case"Image":this.commonObjs.resolve(e,n);break;case"Pattern":const l=new PatternInfo(n);this.commonObjs.resolve(e,l.getIR());break;default:throw new Error(`Got unknown common object type ${i}`)}return null});t.on("obj",([t,e,i,n])=>{if(this.destroyed)return;const s=this.#Qr.get(e);if(!s.objs.has(t))if(0!==s._intentStates.size)switch(i){case"Image":case"Pattern":s.objs.resolve(t,n);break;default:throw new Error(`Got unknown object type ${i}`)}else n?.bitmap?.close()});t.on("DocProgress",t=>{this.destroyed||this.#Ps(t)});t.on("FetchBinaryData",async t=>{if(this.destroyed)throw new Error("Worker was destroyed.");if(!this.binaryDataFactory)throw new Error("`BinaryDataFactory` not initialized, see the `useWorkerFetch` parameter.");return this.binaryDataFactory.fetch(t)})}getData(){return this.messageHandler.sendWithPromise("GetData",null)}saveDocument(){this.annotationStorage.size<=0&&warn("saveDocument called while `annotationStorage` is empty, please use the getData-method instead.");const{map:t,transfer:e}=this.annotationStorage.serializable;return this.messageHandler.sendWithPromise("SaveDocument",{isPureXfa:!!this._htmlForXfa,numPages:this._numPages,annotationStorage:t,filename:this.#Kr?.filename??null},e).finally(()=>{this.annotationStorage.resetModified()})}extractPages(t,e=null){const i={pageInfos:t};let n;const s=globalThis.ImageBitmap;if("function"==typeof s){const e=Array.isArray(t)?t:[t];for(const t of e)t?.image instanceof s&&(n||=[]).push(t.image)}if(this.annotationStorage.size>0){const t=this.annotationStorage.serializable;let{map:s}=t;t.transfer?.length&&(n?n.push(...t.transfer):n=t.transfer);const r=this.pagesMapper.getMapping();if(r){const t=new Map;for(const[i,n]of s){if(void 0!==n?.pageIndex&&n.pageIndex>=0&&n.pageIndex<r.length){const s=e?.[n.pageIndex]??0,a=r[n.pageIndex]-1;if(a!==n.pageIndex||0!==s){t.set(i,{...n,pageIndex:a,copyLevel:s});continue}}t.set(i,n)}s=t}i.annotationStorage=s}return this.messageHandler.sendWithPromise("ExtractPages",i,n).finally(()=>{this.annotationStorage.resetModified()})}getPage(t){if(!Number.isInteger(t)||t<=0||t>this.pagesMapper.pagesNumber)return Promise.reject(new Error("Invalid page request."));const e=t-1,i=this.pagesMapper.getPageId(t)-1,n=this.#Jr.get(e);if(n)return n;const s=this.messageHandler.sendWithPromise("GetPage",{pageIndex:i}).then(t=>{if(this.destroyed)throw new Error("Transport destroyed");t.refStr&&this.#Zr.set(t.refStr,i);const n=new PDFPageProxy(e,t,this,this.pagesMapper,this._params.pdfBug);this.#Qr.set(e,n);return n});this.#Jr.set(e,s);return s}async getPageIndex(t){if(!isRefProxy(t))throw new Error("Invalid pageIndex request.");const e=await this.messageHandler.sendWithPromise("GetPageIndex",{num:t.num,gen:t.gen}),i=this.pagesMapper.getPageNumber(e+1);if(0===i)throw new Error("GetPageIndex: page has been removed.");return i-1}getAnnotations(t,e){return this.messageHandler.sendWithPromise("GetAnnotations",{pageIndex:this.pagesMapper.getPageId(t+1)-1,intent:e})}getFieldObjects(){return this.#ea("GetFieldObjects")}getSignatures(){return this.#ea("GetSignatures")}getSignatureData(t){return this.messageHandler.sendWithPromise("GetSignatureData",t)}hasJSActions(){return this.#ea("HasJSActions")}getCalculationOrderIds(){return this.messageHandler.sendWithPromise("GetCalculationOrderIds",null)}getDestinations(){return this.messageHandler.sendWithPromise("GetDestinations",null)}getDestination(t){return"string"!=typeof t?Promise.reject(new Error("Invalid destination request.")):this.messageHandler.sendWithPromise("GetDestination",{id:t})}getPageLabels(){return this.messageHandler.sendWithPromise("GetPageLabels",null)}getPageLayout(){return this.messageHandler.sendWithPromise("GetPageLayout",null)}getPageMode(){return this.messageHandler.sendWithPromise("GetPageMode",null)}getViewerPreferences(){return this.messageHandler.sendWithPromise("GetViewerPreferences",null)}getOpenAction(){return this.messageHandler.sendWithPromise("GetOpenAction",null)}getAttachments(){return this.messageHandler.sendWithPromise("GetAttachments",null)}getAttachmentContent(t){return this.messageHandler.sendWithPromise("GetAttachmentContent",t)}getAnnotationsByType(t,e){return this.messageHandler.sendWithPromise("GetAnnotationsByType",{types:t,pageIndexesToSkip:e})}getDocJSActions(){return this.#ea("GetDocJSActions")}getPageJSActions(t){return this.messageHandler.sendWithPromise("GetPageJSActions",{pageIndex:this.pagesMapper.getPageId(t+1)-1})}getStructTree(t){return this.messageHandler.sendWithPromise("GetStructTree",{pageIndex:this.pagesMapper.getPageId(t+1)-1})}getOutline(){return this.messageHandler.sendWithPromise("GetOutline",null)}getOptionalContentConfig(t){return this.#ea("GetOptionalContentConfig").then(e=>new OptionalContentConfig(e,t))}getPermissions(){return this.messageHandler.sendWithPromise("GetPermissions",null)}getMetadata(){const t="GetMetadata";return this.#Yr.getOrInsertComputed(t,()=>this.messageHandler.sendWithPromise(t,null).then(t=>({info:t[0],metadata:t[1]?new Metadata(t[1]):null,contentDispositionFilename:this.#Kr?.filename??null,contentLength:this.#Kr?.contentLength??null,hasStructTree:t[2]})))}getMarkInfo(){return this.messageHandler.sendWithPromise("GetMarkInfo",null)}async startCleanup(t=!1){if(!this.destroyed){await this.messageHandler.sendWithPromise("Cleanup",null);for(const t of this.#Qr.values()){if(!t.cleanup())throw new Error(`startCleanup: Page ${t.pageNumber} is currently rendering.`)}this.commonObjs.clear();t||this.fontLoader.clear();this.#Yr.clear();this.filterFactory.destroy(!0);TextLayer.cleanup()}}cachedPageNumber(t){if(!isRefProxy(t))return null;const e=0===t.gen?`${t.num}R`:`${t.num}R${t.gen}`,i=this.#Zr.get(e);if(i>=0){const t=this.pagesMapper.getPageNumber(i+1);if(0!==t)return t}return null}}class RenderTask{_internalRenderTask=null;onContinue=null;onError=null;constructor(t){this._internalRenderTask=t}get promise(){return this._internalRenderTask.capability.promise}cancel(t=0){this._internalRenderTask.cancel(null,t)}get separateAnnots(){const{separateAnnots:t}=this._internalRenderTask.operatorList;if(!t)return!1;const{annotationCanvasMap:e}=this._internalRenderTask;return t.form||t.canvas&&e?.size>0}get imageCoordinates(){return this._internalRenderTask.imageCoordinates||null}}class InternalRenderTask{#ia=null;static#na=new WeakSet;constructor({callback:t,params:e,objs:i,commonObjs:n,annotationCanvasMap:s,operatorList:r,pageIndex:a,canvasFactory:o,filterFactory:l,useRequestAnimationFrame:h=!1,pdfBug:c=!1,pageColors:d=null,enableHWA:u=!1,operationsFilter:p=null}){this.callback=t;this.params=e;this.objs=i;this.commonObjs=n;this.annotationCanvasMap=s;this.operatorListIdx=null;this.operatorList=r;this._pageIndex=a;this.canvasFactory=o;this.filterFactory=l;this._pdfBug=c;this.pageColors=d;this.running=!1;this.graphicsReadyCallback=null;this.graphicsReady=!1;this._useRequestAnimationFrame=!0===h&&"undefined"!=typeof window;this.cancelled=!1;this.capability=Promise.withResolvers();this.task=new RenderTask(this);this._cancelBound=this.cancel.bind(this);this._continueBound=this._continue.bind(this);this._scheduleNextBound=this._scheduleNext.bind(this);this._nextBound=this._next.bind(this);this._canvas=e.canvas;this._canvasContext=e.canvas?null:e.canvasContext;this._enableHWA=u;this._dependencyTracker=e.dependencyTracker;this._imagesTracker=e.imagesTracker;this._operationsFilter=p}get completed(){return this.capability.promise.catch(function(){})}initializeGraphics({transparency:t=!1,optionalContentConfig:e}){if(this.cancelled)return;if(this._canvas){if(InternalRenderTask.#na.has(this._canvas))throw new Error("Cannot use the same canvas during multiple render() operations. Use different canvas or ensure previous operations were cancelled or completed.");InternalRenderTask.#na.add(this._canvas)}if(this._pdfBug&&globalThis.StepperManager?.enabled){this.stepper=globalThis.StepperManager.create(this._pageIndex);this.stepper.init(this.operatorList);this.stepper.nextBreakPoint=this.stepper.getNextBreakPoint()}const{viewport:i,transform:n,background:s,dependencyTracker:r,imagesTracker:a}=this.params,o=this._canvasContext||this._canvas.getContext("2d",{alpha:!1,willReadFrequently:!this._enableHWA});this.gfx=new CanvasGraphics(o,this.commonObjs,this.objs,this.canvasFactory,this.filterFactory,{optionalContentConfig:e},this.annotationCanvasMap,this.pageColors,r,a);this.gfx.beginDrawing({transform:n,viewport:i,transparency:t,background:s});this.operatorListIdx=0;this.graphicsReady=!0;this.graphicsReadyCallback?.()}cancel(t=null,e=0){this.running=!1;this.cancelled=!0;this.gfx?.endDrawing();if(this.#ia){window.cancelAnimationFrame(this.#ia);this.#ia=null}InternalRenderTask.#na.delete(this._canvas);t||=new RenderingCancelledException(`Rendering cancelled, page ${this._pageIndex+1}`,e);this.callback(t);this.task.onError?.(t)}operatorListChanged(){if(this.graphicsReady){this.gfx.dependencyTracker?.growOperationsCount(this.operatorList.fnArray.length);this.stepper?.updateOperatorList(this.operatorList);this.running||this._continue()}else this.graphicsReadyCallback||=this._continueBound}_continue(){this.running=!0;this.cancelled||(this.task.onContinue?this.task.onContinue(this._scheduleNextBound):this._scheduleNext())}_scheduleNext(){this._useRequestAnimationFrame?this.#ia=window.requestAnimationFrame(()=>{this.#ia=null;this._nextBound().catch(this._cancelBound)}):Promise.resolve().then(this._nextBound).catch(this._cancelBound)}async _next(){if(!this.cancelled){this.operatorListIdx=this.gfx.executeOperatorList(this.operatorList,this.operatorListIdx,this._continueBound,this.stepper,this._operationsFilter);if(this.operatorListIdx===this.operatorList.argsArray.length){this.running=!1;if(this.operatorList.lastChunk){this.gfx.endDrawing();InternalRenderTask.#na.delete(this._canvas);this.callback()}}}}}const Lt="6.3.289",Nt="1c8020a7d";class ColorPicker{#sa=null;#ra=null;#aa;#oa=null;#la=!1;#ha=!1;#o=null;#ca;#da=null;#v=null;static#ua=null;static get _keyboardManager(){return shadow(this,"_keyboardManager",new KeyboardManager([[["Escape"],ColorPicker.prototype._hideDropdownFromKeyboard],[["Space"],ColorPicker.prototype._colorSelectFromKeyboard],[["ArrowDown","ArrowRight"],ColorPicker.prototype._moveToNext],[["ArrowUp","ArrowLeft"],ColorPicker.prototype._moveToPrevious],[["Home"],ColorPicker.prototype._moveToBeginning],[["End"],ColorPicker.prototype._moveToEnd]]))}constructor({editor:t=null,uiManager:e=null}){if(t){this.#ha=!1;this.#o=t}else this.#ha=!0;this.#v=t?._uiManager||e;this.#ca=this.#v._eventBus;this.#aa=t?.color?.toUpperCase()||this.#v?.highlightColors.values().next().value||"#FFFF98";ColorPicker.#ua||=Object.freeze({blue:"pdfjs-editor-colorpicker-blue",green:"pdfjs-editor-colorpicker-green",pink:"pdfjs-editor-colorpicker-pink",red:"pdfjs-editor-colorpicker-red",yellow:"pdfjs-editor-colorpicker-yellow"})}renderButton(){const t=this.#sa=document.createElement("button");t.className="colorPicker";t.tabIndex="0";t.setAttribute("data-l10n-id","pdfjs-editor-colorpicker-button");t.ariaHasPopup="true";this.#o&&(t.ariaControls=`${this.#o.id}_colorpicker_dropdown`);const e=this.#v._signal;t.addEventListener("click",this.#pa.bind(this),{signal:e});t.addEventListener("keydown",this.#ga.bind(this),{signal:e});const i=this.#ra=document.createElement("span");i.className="swatch";i.ariaHidden="true";i.style.backgroundColor=this.#aa;t.append(i);return t}renderMainDropdown(){const t=this.#oa=this.#ma();t.ariaOrientation="horizontal";t.ariaLabelledBy="highlightColorPickerLabel";return t}#ma(){const t=document.createElement("div"),e=this.#v._signal;t.addEventListener("contextmenu",noContextMenu,{signal:e});t.className="dropdown";t.role="listbox";t.ariaMultiSelectable="false";t.ariaOrientation="vertical";t.setAttribute("data-l10n-id","pdfjs-editor-colorpicker-dropdown");this.#o&&(t.id=`${this.#o.id}_colorpicker_dropdown`);for(const[i,n]of this.#v.highlightColors){const s=document.createElement("button");s.tabIndex="0";s.role="option";s.setAttribute("data-color",n);s.title=i;s.setAttribute("data-l10n-id",ColorPicker.#ua[i]);const r=document.createElement("span");s.append(r);r.className="swatch";r.style.backgroundColor=n;s.ariaSelected=n===this.#aa;s.addEventListener("click",this.#fa.bind(this,n),{signal:e});t.append(s)}t.addEventListener("keydown",this.#ga.bind(this),{signal:e});return t}#fa(t,e){e.stopPropagation();this.#ca.dispatch("switchannotationeditorparams",{source:this,type:b.HIGHLIGHT_COLOR,value:t});this.update(t)}_colorSelectFromKeyboard(t){if(t.target===this.#sa){this.#pa(t);return}const e=t.target.getAttribute("data-color");e&&this.#fa(e,t)}_moveToNext(t){this.#ba?t.target!==this.#sa?t.target.nextSibling?.focus():this.#oa.firstElementChild?.focus():this.#pa(t)}_moveToPrevious(t){if(t.target!==this.#oa?.firstElementChild&&t.target!==this.#sa){this.#ba||this.#pa(t);t.target.previousSibling?.focus()}else this.#ba&&this._hideDropdownFromKeyboard()}_moveToBeginning(t){this.#ba?this.#oa.firstElementChild?.focus():this.#pa(t)}_moveToEnd(t){this.#ba?this.#oa.lastElementChild?.focus():this.#pa(t)}#ga(t){ColorPicker._keyboardManager.exec(this,t)}#pa(t){if(this.#ba){this.hideDropdown();return}this.#la=0===t.detail;if(!this.#da){this.#da=new AbortController;window.addEventListener("pointerdown",this.#g.bind(this),{signal:this.#v.combinedSignal(this.#da)})}this.#sa.ariaExpanded="true";if(this.#oa){this.#oa.classList.remove("hidden");return}const e=this.#oa=this.#ma();this.#sa.append(e)}#g(t){this.#oa?.contains(t.target)||this.hideDropdown()}hideDropdown(){this.#oa?.classList.add("hidden");this.#sa.ariaExpanded="false";this.#da?.abort();this.#da=null}get#ba(){return this.#oa&&!this.#oa.classList.contains("hidden")}_hideDropdownFromKeyboard(){if(!this.#ha)if(this.#ba){this.hideDropdown();this.#sa.focus({preventScroll:!0,focusVisible:this.#la})}else this.#o?.unselect()}update(t){this.#ra&&(this.#ra.style.backgroundColor=t);if(!this.#oa)return;const e=this.#v.highlightColors.values();for(const i of this.#oa.children)i.ariaSelected=e.next().value===t.toUpperCase()}destroy(){this.#sa?.remove();this.#sa=null;this.#ra=null;this.#oa?.remove();this.#oa=null}}class BasicColorPicker{#ya=null;#va=!1;#o=null;#v=null;static#ua=null;constructor(t){this.#o=t;this.#v=t._uiManager;BasicColorPicker.#ua||=Object.freeze({freetext:"pdfjs-editor-color-picker-free-text-input",ink:"pdfjs-editor-color-picker-ink-input"})}renderButton(){if(this.#ya)return this.#ya;const{editorType:t,colorType:e,colorAndOpacityType:i,opacityType:n,color:s,opacity:r}=this.#o,a=this.#va=FeatureTest.isAlphaColorInputSupported&&void 0!==n,o=this.#ya=document.createElement("input");o.type="color";if(a){o.setAttribute("alpha","");const t=Util.hexNums[Math.round(255*(r??1))];o.value=(s||"#000000")+t}else o.value=s||"#000000";o.className="basicColorPicker";o.tabIndex=0;o.setAttribute("data-l10n-id",BasicColorPicker.#ua[t]);o.addEventListener("input",()=>{if(a){const t=getRGBA(o.value);if(!t)return;const[s,r,a,l]=t,h=Util.makeHexColor(s,r,a);if(void 0!==i)this.#v.updateParams(i,{color:h,opacity:l});else{this.#v.updateParams(e,h);this.#v.updateParams(n,l)}}else this.#v.updateParams(e,o.value)},{signal:this.#v._signal});return o}update(t){if(this.#ya)if(this.#va){const e=Util.hexNums[Math.round(255*this.#o.opacity)];this.#ya.value=t+e}else this.#ya.value=t}updateOpacity(t){if(!this.#ya||!this.#va)return;const e=Util.hexNums[Math.round(255*t)];this.#ya.value=this.#o.color+e}destroy(){this.#ya?.remove();this.#ya=null}hideDropdown(){}}function makeColorComp(t){return Math.floor(255*MathClamp(t,0,1)).toString(16).padStart(2,"0")}function scaleAndClamp(t){return 255*MathClamp(t,0,1)}class ColorConverters{static CMYK_G([t,e,i,n]){return["G",1-Math.min(1,.3*t+.59*i+.11*e+n)]}static G_CMYK([t]){return["CMYK",0,0,0,1-t]}static G_RGB([t]){return["RGB",t,t,t]}static G_rgb([t]){return[t=scaleAndClamp(t),t,t]}static G_HTML([t]){const e=makeColorComp(t);return`#${e}${e}${e}`}static RGB_G([t,e,i]){return["G",.3*t+.59*e+.11*i]}static RGB_rgb(t){return t.map(scaleAndClamp)}static RGB_HTML(t){return`#${t.map(makeColorComp).join("")}`}static T_HTML(){return"#00000000"}static T_rgb(){return[null]}static CMYK_RGB([t,e,i,n]){return["RGB",1-Math.min(1,t+n),1-Math.min(1,i+n),1-Math.min(1,e+n)]}static CMYK_rgb([t,e,i,n]){return[scaleAndClamp(1-Math.min(1,t+n)),scaleAndClamp(1-Math.min(1,i+n)),scaleAndClamp(1-Math.min(1,e+n))]}static CMYK_HTML(t){const e=this.CMYK_RGB(t).slice(1);return this.RGB_HTML(e)}static RGB_CMYK([t,e,i]){const n=1-t,s=1-e,r=1-i;return["CMYK",n,s,r,Math.min(n,s,r)]}}class BaseSVGFactory{create(t,e,i=!1){if(t<=0||e<=0)throw new Error("Invalid SVG dimensions");const n=this._createSVG("svg:svg");n.setAttribute("version","1.1");if(!i){n.setAttribute("width",`${t}px`);n.setAttribute("height",`${e}px`)}n.setAttribute("preserveAspectRatio","none");n.setAttribute("viewBox",`0 0 ${t} ${e}`);return n}createElement(t){if("string"!=typeof t)throw new Error("Invalid SVG element type");return this._createSVG(t)}_createSVG(t){unreachable("Abstract method `_createSVG` called.")}}class DOMSVGFactory extends BaseSVGFactory{_createSVG(t){return document.createElementNS(s,t)}}const Ut=new WeakSet,Ht=60*(new Date).getTimezoneOffset()*1e3;class AnnotationElementFactory{static create(t){switch(t.data.annotationType){case T.LINK:return new LinkAnnotationElement(t);case T.TEXT:return new TextAnnotationElement(t);case T.WIDGET:switch(t.data.fieldType){case"Tx":return new TextWidgetAnnotationElement(t);case"Btn":return t.data.radioButton?new RadioButtonWidgetAnnotationElement(t):t.data.checkBox?new CheckboxWidgetAnnotationElement(t):new PushButtonWidgetAnnotationElement(t);case"Ch":return new ChoiceWidgetAnnotationElement(t);case"Sig":return new SignatureWidgetAnnotationElement(t)}return new WidgetAnnotationElement(t);case T.POPUP:return new PopupAnnotationElement(t);case T.FREETEXT:return new FreeTextAnnotationElement(t);case T.LINE:return new LineAnnotationElement(t);case T.SQUARE:return new SquareAnnotationElement(t);case T.CIRCLE:return new CircleAnnotationElement(t);case T.POLYLINE:return new PolylineAnnotationElement(t);case T.CARET:return new CaretAnnotationElement(t);case T.INK:return new InkAnnotationElement(t);case T.POLYGON:return new PolygonAnnotationElement(t);case T.HIGHLIGHT:return new HighlightAnnotationElement(t);case T.UNDERLINE:return new UnderlineAnnotationElement(t);case T.SQUIGGLY:return new SquigglyAnnotationElement(t);case T.STRIKEOUT:return new StrikeOutAnnotationElement(t);case T.STAMP:return new StampAnnotationElement(t);case T.FILEATTACHMENT:return new FileAttachmentAnnotationElement(t);case T.RICHMEDIA:case T.SCREEN:case T.SOUND:return new MediaAnnotationElement(t);default:return new AnnotationElement(t)}}}class AnnotationElement{#wa=null;#Aa=!1;#xa=null;constructor(t,{isRenderable:e=!1,ignoreBorder:i=!1,createQuadrilaterals:n=!1}={}){this.isRenderable=e;this.data=t.data;this.layer=t.layer;this.linkService=t.linkService;this.downloadManager=t.downloadManager;this.imageResourcesPath=t.imageResourcesPath;this.renderForms=t.renderForms;this.svgFactory=t.svgFactory;this.annotationStorage=t.annotationStorage;this.enableComment=t.enableComment;this.enableScripting=t.enableScripting;this.hasJSActions=t.hasJSActions;this._fieldObjects=t.fieldObjects;this.parent=t.parent;this.hasOwnCommentButton=!1;e&&(this.contentElement=this.container=this._createContainer(i));n&&this._createQuadrilaterals()}static _hasPopupData({contentsObj:t,richText:e}){return!(!t?.str&&!e?.str)}get _isEditable(){return this.data.isEditable}get hasPopupData(){return AnnotationElement._hasPopupData(this.data)||this.enableComment&&!!this.commentText}get commentData(){const{data:t}=this,e=this.annotationStorage?.getEditor(t.id);return e?e.getData():t}get hasCommentButton(){return this.enableComment&&this.hasPopupElement}get commentButtonPosition(){const t=this.annotationStorage?.getEditor(this.data.id);if(t)return t.commentButtonPositionInPage;const{quadPoints:e,inkLists:i,rect:n}=this.data;let s=-1/0,r=-1/0;if(e?.length>=8){for(let t=0;t<e.length;t+=8)if(e[t+1]>r){r=e[t+1];s=e[t+2]}else e[t+1]===r&&(s=Math.max(s,e[t+2]));return[s,r]}if(i?.length>=1){for(const t of i)for(let e=0,i=t.length;e<i;e+=2)if(t[e+1]>r){r=t[e+1];s=t[e]}else t[e+1]===r&&(s=Math.max(s,t[e]));if(s!==1/0)return[s,r]}return n?[n[2],n[3]]:null}_normalizePoint(t){const{page:{view:e},viewport:{rawDims:{pageWidth:i,pageHeight:n,pageX:s,pageY:r}}}=this.parent;t[1]=e[3]-t[1]+e[1];t[0]=100*(t[0]-s)/i;t[1]=100*(t[1]-r)/n;return t}get commentText(){const{data:t}=this;return this.annotationStorage.getRawValue(`${m}${t.id}`)?.popup?.contents||t.contentsObj?.str||""}set commentText(t){const{data:e}=this,i={deleted:!t,contents:t||""};this.annotationStorage.updateEditor(e.id,{popup:i})||this.annotationStorage.setValue(`${m}${e.id}`,{id:e.id,annotationType:e.annotationType,page:this.parent.page,popup:i,popupRef:e.popupRef,modificationDate:new Date});t||this.removePopup()}removePopup(){(this.#xa?.popup||this.popup)?.remove();this.#xa=this.popup=null}updateEdited(t){if(!this.container)return;t.rect&&(this.#wa||={rect:this.data.rect.slice(0)});const{rect:e,popup:i}=t;e&&this.#Ca(e);let n=this.#xa?.popup||this.popup;if(!n&&i?.text){this._createPopup(i);n=this.#xa.popup}if(n){n.updateEdited(t);if(i?.deleted){n.remove();this.#xa=null;this.popup=null}}}resetEdited(){if(this.#wa){this.#Ca(this.#wa.rect);this.#xa?.popup.resetEdited();this.#wa=null}}#Ca(t){const{container:{style:e},data:{rect:i,rotation:n},parent:{viewport:{rawDims:{pageWidth:s,pageHeight:r,pageX:a,pageY:o}}}}=this;i?.splice(0,4,...t);e.left=100*(t[0]-a)/s+"%";e.top=100*(r-t[3]+o)/r+"%";if(0===n){e.width=100*(t[2]-t[0])/s+"%";e.height=100*(t[3]-t[1])/r+"%"}else this.setRotation(n)}_createContainer(t){const{data:e,parent:{page:i,viewport:n}}=this,s=document.createElement("section");s.setAttribute("data-annotation-id",e.id);this instanceof WidgetAnnotationElement||this instanceof LinkAnnotationElement||this instanceof MediaAnnotationElement||(s.tabIndex=0);const{style:r}=s;r.zIndex=this.parent.zIndex;this.parent.zIndex+=2;e.alternativeText&&(s.title=e.alternativeText);e.noRotate&&s.classList.add("norotate");if(!e.rect||this instanceof PopupAnnotationElement){const{rotation:t}=e;e.hasOwnCanvas||0===t||this.setRotation(t,s);return s}const{width:a,height:o}=this;if(!t&&e.borderStyle.width>0){r.borderWidth=`${e.borderStyle.width}px`;const t=e.borderStyle.horizontalCornerRadius,i=e.borderStyle.verticalCornerRadius;if(t>0||i>0){const e=`calc(${t}px * var(--total-scale-factor)) / calc(${i}px * var(--total-scale-factor))`;r.borderRadius=e}switch(e.borderStyle.style){case _:r.borderStyle="solid";break;case k:r.borderStyle="dashed";break;case D:warn("Unimplemented border style: beveled");break;case P:warn("Unimplemented border style: inset");break;case M:r.borderBottomStyle="solid"}const n=e.borderColor||null;if(n){this.#Aa=!0;r.borderColor=Util.makeHexColor(...n)}else r.borderWidth=0}const l=Util.normalizeRect([e.rect[0],i.view[3]-e.rect[1]+i.view[1],e.rect[2],i.view[3]-e.rect[3]+i.view[1]]),{pageWidth:h,pageHeight:c,pageX:d,pageY:u}=n.rawDims;r.left=100*(l[0]-d)/h+"%";r.top=100*(l[1]-u)/c+"%";const{rotation:p}=e;if(e.hasOwnCanvas||0===p){r.width=100*a/h+"%";r.height=100*o/c+"%"}else this.setRotation(p,s);return s}setRotation(t,e=this.container){if(!this.data.rect)return;const{pageWidth:i,pageHeight:n}=this.parent.viewport.rawDims;let{width:s,height:r}=this;t%180!=0&&([s,r]=[r,s]);e.style.width=100*s/i+"%";e.style.height=100*r/n+"%";e.setAttribute("data-main-rotation",(360-t)%360)}get _commonActions(){const setColor=(t,e,i)=>{const n=i.detail[t],s=n[0],r=n.slice(1);i.target.style[e]=ColorConverters[`${s}_HTML`](r);this.annotationStorage.setValue(this.data.id,{[e]:ColorConverters[`${s}_rgb`](r)})};return shadow(this,"_commonActions",{display:t=>{const{display:e}=t.detail,i=e%2==1;this.container.style.visibility=i?"hidden":"visible";this.annotationStorage.setValue(this.data.id,{noView:i,noPrint:1===e||2===e})},print:t=>{this.annotationStorage.setValue(this.data.id,{noPrint:!t.detail.print})},hidden:t=>{const{hidden:e}=t.detail;this.container.style.visibility=e?"hidden":"visible";this.annotationStorage.setValue(this.data.id,{noPrint:e,noView:e})},focus:t=>{setTimeout(()=>t.target.focus({preventScroll:!1}),0)},userName:t=>{t.target.title=t.detail.userName},readonly:t=>{t.target.disabled=t.detail.readonly},required:t=>{this._setRequired(t.target,t.detail.required)},bgColor:t=>{setColor("bgColor","backgroundColor",t)},fillColor:t=>{setColor("fillColor","backgroundColor",t)},fgColor:t=>{setColor("fgColor","color",t)},textColor:t=>{setColor("textColor","color",t)},borderColor:t=>{setColor("borderColor","borderColor",t)},strokeColor:t=>{setColor("strokeColor","borderColor",t)},rotation:t=>{const e=t.detail.rotation;this.setRotation(e);this.annotationStorage.setValue(this.data.id,{rotation:e})}})}_dispatchEventFromSandbox(t,e){const i=this._commonActions;for(const n of Object.keys(e.detail)){const s=t[n]||i[n];s?.(e)}}_setDefaultPropertiesFromJS(t){if(!this.enableScripting)return;const e=this.annotationStorage.getRawValue(this.data.id);if(!e)return;const i=this._commonActions;for(const[n,s]of Object.entries(e)){const r=i[n];if(r){r({detail:{[n]:s},target:t});delete e[n]}}}_createQuadrilaterals(){if(!this.container)return;const{quadPoints:t}=this.data;if(!t)return;const[e,i,n,r]=this.data.rect.map(Math.fround);if(8===t.length){const[s,a,o,l]=t.subarray(2,6);if(n===s&&r===a&&e===o&&i===l)return}const{style:a}=this.container;let o;if(this.#Aa){const{borderColor:t,borderWidth:e}=a;a.borderWidth=0;o=["url('data:image/svg+xml;utf8,",`<svg xmlns="${s}" preserveAspectRatio="none" viewBox="0 0 1 1">`,`<g fill="transparent" stroke="${t}" stroke-width="${e}">`];this.container.classList.add("hasBorder")}const l=n-e,h=r-i,{svgFactory:c}=this,d=c.createElement("svg");d.classList.add("quadrilateralsContainer");d.setAttribute("width",0);d.setAttribute("height",0);d.role="none";const u=c.createElement("defs");d.append(u);const p=c.createElement("clipPath"),g=`clippath_${this.data.id}`;p.setAttribute("id",g);p.setAttribute("clipPathUnits","objectBoundingBox");u.append(p);for(let i=2,n=t.length;i<n;i+=8){const n=t[i],s=t[i+1],a=t[i+2],d=t[i+3],u=c.createElement("rect"),g=(a-e)/l,m=(r-s)/h,f=(n-a)/l,b=(s-d)/h;u.setAttribute("x",g);u.setAttribute("y",m);u.setAttribute("width",f);u.setAttribute("height",b);p.append(u);o?.push(`<rect vector-effect="non-scaling-stroke" x="${g}" y="${m}" width="${f}" height="${b}"/>`)}if(this.#Aa){o.push("</g></svg>')");a.backgroundImage=o.join("")}this.container.append(d);this.container.style.clipPath=`url(#${g})`}_createPopup(t=null){const{data:e}=this;let i,n;if(t){i={str:t.text};n=t.date}else{i=e.contentsObj;n=e.modificationDate}this.#xa=new PopupAnnotationElement({data:{color:e.color,titleObj:e.titleObj,modificationDate:n,contentsObj:i,richText:e.richText,parentRect:e.rect,borderStyle:0,id:`popup_${e.id}`,rotation:e.rotation,noRotate:!0},linkService:this.linkService,parent:this.parent,elements:[this]})}get hasPopupElement(){return!!(this.#xa||this.popup||this.data.popupRef)}get extraPopupElement(){return this.#xa}render(){unreachable("Abstract method `AnnotationElement.render` called")}_getElementsByName(t,e=null){const i=[];if(this._fieldObjects){const n=this._fieldObjects.get(t)||[];for(const{page:t,id:s,exportValues:r}of n){if(-1===t)continue;if(s===e)continue;const n="string"==typeof r?r:null,a=document.querySelector(`[data-element-id="${s}"]`);!a||Ut.has(a)?i.push({id:s,exportValue:n,domElement:a}):warn(`_getElementsByName - element not allowed: ${s}`)}return i}for(const n of document.getElementsByName(t)){const{exportValue:t}=n,s=n.getAttribute("data-element-id");s!==e&&(Ut.has(n)&&i.push({id:s,exportValue:t,domElement:n}))}return i}show(){this.container&&(this.container.hidden=!1);this.popup?.maybeShow()}hide(){this.container&&(this.container.hidden=!0);this.popup?.forceHide()}getElementsToTriggerPopup(){return this.container}addHighlightArea(){const t=this.getElementsToTriggerPopup();if(Array.isArray(t))for(const e of t)e.classList.add("highlightArea");else t.classList.add("highlightArea")}_editOnDoubleClick(){if(!this._isEditable)return;const{annotationEditorType:t,data:{id:e}}=this;this.container.addEventListener("dblclick",()=>{this.linkService.eventBus?.dispatch("switchannotationeditormode",{source:this,mode:t,editId:e,mustEnterInEditMode:!0})})}updateOC(t){if(!this.data.oc||!t)return;t.isVisible(this.data.oc)?this.show():this.hide()}get width(){return this.data.rect[2]-this.data.rect[0]}get height(){return this.data.rect[3]-this.data.rect[1]}_setBackgroundColor(t){const e=this.data.backgroundColor||null;t.style.backgroundColor=null===e?"transparent":Util.makeHexColor(...e)}}class EditorAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0});this.editor=t.editor}render(){this.container.className="editorAnnotation";return this.container}createOrUpdatePopup(){const{editor:t}=this;t.hasComment&&this._createPopup(t.comment)}get hasCommentButton(){return this.enableComment&&this.editor.hasComment}get commentButtonPosition(){return this.editor.commentButtonPositionInPage}get commentText(){return this.editor.comment.text}set commentText(t){this.editor.comment=t;t||this.removePopup()}get commentData(){return this.editor.getData()}remove(){this.parent.removeAnnotation(this.data.id);this.container.remove();this.container=null;this.removePopup()}}class LinkAnnotationElement extends AnnotationElement{constructor(t,e=null){super(t,{isRenderable:!0,ignoreBorder:!!e?.ignoreBorder,createQuadrilaterals:!0});this.isTooltipOnly=t.data.isTooltipOnly}render(){const{data:t,linkService:e}=this,i=document.createElement("a");i.setAttribute("data-element-id",t.id);let n=!1;if(t.url){e.addLinkAttributes(i,t.url,t.newWindow);n=!0}else if(t.action){this._bindNamedAction(i,t.action,t.overlaidText);n=!0}else if(t.attachment){this.#Ea(i,t.attachmentId,t.attachment,t.overlaidText,t.attachmentDest);n=!0}else if(t.setOCGState){this.#Sa(i,t.setOCGState,t.overlaidText);n=!0}else if(t.dest){this._bindLink(i,t.dest,t.overlaidText);n=!0}else{if(t.actions&&(t.actions.has("Action")||t.actions.has("Mouse Up")||t.actions.has("Mouse Down"))&&this.enableScripting&&this.hasJSActions){this._bindJSAction(i,t);n=!0}if(t.resetForm){this._bindResetFormAction(i,t.resetForm);n=!0}else if(this.isTooltipOnly&&!n){this._bindLink(i,"");n=!0}}this.container.classList.add("linkAnnotation");if(n){this.contentElement=i;this.container.append(i)}return this.container}#Ta(){this.container.setAttribute("data-internal-link","")}_bindLink(t,e,i=""){t.href=this.linkService.getDestinationHash(e);t.onclick=()=>{e&&this.linkService.goToDestination(e);return!1};(e||""===e)&&this.#Ta();i&&(t.title=i)}_bindNamedAction(t,e,i=""){t.href=this.linkService.getAnchorUrl("");t.onclick=()=>{this.linkService.executeNamedAction(e);return!1};i&&(t.title=i);this.#Ta()}#Ea(t,e,i,n="",s=null){t.href=this.linkService.getAnchorUrl("");i.description?t.title=i.description:n&&(t.title=n);const openAttachment=async()=>{const t=await this.linkService.getAttachmentContent(e);t&&this.downloadManager?.openOrDownloadData(t,i.filename,s)};t.onclick=()=>{openAttachment();return!1};this.#Ta()}#Sa(t,e,i=""){t.href=this.linkService.getAnchorUrl("");t.onclick=()=>{this.linkService.executeSetOCGState(e);return!1};i&&(t.title=i);this.#Ta()}_bindJSAction(t,{actions:e,id:i,overlaidText:n}){t.href=this.linkService.getAnchorUrl("");const s=new Map([["Action","onclick"],["Mouse Up","onmouseup"],["Mouse Down","onmousedown"]]);for(const n of e.keys()){const e=s.get(n);e&&(t[e]=()=>{this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:i,name:n}});return!1})}n&&(t.title=n);t.onclick||=()=>!1;this.#Ta()}_bindResetFormAction(t,e){const i=t.onclick;i||(t.href=this.linkService.getAnchorUrl(""));this.#Ta();if(this._fieldObjects)t.onclick=()=>{i?.();const{fields:t,refs:n,include:s}=e,r=[];if(0!==t.length||0!==n.length){const e=new Set(n);for(const i of t){const t=this._fieldObjects.get(i)||[];for(const{id:i}of t)e.add(i)}for(const t of this._fieldObjects.values())for(const i of t)e.has(i.id)===s&&r.push(i)}else for(const t of this._fieldObjects.values())r.push(...t);const a=this.annotationStorage,o=[];for(const t of r){const{id:e}=t;o.push(e);switch(t.type){case"text":{const i=t.defaultValue||"";a.setValue(e,{value:i});break}case"checkbox":case"radiobutton":{const i=t.defaultValue===t.exportValues;a.setValue(e,{value:i});break}case"combobox":case"listbox":{const i=t.defaultValue||"";a.setValue(e,{value:i});break}default:continue}const i=document.querySelector(`[data-element-id="${e}"]`);i&&(Ut.has(i)?i.dispatchEvent(new Event("resetform")):warn(`_bindResetFormAction - element not allowed: ${e}`))}this.enableScripting&&this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:"app",ids:o,name:"ResetForm"}});return!1};else{warn('_bindResetFormAction - "resetForm" action not supported, ensure that the `fieldObjects` parameter is provided.');i||(t.onclick=()=>!1)}}}class TextAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0})}render(){this.container.classList.add("textAnnotation");const t=document.createElement("img");t.src=this.imageResourcesPath+"annotation-"+this.data.name.toLowerCase()+".svg";t.setAttribute("data-l10n-id","pdfjs-text-annotation-type");t.setAttribute("data-l10n-args",JSON.stringify({type:this.data.name}));if(!this.data.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this.container.append(t);return this.container}}class WidgetAnnotationElement extends AnnotationElement{render(){return this.container}_getKeyModifier(t){return FeatureTest.platform.isMac?t.metaKey:t.ctrlKey}_setEventListener(t,e,i,n,s){i.includes("mouse")?t.addEventListener(i,t=>{this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:this.data.id,name:n,value:s(t),shift:t.shiftKey,modifier:this._getKeyModifier(t)}})}):t.addEventListener(i,t=>{if("blur"===i){if(!e.focused||!t.relatedTarget)return;e.focused=!1}else if("focus"===i){if(e.focused)return;e.focused=!0}s&&this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:this.data.id,name:n,value:s(t)}})})}_setEventListeners(t,e,i,n){const{actions:s}=this.data;for(const[r,a]of i)if("Action"===a||s?.has(a)){"Focus"!==a&&"Blur"!==a||(e||={focused:!1});this._setEventListener(t,e,r,a,n);"Focus"!==a||s?.has("Blur")?"Blur"!==a||s?.has("Focus")||this._setEventListener(t,e,"focus","Focus",null):this._setEventListener(t,e,"blur","Blur",null)}}_setTextStyle(t){const e=["left","center","right"],{fontColor:i}=this.data.defaultAppearanceData,n=this.data.defaultAppearanceData.fontSize||9,s=t.style;let r;const roundToOneDecimal=t=>Math.round(10*t)/10;if(this.data.multiLine){const t=Math.abs(this.data.rect[3]-this.data.rect[1]-2),e=t/(Math.round(t/(1.35*n))||1);r=Math.min(n,roundToOneDecimal(e/1.35))}else{const t=Math.abs(this.data.rect[3]-this.data.rect[1]-2);r=Math.min(n,roundToOneDecimal(t/1.35))}s.fontSize=`calc(${r}px * var(--total-scale-factor))`;s.color=Util.makeHexColor(...i);null===this.data.textAlignment||this.data.comb||(s.textAlign=e[this.data.textAlignment])}_setRequired(t,e){e?t.setAttribute("required",!0):t.removeAttribute("required");t.setAttribute("aria-required",e)}}class TextWidgetAnnotationElement extends WidgetAnnotationElement{constructor(t){super(t,{isRenderable:t.renderForms||t.data.hasOwnCanvas||!t.data.hasAppearance&&!!t.data.fieldValue})}setPropertyOnSiblings(t,e,i,n){const s=this.annotationStorage;for(const r of this._getElementsByName(t.name,t.id)){r.domElement&&(r.domElement[e]=i);s.setValue(r.id,{[n]:i})}}render(){const t=this.annotationStorage,e=this.data.id;this.container.classList.add("textWidgetAnnotation");let i=null;if(this.renderForms){const n=t.getValue(e,{value:this.data.fieldValue});let s=n.value||"";const r=t.getValue(e,{charLimit:this.data.maxLen}).charLimit;r&&s.length>r&&(s=s.slice(0,r));let a=n.formattedValue||this.data.textContent?.join("\n")||null;a&&this.data.comb&&(a=a.replaceAll(/\s+/g,""));const o={userValue:s,formattedValue:a,lastCommittedValue:null,commitKey:1,focused:!1};if(this.data.multiLine){i=document.createElement("textarea");i.textContent=a??s;this.data.doNotScroll&&(i.style.overflowY="hidden")}else{i=document.createElement("input");i.type=this.data.password?"password":"text";i.setAttribute("value",a??s);this.data.doNotScroll&&(i.style.overflowX="hidden")}if(this.data.hasOwnCanvas){this.container.classList.add("hasOwnCanvas");t.has(e)&&this.container.classList.add("sandboxModified")}Ut.add(i);this.contentElement=i;i.setAttribute("data-element-id",e);i.disabled=this.data.readOnly;i.name=this.data.fieldName;i.tabIndex=0;const{datetimeFormat:l,datetimeType:h,timeStep:c}=this.data,d=!!h&&this.enableScripting;l&&(i.title=l);this._setRequired(i,this.data.required);r&&(i.maxLength=r);i.addEventListener("input",n=>{t.setValue(e,{value:n.target.value});this.setPropertyOnSiblings(i,"value",n.target.value,"value");o.formattedValue=null});i.addEventListener("resetform",t=>{const e=this.data.defaultFieldValue??"";i.value=o.userValue=e;o.formattedValue=null});let blurListener=t=>{const{formattedValue:e}=o;null!=e&&(t.target.value=e);t.target.scrollLeft=0};if(this.enableScripting&&this.hasJSActions){i.addEventListener("focus",t=>{if(o.focused)return;const{target:e}=t;if(d){e.type=h;c&&(e.step=c)}if(o.userValue){const t=o.userValue;if(d)if("time"===h){const i=new Date(t),n=[i.getHours(),i.getMinutes(),i.getSeconds()];e.value=n.map(t=>t.toString().padStart(2,"0")).join(":")}else e.value=new Date(t-Ht).toISOString().split("date"===h?"T":".",1)[0];else e.value=t}o.lastCommittedValue=e.value;o.commitKey=1;this.data.actions?.has("Focus")||(o.focused=!0)});i.addEventListener("updatefromsandbox",i=>{this.container.classList.add("sandboxModified");const n={value(i){o.userValue=i.detail.value??"";d||t.setValue(e,{value:o.userValue.toString()});i.target.value=o.userValue},formattedValue(i){const{formattedValue:n}=i.detail;o.formattedValue=n;null!=n&&i.target!==document.activeElement&&(i.target.value=n);const s={formattedValue:n};d&&(s.value=n);t.setValue(e,s)},selRange(t){t.target.setSelectionRange(...t.detail.selRange)},charLimit:i=>{const{charLimit:n}=i.detail,{target:s}=i;if(0===n){s.removeAttribute("maxLength");return}s.setAttribute("maxLength",n);let r=o.userValue;if(r&&!(r.length<=n)){r=r.slice(0,n);s.value=o.userValue=r;t.setValue(e,{value:r});this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:e,name:"Keystroke",value:r,willCommit:!0,commitKey:1,selStart:s.selectionStart,selEnd:s.selectionEnd}})}}};this._dispatchEventFromSandbox(n,i)});i.addEventListener("keydown",t=>{o.commitKey=1;let i=-1;"Escape"===t.key?i=0:"Enter"!==t.key||this.data.multiLine?"Tab"===t.key&&(o.commitKey=3):i=2;if(-1===i)return;const{value:n}=t.target;if(o.lastCommittedValue!==n){o.lastCommittedValue=n;o.userValue=n;this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:e,name:"Keystroke",value:n,willCommit:!0,commitKey:i,selStart:t.target.selectionStart,selEnd:t.target.selectionEnd}})}});const n=blurListener;blurListener=null;i.addEventListener("blur",t=>{if(!o.focused||!t.relatedTarget)return;this.data.actions?.has("Blur")||(o.focused=!1);const{target:i}=t;let{value:s}=i;if(d){if(s&&"time"===h){const t=s.split(":").map(t=>parseInt(t,10));s=new Date(2e3,0,1,t[0],t[1],t[2]||0).valueOf();i.step=""}else{s.includes("T")||(s=`${s}T00:00`);s=new Date(s).valueOf()}i.type="text"}o.userValue=s;o.lastCommittedValue!==s&&this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:e,name:"Keystroke",value:s,willCommit:!0,commitKey:o.commitKey,selStart:t.target.selectionStart,selEnd:t.target.selectionEnd}});n(t)});this.data.actions?.has("Keystroke")&&i.addEventListener("beforeinput",t=>{o.lastCommittedValue=null;const{data:i,target:n}=t,{value:s,selectionStart:r,selectionEnd:a}=n;let l=r,h=a;switch(t.inputType){case"deleteWordBackward":{const t=/\w/;for(;l>0&&!t.test(s[l-1]);)l--;for(;l>0&&t.test(s[l-1]);)l--;break}case"deleteWordForward":{const t=s.substring(r).match(/^\W*\w*/);t&&(h+=t[0].length);break}case"deleteContentBackward":r===a&&(l-=1);break;case"deleteContentForward":r===a&&(h+=1)}t.preventDefault();this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:e,name:"Keystroke",value:s,change:i||"",willCommit:!1,selStart:l,selEnd:h}})});this._setEventListeners(i,o,[["focus","Focus"],["blur","Blur"],["mousedown","Mouse Down"],["mouseenter","Mouse Enter"],["mouseleave","Mouse Exit"],["mouseup","Mouse Up"]],t=>t.target.value)}blurListener&&i.addEventListener("blur",blurListener);if(this.data.comb){const t=(this.data.rect[2]-this.data.rect[0])/r;i.classList.add("comb");i.style.setProperty("--comb-width",`calc(${t}px * var(--total-scale-factor))`);const e=this.data.textAlignment;if(1===e||2===e){const setCombOffset=()=>{const t=r-i.value.length;i.style.setProperty("--comb-offset",`${1===e?t>>1:t}`)};setCombOffset();for(const t of["input","blur","resetform","updatefromsandbox"])i.addEventListener(t,setCombOffset)}}}else{i=document.createElement("div");i.textContent=this.data.fieldValue;i.style.verticalAlign="middle";i.style.display="table-cell";this.data.hasOwnCanvas&&(i.hidden=!0)}this._setTextStyle(i);this._setBackgroundColor(i);this._setDefaultPropertiesFromJS(i);this.container.append(i);return this.container}}class SignatureWidgetAnnotationElement extends WidgetAnnotationElement{constructor(t){super(t,{isRenderable:!!t.data.hasOwnCanvas})}}class CheckboxWidgetAnnotationElement extends WidgetAnnotationElement{constructor(t){super(t,{isRenderable:t.renderForms})}render(){const t=this.annotationStorage,e=this.data,i=e.id;let n=t.getValue(i,{value:e.exportValue===e.fieldValue}).value;if("string"==typeof n){n="Off"!==n;t.setValue(i,{value:n})}this.container.classList.add("buttonWidgetAnnotation","checkBox");const s=document.createElement("input");Ut.add(s);s.setAttribute("data-element-id",i);s.disabled=e.readOnly;this._setRequired(s,this.data.required);s.type="checkbox";s.name=e.fieldName;n&&s.setAttribute("checked",!0);s.setAttribute("exportValue",e.exportValue);s.tabIndex=0;s.addEventListener("change",n=>{const{name:s,checked:r}=n.target;for(const n of this._getElementsByName(s,i)){const i=r&&n.exportValue===e.exportValue;n.domElement&&(n.domElement.checked=i);t.setValue(n.id,{value:i})}t.setValue(i,{value:r})});s.addEventListener("resetform",t=>{const i=e.defaultFieldValue||"Off";t.target.checked=i===e.exportValue});if(this.enableScripting&&this.hasJSActions){s.addEventListener("updatefromsandbox",e=>{const n={value(e){e.target.checked="Off"!==e.detail.value;t.setValue(i,{value:e.target.checked})}};this._dispatchEventFromSandbox(n,e)});this._setEventListeners(s,null,[["change","Validate"],["change","Action"],["focus","Focus"],["blur","Blur"],["mousedown","Mouse Down"],["mouseenter","Mouse Enter"],["mouseleave","Mouse Exit"],["mouseup","Mouse Up"]],t=>t.target.checked)}this._setDefaultPropertiesFromJS(s);this.container.append(s);return this.container}}class RadioButtonWidgetAnnotationElement extends WidgetAnnotationElement{constructor(t){super(t,{isRenderable:t.renderForms})}render(){this.container.classList.add("buttonWidgetAnnotation","radioButton");const t=this.annotationStorage,e=this.data,i=e.id;let n=t.getValue(i,{value:null!==e.buttonValue&&e.fieldValue===e.buttonValue}).value;if("string"==typeof n){n=n!==e.buttonValue;t.setValue(i,{value:n})}if(n)for(const n of this._getElementsByName(e.fieldName,i))t.setValue(n.id,{value:!1});const s=document.createElement("input");Ut.add(s);s.setAttribute("data-element-id",i);s.disabled=e.readOnly;this._setRequired(s,this.data.required);s.type="radio";s.name=e.fieldName;n&&s.setAttribute("checked",!0);s.tabIndex=0;s.addEventListener("change",e=>{const{name:n,checked:s}=e.target;for(const e of this._getElementsByName(n,i))t.setValue(e.id,{value:!1});t.setValue(i,{value:s})});s.addEventListener("resetform",t=>{const i=e.defaultFieldValue;t.target.checked=null!=i&&i===e.buttonValue});if(this.enableScripting&&this.hasJSActions){const n=e.buttonValue;s.addEventListener("updatefromsandbox",e=>{const s={value:e=>{const s=n===e.detail.value;for(const n of this._getElementsByName(e.target.name)){const e=s&&n.id===i;n.domElement&&(n.domElement.checked=e);t.setValue(n.id,{value:e})}}};this._dispatchEventFromSandbox(s,e)});this._setEventListeners(s,null,[["change","Validate"],["change","Action"],["focus","Focus"],["blur","Blur"],["mousedown","Mouse Down"],["mouseenter","Mouse Enter"],["mouseleave","Mouse Exit"],["mouseup","Mouse Up"]],t=>t.target.checked)}this._setDefaultPropertiesFromJS(s);this.container.append(s);return this.container}}class PushButtonWidgetAnnotationElement extends LinkAnnotationElement{constructor(t){super(t,{ignoreBorder:t.data.hasAppearance})}render(){const t=super.render();t.classList.add("buttonWidgetAnnotation","pushButton");const e=t.lastChild;if(this.enableScripting&&this.hasJSActions&&e){this._setDefaultPropertiesFromJS(e);e.addEventListener("updatefromsandbox",t=>{this._dispatchEventFromSandbox({},t)})}return t}}class ChoiceWidgetAnnotationElement extends WidgetAnnotationElement{constructor(t){super(t,{isRenderable:t.renderForms})}render(){this.container.classList.add("choiceWidgetAnnotation");const t=this.annotationStorage,e=this.data.id,i=t.getValue(e,{value:this.data.fieldValue}),n=document.createElement("select");Ut.add(n);n.setAttribute("data-element-id",e);n.disabled=this.data.readOnly;this._setRequired(n,this.data.required);n.name=this.data.fieldName;n.tabIndex=0;let s=this.data.combo&&this.data.options.length>0;if(!this.data.combo){n.size=this.data.options.length;this.data.multiSelect&&(n.multiple=!0)}n.addEventListener("resetform",t=>{const e=this.data.defaultFieldValue;for(const t of n.options)t.selected=t.value===e});const fixDisplayValue=(t,e)=>{const i=e.replaceAll(" "," ");t.textContent=i;i!==e&&t.setAttribute("display-value",e)};for(const t of this.data.options){const e=document.createElement("option");fixDisplayValue(e,t.displayValue);e.value=t.exportValue;if(i.value.includes(t.exportValue)){e.setAttribute("selected",!0);s=!1}n.append(e)}let r=null;if(s){const t=document.createElement("option");t.value=" ";t.setAttribute("hidden",!0);t.setAttribute("selected",!0);n.prepend(t);r=()=>{t.remove();n.removeEventListener("input",r);r=null};n.addEventListener("input",r)}const getValue=t=>{const e=t?"value":"textContent",{options:i,multiple:s}=n;return s?Array.prototype.filter.call(i,t=>t.selected).map(t=>t[e]):-1===i.selectedIndex?null:i[i.selectedIndex][e]};let a=getValue(!1);const getItems=t=>{const e=t.target.options;return Array.prototype.map.call(e,t=>({displayValue:t.getAttribute("display-value")||t.textContent,exportValue:t.value}))};if(this.enableScripting&&this.hasJSActions){n.addEventListener("updatefromsandbox",i=>{const s={value(i){r?.();const s=i.detail.value,o=new Set(Array.isArray(s)?s:[s]);for(const t of n.options)t.selected=o.has(t.value);t.setValue(e,{value:getValue(!0)});a=getValue(!1)},multipleSelection(t){n.multiple=!0},remove(i){const s=n.options,r=i.detail.remove;s[r].selected=!1;n.remove(r);if(s.length>0){-1===Array.prototype.findIndex.call(s,t=>t.selected)&&(s[0].selected=!0)}t.setValue(e,{value:getValue(!0),items:getItems(i)});a=getValue(!1)},clear(i){for(;0!==n.length;)n.remove(0);t.setValue(e,{value:null,items:[]});a=getValue(!1)},insert(i){const{index:s,displayValue:r,exportValue:o}=i.detail.insert,l=n.children[s],h=document.createElement("option");fixDisplayValue(h,r);h.value=o;l?l.before(h):n.append(h);t.setValue(e,{value:getValue(!0),items:getItems(i)});a=getValue(!1)},items(i){const{items:s}=i.detail;for(;0!==n.length;)n.remove(0);for(const t of s){const{displayValue:e,exportValue:i}=t,s=document.createElement("option");fixDisplayValue(s,e);s.value=i;n.append(s)}n.options.length>0&&(n.options[0].selected=!0);t.setValue(e,{value:getValue(!0),items:getItems(i)});a=getValue(!1)},indices(i){const n=new Set(i.detail.indices);for(const t of i.target.options)t.selected=n.has(t.index);t.setValue(e,{value:getValue(!0)});a=getValue(!1)},editable(t){t.target.disabled=!t.detail.editable}};this._dispatchEventFromSandbox(s,i)});n.addEventListener("input",i=>{const n=getValue(!0),s=getValue(!1);t.setValue(e,{value:n});i.preventDefault();this.linkService.eventBus?.dispatch("dispatcheventinsandbox",{source:this,detail:{id:e,name:"Keystroke",value:a,change:s,changeEx:n,willCommit:!1,commitKey:1,keyDown:!1}})});this._setEventListeners(n,null,[["focus","Focus"],["blur","Blur"],["mousedown","Mouse Down"],["mouseenter","Mouse Enter"],["mouseleave","Mouse Exit"],["mouseup","Mouse Up"],["input","Action"],["input","Validate"]],t=>t.target.value)}else n.addEventListener("input",function(i){t.setValue(e,{value:getValue(!0)})});this.data.combo&&this._setTextStyle(n);this._setBackgroundColor(n);this._setDefaultPropertiesFromJS(n);this.container.append(n);return this.container}}class PopupAnnotationElement extends AnnotationElement{constructor(t){const{data:e,elements:i,parent:n}=t,s=!!n._commentManager;super(t,{isRenderable:!s&&AnnotationElement._hasPopupData(e)});this.elements=i;if(s&&AnnotationElement._hasPopupData(e)){const t=this.popup=this.#_a();for(const e of i)e.popup=t}else this.popup=null}#_a(){return new PopupElement({container:this.container,color:this.data.color,titleObj:this.data.titleObj,modificationDate:this.data.modificationDate||this.data.creationDate,contentsObj:this.data.contentsObj,richText:this.data.richText,rect:this.data.rect,parentRect:this.data.parentRect||null,parent:this.parent,elements:this.elements,open:this.data.open,commentManager:this.parent._commentManager})}render(){const{container:t}=this;t.classList.add("popupAnnotation");t.role="comment";const e=this.popup=this.#_a(),i=[];for(const t of this.elements){t.popup=e;t.container.ariaHasPopup="dialog";i.push(t.data.id);t.addHighlightArea()}this.container.setAttribute("aria-controls",i.map(t=>`${g}${t}`).join(","));return this.container}}class PopupElement{#K=null;#ka=this.#ga.bind(this);#Da=this.#Pa.bind(this);#Ma=this.#Ia.bind(this);#Fa=this.#Oa.bind(this);#Ba=null;#Pt=null;#Ra=null;#La=null;#Na=null;#Ua=null;#Ha=null;#Ga=!1;#za=null;#Wa=null;#O=null;#Va=null;#$a=null;#xe=null;#ja=null;#ye=null;#Xa=null;#wa=null;#Ka=!1;#Ya=null;#qa=null;constructor({container:t,color:e,elements:i,titleObj:n,modificationDate:s,contentsObj:r,richText:a,parent:o,rect:l,parentRect:h,open:c,commentManager:d=null}){this.#Pt=t;this.#Xa=n;this.#Ra=r;this.#ye=a;this.#Ua=o;this.#Ba=e;this.#ja=l;this.#Ha=h;this.#Na=i;this.#K=d;this.#Ya=i[0];this.#La=PDFDateString.toDateObject(s);this.trigger=i.flatMap(t=>t.getElementsToTriggerPopup());if(!d){this.#Qa();this.#Pt.hidden=!0;c&&this.#Oa()}}#Qa(){if(this.#Wa)return;this.#Wa=new AbortController;const{signal:t}=this.#Wa;for(const e of this.trigger){e.addEventListener("click",this.#Fa,{signal:t});e.addEventListener("pointerenter",this.#Ma,{signal:t});e.addEventListener("pointerleave",this.#Da,{signal:t});e.classList.add("popupTriggerArea")}for(const e of this.#Na)e.container?.addEventListener("keydown",this.#ka,{signal:t})}#Ja(){const t=this.#Na.find(t=>t.hasCommentButton);t&&(this.#$a=t._normalizePoint(t.commentButtonPosition))}renderCommentButton(){if(this.#Va){this.#Va.parentNode||this.#Ya.container.after(this.#Va);return}this.#$a||this.#Ja();if(!this.#$a)return;const{signal:t}=this.#Wa=new AbortController,e=this.#Ya.hasOwnCommentButton,togglePopup=()=>{this.#K.toggleCommentPopup(this,!0,void 0,!e)},showPopup=()=>{this.#K.toggleCommentPopup(this,!1,!0,!e)},hidePopup=()=>{this.#K.toggleCommentPopup(this,!1,!1)};if(e){this.#Va=this.#Ya.container;for(const e of this.trigger){e.ariaHasPopup="dialog";e.ariaControls="commentPopup";e.addEventListener("keydown",this.#ka,{signal:t});e.addEventListener("click",togglePopup,{signal:t});e.addEventListener("pointerenter",showPopup,{signal:t});e.addEventListener("pointerleave",hidePopup,{signal:t});e.classList.add("popupTriggerArea")}}else{const e=this.#Va=document.createElement("button");e.className="annotationCommentButton";const i=this.#Ya.container;e.style.zIndex=parseInt(i.style.zIndex,10)+1;e.tabIndex=0;e.ariaHasPopup="dialog";e.ariaControls="commentPopup";e.setAttribute("data-l10n-id","pdfjs-show-comment-button");this.#Za();this.#to();e.addEventListener("keydown",this.#ka,{signal:t});e.addEventListener("click",togglePopup,{signal:t});e.addEventListener("pointerenter",showPopup,{signal:t});e.addEventListener("pointerleave",hidePopup,{signal:t});i.after(e)}}#to(){if(this.#Ya.extraPopupElement&&!this.#Ya.editor)return;this.#Va||this.renderCommentButton();const[t,e]=this.#$a,{style:i}=this.#Va;i.left=`calc(${t}%)`;i.top=`calc(${e}% - var(--comment-button-dim))`}#Za(){if(!this.#Ya.extraPopupElement){this.#Va||this.renderCommentButton();this.#Va.style.backgroundColor=this.commentButtonColor||""}}get commentButtonColor(){const{color:t,opacity:e}=this.#Ya.commentData;return t?this.#Ua._commentManager.makeCommentColor(t,e):null}focusCommentButton(){setTimeout(()=>{this.#Va?.focus()},0)}getData(){const{richText:t,color:e,opacity:i,creationDate:n,modificationDate:s}=this.#Ya.commentData;return{contentsObj:{str:this.comment},richText:t,color:e,opacity:i,creationDate:n,modificationDate:s}}get elementBeforePopup(){return this.#Va}get comment(){this.#qa||=this.#Ya.commentText;return this.#qa}set comment(t){t!==this.comment&&(this.#Ya.commentText=this.#qa=t)}focus(){this.#Ya.container?.focus()}get parentBoundingClientRect(){return this.#Ya.layer.getBoundingClientRect()}setCommentButtonStates({selected:t,hasPopup:e}){if(this.#Va){this.#Va.classList.toggle("selected",t);this.#Va.ariaExpanded=e}}setSelectedCommentButton(t){this.#Va.classList.toggle("selected",t)}get commentPopupPosition(){if(this.#xe)return this.#xe;const{x:t,y:e,height:i}=this.#Va.getBoundingClientRect(),{x:n,y:s,width:r,height:a}=this.#Ya.layer.getBoundingClientRect();return[(t-n)/r,(e+i-s)/a]}set commentPopupPosition(t){this.#xe=t}hasDefaultPopupPosition(){return null===this.#xe}get commentButtonPosition(){return this.#$a}get commentButtonWidth(){return this.#Va.getBoundingClientRect().width/this.parentBoundingClientRect.width}editComment(t){const[e,i]=this.#xe||this.commentButtonPosition.map(t=>t/100),n=this.parentBoundingClientRect,{x:s,y:r,width:a,height:o}=n;this.#K.showDialog(null,this,s+e*a,r+i*o,{...t,parentDimensions:n})}render(){if(this.#za)return;const t=this.#za=document.createElement("div");t.className="popup";if(this.#Ba){const e=t.style.outlineColor=Util.makeHexColor(...this.#Ba);t.style.backgroundColor=`color-mix(in srgb, ${e} 30%, white)`}const e=document.createElement("span");e.className="header";if(this.#Xa?.str){const t=document.createElement("span");t.className="title";e.append(t);({dir:t.dir,str:t.textContent}=this.#Xa)}t.append(e);if(this.#La){const t=document.createElement("time");t.className="popupDate";t.setAttribute("data-l10n-id","pdfjs-annotation-date-time-string");t.setAttribute("data-l10n-args",JSON.stringify({dateObj:this.#La.valueOf()}));t.dateTime=this.#La.toISOString();e.append(t)}renderRichText({html:this.#eo||this.#Ra.str,dir:this.#Ra?.dir,className:"popupContent"},t);this.#Pt.append(t)}get#eo(){const t=this.#ye,e=this.#Ra;return!t?.str||e?.str&&e.str!==t.str?null:this.#ye.html||null}get#io(){return this.#eo?.attributes?.style?.fontSize||0}get#no(){return this.#eo?.attributes?.style?.color||null}#so(t){const e=[],i={str:t,html:{name:"div",attributes:{dir:"auto"},children:[{name:"p",children:e}]}},n={style:{color:this.#no,fontSize:this.#io?`calc(${this.#io}px * var(--total-scale-factor))`:""}};for(const i of t.split("\n"))e.push({name:"span",value:i,attributes:n});return i}#ga(t){t.altKey||t.shiftKey||t.ctrlKey||t.metaKey||("Enter"===t.key||"Escape"===t.key&&this.#Ga)&&this.#Oa()}updateEdited({rect:t,popup:e,deleted:i}){if(this.#K){if(i){this.remove();this.#qa=null}else if(e)if(e.deleted)this.remove();else{this.#Za();this.#qa=e.text}if(t){this.#$a=null;this.#Ja();this.#to()}}else if(i||e?.deleted)this.remove();else{this.#Qa();this.#wa||={contentsObj:this.#Ra,richText:this.#ye};t&&(this.#O=null);if(e&&e.text){this.#ye=this.#so(e.text);this.#La=PDFDateString.toDateObject(e.date);this.#Ra=null}this.#za?.remove();this.#za=null}}resetEdited(){if(this.#wa){({contentsObj:this.#Ra,richText:this.#ye}=this.#wa);this.#wa=null;this.#za?.remove();this.#za=null;this.#O=null}}remove(){this.#Wa?.abort();this.#Wa=null;this.#za?.remove();this.#za=null;this.#Ka=!1;this.#Ga=!1;this.#Va?.remove();this.#Va=null;if(this.trigger)for(const t of this.trigger)t.classList.remove("popupTriggerArea")}#ro(){if(null!==this.#O)return;const{page:{view:t},viewport:{rawDims:{pageWidth:e,pageHeight:i,pageX:n,pageY:s}}}=this.#Ua;let r=!!this.#Ha,a=r?this.#Ha:this.#ja;for(const t of this.#Na)if(!a||null!==Util.intersect(t.data.rect,a)){a=t.data.rect;r=!0;break}const o=Util.normalizeRect([a[0],t[3]-a[1]+t[1],a[2],t[3]-a[3]+t[1]]),l=r?a[2]-a[0]+5:0,h=o[0]+l,c=o[1];this.#O=[100*(h-n)/e,100*(c-s)/i];const{style:d}=this.#Pt;d.left=`${this.#O[0]}%`;d.top=`${this.#O[1]}%`}#Oa(){if(this.#K)this.#K.toggleCommentPopup(this,!1);else{this.#Ga=!this.#Ga;if(this.#Ga){this.#Ia();this.#Pt.addEventListener("click",this.#Fa);this.#Pt.addEventListener("keydown",this.#ka)}else{this.#Pa();this.#Pt.removeEventListener("click",this.#Fa);this.#Pt.removeEventListener("keydown",this.#ka)}}}#Ia(){this.#za||this.render();if(this.isVisible)this.#Ga&&this.#Pt.classList.add("focused");else{this.#ro();this.#Pt.hidden=!1;this.#Pt.style.zIndex=parseInt(this.#Pt.style.zIndex,10)+1e3}}#Pa(){this.#Pt.classList.remove("focused");if(!this.#Ga&&this.isVisible){this.#Pt.hidden=!0;this.#Pt.style.zIndex=parseInt(this.#Pt.style.zIndex,10)-1e3}}forceHide(){this.#Ka=this.isVisible;this.#Ka&&(this.#Pt.hidden=!0)}maybeShow(){if(!this.#K){this.#Qa();if(this.#Ka){this.#za||this.#Ia();this.#Ka=!1;this.#Pt.hidden=!1}}}get isVisible(){return!this.#K&&!1===this.#Pt.hidden}}class FreeTextAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0});this.textContent=t.data.textContent;this.textPosition=t.data.textPosition;this.annotationEditorType=f.FREETEXT}render(){this.container.classList.add("freeTextAnnotation");if(this.textContent){const t=this.contentElement=document.createElement("div");t.classList.add("annotationTextContent");t.setAttribute("role","comment");for(const e of this.textContent){const i=document.createElement("span");i.textContent=e;t.append(i)}this.container.append(t)}if(!this.data.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this._editOnDoubleClick();return this.container}}class LineAnnotationElement extends AnnotationElement{#ao=null;constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0})}render(){this.container.classList.add("lineAnnotation");const{data:t,width:e,height:i}=this,n=this.svgFactory.create(e,i,!0),s=this.#ao=this.svgFactory.createElement("svg:line");s.setAttribute("x1",t.rect[2]-t.lineCoordinates[0]);s.setAttribute("y1",t.rect[3]-t.lineCoordinates[1]);s.setAttribute("x2",t.rect[2]-t.lineCoordinates[2]);s.setAttribute("y2",t.rect[3]-t.lineCoordinates[3]);s.setAttribute("stroke-width",t.borderStyle.width||1);s.setAttribute("stroke","transparent");s.setAttribute("fill","transparent");n.append(s);this.container.append(n);if(!t.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}return this.container}getElementsToTriggerPopup(){return this.#ao}addHighlightArea(){this.container.classList.add("highlightArea")}}class SquareAnnotationElement extends AnnotationElement{#oo=null;constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0})}render(){this.container.classList.add("squareAnnotation");const{data:t,width:e,height:i}=this,n=this.svgFactory.create(e,i,!0),s=t.borderStyle.width,r=this.#oo=this.svgFactory.createElement("svg:rect");r.setAttribute("x",s/2);r.setAttribute("y",s/2);r.setAttribute("width",e-s);r.setAttribute("height",i-s);r.setAttribute("stroke-width",s||1);r.setAttribute("stroke","transparent");r.setAttribute("fill","transparent");n.append(r);this.container.append(n);if(!t.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}return this.container}getElementsToTriggerPopup(){return this.#oo}addHighlightArea(){this.container.classList.add("highlightArea")}}class CircleAnnotationElement extends AnnotationElement{#lo=null;constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0})}render(){this.container.classList.add("circleAnnotation");const{data:t,width:e,height:i}=this,n=this.svgFactory.create(e,i,!0),s=t.borderStyle.width,r=this.#lo=this.svgFactory.createElement("svg:ellipse");r.setAttribute("cx",e/2);r.setAttribute("cy",i/2);r.setAttribute("rx",e/2-s/2);r.setAttribute("ry",i/2-s/2);r.setAttribute("stroke-width",s||1);r.setAttribute("stroke","transparent");r.setAttribute("fill","transparent");n.append(r);this.container.append(n);if(!t.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}return this.container}getElementsToTriggerPopup(){return this.#lo}addHighlightArea(){this.container.classList.add("highlightArea")}}class PolylineAnnotationElement extends AnnotationElement{#ho=null;constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0});this.containerClassName="polylineAnnotation";this.svgElementName="svg:polyline"}render(){this.container.classList.add(this.containerClassName);const{data:{rect:t,vertices:e,borderStyle:i,popupRef:n},width:s,height:r}=this;if(!e)return this.container;const a=this.svgFactory.create(s,r,!0);let o=[];for(let i=0,n=e.length;i<n;i+=2){const n=e[i]-t[0],s=t[3]-e[i+1];o.push(`${n},${s}`)}o=o.join(" ");const l=this.#ho=this.svgFactory.createElement(this.svgElementName);l.setAttribute("points",o);l.setAttribute("stroke-width",i.width||1);l.setAttribute("stroke","transparent");l.setAttribute("fill","transparent");a.append(l);this.container.append(a);if(!n&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}return this.container}getElementsToTriggerPopup(){return this.#ho}addHighlightArea(){this.container.classList.add("highlightArea")}}class PolygonAnnotationElement extends PolylineAnnotationElement{constructor(t){super(t);this.containerClassName="polygonAnnotation";this.svgElementName="svg:polygon"}}class CaretAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0})}render(){this.container.classList.add("caretAnnotation");if(!this.data.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}return this.container}}class InkAnnotationElement extends AnnotationElement{#co=null;#do=[];constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0});this.containerClassName="inkAnnotation";this.svgElementName="svg:polyline";this.annotationEditorType="InkHighlight"===this.data.it?f.HIGHLIGHT:f.INK}#uo(t,e){switch(t){case 90:return{transform:`rotate(90) translate(${-e[0]},${e[1]}) scale(1,-1)`,width:e[3]-e[1],height:e[2]-e[0]};case 180:return{transform:`rotate(180) translate(${-e[2]},${e[1]}) scale(1,-1)`,width:e[2]-e[0],height:e[3]-e[1]};case 270:return{transform:`rotate(270) translate(${-e[2]},${e[3]}) scale(1,-1)`,width:e[3]-e[1],height:e[2]-e[0]};default:return{transform:`translate(${-e[0]},${e[3]}) scale(1,-1)`,width:e[2]-e[0],height:e[3]-e[1]}}}render(){this.container.classList.add(this.containerClassName);const{data:{rect:t,rotation:e,inkLists:i,borderStyle:n,popupRef:s}}=this,{transform:r,width:a,height:o}=this.#uo(e,t),l=this.svgFactory.create(a,o,!0),h=this.#co=this.svgFactory.createElement("svg:g");l.append(h);h.setAttribute("stroke-width",n.width||1);h.setAttribute("stroke-linecap","round");h.setAttribute("stroke-linejoin","round");h.setAttribute("stroke-miterlimit",10);h.setAttribute("stroke","transparent");h.setAttribute("fill","transparent");h.setAttribute("transform",r);for(const t of i){const e=this.svgFactory.createElement(this.svgElementName);this.#do.push(e);e.setAttribute("points",t.join(","));h.append(e)}if(!s&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this.container.append(l);this._editOnDoubleClick();return this.container}updateEdited(t){super.updateEdited(t);const{thickness:e,points:i,rect:n}=t,s=this.#co;e>=0&&s.setAttribute("stroke-width",e||1);if(i)for(let t=0,e=this.#do.length;t<e;t++)this.#do[t].setAttribute("points",i[t].join(","));if(n){const{transform:t,width:e,height:i}=this.#uo(this.data.rotation,n);s.parentElement.setAttribute("viewBox",`0 0 ${e} ${i}`);s.setAttribute("transform",t)}}getElementsToTriggerPopup(){return this.#do}addHighlightArea(){this.container.classList.add("highlightArea")}}class HighlightAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0,createQuadrilaterals:!0});this.annotationEditorType=f.HIGHLIGHT}render(){const{data:{overlaidText:t,popupRef:e}}=this;if(!e&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this.container.classList.add("highlightAnnotation");this._editOnDoubleClick();if(t){const e=document.createElement("mark");e.classList.add("overlaidText");e.textContent=t;this.container.append(e)}return this.container}}class UnderlineAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0,createQuadrilaterals:!0})}render(){const{data:{overlaidText:t,popupRef:e}}=this;if(!e&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this.container.classList.add("underlineAnnotation");if(t){const e=document.createElement("u");e.classList.add("overlaidText");e.textContent=t;this.container.append(e)}return this.container}}class SquigglyAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0,createQuadrilaterals:!0})}render(){const{data:{overlaidText:t,popupRef:e}}=this;if(!e&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this.container.classList.add("squigglyAnnotation");if(t){const e=document.createElement("u");e.classList.add("overlaidText");e.textContent=t;this.container.append(e)}return this.container}}class StrikeOutAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0,createQuadrilaterals:!0})}render(){const{data:{overlaidText:t,popupRef:e}}=this;if(!e&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this.container.classList.add("strikeoutAnnotation");if(t){const e=document.createElement("s");e.classList.add("overlaidText");e.textContent=t;this.container.append(e)}return this.container}}class StampAnnotationElement extends AnnotationElement{constructor(t){super(t,{isRenderable:!0,ignoreBorder:!0});this.annotationEditorType=f.STAMP}render(){this.container.classList.add("stampAnnotation");this.container.setAttribute("role","img");if(!this.data.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}this._editOnDoubleClick();return this.container}}class FileAttachmentAnnotationElement extends AnnotationElement{#po=null;constructor(t){super(t,{isRenderable:!0});const{fileId:e,file:i}=this.data;this.filename=i.filename;this.content=i.content;this.fileId=e;this.linkService.eventBus?.dispatch("fileattachmentannotation",{source:this,attachmentId:this.fileId,...i})}render(){this.container.classList.add("fileAttachmentAnnotation");const{container:t,data:e}=this;let i;if(e.hasAppearance||0===e.fillAlpha)i=document.createElement("div");else{i=document.createElement("img");i.src=`${this.imageResourcesPath}annotation-${/paperclip/i.test(e.name)?"paperclip":"pushpin"}.svg`;e.fillAlpha&&e.fillAlpha<1&&(i.style=`filter: opacity(${Math.round(100*e.fillAlpha)}%);`)}i.addEventListener("dblclick",this.#go.bind(this));this.#po=i;const{isMac:n}=FeatureTest.platform;t.addEventListener("keydown",t=>{"Enter"===t.key&&(n?t.metaKey:t.ctrlKey)&&this.#go()});if(!e.popupRef&&this.hasPopupData){this.hasOwnCommentButton=!0;this._createPopup()}else i.classList.add("popupTriggerArea");t.append(i);return t}getElementsToTriggerPopup(){return this.#po}addHighlightArea(){this.container.classList.add("highlightArea")}async#go(){const{fileId:t,filename:e,content:i}=this,n=await this.linkService.getAttachmentContent(t)||i;n&&this.downloadManager?.openOrDownloadData(n,e)}}class MediaAnnotationElement extends AnnotationElement{#L=new AbortController;#mo=null;#fo=null;constructor(t){super(t,{isRenderable:!!t.data.richMedia})}render(){this.container.classList.add("mediaAnnotation");const{filename:t}=this.data.richMedia,e=document.createElement("button");e.className="mediaPlayButton";e.type="button";e.title=e.ariaLabel=t;e.addEventListener("click",()=>this.#bo(e),{signal:this.#L.signal});this.container.append(e);return this.container}async#bo(t){const{fileId:e,filename:i,contentType:n}=this.data.richMedia;t.disabled=!0;let s;try{s=await this.linkService.getAttachmentContent(e)}catch{return}finally{t.disabled=!1}if(!s||!t.isConnected)return;const{signal:r}=this.#L,a=URL.createObjectURL(new Blob([s],{type:n}));this.#mo=a;const o=n.startsWith("audio/"),l=document.createElement(o?"audio":"video");this.#fo=l;l.className="mediaContent";this._setBackgroundColor(l);l.src=a;l.title=i;l.controls=!0;l.autoplay=!0;l.tabIndex=0;if(o){let t=!1,e=!1;const updateControls=()=>{l.controls=t||e};this.container.addEventListener("pointerenter",()=>{t=!0;updateControls()},{signal:r});this.container.addEventListener("pointerleave",()=>{t=!1;updateControls()},{signal:r});this.container.addEventListener("focusin",()=>{e=!0;updateControls()},{signal:r});this.container.addEventListener("focusout",()=>{e=!1;updateControls()},{signal:r})}l.addEventListener("emptied",()=>this.#yo(a),{once:!0,signal:r});t.replaceWith(l);l.play().catch(()=>{})}#yo(t=this.#mo){if(t&&t===this.#mo){URL.revokeObjectURL(t);this.#mo=null}}destroy(){this.#L.abort();if(this.#fo){this.#fo.pause();this.#fo.removeAttribute("src");this.#fo.load();this.#fo=null}this.#yo()}}class AnnotationLayer{#vo=null;#wo=null;#$=null;#Ao=new Map;#xo=null;#Co=null;#Na=[];#Eo=!1;zIndex=0;constructor({div:t,accessibilityManager:e,annotationCanvasMap:i,annotationEditorUIManager:n,page:s,viewport:r,structTreeLayer:a,commentManager:o,linkService:l,annotationStorage:h}){this.div=t;this.#vo=e;this.#wo=i;this.#xo=a||null;this.#Co=l||null;this.#$=h||new AnnotationStorage;this.page=s;this.viewport=r;this._annotationEditorUIManager=n;this._commentManager=o||null}hasEditableAnnotations(){return this.#Ao.size>0}async render(t){const{annotations:e,optionalContentConfig:i}=t,n=this.div;setLayerDimensions(n,this.viewport);const s=new Map,r=[],a={data:null,layer:n,linkService:this.#Co,downloadManager:t.downloadManager,imageResourcesPath:t.imageResourcesPath||"",renderForms:!1!==t.renderForms,svgFactory:new DOMSVGFactory,annotationStorage:this.#$,enableComment:!0===t.enableComment,enableScripting:!0===t.enableScripting,hasJSActions:t.hasJSActions,fieldObjects:t.fieldObjects,parent:this,elements:null};for(const t of e){if(t.noHTML)continue;const e=t.annotationType===T.POPUP;if(e){const e=s.get(t.id);if(!e)continue;if(!this._commentManager){r.push(t);continue}a.elements=e}else if(t.rect[2]===t.rect[0]||t.rect[3]===t.rect[1])continue;a.data=t;const n=AnnotationElementFactory.create(a);if(!n.isRenderable)continue;if(!e){this.#Na.push(n);t.popupRef&&s.getOrInsertComputed(t.popupRef,makeArr).push(n)}const o=n.render();t.hidden&&(o.style.visibility="hidden");n.updateOC(i);if(n._isEditable){this.#Ao.set(n.data.id,n);this._annotationEditorUIManager?.renderAnnotationElement(n)}}await this.#So();for(const t of r){const e=a.elements=s.get(t.id);a.data=t;const i=AnnotationElementFactory.create(a);if(!i.isRenderable)continue;const n=i.render();i.contentElement.id=`${g}${t.id}`;t.hidden&&(n.style.visibility="hidden");e.at(-1).container.after(n)}this.#To()}async#So(){if(0===this.#Na.length)return;this.div.replaceChildren();const t=[];if(!this.#Eo){this.#Eo=!0;for(const{contentElement:e,data:{hidden:i,id:n,oc:s}}of this.#Na){const r=e.id=`${g}${n}`,a="a"===e.localName&&!i&&!s;t.push(this.#xo?.getAriaAttributes(r,{enableLinkOwnership:a}).then(t=>{if(t)for(const[i,n]of t)e.setAttribute(i,n)}))}}this.#Na.sort(({data:{rect:[t,e,i,n]}},{data:{rect:[s,r,a,o]}})=>{if(t===i&&e===n)return 1;if(s===a&&r===o)return-1;const l=(e+n)/2,h=(r+o)/2;if(l>=o&&h<=e)return-1;if(h>=n&&l<=r)return 1;return(t+i)/2-(s+a)/2});const e=document.createDocumentFragment();for(const t of this.#Na){e.append(t.container);this._commentManager?(t.extraPopupElement?.popup||t.popup)?.renderCommentButton():t.extraPopupElement&&e.append(t.extraPopupElement.render())}this.div.append(e);await Promise.all(t);if(this.#vo){const t=await(this.#xo?.getAnnotationIds());for(const{contentElement:e}of this.#Na)t?.has(e.id)||this.#vo.addPointerInTextLayer(e,!1)}}async addLinkAnnotations(t){const e={data:null,layer:this.div,linkService:this.#Co,svgFactory:new DOMSVGFactory,parent:this};for(const i of t){i.borderStyle||=AnnotationLayer._defaultBorderStyle;e.data=i;const t=AnnotationElementFactory.create(e);if(t.isRenderable){t.render();t.contentElement.id=`${g}${i.id}`;this.#Na.push(t)}}await this.#So()}update({viewport:t,optionalContentConfig:e}){const i=this.div;this.viewport=t;setLayerDimensions(i,{rotation:t.rotation});for(const t of this.#Na)t.updateOC(e);this.#To();i.hidden=!1}destroy(){for(const t of this.#Na){t.destroy?.();this.#vo?.removePointerInTextLayer(t.contentElement)}this.#Na.length=0;this.#Ao.clear();this.div.replaceChildren()}#To(){if(!this.#wo)return;const t=this.div;for(const[e,i]of this.#wo){const n=t.querySelector(`[data-annotation-id="${e}"]`);if(!n)continue;if(Array.isArray(i))for(const t of i){t.className="annotationContent";t.ariaHidden=!0}else{i.className="annotationContent";i.ariaHidden=!0}const s=[];for(const t of n.children)"CANVAS"===t.nodeName&&s.push(t);for(const t of s)t.remove();const r=Array.isArray(i)?i[0]:i,{firstChild:a}=n;a?a.classList.contains("annotationContent")?a.after(r):a.before(r):n.append(r);if(Array.isArray(i)){let t=r;for(let e=1,n=i.length;e<n;e++){t.after(i[e]);t=i[e]}}this.#wo.delete(e);const o=this.#Ao.get(e);if(o)if(o._hasNoCanvas){this._annotationEditorUIManager?.setMissingCanvas(e,n.id,i);o._hasNoCanvas=!1}else o.canvas=i}}refreshCanvases(){this.#To()}getEditableAnnotations(){return this.#Ao.values()}getEditableAnnotation(t){return this.#Ao.get(t)}addFakeAnnotation(t){const{div:e}=this,{id:i,rotation:n}=t,s=new EditorAnnotationElement({data:{id:i,rect:t.getPDFRect(),rotation:n},editor:t,layer:e,parent:this,enableComment:!!this._commentManager,linkService:this.#Co,annotationStorage:this.#$});s.render();s.contentElement.id=`${g}${i}`;s.createOrUpdatePopup();this.#Na.push(s);return s}removeAnnotation(t){const e=this.#Na.findIndex(e=>e.data.id===t);if(e<0)return;const[i]=this.#Na.splice(e,1);this.#vo?.removePointerInTextLayer(i.contentElement)}updateFakeAnnotations(t){if(0!==t.length){for(const e of t)e.updateFakeAnnotationElement(this);this.#So()}}togglePointerEvents(t=!1){this.div.classList.toggle("disabled",!t)}static get _defaultBorderStyle(){return shadow(this,"_defaultBorderStyle",Object.freeze({width:1,rawWidth:1,style:_,dashArray:[3],horizontalCornerRadius:0,verticalCornerRadius:0}))}}const Gt=/\r\n?|\n/g;class FreeTextEditor extends AnnotationEditor{#_o="";#ko=`${this.id}-editor`;#Do=null;#io;_colorPicker=null;static _freeTextDefaultContent="";static _internalPadding=0;static _defaultColor=null;static _defaultFontSize=10;static get _keyboardManager(){const t=FreeTextEditor.prototype,arrowChecker=t=>t.isEmpty(),e=AnnotationEditorUIManager.TRANSLATE_SMALL,i=AnnotationEditorUIManager.TRANSLATE_BIG;return shadow(this,"_keyboardManager",new KeyboardManager([[["ctrl+s","mac+meta+s","ctrl+p","mac+meta+p"],t.commitOrRemove,{bubbles:!0}],[["ctrl+Enter","mac+meta+Enter"],t.commitOrRemove],[["Escape"],t.commitOrRemove],[["ArrowLeft"],t._translateEmpty,{args:[-e,0],checker:arrowChecker}],[["ctrl+ArrowLeft","mac+shift+ArrowLeft"],t._translateEmpty,{args:[-i,0],checker:arrowChecker}],[["ArrowRight"],t._translateEmpty,{args:[e,0],checker:arrowChecker}],[["ctrl+ArrowRight","mac+shift+ArrowRight"],t._translateEmpty,{args:[i,0],checker:arrowChecker}],[["ArrowUp"],t._translateEmpty,{args:[0,-e],checker:arrowChecker}],[["ctrl+ArrowUp","mac+shift+ArrowUp"],t._translateEmpty,{args:[0,-i],checker:arrowChecker}],[["ArrowDown"],t._translateEmpty,{args:[0,e],checker:arrowChecker}],[["ctrl+ArrowDown","mac+shift+ArrowDown"],t._translateEmpty,{args:[0,i],checker:arrowChecker}]]))}static _type="freetext";static _editorType=f.FREETEXT;constructor(t){super({...t,name:"freeTextEditor"});this.color=t.color||FreeTextEditor._defaultColor||AnnotationEditor._defaultLineColor;this.#io=t.fontSize||FreeTextEditor._defaultFontSize;this.annotationElementId||this._uiManager.a11yAlert(AnnotationEditor._l10nAlert.freetext);this.canAddComment=!1}static initialize(t,e){AnnotationEditor.initialize(t,e);const i=getComputedStyle(document.documentElement);this._internalPadding=parseFloat(i.getPropertyValue("--freetext-padding"))}static updateDefaultParams(t,e){switch(t){case b.FREETEXT_SIZE:FreeTextEditor._defaultFontSize=e;break;case b.FREETEXT_COLOR:FreeTextEditor._defaultColor=e}}updateParams(t,e){switch(t){case b.FREETEXT_SIZE:this.#Po(e);break;case b.FREETEXT_COLOR:this.#Za(e)}}static get defaultPropertiesToUpdate(){return[[b.FREETEXT_SIZE,FreeTextEditor._defaultFontSize],[b.FREETEXT_COLOR,FreeTextEditor._defaultColor||AnnotationEditor._defaultLineColor]]}get propertiesToUpdate(){return[[b.FREETEXT_SIZE,this.#io],[b.FREETEXT_COLOR,this.color]]}get toolbarButtons(){this._colorPicker||=new BasicColorPicker(this);return[["colorPicker",this._colorPicker]]}get colorType(){return b.FREETEXT_COLOR}#Po(t){const setFontsize=t=>{this.editorDiv.style.fontSize=`calc(${t}px * var(--total-scale-factor))`;this.translate(0,-(t-this.#io)*this.parentScale);this.#io=t;this.#Mo()},e=this.#io;this.addCommands({cmd:setFontsize.bind(this,t),undo:setFontsize.bind(this,e),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:b.FREETEXT_SIZE,overwriteIfSameType:!0,keepUndo:!0})}onUpdatedColor(){this.editorDiv.style.color=this.color;this._colorPicker?.update(this.color);super.onUpdatedColor()}#Za(t){const setColor=t=>{this.color=t;this.onUpdatedColor()},e=this.color;this.addCommands({cmd:setColor.bind(this,t),undo:setColor.bind(this,e),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:b.FREETEXT_COLOR,overwriteIfSameType:!0,keepUndo:!0})}_translateEmpty(t,e){this._uiManager.translateSelectedEditors(t,e,!0)}getInitialTranslation(){const t=this.parentScale;return[-FreeTextEditor._internalPadding*t,-(FreeTextEditor._internalPadding+this.#io)*t]}rebuild(){if(this.parent){super.rebuild();null!==this.div&&(this.isAttachedToDOM||this.parent.add(this))}}enableEditMode(){if(!super.enableEditMode())return!1;this.overlayDiv.classList.remove("enabled");this.editorDiv.contentEditable=!0;this._isDraggable=!1;this.div.removeAttribute("aria-activedescendant");this.#Do=new AbortController;const t=this._uiManager.combinedSignal(this.#Do);this.editorDiv.addEventListener("keydown",this.editorDivKeydown.bind(this),{signal:t});this.editorDiv.addEventListener("focus",this.editorDivFocus.bind(this),{signal:t});this.editorDiv.addEventListener("blur",this.editorDivBlur.bind(this),{signal:t});this.editorDiv.addEventListener("input",this.editorDivInput.bind(this),{signal:t});this.editorDiv.addEventListener("paste",this.editorDivPaste.bind(this),{signal:t});return!0}disableEditMode(){if(!super.disableEditMode())return!1;this.overlayDiv.classList.add("enabled");this.editorDiv.contentEditable=!1;this.div.setAttribute("aria-activedescendant",this.#ko);this._isDraggable=!0;this.#Do?.abort();this.#Do=null;this.div.focus({preventScroll:!0});this.isEditing=!1;this.parent.div.classList.add("freetextEditing");return!0}focusin(t){if(this._focusEventsAllowed){super.focusin(t);t.target!==this.editorDiv&&this.editorDiv.focus()}}onceAdded(t){if(!this.width){this.enableEditMode();t&&this.editorDiv.focus();this._initialOptions?.isCentered&&this.center();this._initialOptions=null}}isEmpty(){return!this.editorDiv||""===this.editorDiv.innerText.trim()}remove(){this.isEditing=!1;if(this.parent){this.parent.setEditingState(!0);this.parent.div.classList.add("freetextEditing")}super.remove()}#Io(){const t=[];this.editorDiv.normalize();let e=null;for(const i of this.editorDiv.childNodes)if(e?.nodeType!==Node.TEXT_NODE||"BR"!==i.nodeName){t.push(FreeTextEditor.#Fo(i));e=i}return t.join("\n")}#Mo(){const[t,e]=this.parentDimensions;let i;if(this.isAttachedToDOM)i=this.div.getBoundingClientRect();else{const{currentLayer:t,div:e}=this,n=e.style.display,s=e.classList.contains("hidden");e.classList.remove("hidden");e.style.display="hidden";t.div.append(this.div);i=e.getBoundingClientRect();e.remove();e.style.display=n;e.classList.toggle("hidden",s)}if(this.rotation%180==this.parentRotation%180){this.width=i.width/t;this.height=i.height/e}else{this.width=i.height/t;this.height=i.width/e}this.fixAndSetPosition()}commit(){if(!this.isInEditMode())return;super.commit();this.disableEditMode();const t=this.#_o,e=this.#_o=this.#Io().trimEnd();if(t===e)return;const setText=t=>{this.#_o=t;if(t){this.#Oo();this._uiManager.rebuild(this);this.#Mo()}else this.remove()};this.addCommands({cmd:()=>{setText(e)},undo:()=>{setText(t)},mustExec:!1});this.#Mo()}shouldGetKeyboardEvents(){return this.isInEditMode()}enterInEditMode(){this.enableEditMode();this.editorDiv.focus()}keydown(t){if(t.target===this.div&&"Enter"===t.key){this.enterInEditMode();t.preventDefault()}}editorDivKeydown(t){FreeTextEditor._keyboardManager.exec(this,t)}editorDivFocus(t){this.isEditing=!0}editorDivBlur(t){this.isEditing=!1}editorDivInput(t){this.parent.div.classList.toggle("freetextEditing",this.isEmpty())}disableEditing(){this.editorDiv.setAttribute("role","comment");this.editorDiv.removeAttribute("aria-multiline")}enableEditing(){this.editorDiv.setAttribute("role","textbox");this.editorDiv.setAttribute("aria-multiline",!0)}get canChangeContent(){return!0}render(){if(this.div)return this.div;let t,e;if(this._isCopy||this.annotationElementId){t=this.x;e=this.y}super.render();this.editorDiv=document.createElement("div");this.editorDiv.className="internal";this.editorDiv.setAttribute("id",this.#ko);this.editorDiv.setAttribute("data-l10n-id","pdfjs-free-text2");this.editorDiv.setAttribute("data-l10n-attrs","default-content");this.enableEditing();this.editorDiv.contentEditable=!0;const{style:i}=this.editorDiv;i.fontSize=`calc(${this.#io}px * var(--total-scale-factor))`;i.color=this.color;this.div.append(this.editorDiv);this.overlayDiv=document.createElement("div");this.overlayDiv.classList.add("overlay","enabled");this.div.append(this.overlayDiv);if(this._isCopy||this.annotationElementId){const[i,n]=this.parentDimensions;if(this.annotationElementId){const{position:s}=this._initialData;let[r,a]=this.getInitialTranslation();[r,a]=this.pageTranslationToScreen(r,a);const[o,l]=this.pageDimensions,[h,c]=this.pageTranslation;let d,u;switch(this.rotation){case 0:d=t+(s[0]-h)/o;u=e+this.height-(s[1]-c)/l;break;case 90:d=t+(s[0]-h)/o;u=e-(s[1]-c)/l;[r,a]=[a,-r];break;case 180:d=t-this.width+(s[0]-h)/o;u=e-(s[1]-c)/l;[r,a]=[-r,-a];break;case 270:d=t+(s[0]-h-this.height*l)/o;u=e+(s[1]-c-this.width*o)/l;[r,a]=[-a,r]}this.setAt(d*i,u*n,r,a)}else this._moveAfterPaste(t,e);this.#Oo();this._isDraggable=!0;this.editorDiv.contentEditable=!1}else{this._isDraggable=!1;this.editorDiv.contentEditable=!0}return this.div}static#Fo(t){return(t.nodeType===Node.TEXT_NODE?t.nodeValue:t.innerText).replaceAll(Gt,"")}editorDivPaste(t){const e=t.clipboardData||window.clipboardData,{types:i}=e;if(1===i.length&&"text/plain"===i[0])return;t.preventDefault();const n=FreeTextEditor.#Bo(e.getData("text")||"").replaceAll(Gt,"\n");if(!n)return;const s=window.getSelection();if(!s.rangeCount)return;this.editorDiv.normalize();s.deleteFromDocument();const r=s.getRangeAt(0);if(!n.includes("\n")){r.insertNode(document.createTextNode(n));this.editorDiv.normalize();s.collapseToStart();return}const{startContainer:a,startOffset:o}=r,l=[],h=[];if(a.nodeType===Node.TEXT_NODE){const t=a.parentElement;h.push(a.nodeValue.slice(o).replaceAll(Gt,""));if(t!==this.editorDiv){let e=l;for(const i of this.editorDiv.childNodes)i!==t?e.push(FreeTextEditor.#Fo(i)):e=h}l.push(a.nodeValue.slice(0,o).replaceAll(Gt,""))}else if(a===this.editorDiv){let t=l,e=0;for(const i of this.editorDiv.childNodes){e++===o&&(t=h);t.push(FreeTextEditor.#Fo(i))}}this.#_o=`${l.join("\n")}${n}${h.join("\n")}`;this.#Oo();const c=new Range;let d=Math.sumPrecise(l.map(t=>t.length));for(const{firstChild:t}of this.editorDiv.childNodes)if(t.nodeType===Node.TEXT_NODE){const e=t.nodeValue.length;if(d<=e){c.setStart(t,d);c.setEnd(t,d);break}d-=e}s.removeAllRanges();s.addRange(c)}#Oo(){this.editorDiv.replaceChildren();if(this.#_o)for(const t of this.#_o.split("\n")){const e=document.createElement("div");e.append(t?document.createTextNode(t):document.createElement("br"));this.editorDiv.append(e)}}#Ro(){return this.#_o.replaceAll(" "," ")}static#Bo(t){return t.replaceAll(" "," ")}get contentDiv(){return this.editorDiv}getPDFRect(){const t=FreeTextEditor._internalPadding*this.parentScale;return this.getRect(t,t)}static async deserialize(t,e,i){let n=null;if(t instanceof FreeTextAnnotationElement){const{data:{defaultAppearanceData:{fontSize:e,fontColor:i},rect:s,rotation:r,id:a,popupRef:o,richText:l,contentsObj:h,creationDate:c,modificationDate:d},textContent:u,textPosition:p,parent:{page:{pageNumber:g}}}=t;if(!u?.length)return null;n=t={annotationType:f.FREETEXT,color:Array.from(i),fontSize:e,value:u.join("\n"),position:p,pageIndex:g-1,rect:s.slice(0),rotation:r,annotationElementId:a,id:a,deleted:!1,popupRef:o,comment:h?.str||null,richText:l,creationDate:c,modificationDate:d}}const s=await super.deserialize(t,e,i);s.#io=t.fontSize;s.color=Util.makeHexColor(...t.color);s.#_o=FreeTextEditor.#Bo(t.value);s._initialData=n;t.comment&&s.setCommentData(t);return s}serialize(t=!1){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const e=AnnotationEditor._colorManager.convert(this.isAttachedToDOM?getComputedStyle(this.editorDiv).color:this.color),i=Object.assign(super.serialize(t),{color:e,fontSize:this.#io,value:this.#Ro()});this.addComment(i);if(t){i.isCopy=!0;return i}if(this.annotationElementId&&!this.#Lo(i))return null;i.id=this.annotationElementId;return i}#Lo(t){const{value:e,fontSize:i,color:n,pageIndex:s}=this._initialData;return this.hasEditedComment||this._hasBeenMoved||t.value!==e||t.fontSize!==i||t.color.some((t,e)=>t!==n[e])||t.pageIndex!==s}renderAnnotationElement(t){const e=super.renderAnnotationElement(t);if(!e)return null;const{style:i}=e;i.fontSize=`calc(${this.#io}px * var(--total-scale-factor))`;i.color=this.color;e.replaceChildren();for(const t of this.#_o.split("\n")){const i=document.createElement("div");i.append(t?document.createTextNode(t):document.createElement("br"));e.append(i)}t.updateEdited({rect:this.getPDFRect(),popup:this._uiManager.hasCommentManager()||this.hasEditedComment?this.comment:{text:this.#_o}});return e}resetAnnotationElement(t){super.resetAnnotationElement(t);t.resetEdited()}}class DrawingOptions{#No=Object.create(null);updateProperty(t,e){this[t]=e;this.updateSVGProperty(t,e)}updateProperties(t){if(t)for(const[e,i]of Object.entries(t))e.startsWith("_")||this.updateProperty(e,i)}updateSVGProperty(t,e){this.#No[t]=e}toSVGProperties(){const t=this.#No;this.#No=Object.create(null);return{root:t}}reset(){this.#No=Object.create(null)}updateAll(t=this){this.updateProperties(t)}clone(){unreachable("Not implemented")}}class DrawingEditor extends AnnotationEditor{#Uo=null;#Ho;_clipPathId=null;_colorPicker=null;_drawId=null;_drawOutlines=null;_focusDrawId=null;static _currentDrawId=-1;static _currentParent=null;static#Go=null;static#zo=null;static#Wo=null;static#Vo=null;static _INNER_MARGIN=3;constructor(t){super(t);this.#Ho=t.mustBeCommitted||!1;this._addOutlines(t)}onUpdatedColor(){this._colorPicker?.update(this.color);super.onUpdatedColor()}onUpdatedOpacity(){this._colorPicker?.updateOpacity?.(this.opacity)}_addOutlines(t){if(t.drawOutlines){this.#$o(t);this.#jo()}}#$o({drawOutlines:t,drawId:e,drawingOptions:i,clipPathId:n}){this._drawOutlines=t;this._drawingOptions||=i;this.annotationElementId||this._uiManager.a11yAlert(AnnotationEditor._l10nAlert[this.editorType]);if(e>=0){this._drawId=e;this._clipPathId=n??null;this.parent.drawLayer.finalizeDraw(e,t.defaultProperties);this.#Xo(this.parent)}else this._drawId=this.#Ko(t,this.parent);this.#Yo(t.box)}#Ko(t,e){const{id:i,clipPathId:n}=e.drawLayer.draw(DrawingEditor._mergeSVGProperties(this._drawingOptions.toSVGProperties(),t.defaultSVGProperties),!1,this.constructor._hasClipPath);this.constructor._hasClipPath&&(this._clipPathId=n);this.#Xo(e);return i}#Xo(t){const e=this._drawOutlines.getFocusSVGProperties(this.#qo);e&&(this._focusDrawId=t.drawLayer.drawOutline(e,this._drawOutlines.focusMustRemoveSelfIntersections))}#Qo(t=this.#qo){null!==this._focusDrawId&&this.parent?.drawLayer.updateProperties(this._focusDrawId,this._drawOutlines.getFocusSVGProperties(t))}#Jo(t){null!==this._focusDrawId&&this.parent?.drawLayer.updateProperties(this._focusDrawId,{rootClass:t})}#Zo(){const{parent:t,_drawId:e,_focusDrawId:i,_isVisible:n}=this;if(!t||null===e)return;const s={hidden:!n};t.drawLayer.updateProperties(e,{rootClass:s});null!==i&&t.drawLayer.updateProperties(i,{rootClass:s})}static _mergeSVGProperties(t,e){const i=new Set(Object.keys(t));for(const[n,s]of Object.entries(e))i.has(n)?Object.assign(t[n],s):t[n]=s;return t}static getDefaultDrawingOptions(t){unreachable("Not implemented")}static get typesMap(){unreachable("Not implemented")}static get isDrawer(){return!0}static get _hasClipPath(){return!1}static get _hasDrawClass(){return!0}static get supportMultipleDrawings(){return!1}get _drawRotation(){return this.rotation}get _opacityName(){return this.constructor.typesMap.get(this.opacityType)}get#qo(){return(this.parentRotation-this._drawRotation+360)%360}static updateDefaultParams(t,e){const i=this.typesMap.get(t);i&&this._defaultDrawingOptions.updateProperty(i,e);if(this._currentParent){DrawingEditor.#Go.updateProperty(i,e);this._currentParent.drawLayer.updateProperties(this._currentDrawId,this._defaultDrawingOptions.toSVGProperties())}}updateParams(t,e){const i=this.constructor.typesMap.get(t);i&&this._updateProperty(t,i,e)}static get defaultPropertiesToUpdate(){const t=[],e=this._defaultDrawingOptions;for(const[i,n]of this.typesMap)t.push([i,e[n]]);return t}get propertiesToUpdate(){const t=[],{_drawingOptions:e}=this;for(const[i,n]of this.constructor.typesMap)t.push([i,e[n]]);return t}_updateProperty(t,e,i){const n=this._drawingOptions,s=n[e],setter=i=>{n.updateProperty(e,i);const s=this._drawOutlines.updateProperty(e,i);s&&this.#Yo(s);this.parent?.drawLayer.updateProperties(this._drawId,n.toSVGProperties());t===this.colorType?this.onUpdatedColor():t===this.opacityType&&this.onUpdatedOpacity()};this.addCommands({cmd:setter.bind(this,i),undo:setter.bind(this,s),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:t,overwriteIfSameType:!0,keepUndo:!0})}_updateColorAndOpacity(t,e,i=this.colorAndOpacityType){const n=this.constructor.typesMap.get(this.colorType),s=this._opacityName,r=this._drawingOptions,a=r[n],o=r[s],setter=(t,e)=>{r.updateProperty(n,t);r.updateProperty(s,e);this._drawOutlines.updateProperty(n,t);this._drawOutlines.updateProperty(s,e);this.parent?.drawLayer.updateProperties(this._drawId,r.toSVGProperties());this.onUpdatedColor();this.onUpdatedOpacity()};this.addCommands({cmd:setter.bind(this,t,e),undo:setter.bind(this,a,o),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:i,overwriteIfSameType:!0,keepUndo:!0})}_onResizing(){this.parent?.drawLayer.updateProperties(this._drawId,DrawingEditor._mergeSVGProperties(this._drawOutlines.getPathResizingSVGProperties(this.#tl()),{bbox:this.#el()}))}_onResized(){this.parent?.drawLayer.updateProperties(this._drawId,DrawingEditor._mergeSVGProperties(this._drawOutlines.getPathResizedSVGProperties(this.#tl()),{bbox:this.#el()}));this.#Qo()}_onTranslating(t,e){this.parent?.drawLayer.updateProperties(this._drawId,{bbox:this.#el()})}_onTranslated(){this.parent?.drawLayer.updateProperties(this._drawId,DrawingEditor._mergeSVGProperties(this._drawOutlines.getPathTranslatedSVGProperties(this.#tl(),this.parentDimensions),{bbox:this.#el()}))}_onStartDragging(){this.parent?.drawLayer.updateProperties(this._drawId,{rootClass:{moving:!0}})}_onStopDragging(){this.parent?.drawLayer.updateProperties(this._drawId,{rootClass:{moving:!1}})}get _mustBeDisabledOnCommit(){return!0}commit(){super.commit();if(this._mustBeDisabledOnCommit){this.disableEditMode();this.disableEditing()}}disableEditing(){super.disableEditing();this.div.classList.toggle("disabled",!0)}enableEditing(){super.enableEditing();this.div.classList.toggle("disabled",!1)}getBaseTranslation(){return[0,0]}get isResizable(){return!0}onceAdded(t){this.annotationElementId||this.parent.addUndoableEditor(this);this._isDraggable=!0;if(this.#Ho){this.#Ho=!1;this.commit();this.parent.setSelected(this);t&&this.isOnScreen&&this.div.focus()}}remove(){this._uiManager.removeShouldRescale(this);this.#il();super.remove()}rebuild(){if(this.parent){super.rebuild();if(null!==this.div){this.#jo();this.#Yo(this._drawOutlines.box);this.isAttachedToDOM||this.parent.add(this)}}}setParent(t){let e=!1;if(this.parent&&!t){this._uiManager.removeShouldRescale(this);this.#il()}else if(t){this._uiManager.addShouldRescale(this);this.#jo(t);e=!this.parent&&this.div?.classList.contains("selectedEditor")}super.setParent(t);this.#Zo();e&&this.select()}#il(){if(null===this._drawId||!this.parent)return;const{drawLayer:t}=this.parent;t.remove(this._drawId);this._drawId=null;if(null!==this._focusDrawId){t.remove(this._focusDrawId);this._focusDrawId=null}this._drawingOptions.reset()}#jo(t=this.parent){if(null===this._drawId||this.parent!==t){if(null!==this._drawId){const{drawLayer:e}=this.parent;e.updateParent(this._drawId,t.drawLayer);null!==this._focusDrawId&&e.updateParent(this._focusDrawId,t.drawLayer);return}this._drawingOptions.updateAll();this._drawId=this.#Ko(this._drawOutlines,t);this._clipPathId&&this.#Uo&&(this.#Uo.style.clipPath=this._clipPathId)}}#nl([t,e,i,n]){const{parentDimensions:[s,r],_drawRotation:a}=this;switch(a){case 90:return[e,1-t,i*(r/s),n*(s/r)];case 180:return[1-t,1-e,i,n];case 270:return[1-e,t,i*(r/s),n*(s/r)];default:return[t,e,i,n]}}#tl(){const{x:t,y:e,width:i,height:n,parentDimensions:[s,r],_drawRotation:a}=this;switch(a){case 90:return[1-e,t,i*(s/r),n*(r/s)];case 180:return[1-t,1-e,i,n];case 270:return[e,1-t,i*(s/r),n*(r/s)];default:return[t,e,i,n]}}#Yo(t){[this.x,this.y,this.width,this.height]=this.#nl(t);if(this.div){this.fixAndSetPosition();this.setDims()}this._onResized()}#el(t=this.parentRotation){const{x:e,y:i,width:n,height:s,_drawRotation:r,parentDimensions:[a,o]}=this;switch((4*r+t)/90){case 1:return[1-i-s,e,s,n];case 2:return[1-e-n,1-i-s,n,s];case 3:return[i,1-e-n,s,n];case 4:return[e,i-n*(a/o),s*(o/a),n*(a/o)];case 5:return[1-i,e,n*(a/o),s*(o/a)];case 6:return[1-e-s*(o/a),1-i,s*(o/a),n*(a/o)];case 7:return[i-n*(a/o),1-e-s*(o/a),n*(a/o),s*(o/a)];case 8:return[e-n,i-s,n,s];case 9:return[1-i,e-n,s,n];case 10:return[1-e,1-i,n,s];case 11:return[i-s,1-e,s,n];case 12:return[e-s*(o/a),i,s*(o/a),n*(a/o)];case 13:return[1-i-n*(a/o),e-s*(o/a),n*(a/o),s*(o/a)];case 14:return[1-e,1-i-n*(a/o),s*(o/a),n*(a/o)];case 15:return[i,1-e,n*(a/o),s*(o/a)];default:return[e,i,n,s]}}rotate(t=this.parentRotation){if(!this.parent||null===this._drawId)return;const e=(t-this._drawRotation+360)%360;this.parent.drawLayer.updateProperties(this._drawId,DrawingEditor._mergeSVGProperties({bbox:this.#el(t)},this._drawOutlines.updateRotation(e)));this.#Qo(e)}show(t=this._isVisible){super.show(t);this.#Zo()}select(){super.select();this.#Jo({hovered:!1,selected:!0})}unselect(){super.unselect();this.#Jo({selected:!1})}pointerover(){this.isSelected||this.#Jo({hovered:!0})}pointerleave(){this.isSelected||this.#Jo({hovered:!1})}onScaleChanging(){if(!this.parent)return;const t=this._drawOutlines.updateParentDimensions(this.parentDimensions,this.parent.scale);t&&this.#Yo(t)}static onScaleChangingWhenDrawing(){}render(){if(this.div)return this.div;let t,e;if(this._isCopy){t=this.x;e=this.y}const i=super.render();this.constructor._hasDrawClass&&i.classList.add("draw");const n=this.#Uo=document.createElement("div");i.append(n);n.setAttribute("aria-hidden","true");n.className="internal";this._clipPathId&&(n.style.clipPath=this._clipPathId);bindEvents(this,n,["pointerover","pointerleave"]);this.setDims();this._uiManager.addShouldRescale(this);this.disableEditing();this._isCopy&&this._moveAfterPaste(t,e);return i}static createDrawerInstance(t){unreachable("Not implemented")}static _getDrawingTarget(t,{target:e}){return e}static _getPointerCoords({offsetX:t,offsetY:e,clientX:i,clientY:n},s=null){if(!s)return[t,e];let r=i-s.clientX,a=n-s.clientY;switch(this._currentParent.viewport.rotation){case 90:[r,a]=[a,-r];break;case 180:[r,a]=[-r,-a];break;case 270:[r,a]=[-a,r]}return[s.offsetX+r,s.offsetY+a]}static _addDrawingListeners(t,e){}static _endDrawingSession(t=!1){return this._currentParent.endDrawingSession(t)}static startDrawing(t,e,i,n){const{pointerId:s,pointerType:r}=n;if(CurrentPointers.isInitializedAndDifferentPointerType(r))return;const a=this._getDrawingTarget(t,n),[o,l]=this._getPointerCoords(n),{viewport:{rotation:h}}=t,{x:c,y:d,width:u,height:p}=a.getBoundingClientRect(),g=DrawingEditor.#zo=new AbortController,m=t.combinedSignal(g);CurrentPointers.setPointer(r,s);window.addEventListener("pointerup",t=>{CurrentPointers.isSamePointerIdOrRemove(t.pointerId)&&this._endDraw(t)},{signal:m});window.addEventListener("pointercancel",t=>{CurrentPointers.isSamePointerIdOrRemove(t.pointerId)&&this._endDrawingSession()},{signal:m});window.addEventListener("pointerdown",t=>{if(CurrentPointers.isSamePointerType(t.pointerType)){CurrentPointers.initializeAndAddPointerId(t.pointerId);if(DrawingEditor.#Go.isCancellable()){DrawingEditor.#Go.removeLastElement();DrawingEditor.#Go.isEmpty()?this._endDrawingSession(!0):this._endDraw(null)}}},{capture:!0,passive:!1,signal:m});window.addEventListener("contextmenu",noContextMenu,{signal:m});a.addEventListener("pointermove",this._drawMove.bind(this),{signal:m});a.addEventListener("touchmove",t=>{CurrentPointers.isSameTimeStamp(t.timeStamp)&&stopEvent(t)},{signal:m});this._addDrawingListeners(a,m);t.toggleDrawing();e._editorUndoBar?.hide();if(DrawingEditor.#Go){t.drawLayer.updateProperties(this._currentDrawId,DrawingEditor.#Go.startNew(o,l,u,p,h));return}e.updateUIForDefaultProperties(this);DrawingEditor.#Go=this.createDrawerInstance({x:o,y:l,box:[c,d,u,p],rotation:h,parent:t,isLTR:i});DrawingEditor.#Wo=this.getDefaultDrawingOptions();this._currentParent=t;const{id:f,clipPathId:b}=t.drawLayer.draw(this._mergeSVGProperties(DrawingEditor.#Wo.toSVGProperties(),DrawingEditor.#Go.defaultSVGProperties),!0,this._hasClipPath);this._currentDrawId=f;DrawingEditor.#Vo=this._hasClipPath?b:null}static _drawMove(t){CurrentPointers.isSameTimeStamp(t.timeStamp);if(!DrawingEditor.#Go)return;if(!CurrentPointers.isSamePointerId(t.pointerId))return;if(CurrentPointers.isUsingMultiplePointers()){this._endDraw(t);return}let e;const i=t.getCoalescedEvents?.();if(i?.length){const n=[];for(const e of i)n.push(...this._getPointerCoords(e,t));e=DrawingEditor.#Go.addPoints(n)}else e=DrawingEditor.#Go.add(...this._getPointerCoords(t));this._currentParent.drawLayer.updateProperties(this._currentDrawId,e);CurrentPointers.setTimeStamp(t.timeStamp);stopEvent(t)}static _cleanup(t){if(t){this._currentDrawId=-1;this._currentParent=null;DrawingEditor.#Go=null;DrawingEditor.#Wo=null;DrawingEditor.#Vo=null;CurrentPointers.clearTimeStamp()}if(DrawingEditor.#zo){DrawingEditor.#zo.abort();DrawingEditor.#zo=null;CurrentPointers.clearPointerIds()}}static _endDraw(t){const e=this._currentParent;if(e){e.toggleDrawing(!0);this._cleanup(!1);e.drawLayer.updateProperties(this._currentDrawId,t?.target===e.div?DrawingEditor.#Go.end(...this._getPointerCoords(t)):DrawingEditor.#Go.end());if(this.supportMultipleDrawings){const t=DrawingEditor.#Go,i=this._currentDrawId,n=t.getLastElement();e.addCommands({cmd:()=>{e.drawLayer.updateProperties(i,t.setLastElement(n))},undo:()=>{e.drawLayer.updateProperties(i,t.removeLastElement())},mustExec:!1,type:b.DRAW_STEP});return}this.endDrawing(!1)}}static endDrawing(t){const e=this._currentParent;if(!e)return null;e.toggleDrawing(!0);e.cleanUndoStack(b.DRAW_STEP);if(!DrawingEditor.#Go.isEmpty()){const{pageDimensions:[i,n],scale:s}=e,r=e.createAndAddNewEditor({offsetX:0,offsetY:0},!1,{drawId:this._currentDrawId,clipPathId:DrawingEditor.#Vo,drawOutlines:DrawingEditor.#Go.getOutlines(i*s,n*s,s,this._INNER_MARGIN),drawingOptions:DrawingEditor.#Wo,mustBeCommitted:!t});this._cleanup(!0);return r}e.drawLayer.remove(this._currentDrawId);this._cleanup(!0);return null}createDrawingOptions(t){}static deserializeDraw(t,e,i,n,s,r,a){unreachable("Not implemented")}static async deserialize(t,e,i){const{rawDims:{pageWidth:n,pageHeight:s,pageX:r,pageY:a}}=e.viewport,o=this.deserializeDraw(r,a,n,s,this._INNER_MARGIN,t,i),l=await super.deserialize(t,e,i);l.createDrawingOptions(t);l.#$o({drawOutlines:o});l.#jo();l.onScaleChanging();l.rotate();return l}serializeDraw(t){const[e,i]=this.pageTranslation,[n,s]=this.pageDimensions;return this._drawOutlines.serialize([e,i,n,s],t)}renderAnnotationElement(t){t.updateEdited({rect:this.getPDFRect()});return null}static canCreateNewEmptyEditor(){return!1}}class Outline{static PRECISION=1e-4;focusOutline=null;toSVGPath(){unreachable("Abstract method `toSVGPath` must be implemented.")}get box(){unreachable("Abstract getter `box` must be implemented.")}serialize(t,e){unreachable("Abstract method `serialize` must be implemented.")}get defaultSVGProperties(){unreachable("Abstract getter `defaultSVGProperties` must be implemented.")}get defaultProperties(){return this.defaultSVGProperties}getFocusSVGProperties(t){return null}get focusMustRemoveSelfIntersections(){return!1}updateProperty(t,e){return null}updateParentDimensions(t,e){return null}serializeQuadPoints(t,e){return null}updateRotation(t){return{}}getPathResizingSVGProperties(t){return{}}getPathResizedSVGProperties(t){return{}}getPathTranslatedSVGProperties(t,e){return{}}static _rotateBox([t,e,i,n],s){switch(s){case 90:return[1-e-n,t,n,i];case 180:return[1-t-i,1-e-n,i,n];case 270:return[e,1-t-i,n,i]}return[t,e,i,n]}static _rescale(t,e,i,n,s,r){r||=new Float32Array(t.length);for(let a=0,o=t.length;a<o;a+=2){r[a]=e+t[a]*n;r[a+1]=i+t[a+1]*s}return r}static _rescaleAndSwap(t,e,i,n,s,r){r||=new Float32Array(t.length);for(let a=0,o=t.length;a<o;a+=2){r[a]=e+t[a+1]*n;r[a+1]=i+t[a]*s}return r}static _translate(t,e,i,n){n||=new Float32Array(t.length);for(let s=0,r=t.length;s<r;s+=2){n[s]=e+t[s];n[s+1]=i+t[s+1]}return n}static svgRound(t){return Math.round(1e4*t)}static _normalizePoint(t,e,i,n,s){switch(s){case 90:return[1-e/i,t/n];case 180:return[1-t/i,1-e/n];case 270:return[e/i,1-t/n];default:return[t/i,e/n]}}static createBezierPoints(t,e,i,n,s,r){return[(t+5*i)/6,(e+5*n)/6,(5*i+s)/6,(5*n+r)/6,(i+s)/2,(n+r)/2]}}class FreeDrawOutliner{#sl;#rl=[];#al;#ol;#ll=[];#hl=new Float32Array(18);#cl;#dl;#ul;#pl;#gl;#ml;#fl=[];static#bl=8;static#yl=2;static#vl=FreeDrawOutliner.#bl+FreeDrawOutliner.#yl;constructor(t,e,i,n,s,r,a=0){this.#sl=i;this.#ml=s*n;this.#ol=r;this.#hl.set([NaN,NaN,NaN,NaN,t,e],6);this.#al=a;this.#pl=FreeDrawOutliner.#bl*n;this.#ul=FreeDrawOutliner.#vl*n;this.#gl=n;this.#fl.push(t,e)}isEmpty(){return isNaN(this.#hl[8])}isCancellable(){return this.#fl.length<=10}removeLastElement(){this.#hl.fill(NaN);this.#ll.length=this.#rl.length=this.#fl.length=0;return{path:{d:""}}}#wl(){const t=this.#hl.subarray(4,6),e=this.#hl.subarray(16,18),[i,n,s,r]=this.#sl;return[(this.#cl+(t[0]-e[0])/2-i)/s,(this.#dl+(t[1]-e[1])/2-n)/r,(this.#cl+(e[0]-t[0])/2-i)/s,(this.#dl+(e[1]-t[1])/2-n)/r]}add(t,e){this.#cl=t;this.#dl=e;const[i,n,s,r]=this.#sl;let[a,o,l,h]=this.#hl.subarray(8,12);const c=t-l,d=e-h,u=Math.hypot(c,d);if(u<this.#ul)return!1;const p=u-this.#pl,g=p/u,m=g*c,f=g*d;let b=a,y=o;a=l;o=h;l+=m;h+=f;this.#fl?.push(t,e);const v=m/p,w=-f/p*this.#ml,A=v*this.#ml;this.#hl.set(this.#hl.subarray(2,8),0);this.#hl.set([l+w,h+A],4);this.#hl.set(this.#hl.subarray(14,18),12);this.#hl.set([l-w,h-A],16);if(isNaN(this.#hl[6])){if(0===this.#ll.length){this.#hl.set([a+w,o+A],2);this.#ll.push(NaN,NaN,NaN,NaN,(a+w-i)/s,(o+A-n)/r);this.#hl.set([a-w,o-A],14);this.#rl.push(NaN,NaN,NaN,NaN,(a-w-i)/s,(o-A-n)/r)}this.#hl.set([b,y,a,o,l,h],6);return!this.isEmpty()}this.#hl.set([b,y,a,o,l,h],6);if(Math.abs(Math.atan2(y-o,b-a)-Math.atan2(f,m))<Math.PI/2){[a,o,l,h]=this.#hl.subarray(2,6);this.#ll.push(NaN,NaN,NaN,NaN,((a+l)/2-i)/s,((o+h)/2-n)/r);[a,o,b,y]=this.#hl.subarray(14,18);this.#rl.push(NaN,NaN,NaN,NaN,((b+a)/2-i)/s,((y+o)/2-n)/r);return!0}[b,y,a,o,l,h]=this.#hl.subarray(0,6);this.#ll.push(((b+5*a)/6-i)/s,((y+5*o)/6-n)/r,((5*a+l)/6-i)/s,((5*o+h)/6-n)/r,((a+l)/2-i)/s,((o+h)/2-n)/r);[l,h,a,o,b,y]=this.#hl.subarray(12,18);this.#rl.push(((b+5*a)/6-i)/s,((y+5*o)/6-n)/r,((5*a+l)/6-i)/s,((5*o+h)/6-n)/r,((a+l)/2-i)/s,((o+h)/2-n)/r);return!0}toSVGPath(){if(this.isEmpty())return"";const t=this.#ll,e=this.#rl;if(isNaN(this.#hl[6])&&!this.isEmpty())return this.#Al();const i=[];i.push(`M${t[4]} ${t[5]}`);for(let e=6;e<t.length;e+=6)isNaN(t[e])?i.push(`L${t[e+4]} ${t[e+5]}`):i.push(`C${t[e]} ${t[e+1]} ${t[e+2]} ${t[e+3]} ${t[e+4]} ${t[e+5]}`);this.#xl(i);for(let t=e.length-6;t>=6;t-=6)isNaN(e[t])?i.push(`L${e[t+4]} ${e[t+5]}`):i.push(`C${e[t]} ${e[t+1]} ${e[t+2]} ${e[t+3]} ${e[t+4]} ${e[t+5]}`);this.#Cl(i);return i.join(" ")}#Al(){const[t,e,i,n]=this.#sl,[s,r,a,o]=this.#wl();return`M${(this.#hl[2]-t)/i} ${(this.#hl[3]-e)/n} L${(this.#hl[4]-t)/i} ${(this.#hl[5]-e)/n} L${s} ${r} L${a} ${o} L${(this.#hl[16]-t)/i} ${(this.#hl[17]-e)/n} L${(this.#hl[14]-t)/i} ${(this.#hl[15]-e)/n} Z`}#Cl(t){const e=this.#rl;t.push(`L${e[4]} ${e[5]} Z`)}#xl(t){const[e,i,n,s]=this.#sl,r=this.#hl.subarray(4,6),a=this.#hl.subarray(16,18),[o,l,h,c]=this.#wl();t.push(`L${(r[0]-e)/n} ${(r[1]-i)/s} L${o} ${l} L${h} ${c} L${(a[0]-e)/n} ${(a[1]-i)/s}`)}newFreeDrawOutline(t,e,i,n,s,r){return new FreeDrawOutline(t,e,i,n,s,r)}getOutlines(){const t=this.#ll,e=this.#rl,i=this.#hl,[n,s,r,a]=this.#sl,o=new Float32Array((this.#fl?.length??0)+2);for(let t=0,e=o.length-2;t<e;t+=2){o[t]=(this.#fl[t]-n)/r;o[t+1]=(this.#fl[t+1]-s)/a}o[o.length-2]=(this.#cl-n)/r;o[o.length-1]=(this.#dl-s)/a;if(isNaN(i[6])&&!this.isEmpty())return this.#El(o);const l=new Float32Array(this.#ll.length+24+this.#rl.length);let h=t.length;for(let e=0;e<h;e+=2)if(isNaN(t[e]))l[e]=l[e+1]=NaN;else{l[e]=t[e];l[e+1]=t[e+1]}h=this.#Sl(l,h);for(let t=e.length-6;t>=6;t-=6)for(let i=0;i<6;i+=2)if(isNaN(e[t+i])){l[h]=l[h+1]=NaN;h+=2}else{l[h]=e[t+i];l[h+1]=e[t+i+1];h+=2}this.#Tl(l,h);return this.newFreeDrawOutline(l,o,this.#sl,this.#gl,this.#al,this.#ol)}#El(t){const e=this.#hl,[i,n,s,r]=this.#sl,[a,o,l,h]=this.#wl(),c=new Float32Array(36);c.set([NaN,NaN,NaN,NaN,(e[2]-i)/s,(e[3]-n)/r,NaN,NaN,NaN,NaN,(e[4]-i)/s,(e[5]-n)/r,NaN,NaN,NaN,NaN,a,o,NaN,NaN,NaN,NaN,l,h,NaN,NaN,NaN,NaN,(e[16]-i)/s,(e[17]-n)/r,NaN,NaN,NaN,NaN,(e[14]-i)/s,(e[15]-n)/r],0);return this.newFreeDrawOutline(c,t,this.#sl,this.#gl,this.#al,this.#ol)}#Tl(t,e){const i=this.#rl;t.set([NaN,NaN,NaN,NaN,i[4],i[5]],e);return e+6}#Sl(t,e){const i=this.#hl.subarray(4,6),n=this.#hl.subarray(16,18),[s,r,a,o]=this.#sl,[l,h,c,d]=this.#wl();t.set([NaN,NaN,NaN,NaN,(i[0]-s)/a,(i[1]-r)/o,NaN,NaN,NaN,NaN,l,h,NaN,NaN,NaN,NaN,c,d,NaN,NaN,NaN,NaN,(n[0]-s)/a,(n[1]-r)/o],e);return e+24}}class FreeDrawOutline extends Outline{#sl;#_l=new Float32Array(4);#al;#ol;#fl;#gl;#kl;constructor(t,e,i,n,s,r){super();this.#kl=t;this.#fl=e;this.#sl=i;this.#gl=n;this.#al=s;this.#ol=r;this.firstPoint=[NaN,NaN];this.lastPoint=[NaN,NaN];this.#Dl(r);const[a,o,l,h]=this.#_l;for(let e=0,i=t.length;e<i;e+=2){t[e]=(t[e]-a)/l;t[e+1]=(t[e+1]-o)/h}for(let t=0,i=e.length;t<i;t+=2){e[t]=(e[t]-a)/l;e[t+1]=(e[t+1]-o)/h}}toSVGPath(){const t=[`M${this.#kl[4]} ${this.#kl[5]}`];for(let e=6,i=this.#kl.length;e<i;e+=6)isNaN(this.#kl[e])?t.push(`L${this.#kl[e+4]} ${this.#kl[e+5]}`):t.push(`C${this.#kl[e]} ${this.#kl[e+1]} ${this.#kl[e+2]} ${this.#kl[e+3]} ${this.#kl[e+4]} ${this.#kl[e+5]}`);t.push("Z");return t.join(" ")}serialize([t,e,i,n],s){const r=i-t,a=n-e;let o,l;switch(s){case 0:o=Outline._rescale(this.#kl,t,n,r,-a);l=Outline._rescale(this.#fl,t,n,r,-a);break;case 90:o=Outline._rescaleAndSwap(this.#kl,t,e,r,a);l=Outline._rescaleAndSwap(this.#fl,t,e,r,a);break;case 180:o=Outline._rescale(this.#kl,i,e,-r,a);l=Outline._rescale(this.#fl,i,e,-r,a);break;case 270:o=Outline._rescaleAndSwap(this.#kl,i,n,-r,-a);l=Outline._rescaleAndSwap(this.#fl,i,n,-r,-a)}return{outline:Array.from(o),points:[Array.from(l)]}}#Dl(t){const i=this.#kl;let n=i[4],s=i[5];const r=[n,s,n,s];let a=n,o=s,l=n,h=s;const c=t?Math.max:Math.min,d=new Float32Array(4);for(let t=6,u=i.length;t<u;t+=6){const u=i[t+4],p=i[t+5];if(isNaN(i[t])){Util.pointBoundingBox(u,p,r);if(o>p){a=u;o=p}else o===p&&(a=c(a,u));if(h<p){l=u;h=p}else h===p&&(l=c(l,u))}else{d.set(e,0);Util.bezierBoundingBox(n,s,...i.slice(t,t+6),d);Util.rectBoundingBox(...d,r);if(o>d[1]){a=d[0];o=d[1]}else o===d[1]&&(a=c(a,d[0]));if(h<d[3]){l=d[2];h=d[3]}else h===d[3]&&(l=c(l,d[2]))}n=u;s=p}const u=this.#_l;u[0]=r[0]-this.#al;u[1]=r[1]-this.#al;u[2]=r[2]-r[0]+2*this.#al;u[3]=r[3]-r[1]+2*this.#al;this.firstPoint=[a,o];this.lastPoint=[l,h]}get box(){return this.#_l}newOutliner(t,e,i,n,s,r,a=0){return new FreeDrawOutliner(t,e,i,n,s,r,a)}updateThickness(t){const e=this.getNewOutline(t);this.#kl=e.#kl;this.#fl=e.#fl;this.#_l.set(e.#_l);this.firstPoint=e.firstPoint;this.lastPoint=e.lastPoint;return this.#_l}getNewOutline(t,e){const[i,n,s,r]=this.#_l,[a,o,l,h]=this.#sl,c=s*l,d=r*h,u=i*l+a,p=n*h+o,g=this.#fl,m=this.newOutliner(g[0]*c+u,g[1]*d+p,this.#sl,this.#gl,t,this.#ol,e??this.#al);for(let t=2,e=g.length;t<e;t+=2)m.add(g[t]*c+u,g[t+1]*d+p);return m.getOutlines()}}function getHighlightSVGProperties(t){return{bbox:t.box,root:{viewBox:"0 0 1 1"},rootClass:{highlight:!0,free:t.isFree},path:{d:t.toSVGPath()}}}function getHighlightFocusSVGProperties(t,e){const{focusOutline:i}=t;return{bbox:Outline._rotateBox(i.box,e),root:{"data-main-rotation":e},rootClass:{highlightOutline:!0,free:t.isFree},path:{d:i.toSVGPath()}}}class HighlightOutliner{#sl;#Pl;#Ml;#Il=[];#Fl=[];constructor(t,i=0,n=0,s=!0){const r=e.slice(),a=1e-4;for(const{x:e,y:n,width:s,height:o}of t){const t=Math.floor((e-i)/a)*a,l=Math.ceil((e+s+i)/a)*a,h=Math.floor((n-i)/a)*a,c=Math.ceil((n+o+i)/a)*a,d=[t,h,c,!0],u=[l,h,c,!1];this.#Il.push(d,u);Util.rectBoundingBox(t,h,l,c,r)}const o=r[2]-r[0]+2*n,l=r[3]-r[1]+2*n,h=r[0]-n,c=r[1]-n;let d=s?-1/0:1/0,u=1/0;const p=this.#Il.at(s?-1:-2),g=[p[0],p[2]];for(const t of this.#Il){const[e,i,n,r]=t;if(!r&&s)if(i<u){u=i;d=e}else i===u&&(d=Math.max(d,e));else if(r&&!s)if(i<u){u=i;d=e}else i===u&&(d=Math.min(d,e));t[0]=(e-h)/o;t[1]=(i-c)/l;t[2]=(n-c)/l}this.#sl=new Float32Array([h,c,o,l]);this.#Pl=[d,u];this.#Ml=g}getOutlines(){this.#Il.sort((t,e)=>t[0]-e[0]||t[1]-e[1]||t[2]-e[2]);const t=[];for(const e of this.#Il)if(e[3]){t.push(...this.#Ol(e));this.#Bl(e)}else{this.#Rl(e);t.push(...this.#Ol(e))}return this.#Ll(t)}#Ll(t){const e=[],i=new Set;for(const i of t){const[t,n,s]=i;e.push([t,n,i],[t,s,i])}e.sort((t,e)=>t[1]-e[1]||t[0]-e[0]);for(let t=0,n=e.length;t<n;t+=2){const n=e[t][2],s=e[t+1][2];n.push(s);s.push(n);i.add(n);i.add(s)}const n=[];let s;for(;i.size>0;){const t=i.values().next().value;let[e,r,a,o,l]=t;i.delete(t);let h=e,c=r;s=[e,a];n.push(s);for(;;){let t;if(i.has(o))t=o;else{if(!i.has(l))break;t=l}i.delete(t);[e,r,a,o,l]=t;if(h!==e){s.push(h,c,e,c===r?r:a);h=e}c=c===r?a:r}s.push(h,c)}return new HighlightOutline(n,this.#sl,this.#Pl,this.#Ml)}#Nl(t){const e=this.#Fl;let i=0,n=e.length-1;for(;i<=n;){const s=i+n>>1,r=e[s][0];if(r===t)return s;r<t?i=s+1:n=s-1}return n+1}#Bl([,t,e]){const i=this.#Nl(t);this.#Fl.splice(i,0,[t,e])}#Rl([,t,e]){const i=this.#Nl(t);for(let n=i;n<this.#Fl.length;n++){const[i,s]=this.#Fl[n];if(i!==t)break;if(i===t&&s===e){this.#Fl.splice(n,1);return}}for(let n=i-1;n>=0;n--){const[i,s]=this.#Fl[n];if(i!==t)break;if(i===t&&s===e){this.#Fl.splice(n,1);return}}}#Ol(t){const[e,i,n]=t,s=[[e,i,n]],r=this.#Nl(n);for(let t=0;t<r;t++){const[i,n]=this.#Fl[t];for(let t=0,r=s.length;t<r;t++){const[,a,o]=s[t];if(!(n<=a||o<=i))if(a>=i)if(o>n)s[t][1]=n;else{if(1===r)return[];s.splice(t,1);t--;r--}else{s[t][2]=i;o>n&&s.push([e,n,o])}}}return s}}class HighlightOutline extends Outline{#sl;#Ul=null;#Hl;constructor(t,e,i,n){super();this.#Hl=t;this.#sl=e;this.firstPoint=i;this.lastPoint=n}static build(t,e){const i=new HighlightOutliner(t,.001).getOutlines();i.#Ul=t;i.focusOutline=new HighlightOutliner(t,.0025,.001,e).getOutlines();return i}get isFree(){return!1}get defaultSVGProperties(){return getHighlightSVGProperties(this)}getFocusSVGProperties(t){return getHighlightFocusSVGProperties(this,t)}updateRotation(t){return{root:{"data-main-rotation":t}}}serializeQuadPoints([t,e],[i,n]){const s=this.#Ul,r=new Float32Array(8*s.length);let a=0;for(const{x:o,y:l,width:h,height:c}of s){const s=o*i+t,d=(1-l)*n+e;r[a]=r[a+4]=s;r[a+1]=r[a+3]=d;r[a+2]=r[a+6]=s+h*i;r[a+5]=r[a+7]=d-c*n;a+=8}return r}toSVGPath(){const t=[];for(const e of this.#Hl){let[i,n]=e;t.push(`M${i} ${n}`);for(let s=2;s<e.length;s+=2){const r=e[s],a=e[s+1];if(r===i){t.push(`V${a}`);n=a}else if(a===n){t.push(`H${r}`);i=r}}t.push("Z")}return t.join(" ")}serialize([t,e,i,n],s){const r=[],a=i-t,o=n-e;for(const e of this.#Hl){const i=new Array(e.length);for(let s=0;s<e.length;s+=2){i[s]=t+e[s]*a;i[s+1]=n-e[s+1]*o}r.push(i)}return r}get box(){return this.#sl}}class FreeHighlightOutliner extends FreeDrawOutliner{newFreeDrawOutline(t,e,i,n,s,r){return new FreeHighlightOutline(t,e,i,n,s,r)}}class FreeHighlightDrawer{#Gl;#ml;constructor(t,e,i,n,s,r,a){this.#Gl=new FreeHighlightOutliner(t,e,i,n,s,r,a);this.#ml=s}add(t,e){return this.#Gl.add(t,e)?{path:{d:this.#Gl.toSVGPath()}}:null}addPoints(t){let e=!1;for(let i=0,n=t.length;i<n;i+=2)e=this.#Gl.add(t[i],t[i+1])||e;return e?{path:{d:this.#Gl.toSVGPath()}}:null}end(t,e){return void 0===t?null:this.add(t,e)}isEmpty(){return this.#Gl.isEmpty()}isCancellable(){return this.#Gl.isCancellable()}removeLastElement(){return this.#Gl.removeLastElement()}updateProperty(t,e){return null}getOutlines(){const t=this.#Gl.getOutlines();t.buildFocusOutline(2*this.#ml);return t}get defaultSVGProperties(){return{bbox:[0,0,1,1],root:{viewBox:"0 0 1 1"},rootClass:{highlight:!0,free:!0},path:{d:this.#Gl.toSVGPath()}}}}class FreeHighlightOutline extends FreeDrawOutline{static#zl=1.5;newOutliner(t,e,i,n,s,r,a=0){return new FreeHighlightOutliner(t,e,i,n,s,r,a)}get isFree(){return!0}buildFocusOutline(t){this.focusOutline=this.getNewOutline(t/2+FreeHighlightOutline.#zl,.0025)}get defaultSVGProperties(){return getHighlightSVGProperties(this)}getFocusSVGProperties(t){return getHighlightFocusSVGProperties(this,t)}get focusMustRemoveSelfIntersections(){return!0}updateRotation(t){return{root:{"data-main-rotation":t}}}updateProperty(t,e){if("thickness"!==t)return null;const i=this.updateThickness(e/2);this.buildFocusOutline(e);return i}getPathResizedSVGProperties(){return{path:{d:this.toSVGPath()}}}}class HighlightDrawingOptions extends DrawingOptions{constructor(t=null){super();super.updateProperties(t)}updateSVGProperty(t,e){"thickness"!==t&&super.updateSVGProperty(t,e)}clone(){const t=new HighlightDrawingOptions;t.updateAll(this);return t}}class HighlightEditor extends DrawingEditor{#Wl=null;#Vl=0;#$l=null;#jl=0;#Xl="";#ve="";static _DEFAULT_OPACITY=1;static _DEFAULT_THICKNESS=12;static _defaultDrawingOptions=null;static _type="highlight";static _editorType=f.HIGHLIGHT;static get _keyboardManager(){const t=HighlightEditor.prototype;return shadow(this,"_keyboardManager",new KeyboardManager([[["ArrowLeft"],t._moveCaret,{args:[0]}],[["ArrowRight"],t._moveCaret,{args:[1]}],[["ArrowUp"],t._moveCaret,{args:[2]}],[["ArrowDown"],t._moveCaret,{args:[3]}]]))}constructor(t){super({...t,name:"highlightEditor"});this.#Wl=t.anchorNode||null;this.#Vl=t.anchorOffset||0;this.#$l=t.focusNode||null;this.#jl=t.focusOffset||0;this.#Xl=t.methodOfCreation||(this._drawOutlines?.isFree?"main_toolbar":"");this.#ve=t.text||"";this._isDraggable=!1;this.defaultL10nId="pdfjs-editor-highlight-editor";this.rotate()}static initialize(t,e){AnnotationEditor.initialize(t,e);this._defaultDrawingOptions||=new HighlightDrawingOptions({fill:e.highlightColors?.values().next().value||"#fff066","fill-opacity":HighlightEditor._DEFAULT_OPACITY,thickness:HighlightEditor._DEFAULT_THICKNESS})}static getDefaultDrawingOptions(t){const e=this._defaultDrawingOptions.clone();e.updateProperties(t);return e}static get typesMap(){return shadow(this,"typesMap",new Map([[b.HIGHLIGHT_COLOR,"fill"],[b.HIGHLIGHT_THICKNESS,"thickness"]]))}static get isDrawer(){return!1}static get _hasClipPath(){return!0}static get _hasDrawClass(){return!1}_addOutlines(t){const{boxes:e,drawOutlines:i}=t;if(e||i){this._drawingOptions||=t.drawingOptions||HighlightEditor.getDefaultDrawingOptions();e&&(t={...t,drawOutlines:HighlightOutline.build(e,"ltr"===this._uiManager.direction)});super._addOutlines(t)}}get colorType(){return b.HIGHLIGHT_COLOR}get color(){return this._drawingOptions.fill}get opacity(){return this._drawingOptions["fill-opacity"]}get _opacityName(){return"fill-opacity"}get _drawRotation(){return this._drawOutlines?.isFree?this.rotation:0}get isResizable(){return!1}get _mustBeDisabledOnCommit(){return!1}get _mustFixPosition(){return!this._drawOutlines?.isFree}get telemetryInitialData(){return{action:"added",type:this._drawOutlines.isFree?"free_highlight":"highlight",color:this._uiManager.getNonHCMColorName(this.color),thickness:this._drawingOptions.thickness,methodOfCreation:this.#Xl}}get telemetryFinalData(){return{type:"highlight",color:this._uiManager.getNonHCMColorName(this.color)}}static computeTelemetryFinalData(t){return{numberOfColors:t.get("color").size}}translateInPage(t,e){}get toolbarPosition(){return this.#Kl(this._drawOutlines.focusOutline.lastPoint)}get commentButtonPosition(){return this.#Kl(this._drawOutlines.firstPoint)}#Kl([t,e]){const[i,n,s,r]=this._drawOutlines.box;return[(t-i)/s,(e-n)/r]}updateParams(t,e){switch(t){case b.HIGHLIGHT_COLOR:this._updateColorAndOpacity(e,HighlightEditor._DEFAULT_OPACITY,t);this._reportTelemetry({action:"color_changed",color:this._uiManager.getNonHCMColorName(e)},!0);break;case b.HIGHLIGHT_THICKNESS:super.updateParams(t,e);this._reportTelemetry({action:"thickness_changed",thickness:e},!0)}}get propertiesToUpdate(){const t=super.propertiesToUpdate;t.push([b.HIGHLIGHT_FREE,this._drawOutlines.isFree]);return t}get toolbarButtons(){if(this._uiManager.highlightColors){this._colorPicker=new ColorPicker({editor:this});return[["colorPicker",this._colorPicker]]}return super.toolbarButtons}fixAndSetPosition(){return super.fixAndSetPosition(this._drawRotation)}getRect(t,e){return super.getRect(t,e,this._drawRotation)}onceAdded(t){this.annotationElementId||this.parent.addUndoableEditor(this);t&&this.div.focus()}remove(){this._reportTelemetry({action:"deleted"});super.remove()}render(){if(this.div)return this.div;const t=super.render();if(this.#ve){t.setAttribute("aria-label",this.#ve);t.setAttribute("role","mark")}this._drawOutlines.isFree?t.classList.add("free"):t.addEventListener("keydown",this.#Yl.bind(this),{signal:this._uiManager._signal});this.enableEditing();return t}#Yl(t){HighlightEditor._keyboardManager.exec(this,t)}_moveCaret(t){this.parent.unselect(this);switch(t){case 0:case 2:this.#ql(!0);break;case 1:case 3:this.#ql(!1)}}#ql(t){if(!this.#Wl)return;const e=window.getSelection();t?e.setPosition(this.#Wl,this.#Vl):e.setPosition(this.#$l,this.#jl)}unselect(){super.unselect();this._drawOutlines.isFree||this.#ql(!1)}static createDrawerInstance({x:t,y:e,box:i,parent:n,isLTR:s}){return new FreeHighlightDrawer(t,e,i,n.scale,this._defaultDrawingOptions.thickness/2,s,.001)}static _getDrawingTarget(t,{target:e}){return e.closest(".textLayer")}static _getPointerCoords({x:t,y:e}){return[t,e]}static _addDrawingListeners(t,e){t.classList.add("free");e.addEventListener("abort",()=>t.classList.remove("free"),{once:!0});window.addEventListener("blur",()=>this._endDraw(null),{signal:e});window.addEventListener("pointerdown",stopEvent,{capture:!0,passive:!1,signal:e})}static _endDrawingSession(t=!1){return this.endDrawing(t)}createDrawingOptions({color:t,opacity:e,thickness:i}){const{_defaultDrawingOptions:n,_DEFAULT_OPACITY:s}=HighlightEditor;this._drawingOptions=HighlightEditor.getDefaultDrawingOptions({fill:Util.makeHexColor(...t),"fill-opacity":e||s,thickness:i||n.thickness})}static deserializeDraw(t,e,i,n,s,r,a){const{quadPoints:o}=r;if(o){const s=[];for(let r=0,a=o.length;r<a;r+=8)s.push({x:(o[r]-t)/i,y:1-(o[r+1]-e)/n,width:(o[r+2]-o[r])/i,height:(o[r+1]-o[r+5])/n});return HighlightOutline.build(s,"ltr"===a.direction)}const l=r.thickness||this._defaultDrawingOptions.thickness,h=(r.inkLists||r.outlines.points)[0],c=new FreeHighlightOutliner(h[0]-t,n-(h[1]-e),[0,0,i,n],1,l/2,!0,.001);for(let i=0,s=h.length;i<s;i+=2)c.add(h[i]-t,n-(h[i+1]-e));const d=c.getOutlines();d.buildFocusOutline(l);return d}static async deserialize(t,e,i){let n=null;if(t instanceof HighlightAnnotationElement){const{data:{quadPoints:e,rect:i,rotation:s,id:r,color:a,opacity:o,popupRef:l,richText:h,contentsObj:c,creationDate:d,modificationDate:u},parent:{page:{pageNumber:p}}}=t;n=t={annotationType:f.HIGHLIGHT,color:Array.from(a),opacity:o,quadPoints:e,pageIndex:p-1,rect:i.slice(0),rotation:s,annotationElementId:r,id:r,deleted:!1,popupRef:l,richText:h,comment:c?.str||null,creationDate:d,modificationDate:u}}else if(t instanceof InkAnnotationElement){const{data:{inkLists:e,rect:i,rotation:s,id:r,color:a,borderStyle:{rawWidth:o},popupRef:l,richText:h,contentsObj:c,creationDate:d,modificationDate:u},parent:{page:{pageNumber:p}}}=t;n=t={annotationType:f.HIGHLIGHT,color:Array.from(a),thickness:o,inkLists:e,pageIndex:p-1,rect:i.slice(0),rotation:s,annotationElementId:r,id:r,deleted:!1,popupRef:l,richText:h,comment:c?.str||null,creationDate:d,modificationDate:u}}const s=await super.deserialize(t,e,i);s._initialData=n;t.comment&&s.setCommentData(t);return s}serialize(t=!1){if(this.isEmpty()||t)return null;if(this.deleted)return this.serializeDeleted();const e=super.serialize(t);Object.assign(e,{color:AnnotationEditor._colorManager.convert(this._uiManager.getNonHCMColor(this.color)),opacity:this.opacity,thickness:this._drawingOptions.thickness,quadPoints:this._drawOutlines.serializeQuadPoints(this.pageTranslation,this.pageDimensions),outlines:this._drawOutlines.serialize(e.rect,this._drawRotation)});this.addComment(e);if(this.annotationElementId&&!this.#Lo(e))return null;e.id=this.annotationElementId;return e}#Lo(t){const{color:e}=this._initialData;return this.hasEditedComment||t.color.some((t,i)=>t!==e[i])}renderAnnotationElement(t){if(this.deleted){t.hide();return null}t.updateEdited({rect:this.getPDFRect(),popup:this.comment});return null}}class InkDrawOutliner{#hl=new Float64Array(6);#Ql=new Float64Array(2);#ao;#Jl;#gr;#ml;#fl;#Zl="";#th=0;#Hl=new InkDrawOutline;#eh;#ih;constructor(t,e,i,n,s,r){this.#eh=i;this.#ih=n;this.#gr=s;this.#ml=r;[t,e]=this.#nh(t,e);const a=this.#ao=[NaN,NaN,NaN,NaN,t,e];this.#fl=[t,e];this.#Jl=[{line:a,points:this.#fl}];this.#hl.set(a,0);this.#Ql.set([t,e],0)}updateProperty(t,e){"stroke-width"===t&&(this.#ml=e)}#nh(t,e){return Outline._normalizePoint(t,e,this.#eh,this.#ih,this.#gr)}isEmpty(){return!this.#Jl?.length}isCancellable(){return this.#fl.length<=10}add(t,e){this.#sh(t,e)&&this.toSVGPath();return{path:{d:this.#rh()}}}addPoints(t){let e=!1;for(let i=0,n=t.length;i<n;i+=2)if(this.#sh(t[i],t[i+1])){e=!0;if(this.#fl.length<=6){this.toSVGPath();e=!1}}e&&this.toSVGPath();return{path:{d:this.#rh()}}}#sh(t,e){[t,e]=this.#nh(t,e);this.#Ql.set([t,e],0);const[i,n,s,r]=this.#hl.subarray(2,6),a=t-s,o=e-r;if(Math.hypot(this.#eh*a,this.#ih*o)<=2)return!1;this.#fl.push(t,e);if(isNaN(i)){this.#hl.set([s,r,t,e],2);this.#ao.push(NaN,NaN,NaN,NaN,t,e);return!0}isNaN(this.#hl[0])&&this.#ao.splice(6,6);this.#hl.set([i,n,s,r,t,e],0);this.#ao.push(...Outline.createBezierPoints(i,n,s,r,t,e));return!0}end(t,e){return void 0!==t&&this.#sh(t,e)||2===this.#fl.length?{path:{d:this.toSVGPath()}}:{path:{d:this.#Zl}}}startNew(t,e,i,n,s){this.#eh=i;this.#ih=n;this.#gr=s;[t,e]=this.#nh(t,e);const r=this.#ao=[NaN,NaN,NaN,NaN,t,e];this.#fl=[t,e];this.#Ql.set([t,e],0);const a=this.#Jl.at(-1);if(a){a.line=new Float32Array(a.line);a.points=new Float32Array(a.points)}this.#Jl.push({line:r,points:this.#fl});this.#hl.set(r,0);this.#th=0;this.toSVGPath();return null}getLastElement(){return this.#Jl.at(-1)}setLastElement(t){if(!this.#Jl)return this.#Hl.setLastElement(t);this.#Jl.push(t);this.#ao=t.line;this.#fl=t.points;this.#th=0;return{path:{d:this.toSVGPath()}}}removeLastElement(){if(!this.#Jl)return this.#Hl.removeLastElement();this.#Jl.pop();this.#Zl="";for(let t=0,e=this.#Jl.length;t<e;t++){const{line:e,points:i}=this.#Jl[t];this.#ao=e;this.#fl=i;this.#th=0;this.toSVGPath()}return{path:{d:this.#Zl}}}#rh(){const t=Outline.svgRound(this.#Ql[0]),e=Outline.svgRound(this.#Ql[1]);if(2===this.#fl.length){const i=Outline.svgRound(this.#ao[4]),n=Outline.svgRound(this.#ao[5]);return`${this.#Zl} M ${i} ${n} L ${t} ${e}`}return`${this.#Zl} L ${t} ${e}`}toSVGPath(){const t=Outline.svgRound(this.#ao[4]),e=Outline.svgRound(this.#ao[5]);if(2===this.#fl.length){this.#Zl=`${this.#Zl} M ${t} ${e} Z`;return this.#Zl}if(this.#fl.length<=6){const i=this.#Zl.lastIndexOf("M");this.#Zl=`${this.#Zl.slice(0,i)} M ${t} ${e}`;this.#th=6}if(4===this.#fl.length){const t=Outline.svgRound(this.#ao[10]),e=Outline.svgRound(this.#ao[11]);this.#Zl=`${this.#Zl} L ${t} ${e}`;this.#th=12;return this.#Zl}const i=[];if(0===this.#th){i.push(`M ${t} ${e}`);this.#th=6}for(let t=this.#th,e=this.#ao.length;t<e;t+=6){const[e,n,s,r,a,o]=this.#ao.slice(t,t+6).map(Outline.svgRound);i.push(`C${e} ${n} ${s} ${r} ${a} ${o}`)}this.#Zl+=i.join(" ");this.#th=this.#ao.length;return this.#Zl}getOutlines(t,e,i,n){const s=this.#Jl.at(-1);s.line=new Float32Array(s.line);s.points=new Float32Array(s.points);this.#Hl.build(this.#Jl,t,e,i,this.#gr,this.#ml,n);this.#hl=null;this.#ao=null;this.#Jl=null;this.#Zl=null;return this.#Hl}get defaultSVGProperties(){return{root:{viewBox:"0 0 10000 10000"},rootClass:{draw:!0},bbox:[0,0,1,1]}}}class InkDrawOutline extends Outline{#_l;#ah=0;#al;#Jl;#eh;#ih;#oh;#gr;#ml;build(t,e,i,n,s,r,a){this.#eh=e;this.#ih=i;this.#oh=n;this.#gr=s;this.#ml=r;this.#al=a??0;this.#Jl=t;this.#lh()}get thickness(){return this.#ml}setLastElement(t){this.#Jl.push(t);return{path:{d:this.toSVGPath()}}}removeLastElement(){this.#Jl.pop();return{path:{d:this.toSVGPath()}}}toSVGPath(){const t=[];for(const{line:e}of this.#Jl){t.push(`M${Outline.svgRound(e[4])} ${Outline.svgRound(e[5])}`);if(6!==e.length)if(12===e.length&&isNaN(e[6]))t.push(`L${Outline.svgRound(e[10])} ${Outline.svgRound(e[11])}`);else for(let i=6,n=e.length;i<n;i+=6){const[n,s,r,a,o,l]=e.subarray(i,i+6).map(Outline.svgRound);t.push(`C${n} ${s} ${r} ${a} ${o} ${l}`)}else t.push("Z")}return t.join("")}serialize([t,e,i,n],s){const r=[],a=[],[o,l,h,c]=this.#hh();let d,u,p,g,m,f,b,y,v;switch(this.#gr){case 0:v=Outline._rescale;d=t;u=e+n;p=i;g=-n;m=t+o*i;f=e+(1-l-c)*n;b=t+(o+h)*i;y=e+(1-l)*n;break;case 90:v=Outline._rescaleAndSwap;d=t;u=e;p=i;g=n;m=t+l*i;f=e+o*n;b=t+(l+c)*i;y=e+(o+h)*n;break;case 180:v=Outline._rescale;d=t+i;u=e;p=-i;g=n;m=t+(1-o-h)*i;f=e+l*n;b=t+(1-o)*i;y=e+(l+c)*n;break;case 270:v=Outline._rescaleAndSwap;d=t+i;u=e+n;p=-i;g=-n;m=t+(1-l-c)*i;f=e+(1-o-h)*n;b=t+(1-l)*i;y=e+(1-o)*n}for(const{line:t,points:e}of this.#Jl){r.push(v(t,d,u,p,g,s?new Array(t.length):null));a.push(v(e,d,u,p,g,s?new Array(e.length):null))}return{lines:r,points:a,rect:[m,f,b,y]}}static deserialize(t,e,i,n,s,{paths:{lines:r,points:a},rotation:o,thickness:l}){const h=[];let c,d,u,p,g;switch(o){case 0:g=Outline._rescale;c=-t/i;d=e/n+1;u=1/i;p=-1/n;break;case 90:g=Outline._rescaleAndSwap;c=-e/n;d=-t/i;u=1/n;p=1/i;break;case 180:g=Outline._rescale;c=t/i+1;d=-e/n;u=-1/i;p=1/n;break;case 270:g=Outline._rescaleAndSwap;c=e/n+1;d=t/i+1;u=-1/n;p=-1/i}if(!r){r=[];for(const t of a){const e=t.length;if(2===e){r.push(new Float32Array([NaN,NaN,NaN,NaN,t[0],t[1]]));continue}if(4===e){r.push(new Float32Array([NaN,NaN,NaN,NaN,t[0],t[1],NaN,NaN,NaN,NaN,t[2],t[3]]));continue}const i=new Float32Array(3*(e-2));r.push(i);let[n,s,a,o]=t.subarray(0,4);i.set([NaN,NaN,NaN,NaN,n,s],0);for(let r=4;r<e;r+=2){const e=t[r],l=t[r+1];i.set(Outline.createBezierPoints(n,s,a,o,e,l),3*(r-2));[n,s,a,o]=[a,o,e,l]}}}for(let t=0,e=r.length;t<e;t++)h.push({line:g(r[t].map(t=>t??NaN),c,d,u,p),points:g(a[t].map(t=>t??NaN),c,d,u,p)});const m=new this.prototype.constructor;m.build(h,i,n,1,o,l,s);return m}#ch(t=this.#ml){const e=this.#al+t/2*this.#oh;return this.#gr%180==0?[e/this.#eh,e/this.#ih]:[e/this.#ih,e/this.#eh]}#hh(){const[t,e,i,n]=this.#_l,[s,r]=this.#ch(0);return[t+s,e+r,i-2*s,n-2*r]}#lh(){const t=this.#_l=i.slice();for(const{line:e}of this.#Jl){if(e.length<=12){for(let i=4,n=e.length;i<n;i+=6)Util.pointBoundingBox(e[i],e[i+1],t);continue}let i=e[4],n=e[5];for(let s=6,r=e.length;s<r;s+=6){const[r,a,o,l,h,c]=e.subarray(s,s+6);Util.bezierBoundingBox(i,n,r,a,o,l,h,c,t);i=h;n=c}}const[e,n]=this.#ch();t[0]=MathClamp(t[0]-e,0,1);t[1]=MathClamp(t[1]-n,0,1);t[2]=MathClamp(t[2]+e,0,1);t[3]=MathClamp(t[3]+n,0,1);t[2]-=t[0];t[3]-=t[1]}get box(){return this.#_l}updateProperty(t,e){return"stroke-width"===t?this.#dh(e):null}#dh(t){const[e,i]=this.#ch();this.#ml=t;const[n,s]=this.#ch(),[r,a]=[n-e,s-i],o=this.#_l;o[0]-=r;o[1]-=a;o[2]+=2*r;o[3]+=2*a;return o}updateParentDimensions([t,e],i){const[n,s]=this.#ch();this.#eh=t;this.#ih=e;this.#oh=i;const[r,a]=this.#ch(),o=r-n,l=a-s,h=this.#_l;h[0]-=o;h[1]-=l;h[2]+=2*o;h[3]+=2*l;return h}updateRotation(t){this.#ah=t;return{path:{transform:this.rotationTransform}}}get viewBox(){return this.#_l.map(Outline.svgRound).join(" ")}get defaultProperties(){const[t,e]=this.#_l;return{root:{viewBox:this.viewBox},path:{"transform-origin":`${Outline.svgRound(t)} ${Outline.svgRound(e)}`}}}get rotationTransform(){const[,,t,e]=this.#_l;let i=0,n=0,s=0,r=0,a=0,o=0;switch(this.#ah){case 90:n=e/t;s=-t/e;a=t;break;case 180:i=-1;r=-1;a=t;o=e;break;case 270:n=-e/t;s=t/e;o=e;break;default:return""}return`matrix(${i} ${n} ${s} ${r} ${Outline.svgRound(a)} ${Outline.svgRound(o)})`}getPathResizingSVGProperties([t,e,i,n]){const[s,r]=this.#ch(),[a,o,l,h]=this.#_l;if(Math.abs(l-s)<=Outline.PRECISION||Math.abs(h-r)<=Outline.PRECISION){const s=t+i/2-(a+l/2),r=e+n/2-(o+h/2);return{path:{"transform-origin":`${Outline.svgRound(t)} ${Outline.svgRound(e)}`,transform:`${this.rotationTransform} translate(${s} ${r})`}}}const c=(i-2*s)/(l-2*s),d=(n-2*r)/(h-2*r),u=l/i,p=h/n;return{path:{"transform-origin":`${Outline.svgRound(a)} ${Outline.svgRound(o)}`,transform:`${this.rotationTransform} scale(${u} ${p}) translate(${Outline.svgRound(s)} ${Outline.svgRound(r)}) scale(${c} ${d}) translate(${Outline.svgRound(-s)} ${Outline.svgRound(-r)})`}}}getPathResizedSVGProperties([t,e,i,n]){const[s,r]=this.#ch(),a=this.#_l,[o,l,h,c]=a;a[0]=t;a[1]=e;a[2]=i;a[3]=n;if(Math.abs(h-s)<=Outline.PRECISION||Math.abs(c-r)<=Outline.PRECISION){const s=t+i/2-(o+h/2),r=e+n/2-(l+c/2);for(const{line:t,points:e}of this.#Jl){Outline._translate(t,s,r,t);Outline._translate(e,s,r,e)}return{root:{viewBox:this.viewBox},path:{"transform-origin":`${Outline.svgRound(t)} ${Outline.svgRound(e)}`,transform:this.rotationTransform||null,d:this.toSVGPath()}}}const d=(i-2*s)/(h-2*s),u=(n-2*r)/(c-2*r),p=-d*(o+s)+t+s,g=-u*(l+r)+e+r;if(1!==d||1!==u||0!==p||0!==g)for(const{line:t,points:e}of this.#Jl){Outline._rescale(t,p,g,d,u,t);Outline._rescale(e,p,g,d,u,e)}return{root:{viewBox:this.viewBox},path:{"transform-origin":`${Outline.svgRound(t)} ${Outline.svgRound(e)}`,transform:this.rotationTransform||null,d:this.toSVGPath()}}}getPathTranslatedSVGProperties([t,e],i){const[n,s]=i,r=this.#_l,a=t-r[0],o=e-r[1];if(this.#eh===n&&this.#ih===s)for(const{line:t,points:e}of this.#Jl){Outline._translate(t,a,o,t);Outline._translate(e,a,o,e)}else{const t=this.#eh/n,e=this.#ih/s;this.#eh=n;this.#ih=s;for(const{line:i,points:n}of this.#Jl){Outline._rescale(i,a,o,t,e,i);Outline._rescale(n,a,o,t,e,n)}r[2]*=t;r[3]*=e}r[0]=t;r[1]=e;return{root:{viewBox:this.viewBox},path:{d:this.toSVGPath(),"transform-origin":`${Outline.svgRound(t)} ${Outline.svgRound(e)}`}}}get defaultSVGProperties(){const t=this.#_l;return{root:{viewBox:this.viewBox},rootClass:{draw:!0},path:{d:this.toSVGPath(),"transform-origin":`${Outline.svgRound(t[0])} ${Outline.svgRound(t[1])}`,transform:this.rotationTransform||null},bbox:t}}}class InkDrawingOptions extends DrawingOptions{constructor(t){super();this._viewParameters=t;super.updateProperties({fill:"none",stroke:AnnotationEditor._defaultLineColor,"stroke-opacity":1,"stroke-width":1,"stroke-linecap":"round","stroke-linejoin":"round","stroke-miterlimit":10})}updateSVGProperty(t,e){if("stroke-width"===t){e??=this["stroke-width"];e*=this._viewParameters.realScale}super.updateSVGProperty(t,e)}clone(){const t=new InkDrawingOptions(this._viewParameters);t.updateAll(this);return t}}class InkEditor extends DrawingEditor{static _type="ink";static _editorType=f.INK;static _defaultDrawingOptions=null;constructor(t){super({...t,name:"inkEditor"});this._willKeepAspectRatio=!0;this.defaultL10nId="pdfjs-editor-ink-editor"}static initialize(t,e){AnnotationEditor.initialize(t,e);this._defaultDrawingOptions=new InkDrawingOptions(e.viewParameters)}static getDefaultDrawingOptions(t){const e=this._defaultDrawingOptions.clone();e.updateProperties(t);return e}static get supportMultipleDrawings(){return!0}static get typesMap(){return shadow(this,"typesMap",new Map([[b.INK_THICKNESS,"stroke-width"],[b.INK_COLOR,"stroke"],[b.INK_OPACITY,"stroke-opacity"]]))}static createDrawerInstance({x:t,y:e,box:[,,i,n],rotation:s}){return new InkDrawOutliner(t,e,i,n,s,this._defaultDrawingOptions["stroke-width"])}static deserializeDraw(t,e,i,n,s,r){return InkDrawOutline.deserialize(t,e,i,n,s,r)}static async deserialize(t,e,i){let n=null;if(t instanceof InkAnnotationElement){const{data:{inkLists:e,rect:i,rotation:s,id:r,color:a,opacity:o,borderStyle:{rawWidth:l},popupRef:h,richText:c,contentsObj:d,creationDate:u,modificationDate:p},parent:{page:{pageNumber:g}}}=t;n=t={annotationType:f.INK,color:Array.from(a),thickness:l,opacity:o,paths:{points:e},boxes:null,pageIndex:g-1,rect:i.slice(0),rotation:s,annotationElementId:r,id:r,deleted:!1,popupRef:h,richText:c,comment:d?.str||null,creationDate:u,modificationDate:p}}const s=await super.deserialize(t,e,i);s._initialData=n;t.comment&&s.setCommentData(t);return s}get toolbarButtons(){this._colorPicker||=new BasicColorPicker(this);return[["colorPicker",this._colorPicker]]}get colorType(){return b.INK_COLOR}get colorAndOpacityType(){return b.INK_COLOR_AND_OPACITY}get opacityType(){return b.INK_OPACITY}updateParams(t,e){t!==b.INK_COLOR_AND_OPACITY?super.updateParams(t,e):this._updateColorAndOpacity(e.color,e.opacity)}static updateDefaultParams(t,e){if(t!==b.INK_COLOR_AND_OPACITY)super.updateDefaultParams(t,e);else{super.updateDefaultParams(b.INK_COLOR,e.color);super.updateDefaultParams(b.INK_OPACITY,e.opacity)}}get color(){return this._drawingOptions.stroke}get opacity(){return this._drawingOptions["stroke-opacity"]}onScaleChanging(){if(!this.parent)return;super.onScaleChanging();const{_drawId:t,_drawingOptions:e,parent:i}=this;e.updateSVGProperty("stroke-width");i.drawLayer.updateProperties(t,e.toSVGProperties())}static onScaleChangingWhenDrawing(){const t=this._currentParent;if(t){super.onScaleChangingWhenDrawing();this._defaultDrawingOptions.updateSVGProperty("stroke-width");t.drawLayer.updateProperties(this._currentDrawId,this._defaultDrawingOptions.toSVGProperties())}}createDrawingOptions({color:t,thickness:e,opacity:i}){this._drawingOptions=InkEditor.getDefaultDrawingOptions({stroke:Util.makeHexColor(...t),"stroke-width":e,"stroke-opacity":i})}serialize(t=!1){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const{lines:e,points:i}=this.serializeDraw(t),{_drawingOptions:{stroke:n,"stroke-opacity":s,"stroke-width":r}}=this,a=Object.assign(super.serialize(t),{color:AnnotationEditor._colorManager.convert(n),opacity:s,thickness:r,paths:{lines:e,points:i}});this.addComment(a);if(t){a.isCopy=!0;return a}if(this.annotationElementId&&!this.#Lo(a))return null;a.id=this.annotationElementId;return a}#Lo(t){const{color:e,thickness:i,opacity:n,pageIndex:s}=this._initialData;return this.hasEditedComment||this._hasBeenMoved||this._hasBeenResized||t.color.some((t,i)=>t!==e[i])||t.thickness!==i||t.opacity!==n||t.pageIndex!==s}renderAnnotationElement(t){if(this.deleted){t.hide();return null}const{points:e,rect:i}=this.serializeDraw(!1);t.updateEdited({rect:i,thickness:this._drawingOptions["stroke-width"],points:e,popup:this.comment});return null}}class ContourDrawOutline extends InkDrawOutline{toSVGPath(){let t=super.toSVGPath();t.endsWith("Z")||(t+="Z");return t}}class SignatureExtractor{static#uh={maxDim:512,sigmaSFactor:.02,sigmaR:25,kernelSize:16};static#ph(t,e,i,n){n-=e;return 0===(i-=t)?n>0?0:4:1===i?n+6:2-n}static#gh=new Int32Array([0,1,-1,1,-1,0,-1,-1,0,-1,1,-1,1,0,1,1]);static#mh(t,e,i,n,s,r,a){const o=this.#ph(i,n,s,r);for(let s=0;s<8;s++){const r=(-s+o-a+16)%8;if(0!==t[(i+this.#gh[2*r])*e+(n+this.#gh[2*r+1])])return r}return-1}static#fh(t,e,i,n,s,r,a){const o=this.#ph(i,n,s,r);for(let s=0;s<8;s++){const r=(s+o+a+16)%8;if(0!==t[(i+this.#gh[2*r])*e+(n+this.#gh[2*r+1])])return r}return-1}static#bh(t,e,i,n){const s=t.length,r=new Int32Array(s);for(let e=0;e<s;e++)r[e]=t[e]<=n?1:0;for(let t=1;t<i-1;t++)r[t*e]=r[t*e+e-1]=0;for(let t=0;t<e;t++)r[t]=r[e*i-1-t]=0;let a,o=1;const l=[];for(let t=1;t<i-1;t++){a=1;for(let i=1;i<e-1;i++){const n=t*e+i,s=r[n];if(0===s)continue;let h=t,c=i;if(1===s&&0===r[n-1]){o+=1;c-=1}else{if(!(s>=1&&0===r[n+1])){1!==s&&(a=Math.abs(s));continue}o+=1;c+=1;s>1&&(a=s)}const d=[i,t],u=c===i+1,p={isHole:u,points:d,id:o,parent:0};l.push(p);let g;for(const t of l)if(t.id===a){g=t;break}g?g.isHole?p.parent=u?g.parent:a:p.parent=u?a:g.parent:p.parent=u?a:0;const m=this.#mh(r,e,t,i,h,c,0);if(-1===m){r[n]=-o;1!==r[n]&&(a=Math.abs(r[n]));continue}let f=this.#gh[2*m],b=this.#gh[2*m+1];const y=t+f,v=i+b;h=y;c=v;let w=t,A=i;for(;;){const s=this.#fh(r,e,w,A,h,c,1);f=this.#gh[2*s];b=this.#gh[2*s+1];const l=w+f,u=A+b;d.push(u,l);const p=w*e+A;0===r[p+1]?r[p]=-o:1===r[p]&&(r[p]=o);if(l===t&&u===i&&w===y&&A===v){1!==r[n]&&(a=Math.abs(r[n]));break}h=w;c=A;w=l;A=u}}}return l}static#yh(t,e,i,n){if(i-e<=4){for(let s=e;s<i-2;s+=2)n.push(t[s],t[s+1]);return}const s=t[e],r=t[e+1],a=t[i-4]-s,o=t[i-3]-r,l=Math.hypot(a,o),h=a/l,c=o/l,d=h*r-c*s,u=o/a,p=1/l,g=Math.atan(u),m=Math.cos(g),f=Math.sin(g),b=p*(Math.abs(m)+Math.abs(f)),y=p*(1-b+b**2),v=Math.max(Math.atan(Math.abs(f+m)*y),Math.atan(Math.abs(f-m)*y));let w=0,A=e;for(let n=e+2;n<i-2;n+=2){const e=Math.abs(d-h*t[n+1]+c*t[n]);if(e>w){A=n;w=e}}if(w>(l*v)**2){this.#yh(t,e,A+2,n);this.#yh(t,A,i,n)}else n.push(s,r)}static#vh(t){const e=[],i=t.length;this.#yh(t,0,i,e);e.push(t[i-2],t[i-1]);return e.length<=4?null:e}static#wh(t,e,i,n,s,r){const a=new Float32Array(r**2),o=-2*n**2,l=r>>1;for(let t=0;t<r;t++){const e=(t-l)**2;for(let i=0;i<r;i++)a[t*r+i]=Math.exp((e+(i-l)**2)/o)}const h=new Float32Array(256),c=-2*s**2;for(let t=0;t<256;t++)h[t]=Math.exp(t**2/c);const d=t.length,u=new Uint8Array(d),p=new Uint32Array(256);for(let n=0;n<i;n++)for(let s=0;s<e;s++){const o=n*e+s,c=t[o];let d=0,g=0;for(let o=0;o<r;o++){const u=n+o-l;if(!(u<0||u>=i))for(let i=0;i<r;i++){const n=s+i-l;if(n<0||n>=e)continue;const p=t[u*e+n],m=a[o*r+i]*h[Math.abs(p-c)];d+=p*m;g+=m}}p[u[o]=Math.round(d/g)]++}return[u,p]}static#Ah(t){const e=new Uint32Array(256);for(const i of t)e[i]++;return e}static#xh(t){const e=t.length,i=new Uint8ClampedArray(e>>2);let n=-1/0,s=1/0;for(let e=0,r=i.length;e<r;e++){const r=i[e]=t[e<<2];n=Math.max(n,r);s=Math.min(s,r)}const r=255/(n-s);for(let t=0,e=i.length;t<e;t++)i[t]=(i[t]-s)*r;return i}static#Ch(t){let e,i=-1/0,n=-1/0;const s=t.findIndex(t=>0!==t);let r=s,a=s;for(e=s;e<256;e++){const s=t[e];if(s>i){if(e-r>n){n=e-r;a=e-1}i=s;r=e}}for(e=a-1;e>=0&&!(t[e]>t[e+1]);e--);return e}static#Eh(t){const e=t,{width:i,height:n}=t,{maxDim:s}=this.#uh;let r=i,a=n;if(i>s||n>s){let o=i,l=n,h=Math.log2(Math.max(i,n)/s);const c=Math.floor(h);h=h===c?c-1:c;for(let i=0;i<h;i++){r=Math.ceil(o/2);a=Math.ceil(l/2);const i=new OffscreenCanvas(r,a);i.getContext("2d").drawImage(t,0,0,o,l,0,0,r,a);o=r;l=a;t!==e&&t.close();t=i.transferToImageBitmap()}const d=Math.min(s/r,s/a);r=Math.round(r*d);a=Math.round(a*d)}const o=new OffscreenCanvas(r,a).getContext("2d",{willReadFrequently:!0});o.fillStyle="white";o.fillRect(0,0,r,a);o.filter="grayscale(1)";o.drawImage(t,0,0,t.width,t.height,0,0,r,a);const l=o.getImageData(0,0,r,a).data;return[this.#xh(l),r,a]}static extractContoursFromText(t,{fontFamily:e,fontStyle:i,fontWeight:n},s,r,a,o){let l=new OffscreenCanvas(1,1),h=l.getContext("2d",{alpha:!1});const c=h.font=`${i} ${n} 200px ${e}`,{actualBoundingBoxLeft:d,actualBoundingBoxRight:u,actualBoundingBoxAscent:p,actualBoundingBoxDescent:g,fontBoundingBoxAscent:m,fontBoundingBoxDescent:f,width:b}=h.measureText(t),y=1.5,v=Math.ceil(Math.max(Math.abs(d)+Math.abs(u)||0,b)*y),w=Math.ceil(Math.max(Math.abs(p)+Math.abs(g)||200,Math.abs(m)+Math.abs(f)||200)*y);l=new OffscreenCanvas(v,w);h=l.getContext("2d",{alpha:!0,willReadFrequently:!0});h.font=c;h.filter="grayscale(1)";h.fillStyle="white";h.fillRect(0,0,v,w);h.fillStyle="black";h.fillText(t,.5*v/2,1.5*w/2);const A=this.#xh(h.getImageData(0,0,v,w).data),x=this.#Ah(A),C=this.#Ch(x),E=this.#bh(A,v,w,C);return this.processDrawnLines({lines:{curves:E,width:v,height:w},pageWidth:s,pageHeight:r,rotation:a,innerMargin:o,mustSmooth:!0,areContours:!0})}static process(t,e,i,n,s){const[r,a,o]=this.#Eh(t),[l,h]=this.#wh(r,a,o,Math.hypot(a,o)*this.#uh.sigmaSFactor,this.#uh.sigmaR,this.#uh.kernelSize),c=this.#Ch(h),d=this.#bh(l,a,o,c);return this.processDrawnLines({lines:{curves:d,width:a,height:o},pageWidth:e,pageHeight:i,rotation:n,innerMargin:s,mustSmooth:!0,areContours:!0})}static processDrawnLines({lines:t,pageWidth:e,pageHeight:i,rotation:n,innerMargin:s,mustSmooth:r,areContours:a}){n%180!=0&&([e,i]=[i,e]);const{curves:o,width:l,height:h}=t,c=t.thickness??0,d=[],u=Math.min(e/l,i/h),p=u/e,g=u/i,m=[];for(const{points:t}of o){const e=r?this.#vh(t):t;if(!e)continue;m.push(e);const i=e.length,n=new Float32Array(i),s=new Float32Array(3*(2===i?2:i-2));d.push({line:s,points:n});if(2===i){n[0]=e[0]*p;n[1]=e[1]*g;s.set([NaN,NaN,NaN,NaN,n[0],n[1]],0);continue}let[a,o,l,h]=e;a*=p;o*=g;l*=p;h*=g;n.set([a,o,l,h],0);s.set([NaN,NaN,NaN,NaN,a,o],0);for(let t=4;t<i;t+=2){const i=n[t]=e[t]*p,r=n[t+1]=e[t+1]*g;s.set(Outline.createBezierPoints(a,o,l,h,i,r),3*(t-2));[a,o,l,h]=[l,h,i,r]}}if(0===d.length)return null;const f=a?new ContourDrawOutline:new InkDrawOutline;f.build(d,e,i,1,n,a?0:c,s);return{outline:f,newCurves:m,areContours:a,thickness:c,width:l,height:h}}static async compressSignature({outlines:t,areContours:e,thickness:i,width:n,height:s}){let r,a=1/0,o=-1/0,l=0;for(const e of t){l+=e.length;for(let t=2,i=e.length;t<i;t++){const i=e[t]-e[t-2];a=Math.min(a,i);o=Math.max(o,i)}}r=a>=-128&&o<=127?Int8Array:a>=-32768&&o<=32767?Int16Array:Int32Array;const h=t.length,c=8+3*h,d=new Uint32Array(c);let u=0;d[u++]=c*Uint32Array.BYTES_PER_ELEMENT+(l-2*h)*r.BYTES_PER_ELEMENT;d[u++]=0;d[u++]=n;d[u++]=s;d[u++]=e?0:1;d[u++]=Math.max(0,Math.floor(i??0));d[u++]=h;d[u++]=r.BYTES_PER_ELEMENT;for(const e of t){d[u++]=e.length-2;d[u++]=e[0];d[u++]=e[1]}const p=new CompressionStream("deflate-raw"),g=p.writable.getWriter();await g.ready;g.write(d);const m=r.prototype.constructor;for(const e of t){const t=new m(e.length-2);for(let i=2,n=e.length;i<n;i++)t[i-2]=e[i]-e[i-2];g.write(t)}g.close();return(await new Response(p.readable).bytes()).toBase64()}static async decompressSignature(t){try{const e=Uint8Array.fromBase64(t),{readable:i,writable:n}=new DecompressionStream("deflate-raw"),s=n.getWriter();await s.ready;s.write(e).then(async()=>{await s.ready;await s.close()}).catch(()=>{});let r=null,a=0;for await(const t of i){r||=new Uint8Array(new Uint32Array(t.buffer,0,4)[0]);r.set(t,a);a+=t.length}const o=new Uint32Array(r.buffer,0,r.length>>2),l=o[1];if(0!==l)throw new Error(`Invalid version: ${l}`);const h=o[2],c=o[3],d=0===o[4],u=o[5],p=o[6],g=o[7],m=[],f=(8+3*p)*Uint32Array.BYTES_PER_ELEMENT;let b;switch(g){case Int8Array.BYTES_PER_ELEMENT:b=new Int8Array(r.buffer,f);break;case Int16Array.BYTES_PER_ELEMENT:b=new Int16Array(r.buffer,f);break;case Int32Array.BYTES_PER_ELEMENT:b=new Int32Array(r.buffer,f)}a=0;for(let t=0;t<p;t++){const e=o[3*t+8],i=new Float32Array(e+2);m.push(i);for(let e=0;e<2;e++)i[e]=o[3*t+8+e+1];for(let t=0;t<e;t++)i[t+2]=i[t]+b[a++]}return{areContours:d,thickness:u,outlines:m,width:h,height:c}}catch(t){warn(`decompressSignature: ${t}`);return null}}}class SignatureOptions extends DrawingOptions{constructor(){super();super.updateProperties({fill:AnnotationEditor._defaultLineColor,"stroke-width":0})}clone(){const t=new SignatureOptions;t.updateAll(this);return t}}class DrawnSignatureOptions extends InkDrawingOptions{constructor(t){super(t);super.updateProperties({stroke:AnnotationEditor._defaultLineColor,"stroke-width":1})}clone(){const t=new DrawnSignatureOptions(this._viewParameters);t.updateAll(this);return t}}class SignatureEditor extends DrawingEditor{#Sh=!1;#Th=null;#_h=null;#kh=null;static _type="signature";static _editorType=f.SIGNATURE;static _defaultDrawingOptions=null;constructor(t){super({...t,mustBeCommitted:!0,name:"signatureEditor"});this._willKeepAspectRatio=!0;this.#_h=t.signatureData||null;this.#Th=null;this.defaultL10nId="pdfjs-editor-signature-editor1"}static initialize(t,e){AnnotationEditor.initialize(t,e);this._defaultDrawingOptions=new SignatureOptions;this._defaultDrawnSignatureOptions=new DrawnSignatureOptions(e.viewParameters)}static getDefaultDrawingOptions(t){const e=this._defaultDrawingOptions.clone();e.updateProperties(t);return e}static get supportMultipleDrawings(){return!1}static get typesMap(){return shadow(this,"typesMap",new Map)}static get isDrawer(){return!1}get telemetryFinalData(){return{type:"signature",hasDescription:!!this.#Th}}static computeTelemetryFinalData(t){const e=t.get("hasDescription");return{hasAltText:e.get(!0)??0,hasNoAltText:e.get(!1)??0}}get isResizable(){return!0}onScaleChanging(){null!==this._drawId&&super.onScaleChanging()}render(){if(this.div)return this.div;let t,e;const{_isCopy:i}=this;if(i){this._isCopy=!1;t=this.x;e=this.y}super.render();if(null===this._drawId)if(this.#_h){const{lines:t,mustSmooth:e,areContours:i,description:n,uuid:s,heightInPage:r}=this.#_h,{rawDims:{pageWidth:a,pageHeight:o},rotation:l}=this.parent.viewport,h=SignatureExtractor.processDrawnLines({lines:t,pageWidth:a,pageHeight:o,rotation:l,innerMargin:SignatureEditor._INNER_MARGIN,mustSmooth:e,areContours:i});this.addSignature(h,r,n,s)}else{this.div.setAttribute("data-l10n-args",JSON.stringify({description:""}));this.div.hidden=!0;this._uiManager.getSignature(this)}else this.div.setAttribute("data-l10n-args",JSON.stringify({description:this.#Th||""}));if(i){this._isCopy=!0;this._moveAfterPaste(t,e)}return this.div}setUuid(t){this.#kh=t;this.addEditToolbar()}getUuid(){return this.#kh}get description(){return this.#Th}set description(t){this.#Th=t;if(this.div){this.div.setAttribute("data-l10n-args",JSON.stringify({description:t}));super.addEditToolbar().then(e=>{e?.updateEditSignatureButton(t)})}}getSignaturePreview(){const{newCurves:t,areContours:e,thickness:i,width:n,height:s}=this.#_h,r=Math.max(n,s);return{areContours:e,outline:SignatureExtractor.processDrawnLines({lines:{curves:t.map(t=>({points:t})),thickness:i,width:n,height:s},pageWidth:r,pageHeight:r,rotation:0,innerMargin:0,mustSmooth:!1,areContours:e}).outline}}get toolbarButtons(){return this._uiManager.signatureManager?[["editSignature",this._uiManager.signatureManager]]:super.toolbarButtons}addSignature(t,e,i,n){const{x:s,y:r}=this,{outline:a}=this.#_h=t;this.#Sh=a instanceof ContourDrawOutline;this.description=i;let o;if(this.#Sh)o=SignatureEditor.getDefaultDrawingOptions();else{o=SignatureEditor._defaultDrawnSignatureOptions.clone();o.updateProperties({"stroke-width":a.thickness})}this._addOutlines({drawOutlines:a,drawingOptions:o});const[,l]=this.pageDimensions;let h=e/l;h=h>=1?.5:h;this.width*=h/this.height;if(this.width>=1){h*=.9/this.width;this.width=.9}this.height=h;this.setDims();this.x=s;this.y=r;this.center();this._onResized();this.onScaleChanging();this.rotate();this._uiManager.addToAnnotationStorage(this);this.setUuid(n);this._reportTelemetry({action:"pdfjs.signature.inserted",data:{hasBeenSaved:!!n,hasDescription:!!i}});this.div.hidden=!1}getFromImage(t){const{rawDims:{pageWidth:e,pageHeight:i},rotation:n}=this.parent.viewport;return SignatureExtractor.process(t,e,i,n,SignatureEditor._INNER_MARGIN)}getFromText(t,e){const{rawDims:{pageWidth:i,pageHeight:n},rotation:s}=this.parent.viewport;return SignatureExtractor.extractContoursFromText(t,e,i,n,s,SignatureEditor._INNER_MARGIN)}getDrawnSignature(t){const{rawDims:{pageWidth:e,pageHeight:i},rotation:n}=this.parent.viewport;return SignatureExtractor.processDrawnLines({lines:t,pageWidth:e,pageHeight:i,rotation:n,innerMargin:SignatureEditor._INNER_MARGIN,mustSmooth:!1,areContours:!1})}createDrawingOptions({areContours:t,thickness:e}){if(t)this._drawingOptions=SignatureEditor.getDefaultDrawingOptions();else{this._drawingOptions=SignatureEditor._defaultDrawnSignatureOptions.clone();this._drawingOptions.updateProperties({"stroke-width":e})}}serialize(t=!1){if(this.isEmpty())return null;const{lines:e,points:i}=this.serializeDraw(t),{_drawingOptions:{"stroke-width":n}}=this,s=Object.assign(super.serialize(t),{isSignature:!0,areContours:this.#Sh,color:[0,0,0],thickness:this.#Sh?0:n});this.addComment(s);if(t){s.paths={lines:e,points:i};s.uuid=this.#kh;s.isCopy=!0}else s.lines=e;this.#Th&&(s.accessibilityData={type:"Figure",alt:this.#Th});return s}static deserializeDraw(t,e,i,n,s,r){return r.areContours?ContourDrawOutline.deserialize(t,e,i,n,s,r):InkDrawOutline.deserialize(t,e,i,n,s,r)}static async deserialize(t,e,i){const n=await super.deserialize(t,e,i);n.#Sh=t.areContours;n.description=t.accessibilityData?.alt||"";n.#kh=t.uuid;return n}}class StampEditor extends AnnotationEditor{#Dh=null;#Ph=null;#Mh=null;#Ih=null;#Fh=null;#Oh="";#Bh=null;#Rh=!1;#Lh=null;#Nh=!1;#Uh=!1;static _type="stamp";static _editorType=f.STAMP;constructor(t){super({...t,name:"stampEditor"});this.#Ih=t.bitmapUrl;this.#Fh=t.bitmapFile;this.defaultL10nId="pdfjs-editor-stamp-editor"}static initialize(t,e){AnnotationEditor.initialize(t,e)}static isHandlingMimeForPasting(t){return j.includes(t)}static paste(t,e){e.pasteEditor({mode:f.STAMP},{bitmapFile:t.getAsFile()})}altTextFinish(){this._uiManager.useNewAltTextFlow&&(this.div.hidden=!1);super.altTextFinish()}get telemetryFinalData(){return{type:"stamp",hasAltText:!!this.altTextData?.altText}}static computeTelemetryFinalData(t){const e=t.get("hasAltText");return{hasAltText:e.get(!0)??0,hasNoAltText:e.get(!1)??0}}#Hh(t,e=!1){if(t){this.#Dh=t.bitmap;if(!e){this.#Ph=t.id;this.#Nh=t.isSvg}t.file&&(this.#Oh=t.file.name);this.#Gh()}else this.remove()}#zh(){this.#Mh=null;this._uiManager.enableWaiting(!1);if(this.#Bh)if(this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&this.#Dh)this.addEditToolbar().then(()=>{this._editToolbar.hide();this._uiManager.editAltText(this,!0)});else{if(!this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&this.#Dh){this._reportTelemetry({action:"pdfjs.image.image_added",data:{alt_text_modal:!1,alt_text_type:"empty"}});try{this.mlGuessAltText()}catch{}}this.div.focus()}}async mlGuessAltText(t=null,e=!0){if(this.hasAltTextData())return null;const{mlManager:i}=this._uiManager;if(!i)throw new Error("No ML.");if(!await i.isEnabledFor("altText"))throw new Error("ML isn't enabled for alt text.");const{data:n,width:s,height:r}=t||this.copyCanvas(null,null,!0).imageData,a=await i.guess({name:"altText",request:{data:n,width:s,height:r,channels:n.length/(s*r)}});if(!a)throw new Error("No response from the AI service.");if(a.error)throw new Error("Error from the AI service.");if(a.cancel)return null;if(!a.output)throw new Error("No valid response from the AI service.");const o=a.output;await this.setGuessedAltText(o);e&&!this.hasAltTextData()&&(this.altTextData={alt:o,decorative:!1});return o}#Wh(){if(this.#Ph){this._uiManager.enableWaiting(!0);this._uiManager.imageManager.getFromId(this.#Ph).then(t=>this.#Hh(t,!0)).finally(()=>this.#zh());return}if(this.#Ih){const t=this.#Ih;this.#Ih=null;this._uiManager.enableWaiting(!0);this.#Mh=this._uiManager.imageManager.getFromUrl(t).then(t=>this.#Hh(t)).finally(()=>this.#zh());return}if(this.#Fh){const t=this.#Fh;this.#Fh=null;this._uiManager.enableWaiting(!0);this.#Mh=this._uiManager.imageManager.getFromFile(t).then(t=>this.#Hh(t)).finally(()=>this.#zh());return}const t=document.createElement("input");t.type="file";t.accept=j.join(",");const e=this._uiManager._signal;this.#Mh=new Promise(i=>{t.addEventListener("change",async()=>{if(t.files&&0!==t.files.length){this._uiManager.enableWaiting(!0);const e=await this._uiManager.imageManager.getFromFile(t.files[0]);this._reportTelemetry({action:"pdfjs.image.image_selected",data:{alt_text_modal:this._uiManager.useNewAltTextFlow}});this.#Hh(e)}else this.remove();i()},{signal:e});t.addEventListener("cancel",()=>{this.remove();i()},{signal:e})}).finally(()=>this.#zh());t.click()}remove(){if(this.#Ph){this.#Dh=null;this._uiManager.imageManager.deleteId(this.#Ph);this.#Bh?.remove();this.#Bh=null;if(this.#Lh){clearTimeout(this.#Lh);this.#Lh=null}}super.remove()}rebuild(){if(this.parent){super.rebuild();if(null!==this.div){this.#Ph&&null===this.#Bh&&this.#Wh();this.isAttachedToDOM||this.parent.add(this)}}else this.#Ph&&this.#Wh()}onceAdded(t){this._isDraggable=!0;t&&this.div.focus()}isEmpty(){return!(this.#Mh||this.#Dh||this.#Ih||this.#Fh||this.#Ph||this.#Rh)}get toolbarButtons(){return[["altText",this.createAltText()]]}get isResizable(){return!0}render(){if(this.div)return this.div;let t,e;if(this._isCopy){t=this.x;e=this.y}super.render();this.div.hidden=!0;this.createAltText();this.#Rh||(this.#Dh?this.#Gh():this.#Wh());this._isCopy&&this._moveAfterPaste(t,e);this._uiManager.addShouldRescale(this);return this.div}setCanvas(t,e){const{id:i,bitmap:n}=this._uiManager.imageManager.getFromCanvas(t,e);e.remove();if(i&&this._uiManager.imageManager.isValidId(i)){this.#Ph=i;n&&(this.#Dh=n);this.#Rh=!1;this.#Gh()}}_onResized(){this.onScaleChanging()}onScaleChanging(){if(!this.parent)return;null!==this.#Lh&&clearTimeout(this.#Lh);this.#Lh=setTimeout(()=>{this.#Lh=null;this.#Vh()},200)}#Gh(){const{div:t}=this;let{width:e,height:i}=this.#Dh;const[n,s]=this.pageDimensions,r=.75;if(this.width){e=this.width*n;i=this.height*s}else if(e>r*n||i>r*s){const t=Math.min(r*n/e,r*s/i);e*=t;i*=t}this._uiManager.enableWaiting(!1);const a=this.#Bh=document.createElement("canvas");a.setAttribute("role","img");this.addContainer(a);this.width=e/n;this.height=i/s;this.setDims();this._initialOptions?.isCentered?this.center():this.fixAndSetPosition();this._initialOptions=null;this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&!this.annotationElementId||(t.hidden=!1);this.#Vh();if(!this.#Uh){this.parent.addUndoableEditor(this);this.#Uh=!0}this._reportTelemetry({action:"inserted_image"});this.#Oh&&this.div.setAttribute("aria-description",this.#Oh);this.annotationElementId||this._uiManager.a11yAlert(AnnotationEditor._l10nAlert.stamp)}copyCanvas(t,e,i=!1){t||=224;const{width:n,height:s}=this.#Dh,r=new OutputScale;let a=this.#Dh,o=n,l=s,h=null;if(e){if(n>e||s>e){const t=Math.min(e/n,e/s);o=Math.floor(n*t);l=Math.floor(s*t)}h=document.createElement("canvas");const t=h.width=Math.ceil(o*r.sx),i=h.height=Math.ceil(l*r.sy);this.#Nh||(a=this.#$h(t,i));const c=h.getContext("2d");c.filter=this._uiManager.hcmFilter;let d="white",u="#cfcfd8";if("none"!==this._uiManager.hcmFilter)u="black";else if(ColorScheme.isDarkMode){d="#8f8f9d";u="#42414d"}const p=15,g=p*r.sx,m=p*r.sy,f=new OffscreenCanvas(2*g,2*m),b=f.getContext("2d");b.fillStyle=d;b.fillRect(0,0,2*g,2*m);b.fillStyle=u;b.fillRect(0,0,g,m);b.fillRect(g,m,g,m);c.fillStyle=c.createPattern(f,"repeat");c.fillRect(0,0,t,i);c.drawImage(a,0,0,a.width,a.height,0,0,t,i)}let c=null;if(i){let e,i;if(r.symmetric&&a.width<t&&a.height<t){e=a.width;i=a.height}else{a=this.#Dh;if(n>t||s>t){const r=Math.min(t/n,t/s);e=Math.floor(n*r);i=Math.floor(s*r);this.#Nh||(a=this.#$h(e,i))}}const o=new OffscreenCanvas(e,i).getContext("2d",{willReadFrequently:!0});o.drawImage(a,0,0,a.width,a.height,0,0,e,i);c={width:e,height:i,data:o.getImageData(0,0,e,i).data}}return{canvas:h,width:o,height:l,imageData:c}}#$h(t,e){const{width:i,height:n}=this.#Dh;let s=i,r=n,a=this.#Dh;for(;s>2*t||r>2*e;){const i=s,n=r;s>2*t&&(s=Math.ceil(s/2));r>2*e&&(r=Math.ceil(r/2));const o=new OffscreenCanvas(s,r);o.getContext("2d").drawImage(a,0,0,i,n,0,0,s,r);a=o.transferToImageBitmap()}return a}#Vh(){const[t,e]=this.parentDimensions,{width:i,height:n}=this,s=new OutputScale,r=Math.ceil(i*t*s.sx),a=Math.ceil(n*e*s.sy),o=this.#Bh;if(!o||o.width===r&&o.height===a)return;o.width=r;o.height=a;const l=this.#Nh?this.#Dh:this.#$h(r,a),h=o.getContext("2d");h.filter=this._uiManager.hcmFilter;h.drawImage(l,0,0,l.width,l.height,0,0,r,a)}#jh(t){if(t){if(this.#Nh){const t=this._uiManager.imageManager.getSvgUrl(this.#Ph);if(t)return t}const t=document.createElement("canvas");({width:t.width,height:t.height}=this.#Dh);t.getContext("2d").drawImage(this.#Dh,0,0);return t.toDataURL()}if(this.#Nh){const[t,e]=this.pageDimensions,i=Math.round(this.width*t*PixelsPerInch.PDF_TO_CSS_UNITS),n=Math.round(this.height*e*PixelsPerInch.PDF_TO_CSS_UNITS),s=new OffscreenCanvas(i,n);s.getContext("2d").drawImage(this.#Dh,0,0,this.#Dh.width,this.#Dh.height,0,0,i,n);return s.transferToImageBitmap()}return structuredClone(this.#Dh)}static async deserialize(t,e,i){let n=null,s=!1;if(t instanceof StampAnnotationElement){const{data:{rect:r,rotation:a,id:o,structParent:l,popupRef:h,richText:c,contentsObj:d,creationDate:u,modificationDate:p},container:m,parent:{page:{pageNumber:b}},canvas:y}=t;let v,w;if(y){delete t.canvas;({id:v,bitmap:w}=i.imageManager.getFromCanvas(m.id,y));y.remove()}else{s=!0;t._hasNoCanvas=!0}const A=(await e._structTree.getAriaAttributes(`${g}${o}`))?.get("aria-label")||"";n=t={annotationType:f.STAMP,bitmapId:v,bitmap:w,pageIndex:b-1,rect:r.slice(0),rotation:a,annotationElementId:o,id:o,deleted:!1,accessibilityData:{decorative:!1,altText:A},isSvg:!1,structParent:l,popupRef:h,richText:c,comment:d?.str||null,creationDate:u,modificationDate:p}}const r=await super.deserialize(t,e,i),{rect:a,bitmap:o,bitmapUrl:l,bitmapId:h,isSvg:c,accessibilityData:d}=t;if(s){i.addMissingCanvas(t.id,r);r.#Rh=!0}else if(h&&i.imageManager.isValidId(h)){r.#Ph=h;o&&(r.#Dh=o)}else r.#Ih=l;r.#Nh=c;const[u,p]=r.pageDimensions;r.width=(a[2]-a[0])/u;r.height=(a[3]-a[1])/p;d&&(r.altTextData=d);r._initialData=n;t.comment&&r.setCommentData(t);r.#Uh=!!n;return r}serialize(t=!1,e=null){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const i=Object.assign(super.serialize(t),{bitmapId:this.#Ph,isSvg:this.#Nh});this.addComment(i);if(t){i.bitmapUrl=this.#jh(!0);i.accessibilityData=this.serializeAltText(!0);i.isCopy=!0;return i}const{decorative:n,altText:s}=this.serializeAltText(!1);!n&&s&&(i.accessibilityData={type:"Figure",alt:s});if(this.annotationElementId){const t=this.#Lo(i);if(t.isSame)return null;t.isSameAltText?delete i.accessibilityData:i.accessibilityData.structParent=this._initialData.structParent??-1;i.id=this.annotationElementId;delete i.bitmapId;return i}if(null===e)return i;e.stamps||=new Map;const r=this.#Nh?(i.rect[2]-i.rect[0])*(i.rect[3]-i.rect[1]):null;if(e.stamps.has(this.#Ph)){if(this.#Nh){const t=e.stamps.get(this.#Ph);if(r>t.area){t.area=r;t.serialized.bitmap.close();t.serialized.bitmap=this.#jh(!1)}}}else{e.stamps.set(this.#Ph,{area:r,serialized:i});i.bitmap=this.#jh(!1)}return i}#Lo(t){const{pageIndex:e,accessibilityData:{altText:i}}=this._initialData,n=t.pageIndex===e,s=(t.accessibilityData?.alt||"")===i;return{isSame:!this.hasEditedComment&&!this._hasBeenMoved&&!this._hasBeenResized&&n&&s,isSameAltText:s}}renderAnnotationElement(t){if(this.deleted){t.hide();return null}t.updateEdited({rect:this.getPDFRect(),popup:this.comment});return null}}class AnnotationEditorLayer{#vo;#Xh=!1;#Kh=null;#Yh=null;#qh=null;#Qh=new Map;#Jh=!1;#Zh=!1;#tc=!1;#ec=null;#ic=null;#nc=null;#sc=null;#rc=null;#ac=-1;#v;static _initialized=!1;static#tt=new Map([FreeTextEditor,InkEditor,StampEditor,HighlightEditor,SignatureEditor].map(t=>[t._editorType,t]));constructor({uiManager:t,pageIndex:e,div:i,structTreeLayer:n,accessibilityManager:s,annotationLayer:r,drawLayer:a,textLayer:o,viewport:l,l10n:h}){const c=[...AnnotationEditorLayer.#tt.values()];if(!AnnotationEditorLayer._initialized){AnnotationEditorLayer._initialized=!0;for(const e of c)e.initialize(h,t)}t.registerEditorTypes(c);this.#v=t;this.pageIndex=e;this.div=i;this.#vo=s;this.#Kh=r;this.viewport=l;this.#nc=o;this.drawLayer=a;this._structTree=n;this.#v.addLayer(this)}get isEmpty(){return 0===this.#Qh.size}get isInvisible(){return this.isEmpty&&this.#v.getMode()===f.NONE}updateToolbar(t){this.#v.updateToolbar(t)}updateMode(t=this.#v.getMode()){this.#oc();switch(t){case f.NONE:this.div.classList.toggle("nonEditing",!0);this.disableTextSelection();this.togglePointerEvents(!1);this.toggleAnnotationLayerPointerEvents(!0);this.disableClick();return;case f.INK:this.disableTextSelection();this.togglePointerEvents(!0);this.enableClick();break;case f.HIGHLIGHT:this.enableTextSelection();this.togglePointerEvents(!1);this.disableClick();break;default:this.disableTextSelection();this.togglePointerEvents(!0);this.enableClick()}this.toggleAnnotationLayerPointerEvents(!1);const{classList:e}=this.div;e.toggle("nonEditing",!1);if(t===f.POPUP)e.toggle("commentEditing",!0);else{e.toggle("commentEditing",!1);for(const i of AnnotationEditorLayer.#tt.values())e.toggle(`${i._type}Editing`,t===i._editorType)}this.div.hidden=!1}hasTextLayer(t){return t===this.#nc?.div}setEditingState(t){this.#v.setEditingState(t)}addCommands(t){this.#v.addCommands(t)}cleanUndoStack(t){this.#v.cleanUndoStack(t)}toggleDrawing(t=!1){this.div.classList.toggle("drawing",!t)}togglePointerEvents(t=!1){this.div.classList.toggle("disabled",!t)}toggleAnnotationLayerPointerEvents(t=!1){this.#Kh?.togglePointerEvents(t)}get#lc(){return 0!==this.#Qh.size?this.#Qh.values():this.#v.getEditors(this.pageIndex)}async enable(){this.#tc=!0;this.div.tabIndex=0;this.togglePointerEvents(!0);this.div.classList.toggle("nonEditing",!1);this.#rc?.abort();this.#rc=null;const t=new Set;for(const e of this.#lc){e.enableEditing();e.show(!0);if(e.annotationElementId){this.#v.removeChangedExistingAnnotation(e);t.add(e.annotationElementId)}}const e=this.#Kh;if(e)for(const i of e.getEditableAnnotations()){i.hide();if(this.#v.isDeletedAnnotationElement(i.data.id))continue;if(t.has(i.data.id))continue;const e=await this.deserialize(i);if(e){this.addOrRebuild(e);e.enableEditing()}}this.#tc=!1;this.#v._eventBus.dispatch("editorsrendered",{source:this,pageNumber:this.pageIndex+1})}disable(){this.#Zh=!0;this.div.tabIndex=-1;this.togglePointerEvents(!1);this.div.classList.toggle("nonEditing",!0);if(this.#nc&&!this.#rc){this.#rc=new AbortController;const t=this.#v.combinedSignal(this.#rc);this.#nc.div.addEventListener("pointerdown",t=>{const{clientX:e,clientY:i,timeStamp:n}=t;if(n-this.#ac>500){this.#ac=n;return}this.#ac=-1;const{classList:s}=this.div;s.toggle("getElements",!0);const r=document.elementsFromPoint(e,i);s.toggle("getElements",!1);if(!this.div.contains(r[0]))return;let a;const o=new RegExp(`^${m}[0-9]+$`);for(const t of r)if(o.test(t.id)){a=t.id;break}if(!a)return;const l=this.#Qh.get(a);if(null===l?.annotationElementId){stopEvent(t);l.dblclick(t)}},{signal:t,capture:!0})}const t=this.#Kh,e=[];if(t){const i=new Map,n=new Map;for(const t of this.#lc){t.disableEditing();if(t.annotationElementId)if(null===t.serialize()){n.set(t.annotationElementId,t);this.getEditableAnnotation(t.annotationElementId)?.show();t.remove()}else i.set(t.annotationElementId,t);else e.push(t)}for(const e of t.getEditableAnnotations()){const{id:t}=e.data;if(this.#v.isDeletedAnnotationElement(t)){e.updateEdited({deleted:!0});continue}let s=n.get(t);if(s){s.resetAnnotationElement(e);s.show(!1);e.show()}else{s=i.get(t);if(s){this.#v.addChangedExistingAnnotation(s);s.renderAnnotationElement(e)&&s.show(!1)}e.show()}}}this.#oc();this.isEmpty&&(this.div.hidden=!0);const{classList:i}=this.div;for(const t of AnnotationEditorLayer.#tt.values())i.remove(`${t._type}Editing`);this.disableTextSelection();this.toggleAnnotationLayerPointerEvents(!0);t?.updateFakeAnnotations(e);this.#Zh=!1}getEditableAnnotation(t){return this.#Kh?.getEditableAnnotation(t)||null}setActiveEditor(t){this.#v.getActive()!==t&&this.#v.setActiveEditor(t)}enableTextSelection(){this.div.tabIndex=-1;if(this.#nc?.div&&!this.#sc){this.#sc=new AbortController;const t=this.#v.combinedSignal(this.#sc);this.#nc.div.addEventListener("pointerdown",this.#hc.bind(this),{signal:t});this.#nc.div.classList.add("highlighting")}}disableTextSelection(){this.div.tabIndex=0;if(this.#nc?.div&&this.#sc){this.#sc.abort();this.#sc=null;this.#nc.div.classList.remove("highlighting")}}#hc(t){this.#v.unselectAll();const{target:e}=t;if(e===this.#nc.div||("img"===e.getAttribute("role")||e.classList.contains("endOfContent")||e.classList.contains("textLayerImages")||e.classList.contains("textLayerImagePlaceholder"))&&this.#nc.div.contains(e)){const{isMac:e}=FeatureTest.platform;if(0!==t.button||t.ctrlKey&&e)return;this.#v.showAllEditors("highlight",!0,!0);HighlightEditor.startDrawing(this,this.#v,"ltr"===this.#v.direction,t);t.preventDefault()}}enableClick(){if(this.#Yh)return;this.#Yh=new AbortController;const t=this.#v.combinedSignal(this.#Yh);this.div.addEventListener("pointerdown",this.pointerdown.bind(this),{signal:t});const e=this.pointerup.bind(this);this.div.addEventListener("pointerup",e,{signal:t});this.div.addEventListener("pointercancel",e,{signal:t})}disableClick(){this.#Yh?.abort();this.#Yh=null}attach(t){this.#Qh.set(t.id,t);const{annotationElementId:e}=t;e&&this.#v.isDeletedAnnotationElement(e)&&this.#v.removeDeletedAnnotationElement(t)}detach(t){this.#Qh.delete(t.id);this.#vo?.removePointerInTextLayer(t.contentDiv);!this.#Zh&&t.annotationElementId&&this.#v.addDeletedAnnotationElement(t)}remove(t){this.detach(t);this.#v.removeEditor(t);t.div.remove();t.isAttachedToDOM=!1}changeParent(t){if(t.parent!==this){if(t.parent&&t.annotationElementId){this.#v.addDeletedAnnotationElement(t);AnnotationEditor.deleteAnnotationElement(t);t.annotationElementId=null}this.attach(t);t.parent?.detach(t);t.setParent(this);if(t.div&&t.isAttachedToDOM){t.div.remove();this.div.append(t.div)}}}add(t){if(t.parent!==this||!t.isAttachedToDOM){this.changeParent(t);this.#v.addEditor(t);this.attach(t);if(!t.isAttachedToDOM){const e=t.render();this.div.append(e);t.isAttachedToDOM=!0}t.fixAndSetPosition();t.onceAdded(!this.#tc);this.#v.addToAnnotationStorage(t);t._reportTelemetry(t.telemetryInitialData)}}moveEditorInDOM(t){if(!t.isAttachedToDOM)return;const{activeElement:e}=document;if(t.div.contains(e)&&!this.#qh){t._focusEventsAllowed=!1;this.#qh=setTimeout(()=>{this.#qh=null;if(t.div.contains(document.activeElement))t._focusEventsAllowed=!0;else{t.div.addEventListener("focusin",()=>{t._focusEventsAllowed=!0},{once:!0,signal:this.#v._signal});e.focus()}},0)}t._structTreeParentId=this.#vo?.moveElementInDOM(this.div,t.div,t.contentDiv,!0)}addOrRebuild(t){if(t.needsToBeRebuilt()){t.parent||=this;t.rebuild();t.show()}else this.add(t)}addUndoableEditor(t){this.addCommands({cmd:()=>t._uiManager.rebuild(t),undo:()=>{t.remove()},mustExec:!1})}getEditorByUID(t){for(const e of this.#Qh.values())if(e.uid===t)return e;return null}get#cc(){return AnnotationEditorLayer.#tt.get(this.#v.getMode())}combinedSignal(t){return this.#v.combinedSignal(t)}#dc(t){const e=this.#cc;return e?new e.prototype.constructor(t):null}canCreateNewEmptyEditor(){return this.#cc?.canCreateNewEmptyEditor()}async pasteEditor(t,e){this.updateToolbar(t);await this.#v.updateMode(t.mode);const{offsetX:i,offsetY:n}=this.#uc(),s=this.#v.getId(),r=this.#dc({parent:this,id:s,x:i,y:n,uiManager:this.#v,isCentered:!0,...e});r&&this.add(r)}async deserialize(t){return await(AnnotationEditorLayer.#tt.get(t.annotationType??t.annotationEditorType)?.deserialize(t,this,this.#v))||null}createAndAddNewEditor(t,e,i={}){const n=this.#v.getId(),s=this.#dc({parent:this,id:n,x:t.offsetX,y:t.offsetY,uiManager:this.#v,isCentered:e,...i});s&&this.add(s);return s}get boundingClientRect(){return this.div.getBoundingClientRect()}#uc(){const{x:t,y:e,width:i,height:n}=this.boundingClientRect,s=Math.max(0,t),r=Math.max(0,e),a=(s+Math.min(window.innerWidth,t+i))/2-t,o=(r+Math.min(window.innerHeight,e+n))/2-e,[l,h]=this.viewport.rotation%180==0?[a,o]:[o,a];return{offsetX:l,offsetY:h}}addNewEditor(t={}){this.createAndAddNewEditor(this.#uc(),!0,t)}setSelected(t){this.#v.setSelected(t)}toggleSelected(t){this.#v.toggleSelected(t)}unselect(t){this.#v.unselect(t)}pointerup(t){const{isMac:e}=FeatureTest.platform;if(0!==t.button||t.ctrlKey&&e)return;if(t.target!==this.div)return;if(!this.#Jh)return;this.#Jh=!1;if(this.#cc?.isDrawer&&this.#cc.supportMultipleDrawings)return;if(!this.#Xh){this.#Xh=!0;return}const i=this.#v.getMode();i!==f.STAMP&&i!==f.POPUP&&i!==f.SIGNATURE?this.createAndAddNewEditor(t,!1):this.#v.unselectAll()}pointerdown(t){this.#v.getMode()===f.HIGHLIGHT&&this.enableTextSelection();if(this.#Jh){this.#Jh=!1;return}const{isMac:e}=FeatureTest.platform;if(0!==t.button||t.ctrlKey&&e)return;if(t.target!==this.div)return;this.#Jh=!0;if(this.#cc?.isDrawer){this.startDrawingSession(t);return}const i=this.#v.getActive();this.#Xh=!i||i.isEmpty()}startDrawingSession(t){this.div.focus({preventScroll:!0});if(this.#ec){this.#cc.startDrawing(this,this.#v,!1,t);return}this.#v.setCurrentDrawingSession(this);this.#ec=new AbortController;const e=this.#v.combinedSignal(this.#ec);this.div.addEventListener("blur",({relatedTarget:t})=>{if(t&&!this.div.contains(t)){this.#ic=null;this.commitOrRemove()}},{signal:e});this.#cc.startDrawing(this,this.#v,!1,t)}pause(t){if(t){const{activeElement:t}=document;this.div.contains(t)&&(this.#ic=t);return}this.#ic&&setTimeout(()=>{this.#ic?.focus();this.#ic=null},0)}endDrawingSession(t=!1){if(!this.#ec)return null;this.#v.setCurrentDrawingSession(null);this.#ec.abort();this.#ec=null;this.#ic=null;return this.#cc.endDrawing(t)}findNewParent(t,e,i){const n=this.#v.findParent(e,i);if(null===n||n===this)return!1;n.changeParent(t);return!0}commitOrRemove(){if(this.#ec){this.endDrawingSession();return!0}return!1}onScaleChanging(){this.#ec&&this.#cc.onScaleChangingWhenDrawing(this)}destroy(){this.commitOrRemove();if(this.#v.getActive()?.parent===this){this.#v.commitOrRemove();this.#v.setActiveEditor(null)}if(this.#qh){clearTimeout(this.#qh);this.#qh=null}for(const t of this.#Qh.values()){this.#vo?.removePointerInTextLayer(t.contentDiv);t.setParent(null);t.isAttachedToDOM=!1;t.div.remove()}this.div=null;this.#Qh.clear();this.#v.removeLayer(this)}#oc(){for(const t of this.#Qh.values())t.isEmpty()&&t.remove()}async render({viewport:t}){this.viewport=t;setLayerDimensions(this.div,t);for(const t of this.#v.getEditors(this.pageIndex)){this.add(t);t.rebuild()}await this.#v.findClonesForPage(this);this.div.hidden=this.isEmpty;this.updateMode()}update({viewport:t}){this.#v.commitOrRemove();this.#oc();const e=this.viewport.rotation,i=t.rotation;this.viewport=t;setLayerDimensions(this.div,{rotation:i});if(e!==i)for(const t of this.#Qh.values())t.rotate(i)}get pageDimensions(){const{pageWidth:t,pageHeight:e}=this.viewport.rawDims;return[t,e]}get scale(){return this.#v.viewParameters.realScale}}function compareTextLayers(t,e){return t===e?0:t.compareDocumentPosition(e)&Node.DOCUMENT_POSITION_FOLLOWING?-1:1}function getTextLayer(t){return t?t.nodeType===Node.ELEMENT_NODE?t.closest(".textLayer"):t.parentElement?.closest(".textLayer")||null:null}function isPointBefore(t,e,i,n){if(t===i)return e<=n;const s=t.compareDocumentPosition(i);return!!(s&Node.DOCUMENT_POSITION_FOLLOWING)||!(s&Node.DOCUMENT_POSITION_PRECEDING)&&null}function normalizeEdgeBoundary(t,e,i){if(t.nodeType!==Node.ELEMENT_NODE||!t.classList.contains("textLayer")||e!==t.childNodes.length)return{container:t,offset:e};let n=t.lastChild;n?.nodeType===Node.ELEMENT_NODE&&n.classList.contains("endOfContent")&&(n=n.previousSibling);return n&&i.contains(n)?n.nodeType===Node.TEXT_NODE?{container:n,offset:n.textContent.length}:{container:n,offset:n.childNodes.length}:null}class DrawLayer{#Ua=null;#pc=new Map;#nc=null;#rt=null;#Et=null;#gc=null;#mc=new Map;static#_=0;static#fc=0;static#bc=null;static#yc=new Set;static#vc=!1;static#wc=new Set;static#Ac=new WeakMap;constructor({filterFactory:t=null,pageColors:e=null,pageIndex:i,textLayer:n=null}){this.pageIndex=i;this.#rt=t;this.#Et=e;if(n){const t=DrawLayer.#Ac.get(n);if(t?.selectionDiv){t.selectionDiv.remove();DrawLayer.#yc.delete(t.selectionDiv)}DrawLayer.#Ac.set(n,{drawLayer:this});DrawLayer.#wc.add(n);this.#nc=n;this.#gc=new MutationObserver(t=>{if(this.#Ua&&this.#nc?.isConnected&&DrawLayer.#xc())for(const{addedNodes:e}of t)for(const t of e)if(t.nodeType===Node.ELEMENT_NODE&&t.classList.contains("endOfContent")){DrawLayer.#Ht();return}});this.#gc.observe(n,{childList:!0});if(null===DrawLayer.#bc){DrawLayer.#bc=new AbortController;const{signal:t}=DrawLayer.#bc;document.addEventListener("selectionchange",DrawLayer.#Ht.bind(DrawLayer),{signal:t});document.addEventListener("pointerdown",()=>{DrawLayer.#vc=!0},{signal:t});document.addEventListener("pointerup",()=>{DrawLayer.#vc=!1},{signal:t});window.addEventListener("blur",()=>{DrawLayer.#vc=!1},{signal:t})}}}setParent(t){if(this.#Ua){if(this.#Ua!==t){if(this.#pc.size>0)for(const e of this.#pc.values()){e.remove();t.append(e)}this.#Ua=t}}else{this.#Ua=t;this.#nc?.isConnected&&DrawLayer.#xc()&&DrawLayer.#Ht()}}static#Cc(t){const e=this.#Ac.get(t);if(e?.selectionDiv){e.selectionDiv.remove();this.#yc.delete(e.selectionDiv);e.selectionDiv=null;e.path=null}}static#xc(){const t=document.getSelection();return!!t&&!t.isCollapsed}static#Ec(){return this.#wc.keys().filter(t=>t.isConnected).toArray().sort(compareTextLayers)}static#Ht(){const t=document.getSelection();if(!t||t.isCollapsed){for(const t of this.#yc)t.remove();this.#yc.clear();return}const e=new WeakMap,i=this.#Ec(),n=[];for(let e=0,s=t.rangeCount;e<s;e++){const s=t.getRangeAt(e);if(s.collapsed)continue;let{startContainer:r,startOffset:a,endContainer:o,endOffset:l}=s,h=getTextLayer(r),c=getTextLayer(o);const d=null===h,u=null===c;if(this.#vc&&d!==u)return;if(1===t.rangeCount){const{anchorNode:e,anchorOffset:i,focusNode:n,focusOffset:s}=t,d=getTextLayer(e),u=getTextLayer(n),p=isPointBefore(e,i,n,s);if(d&&u&&null!==p)if(p){r=e;a=i;h=d;o=n;l=s;c=u}else{r=n;a=s;h=u;o=e;l=i;c=d}}const p=i.filter(t=>s.intersectsNode(t));if(0===p.length)continue;let g=!1;if(!h){h=p[0];r=h;a=0;g=!0}if(!c){c=p.at(-1);o=c;l=c.childNodes.length;g=!0}if(o.nodeType===Node.ELEMENT_NODE)if(o.classList.contains("endOfContent")){const t=o.previousSibling;if(!t)continue;o=t;l=t.nodeType===Node.TEXT_NODE?t.textContent.length:t.childNodes.length}else if(o.classList.contains("textLayer")&&o.childNodes.length===l){const t=normalizeEdgeBoundary(o,l,c);if(!t)continue;o=t.container;l=t.offset}if(r.nodeType===Node.ELEMENT_NODE){const t=normalizeEdgeBoundary(r,a,h);if(!t)continue;r=t.container;a=t.offset}if(h!==c||g||!p.includes(h))for(const t of p){const e=t.firstChild;if(!e)continue;const i=document.createRange();t===h?i.setStart(r,a):i.setStartBefore(e);if(t===c)i.setEnd(o,l);else{const e=t.lastChild;if(!e)continue;if(e.nodeType===Node.ELEMENT_NODE&&e.classList.contains("endOfContent")){const t=e.previousSibling;if(!t)continue;i.setEndAfter(t)}else i.setEndAfter(e)}i.collapsed||n.push([i,t])}else n.push([s,h])}const s=new Set(n.map(t=>t[1]));for(const t of this.#wc)s.has(t)||this.#Cc(t);for(const[t,i]of n){const n=DrawLayer.#Ac.get(i);if(!n)continue;let s=e.get(i);if(!s){const t=i.getBoundingClientRect();s=(e,i,n,s)=>({x:(e-t.x)/t.width,y:(i-t.y)/t.height,width:n/t.width,height:s/t.height});e.set(i,s)}const r=[];for(let{x:e,y:i,width:n,height:a}of t.getClientRects())if(0!==n&&0!==a){({x:e,y:i,width:n,height:a}=s(e,i,n,a));1===n&&1===a||r.push(`M${e} ${i} h${n} v${a} h-${n} Z`)}if(0===r.length)continue;const a=n.drawLayer;let o=n.selectionDiv,l=n.path;if(!o){const t="clip_selection_"+DrawLayer.#fc++;o=document.createElement("div");o.className="selection";o.style.clipPath=`url(#${t})`;const e=a.#rt?.createSelectionStyle(a.#Et);if(e)for(const[t,i]of Object.entries(e))o.style.setProperty(t,i);const i=DrawLayer._svgFactory.create(1,1,!0);i.setAttribute("aria-hidden","true");i.setAttribute("width","100%");i.setAttribute("height","100%");const s=DrawLayer._svgFactory.createElement("clipPath");s.setAttribute("id",t);s.setAttribute("clipPathUnits","objectBoundingBox");l=DrawLayer._svgFactory.createElement("path");s.append(l);i.append(s);o.append(i);n.path=l;n.selectionDiv=o}if(a.#Ua&&o.parentNode!==a.#Ua){a.#Ua.append(o);this.#yc.add(o)}l.setAttribute("d",r.join(" "))}}static get _svgFactory(){return shadow(this,"_svgFactory",new DOMSVGFactory)}static#Sc(t,[e,i,n,s]){const{style:r}=t;r.top=100*i+"%";r.left=100*e+"%";r.width=100*n+"%";r.height=100*s+"%"}#Tc(){const t=DrawLayer._svgFactory.create(1,1,!0);this.#Ua.append(t);t.setAttribute("aria-hidden","true");return t}#_c(t,e){const i=DrawLayer._svgFactory.createElement("clipPath");t.append(i);const n=`clip_${e}`;i.setAttribute("id",n);i.setAttribute("clipPathUnits","objectBoundingBox");const s=DrawLayer._svgFactory.createElement("use");i.append(s);s.setAttribute("href",`#${e}`);s.classList.add("clip");return n}#kc(t,e){for(const[i,n]of Object.entries(e))null===n?t.removeAttribute(i):t.setAttribute(i,n)}draw(t,e=!1,i=!1){const n=DrawLayer.#_++,s=this.#Tc(),r=DrawLayer._svgFactory.createElement("defs");s.append(r);const a=DrawLayer._svgFactory.createElement("path");r.append(a);const o=`path_${n}`;a.setAttribute("id",o);a.setAttribute("vector-effect","non-scaling-stroke");e&&this.#mc.set(n,a);const l=i?this.#_c(r,o):null,h=DrawLayer._svgFactory.createElement("use");s.append(h);h.setAttribute("href",`#${o}`);this.updateProperties(s,t);this.#pc.set(n,s);return{id:n,clipPathId:`url(#${l})`}}drawOutline(t,e){const i=DrawLayer.#_++,n=this.#Tc(),s=DrawLayer._svgFactory.createElement("defs");n.append(s);const r=DrawLayer._svgFactory.createElement("path");s.append(r);const a=`path_${i}`;r.setAttribute("id",a);r.setAttribute("vector-effect","non-scaling-stroke");let o;if(e){const t=DrawLayer._svgFactory.createElement("mask");s.append(t);o=`mask_${i}`;t.setAttribute("id",o);t.setAttribute("maskUnits","objectBoundingBox");const e=DrawLayer._svgFactory.createElement("rect");t.append(e);e.setAttribute("width","1");e.setAttribute("height","1");e.setAttribute("fill","white");const n=DrawLayer._svgFactory.createElement("use");t.append(n);n.setAttribute("href",`#${a}`);n.setAttribute("stroke","none");n.setAttribute("fill","black");n.setAttribute("fill-rule","nonzero");n.classList.add("mask")}const l=DrawLayer._svgFactory.createElement("use");n.append(l);l.setAttribute("href",`#${a}`);o&&l.setAttribute("mask",`url(#${o})`);const h=l.cloneNode();n.append(h);l.classList.add("mainOutline");h.classList.add("secondaryOutline");this.updateProperties(n,t);this.#pc.set(i,n);return i}finalizeDraw(t,e){this.#mc.delete(t);this.updateProperties(t,e)}updateProperties(t,e){if(!e)return;const{root:i,bbox:n,rootClass:s,path:r}=e,a="number"==typeof t?this.#pc.get(t):t;if(a){i&&this.#kc(a,i);n&&DrawLayer.#Sc(a,n);if(s){const{classList:t}=a;for(const[e,i]of Object.entries(s))t.toggle(e,i)}if(r){const t=a.firstElementChild.firstElementChild;this.#kc(t,r)}}}updateParent(t,e){if(e===this)return;const i=this.#pc.get(t);if(i){e.#Ua.append(i);this.#pc.delete(t);e.#pc.set(t,i)}}remove(t){this.#mc.delete(t);if(null!==this.#Ua){this.#pc.get(t).remove();this.#pc.delete(t)}}destroy(){this.#Ua=null;for(const t of this.#pc.values())t.remove();this.#pc.clear();this.#mc.clear();this.#gc?.disconnect();this.#gc=null;if(this.#nc){const t=DrawLayer.#Ac.get(this.#nc);if(t?.drawLayer===this){DrawLayer.#Cc(this.#nc);DrawLayer.#Ac.delete(this.#nc);DrawLayer.#wc.delete(this.#nc);if(0===DrawLayer.#wc.size){DrawLayer.#bc?.abort();DrawLayer.#bc=null;DrawLayer.#vc=!1}}this.#nc=null}}}function percentage(t){return`${(100*t).toFixed(2)}%`}class TextLayerImages{#Dc=[];#Pc=new Map;#Mc=null;#Ic=0;#dr=0;#cr=0;static#Fc=null;constructor(t,e,i,n){this.#Ic=t;this.#Dc=e;this.#dr=i.rawDims.pageWidth;this.#cr=i.rawDims.pageHeight;this.#Mc=n}render(){const t=document.createElement("div");t.className="textLayerImages";for(let e=0;e<this.#Dc.length;e+=6){const i=this.#Oc(this.#Dc.subarray(e,e+6));i&&t.append(i)}t.addEventListener("contextmenu",t=>{if(!(t.target instanceof HTMLCanvasElement))return;const e=t.target,i=this.#Pc.get(e);if(!i)return;const n=TextLayerImages.#Fc?.deref();if(n===e)return;if(n){n.width=0;n.height=0}TextLayerImages.#Fc=new WeakRef(e);const{inverseTransform:s,x1:r,y1:a,width:o,height:l}=i,h=this.#Mc(),c=Math.ceil(r*h.width),d=Math.ceil(a*h.height),u=Math.floor((r+o/this.#dr)*h.width),p=Math.floor((a+l/this.#cr)*h.height);e.width=u-c;e.height=p-d;const g=e.getContext("2d");g.setTransform(...s);g.translate(-c,-d);g.drawImage(h,0,0)});return t}#Oc([t,e,i,n,s,r]){const a=Math.hypot((s-t)*this.#dr,(r-e)*this.#cr),o=Math.hypot((i-t)*this.#dr,(n-e)*this.#cr);if(a<this.#Ic||o<this.#Ic)return null;const l=[(s-t)*this.#dr/a,(r-e)*this.#cr/a,(i-t)*this.#dr/o,(n-e)*this.#cr/o,0,0],h=Util.inverseTransform(l),c=document.createElement("canvas");c.className="textLayerImagePlaceholder";c.width=0;c.height=0;Object.assign(c.style,{opacity:0,position:"absolute",left:percentage(t),top:percentage(e),width:percentage(a/this.#dr),height:percentage(o/this.#cr),transformOrigin:"0% 0%",transform:`matrix(${l.join(",")})`});this.#Pc.set(c,{inverseTransform:h,width:a,height:o,x1:t,y1:e});return c}}globalThis._pdfjsTestingUtils={HighlightOutliner};globalThis.pdfjsLib={AbortException,AnnotationEditorLayer,AnnotationEditorParamsType:b,AnnotationEditorType:f,AnnotationEditorUIManager,AnnotationLayer,AnnotationMode:p,AnnotationType:T,applyOpacity,build:Nt,ColorPicker,createValidAbsoluteUrl,CSSConstants,DOMSVGFactory,DrawLayer,FeatureTest,fetchData,findContrastColor,getDocument,getFilenameFromUrl,getPdfFilenameFromUrl,getRGB,getRGBA,getUuid,GlobalWorkerOptions,ImageKind:S,InvalidPDFException,isDataScheme,isPdfFile,isValidExplicitDest:ut,makeArr,makeMap,makeObj,makeSet,MathClamp,noContextMenu,normalizeUnicode,OPS:F,OutputScale,PasswordException,PasswordResponses:U,PDFDataRangeTransport,PDFDateString,PDFWorker,PermissionFlag:y,PixelsPerInch,RenderingCancelledException,renderRichText,ResponseException,setLayerDimensions,shadow,SignatureExtractor,stopEvent,SupportedImageMimeTypes:j,TextLayer,TextLayerImages,TouchManager,updateUrlHash,Util,VerbosityLevel:I,version:Lt,XfaLayer};export{AbortException,AnnotationEditorLayer,b as AnnotationEditorParamsType,f as AnnotationEditorType,AnnotationEditorUIManager,AnnotationLayer,p as AnnotationMode,T as AnnotationType,CSSConstants,ColorPicker,DOMSVGFactory,DrawLayer,FeatureTest,GlobalWorkerOptions,S as ImageKind,InvalidPDFException,MathClamp,F as OPS,OutputScale,PDFDataRangeTransport,PDFDateString,PDFWorker,PasswordException,U as PasswordResponses,y as PermissionFlag,PixelsPerInch,RenderingCancelledException,ResponseException,SignatureExtractor,j as SupportedImageMimeTypes,TextLayer,TextLayerImages,TouchManager,Util,I as VerbosityLevel,XfaLayer,applyOpacity,Nt as build,createValidAbsoluteUrl,fetchData,findContrastColor,getDocument,getFilenameFromUrl,getPdfFilenameFromUrl,getRGB,getRGBA,getUuid,isDataScheme,isPdfFile,ut as isValidExplicitDest,makeArr,makeMap,makeObj,makeSet,noContextMenu,normalizeUnicode,renderRichText,setLayerDimensions,shadow,stopEvent,updateUrlHash,Lt as version};
\ No newline at end of file
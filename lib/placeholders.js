@@ -0,0 +1,76 @@
+/**
+ * 没入型翻訳 - プレースホルダー (lib/placeholders.js)
+ * 翻訳前に置き換えた数式・コード（__MATH_n__, __CODE_n__）とインライン要素（__TAG_n__ ... __END_n__）を
+ * 翻訳文のHTMLに復元する（Content Script / PDFビューア共通）
+ */
+
+/**
+ * プレースホルダーを含む翻訳文をHTMLに復元
+ */
+function restorePlaceholders(translatedText, placeholderMap, inlineTags = {}) {
+  if (!translatedText) return '';
+  let html = restoreInlineTags(escapeHtml(translatedText), inlineTags);
+
+  // プレースホルダーを置換
+  for (const [id, originalHtml] of Object.entries(placeholderMap)) {
+    // 翻訳過程でスペースが入ったり全角になったりする場合に対応
+    // __MATH_0__ -> __MATH_ 0 __, ＿MATH_0＿ 等の揺らぎを吸収
+    const escapedId = id.replace(/_/g, '[_＿]');
+    const pattern = new RegExp(escapedId.split('').join('\\s*'), 'gi');
+
+    // 復元（HTMLとして挿入するため安全性を確認済みとする）
+    // ※originalHtmlは呼び出し元がDOMから取得、またはエスケープしたものなので
+    // 信頼済みソースとして扱う
+    html = html.replace(pattern, `<span class="immersive-translate-placeholder">${originalHtml}</span>`);
+  }
+
+  return html;
+}
+
+/**
+ * 対のプレースホルダーをインライン要素に戻す
+ * 翻訳で開始・終了の片方が失われたり、入れ子が崩れたりした組はプレースホルダーだけ取り除く（テキストは残す）
+ */
+function restoreInlineTags(html, inlineTags) {
+  const markerPattern = /[_＿]\s*[_＿]\s*(TAG|END)\s*[_＿]\s*(\d+)\s*[_＿]\s*[_＿]/gi;
+
+  // 正しく対応する開始・終了の位置を求める
+  const pairedOffsets = new Set();
+  const openMarkers = [];
+  for (const marker of html.matchAll(markerPattern)) {
+    const [, kind, index] = marker;
+    if (!inlineTags[index]) continue;
+    if (kind.toUpperCase() === 'TAG') {
+      openMarkers.push(marker);
+      continue;
+    }
+    const openIndex = openMarkers.findLastIndex(open => open[2] === index);
+    if (openIndex === -1) continue;
+    // 間にある閉じられていない開始は、組み合わせると入れ子が崩れるため破棄
+    const [open] = openMarkers.splice(openIndex);
+    pairedOffsets.add(open.index);
+    pairedOffsets.add(marker.index);
+  }
+
+  return html.replace(markerPattern, (marker, kind, index, offset) => {
+    if (!pairedOffsets.has(offset)) return '';
+    const { tagName, attrs } = inlineTags[index];
+    if (kind.toUpperCase() === 'END') return `</${tagName}>`;
+    const attrHtml = Object.entries(attrs)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+    return `<${tagName}${attrHtml}>`;
+  });
+}
+
+/**
+ * HTMLエスケープ処理
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
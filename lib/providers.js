@@ -0,0 +1,852 @@
+/**
+ * 没入型翻訳 - 翻訳プロバイダ (lib/providers.js)
+ * 各翻訳エンジンの実装と、バッチ上限・対応言語・必要な設定の宣言
+ */
+
+/**
+ * @typedef {Object} ProviderSetting
+ * @property {string} key - providerSettings[プロバイダID] 内のキー
+ * @property {string} label - 設定画面の表示名
+ * @property {'text'|'password'|'url'} type
+ * @property {boolean} [required]
+ * @property {string} [default]
+ * @property {string} [placeholder]
+ * @property {string} [hint]
+ * @property {string} [hintUrl]
+ */
+
+/**
+ * @typedef {Object} TranslationProvider
+ * @property {string} name - 表示名
+ * @property {number} maxBatchSize - 1リクエストあたりの最大テキスト数
+ * @property {number} maxBatchChars - 1リクエストあたりの最大文字数
+ * @property {number} maxConcurrentRequests - 同時に送るリクエスト数の上限（全タブ共通）
+ * @property {number} requestsPerSecond - 1秒あたりのリクエスト数の上限（トークンバケットの補充速度）
+ * @property {number} burst - 連続して送れるリクエスト数（トークンバケットの容量）
+ * @property {string[]|null} supportedLanguages - 対応言語（null は制限なし）
+ * @property {ProviderSetting[]} settings - 必要な設定
+ * @property {string} [modelSetting] - キャッシュキー・data-source に含めるモデル名の設定キー
+ * @property {'prompt'|'placeholder'} glossaryMode - 用語集の適用方法（プロンプト注入 / プレースホルダー置換）
+ * @property {(texts: string[], sourceLang: string, targetLang: string, config: Object, glossary: Object[]) => Promise<string[]>} translate
+ *   glossary は glossaryMode が 'prompt' の場合のみ渡される
+ * @property {(texts: string[], sourceLang: string, targetLang: string, config: Object, glossary: Object[], onItem: (index: number, text: string) => void) => Promise<string[]>} [translateStream]
+ *   ストリーミング対応の場合、翻訳し終えた項目から順に onItem に渡す（戻り値は translate と同じ）
+ * @property {(word: string, sourceLang: string, targetLang: string, config: Object) => Promise<DictionaryEntry>} [lookup]
+ *   単語・短いフレーズを辞書として引ける場合（選択テキスト翻訳の辞書モード）
+ */
+
+/**
+ * @typedef {Object} DictionaryEntry
+ * @property {string} translation - 代表的な訳
+ * @property {string} sourceLang - 原文の言語（自動検出の場合は検出結果）
+ * @property {string} phonetic - 発音記号・読み（なければ空文字）
+ * @property {{partOfSpeech: string, translations: string[]}[]} meanings - 品詞ごとの訳語
+ * @property {{text: string, translation: string}[]} examples - 原文の言語の例文と訳（訳がなければ空文字）
+ */
+
+// --- 共通処理 ---
+
+/**
+ * HTTPエラーの Error を作成
+ * status（リトライ判定用）と、Retry-After ヘッダーがあれば retryAfterMs を付ける
+ */
+async function createHttpError(response, label) {
+  const errorText = await response.text();
+  const error = new Error(`${label} API Error ${response.status}: ${errorText}`);
+  error.status = response.status;
+
+  const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+  if (retryAfterMs !== null) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+/**
+ * Retry-After ヘッダー（秒数 または HTTP日付）をミリ秒に変換
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 応答の形式が不正な場合の Error
+ * invalidResponse: 呼び出し側はバッチを分割して問題のある項目を絞り込む
+ * blocked: 安全性フィルタなどによるブロック（同じ内容ではリトライしても結果が変わらない）
+ */
+function createInvalidResponseError(message, { blocked = false } = {}) {
+  const error = new Error(message);
+  error.invalidResponse = true;
+  if (blocked) {
+    error.blocked = true;
+  }
+  return error;
+}
+
+/**
+ * APIにリクエストしてJSONを返す
+ * HTTPエラー時は createHttpError() の Error を投げる
+ */
+async function fetchApiJson(url, options, label) {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    throw await createHttpError(response, label);
+  }
+
+  return response.json();
+}
+
+/**
+ * APIにリクエストし、SSE（Server-Sent Events）の各イベントの data をJSONとして順に渡す
+ * HTTPエラー時は fetchApiJson と同じく createHttpError() の Error を投げる
+ */
+async function fetchApiEventStream(url, options, label, onEvent) {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    throw await createHttpError(response, label);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let dataLines = [];
+
+  // 空行でイベントが区切られる
+  const dispatch = () => {
+    if (dataLines.length === 0) return;
+    const data = dataLines.join('\n');
+    dataLines = [];
+    onEvent(JSON.parse(data));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line === '') {
+        dispatch();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+  }
+  if (buffer.startsWith('data:')) {
+    dataLines.push(buffer.slice(5).trimStart());
+  }
+  dispatch();
+}
+
+// 辞書の結果に含める訳語・例文の上限
+const DICTIONARY_MAX_TRANSLATIONS = 8;
+const DICTIONARY_MAX_EXAMPLES = 3;
+
+/**
+ * 辞書の結果を検証して DictionaryEntry の形にそろえる
+ * 形式の崩れた品詞・例文は除き、訳語・例文は上限までにする
+ */
+function normalizeDictionaryEntry(entry, sourceLang, label) {
+  if (typeof entry?.translation !== 'string' || !entry.translation.trim()) {
+    throw createInvalidResponseError(`${label} returned invalid dictionary entry`);
+  }
+  const isString = value => typeof value === 'string' && value.trim() !== '';
+  return {
+    translation: entry.translation,
+    sourceLang: isString(entry.sourceLang) ? entry.sourceLang : sourceLang,
+    phonetic: isString(entry.phonetic) ? entry.phonetic : '',
+    meanings: (Array.isArray(entry.meanings) ? entry.meanings : [])
+      .filter(meaning => Array.isArray(meaning?.translations))
+      .map(meaning => ({
+        partOfSpeech: isString(meaning.partOfSpeech) ? meaning.partOfSpeech : '',
+        translations: meaning.translations.filter(isString).slice(0, DICTIONARY_MAX_TRANSLATIONS)
+      }))
+      .filter(meaning => meaning.translations.length > 0),
+    examples: (Array.isArray(entry.examples) ? entry.examples : [])
+      .filter(example => isString(example?.text))
+      .slice(0, DICTIONARY_MAX_EXAMPLES)
+      .map(example => ({ text: example.text, translation: isString(example.translation) ? example.translation : '' }))
+  };
+}
+
+/**
+ * LLM向けの翻訳プロンプトを構築
+ * @param {Object[]} [glossary] - このバッチに出現する用語集エントリ
+ * @param {{withIds?: boolean}} [options] - withIds: 各テキストに id を付け、訳も {id, text} で返させる
+ *   （件数が合わない応答でも、どの項目の訳かを判別できる）
+ */
+function buildTranslationPrompt(texts, sourceLang, targetLang, glossary = [], { withIds = false } = {}) {
+  // 自動判定時は元言語をモデルに判定させる
+  const sourceDesc = sourceLang === 'auto' ? 'their detected source language' : sourceLang;
+  const outputFormat = withIds
+    ? 'Return the output as a strict JSON array of objects {"id": number, "text": string}: one object per input, with the id of the input and its translation.'
+    : 'Return the output as a strict JSON array of strings.';
+  const input = withIds ? texts.map((text, id) => ({ id, text })) : texts;
+  return `You are a professional translator. Translate the following texts from ${sourceDesc} to ${targetLang}.
+    ${outputFormat} Maintain the original formatting and placeholders (e.g., __MATH_0__, __CODE_1__) exactly.
+    Paired placeholders (e.g., __TAG_2__ ... __END_2__) mark links and emphasis: keep each pair around the words that correspond to the original enclosed text.
+    Do not add any explanations or markdown code blocks (like \`\`\`json). Just the raw JSON array.
+    ${buildGlossaryPrompt(glossary)}
+    Texts to translate:
+    ${JSON.stringify(input)}`;
+}
+
+/**
+ * LLMの応答からJSON配列を取り出す（Markdownコードブロック除去を含む）
+ * 配列の長さが合わない場合は項目の対応が分からないため createInvalidResponseError() を投げる
+ * 文字列でない項目は null にする（呼び出し側でその項目だけ再リクエストする）
+ */
+function parseJsonArrayResponse(content, expectedLength, label) {
+  const cleanedJson = content.replace(/```json\n|```/g, '').trim();
+  let translatedTexts;
+  try {
+    translatedTexts = JSON.parse(cleanedJson);
+  } catch {
+    throw createInvalidResponseError(`${label} returned invalid JSON`);
+  }
+
+  if (!Array.isArray(translatedTexts) || translatedTexts.length !== expectedLength) {
+    throw createInvalidResponseError(`${label} returned invalid response format or length mismatch`);
+  }
+
+  return translatedTexts.map(text => (typeof text === 'string' ? text : null));
+}
+
+/**
+ * ストリーミングで届くJSON配列を少しずつ解析し、完成した要素から順に渡す
+ * 配列の前にある ```json などは読み飛ばす
+ * @param {(index: number, value: any) => void} onElement
+ */
+function createJsonArrayStreamParser(onElement) {
+  let buffer = '';
+  let position = 0;
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let elementStart = 0;
+  let count = 0;
+
+  const emit = (end) => {
+    const raw = buffer.slice(elementStart, end).trim();
+    if (raw) onElement(count++, JSON.parse(raw));
+    elementStart = end + 1;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      for (; position < buffer.length && !finished; position++) {
+        const char = buffer[position];
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (!started) {
+          if (char === '[') {
+            started = true;
+            depth = 1;
+            elementStart = position + 1;
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === '[' || char === '{') {
+          depth++;
+        } else if (char === ']' || char === '}') {
+          depth--;
+          if (depth === 0) {
+            emit(position);
+            finished = true;
+          }
+        } else if (char === ',' && depth === 1) {
+          emit(position);
+        }
+      }
+    }
+  };
+}
+
+// --- Google翻訳 ---
+
+/**
+ * バッチ単位でGoogle翻訳APIにリクエスト
+ */
+async function translateBatchGoogle(texts, sourceLang, targetLang) {
+  // 複数テキストをクエリパラメータとして追加
+  const params = new URLSearchParams();
+  params.set('client', 'gtx');
+  params.set('sl', sourceLang);
+  params.set('tl', targetLang);
+  params.set('dt', 't');
+  texts.forEach(text => params.append('q', text));
+
+  const data = await fetchApiJson(
+    `https://translate.googleapis.com/translate_a/t?${params.toString()}`,
+    {},
+    'Google'
+  );
+
+  // レスポンス形式の正規化
+  // 単一テキストの場合: [翻訳文] or 翻訳文
+  // 複数テキストの場合: [[翻訳文1], [翻訳文2], ...]
+  if (texts.length === 1) {
+    if (Array.isArray(data)) {
+      return [Array.isArray(data[0]) ? data[0][0] : data[0]];
+    }
+    return [String(data)];
+  }
+
+  return data.map(item => {
+    if (Array.isArray(item)) return item[0];
+    return String(item);
+  });
+}
+
+/**
+ * Google翻訳の辞書データで単語を引く
+ * dt=bd: 品詞ごとの訳語 / dt=ex: 例文 / dt=rm: 発音（翻字）
+ */
+async function lookupWordGoogle(word, sourceLang, targetLang) {
+  const params = new URLSearchParams();
+  params.set('client', 'gtx');
+  params.set('sl', sourceLang);
+  params.set('tl', targetLang);
+  params.set('hl', targetLang); // 品詞名を翻訳先の言語で返す
+  params.set('dj', '1'); // 配列ではなく名前付きのJSONで返す
+  ['t', 'bd', 'ex', 'rm'].forEach(dt => params.append('dt', dt));
+  params.set('q', word);
+
+  const data = await fetchApiJson(
+    `https://translate.googleapis.com/translate_a/single?${params.toString()}`,
+    {},
+    'Google'
+  );
+
+  const sentences = data.sentences || [];
+  return normalizeDictionaryEntry({
+    translation: sentences.map(sentence => sentence.trans || '').join(''),
+    sourceLang: data.src,
+    phonetic: sentences.find(sentence => sentence.src_translit)?.src_translit,
+    meanings: (data.dict || []).map(({ pos, terms }) => ({ partOfSpeech: pos, translations: terms })),
+    // 例文は原文の言語のみ（見出し語が <b> で囲まれている）
+    examples: (data.examples?.example || []).map(({ text }) => ({ text: stripHtmlTags(text) }))
+  }, sourceLang, 'Google');
+}
+
+/**
+ * HTMLタグを除き、文字参照を戻す（Service Worker では DOMParser が使えないため）
+ */
+function stripHtmlTags(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+  return String(html || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|apos|#39);/g, (_, name) => entities[name]);
+}
+
+// --- Gemini ---
+
+function getGeminiUrl(config, method) {
+  return `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(config.model)}:${method}`;
+}
+
+// 応答が生成されなかった場合の finishReason のうち、ブロックによるもの
+const GEMINI_BLOCK_FINISH_REASONS = ['SAFETY', 'RECITATION', 'LANGUAGE', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+/**
+ * リクエスト本文
+ * 応答はスキーマを指定した構造化出力（入力と同じ件数の {id, text} の配列）にする
+ */
+function buildGeminiRequestBody(texts, sourceLang, targetLang, glossary) {
+  return {
+    contents: [{
+      parts: [{ text: buildTranslationPrompt(texts, sourceLang, targetLang, glossary, { withIds: true }) }]
+    }],
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: {
+        type: 'ARRAY',
+        items: {
+          type: 'OBJECT',
+          properties: {
+            id: { type: 'INTEGER' },
+            text: { type: 'STRING' }
+          },
+          required: ['id', 'text'],
+          propertyOrdering: ['id', 'text']
+        },
+        minItems: texts.length,
+        maxItems: texts.length
+      }
+    }
+  };
+}
+
+/**
+ * 応答の1項目 {id, text} を検証し、訳の位置を返す
+ * 範囲外・重複した id や文字列でない訳は無視する（-1）
+ */
+function getGeminiItemIndex(item, translated) {
+  const id = item?.id;
+  if (!Number.isInteger(id) || id < 0 || id >= translated.length) return -1;
+  if (translated[id] !== null || typeof item.text !== 'string') return -1;
+  return id;
+}
+
+/**
+ * ブロックされた応答を検出
+ * @param {Object} data - generateContent の応答（ストリーミングでは各イベント）
+ * @returns {string|null} ブロックの理由
+ */
+function getGeminiBlockReason(data) {
+  if (data.promptFeedback?.blockReason) {
+    return data.promptFeedback.blockReason;
+  }
+  const finishReason = data.candidates?.[0]?.finishReason;
+  return GEMINI_BLOCK_FINISH_REASONS.includes(finishReason) ? finishReason : null;
+}
+
+function getGeminiText(data) {
+  return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+}
+
+/**
+ * Gemini APIを実行
+ */
+async function fetchTranslationsFromGemini(texts, sourceLang, targetLang, config, glossary = []) {
+  const url = `${getGeminiUrl(config, 'generateContent')}?key=${config.apiKey}`;
+  const body = buildGeminiRequestBody(texts, sourceLang, targetLang, glossary);
+
+  const data = await fetchApiJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, 'Gemini');
+
+  // 失敗時の代替エンジンへの切り替えは呼び出し側（background.js）で行う
+  const blockReason = getGeminiBlockReason(data);
+  if (blockReason) {
+    throw createInvalidResponseError(`Gemini blocked the response (${blockReason})`, { blocked: true });
+  }
+
+  const candidate = getGeminiText(data);
+  if (!candidate) {
+    throw createInvalidResponseError('No response from Gemini');
+  }
+
+  let items;
+  try {
+    items = JSON.parse(candidate);
+  } catch {
+    throw createInvalidResponseError('Gemini returned invalid JSON');
+  }
+  if (!Array.isArray(items)) {
+    throw createInvalidResponseError('Gemini returned invalid response format');
+  }
+
+  // 欠けた項目は null のまま返し、呼び出し側でその項目だけ再リクエストする
+  const translated = new Array(texts.length).fill(null);
+  items.forEach(item => {
+    const index = getGeminiItemIndex(item, translated);
+    if (index !== -1) translated[index] = item.text;
+  });
+  return translated;
+}
+
+/**
+ * Gemini APIをストリーミング（streamGenerateContent / SSE）で実行
+ * 応答のJSON配列を要素ごとに解析し、届いた翻訳から順に onItem に渡す
+ * 各要素の id で対応する項目を決めるため、欠けた項目があっても他の項目の訳はずれない
+ * 途中で失敗した場合も、それまでに渡した項目は呼び出し側で利用できる
+ */
+async function streamTranslationsFromGemini(texts, sourceLang, targetLang, config, glossary = [], onItem) {
+  const url = `${getGeminiUrl(config, 'streamGenerateContent')}?alt=sse&key=${config.apiKey}`;
+  const body = buildGeminiRequestBody(texts, sourceLang, targetLang, glossary);
+
+  const translated = new Array(texts.length).fill(null);
+  const parser = createJsonArrayStreamParser((_, item) => {
+    const index = getGeminiItemIndex(item, translated);
+    if (index === -1) return;
+    translated[index] = item.text;
+    onItem(index, item.text);
+  });
+
+  let blockReason = null;
+  await fetchApiEventStream(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, 'Gemini', (event) => {
+    blockReason = getGeminiBlockReason(event) || blockReason;
+    const text = getGeminiText(event);
+    if (text) {
+      try {
+        parser.push(text);
+      } catch {
+        throw createInvalidResponseError('Gemini returned invalid JSON');
+      }
+    }
+  });
+
+  // 途中でブロックされた場合も、それまでに渡した項目は有効
+  if (blockReason) {
+    throw createInvalidResponseError(`Gemini blocked the response (${blockReason})`, { blocked: true });
+  }
+  // 欠けた項目は null のまま返し、呼び出し側でその項目だけ再リクエストする
+  return translated;
+}
+
+// 辞書の応答のスキーマ（DictionaryEntry と同じ形）
+const GEMINI_DICTIONARY_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    translation: { type: 'STRING' },
+    sourceLang: { type: 'STRING' },
+    phonetic: { type: 'STRING' },
+    meanings: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          partOfSpeech: { type: 'STRING' },
+          translations: { type: 'ARRAY', items: { type: 'STRING' } }
+        },
+        required: ['partOfSpeech', 'translations'],
+        propertyOrdering: ['partOfSpeech', 'translations']
+      }
+    },
+    examples: {
+      type: 'ARRAY',
+      maxItems: DICTIONARY_MAX_EXAMPLES,
+      items: {
+        type: 'OBJECT',
+        properties: {
+          text: { type: 'STRING' },
+          translation: { type: 'STRING' }
+        },
+        required: ['text', 'translation'],
+        propertyOrdering: ['text', 'translation']
+      }
+    }
+  },
+  required: ['translation', 'sourceLang', 'phonetic', 'meanings', 'examples'],
+  propertyOrdering: ['translation', 'sourceLang', 'phonetic', 'meanings', 'examples']
+};
+
+/**
+ * Gemini で単語・短いフレーズを辞書として引く（構造化出力）
+ */
+async function lookupWordGemini(word, sourceLang, targetLang, config) {
+  const url = `${getGeminiUrl(config, 'generateContent')}?key=${config.apiKey}`;
+  const sourceDesc = sourceLang === 'auto' ? 'its detected language' : sourceLang;
+  const prompt = `You are a bilingual dictionary. Look up the following word or phrase in ${sourceDesc} for a reader of ${targetLang}.
+    Give its most common translation into ${targetLang}, its pronunciation (IPA, or the reading for languages such as Japanese and Chinese),
+    its ${targetLang} translations grouped by part of speech (write the part of speech names in ${targetLang}),
+    and up to ${DICTIONARY_MAX_EXAMPLES} short example sentences in the source language with their ${targetLang} translations.
+    sourceLang is the BCP 47 code of the source language.
+    Word or phrase: ${JSON.stringify(word)}`;
+
+  const data = await fetchApiJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: GEMINI_DICTIONARY_SCHEMA
+      }
+    })
+  }, 'Gemini');
+
+  const blockReason = getGeminiBlockReason(data);
+  if (blockReason) {
+    throw createInvalidResponseError(`Gemini blocked the response (${blockReason})`, { blocked: true });
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(getGeminiText(data));
+  } catch {
+    throw createInvalidResponseError('Gemini returned invalid JSON');
+  }
+  return normalizeDictionaryEntry(entry, sourceLang, 'Gemini');
+}
+
+// --- DeepL ---
+
+// DeepL の言語コード（未定義のものは大文字化して使用）
+const DEEPL_SOURCE_LANGUAGES = { 'zh-CN': 'ZH', 'zh-TW': 'ZH' };
+const DEEPL_TARGET_LANGUAGES = { 'zh-CN': 'ZH-HANS', 'zh-TW': 'ZH-HANT', en: 'EN-US', pt: 'PT-BR' };
+
+/**
+ * DeepL APIを実行
+ * Free プランのキー（末尾 :fx）は api-free.deepl.com を使用
+ */
+async function fetchTranslationsFromDeepL(texts, sourceLang, targetLang, config) {
+  const host = config.apiKey.endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com';
+
+  const body = {
+    text: texts,
+    target_lang: DEEPL_TARGET_LANGUAGES[targetLang] || targetLang.toUpperCase()
+  };
+  if (sourceLang !== 'auto') {
+    body.source_lang = DEEPL_SOURCE_LANGUAGES[sourceLang] || sourceLang.toUpperCase();
+  }
+
+  const data = await fetchApiJson(`${host}/v2/translate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `DeepL-Auth-Key ${config.apiKey}`
+    },
+    body: JSON.stringify(body)
+  }, 'DeepL');
+
+  return data.translations.map(item => item.text);
+}
+
+// --- OpenAI互換 (Chat Completions) ---
+
+/**
+ * OpenAI互換の Chat Completions API を実行
+ * Ollama やローカルプロキシなど、ベースURLを変えて利用できる
+ */
+async function fetchTranslationsFromOpenAI(texts, sourceLang, targetLang, config, glossary = []) {
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  // ローカルサーバーではAPIキー不要の場合がある
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const data = await fetchApiJson(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: config.model,
+      temperature: 0,
+      messages: [{ role: 'user', content: buildTranslationPrompt(texts, sourceLang, targetLang, glossary) }]
+    })
+  }, 'OpenAI');
+
+  const choice = data.choices?.[0];
+  if (choice?.finish_reason === 'content_filter') {
+    throw createInvalidResponseError('OpenAI-compatible API blocked the response (content_filter)', { blocked: true });
+  }
+  const content = choice?.message?.content;
+  if (!content) {
+    throw createInvalidResponseError('No response from OpenAI-compatible API');
+  }
+
+  return parseJsonArrayResponse(content, texts.length, 'OpenAI');
+}
+
+// --- プロバイダ登録 ---
+
+/** @type {Object<string, TranslationProvider>} */
+const TRANSLATION_PROVIDERS = {
+  google: {
+    name: 'Google翻訳 (基本)',
+    maxBatchSize: 10,
+    // docs/requirements.md の非機能要件: 500文字ごとにバッチ化、並列度は最大3
+    maxBatchChars: 500,
+    maxConcurrentRequests: 3,
+    requestsPerSecond: 5,
+    burst: 3,
+    supportedLanguages: null,
+    settings: [],
+    glossaryMode: 'placeholder',
+    translate: translateBatchGoogle,
+    lookup: lookupWordGoogle
+  },
+  gemini: {
+    name: 'Gemini',
+    maxBatchSize: 20,
+    maxBatchChars: 10000,
+    maxConcurrentRequests: 3,
+    requestsPerSecond: 2,
+    burst: 3,
+    supportedLanguages: null,
+    settings: [
+      {
+        key: 'apiKey', label: 'Gemini APIキー', type: 'password', required: true,
+        placeholder: 'APIキーを入力',
+        hint: 'APIキーを取得する', hintUrl: 'https://aistudio.google.com/app/apikey'
+      },
+      { key: 'model', label: 'モデル', type: 'text', required: true, default: 'gemini-2.5-flash-lite' }
+    ],
+    modelSetting: 'model',
+    glossaryMode: 'prompt',
+    translate: fetchTranslationsFromGemini,
+    translateStream: streamTranslationsFromGemini,
+    lookup: lookupWordGemini
+  },
+  deepl: {
+    name: 'DeepL',
+    maxBatchSize: 50,
+    maxBatchChars: 30000,
+    maxConcurrentRequests: 3,
+    requestsPerSecond: 5,
+    burst: 3,
+    supportedLanguages: ['ja', 'en', 'zh-CN', 'zh-TW', 'ko', 'de', 'fr', 'es', 'it', 'pt', 'ru', 'uk'],
+    settings: [
+      {
+        key: 'apiKey', label: 'DeepL 認証キー', type: 'password', required: true,
+        placeholder: 'xxxxxxxx-xxxx-...:fx',
+        hint: '認証キーを取得する', hintUrl: 'https://www.deepl.com/your-account/keys'
+      }
+    ],
+    glossaryMode: 'placeholder',
+    translate: fetchTranslationsFromDeepL
+  },
+  openai: {
+    name: 'OpenAI互換 (Ollama等)',
+    maxBatchSize: 20,
+    maxBatchChars: 8000,
+    maxConcurrentRequests: 3,
+    requestsPerSecond: 5,
+    burst: 3,
+    supportedLanguages: null,
+    settings: [
+      {
+        key: 'baseUrl', label: 'ベースURL', type: 'url', required: true,
+        default: 'https://api.openai.com/v1',
+        hint: 'Ollama の場合: http://localhost:11434/v1'
+      },
+      {
+        key: 'apiKey', label: 'APIキー', type: 'password',
+        hint: 'ローカルサーバーでは不要な場合があります'
+      },
+      { key: 'model', label: 'モデル', type: 'text', required: true, placeholder: 'gpt-4o-mini' }
+    ],
+    modelSetting: 'model',
+    glossaryMode: 'prompt',
+    translate: fetchTranslationsFromOpenAI
+  }
+};
+
+const DEFAULT_PROVIDER_ID = 'google';
+
+/**
+ * 設定画面向けのプロバイダ情報（関数を除いたもの）
+ */
+function getProviderMetadata() {
+  return Object.entries(TRANSLATION_PROVIDERS).map(([id, provider]) => ({
+    id,
+    name: provider.name,
+    supportedLanguages: provider.supportedLanguages,
+    settings: provider.settings
+  }));
+}
+
+/**
+ * 保存済みの設定値にデフォルト値を補って返す
+ */
+function resolveProviderConfig(provider, savedConfig = {}) {
+  const config = {};
+  for (const setting of provider.settings) {
+    const value = savedConfig[setting.key];
+    config[setting.key] = value === undefined || value === '' ? (setting.default || '') : value;
+  }
+  return config;
+}
+
+/**
+ * 必須設定のうち未入力のもの
+ */
+function findMissingSetting(provider, config) {
+  return provider.settings.find(setting => setting.required && !config[setting.key]);
+}
+
+/**
+ * 必須設定がそろっていて使用できるプロバイダ（エンジン比較用）
+ * @returns {Promise<{id: string, name: string}[]>}
+ */
+async function getConfiguredProviders() {
+  const { providerSettings = {} } = await chrome.storage.sync.get(['providerSettings']);
+  return Object.entries(TRANSLATION_PROVIDERS)
+    .filter(([id, provider]) => !findMissingSetting(provider, resolveProviderConfig(provider, providerSettings[id])))
+    .map(([id, provider]) => ({ id, name: provider.name }));
+}
+
+/**
+ * 使用する翻訳エンジン（プロバイダ + 設定）を決定
+ * 必須設定が欠けている場合はGoogle翻訳を使用
+ * @param {string} [engineId] - 使用するプロバイダ（省略時は設定の translationEngine）
+ * @returns {Promise<{id: string, provider: TranslationProvider, config: Object, label: string}>}
+ */
+async function resolveEngine(engineId) {
+  const { translationEngine, providerSettings = {} } = await chrome.storage.sync.get([
+    'translationEngine', 'providerSettings'
+  ]);
+
+  const requestedId = engineId || translationEngine;
+  let id = TRANSLATION_PROVIDERS[requestedId] ? requestedId : DEFAULT_PROVIDER_ID;
+  let provider = TRANSLATION_PROVIDERS[id];
+  let config = resolveProviderConfig(provider, providerSettings[id]);
+
+  const missing = findMissingSetting(provider, config);
+  if (missing) {
+    console.warn(`${provider.name} の設定「${missing.label}」がないためGoogle翻訳を使用します`);
+    id = DEFAULT_PROVIDER_ID;
+    provider = TRANSLATION_PROVIDERS[id];
+    config = resolveProviderConfig(provider);
+  }
+
+  return { id, provider, config, label: getEngineLabel(id, config) };
+}
+
+/**
+ * キャッシュキー・data-source 用のエンジンのラベル（モデル名を含める）
+ * @param {string} id - プロバイダID
+ * @param {Object} config - resolveProviderConfig() の戻り値
+ */
+function getEngineLabel(id, config) {
+  const provider = TRANSLATION_PROVIDERS[id];
+  const model = provider.modelSetting && config[provider.modelSetting];
+  return model ? `${id}:${model}` : id;
+}
+
+/**
+ * 翻訳に使うエンジンを順に並べる（指定または設定のエンジン → 失敗時の代替エンジン）
+ * 代替エンジンは設定 fallbackEngines の順で、必須設定が欠けているものは除く
+ * @param {string} [engineId] - 最初に使うプロバイダ（省略時は設定の translationEngine）
+ * @returns {Promise<Object[]>} resolveEngine() の戻り値の配列
+ */
+async function resolveEngineChain(engineId) {
+  const [primary, { fallbackEngines = [], providerSettings = {} }] = await Promise.all([
+    resolveEngine(engineId),
+    chrome.storage.sync.get(['fallbackEngines', 'providerSettings'])
+  ]);
+
+  const chain = [primary];
+  for (const id of fallbackEngines) {
+    const provider = TRANSLATION_PROVIDERS[id];
+    if (!provider || chain.some(engine => engine.id === id)) continue;
+    if (findMissingSetting(provider, resolveProviderConfig(provider, providerSettings[id]))) continue;
+    chain.push(await resolveEngine(id));
+  }
+  return chain;
+}
@@ -0,0 +1,154 @@
+/**
+ * 没入型翻訳 - リクエストスケジューラ (lib/request-scheduler.js)
+ * 全タブ・フレームの翻訳APIリクエストを Service Worker でエンジンごとのキューにまとめて実行する
+ * - 同時実行数の上限とトークンバケットによるレート制限
+ * - 優先度（画面内・選択テキスト → 近傍 → 画面外）
+ * - 依頼元の取り消し（依頼元がいなくなった待機中のリクエストを破棄）
+ * - 429 / 503 の Retry-After に従ってキュー全体を一時停止
+ */
+
+const REQUEST_PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
+// Retry-After がない 429 / 503 でキューを止める時間
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 1000;
+
+const requestQueues = new Map();
+let requestSequence = 0;
+
+/**
+ * @typedef {Object} RequestLimits
+ * @property {number} maxConcurrentRequests - 同時実行数の上限
+ * @property {number} requestsPerSecond - トークンの補充速度
+ * @property {number} burst - トークンの上限（連続して送れるリクエスト数）
+ */
+
+function getRequestQueue(queueId, limits) {
+  let queue = requestQueues.get(queueId);
+  if (!queue) {
+    queue = {
+      jobs: [],
+      running: 0,
+      tokens: limits.burst,
+      refilledAt: Date.now(),
+      pausedUntil: 0,
+      timer: null,
+      limits
+    };
+    requestQueues.set(queueId, queue);
+  }
+  queue.limits = limits;
+  return queue;
+}
+
+/**
+ * リクエストをキューに入れ、順番が来たら実行する
+ * @param {string} queueId - キューの識別子（エンジンID）
+ * @param {RequestLimits} limits
+ * @param {() => Promise<T>} task
+ * @param {{priority?: 'high'|'normal'|'low', owners?: Set<Object>}} [options]
+ *   owners: このリクエストを必要としている依頼元（cancelScheduledRequests で取り消す）
+ * @returns {Promise<T>}
+ * @template T
+ */
+function scheduleRequest(queueId, limits, task, { priority = 'normal', owners = null } = {}) {
+  const queue = getRequestQueue(queueId, limits);
+  return new Promise((resolve, reject) => {
+    queue.jobs.push({
+      task,
+      resolve,
+      reject,
+      owners,
+      priority: REQUEST_PRIORITIES[priority] ?? REQUEST_PRIORITIES.normal,
+      sequence: requestSequence++
+    });
+    processRequestQueue(queue);
+  });
+}
+
+/**
+ * 依頼元を取り消し、依頼元がいなくなった待機中のリクエストを破棄
+ * 実行中のリクエストは完了させる（結果はキャッシュに保存される）
+ */
+function cancelScheduledRequests(owner) {
+  for (const queue of requestQueues.values()) {
+    queue.jobs.forEach(job => job.owners?.delete(owner));
+    queue.jobs = queue.jobs.filter(job => {
+      if (!job.owners || job.owners.size > 0) return true;
+      job.reject(createCancelledError());
+      return false;
+    });
+  }
+}
+
+function createCancelledError() {
+  const error = new Error('翻訳リクエストが取り消されました');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * 同時実行数・トークン・一時停止の範囲で、優先度の高いリクエストから実行
+ */
+function processRequestQueue(queue) {
+  clearTimeout(queue.timer);
+  queue.timer = null;
+
+  while (queue.jobs.length > 0 && queue.running < queue.limits.maxConcurrentRequests) {
+    const now = Date.now();
+    if (queue.pausedUntil > now) {
+      queue.timer = setTimeout(() => processRequestQueue(queue), queue.pausedUntil - now);
+      return;
+    }
+
+    refillTokens(queue, now);
+    if (queue.tokens < 1) {
+      const waitMs = Math.ceil((1 - queue.tokens) / queue.limits.requestsPerSecond * 1000);
+      queue.timer = setTimeout(() => processRequestQueue(queue), waitMs);
+      return;
+    }
+
+    queue.tokens -= 1;
+    runRequestJob(queue, takeNextJob(queue));
+  }
+}
+
+function refillTokens(queue, now) {
+  const { requestsPerSecond, burst } = queue.limits;
+  queue.tokens = Math.min(burst, queue.tokens + (now - queue.refilledAt) / 1000 * requestsPerSecond);
+  queue.refilledAt = now;
+}
+
+/**
+ * 優先度が最も高く、最も古いリクエストを取り出す
+ */
+function takeNextJob(queue) {
+  let next = 0;
+  queue.jobs.forEach((job, i) => {
+    const best = queue.jobs[next];
+    if (job.priority < best.priority || (job.priority === best.priority && job.sequence < best.sequence)) {
+      next = i;
+    }
+  });
+  return queue.jobs.splice(next, 1)[0];
+}
+
+async function runRequestJob(queue, job) {
+  queue.running++;
+  try {
+    job.resolve(await job.task());
+  } catch (error) {
+    // レート制限時は同じエンジンへの後続のリクエストも止める
+    if (error.status === 429 || error.status === 503) {
+      const pauseMs = error.retryAfterMs ?? DEFAULT_RATE_LIMIT_PAUSE_MS;
+      queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + pauseMs);
+    }
+    job.reject(error);
+  } finally {
+    queue.running--;
+    processRequestQueue(queue);
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * 没入型翻訳 - サイトパターン (lib/site-pattern.js)
+ * サイト別ルール・用語集で使うURLパターンの判定（Content Script / Popup / Service Worker 共通）
+ */
+
+/**
+ * URLがサイトパターンに一致するか
+ * パターンはオリジン（https://example.com）または * を含むURLパターン
+ */
+function matchesSitePattern(pattern, url) {
+  if (!pattern.includes('*') && !/^[a-z]+:\/\/[^/]+\/./i.test(pattern)) {
+    return new URL(url).origin === pattern.replace(/\/$/, '');
+  }
+  const regex = pattern.split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}$`).test(url);
+}
+
+/**
+ * サイト指定として有効か（オリジンまたはURLパターン）
+ */
+function isValidSite(site) {
+  if (!/^[a-z]+:\/\/[^/]+/i.test(site)) return false;
+  try {
+    matchesSitePattern(site, 'https://example.com/');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * 没入型翻訳 - 翻訳キャッシュ (lib/translation-cache.js)
+ * IndexedDB にエントリ単位で保存し、LRU/TTL で削除する
+ *
+ * スコープ: `${engine}|${sourceLang}|${targetLang}`（用語集適用時は `|${用語集ハッシュ}` を付加）
+ * エントリ: { scope, hash, translation, size, createdAt, lastAccessed }
+ */
+
+const CACHE_DB_NAME = 'duoread-cache';
+const CACHE_DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const SCOPE_STORE = 'scopes'; // スコープ別の件数・サイズ集計
+
+const DEFAULT_CACHE_MAX_SIZE_MB = 50;
+const DEFAULT_CACHE_TTL_DAYS = 30;
+
+// 上限を超えたら、この割合まで古いエントリを削除する
+const CACHE_EVICTION_TARGET_RATIO = 0.9;
+// 最終アクセス日時の更新間隔（読み込みのたびに書き込まないため）
+const CACHE_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+// エントリ1件あたりの概算オーバーヘッド（キー・メタデータ）
+const CACHE_ENTRY_OVERHEAD_BYTES = 200;
+const CACHE_EVICTION_DELAY_MS = 10 * 1000;
+
+let cacheDbPromise = null;
+let evictionTimer = null;
+
+// --- IndexedDB ヘルパー ---
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * カーソルを順に走査（callback が false を返したら終了）
+ */
+function iterateCursor(request, callback) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || callback(cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const entries = db.createObjectStore(ENTRY_STORE, { keyPath: ['scope', 'hash'] });
+        entries.createIndex('scope', 'scope');
+        entries.createIndex('createdAt', 'createdAt');
+        entries.createIndex('lastAccessed', 'lastAccessed');
+        db.createObjectStore(SCOPE_STORE, { keyPath: 'scope' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        cacheDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return cacheDbPromise;
+}
+
+function getEntrySize(translation) {
+  return translation.length * 2 + CACHE_ENTRY_OVERHEAD_BYTES;
+}
+
+/**
+ * キャッシュ設定（上限サイズ・有効期限）を取得
+ */
+async function getCacheSettings() {
+  const { cacheMaxSizeMB, cacheTtlDays } = await chrome.storage.sync.get(['cacheMaxSizeMB', 'cacheTtlDays']);
+  const maxSizeMB = cacheMaxSizeMB ?? DEFAULT_CACHE_MAX_SIZE_MB;
+  const ttlDays = cacheTtlDays ?? DEFAULT_CACHE_TTL_DAYS;
+  return {
+    maxBytes: maxSizeMB * 1024 * 1024,
+    ttlMs: ttlDays > 0 ? ttlDays * 24 * 60 * 60 * 1000 : 0
+  };
+}
+
+// --- 読み書き ---
+
+/**
+ * ハッシュ配列に対応する翻訳をキャッシュから取得
+ * @param {string} scope
+ * @param {string[]} hashes
+ * @returns {Promise<(string|null)[]>} 未キャッシュ・期限切れは null
+ */
+async function getCachedTranslations(scope, hashes) {
+  const [db, { ttlMs }] = await Promise.all([openCacheDb(), getCacheSettings()]);
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  const store = tx.objectStore(ENTRY_STORE);
+  const entries = await Promise.all(hashes.map(hash => promisifyRequest(store.get([scope, hash]))));
+
+  const now = Date.now();
+  const touched = [];
+  const results = entries.map(entry => {
+    if (!entry) return null;
+    if (ttlMs && now - entry.createdAt > ttlMs) return null;
+    if (now - entry.lastAccessed > CACHE_TOUCH_INTERVAL_MS) {
+      touched.push({ ...entry, lastAccessed: now });
+    }
+    return entry.translation;
+  });
+
+  // LRU用の最終アクセス日時を更新（非同期）
+  if (touched.length > 0) {
+    const touchTx = db.transaction(ENTRY_STORE, 'readwrite');
+    touched.forEach(entry => touchTx.objectStore(ENTRY_STORE).put(entry));
+    transactionDone(touchTx).catch(error => console.error('キャッシュ更新エラー:', error));
+  }
+
+  return results;
+}
+
+/**
+ * 翻訳をキャッシュに保存
+ * エントリ単位の put なので、複数タブから同時に書き込んでも互いに上書きしない
+ * @param {string} scope
+ * @param {{hash: string, translation: string, createdAt?: number}[]} items
+ */
+async function putCachedTranslations(scope, items) {
+  // 同じテキストが複数含まれる場合は1件にまとめる（集計の二重加算防止）
+  items = [...new Map(items.map(item => [item.hash, item])).values()];
+  if (items.length === 0) return;
+
+  const db = await openCacheDb();
+  const tx = db.transaction([ENTRY_STORE, SCOPE_STORE], 'readwrite');
+  const entryStore = tx.objectStore(ENTRY_STORE);
+  const scopeStore = tx.objectStore(SCOPE_STORE);
+
+  const [stats, existingEntries] = await Promise.all([
+    promisifyRequest(scopeStore.get(scope)),
+    Promise.all(items.map(({ hash }) => promisifyRequest(entryStore.get([scope, hash]))))
+  ]);
+  const scopeStats = stats || { scope, count: 0, bytes: 0 };
+
+  const now = Date.now();
+  items.forEach(({ hash, translation, createdAt }, i) => {
+    const existing = existingEntries[i];
+    if (existing) {
+      scopeStats.count--;
+      scopeStats.bytes -= existing.size;
+    }
+    const size = getEntrySize(translation);
+    entryStore.put({ scope, hash, translation, size, createdAt: createdAt || now, lastAccessed: now });
+    scopeStats.count++;
+    scopeStats.bytes += size;
+  });
+  scopeStore.put(scopeStats);
+
+  await transactionDone(tx);
+  scheduleCacheEviction();
+}
+
+// --- 削除 ---
+
+/**
+ * 書き込みが落ち着いてから削除処理を実行
+ */
+function scheduleCacheEviction() {
+  clearTimeout(evictionTimer);
+  evictionTimer = setTimeout(() => {
+    evictCache().catch(error => console.error('キャッシュ削除エラー:', error));
+  }, CACHE_EVICTION_DELAY_MS);
+}
+
+/**
+ * 期限切れのエントリを削除し、上限サイズを超えていれば古い順（LRU）に削除
+ */
+async function evictCache() {
+  const [db, { maxBytes, ttlMs }] = await Promise.all([openCacheDb(), getCacheSettings()]);
+  const tx = db.transaction([ENTRY_STORE, SCOPE_STORE], 'readwrite');
+  const entryStore = tx.objectStore(ENTRY_STORE);
+  const scopeStore = tx.objectStore(SCOPE_STORE);
+
+  const allStats = await promisifyRequest(scopeStore.getAll());
+  const statsByScope = new Map(allStats.map(stats => [stats.scope, stats]));
+  let totalBytes = allStats.reduce((sum, stats) => sum + stats.bytes, 0);
+
+  const deleteEntry = (cursor) => {
+    const { scope, size } = cursor.value;
+    const stats = statsByScope.get(scope);
+    if (stats) {
+      stats.count--;
+      stats.bytes -= size;
+    }
+    totalBytes -= size;
+    cursor.delete();
+  };
+
+  // TTL: 作成から有効期限を過ぎたエントリ
+  if (ttlMs) {
+    const expired = IDBKeyRange.upperBound(Date.now() - ttlMs);
+    await iterateCursor(entryStore.index('createdAt').openCursor(expired), deleteEntry);
+  }
+
+  // LRU: 最終アクセスが古い順に、目標サイズまで削除
+  if (totalBytes > maxBytes) {
+    const targetBytes = maxBytes * CACHE_EVICTION_TARGET_RATIO;
+    await iterateCursor(entryStore.index('lastAccessed').openCursor(), (cursor) => {
+      deleteEntry(cursor);
+      return totalBytes > targetBytes;
+    });
+  }
+
+  for (const stats of statsByScope.values()) {
+    if (stats.count <= 0) {
+      scopeStore.delete(stats.scope);
+    } else {
+      scopeStore.put(stats);
+    }
+  }
+
+  await transactionDone(tx);
+}
+
+/**
+ * キャッシュを削除
+ * @param {string} [scope] - 省略時はすべて削除
+ */
+async function clearCache(scope) {
+  const db = await openCacheDb();
+  const tx = db.transaction([ENTRY_STORE, SCOPE_STORE], 'readwrite');
+  const entryStore = tx.objectStore(ENTRY_STORE);
+  const scopeStore = tx.objectStore(SCOPE_STORE);
+
+  if (scope) {
+    await iterateCursor(entryStore.index('scope').openCursor(IDBKeyRange.only(scope)), (cursor) => {
+      cursor.delete();
+    });
+    scopeStore.delete(scope);
+  } else {
+    entryStore.clear();
+    scopeStore.clear();
+  }
+
+  await transactionDone(tx);
+}
+
+// --- 管理UI向け ---
+
+/**
+ * スコープ別の件数・サイズを取得
+ * @returns {Promise<{scope: string, count: number, bytes: number}[]>}
+ */
+async function getCacheStats() {
+  const db = await openCacheDb();
+  const tx = db.transaction(SCOPE_STORE, 'readonly');
+  return promisifyRequest(tx.objectStore(SCOPE_STORE).getAll());
+}
+
+/**
+ * キャッシュをJSONでエクスポートできる形式で取得
+ */
+async function exportCache() {
+  const db = await openCacheDb();
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  const entries = await promisifyRequest(tx.objectStore(ENTRY_STORE).getAll());
+  return {
+    format: 'duoread-cache',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ scope, hash, translation, createdAt }) => ({ scope, hash, translation, createdAt }))
+  };
+}
+
+/**
+ * exportCache() の形式のデータを取り込む
+ * @returns {Promise<number>} 取り込んだ件数
+ */
+async function importCache(data) {
+  if (data?.format !== 'duoread-cache' || !Array.isArray(data.entries)) {
+    throw new Error('キャッシュのエクスポートファイルではありません');
+  }
+
+  const byScope = new Map();
+  for (const entry of data.entries) {
+    const { scope, hash, translation, createdAt } = entry || {};
+    if (typeof scope !== 'string' || typeof hash !== 'string' || typeof translation !== 'string') continue;
+    if (!byScope.has(scope)) byScope.set(scope, []);
+    byScope.get(scope).push({ hash, translation, createdAt: Number(createdAt) || undefined });
+  }
+
+  let imported = 0;
+  for (const [scope, items] of byScope) {
+    await putCachedTranslations(scope, items);
+    imported += items.length;
+  }
+  return imported;
+}
+
+/**
+ * 旧形式（chrome.storage.local の `tr_cache_${engine}_${src}_${tgt}`）のキャッシュを移行
+ * @param {(engine: string) => (string|null)} getScopeLabel - 旧形式のエンジン名 → 現在のスコープのラベル
+ *   （Gemini はモデル名を含む。null のエンジンは移行しない）
+ */
+async function migrateLegacyCache(getScopeLabel) {
+  const all = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(all).filter(key => key.startsWith('tr_cache_'));
+
+  for (const key of legacyKeys) {
+    const [engine, sourceLang, targetLang] = key.slice('tr_cache_'.length).split('_');
+    const label = getScopeLabel(engine);
+    if (!label) continue;
+    const items = Object.entries(all[key] || {})
+      .filter(([, translation]) => typeof translation === 'string')
+      .map(([hash, translation]) => ({ hash, translation }));
+    await putCachedTranslations(`${label}|${sourceLang}|${targetLang}`, items);
+  }
+
+  if (legacyKeys.length > 0) {
+    await chrome.storage.local.remove(legacyKeys);
+  }
+}
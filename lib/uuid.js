@@ -0,0 +1,17 @@
+/**
+ * 没入型翻訳 - UUID (lib/uuid.js)
+ * 単語帳のエントリ・EPUB の識別子に使う UUID（Content Script / 単語帳ページ共通）
+ * crypto.randomUUID() は安全なコンテキスト（https）でしか使えないため、http のページでも動く getRandomValues で作る
+ */
+
+/**
+ * ランダムな UUID（バージョン4）を作成
+ * @returns {string}
+ */
+function createUuid() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
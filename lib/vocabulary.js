@@ -0,0 +1,127 @@
+/**
+ * 没入型翻訳 - 単語帳 (lib/vocabulary.js)
+ * 選択テキスト翻訳から保存した単語・フレーズと、間隔反復（SM-2）による復習スケジュール
+ * Content Script と単語帳ページの両方で読み込む
+ *
+ * chrome.storage.local の vocabulary に保存
+ * エントリ: { id, text, translation, context, url, title, tags, createdAt, review }
+ *   review: { due, interval, ease, repetitions }（due はミリ秒、interval は日数）
+ */
+
+const VOCABULARY_INITIAL_EASE = 2.5;
+const VOCABULARY_MIN_EASE = 1.3;
+const VOCABULARY_EASY_BONUS = 1.3;
+const VOCABULARY_DAY_MS = 24 * 60 * 60 * 1000;
+// 「もう一度」と答えた単語を再び出すまでの時間
+const VOCABULARY_RELEARN_MS = 10 * 60 * 1000;
+
+// 復習の評価（SM-2 の回答品質 0〜5 に対応）
+const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+async function loadVocabulary() {
+  const { vocabulary = [] } = await chrome.storage.local.get(['vocabulary']);
+  return vocabulary;
+}
+
+/**
+ * 単語帳に追加（同じ単語が保存済みなら訳・文脈・ページを更新し、タグと復習状況は引き継ぐ）
+ * @param {{text: string, translation: string, context?: string, url?: string, title?: string}} item
+ * @returns {Promise<{entry: Object, updated: boolean}>}
+ */
+async function addVocabularyEntry({ text, translation, context = '', url = '', title = '' }) {
+  const vocabulary = await loadVocabulary();
+  const index = findVocabularyIndex(vocabulary, text);
+  const now = Date.now();
+
+  const entry = index !== -1
+    ? { ...vocabulary[index], translation, context, url, title }
+    : {
+      id: createUuid(),
+      text,
+      translation,
+      context,
+      url,
+      title,
+      tags: [],
+      createdAt: now,
+      review: createReviewState(now)
+    };
+
+  if (index !== -1) {
+    vocabulary[index] = entry;
+  } else {
+    vocabulary.push(entry);
+  }
+  await chrome.storage.local.set({ vocabulary });
+  return { entry, updated: index !== -1 };
+}
+
+function findVocabularyIndex(vocabulary, text) {
+  const key = text.trim().toLowerCase();
+  return vocabulary.findIndex(entry => entry.text.trim().toLowerCase() === key);
+}
+
+function createReviewState(now = Date.now()) {
+  return { due: now, interval: 0, ease: VOCABULARY_INITIAL_EASE, repetitions: 0 };
+}
+
+function isReviewDue(entry, now = Date.now()) {
+  return (entry.review?.due ?? 0) <= now;
+}
+
+/**
+ * 回答の評価から次の復習日を決める（SM-2）
+ * @param {Object} review - 現在の復習状況
+ * @param {number} grade - REVIEW_GRADES の値
+ * @returns {Object} 新しい復習状況
+ */
+function scheduleReview(review = createReviewState(), grade, now = Date.now()) {
+  const ease = Math.max(
+    VOCABULARY_MIN_EASE,
+    review.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+  );
+
+  // 思い出せなかった単語は最初から覚え直す
+  if (grade < REVIEW_GRADES.hard) {
+    return { due: now + VOCABULARY_RELEARN_MS, interval: 0, ease, repetitions: 0 };
+  }
+
+  const repetitions = review.repetitions + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(review.interval * ease);
+  }
+  if (grade === REVIEW_GRADES.easy) {
+    interval = Math.round(interval * VOCABULARY_EASY_BONUS);
+  }
+
+  return { due: now + interval * VOCABULARY_DAY_MS, interval, ease, repetitions };
+}
+
+/**
+ * 保存した単語のいずれかにマッチする正規表現（大文字小文字は区別しない）
+ * 長い単語・フレーズを優先し、英数字の単語は単語の途中にマッチしない
+ * @param {string[]} texts
+ * @returns {RegExp|null}
+ */
+function getVocabularyPattern(texts) {
+  const wordChar = /^[\p{Script=Latin}\p{N}]$/u;
+  const alternatives = [...new Set(texts.map(text => text.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(text => {
+      const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      const prefix = wordChar.test(text[0]) ? '(?<![\\p{L}\\p{N}_])' : '';
+      const suffix = wordChar.test(text[text.length - 1]) ? '(?![\\p{L}\\p{N}_])' : '';
+      return `${prefix}${escaped}${suffix}`;
+    });
+  return alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'giu') : null;
+}
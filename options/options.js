@@ -0,0 +1,187 @@
+/**
+ * 没入型翻訳 - オプションページ (options.js)
+ * 訳文の外観（テーマ・フォント・文字色）の設定とプレビュー
+ *
+ * chrome.storage.sync の appearance（全サイト共通）と siteAppearances（サイトパターン → 外観）に保存
+ * 外観の形式・適用は lib/appearance.js、プレビューは content.css のスタイルをそのまま使う
+ */
+
+// 編集範囲「全サイト共通」
+const GLOBAL_SCOPE = '';
+
+// プレビューの訳文（.preview-page 内の原文と同じ順）
+const PREVIEW_TRANSLATIONS = [
+    '2つの言語で読む',
+    '対訳表示では、原文をページに残したまま、そのすぐ隣に訳文を表示します。'
+];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const scopeSelect = document.getElementById('scope-select');
+    const deleteSiteBtn = document.getElementById('delete-site-btn');
+    const addSiteForm = document.getElementById('add-site-form');
+    const siteInput = document.getElementById('site-input');
+    const formStatus = document.getElementById('form-status');
+    const appearanceForm = document.getElementById('appearance-form');
+    const themeOptions = document.getElementById('theme-options');
+    const fontFamilyInput = document.getElementById('font-family-input');
+    const fontScaleInput = document.getElementById('font-scale-input');
+    const fontScaleValue = document.getElementById('font-scale-value');
+    const colorEnabled = document.getElementById('color-enabled');
+    const colorInput = document.getElementById('color-input');
+    const darkColorEnabled = document.getElementById('dark-color-enabled');
+    const darkColorInput = document.getElementById('dark-color-input');
+    const resetBtn = document.getElementById('reset-btn');
+
+    let { appearance, siteAppearances = {} } = await chrome.storage.sync.get(['appearance', 'siteAppearances']);
+    appearance = normalizeAppearance(appearance);
+    // 編集中の範囲（GLOBAL_SCOPE またはサイトパターン）
+    let scope = GLOBAL_SCOPE;
+
+    for (const [theme, label] of Object.entries(APPEARANCE_THEMES)) {
+        const option = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'theme';
+        radio.value = theme;
+        option.append(radio, label);
+        themeOptions.appendChild(option);
+    }
+
+    // プレビューの原文の後に訳文を挿入（ページと同じ構造）
+    const previewTranslations = [];
+    for (const page of document.querySelectorAll('.preview-page')) {
+        page.querySelectorAll('[data-immersive-translated="done"]').forEach((original, index) => {
+            const translationEl = document.createElement(original.tagName);
+            translationEl.className = 'immersive-translate-result';
+            translationEl.textContent = PREVIEW_TRANSLATIONS[index];
+            original.after(translationEl);
+            previewTranslations.push({ element: translationEl, isDark: page.classList.contains('preview-page-dark') });
+        });
+    }
+
+    renderScopes();
+    renderForm();
+
+    // 他のタブ・ページでの変更を反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync' || (!changes.appearance && !changes.siteAppearances)) return;
+        if (changes.appearance) appearance = normalizeAppearance(changes.appearance.newValue);
+        if (changes.siteAppearances) siteAppearances = changes.siteAppearances.newValue || {};
+        if (!(scope in siteAppearances)) scope = GLOBAL_SCOPE;
+        renderScopes();
+        renderForm();
+    });
+
+    // --- 編集する範囲 ---
+
+    scopeSelect.addEventListener('change', () => {
+        scope = scopeSelect.value;
+        formStatus.textContent = '';
+        renderScopes();
+        renderForm();
+    });
+
+    // サイト別の外観を追加（全サイト共通の外観から始める）
+    addSiteForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const site = siteInput.value.trim();
+        if (!isValidSite(site)) {
+            showStatus('サイトはオリジン（https://example.com）またはURLパターンで指定してください', 'red');
+            return;
+        }
+
+        if (!(site in siteAppearances)) {
+            siteAppearances[site] = { ...appearance };
+            await chrome.storage.sync.set({ siteAppearances });
+            showStatus(`${site} の外観を追加しました`, 'green');
+        }
+        scope = site;
+        siteInput.value = '';
+        renderScopes();
+        renderForm();
+    });
+
+    deleteSiteBtn.addEventListener('click', async () => {
+        delete siteAppearances[scope];
+        await chrome.storage.sync.set({ siteAppearances });
+        showStatus(`${scope} の外観を削除しました（全サイト共通の外観を使います）`, 'green');
+        scope = GLOBAL_SCOPE;
+        renderScopes();
+        renderForm();
+    });
+
+    function renderScopes() {
+        scopeSelect.textContent = '';
+        scopeSelect.add(new Option('全サイト共通', GLOBAL_SCOPE));
+        for (const site of Object.keys(siteAppearances).sort()) {
+            scopeSelect.add(new Option(`サイト別: ${site}`, site));
+        }
+        scopeSelect.value = scope;
+        deleteSiteBtn.hidden = scope === GLOBAL_SCOPE;
+    }
+
+    // --- 外観 ---
+
+    // 入力中はプレビューだけを更新し、確定したら保存する（スライダーの操作ごとに保存しない）
+    appearanceForm.addEventListener('input', () => renderPreview(readForm()));
+    appearanceForm.addEventListener('change', () => saveAppearance(readForm()));
+
+    resetBtn.addEventListener('click', async () => {
+        await saveAppearance(normalizeAppearance());
+        renderForm();
+    });
+
+    function getScopeAppearance() {
+        return scope === GLOBAL_SCOPE ? appearance : normalizeAppearance(siteAppearances[scope]);
+    }
+
+    function renderForm() {
+        const current = getScopeAppearance();
+        appearanceForm.elements.theme.value = current.theme;
+        fontFamilyInput.value = current.fontFamily;
+        fontScaleInput.value = current.fontScale;
+        colorEnabled.checked = !!current.color;
+        if (current.color) colorInput.value = current.color;
+        darkColorEnabled.checked = !!current.darkColor;
+        if (current.darkColor) darkColorInput.value = current.darkColor;
+        renderPreview(current);
+    }
+
+    /**
+     * フォームの入力値を外観に変換（文字色はチェックを外すとページの文字色）
+     */
+    function readForm() {
+        return normalizeAppearance({
+            theme: appearanceForm.elements.theme.value,
+            fontFamily: fontFamilyInput.value,
+            fontScale: Number(fontScaleInput.value),
+            color: colorEnabled.checked ? colorInput.value : '',
+            darkColor: darkColorEnabled.checked ? darkColorInput.value : ''
+        });
+    }
+
+    function renderPreview(current) {
+        fontScaleValue.textContent = `${current.fontScale}%`;
+        colorInput.disabled = !colorEnabled.checked;
+        darkColorInput.disabled = !darkColorEnabled.checked;
+        for (const { element, isDark } of previewTranslations) {
+            applyAppearance(element, current, isDark);
+        }
+    }
+
+    async function saveAppearance(value) {
+        if (scope === GLOBAL_SCOPE) {
+            appearance = value;
+            await chrome.storage.sync.set({ appearance });
+        } else {
+            siteAppearances[scope] = value;
+            await chrome.storage.sync.set({ siteAppearances });
+        }
+        showStatus(scope === GLOBAL_SCOPE ? '保存しました' : `${scope} の外観を保存しました`, 'green');
+    }
+
+    function showStatus(msg, color) {
+        formStatus.textContent = msg;
+        formStatus.style.color = color;
+    }
+});
@@ -0,0 +1,475 @@
+/**
+ * 没入型翻訳 - PDFビューア (viewer.js)
+ * pdf.js でPDFのテキストを取り出して段落に組み直し、原文と翻訳文を並べて表示する
+ *
+ * 開き方: viewer.html?file=<PDFのURL>、またはファイル選択・ドラッグ&ドロップ
+ * pdf.js は lib/pdfjs/ に同梱（バージョン・ライセンスは lib/pdfjs/README.md）
+ */
+
+const PDFJS_PATH = '../lib/pdfjs/';
+const DEFAULT_PDF_LAYOUT = 'interleaved';
+const BATCH_SIZE = 20;
+// 「近傍」とみなす範囲（画面の上下1枚分を先に翻訳する）
+const NEARBY_ROOT_MARGIN = '100% 0px';
+
+// 数式とみなす文字（ギリシャ文字・数学記号・矢印など）を含む語の連なり
+const MATH_CHARS = '\\u0370-\\u03FF\\u2190-\\u21FF\\u2200-\\u22FF\\u27C0-\\u27EF\\u2980-\\u2AFF';
+const MATH_RUN_PATTERN = new RegExp(`\\S*[${MATH_CHARS}]\\S*(?:\\s+\\S*[${MATH_CHARS}]\\S*)*`, 'gu');
+const MONOSPACE_FONT_PATTERN = /mono|courier|consol/i;
+const LIST_ITEM_PATTERN = /^\s*(?:[•◦▪‣–]|\d{1,2}[.)]|\([a-z\d]{1,3}\))\s/;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const docTitle = document.getElementById('doc-title');
+    const layoutSelect = document.getElementById('layout-select');
+    const openFileBtn = document.getElementById('open-file-btn');
+    const fileInput = document.getElementById('file-input');
+    const statusMessage = document.getElementById('status-message');
+    const grantAccessBtn = document.getElementById('grant-access-btn');
+    const pagesContainer = document.getElementById('pages');
+    const dropHint = document.getElementById('drop-hint');
+
+    const { sourceLang, targetLang, pdfLayout } = await chrome.storage.sync.get([
+        'sourceLang', 'targetLang', 'pdfLayout'
+    ]);
+    layoutSelect.value = pdfLayout || DEFAULT_PDF_LAYOUT;
+    applyLayout();
+
+    layoutSelect.addEventListener('change', () => {
+        applyLayout();
+        chrome.storage.sync.set({ pdfLayout: layoutSelect.value });
+    });
+
+    function applyLayout() {
+        pagesContainer.classList.toggle('layout-interleaved', layoutSelect.value === 'interleaved');
+        pagesContainer.classList.toggle('layout-side', layoutSelect.value === 'side');
+    }
+
+    // pdf.js は同梱ファイルから読み込む（読み込めないと何もできないためエラーを表示）
+    let pdfjsLib;
+    try {
+        pdfjsLib = await import(`${PDFJS_PATH}pdf.min.mjs`);
+        pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_PATH}pdf.worker.min.mjs`;
+    } catch (error) {
+        console.error('pdf.js 読み込みエラー:', error);
+        showStatus(`pdf.js を読み込めませんでした（${error.message}）`, 'red');
+        openFileBtn.disabled = true;
+        return;
+    }
+
+    // --- PDFを開く ---
+
+    openFileBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) openDocument(await file.arrayBuffer(), file.name);
+    });
+
+    pagesContainer.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        pagesContainer.classList.add('dragover');
+    });
+    pagesContainer.addEventListener('dragleave', () => pagesContainer.classList.remove('dragover'));
+    pagesContainer.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        pagesContainer.classList.remove('dragover');
+        const file = [...e.dataTransfer.files].find(f => f.type === 'application/pdf' || /\.pdf$/i.test(f.name));
+        if (file) openDocument(await file.arrayBuffer(), file.name);
+    });
+
+    const fileUrl = new URLSearchParams(location.search).get('file');
+    if (fileUrl) openUrl(fileUrl);
+
+    /**
+     * URLのPDFを取得して開く
+     * 他サイトのPDFは optional_host_permissions の許可が必要
+     */
+    async function openUrl(url) {
+        grantAccessBtn.hidden = true;
+        showStatus('読み込み中...', '');
+
+        let data;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            data = await response.arrayBuffer();
+        } catch (error) {
+            console.error('PDF取得エラー:', error);
+            const { protocol, origin } = new URL(url);
+            if (protocol === 'file:') {
+                showStatus('ローカルファイルを開くには、拡張機能の詳細画面で「ファイルの URL へのアクセスを許可する」をオンにするか、「PDFを開く」から選択してください', 'red');
+            } else if (protocol === 'http:' || protocol === 'https:') {
+                showStatus(`PDFを取得できませんでした（${error.message}）`, 'red');
+                grantAccessBtn.hidden = false;
+                grantAccessBtn.onclick = async () => {
+                    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+                    if (granted) openUrl(url);
+                };
+            } else {
+                showStatus(`PDFを取得できませんでした（${error.message}）`, 'red');
+            }
+            return;
+        }
+
+        const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || url);
+        openDocument(data, fileName, url);
+    }
+
+    // --- 表示 ---
+
+    // 段落要素 → 段落データ
+    const blockParagraphs = new WeakMap();
+    // 翻訳待ちの段落要素
+    const queue = new Set();
+    let observer = null;
+    let generation = 0;
+    let pumping = false;
+    // 用語集のサイト判定に使うPDFのURL（ローカルファイルは null）
+    let documentUrl = null;
+
+    /**
+     * PDFを読み込み、全ページのテキストを段落に組み直して表示
+     */
+    async function openDocument(data, title, url = null) {
+        generation++;
+        queue.clear();
+        observer?.disconnect();
+        observer = new IntersectionObserver(handleIntersections, { rootMargin: NEARBY_ROOT_MARGIN });
+        documentUrl = url;
+
+        docTitle.textContent = title;
+        document.title = `${title} - DuoRead`;
+        pagesContainer.textContent = '';
+        grantAccessBtn.hidden = true;
+        showStatus('読み込み中...', '');
+
+        const current = generation;
+        try {
+            const pdf = await pdfjsLib.getDocument({
+                data,
+                cMapUrl: `${PDFJS_PATH}cmaps/`,
+                cMapPacked: true,
+                // 埋め込まれていない標準フォントのデータ（文字の幅・対応表）
+                standardFontDataUrl: `${PDFJS_PATH}standard_fonts/`
+            }).promise;
+
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const textContent = await page.getTextContent();
+                if (current !== generation) return;
+                renderPage(pageNumber, pdf.numPages, buildParagraphs(textContent));
+            }
+            showStatus(`${pdf.numPages}ページ`, '');
+        } catch (error) {
+            console.error('PDF読み込みエラー:', error);
+            if (current !== generation) return;
+            showStatus(`PDFを読み込めませんでした（${error.message}）`, 'red');
+            pagesContainer.appendChild(dropHint);
+        }
+    }
+
+    function renderPage(pageNumber, pageCount, paragraphs) {
+        const pageEl = document.createElement('section');
+        pageEl.className = 'pdf-page';
+
+        const numberEl = document.createElement('div');
+        numberEl.className = 'pdf-page-number';
+        numberEl.textContent = `${pageNumber} / ${pageCount}`;
+        pageEl.appendChild(numberEl);
+
+        for (const paragraph of paragraphs) {
+            const block = document.createElement('div');
+            block.className = 'pdf-block';
+            if (paragraph.heading) block.classList.add('pdf-heading');
+            if (paragraph.kind === 'code') block.classList.add('pdf-code');
+
+            const originalEl = document.createElement('p');
+            originalEl.className = 'pdf-original';
+            originalEl.textContent = paragraph.original;
+            block.appendChild(originalEl);
+
+            // 数式・コード・数値だけの段落は翻訳しない
+            if (paragraph.kind === 'text') {
+                const translationEl = document.createElement('p');
+                translationEl.className = 'pdf-translation';
+                block.appendChild(translationEl);
+                blockParagraphs.set(block, paragraph);
+                observer.observe(block);
+            }
+
+            pageEl.appendChild(block);
+        }
+
+        pagesContainer.appendChild(pageEl);
+    }
+
+    // --- 翻訳 ---
+
+    function handleIntersections(entries) {
+        for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            observer.unobserve(entry.target);
+            queue.add(entry.target);
+        }
+        pumpQueue();
+    }
+
+    /**
+     * 翻訳待ちの段落を上から順にバッチで翻訳
+     */
+    async function pumpQueue() {
+        if (pumping) return;
+        pumping = true;
+        const current = generation;
+
+        try {
+            while (queue.size > 0 && current === generation) {
+                const batch = [...queue].slice(0, BATCH_SIZE);
+                batch.forEach(block => queue.delete(block));
+                await translateBlocks(batch, current);
+            }
+        } finally {
+            pumping = false;
+            // 翻訳中に別のPDFが開かれた場合は、そちらのキューを処理
+            if (queue.size > 0) pumpQueue();
+        }
+    }
+
+    async function translateBlocks(blocks, current) {
+        const paragraphs = blocks.map(block => blockParagraphs.get(block));
+        const translationEls = blocks.map(block => block.querySelector('.pdf-translation'));
+        translationEls.forEach(el => {
+            el.textContent = '翻訳中...';
+            el.className = 'pdf-translation loading';
+        });
+
+        try {
+            // 翻訳キャッシュ・用語集は Service Worker の translateTexts() がページ翻訳と共通で扱う
+            const response = await chrome.runtime.sendMessage({
+                type: 'TRANSLATE',
+                texts: paragraphs.map(p => p.text),
+                sourceLang,
+                targetLang,
+                pageUrl: documentUrl
+            });
+            if (current !== generation) return;
+            if (response.error) throw new Error(response.error);
+
+            translationEls.forEach((el, i) => {
+                // 翻訳できなかった段落（代替エンジンでも失敗）
+                if (!response.translated[i]) {
+                    el.textContent = '翻訳エラー';
+                    el.title = response.errors?.[i] || '';
+                    el.className = 'pdf-translation error';
+                    return;
+                }
+                el.className = 'pdf-translation';
+                el.title = '';
+                el.dataset.source = response.sources?.[i] || response.source;
+                el.innerHTML = restorePlaceholders(response.translated[i], paragraphs[i].placeholderMap);
+            });
+        } catch (error) {
+            console.error('翻訳エラー:', error);
+            if (current !== generation) return;
+            translationEls.forEach(el => {
+                el.textContent = '翻訳エラー';
+                el.className = 'pdf-translation error';
+            });
+            showStatus(`翻訳エラー: ${error.message}`, 'red');
+        }
+    }
+
+    function showStatus(msg, color) {
+        statusMessage.textContent = msg;
+        statusMessage.style.color = color;
+    }
+});
+
+// --- 段落の再構成 ---
+
+/**
+ * ページのテキスト項目を行・段落にまとめる
+ * @returns {{original: string, text: string, placeholderMap: Object, kind: 'text'|'code'|'other', heading: boolean}[]}
+ */
+function buildParagraphs(textContent) {
+    const lines = buildLines(textContent);
+    const bodyHeight = getBodyLineHeight(lines);
+    const paragraphs = [];
+    let current = null;
+    let prev = null;
+
+    for (const line of lines) {
+        if (!prev || isParagraphBreak(prev, line, current)) {
+            current = { segments: [], minX: line.x, maxRight: line.right, height: line.height };
+            paragraphs.push(current);
+        }
+        appendLine(current, line);
+        current.minX = Math.min(current.minX, line.x);
+        current.maxRight = Math.max(current.maxRight, line.right);
+        prev = line;
+    }
+
+    return paragraphs.map(paragraph => {
+        const original = paragraph.segments.map(s => s.text).join('').trim();
+        const { text, placeholderMap } = protectPlaceholders(paragraph.segments);
+        let kind = 'text';
+        if (isCodeLine(paragraph)) {
+            kind = 'code';
+        } else if (!/\p{L}{2,}/u.test(text.replace(/__(MATH|CODE)_\d+__/g, ''))) {
+            kind = 'other';
+        }
+        return { original, text, placeholderMap, kind, heading: paragraph.height > bodyHeight * 1.15 };
+    }).filter(paragraph => paragraph.original);
+}
+
+/**
+ * 同じベースライン上のテキスト項目を1行にまとめる
+ * PDFの座標は下から上に増える
+ */
+function buildLines(textContent) {
+    const lines = [];
+    let line = null;
+
+    for (const item of textContent.items) {
+        // マーク付きコンテンツの区切りは無視
+        if (typeof item.str !== 'string' || !item.str) continue;
+
+        const [, , , scaleY, x, y] = item.transform;
+        const height = item.height || Math.abs(scaleY);
+        const monospace = MONOSPACE_FONT_PATTERN.test(textContent.styles[item.fontName]?.fontFamily || '');
+
+        // 上付き・下付き文字は同じ行として扱う
+        const sameLine = line && Math.abs(y - line.y) < Math.max(height, line.height) * 0.5
+            && x >= line.right - line.height;
+
+        if (!sameLine) {
+            line = { x, y, right: x + item.width, height, segments: [] };
+            lines.push(line);
+        } else if (x - line.right > height * 0.15 && !/\s$/.test(lineText(line)) && !/^\s/.test(item.str)) {
+            // 項目間に隙間がある場合は空白を補う
+            pushSegment(line.segments, ' ', monospace);
+        }
+
+        pushSegment(line.segments, item.str, monospace);
+        line.right = Math.max(line.right, x + item.width);
+        line.height = Math.max(line.height, height);
+    }
+
+    return lines.filter(l => lineText(l).trim());
+}
+
+function lineText(line) {
+    return line.segments.map(s => s.text).join('');
+}
+
+function pushSegment(segments, text, monospace) {
+    const last = segments[segments.length - 1];
+    if (last && last.monospace === monospace) {
+        last.text += text;
+    } else {
+        segments.push({ text, monospace });
+    }
+}
+
+/**
+ * 本文の行の高さ（最も多い高さ）
+ */
+function getBodyLineHeight(lines) {
+    const counts = new Map();
+    for (const line of lines) {
+        const height = Math.round(line.height);
+        counts.set(height, (counts.get(height) || 0) + lineText(line).length);
+    }
+    let bodyHeight = 0;
+    let maxCount = 0;
+    for (const [height, count] of counts) {
+        if (count > maxCount) {
+            bodyHeight = height;
+            maxCount = count;
+        }
+    }
+    return bodyHeight;
+}
+
+/**
+ * 前の行との間で段落が切り替わるか
+ */
+function isParagraphBreak(prev, line, paragraph) {
+    const height = Math.max(prev.height, line.height);
+    // 連続するコードの行は1つのブロックにまとめる（空行を挟む程度の行間は許容）
+    const prevIsCode = isCodeLine(prev);
+    if (prevIsCode !== isCodeLine(line)) return true;
+    if (prevIsCode) return prev.y - line.y > height * 3;
+
+    // 文字の大きさが変わった（見出しと本文など）
+    if (Math.abs(line.height - prev.height) > prev.height * 0.2) return true;
+    // 行間が広い
+    if (prev.y - line.y > height * 1.8) return true;
+    // 段組の次の列・次のブロックへ戻った
+    if (line.y > prev.y + height * 0.5) return true;
+    // 箇条書き・番号付きの項目
+    if (LIST_ITEM_PATTERN.test(lineText(line))) return true;
+
+    // 文末で終わる短い行、または字下げされた行
+    const endsSentence = /[.!?:。．！？]["')\]]?$/.test(lineText(prev).trim());
+    if (endsSentence && prev.right < paragraph.maxRight - height * 2) return true;
+    if (endsSentence && line.x > paragraph.minX + height) return true;
+
+    return false;
+}
+
+function isCodeLine(line) {
+    return line.segments.every(s => s.monospace || !s.text.trim());
+}
+
+/**
+ * 行を段落に追加（行末のハイフンで分割された単語はつなぐ）
+ */
+function appendLine(paragraph, line) {
+    const segments = line.segments.map(s => ({ ...s }));
+    const last = paragraph.segments[paragraph.segments.length - 1];
+
+    if (last) {
+        const first = segments[0];
+        first.text = first.text.replace(/^\s+/, '');
+        last.text = last.text.replace(/\s+$/, '');
+        if (isCodeLine(line) && last.monospace) {
+            // コードは改行を保つ
+            last.text += '\n';
+        } else if (/\p{Ll}-$/u.test(last.text) && /^\p{Ll}/u.test(first.text)) {
+            last.text = last.text.slice(0, -1);
+        } else if (!(/[\u3000-\u9FFF\uFF00-\uFFEF]$/.test(last.text) && /^[\u3000-\u9FFF\uFF00-\uFFEF]/.test(first.text))) {
+            // 日本語・中国語の行は空白なしでつなぐ
+            last.text += ' ';
+        }
+    }
+
+    segments.forEach(s => pushSegment(paragraph.segments, s.text, s.monospace));
+}
+
+/**
+ * 等幅フォントの部分（コード）と数式らしい語をプレースホルダーに置換
+ * ページ翻訳（content.js）と同じ __CODE_n__ / __MATH_n__ 形式で、restorePlaceholders() で復元する
+ */
+function protectPlaceholders(segments) {
+    const placeholderMap = {};
+    let placeholderIndex = 0;
+    let text = '';
+
+    for (const segment of segments) {
+        if (segment.monospace && segment.text.trim()) {
+            const id = `__CODE_${placeholderIndex++}__`;
+            placeholderMap[id] = `<code>${escapeHtml(segment.text.trim())}</code>`;
+            text += ` ${id} `;
+            continue;
+        }
+        text += segment.text.replace(MATH_RUN_PATTERN, (match) => {
+            const id = `__MATH_${placeholderIndex++}__`;
+            placeholderMap[id] = escapeHtml(match);
+            return ` ${id} `;
+        });
+    }
+
+    return { text: text.replace(/\s+/g, ' ').trim(), placeholderMap };
+}
@@ -3,11 +3,304 @@
  * Popup UIのインタラクション管理
  */
 
+// 選択可能な言語（Google翻訳の言語コード）
+const LANGUAGES = [
+    { code: 'ja', name: '日本語' },
+    { code: 'en', name: '英語' },
+    { code: 'zh-CN', name: '中国語（簡体）' },
+    { code: 'zh-TW', name: '中国語（繁体）' },
+    { code: 'ko', name: '韓国語' },
+    { code: 'de', name: 'ドイツ語' },
+    { code: 'fr', name: 'フランス語' },
+    { code: 'es', name: 'スペイン語' },
+    { code: 'it', name: 'イタリア語' },
+    { code: 'pt', name: 'ポルトガル語' },
+    { code: 'ru', name: 'ロシア語' }
+];
+
+const DEFAULT_SOURCE_LANG = 'en';
+const DEFAULT_TARGET_LANG = 'ja';
+const DEFAULT_DISPLAY_MODE = 'bilingual';
+const DEFAULT_TABLE_MODE = 'stacked';
+// キャッシュ設定のデフォルト値（lib/translation-cache.js と同じ）
+const DEFAULT_CACHE_MAX_SIZE_MB = 50;
+const DEFAULT_CACHE_TTL_DAYS = 30;
+
+/**
+ * URLからオリジンを取得（http/https 以外は null）
+ */
+function getOrigin(url) {
+    try {
+        const { protocol, origin } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:' ? origin : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * PDFファイルのURLか（Chrome のPDFビューアでは翻訳できないため、拡張機能のビューアで開く）
+ */
+function isPdfUrl(url) {
+    try {
+        const { protocol, hostname, pathname } = new URL(url);
+        if (!['http:', 'https:', 'file:'].includes(protocol)) return false;
+        return /\.pdf$/i.test(pathname) || (hostname === 'arxiv.org' && pathname.startsWith('/pdf/'));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 改行区切りのセレクタ一覧を配列に変換
+ */
+function parseSelectorList(value) {
+    return value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * CSSセレクタとして有効か
+ */
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     const translateBtn = document.getElementById('translate-btn');
     const btnIcon = document.getElementById('btn-icon');
     const btnText = document.getElementById('btn-text');
     const statusEl = document.getElementById('status');
+    const pickElementBtn = document.getElementById('pick-element-btn');
+    const openPdfBtn = document.getElementById('open-pdf-btn');
+    const exportFormatSelect = document.getElementById('export-format-select');
+    const exportBtn = document.getElementById('export-btn');
+    const readAloudModeSelect = document.getElementById('read-aloud-mode-select');
+    const readAloudBtn = document.getElementById('read-aloud-btn');
+    const progressEl = document.getElementById('progress');
+    const progressFill = document.getElementById('progress-fill');
+    const progressText = document.getElementById('progress-text');
+    const progressError = document.getElementById('progress-error');
+    const retryFailedBtn = document.getElementById('retry-failed-btn');
+
+    // --- 言語選択 ---
+
+    const sourceLangSelect = document.getElementById('source-lang-select');
+    const targetLangSelect = document.getElementById('target-lang-select');
+    const swapLangBtn = document.getElementById('swap-lang-btn');
+
+    sourceLangSelect.add(new Option('自動検出', 'auto'));
+    for (const { code, name } of LANGUAGES) {
+        sourceLangSelect.add(new Option(name, code));
+        targetLangSelect.add(new Option(name, code));
+    }
+
+    const { sourceLang, targetLang } = await chrome.storage.sync.get(['sourceLang', 'targetLang']);
+    sourceLangSelect.value = sourceLang || DEFAULT_SOURCE_LANG;
+    targetLangSelect.value = targetLang || DEFAULT_TARGET_LANG;
+    updateSwapButton();
+
+    sourceLangSelect.addEventListener('change', saveLanguageSettings);
+    targetLangSelect.addEventListener('change', saveLanguageSettings);
+
+    // 翻訳元と翻訳先を入れ替え（自動検出時は入れ替え不可）
+    swapLangBtn.addEventListener('click', () => {
+        if (sourceLangSelect.value === 'auto') return;
+        const source = sourceLangSelect.value;
+        sourceLangSelect.value = targetLangSelect.value;
+        targetLangSelect.value = source;
+        saveLanguageSettings();
+    });
+
+    /**
+     * 言語設定を保存
+     */
+    function saveLanguageSettings() {
+        updateSwapButton();
+        chrome.storage.sync.set({
+            sourceLang: sourceLangSelect.value,
+            targetLang: targetLangSelect.value
+        });
+    }
+
+    function updateSwapButton() {
+        swapLangBtn.disabled = sourceLangSelect.value === 'auto';
+    }
+
+    // --- 表示モード ---
+
+    const displayModeSelect = document.getElementById('display-mode-select');
+    const siteDisplayModeCheck = document.getElementById('site-display-mode-check');
+    const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const currentOrigin = getOrigin(currentTab?.url);
+
+    const { displayMode, siteDisplayModes = {} } = await chrome.storage.sync.get(['displayMode', 'siteDisplayModes']);
+    const globalDisplayMode = displayMode || DEFAULT_DISPLAY_MODE;
+    const siteDisplayMode = currentOrigin && siteDisplayModes[currentOrigin];
+    displayModeSelect.value = siteDisplayMode || globalDisplayMode;
+    siteDisplayModeCheck.checked = !!siteDisplayMode;
+    siteDisplayModeCheck.disabled = !currentOrigin;
+
+    // 表示モード変更（Content Script は storage の変更を検知して即時反映する）
+    displayModeSelect.addEventListener('change', async () => {
+        if (siteDisplayModeCheck.checked) {
+            await saveSiteDisplayMode(displayModeSelect.value);
+        } else {
+            await chrome.storage.sync.set({ displayMode: displayModeSelect.value });
+        }
+    });
+
+    // サイト別設定のON/OFF
+    siteDisplayModeCheck.addEventListener('change', async () => {
+        if (siteDisplayModeCheck.checked) {
+            await saveSiteDisplayMode(displayModeSelect.value);
+        } else {
+            await saveSiteDisplayMode(null);
+            const { displayMode } = await chrome.storage.sync.get(['displayMode']);
+            displayModeSelect.value = displayMode || DEFAULT_DISPLAY_MODE;
+        }
+    });
+
+    // --- このサイトの設定 ---
+
+    const siteRuleDetails = document.getElementById('site-rule');
+    const siteRulePatternInput = document.getElementById('site-rule-pattern');
+    const siteRuleAutoCheck = document.getElementById('site-rule-auto');
+    const siteRuleNeverCheck = document.getElementById('site-rule-never');
+    const siteRuleLayoutCheck = document.getElementById('site-rule-layout');
+    const siteRuleIncludeInput = document.getElementById('site-rule-include');
+    const siteRuleExcludeInput = document.getElementById('site-rule-exclude');
+    const siteRuleSaveBtn = document.getElementById('site-rule-save-btn');
+    const siteRuleDeleteBtn = document.getElementById('site-rule-delete-btn');
+    const siteRuleStatus = document.getElementById('site-rule-status');
+
+    const siteEngineSelect = document.getElementById('site-engine-select');
+
+    // 編集中のルールのキー（保存時に適用範囲が変更されていれば旧キーを削除する）
+    let editingSiteRuleKey = null;
+
+    if (currentOrigin) {
+        await loadSiteRule();
+        await loadSiteEngine();
+    } else {
+        siteRuleDetails.style.display = 'none';
+    }
+
+    /**
+     * 現在のURLに一致するルール（最も具体的なもの）をフォームに読み込む
+     */
+    async function loadSiteRule() {
+        const { siteRules = {} } = await chrome.storage.sync.get(['siteRules']);
+        const matchedKey = Object.keys(siteRules)
+            .filter(pattern => matchesSitePattern(pattern, currentTab.url))
+            .sort((a, b) => b.length - a.length)[0];
+        const rule = matchedKey ? siteRules[matchedKey] : {};
+
+        editingSiteRuleKey = matchedKey || null;
+        siteRulePatternInput.value = matchedKey || currentOrigin;
+        siteRuleAutoCheck.checked = !!rule.autoTranslate;
+        siteRuleNeverCheck.checked = !!rule.neverTranslate;
+        siteRuleLayoutCheck.checked = !!rule.translateLayoutElements;
+        siteRuleIncludeInput.value = (rule.includeSelectors || []).join('\n');
+        siteRuleExcludeInput.value = (rule.excludeSelectors || []).join('\n');
+        siteRuleDeleteBtn.disabled = !matchedKey;
+    }
+
+    siteRuleSaveBtn.addEventListener('click', async () => {
+        const pattern = siteRulePatternInput.value.trim();
+        if (!pattern || !matchesSitePattern(pattern, currentTab.url)) {
+            showSiteRuleStatus('適用範囲が現在のページに一致しません', 'red');
+            return;
+        }
+
+        const includeSelectors = parseSelectorList(siteRuleIncludeInput.value);
+        const excludeSelectors = parseSelectorList(siteRuleExcludeInput.value);
+        const invalid = [...includeSelectors, ...excludeSelectors].find(sel => !isValidSelector(sel));
+        if (invalid) {
+            showSiteRuleStatus(`無効なセレクタ: ${invalid}`, 'red');
+            return;
+        }
+
+        const { siteRules = {} } = await chrome.storage.sync.get(['siteRules']);
+        if (editingSiteRuleKey && editingSiteRuleKey !== pattern) {
+            delete siteRules[editingSiteRuleKey];
+        }
+        siteRules[pattern] = {
+            autoTranslate: siteRuleAutoCheck.checked,
+            neverTranslate: siteRuleNeverCheck.checked,
+            translateLayoutElements: siteRuleLayoutCheck.checked,
+            includeSelectors,
+            excludeSelectors
+        };
+        await chrome.storage.sync.set({ siteRules });
+
+        editingSiteRuleKey = pattern;
+        siteRuleDeleteBtn.disabled = false;
+        showSiteRuleStatus('このサイトの設定を保存しました', 'green');
+    });
+
+    siteRuleDeleteBtn.addEventListener('click', async () => {
+        if (!editingSiteRuleKey) return;
+        const { siteRules = {} } = await chrome.storage.sync.get(['siteRules']);
+        delete siteRules[editingSiteRuleKey];
+        await chrome.storage.sync.set({ siteRules });
+        await loadSiteRule();
+        showSiteRuleStatus('このサイトの設定を削除しました', 'green');
+    });
+
+    /**
+     * 設定済みのエンジンを選択肢に追加し、このサイトのエンジンを選択
+     */
+    async function loadSiteEngine() {
+        const [{ siteEngines = {} }, response] = await Promise.all([
+            chrome.storage.sync.get(['siteEngines']),
+            chrome.runtime.sendMessage({ type: 'GET_CONFIGURED_PROVIDERS' })
+        ]);
+        for (const provider of response?.providers || []) {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            siteEngineSelect.appendChild(option);
+        }
+        siteEngineSelect.value = siteEngines[currentOrigin] || '';
+        // 設定が外されたエンジンが選ばれている場合は共通の設定に戻して表示
+        if (siteEngineSelect.value !== (siteEngines[currentOrigin] || '')) {
+            siteEngineSelect.value = '';
+        }
+    }
+
+    siteEngineSelect.addEventListener('change', async () => {
+        const { siteEngines = {} } = await chrome.storage.sync.get(['siteEngines']);
+        if (siteEngineSelect.value) {
+            siteEngines[currentOrigin] = siteEngineSelect.value;
+        } else {
+            delete siteEngines[currentOrigin];
+        }
+        await chrome.storage.sync.set({ siteEngines });
+        showSiteRuleStatus('このサイトの翻訳エンジンを保存しました', 'green');
+    });
+
+    function showSiteRuleStatus(msg, color) {
+        siteRuleStatus.textContent = msg;
+        siteRuleStatus.style.color = color;
+    }
+
+    /**
+     * 現在のサイトの表示モードを保存（null で削除）
+     */
+    async function saveSiteDisplayMode(mode) {
+        const { siteDisplayModes = {} } = await chrome.storage.sync.get(['siteDisplayModes']);
+        if (mode) {
+            siteDisplayModes[currentOrigin] = mode;
+        } else {
+            delete siteDisplayModes[currentOrigin];
+        }
+        await chrome.storage.sync.set({ siteDisplayModes });
+    }
 
     // 現在のタブの翻訳状態を取得
     let isTranslated = false;
@@ -15,16 +308,98 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab?.id) {
-            const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_STATUS' });
-            isTranslated = response?.isTranslated || false;
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_STATUS' }, { frameId: 0 });
+            // iframe だけが翻訳されている場合もあるため、全フレームの進捗も見る
+            const progress = await getTabProgress();
+            isTranslated = response?.isTranslated || progress?.isTranslated || false;
             updateUI(isTranslated, response?.isTranslating);
+            renderProgress(progress);
         }
     } catch (e) {
         // Content Script がまだロードされていない場合
         showStatus('このページでは翻訳できません', 'error');
         translateBtn.disabled = true;
+        pickElementBtn.disabled = true;
+
+        if (isPdfUrl(currentTab?.url)) {
+            showStatus('PDFはDuoReadのPDFビューアで翻訳できます', 'info');
+            openPdfBtn.hidden = false;
+        }
     }
 
+    // 表示中のPDFを拡張機能のPDFビューアで開き直す
+    openPdfBtn.addEventListener('click', async () => {
+        const url = chrome.runtime.getURL(`pdf/viewer.html?file=${encodeURIComponent(currentTab.url)}`);
+        await chrome.tabs.update(currentTab.id, { url });
+        window.close();
+    });
+
+    // 要素ピッカーを開始（ページ上で選ぶためPopupは閉じる）
+    pickElementBtn.addEventListener('click', async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) return;
+        try {
+            await chrome.tabs.sendMessage(tab.id, { type: 'START_ELEMENT_PICKER' }, { frameId: 0 });
+        } catch (error) {
+            console.error('要素ピッカーを開始できませんでした:', error);
+        } finally {
+            window.close();
+        }
+    });
+
+    // --- 書き出し ---
+
+    const { exportFormat } = await chrome.storage.sync.get(['exportFormat']);
+    if (exportFormat) exportFormatSelect.value = exportFormat;
+
+    exportFormatSelect.addEventListener('change', () => {
+        chrome.storage.sync.set({ exportFormat: exportFormatSelect.value });
+    });
+
+    // 翻訳したページを対訳の文書としてダウンロード
+    exportBtn.addEventListener('click', async () => {
+        exportBtn.disabled = true;
+        showStatus('書き出し中...', 'loading');
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab?.id) return;
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                type: 'EXPORT_PAGE',
+                format: exportFormatSelect.value
+            }, { frameId: 0 });
+            if (response?.error) throw new Error(response.error);
+            showStatus(
+                response.missingImages > 0
+                    ? `書き出しました（${response.missingImages}件の画像は取得できず元のURLまたは代替テキストのままです）`
+                    : '書き出しました ✓',
+                'success'
+            );
+        } catch (error) {
+            showStatus(`エラー: ${error.message}`, 'error');
+        } finally {
+            exportBtn.disabled = !isTranslated;
+        }
+    });
+
+    // --- 読み上げ ---
+
+    const { readAloudMode } = await chrome.storage.sync.get(['readAloudMode']);
+    if (readAloudMode) readAloudModeSelect.value = readAloudMode;
+
+    readAloudModeSelect.addEventListener('change', () => {
+        chrome.storage.sync.set({ readAloudMode: readAloudModeSelect.value });
+    });
+
+    // 読み上げを開始・終了（プレーヤーはページ上に表示するためPopupは閉じる）
+    readAloudBtn.addEventListener('click', async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) return;
+        // 設定の保存より先にメッセージが届いても選んだモードで読み上げるよう、保存を待つ
+        await chrome.storage.sync.set({ readAloudMode: readAloudModeSelect.value });
+        await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_READ_ALOUD' }, { frameId: 0 });
+        window.close();
+    });
+
     // 翻訳ボタンクリック
     translateBtn.addEventListener('click', async () => {
         translateBtn.disabled = true;
@@ -33,20 +408,30 @@ document.addEventListener('DOMContentLoaded', async () => {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             if (!tab?.id) return;
 
+            // 翻訳・解除はタブ内の全フレームに送る（応答はトップフレームから届く）
             if (isTranslated) {
                 // 翻訳解除
                 await chrome.tabs.sendMessage(tab.id, { type: 'STOP_TRANSLATE' });
                 isTranslated = false;
                 updateUI(false);
+                renderProgress(null);
                 showStatus('翻訳を解除しました', 'success');
             } else {
                 // 翻訳開始
                 updateUI(false, true);
                 showStatus('翻訳中...', 'loading');
                 const response = await chrome.tabs.sendMessage(tab.id, { type: 'START_TRANSLATE' });
-                isTranslated = response?.isTranslated || false;
+                const progress = await getTabProgress();
+                isTranslated = response?.isTranslated || progress?.isTranslated || false;
                 updateUI(isTranslated);
-                showStatus(isTranslated ? '翻訳完了 ✓' : '翻訳対象がありません', 'success');
+                renderProgress(progress);
+                if (response?.neverTranslate) {
+                    showStatus('このサイトは翻訳しない設定になっています', 'error');
+                } else if (progress?.failed > 0) {
+                    showStatus(`${progress.failed}件の要素を翻訳できませんでした`, 'error');
+                } else {
+                    showStatus(isTranslated ? '翻訳完了 ✓' : '翻訳対象がありません', 'success');
+                }
             }
         } catch (error) {
             showStatus(`エラー: ${error.message}`, 'error');
@@ -55,6 +440,70 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // --- 翻訳の進捗 ---
+
+    // Service Worker が合算したタブ内の全フレームの進捗を表示
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type !== 'TAB_TRANSLATION_PROGRESS' || message.tabId !== currentTab?.id) return;
+        renderProgress(message.progress);
+        // iframe だけで翻訳が始まった・終わった場合もボタンの表示を合わせる
+        const translated = message.progress?.isTranslated || false;
+        if (translated !== isTranslated && !translateBtn.disabled) {
+            isTranslated = translated;
+            updateUI(isTranslated);
+        }
+    });
+
+    /**
+     * タブ内の全フレームの進捗（Service Worker が合算したもの）
+     */
+    async function getTabProgress() {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_TAB_PROGRESS', tabId: currentTab?.id });
+        return response?.progress || null;
+    }
+
+    // 翻訳できなかった要素をもう一度翻訳（全フレーム）
+    retryFailedBtn.addEventListener('click', async () => {
+        retryFailedBtn.disabled = true;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'RETRY_FAILED_IN_TAB', tabId: currentTab.id });
+            if (response?.error) throw new Error(response.error);
+            if (response?.count > 0) {
+                showStatus(`失敗した ${response.count} 件を再試行しています...`, 'info');
+            } else {
+                showStatus('再試行できる要素がありません', 'info');
+            }
+        } catch (error) {
+            showStatus(`エラー: ${error.message}`, 'error');
+        } finally {
+            retryFailedBtn.disabled = false;
+        }
+    });
+
+    /**
+     * 翻訳の進捗を表示
+     * @param {{isTranslated: boolean, total: number, pending: number, loading: number,
+     *   done: number, failed: number, cached: number, error: string|null}|null} progress
+     */
+    function renderProgress(progress) {
+        if (!progress?.isTranslated || progress.total === 0) {
+            progressEl.hidden = true;
+            return;
+        }
+        progressEl.hidden = false;
+        const finished = progress.done + progress.failed;
+        progressFill.style.width = `${Math.floor(finished / progress.total * 100)}%`;
+
+        let text = `翻訳済み ${progress.done}/${progress.total}`;
+        if (progress.cached > 0) text += `（キャッシュ ${progress.cached}）`;
+        if (progress.failed > 0) text += `・失敗 ${progress.failed}`;
+        progressText.textContent = text;
+
+        retryFailedBtn.hidden = progress.failed === 0;
+        progressError.textContent = progress.failed > 0 ? progress.error || '' : '';
+        progressError.title = progressError.textContent;
+    }
+
     /**
      * UIの状態を更新
      */
@@ -74,6 +523,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             btnText.textContent = 'このページを翻訳';
             translateBtn.classList.remove('active', 'translating');
         }
+        exportBtn.disabled = !translated || translating;
+        readAloudBtn.disabled = !translated || translating;
     }
 
     /**
@@ -91,27 +542,91 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // --- ショートカットキー ---
+
+    // 割り当て済みのショートカットキーを表示（chrome://extensions/shortcuts での変更も反映）
+    const shortcutHint = document.getElementById('shortcut-hint');
+    chrome.commands.getAll().then(commands => {
+        const assigned = commands.filter(command => command.shortcut && command.description);
+        shortcutHint.replaceChildren(...assigned.map(({ shortcut, description }) => {
+            const line = document.createElement('div');
+            shortcut.split('+').forEach((key, i) => {
+                if (i > 0) line.append(' + ');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                line.append(kbd);
+            });
+            line.append(` ${description}`);
+            return line;
+        }));
+        shortcutHint.hidden = assigned.length === 0;
+    });
+
     // --- 設定画面ロジック ---
 
     const settingsBtn = document.getElementById('settings-btn');
     const backBtn = document.getElementById('back-btn');
     const settingsView = document.getElementById('settings-view');
     const engineSelect = document.getElementById('engine-select');
-    const geminiKeyContainer = document.getElementById('gemini-key-container');
-    const geminiApiKeyInput = document.getElementById('gemini-api-key');
+    const providerSettingsContainer = document.getElementById('provider-settings');
+    const fallbackEnginesList = document.getElementById('fallback-engines');
+    const translateOffscreenInput = document.getElementById('translate-offscreen');
+    const tableModeSelect = document.getElementById('table-mode-select');
+    const highlightVocabularyInput = document.getElementById('highlight-vocabulary');
+    const voiceLangSelect = document.getElementById('voice-lang-select');
+    const voiceSelect = document.getElementById('voice-select');
+    const voiceRateInput = document.getElementById('voice-rate');
+    const voiceRateValue = document.getElementById('voice-rate-value');
+    const cacheMaxSizeInput = document.getElementById('cache-max-size');
+    const cacheTtlInput = document.getElementById('cache-ttl');
     const saveSettingsBtn = document.getElementById('save-settings-btn');
     const settingsStatus = document.getElementById('settings-status');
 
+    // プロバイダの宣言（background.js の lib/providers.js から取得）
+    let providers = [];
+    // 編集中のプロバイダ別設定値（エンジンを切り替えても入力値を保持する）
+    let providerSettings = {};
+    let renderedProviderId = null;
+    // 編集中の言語別の読み上げ設定（言語コード → { voiceURI, rate }）
+    let readAloudVoices = {};
+
+    for (const { code, name } of LANGUAGES) {
+        voiceLangSelect.add(new Option(name, code));
+    }
+
     // 設定画面を開く
     settingsBtn.addEventListener('click', async () => {
         // 設定を読み込む
-        const { translationEngine, geminiApiKey } = await chrome.storage.sync.get(['translationEngine', 'geminiApiKey']);
+        const [response, stored] = await Promise.all([
+            chrome.runtime.sendMessage({ type: 'GET_PROVIDERS' }),
+            chrome.storage.sync.get([
+                'translationEngine', 'providerSettings', 'fallbackEngines', 'translateOffscreen', 'tableMode',
+                'highlightVocabulary', 'readAloudVoices', 'cacheMaxSizeMB', 'cacheTtlDays'
+            ])
+        ]);
+
+        providers = response?.providers || [];
+        providerSettings = stored.providerSettings || {};
+        engineSelect.textContent = '';
+        for (const provider of providers) {
+            engineSelect.add(new Option(provider.name, provider.id));
+        }
 
-        engineSelect.value = translationEngine || 'google';
-        geminiApiKeyInput.value = geminiApiKey || '';
+        engineSelect.value = stored.translationEngine || 'google';
+        translateOffscreenInput.checked = stored.translateOffscreen !== false;
+        tableModeSelect.value = stored.tableMode || DEFAULT_TABLE_MODE;
+        highlightVocabularyInput.checked = !!stored.highlightVocabulary;
+        cacheMaxSizeInput.value = stored.cacheMaxSizeMB ?? DEFAULT_CACHE_MAX_SIZE_MB;
+        cacheTtlInput.value = stored.cacheTtlDays ?? DEFAULT_CACHE_TTL_DAYS;
+        readAloudVoices = stored.readAloudVoices || {};
+        voiceLangSelect.value = targetLangSelect.value;
+        renderVoiceSettings();
 
-        updateGeminiKeyVisibility();
+        renderedProviderId = null;
+        renderProviderSettings();
+        renderFallbackEngines(stored.fallbackEngines || []);
         settingsView.style.display = 'block';
+        renderCacheStats();
     });
 
     // 設定画面を閉じる
@@ -121,34 +636,247 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     // エンジン選択変更時
-    engineSelect.addEventListener('change', updateGeminiKeyVisibility);
+    engineSelect.addEventListener('change', renderProviderSettings);
+
+    // --- 読み上げの音声 ---
+
+    /**
+     * 選択中の言語の音声一覧と速度を表示
+     */
+    function renderVoiceSettings() {
+        const lang = voiceLangSelect.value;
+        const { voiceURI = '', rate = 1 } = readAloudVoices[lang] || {};
+        const baseLang = lang.split('-')[0];
+
+        voiceSelect.textContent = '';
+        voiceSelect.add(new Option('既定の音声', ''));
+        for (const voice of speechSynthesis.getVoices()) {
+            if (voice.lang.replace('_', '-').split('-')[0].toLowerCase() !== baseLang) continue;
+            voiceSelect.add(new Option(`${voice.name}（${voice.lang}）`, voice.voiceURI));
+        }
+        voiceSelect.value = voiceURI;
+        // 保存した音声がこの環境にない場合は既定の音声
+        if (voiceSelect.selectedIndex < 0) voiceSelect.value = '';
+
+        voiceRateInput.value = rate;
+        voiceRateValue.textContent = `${Number(rate).toFixed(1)}倍`;
+    }
 
-    function updateGeminiKeyVisibility() {
-        if (engineSelect.value === 'gemini') {
-            geminiKeyContainer.style.display = 'block';
+    function updateVoiceSetting() {
+        const rate = Number(voiceRateInput.value);
+        voiceRateValue.textContent = `${rate.toFixed(1)}倍`;
+        if (!voiceSelect.value && rate === 1) {
+            delete readAloudVoices[voiceLangSelect.value];
         } else {
-            geminiKeyContainer.style.display = 'none';
+            readAloudVoices[voiceLangSelect.value] = { voiceURI: voiceSelect.value, rate };
+        }
+    }
+
+    voiceLangSelect.addEventListener('change', renderVoiceSettings);
+    voiceSelect.addEventListener('change', updateVoiceSetting);
+    voiceRateInput.addEventListener('input', updateVoiceSetting);
+    // 音声の一覧は非同期に読み込まれる
+    speechSynthesis.addEventListener('voiceschanged', () => {
+        if (settingsView.style.display !== 'none') renderVoiceSettings();
+    });
+
+    // 用語集ページを開く
+    document.getElementById('open-glossary-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('glossary/glossary.html') });
+    });
+
+    // 単語帳ページを開く
+    document.getElementById('open-vocabulary-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('vocabulary/vocabulary.html') });
+    });
+
+    // オプションページ（訳文の外観）を開く
+    document.getElementById('open-options-btn').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    /**
+     * 選択中のプロバイダが宣言している設定項目のフォームを生成
+     */
+    function renderProviderSettings() {
+        if (renderedProviderId) {
+            providerSettings[renderedProviderId] = readProviderSettings();
+        }
+
+        const provider = providers.find(p => p.id === engineSelect.value);
+        const values = provider ? providerSettings[provider.id] || {} : {};
+        providerSettingsContainer.textContent = '';
+        renderedProviderId = provider?.id || null;
+        if (!provider) return;
+
+        for (const setting of provider.settings) {
+            const item = document.createElement('div');
+            item.className = 'setting-item';
+
+            const inputId = `provider-setting-${setting.key}`;
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = setting.required ? `${setting.label} *` : setting.label;
+
+            const input = document.createElement('input');
+            input.id = inputId;
+            input.type = setting.type;
+            input.dataset.key = setting.key;
+            input.placeholder = setting.placeholder || setting.default || '';
+            input.value = values[setting.key] ?? setting.default ?? '';
+
+            item.append(label, input);
+
+            if (setting.hint) {
+                const hint = document.createElement('p');
+                hint.className = 'hint';
+                if (setting.hintUrl) {
+                    const link = document.createElement('a');
+                    link.href = setting.hintUrl;
+                    link.target = '_blank';
+                    link.textContent = setting.hint;
+                    hint.appendChild(link);
+                } else {
+                    hint.textContent = setting.hint;
+                }
+                item.appendChild(hint);
+            }
+
+            providerSettingsContainer.appendChild(item);
+        }
+    }
+
+    /**
+     * 代替エンジンの一覧（使用するエンジンを保存順に先頭へ、残りはプロバイダの宣言順）
+     * @param {string[]} selectedIds - 保存済みの fallbackEngines
+     */
+    function renderFallbackEngines(selectedIds) {
+        const ordered = [
+            ...selectedIds.map(id => providers.find(p => p.id === id)).filter(Boolean),
+            ...providers.filter(p => !selectedIds.includes(p.id))
+        ];
+
+        fallbackEnginesList.textContent = '';
+        for (const provider of ordered) {
+            const item = document.createElement('li');
+            item.dataset.engine = provider.id;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `fallback-engine-${provider.id}`;
+            checkbox.checked = selectedIds.includes(provider.id);
+
+            const name = document.createElement('label');
+            name.className = 'fallback-engine-name';
+            name.htmlFor = checkbox.id;
+            name.textContent = provider.name;
+
+            const upBtn = createFallbackMoveButton('↑', '上へ', () => item.previousElementSibling?.before(item));
+            const downBtn = createFallbackMoveButton('↓', '下へ', () => item.nextElementSibling?.after(item));
+
+            item.append(checkbox, name, upBtn, downBtn);
+            fallbackEnginesList.appendChild(item);
         }
+        updateFallbackMoveButtons();
+    }
+
+    function createFallbackMoveButton(text, title, move) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'fallback-move-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', () => {
+            move();
+            updateFallbackMoveButtons();
+        });
+        return button;
+    }
+
+    function updateFallbackMoveButtons() {
+        const items = [...fallbackEnginesList.children];
+        items.forEach((item, i) => {
+            const [upBtn, downBtn] = item.querySelectorAll('.fallback-move-btn');
+            upBtn.disabled = i === 0;
+            downBtn.disabled = i === items.length - 1;
+        });
+    }
+
+    /**
+     * チェックされた代替エンジン（表示順）
+     */
+    function readFallbackEngines() {
+        return [...fallbackEnginesList.children]
+            .filter(item => item.querySelector('input[type="checkbox"]').checked)
+            .map(item => item.dataset.engine);
+    }
+
+    /**
+     * 表示中のプロバイダ設定フォームの値を取得
+     */
+    function readProviderSettings() {
+        const values = {};
+        providerSettingsContainer.querySelectorAll('input[data-key]').forEach(input => {
+            values[input.dataset.key] = input.value.trim();
+        });
+        return values;
     }
 
     // 設定を保存
-    saveSettingsBtn.addEventListener('click', () => {
+    saveSettingsBtn.addEventListener('click', async () => {
         const engine = engineSelect.value;
-        const key = geminiApiKeyInput.value.trim();
+        const provider = providers.find(p => p.id === engine);
+        const values = readProviderSettings();
+
+        const missing = provider?.settings.find(setting => setting.required && !values[setting.key]);
+        if (missing) {
+            showSettingsStatus(`${missing.label}を入力してください`, 'red');
+            return;
+        }
+
+        // URL設定（OpenAI互換のベースURL等）はホスト権限が必要
+        const origins = [];
+        for (const setting of provider?.settings || []) {
+            if (setting.type !== 'url' || !values[setting.key]) continue;
+            const origin = getOrigin(values[setting.key]);
+            if (!origin) {
+                showSettingsStatus(`${setting.label}が正しくありません`, 'red');
+                return;
+            }
+            origins.push(`${origin}/*`);
+        }
 
-        if (engine === 'gemini' && !key) {
-            showSettingsStatus('APIキーを入力してください', 'red');
+        const cacheMaxSizeMB = Number(cacheMaxSizeInput.value);
+        const cacheTtlDays = Number(cacheTtlInput.value);
+        if (!(cacheMaxSizeMB >= 1) || !(cacheTtlDays >= 0)) {
+            showSettingsStatus('キャッシュの設定値が正しくありません', 'red');
             return;
         }
 
+        if (origins.length > 0) {
+            const granted = await chrome.permissions.request({ origins });
+            if (!granted) {
+                showSettingsStatus('接続先へのアクセスが許可されませんでした', 'red');
+                return;
+            }
+        }
+
+        providerSettings[engine] = values;
+
         chrome.storage.sync.set({
             translationEngine: engine,
-            geminiApiKey: key
+            providerSettings,
+            fallbackEngines: readFallbackEngines(),
+            translateOffscreen: translateOffscreenInput.checked,
+            tableMode: tableModeSelect.value,
+            highlightVocabulary: highlightVocabularyInput.checked,
+            readAloudVoices,
+            cacheMaxSizeMB,
+            cacheTtlDays
         }, () => {
             showSettingsStatus('設定を保存しました', 'green');
             setTimeout(() => {
                 settingsView.style.display = 'none';
-                popupContainer.style.display = 'block';
                 settingsStatus.textContent = '';
             }, 1000);
         });
@@ -158,4 +886,114 @@ document.addEventListener('DOMContentLoaded', async () => {
         settingsStatus.textContent = msg;
         settingsStatus.style.color = color;
     }
+
+    // --- キャッシュ管理 ---
+
+    const cacheStatsList = document.getElementById('cache-stats');
+    const cacheExportBtn = document.getElementById('cache-export-btn');
+    const cacheImportBtn = document.getElementById('cache-import-btn');
+    const cacheImportFile = document.getElementById('cache-import-file');
+    const cacheClearBtn = document.getElementById('cache-clear-btn');
+    const cacheStatus = document.getElementById('cache-status');
+
+    /**
+     * エンジン・言語ペアごとのキャッシュサイズを表示
+     */
+    async function renderCacheStats() {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+        cacheStatsList.textContent = '';
+
+        if (response?.error) {
+            showCacheStatus(`エラー: ${response.error}`, 'red');
+            return;
+        }
+
+        const stats = (response?.stats || []).sort((a, b) => b.bytes - a.bytes);
+        if (stats.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'cache-stats-empty';
+            empty.textContent = 'キャッシュはありません';
+            cacheStatsList.appendChild(empty);
+            return;
+        }
+
+        for (const { scope, count, bytes } of stats) {
+            const [engine, sourceLang, targetLang, glossaryHash] = scope.split('|');
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.className = 'cache-stats-label';
+            label.textContent = `${engine} ${sourceLang} → ${targetLang}`
+                + (glossaryHash ? `（用語集 ${glossaryHash}）` : '');
+
+            const size = document.createElement('span');
+            size.className = 'cache-stats-size';
+            size.textContent = `${count.toLocaleString()}件 / ${formatBytes(bytes)}`;
+
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'icon-btn';
+            clearBtn.title = '削除';
+            clearBtn.textContent = '×';
+            clearBtn.addEventListener('click', async () => {
+                await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE', scope });
+                renderCacheStats();
+            });
+
+            item.append(label, size, clearBtn);
+            cacheStatsList.appendChild(item);
+        }
+    }
+
+    cacheClearBtn.addEventListener('click', async () => {
+        if (!confirm('すべての翻訳キャッシュを削除しますか？')) return;
+        await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+        showCacheStatus('キャッシュを削除しました', 'green');
+        renderCacheStats();
+    });
+
+    cacheExportBtn.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'EXPORT_CACHE' });
+        if (response?.error) {
+            showCacheStatus(`エラー: ${response.error}`, 'red');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(response.data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `duoread-cache-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        showCacheStatus(`${response.data.entries.length.toLocaleString()}件をエクスポートしました`, 'green');
+    });
+
+    cacheImportBtn.addEventListener('click', () => cacheImportFile.click());
+
+    cacheImportFile.addEventListener('change', async () => {
+        const file = cacheImportFile.files[0];
+        cacheImportFile.value = '';
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const response = await chrome.runtime.sendMessage({ type: 'IMPORT_CACHE', data });
+            if (response?.error) throw new Error(response.error);
+            showCacheStatus(`${response.imported.toLocaleString()}件をインポートしました`, 'green');
+            renderCacheStats();
+        } catch (error) {
+            showCacheStatus(`インポート失敗: ${error.message}`, 'red');
+        }
+    });
+
+    function showCacheStatus(msg, color) {
+        cacheStatus.textContent = msg;
+        cacheStatus.style.color = color;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
 });
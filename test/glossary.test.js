@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLib } = require('./load-lib');
+
+const { protectGlossaryTerms, restoreGlossaryTerms } = loadLib('lib/glossary.js');
+
+test('用語をプレースホルダーに置き換え、固定訳に戻す', () => {
+  const glossary = [{ term: 'Kubernetes', translation: 'クバネティス' }];
+  const { text, replacements } = protectGlossaryTerms('Deploy to Kubernetes today.', glossary);
+  assert.equal(text, 'Deploy to __TERM_0__ today.');
+  assert.equal(restoreGlossaryTerms('今日 __TERM_0__ にデプロイ', replacements), '今日 クバネティス にデプロイ');
+});
+
+test('長い用語を優先する', () => {
+  const glossary = [
+    { term: 'Rust', translation: 'ラスト' },
+    { term: 'Rust Foundation', translation: 'Rust財団' }
+  ];
+  const { text, replacements } = protectGlossaryTerms('The Rust Foundation supports Rust.', glossary);
+  assert.equal(text, 'The __TERM_0__ supports __TERM_1__.');
+  assert.equal(restoreGlossaryTerms(text, replacements), 'The Rust財団 supports ラスト.');
+});
+
+test('単語の途中にはマッチしない', () => {
+  const { text, replacements } = protectGlossaryTerms('A tripod and a pod.', [{ term: 'pod', translation: 'ポッド' }]);
+  assert.equal(text, 'A tripod and a __TERM_0__.');
+  assert.equal(replacements.length, 1);
+});
+
+test('翻訳しない語は原文の表記のまま戻す', () => {
+  const { text, replacements } = protectGlossaryTerms('github and GitHub', [{ term: 'GitHub', translation: '' }]);
+  assert.equal(text, '__TERM_0__ and __TERM_1__');
+  assert.equal(restoreGlossaryTerms(text, replacements), 'github and GitHub');
+});
+
+test('翻訳でスペース・全角のアンダースコアが混ざったプレースホルダーも戻す', () => {
+  const { replacements } = protectGlossaryTerms('Use Docker.', [{ term: 'Docker', translation: 'ドッカー' }]);
+  assert.equal(restoreGlossaryTerms('＿＿TERM_ 0 __を使う', replacements), 'ドッカーを使う');
+  assert.equal(restoreGlossaryTerms('__term_0__を使う', replacements), 'ドッカーを使う');
+});
+
+test('置き換えた値の $ は特別扱いしない', () => {
+  const { replacements } = protectGlossaryTerms('price', [{ term: 'price', translation: '$& 円' }]);
+  assert.equal(restoreGlossaryTerms('__TERM_0__', replacements), '$& 円');
+});
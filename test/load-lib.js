@@ -0,0 +1,28 @@
+/**
+ * lib/ のスクリプトをテストから読み込む
+ * lib/ はモジュールではなく Content Script・Service Worker で共有するグローバルなスクリプトのため、
+ * このプロセスのグローバルスコープで実行し、宣言された関数・定数を名前で取り出す
+ * （node --test はテストファイルごとに別のプロセスで実行する）
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @param {...string} files - リポジトリのルートからのパス（依存するものから順に）
+ * @returns {Object} 宣言名 → 値
+ */
+function loadLib(...files) {
+  for (const file of files) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  }
+  // トップレベルの const はグローバルオブジェクトのプロパティにならないため、名前を評価して取り出す
+  return new Proxy({}, {
+    get: (target, name) => vm.runInThisContext(String(name))
+  });
+}
+
+module.exports = { loadLib };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLib } = require('./load-lib');
+
+const { createZip, crc32 } = loadLib('lib/placeholders.js', 'lib/uuid.js', 'lib/page-export.js');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * 中央ディレクトリからファイルを読み出す（無圧縮のZIPのみ）
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const endOffset = zip.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+  const count = view.getUint16(endOffset + 10, true);
+  const centralSize = view.getUint32(endOffset + 12, true);
+  let position = view.getUint32(endOffset + 16, true);
+  assert.equal(position + centralSize, endOffset);
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+    position += 46 + nameLength;
+
+    // ローカルヘッダーの内容が中央ディレクトリと一致する
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+    assert.equal(view.getUint16(localOffset + 8, true), 0);
+    assert.equal(view.getUint32(localOffset + 14, true), crc);
+    assert.equal(view.getUint32(localOffset + 18, true), size);
+    assert.equal(view.getUint16(localOffset + 26, true), nameLength);
+    const dataOffset = localOffset + 30 + nameLength;
+    const data = zip.subarray(dataOffset, dataOffset + size);
+    assert.equal(crc32(data), crc);
+
+    files.push({ name, text: decoder.decode(data), localOffset });
+  }
+  return files;
+}
+
+test('CRC-32 は標準のチェック値になる', () => {
+  assert.equal(crc32(encoder.encode('123456789')), 0xCBF43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('無圧縮のZIPを作成し、中央ディレクトリから各ファイルを読み出せる', () => {
+  const zip = createZip([
+    { name: 'mimetype', data: encoder.encode('application/epub+zip') },
+    { name: 'OEBPS/text.xhtml', data: encoder.encode('<p>日本語</p>') },
+    { name: 'empty.txt', data: new Uint8Array(0) }
+  ]);
+
+  const files = readZip(zip);
+  assert.equal(files.map(file => file.name).join(','), 'mimetype,OEBPS/text.xhtml,empty.txt');
+  assert.equal(files[1].text, '<p>日本語</p>');
+  assert.equal(files[2].text, '');
+
+  // EPUB の mimetype は先頭に置かれ、ファイル名の直後（オフセット 38）から内容が始まる
+  assert.equal(files[0].localOffset, 0);
+  assert.equal(decoder.decode(zip.subarray(30, 38)), 'mimetype');
+  assert.equal(decoder.decode(zip.subarray(38, 58)), 'application/epub+zip');
+});
+
+test('ファイルがない場合は終端レコードだけになる', () => {
+  const zip = createZip([]);
+  assert.equal(zip.length, 22);
+  assert.equal(readZip(zip).length, 0);
+});
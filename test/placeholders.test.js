@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLib } = require('./load-lib');
+
+const { restoreInlineTags, restorePlaceholders } = loadLib('lib/placeholders.js');
+
+const inlineTags = {
+  0: { tagName: 'a', attrs: { href: 'https://example.com/?a=1&b="2"' } },
+  1: { tagName: 'strong', attrs: {} }
+};
+
+test('対のプレースホルダーをインライン要素に戻す', () => {
+  assert.equal(
+    restoreInlineTags('詳しくは__TAG_0__こちら__END_0__を参照', inlineTags),
+    '詳しくは<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">こちら</a>を参照'
+  );
+});
+
+test('入れ子の組と、翻訳で順序が入れ替わった組を戻す', () => {
+  assert.equal(
+    restoreInlineTags('__TAG_0__リンクの__TAG_1__強調__END_1__部分__END_0__', inlineTags),
+    '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">リンクの<strong>強調</strong>部分</a>'
+  );
+  assert.equal(
+    restoreInlineTags('__TAG_1__後__END_1__と__TAG_0__前__END_0__', inlineTags),
+    '<strong>後</strong>と<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">前</a>'
+  );
+});
+
+test('スペース・全角・小文字になったプレースホルダーも戻す', () => {
+  assert.equal(restoreInlineTags('＿＿TAG_ 1 __強調__ end_1 ＿＿', inlineTags), '<strong>強調</strong>');
+});
+
+test('片方が失われた組はプレースホルダーだけ取り除く', () => {
+  assert.equal(restoreInlineTags('__TAG_1__開始だけ', inlineTags), '開始だけ');
+  assert.equal(restoreInlineTags('終了だけ__END_1__', inlineTags), '終了だけ');
+});
+
+test('入れ子が崩れた組は取り除き、テキストは残す', () => {
+  // 0 が 1 の中で閉じられる: 間にある閉じられていない 1 の開始は破棄される
+  assert.equal(
+    restoreInlineTags('__TAG_0__a__TAG_1__b__END_0__c__END_1__', inlineTags),
+    '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">ab</a>c'
+  );
+});
+
+test('対応するインライン要素がない番号のプレースホルダーは取り除く', () => {
+  assert.equal(restoreInlineTags('__TAG_9__x__END_9__', inlineTags), 'x');
+});
+
+test('翻訳文をエスケープしてから数式・コードとインライン要素を戻す', () => {
+  const html = restorePlaceholders(
+    '<b>は __MATH_0__ と __TAG_1__同じ__END_1__',
+    { __MATH_0__: '<math><mi>x</mi></math>' },
+    inlineTags
+  );
+  assert.equal(
+    html,
+    '&lt;b&gt;は <span class="immersive-translate-placeholder"><math><mi>x</mi></math></span> と <strong>同じ</strong>'
+  );
+});
+
+test('空の翻訳文は空文字列にする', () => {
+  assert.equal(restorePlaceholders('', {}), '');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLib } = require('./load-lib');
+
+const { createJsonArrayStreamParser, fetchApiEventStream } = loadLib('lib/providers.js');
+
+/**
+ * チャンクを順に渡し、届いた要素を [index, value] の配列で返す
+ */
+function parseChunks(chunks) {
+  const elements = [];
+  const parser = createJsonArrayStreamParser((index, value) => elements.push([index, value]));
+  for (const chunk of chunks) {
+    parser.push(chunk);
+  }
+  return elements;
+}
+
+test('JSON配列: 完成した要素から順に渡す', () => {
+  const elements = [];
+  const parser = createJsonArrayStreamParser((index, value) => elements.push([index, value]));
+  parser.push('["一つ目", "二つ');
+  assert.deepEqual(elements, [[0, '一つ目']]);
+  parser.push('目"]');
+  assert.deepEqual(elements, [[0, '一つ目'], [1, '二つ目']]);
+});
+
+test('JSON配列: 文字列内の区切り文字・エスケープをチャンクの境界で分かれても正しく扱う', () => {
+  const json = JSON.stringify(['a, b', 'say "]"', 'back\\slash', '[{x}]']);
+  const chunks = json.match(/.{1,3}/gs);
+  assert.deepEqual(parseChunks(chunks).map(([, value]) => value), ['a, b', 'say "]"', 'back\\slash', '[{x}]']);
+});
+
+test('JSON配列: 配列の前の ```json と、閉じた後のテキストは無視する', () => {
+  assert.deepEqual(parseChunks(['```json\n', '["x",', ' "y"]\n```', ' ["z"]']), [[0, 'x'], [1, 'y']]);
+});
+
+test('JSON配列: 入れ子の配列・オブジェクトは1つの要素として渡す', () => {
+  assert.deepEqual(
+    parseChunks(['[{"id": 0, "t": [1, 2]}, ', '[3]]']),
+    [[0, { id: 0, t: [1, 2] }], [1, [3]]]
+  );
+});
+
+test('JSON配列: 空の配列では何も渡さない', () => {
+  assert.deepEqual(parseChunks(['[', ' ]']), []);
+});
+
+/**
+ * 指定したチャンクを順に返す応答で fetch を差し替えて fetchApiEventStream を呼ぶ
+ */
+async function readEventStream(chunks) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response(body, { status: 200 });
+  try {
+    const events = [];
+    await fetchApiEventStream('https://example.com/', {}, 'Test', event => events.push(event));
+    return events;
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+test('SSE: 空行で区切られたイベントの data を JSON として渡す', async () => {
+  const events = await readEventStream([
+    'data: {"n":1}\n\n',
+    ': コメント\nevent: message\ndata: {"n"',
+    ':2}\r\n\r\ndata: {"n":3}\n\n'
+  ]);
+  assert.deepEqual(events, [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('SSE: 複数行の data は改行でつなぎ、末尾の空行がない最後のイベントも渡す', async () => {
+  const events = await readEventStream(['data: [1,\ndata: 2]\n\ndata: "last"']);
+  assert.deepEqual(events, [[1, 2], 'last']);
+});
+
+test('SSE: エラー応答は HTTP ステータスのエラーにする', async () => {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response('{"error":{"message":"quota"}}', { status: 429 });
+  try {
+    await assert.rejects(
+      fetchApiEventStream('https://example.com/', {}, 'Test', () => {}),
+      error => error.status === 429
+    );
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLib } = require('./load-lib');
+
+const { scheduleRequest, cancelScheduledRequests } = loadLib('lib/request-scheduler.js');
+
+// レート制限で待たない設定
+const LIMITS = { maxConcurrentRequests: 1, requestsPerSecond: 1000, burst: 100 };
+
+function createDeferred() {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+}
+
+/**
+ * 完了させるまで実行中のままのリクエストを入れ、キューを塞ぐ
+ */
+function blockQueue(queueId, limits = LIMITS) {
+  const deferred = createDeferred();
+  const done = scheduleRequest(queueId, limits, () => deferred.promise);
+  return { release: () => deferred.resolve(), done };
+}
+
+test('優先度の高い順、同じ優先度は依頼順に実行する', async () => {
+  const blocker = blockQueue('priority');
+  const order = [];
+  const schedule = (name, priority) =>
+    scheduleRequest('priority', LIMITS, async () => { order.push(name); }, { priority });
+
+  const requests = [
+    schedule('low', 'low'),
+    schedule('normal', 'normal'),
+    schedule('high-1', 'high'),
+    schedule('high-2', 'high')
+  ];
+  blocker.release();
+  await Promise.all([blocker.done, ...requests]);
+  assert.deepEqual(order, ['high-1', 'high-2', 'normal', 'low']);
+});
+
+test('同時実行数の上限を超えて実行しない', async () => {
+  const limits = { ...LIMITS, maxConcurrentRequests: 2 };
+  let running = 0;
+  let maxRunning = 0;
+  const task = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => scheduleRequest('concurrency', limits, task)));
+  assert.equal(maxRunning, 2);
+});
+
+test('相乗りした依頼元が残っている間は、1人が取り消しても実行する', async () => {
+  const blocker = blockQueue('shared');
+  const ownerA = {};
+  const ownerB = {};
+  // background.js は同じテキストの依頼を1つのリクエストにまとめ、依頼元を owners に加える
+  const owners = new Set([ownerA]);
+  const request = scheduleRequest('shared', LIMITS, async () => 'translated', { owners });
+  owners.add(ownerB);
+
+  cancelScheduledRequests(ownerA);
+  blocker.release();
+  assert.equal(await request, 'translated');
+});
+
+test('全ての依頼元が取り消した待機中のリクエストは実行せずに破棄する', async () => {
+  const blocker = blockQueue('cancel');
+  const ownerA = {};
+  const ownerB = {};
+  let executed = false;
+  const request = scheduleRequest('cancel', LIMITS, async () => { executed = true; }, {
+    owners: new Set([ownerA, ownerB])
+  });
+  // 依頼元のないリクエストは取り消しの対象外
+  const unowned = scheduleRequest('cancel', LIMITS, async () => 'unowned');
+
+  cancelScheduledRequests(ownerA);
+  cancelScheduledRequests(ownerB);
+  await assert.rejects(request, error => error.cancelled === true);
+
+  blocker.release();
+  assert.equal(await unowned, 'unowned');
+  assert.equal(executed, false);
+});
+
+test('実行中のリクエストは取り消しても完了させる', async () => {
+  const owner = {};
+  const deferred = createDeferred();
+  const request = scheduleRequest('running', LIMITS, () => deferred.promise, { owners: new Set([owner]) });
+
+  cancelScheduledRequests(owner);
+  deferred.resolve('done');
+  assert.equal(await request, 'done');
+});
+
+test('429 では Retry-After の間、後続のリクエストを止める', async () => {
+  const rateLimited = Object.assign(new Error('Too Many Requests'), { status: 429, retryAfterMs: 50 });
+  const failed = scheduleRequest('rate-limit', LIMITS, async () => { throw rateLimited; });
+  const startedAt = Date.now();
+  const next = scheduleRequest('rate-limit', LIMITS, async () => Date.now());
+
+  await assert.rejects(failed, error => error === rateLimited);
+  const nextStartedAt = await next;
+  assert.ok(nextStartedAt - startedAt >= 45, `${nextStartedAt - startedAt}ms で実行された`);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLib } = require('./load-lib');
+
+const lib = loadLib('lib/uuid.js', 'lib/vocabulary.js');
+const { createReviewState, scheduleReview, isReviewDue, getVocabularyPattern, REVIEW_GRADES } = lib;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2026, 0, 1);
+
+test('「普通」で答え続けると 1日 → 6日 → 間隔 × ease で復習日が延びる', () => {
+  let review = createReviewState(now);
+  assert.equal(review.ease, 2.5);
+
+  review = scheduleReview(review, REVIEW_GRADES.good, now);
+  assert.equal(review.interval, 1);
+  assert.equal(review.repetitions, 1);
+  assert.equal(review.due, now + DAY_MS);
+
+  review = scheduleReview(review, REVIEW_GRADES.good, now);
+  assert.equal(review.interval, 6);
+
+  review = scheduleReview(review, REVIEW_GRADES.good, now);
+  assert.equal(review.interval, 15);
+  assert.equal(review.ease, 2.5);
+  assert.equal(review.due, now + 15 * DAY_MS);
+});
+
+test('「簡単」は ease を上げ、間隔にボーナスを掛ける', () => {
+  const review = scheduleReview(createReviewState(now), REVIEW_GRADES.easy, now);
+  assert.equal(review.ease, 2.6);
+  assert.equal(review.interval, 1);
+
+  const second = scheduleReview(review, REVIEW_GRADES.easy, now);
+  assert.equal(second.interval, Math.round(6 * 1.3));
+});
+
+test('「難しい」は ease を下げる', () => {
+  const review = scheduleReview(createReviewState(now), REVIEW_GRADES.hard, now);
+  assert.equal(review.repetitions, 1);
+  assert.ok(Math.abs(review.ease - 2.36) < 1e-9);
+});
+
+test('「もう一度」は最初から覚え直し、10分後に再び出す', () => {
+  const learned = { due: now, interval: 15, ease: 2.5, repetitions: 3 };
+  const review = scheduleReview(learned, REVIEW_GRADES.again, now);
+  assert.equal(review.repetitions, 0);
+  assert.equal(review.interval, 0);
+  assert.equal(review.due, now + 10 * 60 * 1000);
+  assert.ok(Math.abs(review.ease - 1.96) < 1e-9);
+});
+
+test('ease は 1.3 より下がらない', () => {
+  let review = createReviewState(now);
+  for (let i = 0; i < 5; i++) {
+    review = scheduleReview(review, REVIEW_GRADES.again, now);
+  }
+  assert.equal(review.ease, 1.3);
+});
+
+test('復習日が来た単語だけを復習対象にする', () => {
+  assert.equal(isReviewDue({ review: { due: now } }, now), true);
+  assert.equal(isReviewDue({ review: { due: now + 1 } }, now), false);
+  // 復習状況のない古いエントリ
+  assert.equal(isReviewDue({}, now), true);
+});
+
+test('保存した単語のパターンは長いフレーズを優先し、単語の途中にマッチしない', () => {
+  const pattern = getVocabularyPattern(['pod', 'pod  racing', '翻訳']);
+  const matches = [...'Pod racing on a tripod, pod! 翻訳する'.matchAll(pattern)].map(match => match[0]);
+  assert.equal(matches.join('|'), 'Pod racing|pod|翻訳');
+  assert.equal(getVocabularyPattern(['', '  ']), null);
+});
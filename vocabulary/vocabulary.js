@@ -0,0 +1,370 @@
+/**
+ * 没入型翻訳 - 単語帳ページ (vocabulary.js)
+ * 保存した単語の一覧（検索・タグ・削除）、フラッシュカードでの復習、Anki用CSV/TSVエクスポート
+ *
+ * データ形式・復習スケジュールは lib/vocabulary.js を参照
+ */
+
+// Anki の取り込み時の列（先頭のヘッダー行で列とタグ列を指定する）
+const ANKI_COLUMNS = ['Front', 'Back', 'Context', 'Source', 'Tags'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const listTab = document.getElementById('list-tab');
+    const reviewTab = document.getElementById('review-tab');
+    const dueCount = document.getElementById('due-count');
+    const listView = document.getElementById('list-view');
+    const reviewView = document.getElementById('review-view');
+
+    const searchInput = document.getElementById('search-input');
+    const tagFilter = document.getElementById('tag-filter');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    const exportTsvBtn = document.getElementById('export-tsv-btn');
+    const listStatus = document.getElementById('list-status');
+    const vocabularyBody = document.getElementById('vocabulary-body');
+    const emptyMessage = document.getElementById('empty-message');
+
+    const flashcard = document.getElementById('flashcard');
+    const cardText = document.getElementById('card-text');
+    const cardContext = document.getElementById('card-context');
+    const cardAnswer = document.getElementById('card-answer');
+    const cardTranslation = document.getElementById('card-translation');
+    const cardSource = document.getElementById('card-source');
+    const reviewActions = document.getElementById('review-actions');
+    const showAnswerBtn = document.getElementById('show-answer-btn');
+    const gradeButtons = document.getElementById('grade-buttons');
+    const reviewDone = document.getElementById('review-done');
+
+    let vocabulary = await loadVocabulary();
+    // 復習中の単語のID（先頭が表示中のカード）
+    let reviewQueue = [];
+
+    render();
+
+    // 選択テキスト翻訳からの保存や、他のタブでの変更を反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.vocabulary) {
+            vocabulary = changes.vocabulary.newValue || [];
+            render();
+        }
+    });
+
+    // --- タブ ---
+
+    listTab.addEventListener('click', () => showView('list'));
+    reviewTab.addEventListener('click', () => showView('review'));
+
+    function showView(view) {
+        const isReview = view === 'review';
+        listTab.classList.toggle('active', !isReview);
+        reviewTab.classList.toggle('active', isReview);
+        listView.hidden = isReview;
+        reviewView.hidden = !isReview;
+        if (isReview) startReview();
+    }
+
+    // --- 一覧 ---
+
+    searchInput.addEventListener('input', renderList);
+    tagFilter.addEventListener('change', renderList);
+
+    function render() {
+        renderTagFilter();
+        renderList();
+        const due = vocabulary.filter(entry => isReviewDue(entry)).length;
+        dueCount.textContent = due > 0 ? due : '';
+    }
+
+    /**
+     * タグの絞り込み候補を更新（選択中のタグは維持）
+     */
+    function renderTagFilter() {
+        const selected = tagFilter.value;
+        const tags = [...new Set(vocabulary.flatMap(entry => entry.tags || []))].sort();
+        tagFilter.length = 1;
+        for (const tag of tags) {
+            tagFilter.add(new Option(tag, tag));
+        }
+        tagFilter.value = tags.includes(selected) ? selected : '';
+    }
+
+    /**
+     * 検索・タグで絞り込んだ単語（新しい順）
+     */
+    function getFilteredEntries() {
+        const query = searchInput.value.trim().toLowerCase();
+        const tag = tagFilter.value;
+        return vocabulary
+            .filter(entry => {
+                if (tag && !(entry.tags || []).includes(tag)) return false;
+                if (!query) return true;
+                const haystack = [entry.text, entry.translation, entry.context, entry.title, ...(entry.tags || [])]
+                    .join(' ')
+                    .toLowerCase();
+                return haystack.includes(query);
+            })
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    function renderList() {
+        vocabularyBody.textContent = '';
+
+        for (const entry of getFilteredEntries()) {
+            const row = document.createElement('tr');
+            row.append(
+                createCell(entry.text, 'word-cell'),
+                createCell(entry.translation),
+                createContextCell(entry),
+                createTagsCell(entry),
+                createCell(formatDue(entry.review?.due), 'due-cell')
+            );
+
+            const actionCell = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.title = '削除';
+            deleteBtn.textContent = '×';
+            deleteBtn.addEventListener('click', () => deleteEntry(entry.id));
+            actionCell.appendChild(deleteBtn);
+            row.appendChild(actionCell);
+
+            vocabularyBody.appendChild(row);
+        }
+
+        emptyMessage.hidden = vocabulary.length > 0;
+    }
+
+    function createCell(text, className) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        return cell;
+    }
+
+    /**
+     * 文脈（単語を強調）と保存元のページへのリンク
+     */
+    function createContextCell(entry) {
+        const cell = document.createElement('td');
+        cell.className = 'context-cell';
+        appendContext(cell, entry);
+
+        if (entry.url) {
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = entry.title || entry.url;
+            link.title = entry.url;
+            cell.appendChild(link);
+        }
+        return cell;
+    }
+
+    /**
+     * タグ（スペース区切りで編集し、確定時に保存）
+     */
+    function createTagsCell(entry) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'tags-input';
+        input.value = (entry.tags || []).join(' ');
+        input.placeholder = 'タグ';
+        input.addEventListener('change', () => {
+            const tags = [...new Set(input.value.split(/[\s,]+/).filter(Boolean))];
+            updateEntry(entry.id, { tags });
+        });
+        cell.appendChild(input);
+        return cell;
+    }
+
+    async function deleteEntry(id) {
+        vocabulary = vocabulary.filter(entry => entry.id !== id);
+        await saveVocabulary();
+    }
+
+    async function updateEntry(id, changes) {
+        vocabulary = vocabulary.map(entry => (entry.id === id ? { ...entry, ...changes } : entry));
+        await saveVocabulary();
+    }
+
+    async function saveVocabulary() {
+        await chrome.storage.local.set({ vocabulary });
+        render();
+    }
+
+    // --- Anki エクスポート ---
+
+    exportCsvBtn.addEventListener('click', () => exportForAnki(',', 'Comma', 'csv'));
+    exportTsvBtn.addEventListener('click', () => exportForAnki('\t', 'Tab', 'tsv'));
+
+    /**
+     * 表示中（絞り込み後）の単語を Anki で取り込める形式で保存
+     * Anki のタグはスペース区切りのため、タグ列はスペースで連結する
+     */
+    function exportForAnki(separator, separatorName, extension) {
+        const entries = getFilteredEntries();
+        if (entries.length === 0) {
+            showListStatus('エクスポートする単語がありません', 'red');
+            return;
+        }
+
+        const header = [
+            `#separator:${separatorName}`,
+            '#html:false',
+            `#columns:${ANKI_COLUMNS.join(separator)}`,
+            `#tags column:${ANKI_COLUMNS.indexOf('Tags') + 1}`
+        ];
+        const rows = entries.map(entry => [
+            entry.text,
+            entry.translation,
+            entry.context || '',
+            entry.url || '',
+            (entry.tags || []).join(' ')
+        ]);
+        const content = [...header, toDelimited(rows, separator)].join('\r\n');
+
+        const blob = new Blob([content], { type: extension === 'csv' ? 'text/csv' : 'text/tab-separated-values' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `duoread-vocabulary-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        showListStatus(`${entries.length}件をエクスポートしました`, 'green');
+    }
+
+    function showListStatus(msg, color) {
+        listStatus.textContent = msg;
+        listStatus.style.color = color;
+    }
+
+    // --- 復習 ---
+
+    showAnswerBtn.addEventListener('click', showAnswer);
+    gradeButtons.addEventListener('click', (e) => {
+        const grade = e.target.closest('[data-grade]')?.dataset.grade;
+        if (grade) gradeCard(grade);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (reviewView.hidden || e.target.matches('input, select, textarea')) return;
+        if (e.key === ' ' && !showAnswerBtn.hidden) {
+            e.preventDefault();
+            showAnswer();
+        } else if (!gradeButtons.hidden && ['1', '2', '3', '4'].includes(e.key)) {
+            gradeCard(Object.keys(REVIEW_GRADES)[Number(e.key) - 1]);
+        }
+    });
+
+    /**
+     * 復習日を過ぎた単語を古い順に出題
+     */
+    function startReview() {
+        reviewQueue = vocabulary
+            .filter(entry => isReviewDue(entry))
+            .sort((a, b) => (a.review?.due ?? 0) - (b.review?.due ?? 0))
+            .map(entry => entry.id);
+        showCard();
+    }
+
+    function getCurrentCard() {
+        // 一覧・他のタブで削除された単語は飛ばす
+        while (reviewQueue.length > 0) {
+            const entry = vocabulary.find(item => item.id === reviewQueue[0]);
+            if (entry) return entry;
+            reviewQueue.shift();
+        }
+        return null;
+    }
+
+    function showCard() {
+        const entry = getCurrentCard();
+        flashcard.hidden = !entry;
+        reviewActions.hidden = !entry;
+        reviewDone.hidden = !!entry;
+        if (!entry) return;
+
+        cardText.textContent = entry.text;
+        cardContext.textContent = '';
+        appendContext(cardContext, entry);
+        cardTranslation.textContent = entry.translation;
+        cardSource.textContent = entry.title || entry.url || '';
+        cardSource.href = entry.url || '#';
+        cardSource.hidden = !entry.url;
+
+        cardAnswer.hidden = true;
+        showAnswerBtn.hidden = false;
+        gradeButtons.hidden = true;
+
+        // 各評価を選んだ場合の次の復習までの間隔
+        for (const button of gradeButtons.querySelectorAll('[data-grade]')) {
+            const next = scheduleReview(entry.review, REVIEW_GRADES[button.dataset.grade]);
+            button.title = `次の復習: ${formatDue(next.due)}`;
+        }
+    }
+
+    function showAnswer() {
+        if (!getCurrentCard()) return;
+        cardAnswer.hidden = false;
+        showAnswerBtn.hidden = true;
+        gradeButtons.hidden = false;
+    }
+
+    async function gradeCard(gradeName) {
+        const entry = getCurrentCard();
+        if (!entry) return;
+
+        const grade = REVIEW_GRADES[gradeName];
+        const review = scheduleReview(entry.review, grade);
+        reviewQueue.shift();
+        // 思い出せなかった単語は、この回の最後にもう一度出題
+        if (grade < REVIEW_GRADES.hard) {
+            reviewQueue.push(entry.id);
+        }
+
+        await updateEntry(entry.id, { review });
+        showCard();
+    }
+});
+
+/**
+ * 文脈のテキストを、単語の部分を <mark> で強調して追加
+ */
+function appendContext(container, entry) {
+    const context = entry.context || '';
+    const pattern = getVocabularyPattern([entry.text]);
+    let lastIndex = 0;
+
+    for (const match of (pattern ? context.matchAll(pattern) : [])) {
+        container.append(context.slice(lastIndex, match.index));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        container.append(mark);
+        lastIndex = match.index + match[0].length;
+    }
+    container.append(context.slice(lastIndex));
+}
+
+/**
+ * 次の復習日時の表示（「今すぐ」「10分後」「3日後」など）
+ */
+function formatDue(due) {
+    const diff = (due ?? 0) - Date.now();
+    if (diff <= 0) return '今すぐ';
+    const minutes = Math.round(diff / (60 * 1000));
+    if (minutes < 60) return `${minutes}分後`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours}時間後`;
+    return `${Math.round(hours / 24)}日後`;
+}
+
+/**
+ * 2次元配列を区切り文字（カンマまたはタブ）で連結（区切り文字・引用符・改行を含むフィールドは引用符で囲む）
+ */
+function toDelimited(rows, separator) {
+    const needsQuote = new RegExp(`["\\r\\n${separator}]`);
+    return rows.map(row => row.map(value => {
+        return needsQuote.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(separator)).join('\r\n');
+}